@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import { easterSunday, getArgentineHolidays } from '../../../helpers/holidaysAR.js';
+
+describe('holidaysAR helper', () => {
+  it('easterSunday debe calcular el domingo de Pascua', () => {
+    const easter = easterSunday(2026);
+    expect([easter.getFullYear(), easter.getMonth() + 1, easter.getDate()]).toEqual([2026, 4, 5]);
+  });
+
+  it('debe incluir carnaval y viernes santo según la Pascua', () => {
+    const byKey = Object.fromEntries(getArgentineHolidays(2026).map((h) => [h.key, h.date]));
+    expect(byKey['2026-carnaval_lunes']).toBe('2026-02-16');
+    expect(byKey['2026-carnaval_martes']).toBe('2026-02-17');
+    expect(byKey['2026-viernes_santo']).toBe('2026-04-03');
+  });
+
+  it('debe trasladar los feriados móviles al lunes', () => {
+    const byKey = Object.fromEntries(getArgentineHolidays(2026).map((h) => [h.key, h.date]));
+    // 17/06/2026 es miércoles → lunes anterior; 20/11/2026 es viernes → lunes siguiente
+    expect(byKey['2026-guemes']).toBe('2026-06-15');
+    expect(byKey['2026-soberania']).toBe('2026-11-23');
+    // 17/08/2026 es lunes → no se mueve
+    expect(byKey['2026-san_martin']).toBe('2026-08-17');
+  });
+
+  it('debe devolver la lista ordenada y vacía para años fuera de rango', () => {
+    const list = getArgentineHolidays(2026);
+    expect(list).toHaveLength(16);
+    expect(list.map((h) => h.date)).toEqual([...list.map((h) => h.date)].sort());
+    expect(getArgentineHolidays(1990)).toEqual([]);
+  });
+});
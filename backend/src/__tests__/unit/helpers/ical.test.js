@@ -0,0 +1,118 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildICalendar,
+  foldICalLine,
+  escapeICalText,
+  parseICalDate,
+  parseICalendar,
+  expandICalEvents,
+} from '../../../helpers/ical.js';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:gym@personal',
+  'DTSTART:20260302T120000Z',
+  'DTEND:20260302T133000Z',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+  'EXDATE:20260304T120000Z',
+  'SUMMARY:Gimnasio\\, pileta',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT15M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:libre@personal',
+  'DTSTART:20260303T100000Z',
+  'DTEND:20260303T110000Z',
+  'TRANSP:TRANSPARENT',
+  'SUMMARY:Recordatorio',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:feriado@personal',
+  'DTSTART;VALUE=DATE:20260305',
+  'SUMMARY:Viaje',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:anual@personal',
+  'DTSTART:20260306T100000Z',
+  'DURATION:PT1H',
+  'RRULE:FREQ=YEARLY',
+  'SUMMARY:Cumple',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('ical helper', () => {
+  describe('buildICalendar', () => {
+    it('debe generar eventos en UTC con texto escapado y CRLF', () => {
+      const body = buildICalendar({
+        name: 'Agenda Ana',
+        stamp: new Date(Date.UTC(2026, 2, 1, 0, 0, 0)),
+        events: [
+          {
+            uid: 'appointment-1@arja',
+            start: new Date(Date.UTC(2026, 2, 3, 13, 0, 0)),
+            end: new Date(Date.UTC(2026, 2, 3, 14, 0, 0)),
+            summary: 'Corte; barba, color',
+          },
+        ],
+      });
+      expect(body.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(body).toContain('DTSTART:20260303T130000Z');
+      expect(body).toContain('SUMMARY:Corte\\; barba\\, color');
+      expect(body).toContain('X-WR-CALNAME:Agenda Ana');
+    });
+
+    it('foldICalLine debe cortar a 75 octetos sin partir caracteres', () => {
+      const folded = foldICalLine(`SUMMARY:${'ñ'.repeat(60)}`);
+      const parts = folded.split('\r\n');
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part) => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+      expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).toBe(`SUMMARY:${'ñ'.repeat(60)}`);
+    });
+
+    it('escapeICalText debe escapar saltos de línea', () => {
+      expect(escapeICalText('a\nb')).toBe('a\\nb');
+    });
+  });
+
+  describe('parseICalDate', () => {
+    it('debe convertir TZID a UTC', () => {
+      const { date } = parseICalDate('20260303T100000', { TZID: 'America/Argentina/Buenos_Aires' });
+      expect(date.toISOString()).toBe('2026-03-03T13:00:00.000Z');
+    });
+
+    it('debe reconocer fechas de día completo', () => {
+      expect(parseICalDate('20260305', { VALUE: 'DATE' }).allDay).toBe(true);
+    });
+  });
+
+  describe('parseICalendar + expandICalEvents', () => {
+    const events = parseICalendar(ICS);
+
+    it('debe leer los VEVENT ignorando las alarmas', () => {
+      expect(events).toHaveLength(4);
+      expect(events[0]).toMatchObject({ uid: 'gym@personal', summary: 'Gimnasio, pileta' });
+      expect(events[2].allDay).toBe(true);
+      expect(events[2].end - events[2].start).toBe(24 * 3600 * 1000);
+    });
+
+    it('debe expandir recurrencias, respetar EXDATE y descartar eventos libres', () => {
+      const from = new Date(Date.UTC(2026, 2, 1));
+      const to = new Date(Date.UTC(2026, 2, 10));
+      const { blocks, skipped } = expandICalEvents(events, { from, to });
+
+      const gym = blocks.filter((b) => b.uid === 'gym@personal').map((b) => b.start.toISOString());
+      expect(gym).toEqual(['2026-03-02T12:00:00.000Z', '2026-03-09T12:00:00.000Z']);
+      expect(blocks.some((b) => b.uid === 'libre@personal')).toBe(false);
+      expect(blocks.some((b) => b.uid === 'feriado@personal')).toBe(true);
+      expect(skipped).toEqual([expect.objectContaining({ uid: 'anual@personal' })]);
+    });
+
+    it('debe rechazar archivos que no son iCalendar', () => {
+      expect(() => parseICalendar('hola')).toThrow('iCalendar');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseRRule,
+  normalizeRecurrence,
+  expandRecurrence,
+  formatRRule,
+  toLocalDateKey,
+} from '../../../helpers/recurrence.js';
+
+const keys = (dates) => dates.map(toLocalDateKey);
+
+describe('recurrence helper', () => {
+  // Martes 3 de marzo de 2026, 10:00
+  const start = new Date(2026, 2, 3, 10, 0, 0);
+
+  describe('expandRecurrence', () => {
+    it('debe repetir cada N semanas conservando la hora', () => {
+      const rule = normalizeRecurrence({ frequency: 'weekly', interval: 2, count: 3 }, start);
+      const { occurrences } = expandRecurrence(rule, start);
+      expect(keys(occurrences)).toEqual(['2026-03-03', '2026-03-17', '2026-03-31']);
+      expect(occurrences.every((d) => d.getHours() === 10 && d.getMinutes() === 0)).toBe(true);
+    });
+
+    it('debe generar días específicos de la semana hasta una fecha', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20260312');
+      const { occurrences } = expandRecurrence(rule, start);
+      expect(keys(occurrences)).toEqual(['2026-03-03', '2026-03-05', '2026-03-10', '2026-03-12']);
+    });
+
+    it('debe repetir mensualmente por día de la semana (1° martes)', () => {
+      const rule = normalizeRecurrence({ frequency: 'monthly', monthlyBy: 'weekday', count: 3 }, start);
+      expect(formatRRule(rule)).toBe('FREQ=MONTHLY;BYDAY=1TU;COUNT=3');
+      expect(keys(expandRecurrence(rule, start).occurrences)).toEqual(['2026-03-03', '2026-04-07', '2026-05-05']);
+    });
+
+    it('debe soportar el último viernes del mes', () => {
+      const friday = new Date(2026, 0, 30, 18, 0, 0);
+      const rule = parseRRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3');
+      expect(keys(expandRecurrence(rule, friday).occurrences)).toEqual(['2026-01-30', '2026-02-27', '2026-03-27']);
+    });
+
+    it('debe saltear los meses sin el día indicado', () => {
+      const day31 = new Date(2026, 0, 31, 9, 0, 0);
+      const rule = normalizeRecurrence({ frequency: 'monthly', count: 3 }, day31);
+      expect(keys(expandRecurrence(rule, day31).occurrences)).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    });
+
+    it('debe quitar las fechas de excepción sin reponerlas (COUNT incluye excepciones)', () => {
+      const rule = normalizeRecurrence({ frequency: 'weekly', count: 4, exdates: ['2026-03-10'] }, start);
+      const { occurrences, excluded } = expandRecurrence(rule, start);
+      expect(keys(occurrences)).toEqual(['2026-03-03', '2026-03-17', '2026-03-24']);
+      expect(keys(excluded)).toEqual(['2026-03-10']);
+    });
+
+    it('debe filtrar la repetición diaria por BYDAY y BYMONTHDAY', () => {
+      const weekdays = parseRRule('FREQ=DAILY;BYDAY=MO,WE,FR;COUNT=4');
+      expect(keys(expandRecurrence(weekdays, start).occurrences)).toEqual(['2026-03-04', '2026-03-06', '2026-03-09', '2026-03-11']);
+
+      const lastDays = parseRRule('FREQ=DAILY;BYMONTHDAY=1,-1;COUNT=3');
+      expect(keys(expandRecurrence(lastDays, start).occurrences)).toEqual(['2026-03-31', '2026-04-01', '2026-04-30']);
+    });
+
+    it('debe cruzar BYDAY con BYMONTHDAY en la repetición mensual (viernes 13)', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=2');
+      expect(keys(expandRecurrence(rule, start).occurrences)).toEqual(['2026-03-13', '2026-11-13']);
+    });
+
+    it('debe marcar la serie como truncada al superar el máximo', () => {
+      const rule = normalizeRecurrence({ frequency: 'daily', count: 40 }, start);
+      const result = expandRecurrence(rule, start, { max: 10 });
+      expect(result.occurrences).toHaveLength(10);
+      expect(result.truncated).toBe(true);
+    });
+
+    it('debe exigir count o until', () => {
+      const rule = normalizeRecurrence({ frequency: 'weekly' }, start);
+      expect(() => expandRecurrence(rule, start)).toThrow('count');
+    });
+  });
+
+  describe('validaciones', () => {
+    it('debe rechazar frecuencias no soportadas', () => {
+      expect(() => parseRRule('FREQ=YEARLY;COUNT=2')).toThrow('Frecuencia no soportada');
+    });
+
+    it('debe rechazar ordinales fuera de la repetición mensual', () => {
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2MO;COUNT=2')).toThrow('mensual');
+    });
+
+    it('debe rechazar BYMONTHDAY en la repetición semanal', () => {
+      expect(() => parseRRule('FREQ=WEEKLY;BYMONTHDAY=10;COUNT=2')).toThrow('BYMONTHDAY');
+    });
+
+    it('debe aceptar días de la semana como número (0 = domingo)', () => {
+      const rule = normalizeRecurrence({ frequency: 'weekly', weekdays: [1, 3], count: 2 }, start);
+      expect(formatRRule(rule)).toBe('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=2');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  createMemorySessionStore,
+  setSessionStore,
+  getSession,
+  setStep,
+  reset,
+  getAllSessions,
+} from '../../../helpers/session.js';
+
+describe('session helpers', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    setSessionStore(createMemorySessionStore({ now: () => clock }), { ttlMs: 60_000 });
+  });
+
+  it('debe crear una sesión idle si no existe', async () => {
+    const session = await getSession('5491111111111', 1);
+    expect(session).toEqual({ step: 'idle', data: {} });
+  });
+
+  it('debe actualizar el paso y mergear los datos', async () => {
+    await setStep('5491111111111', 'picking_service', { serviceId: 3 }, 1);
+    await setStep('5491111111111', 'picking_slot', { instructorId: 7 }, 1);
+
+    const session = await getSession('5491111111111', 1);
+    expect(session.step).toBe('picking_slot');
+    expect(session.data).toEqual({ serviceId: 3, instructorId: 7 });
+  });
+
+  it('debe reflejar setStep en referencias obtenidas antes', async () => {
+    const session = await getSession('5491111111111', 1);
+    await setStep('5491111111111', 'home_menu', { tenantId: 1 }, 1);
+    expect(session.step).toBe('home_menu');
+    expect(session.data.tenantId).toBe(1);
+  });
+
+  it('debe aislar las sesiones por tenant', async () => {
+    await setStep('5491111111111', 'membership_collect_dni', {}, 1);
+    await setStep('5491111111111', 'picking_slot', {}, 2);
+
+    expect((await getSession('5491111111111', 1)).step).toBe('membership_collect_dni');
+    expect((await getSession('5491111111111', 2)).step).toBe('picking_slot');
+    expect(Object.keys(await getAllSessions(1))).toEqual(['5491111111111']);
+  });
+
+  it('debe eliminar la sesión con reset', async () => {
+    await setStep('5491111111111', 'picking_slot', { slot: '10:00' }, 1);
+    await reset('5491111111111', 1);
+
+    const session = await getSession('5491111111111', 1);
+    expect(session.step).toBe('idle');
+    expect(session.data).toEqual({});
+  });
+
+  it('debe expirar sesiones pasado el TTL', async () => {
+    await setStep('5491111111111', 'picking_slot', { slot: '10:00' }, 1);
+    clock += 61_000;
+
+    expect(await getAllSessions(1)).toEqual({});
+    expect((await getSession('5491111111111', 1)).step).toBe('idle');
+  });
+});
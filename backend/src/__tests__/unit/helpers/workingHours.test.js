@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizeTime,
+  isWithinWorkingBlocks,
+  findOverlappingBlocks,
+} from '../../../helpers/workingHours.js';
+
+describe('workingHours helpers', () => {
+  const date = '2026-03-10';
+  const splitShift = [
+    { start_time: '09:00:00', end_time: '13:00:00' },
+    { start_time: '16:00:00', end_time: '20:00:00' },
+  ];
+  const at = (hm) => new Date(`${date}T${hm}:00`);
+
+  it('debe normalizar horas HH:MM a HH:MM:SS', () => {
+    expect(normalizeTime('09:30')).toBe('09:30:00');
+    expect(normalizeTime('09:30:15')).toBe('09:30:15');
+    expect(normalizeTime('')).toBeNull();
+    expect(normalizeTime('9.30')).toBeNull();
+  });
+
+  it('debe aceptar turnos dentro de cualquiera de los bloques', () => {
+    expect(isWithinWorkingBlocks(date, splitShift, at('09:00'), at('10:00'))).toBe(true);
+    expect(isWithinWorkingBlocks(date, splitShift, at('19:00'), at('20:00'))).toBe(true);
+  });
+
+  it('debe rechazar turnos en el corte o que atraviesan dos bloques', () => {
+    expect(isWithinWorkingBlocks(date, splitShift, at('14:00'), at('15:00'))).toBe(false);
+    expect(isWithinWorkingBlocks(date, splitShift, at('12:30'), at('16:30'))).toBe(false);
+    expect(isWithinWorkingBlocks(date, [], at('10:00'), at('11:00'))).toBe(false);
+  });
+
+  it('debe detectar bloques solapados en la misma sucursal', () => {
+    const overlaps = findOverlappingBlocks([
+      { weekday: 1, start_time: '09:00:00', end_time: '13:00:00', branch_id: 1 },
+      { weekday: 1, start_time: '12:00:00', end_time: '15:00:00', branch_id: 1 },
+    ]);
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0].weekday).toBe(1);
+  });
+
+  it('no debe marcar como solapados bloques contiguos, de otra sucursal u otro día', () => {
+    expect(findOverlappingBlocks([
+      { weekday: 1, start_time: '09:00:00', end_time: '13:00:00', branch_id: 1 },
+      { weekday: 1, start_time: '13:00:00', end_time: '17:00:00', branch_id: 1 },
+      { weekday: 1, start_time: '10:00:00', end_time: '12:00:00', branch_id: 2 },
+      { weekday: 2, start_time: '10:00:00', end_time: '12:00:00', branch_id: 1 },
+    ])).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from '@jest/globals';
+import { inflateRawSync } from 'node:zlib';
+import { crc32, createZip } from '../../../helpers/zip.js';
+
+// Lee las entradas desde el directorio central, como haría un descompresor
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pos = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const start = localOffset + 30 + localNameLength;
+    const body = buffer.subarray(start, start + compressedSize);
+    entries.push({ name, method, crc, data: method === 8 ? inflateRawSync(body) : body });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('zip', () => {
+  it('crc32 debe coincidir con el valor de referencia', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('debe armar un ZIP legible con nombres UTF-8 y contenido intacto', () => {
+    const json = JSON.stringify({ nombre: 'Año ñandú', items: new Array(50).fill('repetido') });
+    const pdf = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x01, 0xff]);
+    const zip = createZip([
+      { name: 'datos.json', data: json },
+      { name: 'comprobantes/factura-ñ.pdf', data: pdf },
+    ]);
+
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    const entries = readZip(zip);
+    expect(entries.map((e) => e.name)).toEqual(['datos.json', 'comprobantes/factura-ñ.pdf']);
+    expect(entries[0].method).toBe(8);
+    expect(entries[0].data.toString('utf8')).toBe(json);
+    expect(entries[1].method).toBe(0);
+    expect(Buffer.compare(entries[1].data, pdf)).toBe(0);
+    expect(entries[1].crc).toBe(crc32(pdf));
+  });
+
+  it('un ZIP sin archivos sólo tiene el fin del directorio central', () => {
+    const zip = createZip([]);
+    expect(zip.length).toBe(22);
+    expect(zip.readUInt32LE(0)).toBe(0x06054b50);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from '@jest/globals';
+import { calcularIVAItems, obtenerIdAlicuota } from '../../../services/arca.js';
+
+describe('arca', () => {
+  describe('calcularIVAItems', () => {
+    it('debe agrupar la base imponible por alícuota', () => {
+      const resumen = calcularIVAItems([
+        { descripcion: 'Corte', cantidad: 1, precio_unitario: 10000, alicuota_iva: 21 },
+        { descripcion: 'Shampoo', cantidad: 2, precio_unitario: 1500, alicuota_iva: 10.5 },
+        { descripcion: 'Peinado', cantidad: 1, precio_unitario: 5000, alicuota_iva: 21 },
+      ]);
+      expect(resumen.alicuotas).toEqual([
+        { id: 4, alicuota: 10.5, base_imponible: 3000, importe: 315 },
+        { id: 5, alicuota: 21, base_imponible: 15000, importe: 3150 },
+      ]);
+      expect(resumen.importe_neto).toBe(18000);
+      expect(resumen.importe_iva).toBe(3465);
+      expect(resumen.importe_total).toBe(21465);
+      expect(resumen.items[1]).toMatchObject({ importe_neto: 3000, importe_iva: 315, importe_total: 3315 });
+    });
+
+    it('debe calcular el IVA sobre la base de cada alícuota y no por línea', () => {
+      const resumen = calcularIVAItems([
+        { cantidad: 1, precio_unitario: 0.05, alicuota_iva: 21 },
+        { cantidad: 1, precio_unitario: 0.05, alicuota_iva: 21 },
+      ]);
+      expect(resumen.alicuotas[0]).toMatchObject({ base_imponible: 0.1, importe: 0.02 });
+      expect(resumen.importe_iva).toBe(0.02);
+    });
+
+    it('debe informar las líneas exentas al 0%', () => {
+      const resumen = calcularIVAItems([{ cantidad: 1, precio_unitario: 100, alicuota_iva: 0 }]);
+      expect(resumen.alicuotas).toEqual([{ id: 3, alicuota: 0, base_imponible: 100, importe: 0 }]);
+      expect(resumen.importe_total).toBe(100);
+    });
+  });
+
+  it('obtenerIdAlicuota debe rechazar alícuotas que WSFE no admite', () => {
+    expect(obtenerIdAlicuota(27)).toBe(6);
+    expect(obtenerIdAlicuota('10.5')).toBe(4);
+    expect(() => obtenerIdAlicuota(19)).toThrow('Alícuota de IVA no admitida');
+  });
+});
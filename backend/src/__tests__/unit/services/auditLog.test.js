@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  diffAuditValues,
+  sanitizeAuditPayload,
+  resolveAuditEntity,
+  actionFromMethod,
+} from '../../../services/auditLog.js';
+
+describe('auditLog', () => {
+  describe('diffAuditValues', () => {
+    it('debe devolver sólo los campos que cambiaron', () => {
+      const before = { name: 'Corte', price_decimal: '1500.00', duration_min: 30 };
+      const after = { name: 'Corte', price_decimal: '1800.00', duration_min: 30 };
+      expect(diffAuditValues(before, after)).toEqual({
+        price_decimal: { from: '1500.00', to: '1800.00' },
+      });
+    });
+
+    it('debe considerar iguales los montos DECIMAL y numéricos equivalentes', () => {
+      expect(diffAuditValues({ price: '1500.00' }, { price: 1500 })).toEqual({});
+    });
+
+    it('debe ignorar updated_at, los campos indicados y los ausentes en una actualización parcial', () => {
+      const before = { status: 'scheduled', notes: 'x', updated_at: '2026-01-01 10:00:00', user_name: 'Ana' };
+      const after = { status: 'cancelled', updated_at: '2026-01-02 10:00:00', user_name: 'Otra' };
+      expect(diffAuditValues(before, after, { ignore: ['user_name'] })).toEqual({
+        status: { from: 'scheduled', to: 'cancelled' },
+      });
+    });
+
+    it('debe comparar objetos por contenido', () => {
+      const before = { permissions: { stock: { read: true } } };
+      expect(diffAuditValues(before, { permissions: { stock: { read: true } } })).toEqual({});
+      expect(diffAuditValues(before, { permissions: { stock: { read: false } } })).toEqual({
+        permissions: { from: { stock: { read: true } }, to: { stock: { read: false } } },
+      });
+    });
+
+    it('debe registrar altas y bajas completas', () => {
+      expect(diffAuditValues(null, { name: 'Plan' })).toEqual({ name: { from: null, to: 'Plan' } });
+      expect(diffAuditValues({ name: 'Plan' }, null)).toEqual({ name: { from: 'Plan', to: null } });
+    });
+
+    it('debe ocultar los valores de campos sensibles', () => {
+      expect(diffAuditValues({ password_hash: 'a' }, { password_hash: 'b' })).toEqual({
+        password_hash: { from: '[oculto]', to: '[oculto]' },
+      });
+    });
+  });
+
+  describe('sanitizeAuditPayload', () => {
+    it('debe ocultar claves sensibles en cualquier nivel', () => {
+      expect(
+        sanitizeAuditPayload({ email: 'a@b.com', password: '123', config: { mp_access_token: 'x' } })
+      ).toEqual({ email: 'a@b.com', password: '[oculto]', config: { mp_access_token: '[oculto]' } });
+    });
+
+    it('debe recortar textos largos y listas extensas', () => {
+      const long = 'a'.repeat(400);
+      expect(sanitizeAuditPayload(long)).toHaveLength(301);
+      const list = sanitizeAuditPayload(Array.from({ length: 60 }, (_, i) => i));
+      expect(list).toHaveLength(51);
+      expect(list[50]).toBe('… (10 más)');
+    });
+
+    it('debe limitar la profundidad', () => {
+      expect(sanitizeAuditPayload({ a: { b: { c: { d: 1 } } } })).toEqual({ a: { b: { c: '[…]' } } });
+    });
+
+    it('debe devolver null para valores vacíos', () => {
+      expect(sanitizeAuditPayload(undefined)).toBeNull();
+      expect(sanitizeAuditPayload(null)).toBeNull();
+    });
+  });
+
+  describe('resolveAuditEntity', () => {
+    it('debe resolver la entidad y el id desde la ruta', () => {
+      expect(resolveAuditEntity('/api/appointments/42')).toEqual({ entity: 'appointment', entityId: '42' });
+      expect(resolveAuditEntity('/cash-register/closures/7/cancel')).toEqual({
+        entity: 'cash_register',
+        entityId: '7',
+      });
+      expect(resolveAuditEntity('/admin/services/3?x=1')).toEqual({ entity: 'service', entityId: '3' });
+    });
+
+    it('debe preferir el prefijo más específico', () => {
+      expect(resolveAuditEntity('/memberships/plans/5')).toEqual({ entity: 'membership_plan', entityId: '5' });
+      expect(resolveAuditEntity('/memberships/subscriptions/5')).toEqual({ entity: 'membership', entityId: '5' });
+    });
+
+    it('debe devolver null para rutas no auditadas o ignoradas', () => {
+      expect(resolveAuditEntity('/api/auth/login')).toBeNull();
+      expect(resolveAuditEntity('/appointmentsx')).toBeNull();
+      expect(resolveAuditEntity('/memberships/renew-subscriptions')).toBeNull();
+    });
+  });
+
+  describe('actionFromMethod', () => {
+    it('debe mapear el método HTTP a la acción', () => {
+      expect(actionFromMethod('POST')).toBe('create');
+      expect(actionFromMethod('delete')).toBe('delete');
+      expect(actionFromMethod('PUT')).toBe('update');
+      expect(actionFromMethod('PATCH')).toBe('update');
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Base en memoria con lo justo para la lista de espera: una clase y sus inscripciones
+const db = { session: null, enrollments: [] };
+
+function toMySQL(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function parseDate(value) {
+  return new Date(String(value).replace(' ', 'T'));
+}
+
+function findEnrollment(id) {
+  return db.enrollments.find((row) => row.id === Number(id));
+}
+
+async function query(sql, params = []) {
+  if (/^\s*ALTER TABLE/.test(sql)) return [{}];
+  if (/FROM information_schema\.COLUMNS/.test(sql)) {
+    return [[{ DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(20)', CHARACTER_MAXIMUM_LENGTH: 20 }]];
+  }
+  if (/FROM class_session/.test(sql)) return [[db.session]];
+  if (/SELECT COUNT\(\*\) AS total/.test(sql)) {
+    const statuses = params.slice(2);
+    const total = db.enrollments.filter((row) => statuses.includes(row.status)).length;
+    return [[{ total }]];
+  }
+  if (/SELECT id, customer_id\s+FROM class_enrollment/.test(sql)) {
+    const [, , status, limit] = params;
+    const rows = db.enrollments
+      .filter((row) => row.status === status)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id)
+      .slice(0, limit)
+      .map(({ id, customer_id }) => ({ id, customer_id }));
+    return [rows];
+  }
+  if (/SET status = 'reserved', promoted_at = NOW\(\), confirm_deadline = \?/.test(sql)) {
+    const [deadline, id] = params;
+    Object.assign(findEnrollment(id), { status: 'reserved', confirm_deadline: toMySQL(deadline) });
+    return [{ affectedRows: 1 }];
+  }
+  if (/SELECT id, session_id, status, confirm_deadline/.test(sql)) {
+    const row = findEnrollment(params[0]);
+    return [[row && row.customer_id === params[2] ? { ...row } : undefined]];
+  }
+  if (/SET confirm_deadline = NULL WHERE/.test(sql)) {
+    findEnrollment(params[0]).confirm_deadline = null;
+    return [{ affectedRows: 1 }];
+  }
+  if (/SET status = 'cancelled'/.test(sql)) {
+    const row = findEnrollment(params[0]);
+    if (/AND status = 'reserved'/.test(sql) && row.status !== 'reserved') return [{ affectedRows: 0 }];
+    Object.assign(row, { status: 'cancelled', confirm_deadline: null });
+    return [{ affectedRows: 1 }];
+  }
+  if (/SELECT id, tenant_id, session_id/.test(sql)) {
+    const now = new Date();
+    const rows = db.enrollments
+      .filter((row) => row.status === 'reserved' && row.confirm_deadline && parseDate(row.confirm_deadline) < now)
+      .map(({ id, session_id }) => ({ id, tenant_id: 1, session_id }));
+    return [rows];
+  }
+  // Datos para avisar al cliente promovido: sin cliente no se envía nada
+  if (/SELECT c\.name, c\.phone_e164/.test(sql)) return [[undefined]];
+  throw new Error(`Consulta no prevista en el test: ${sql}`);
+}
+
+function makeConn() {
+  return {
+    query: jest.fn(query),
+    beginTransaction: jest.fn(async () => {}),
+    commit: jest.fn(async () => {}),
+    rollback: jest.fn(async () => {}),
+    release: jest.fn(),
+  };
+}
+
+jest.unstable_mockModule('../../../db.js', () => ({
+  pool: { query: jest.fn(query), getConnection: jest.fn(async () => makeConn()) },
+}));
+
+const {
+  computeConfirmDeadline,
+  statusColumnNeedsWidening,
+  promoteFromWaitlist,
+  respondToPromotion,
+  expireUnconfirmedPromotions,
+} = await import('../../../services/classWaitlist.js');
+
+const hoursFromNow = (hours) => toMySQL(new Date(Date.now() + hours * 60 * 60 * 1000));
+
+function enrollment(id, customerId, status, createdAt, extra = {}) {
+  return { id, session_id: 1, customer_id: customerId, status, created_at: createdAt, confirm_deadline: null, ...extra };
+}
+
+function statuses() {
+  return Object.fromEntries(db.enrollments.map((row) => [row.id, row.status]));
+}
+
+describe('classWaitlist', () => {
+  describe('computeConfirmDeadline', () => {
+    const now = new Date('2026-03-10T08:00:00');
+
+    it('debe dar el plazo configurado cuando la clase es más tarde', () => {
+      const deadline = computeConfirmDeadline('2026-03-12 19:00:00', now, 12);
+      expect(deadline).toEqual(new Date('2026-03-10T20:00:00'));
+    });
+
+    it('no debe extender el plazo más allá del inicio de la clase', () => {
+      const deadline = computeConfirmDeadline('2026-03-10 10:30:00', now, 12);
+      expect(deadline).toEqual(new Date('2026-03-10T10:30:00'));
+    });
+  });
+
+  describe('statusColumnNeedsWidening', () => {
+    it('sólo debe cambiar la columna si no admite el estado de espera', () => {
+      expect(statusColumnNeedsWidening({ DATA_TYPE: 'enum', COLUMN_TYPE: "enum('reserved','cancelled','attended')" })).toBe(true);
+      expect(statusColumnNeedsWidening({ DATA_TYPE: 'enum', COLUMN_TYPE: "enum('reserved','waitlisted')" })).toBe(false);
+      expect(statusColumnNeedsWidening({ DATA_TYPE: 'varchar', CHARACTER_MAXIMUM_LENGTH: 20 })).toBe(false);
+      expect(statusColumnNeedsWidening({ DATA_TYPE: 'varchar', CHARACTER_MAXIMUM_LENGTH: 8 })).toBe(true);
+      expect(statusColumnNeedsWidening(undefined)).toBe(false);
+    });
+  });
+
+  describe('promoción automática', () => {
+    beforeEach(() => {
+      db.session = { id: 1, starts_at: hoursFromNow(48), capacity_max: 3, status: 'scheduled' };
+      db.enrollments = [
+        enrollment(1, 101, 'reserved', '2026-03-01 10:00:00'),
+        enrollment(2, 102, 'cancelled', '2026-03-01 10:05:00'),
+        // El id no define el orden: manda la hora en que se anotó
+        enrollment(5, 105, 'waitlisted', '2026-03-02 09:00:00'),
+        enrollment(3, 103, 'waitlisted', '2026-03-02 11:00:00'),
+        enrollment(4, 104, 'waitlisted', '2026-03-02 10:00:00'),
+      ];
+    });
+
+    it('debe promover por orden de llegada sólo tantos como lugares libres haya', async () => {
+      const promoted = await promoteFromWaitlist(makeConn(), { tenantId: 1, sessionId: 1 });
+
+      expect(promoted.map((item) => item.enrollmentId)).toEqual([5, 4]);
+      expect(statuses()).toEqual({ 1: 'reserved', 2: 'cancelled', 3: 'waitlisted', 4: 'reserved', 5: 'reserved' });
+      expect(findEnrollment(5).confirm_deadline).not.toBeNull();
+    });
+
+    it('no debe promover a nadie si la clase está llena', async () => {
+      db.session.capacity_max = 1;
+      const conn = makeConn();
+
+      expect(await promoteFromWaitlist(conn, { tenantId: 1, sessionId: 1 })).toEqual([]);
+      expect(statuses()).toMatchObject({ 3: 'waitlisted', 4: 'waitlisted', 5: 'waitlisted' });
+      expect(conn.query.mock.calls.some(([sql]) => /SET status = 'reserved'/.test(sql))).toBe(false);
+    });
+
+    it('no debe promover en clases ya empezadas o canceladas', async () => {
+      db.session.starts_at = hoursFromNow(-1);
+      expect(await promoteFromWaitlist(makeConn(), { tenantId: 1, sessionId: 1 })).toEqual([]);
+
+      db.session = { ...db.session, starts_at: hoursFromNow(48), status: 'cancelled' };
+      expect(await promoteFromWaitlist(makeConn(), { tenantId: 1, sessionId: 1 })).toEqual([]);
+      expect(statuses()).toMatchObject({ 3: 'waitlisted', 4: 'waitlisted', 5: 'waitlisted' });
+    });
+  });
+
+  describe('respuesta del cliente promovido', () => {
+    beforeEach(() => {
+      db.session = { id: 1, starts_at: hoursFromNow(48), capacity_max: 1, status: 'scheduled' };
+      db.enrollments = [
+        enrollment(1, 101, 'reserved', '2026-03-01 10:00:00', { confirm_deadline: hoursFromNow(6) }),
+        enrollment(2, 102, 'waitlisted', '2026-03-01 11:00:00'),
+        enrollment(3, 103, 'waitlisted', '2026-03-01 12:00:00'),
+      ];
+    });
+
+    it('al confirmar debe conservar el lugar sin promover a nadie más', async () => {
+      const result = await respondToPromotion({ tenantId: 1, enrollmentId: 1, accept: true, customerId: 101 });
+
+      expect(result).toEqual({ ok: true, status: 'reserved', sessionId: 1 });
+      expect(findEnrollment(1).confirm_deadline).toBeNull();
+      expect(statuses()).toEqual({ 1: 'reserved', 2: 'waitlisted', 3: 'waitlisted' });
+    });
+
+    it('al liberar el lugar debe pasarlo al siguiente en la lista', async () => {
+      const result = await respondToPromotion({ tenantId: 1, enrollmentId: 1, accept: false, customerId: 101 });
+
+      expect(result).toEqual({ ok: true, status: 'cancelled', sessionId: 1 });
+      expect(statuses()).toEqual({ 1: 'cancelled', 2: 'reserved', 3: 'waitlisted' });
+      expect(findEnrollment(2).confirm_deadline).not.toBeNull();
+    });
+
+    it('debe rechazar la respuesta de otro cliente, sin cliente o fuera de plazo', async () => {
+      expect(await respondToPromotion({ tenantId: 1, enrollmentId: 1, accept: true, customerId: 999 }))
+        .toMatchObject({ ok: false });
+      expect(await respondToPromotion({ tenantId: 1, enrollmentId: 1, accept: false, customerId: null }))
+        .toMatchObject({ ok: false });
+
+      findEnrollment(1).confirm_deadline = hoursFromNow(-1);
+      expect(await respondToPromotion({ tenantId: 1, enrollmentId: 1, accept: true, customerId: 101 }))
+        .toEqual({ ok: false, error: 'El plazo para confirmar el lugar ya venció' });
+      expect(statuses()).toEqual({ 1: 'reserved', 2: 'waitlisted', 3: 'waitlisted' });
+    });
+  });
+
+  describe('expireUnconfirmedPromotions', () => {
+    it('debe cancelar las promociones vencidas y dar el lugar al siguiente en la lista', async () => {
+      db.session = { id: 1, starts_at: hoursFromNow(48), capacity_max: 2, status: 'scheduled' };
+      db.enrollments = [
+        enrollment(1, 101, 'reserved', '2026-03-01 09:00:00'),
+        enrollment(2, 102, 'reserved', '2026-03-01 10:00:00', { confirm_deadline: hoursFromNow(-1) }),
+        enrollment(3, 103, 'waitlisted', '2026-03-01 12:00:00'),
+        enrollment(4, 104, 'waitlisted', '2026-03-01 11:00:00'),
+      ];
+
+      expect(await expireUnconfirmedPromotions()).toEqual({ expired: 1, promoted: 1 });
+      expect(statuses()).toEqual({ 1: 'reserved', 2: 'cancelled', 3: 'waitlisted', 4: 'reserved' });
+      expect(findEnrollment(4).confirm_deadline).not.toBeNull();
+    });
+
+    it('no debe tocar nada si no hay promociones vencidas', async () => {
+      db.enrollments = [
+        enrollment(1, 101, 'reserved', '2026-03-01 09:00:00', { confirm_deadline: hoursFromNow(3) }),
+        enrollment(2, 102, 'waitlisted', '2026-03-01 10:00:00'),
+      ];
+
+      expect(await expireUnconfirmedPromotions()).toEqual({ expired: 0, promoted: 0 });
+      expect(statuses()).toEqual({ 1: 'reserved', 2: 'waitlisted' });
+    });
+  });
+});
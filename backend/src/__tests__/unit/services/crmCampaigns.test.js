@@ -0,0 +1,103 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizeCampaignChannels,
+  normalizeCampaignVariants,
+  normalizeAttributionDays,
+  renderCampaignMessage,
+  pickCampaignChannel,
+  summarizeAttribution,
+} from '../../../services/crmCampaigns.js';
+
+describe('crmCampaigns', () => {
+  describe('normalizeCampaignChannels', () => {
+    it('debe conservar el orden elegido, descartar canales desconocidos y usar WhatsApp por defecto', () => {
+      expect(normalizeCampaignChannels(['Email', 'sms', 'whatsapp', 'email'])).toEqual(['email', 'whatsapp']);
+      expect(normalizeCampaignChannels([])).toEqual(['whatsapp']);
+      expect(normalizeCampaignChannels(undefined)).toEqual(['whatsapp']);
+    });
+  });
+
+  describe('normalizeCampaignVariants', () => {
+    it('debe tratar el mensaje único como variante A', () => {
+      expect(normalizeCampaignVariants({ message: ' Hola {nombre} ' })).toEqual([
+        { key: 'A', message: 'Hola {nombre}', subject: null },
+      ]);
+    });
+
+    it('debe rotular las variantes en orden e ignorar las vacías', () => {
+      const variants = normalizeCampaignVariants({
+        variants: [{ message: 'Uno', subject: 'Promo' }, { message: '  ' }, { message: 'Dos' }],
+      });
+      expect(variants.map((v) => v.key)).toEqual(['A', 'B']);
+      expect(variants[1]).toEqual({ key: 'B', message: 'Dos', subject: null });
+    });
+
+    it('debe rechazar una campaña sin mensaje', () => {
+      expect(() => normalizeCampaignVariants({ message: '' })).toThrow('al menos un mensaje');
+    });
+  });
+
+  describe('normalizeAttributionDays', () => {
+    it('debe acotar la ventana de atribución', () => {
+      expect(normalizeAttributionDays(undefined)).toBe(7);
+      expect(normalizeAttributionDays(0)).toBe(7);
+      expect(normalizeAttributionDays(14)).toBe(14);
+      expect(normalizeAttributionDays(365)).toBe(90);
+    });
+  });
+
+  describe('renderCampaignMessage', () => {
+    it('debe reemplazar todos los marcadores conocidos', () => {
+      const text = renderCampaignMessage('Hola {primer_nombre}! {nombre}, en {negocio} te esperamos. {primer_nombre}', {
+        customerName: 'Ana López',
+        tenantName: 'Estudio Arja',
+      });
+      expect(text).toBe('Hola Ana! Ana López, en Estudio Arja te esperamos. Ana');
+    });
+
+    it('debe usar "Cliente" sin nombre y dejar los marcadores desconocidos', () => {
+      expect(renderCampaignMessage('Hola {nombre} {codigo}', {})).toBe('Hola Cliente {codigo}');
+    });
+  });
+
+  describe('pickCampaignChannel', () => {
+    const contact = { phone: '+5491100000000', email: 'ana@example.com', pushToken: null };
+
+    it('debe respetar el canal preferido si la campaña lo usa', () => {
+      expect(pickCampaignChannel({ ...contact, preferredChannel: 'email' }, ['whatsapp', 'email'])).toBe('email');
+    });
+
+    it('debe usar el orden de la campaña si el preferido no está disponible', () => {
+      expect(pickCampaignChannel({ ...contact, preferredChannel: 'push' }, ['push', 'whatsapp', 'email'])).toBe('whatsapp');
+      expect(pickCampaignChannel({ ...contact, preferredChannel: 'email' }, ['whatsapp'])).toBe('whatsapp');
+    });
+
+    it('no debe elegir canal para clientes dados de baja o sin contacto', () => {
+      expect(pickCampaignChannel({ ...contact, optOut: true }, ['whatsapp'])).toBeNull();
+      expect(pickCampaignChannel({ email: 'ana@example.com' }, ['whatsapp', 'push'])).toBeNull();
+      expect(pickCampaignChannel(undefined, ['whatsapp'])).toBeNull();
+    });
+  });
+
+  describe('summarizeAttribution', () => {
+    it('debe contar conversiones por variante solo entre los enviados', () => {
+      const { variants, totals } = summarizeAttribution(
+        [
+          { variant: 'A', status: 'sent', booked: 1, enrolled: 0, paid: 1 },
+          { variant: 'A', status: 'sent', booked: 0, enrolled: 0, paid: 0 },
+          { variant: 'B', status: 'sent', booked: 0, enrolled: 1, paid: 0 },
+          { variant: 'B', status: 'failed', booked: 1, enrolled: 0, paid: 0 },
+        ],
+        [
+          { key: 'A', message: 'Uno' },
+          { key: 'B', message: 'Dos' },
+          { key: 'C', message: 'Tres' },
+        ]
+      );
+      expect(variants[0]).toMatchObject({ key: 'A', recipients: 2, sent: 2, booked: 1, paid: 1, converted: 1, conversionRate: 50 });
+      expect(variants[1]).toMatchObject({ key: 'B', recipients: 2, sent: 1, booked: 0, enrolled: 1, converted: 1, conversionRate: 100 });
+      expect(variants[2]).toMatchObject({ key: 'C', recipients: 0, conversionRate: 0 });
+      expect(totals).toMatchObject({ recipients: 4, sent: 3, converted: 2, conversionRate: 66.7 });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  CUSTOMER_PERSONAL_FIELDS,
+  buildAnonymizedCustomer,
+  buildInvoiceReceptorSnapshot,
+} from '../../../services/customerPrivacy.js';
+import { parseInvoiceReceptor } from '../../../services/invoicePdf.js';
+
+describe('customerPrivacy', () => {
+  describe('buildAnonymizedCustomer', () => {
+    it('debe reemplazar el nombre por un alias y vaciar los datos identificatorios', () => {
+      const values = buildAnonymizedCustomer(42);
+      expect(values.name).toBe('Cliente anonimizado #42');
+      for (const field of CUSTOMER_PERSONAL_FIELDS) {
+        expect(values[field]).toBeNull();
+      }
+      expect(CUSTOMER_PERSONAL_FIELDS).toEqual(
+        expect.arrayContaining(['phone_e164', 'email', 'documento', 'cuit', 'picture'])
+      );
+    });
+  });
+
+  describe('buildInvoiceReceptorSnapshot', () => {
+    it('debe copiar sólo los datos fiscales presentes en el cliente', () => {
+      const snapshot = buildInvoiceReceptorSnapshot({
+        id: 7,
+        name: 'Ana Pérez',
+        phone_e164: '+5491155550000',
+        email: 'ana@example.com',
+        documento: '30111222',
+        cuit: null,
+        condicion_iva: '5',
+      });
+      expect(snapshot).toEqual({
+        name: 'Ana Pérez',
+        documento: '30111222',
+        cuit: null,
+        condicion_iva: '5',
+      });
+    });
+
+    it('la copia guardada en la factura se vuelve a leer como receptor', () => {
+      const snapshot = buildInvoiceReceptorSnapshot({ name: 'Ana Pérez', documento: '30111222' });
+      expect(parseInvoiceReceptor(JSON.stringify(snapshot))).toEqual(snapshot);
+      expect(parseInvoiceReceptor(null)).toBeNull();
+      expect(parseInvoiceReceptor('no-es-json')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  generateGiftCardCode,
+  normalizeGiftCardCode,
+  giftCardDisplayStatus,
+  planRedemption,
+} from '../../../services/giftCards.js';
+
+describe('giftCards', () => {
+  describe('generateGiftCardCode', () => {
+    it('debe generar 12 caracteres en bloques de 4 sin caracteres ambiguos', () => {
+      let i = 0;
+      const code = generateGiftCardCode((max) => i++ % max);
+      expect(code).toBe('ABCD-EFGH-JKLM');
+      expect(generateGiftCardCode()).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    });
+  });
+
+  describe('normalizeGiftCardCode', () => {
+    it('debe aceptar el código tipeado en minúsculas o con espacios', () => {
+      expect(normalizeGiftCardCode(' abcd efgh-jkmn ')).toBe('ABCD-EFGH-JKMN');
+      expect(normalizeGiftCardCode('')).toBe('');
+    });
+  });
+
+  describe('giftCardDisplayStatus', () => {
+    const today = '2026-05-10';
+
+    it('debe distinguir gift cards agotadas y vencidas', () => {
+      expect(giftCardDisplayStatus({ status: 'active', balance: '0.00', expires_at: null }, today)).toBe('redeemed');
+      expect(giftCardDisplayStatus({ status: 'active', balance: '500.00', expires_at: '2026-05-09' }, today)).toBe('expired');
+      expect(giftCardDisplayStatus({ status: 'active', balance: '500.00', expires_at: '2026-05-10' }, today)).toBe('active');
+      expect(giftCardDisplayStatus({ status: 'cancelled', balance: '0.00', expires_at: null }, today)).toBe('cancelled');
+    });
+  });
+
+  describe('planRedemption', () => {
+    const today = '2026-05-10';
+    const card = { code: 'ABCD-EFGH-JKMN', status: 'active', balance: '5000.00', expires_at: '2026-12-31' };
+
+    it('debe permitir el canje parcial', () => {
+      expect(planRedemption(card, 1800.5, today)).toEqual({ amount: 1800.5, balanceAfter: 3199.5 });
+      expect(planRedemption(card, '5000', today)).toEqual({ amount: 5000, balanceAfter: 0 });
+    });
+
+    it('debe rechazar canjes mayores al saldo o de gift cards no vigentes', () => {
+      expect(() => planRedemption(card, 6000, today)).toThrow('El saldo de la gift card ABCD-EFGH-JKMN es');
+      expect(() => planRedemption(card, 0, today)).toThrow('mayor a 0');
+      expect(() => planRedemption({ ...card, expires_at: '2026-05-01' }, 100, today)).toThrow('venció');
+      expect(() => planRedemption({ ...card, status: 'cancelled' }, 100, today)).toThrow('anulada');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  planFifoCost,
+  buildPeriodReport,
+  resolvePeriod,
+  normalizeValuationMethod,
+} from '../../../services/inventoryCosting.js';
+
+describe('inventoryCosting', () => {
+  describe('planFifoCost', () => {
+    const layers = [
+      { id: 7, unit_cost: '120.0000', remaining_quantity: '5.000' },
+      { id: 3, unit_cost: '100.0000', remaining_quantity: '2.000' },
+    ];
+
+    it('debe consumir las capas más antiguas primero', () => {
+      const plan = planFifoCost(layers, 4);
+      expect(plan.allocations).toEqual([
+        { layerId: 3, quantity: 2, unitCost: 100 },
+        { layerId: 7, quantity: 2, unitCost: 120 },
+      ]);
+      expect(plan.totalCost).toBe(440);
+      expect(plan.uncovered).toBe(0);
+    });
+
+    it('debe valuar al costo de respaldo lo que no cubren las capas', () => {
+      const plan = planFifoCost(layers, 9, 90);
+      expect(plan.uncovered).toBe(2);
+      expect(plan.totalCost).toBe(200 + 600 + 180);
+    });
+  });
+
+  describe('buildPeriodReport', () => {
+    it('debe cerrar con apertura + entradas - salidas', () => {
+      const { totals, products } = buildPeriodReport([
+        {
+          product_id: 1,
+          product_name: 'Shampoo',
+          opening_value: '1000.00',
+          purchases_value: '500.00',
+          cogs_value: '300.00',
+          other_in_value: '50.00',
+          other_out_value: '20.00',
+        },
+        { product_id: 2, product_name: 'Acondicionador', opening_value: '200.00', cogs_value: '200.00' },
+      ]);
+      expect(products[0].closing_value).toBe(1230);
+      expect(products[1].closing_value).toBe(0);
+      expect(totals).toEqual({
+        opening_value: 1200,
+        purchases_value: 500,
+        cogs_value: 500,
+        other_in_value: 50,
+        other_out_value: 20,
+        closing_value: 1230,
+      });
+    });
+  });
+
+  describe('resolvePeriod', () => {
+    it('debe usar el mes en curso por defecto', () => {
+      expect(resolvePeriod({}, new Date(2026, 2, 17))).toEqual({ from: '2026-03-01', to: '2026-03-17' });
+    });
+
+    it('debe rechazar fechas inválidas o invertidas', () => {
+      expect(() => resolvePeriod({ from: '01/03/2026', to: '2026-03-31' })).toThrow('Período inválido');
+      expect(() => resolvePeriod({ from: '2026-04-01', to: '2026-03-31' })).toThrow('posterior');
+    });
+  });
+
+  it('normalizeValuationMethod debe caer en promedio ponderado', () => {
+    expect(normalizeValuationMethod('FIFO')).toBe('fifo');
+    expect(normalizeValuationMethod('lifo')).toBe('weighted_average');
+    expect(normalizeValuationMethod(undefined)).toBe('weighted_average');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildArcaQrPayload,
+  buildArcaQrUrl,
+  resolveReceptorDoc,
+  normalizeInvoiceLines,
+  formatComprobanteNumber,
+  renderInvoicePdf,
+} from '../../../services/invoicePdf.js';
+
+describe('invoicePdf', () => {
+  const invoice = {
+    tipo_comprobante: 1,
+    punto_venta: 3,
+    numero_comprobante: 125,
+    fecha_emision: '2026-03-17 10:30:00',
+    importe_neto: 18000,
+    importe_iva: 3465,
+    importe_total: 21465,
+    cae: '74123456789012',
+    vto_cae: '20260327',
+    items: JSON.stringify([
+      { descripcion: 'Corte', cantidad: 1, precio_unitario: 15000, alicuota_iva: 21 },
+      { descripcion: 'Shampoo', cantidad: 2, precio_unitario: 1500, alicuota_iva: 10.5 },
+    ]),
+  };
+
+  describe('buildArcaQrPayload', () => {
+    it('debe respetar la especificación del QR de ARCA', () => {
+      const receptor = resolveReceptorDoc({ cuit: '30-71234567-8' });
+      const payload = buildArcaQrPayload(invoice, { cuitEmisor: '20-12345678-9', receptor });
+      expect(payload).toEqual({
+        ver: 1,
+        fecha: '2026-03-17',
+        cuit: 20123456789,
+        ptoVta: 3,
+        tipoCmp: 1,
+        nroCmp: 125,
+        importe: 21465,
+        moneda: 'PES',
+        ctz: 1,
+        tipoDocRec: 80,
+        nroDocRec: 30712345678,
+        tipoCodAut: 'E',
+        codAut: 74123456789012,
+      });
+    });
+
+    it('debe omitir el receptor para consumidor final y usar importe positivo en NC', () => {
+      const payload = buildArcaQrPayload(
+        { ...invoice, tipo_comprobante: 8, importe_total: -1210 },
+        { cuitEmisor: '20123456789', receptor: resolveReceptorDoc({}) }
+      );
+      expect(payload.tipoDocRec).toBeUndefined();
+      expect(payload.importe).toBe(1210);
+    });
+
+    it('buildArcaQrUrl debe codificar el JSON en base64', () => {
+      const url = buildArcaQrUrl({ ver: 1 });
+      expect(url.startsWith('https://www.afip.gob.ar/fe/qr/?p=')).toBe(true);
+      const encoded = url.split('?p=')[1];
+      expect(JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'))).toEqual({ ver: 1 });
+    });
+  });
+
+  it('resolveReceptorDoc debe distinguir CUIT, DNI y consumidor final', () => {
+    expect(resolveReceptorDoc({ documento: '30.123.456' })).toEqual({ tipoDoc: 96, nroDoc: 30123456 });
+    expect(resolveReceptorDoc({ documento: '20301234569' })).toEqual({ tipoDoc: 80, nroDoc: 20301234569 });
+    expect(resolveReceptorDoc({ documento: '123' })).toEqual({ tipoDoc: 99, nroDoc: 0 });
+  });
+
+  it('normalizeInvoiceLines debe devolver importes positivos para notas de crédito', () => {
+    const lines = normalizeInvoiceLines({
+      items: [{ descripcion: 'Devolución', cantidad: 1, precio_unitario: 1000, alicuota_iva: 21, importe_neto: -1000, importe_iva: -210 }],
+    });
+    expect(lines[0]).toMatchObject({ importe_neto: 1000, importe_iva: 210, importe_total: 1210 });
+  });
+
+  it('formatComprobanteNumber debe rellenar punto de venta y número', () => {
+    expect(formatComprobanteNumber(3, 125)).toBe('0003-00000125');
+  });
+
+  it('renderInvoicePdf debe generar un PDF', async () => {
+    const buffer = await renderInvoicePdf({
+      invoice,
+      emisor: { razonSocial: 'Peluquería Demo', cuit: '20123456789', condicionIva: 'IVA Responsable Inscripto' },
+      receptor: { nombre: 'Cliente SA', ...resolveReceptorDoc({ cuit: '30712345678' }) },
+    });
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
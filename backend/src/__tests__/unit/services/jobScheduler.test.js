@@ -0,0 +1,60 @@
+import { describe, it, expect } from '@jest/globals';
+import { retryDelaySeconds, nextJobState, JOB_STATUS } from '../../../services/jobScheduler.js';
+
+describe('jobScheduler', () => {
+  describe('retryDelaySeconds', () => {
+    it('debe duplicar la espera en cada intento hasta un máximo de una hora', () => {
+      expect(retryDelaySeconds(1)).toBe(60);
+      expect(retryDelaySeconds(2)).toBe(120);
+      expect(retryDelaySeconds(3)).toBe(240);
+      expect(retryDelaySeconds(20)).toBe(3600);
+      expect(retryDelaySeconds(undefined)).toBe(60);
+    });
+  });
+
+  describe('nextJobState', () => {
+    it('debe reprogramar una tarea recurrente exitosa en su intervalo y reiniciar los intentos', () => {
+      expect(nextJobState({ intervalSeconds: 300, attempts: 2, maxAttempts: 3 }, true)).toEqual({
+        status: JOB_STATUS.SCHEDULED,
+        attempts: 0,
+        delaySeconds: 300,
+      });
+    });
+
+    it('debe completar una tarea única exitosa', () => {
+      expect(nextJobState({ intervalSeconds: null, attempts: 1, maxAttempts: 3 }, true)).toEqual({
+        status: JOB_STATUS.COMPLETED,
+        attempts: 1,
+        delaySeconds: null,
+      });
+    });
+
+    it('debe reintentar con espera creciente mientras queden intentos', () => {
+      expect(nextJobState({ intervalSeconds: null, attempts: 2, maxAttempts: 3 }, false)).toEqual({
+        status: JOB_STATUS.SCHEDULED,
+        attempts: 2,
+        delaySeconds: 120,
+      });
+    });
+
+    it('no debe esperar más que el intervalo de una tarea recurrente para reintentar', () => {
+      expect(nextJobState({ intervalSeconds: 90, attempts: 2, maxAttempts: 3 }, false).delaySeconds).toBe(90);
+    });
+
+    it('debe marcar como fallida una tarea única sin intentos restantes', () => {
+      expect(nextJobState({ intervalSeconds: null, attempts: 3, maxAttempts: 3 }, false)).toEqual({
+        status: JOB_STATUS.FAILED,
+        attempts: 3,
+        delaySeconds: null,
+      });
+    });
+
+    it('debe volver al intervalo normal cuando una tarea recurrente agota los intentos', () => {
+      expect(nextJobState({ intervalSeconds: 3600, attempts: 3, maxAttempts: 3 }, false)).toEqual({
+        status: JOB_STATUS.SCHEDULED,
+        attempts: 0,
+        delaySeconds: 3600,
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  LOYALTY_DEFAULTS,
+  normalizeLoyaltySettings,
+  computeEarnedPoints,
+  computePointsExpiry,
+  planPointsConsumption,
+} from '../../../services/loyalty.js';
+
+describe('loyalty', () => {
+  describe('normalizeLoyaltySettings', () => {
+    it('debe completar los valores por defecto y dejar el programa apagado', () => {
+      expect(normalizeLoyaltySettings({})).toEqual(LOYALTY_DEFAULTS);
+    });
+
+    it('debe respetar los valores guardados y descartar los inválidos', () => {
+      const settings = normalizeLoyaltySettings({
+        enabled: 'true',
+        appointment_points: 20,
+        class_points: -3,
+        product_points_per_100: '2.5',
+        expiry_days: 0,
+      });
+      expect(settings.enabled).toBe(true);
+      expect(settings.appointment_points).toBe(20);
+      expect(settings.class_points).toBe(LOYALTY_DEFAULTS.class_points);
+      expect(settings.product_points_per_100).toBe(2.5);
+      expect(settings.expiry_days).toBe(0);
+    });
+  });
+
+  describe('computeEarnedPoints', () => {
+    const settings = normalizeLoyaltySettings({
+      enabled: true,
+      appointment_points: 10,
+      class_points: 4,
+      product_points_per_100: 1,
+    });
+
+    it('debe sumar puntos fijos por turno y por clase', () => {
+      expect(computeEarnedPoints(settings, 'appointment')).toBe(10);
+      expect(computeEarnedPoints(settings, 'class')).toBe(4);
+    });
+
+    it('debe sumar puntos por cada $100 de productos, redondeando hacia abajo', () => {
+      expect(computeEarnedPoints(settings, 'purchase', 2599)).toBe(25);
+      expect(computeEarnedPoints(settings, 'purchase', 99)).toBe(0);
+    });
+
+    it('no debe sumar nada con el programa apagado', () => {
+      expect(computeEarnedPoints({ ...settings, enabled: false }, 'appointment')).toBe(0);
+    });
+  });
+
+  describe('computePointsExpiry', () => {
+    it('debe calcular el vencimiento en días corridos', () => {
+      expect(computePointsExpiry('2026-01-15', 30)).toBe('2026-02-14');
+    });
+
+    it('sin días de vencimiento los puntos no vencen', () => {
+      expect(computePointsExpiry('2026-01-15', 0)).toBeNull();
+    });
+  });
+
+  describe('planPointsConsumption', () => {
+    const entries = [
+      { id: 1, remaining: 10, expires_at: null },
+      { id: 2, remaining: 5, expires_at: '2026-08-01' },
+      { id: 3, remaining: 8, expires_at: '2026-06-01' },
+      { id: 4, remaining: 0, expires_at: '2026-05-01' },
+    ];
+
+    it('debe consumir primero los puntos que vencen antes y dejar los que no vencen al final', () => {
+      expect(planPointsConsumption(entries, 15)).toEqual([
+        { id: 3, take: 8 },
+        { id: 2, take: 5 },
+        { id: 1, take: 2 },
+      ]);
+    });
+
+    it('debe rechazar canjes mayores al saldo', () => {
+      expect(() => planPointsConsumption(entries, 24)).toThrow('Puntos insuficientes: tenés 23');
+    });
+  });
+});
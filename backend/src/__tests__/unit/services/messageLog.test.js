@@ -0,0 +1,58 @@
+import { describe, it, expect } from '@jest/globals';
+import { nextDeliveryStatus, toBodyPreview, describeStatusError } from '../../../services/messageLog.js';
+
+describe('messageLog', () => {
+  describe('nextDeliveryStatus', () => {
+    it('debe avanzar sent → delivered → read', () => {
+      expect(nextDeliveryStatus('sent', 'delivered')).toBe('delivered');
+      expect(nextDeliveryStatus('delivered', 'read')).toBe('read');
+    });
+
+    it('no debe retroceder con webhooks desordenados', () => {
+      expect(nextDeliveryStatus('read', 'delivered')).toBe('read');
+      expect(nextDeliveryStatus('delivered', 'sent')).toBe('delivered');
+    });
+
+    it('debe marcar como fallido un mensaje enviado pero no uno ya entregado', () => {
+      expect(nextDeliveryStatus('sent', 'failed')).toBe('failed');
+      expect(nextDeliveryStatus('read', 'failed')).toBe('read');
+    });
+
+    it('debe ignorar estados desconocidos', () => {
+      expect(nextDeliveryStatus('sent', 'deleted')).toBe('sent');
+    });
+  });
+
+  describe('toBodyPreview', () => {
+    it('debe preferir el texto plano', () => {
+      expect(toBodyPreview('Hola\n\nJuan', '<p>otro</p>')).toBe('Hola Juan');
+    });
+
+    it('debe quitar etiquetas y estilos del HTML', () => {
+      expect(toBodyPreview(null, '<style>p{color:red}</style><p>Nuevo&nbsp;turno</p><br><b>10:00</b>')).toBe(
+        'Nuevo turno 10:00'
+      );
+    });
+
+    it('debe acotar el largo', () => {
+      const preview = toBodyPreview('x'.repeat(800));
+      expect(preview).toHaveLength(500);
+      expect(preview.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('describeStatusError', () => {
+    it('debe combinar el código y el detalle del primer error de Meta', () => {
+      expect(
+        describeStatusError([
+          { code: 131047, title: 'Re-engagement message', error_data: { details: 'Pasaron más de 24 horas' } },
+        ])
+      ).toBe('131047: Pasaron más de 24 horas');
+    });
+
+    it('debe devolver null si no hay errores', () => {
+      expect(describeStatusError(undefined)).toBeNull();
+      expect(describeStatusError([])).toBeNull();
+    });
+  });
+});
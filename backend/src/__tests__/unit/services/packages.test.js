@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeExpiry,
+  normalizePackageItems,
+  buildPackageReference,
+  parsePackageReference,
+  displayStatus,
+} from '../../../services/packages.js';
+
+describe('packages', () => {
+  describe('computeExpiry', () => {
+    it('debe sumar los días de validez a la fecha de compra', () => {
+      expect(computeExpiry('2026-01-25 18:30:00', 10)).toBe('2026-02-04');
+    });
+
+    it('no debe vencer sin días de validez', () => {
+      expect(computeExpiry('2026-01-25 18:30:00', null)).toBeNull();
+      expect(computeExpiry('2026-01-25 18:30:00', 0)).toBeNull();
+    });
+  });
+
+  describe('normalizePackageItems', () => {
+    it('debe sumar los usos de un servicio repetido', () => {
+      expect(normalizePackageItems([
+        { serviceId: 3, uses: 5 },
+        { serviceId: '3', uses: 5 },
+        { serviceId: 7, uses: 2 },
+      ])).toEqual([
+        { serviceId: 3, uses: 10 },
+        { serviceId: 7, uses: 2 },
+      ]);
+    });
+
+    it('debe rechazar paquetes vacíos o usos inválidos', () => {
+      expect(() => normalizePackageItems([])).toThrow('Indicá al menos un servicio incluido');
+      expect(() => normalizePackageItems([{ serviceId: 3, uses: 0 }])).toThrow('La cantidad de usos');
+      expect(() => normalizePackageItems([{ serviceId: 3, uses: 1.5 }])).toThrow('La cantidad de usos');
+    });
+  });
+
+  describe('parsePackageReference', () => {
+    it('debe leer la referencia generada para Mercado Pago', () => {
+      expect(parsePackageReference(buildPackageReference(4, 120))).toEqual({ tenantId: 4, customerPackageId: 120 });
+    });
+
+    it('debe ignorar referencias de turnos y suscripciones', () => {
+      expect(parsePackageReference('4:120')).toBeNull();
+      expect(parsePackageReference('tenant:4:customer:9:plan:2:subscription')).toBeNull();
+    });
+  });
+
+  describe('displayStatus', () => {
+    const today = '2026-03-10';
+
+    it('debe informar bonos vencidos o sin usos', () => {
+      expect(displayStatus({ status: 'active', expires_at: '2026-03-09' }, 3, today)).toBe('expired');
+      expect(displayStatus({ status: 'active', expires_at: null }, 0, today)).toBe('used');
+      expect(displayStatus({ status: 'active', expires_at: '2026-03-10' }, 1, today)).toBe('active');
+    });
+
+    it('debe respetar los estados que no son activos', () => {
+      expect(displayStatus({ status: 'cancelled', expires_at: null }, 4, today)).toBe('cancelled');
+    });
+  });
+});
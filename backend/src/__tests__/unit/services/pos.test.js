@@ -0,0 +1,115 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizePayments,
+  computeSaleTotals,
+  netPaymentsForRegister,
+  buildInvoiceItems,
+  buildInvoiceTotals,
+  invoiceableItems,
+} from '../../../services/pos.js';
+
+describe('pos', () => {
+  const lines = [
+    { unit_price: 8000, quantity: 1, discount: 0 },
+    { unit_price: 2500, quantity: 2, discount: 500 },
+  ];
+
+  describe('normalizePayments', () => {
+    it('debe descartar montos en cero y normalizar el medio', () => {
+      expect(normalizePayments([
+        { method: 'CASH', amount: '1000' },
+        { method: 'card', amount: 0 },
+      ])).toEqual([{ method: 'cash', amount: 1000, reference: null }]);
+    });
+
+    it('debe rechazar medios de pago desconocidos', () => {
+      expect(() => normalizePayments([{ method: 'cheque', amount: 10 }])).toThrow('Medio de pago inválido');
+      expect(() => normalizePayments([])).toThrow('al menos un medio de pago');
+    });
+
+    it('debe exigir y normalizar el código en los pagos con gift card', () => {
+      expect(normalizePayments([{ method: 'gift_card', amount: 500, reference: 'abcd efgh jkmn' }]))
+        .toEqual([{ method: 'gift_card', amount: 500, reference: 'ABCD-EFGH-JKMN' }]);
+      expect(() => normalizePayments([{ method: 'gift_card', amount: 500 }])).toThrow('código de la gift card');
+    });
+  });
+
+  describe('computeSaleTotals', () => {
+    it('debe calcular totales con pago dividido y vuelto en efectivo', () => {
+      const totals = computeSaleTotals(lines, [
+        { method: 'card', amount: 10000 },
+        { method: 'cash', amount: 3000 },
+      ]);
+      expect(totals).toEqual({
+        subtotal: 13000,
+        discount_total: 500,
+        total: 12500,
+        paid_total: 13000,
+        change: 500,
+      });
+    });
+
+    it('debe rechazar pagos insuficientes', () => {
+      expect(() => computeSaleTotals(lines, [{ method: 'cash', amount: 12000 }])).toThrow('no cubren el total');
+    });
+
+    it('no debe dar vuelto sobre pagos que no son efectivo', () => {
+      expect(() => computeSaleTotals(lines, [{ method: 'transfer', amount: 13000 }])).toThrow('vuelto');
+    });
+  });
+
+  it('netPaymentsForRegister debe descontar el vuelto del efectivo', () => {
+    expect(netPaymentsForRegister([
+      { method: 'card', amount: 10000 },
+      { method: 'cash', amount: 3000 },
+    ], 500)).toEqual([
+      { method: 'card', amount: 10000 },
+      { method: 'cash', amount: 2500 },
+    ]);
+    expect(netPaymentsForRegister([{ method: 'cash', amount: 500 }], 500)).toEqual([]);
+  });
+
+  it('buildInvoiceItems debe informar precios netos de IVA', () => {
+    expect(buildInvoiceItems([{ description: 'Corte', quantity: 2, total: 2420 }])).toEqual([
+      { descripcion: 'Corte', cantidad: 2, precio_unitario: 1000, alicuota_iva: 21 },
+    ]);
+    expect(buildInvoiceItems([{ description: 'Corte', quantity: 1, total: 500 }], { includesIva: false })[0])
+      .toMatchObject({ precio_unitario: 500, alicuota_iva: 0 });
+    expect(buildInvoiceItems([{ description: 'Shampoo', quantity: 1, total: 1105, alicuota_iva: '10.50' }])[0])
+      .toMatchObject({ precio_unitario: 1000, alicuota_iva: 10.5 });
+  });
+
+  it('buildInvoiceTotals debe cerrar el total del comprobante con lo cobrado', () => {
+    const items = [
+      { description: 'Shampoo', quantity: 3, total: 1000 },
+      { description: 'Acondicionador', quantity: 1, total: 999.99 },
+    ];
+    const resumen = buildInvoiceTotals(items);
+    expect(resumen.importe_total).toBe(1999.99);
+    expect(resumen.alicuotas).toEqual([{ id: 5, alicuota: 21, base_imponible: 1652.88, importe: 347.11 }]);
+    expect(resumen.importe_neto).toBe(1652.88);
+    expect(resumen.importe_iva).toBe(347.11);
+    expect(resumen.items[0]).toMatchObject({ cantidad: 3, importe_neto: 826.45, importe_iva: 173.55, importe_total: 1000 });
+  });
+
+  it('invoiceableItems no debe facturar la venta de gift cards', () => {
+    const items = [
+      { item_type: 'product', description: 'Shampoo', quantity: 1, total: 1210 },
+      { item_type: 'gift_card', description: 'Gift card', quantity: 1, total: 5000 },
+      { item_type: 'service', description: 'Corte', quantity: 1, total: 2420 },
+    ];
+    expect(invoiceableItems(items).map((item) => item.description)).toEqual(['Shampoo', 'Corte']);
+    expect(buildInvoiceTotals(invoiceableItems(items)).importe_total).toBe(3630);
+    expect(invoiceableItems([items[1]])).toEqual([]);
+  });
+
+  it('buildInvoiceTotals debe agrupar por alícuota sin perder centavos', () => {
+    const resumen = buildInvoiceTotals([
+      { description: 'Corte', quantity: 7, total: 1000 },
+      { description: 'Libro', quantity: 3, total: 100, alicuota_iva: 10.5 },
+    ]);
+    expect(resumen.alicuotas.map((a) => a.alicuota)).toEqual([10.5, 21]);
+    expect(resumen.importe_total).toBe(1100);
+    expect(resumen.alicuotas.reduce((acc, a) => acc + a.base_imponible + a.importe, 0)).toBeCloseTo(1100, 2);
+  });
+});
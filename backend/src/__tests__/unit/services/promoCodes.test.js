@@ -0,0 +1,124 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizePromoCode,
+  normalizePromoTargets,
+  promoMatchesTarget,
+  computePromoDiscount,
+  evaluatePromo,
+} from '../../../services/promoCodes.js';
+
+describe('promoCodes', () => {
+  describe('normalizePromoCode', () => {
+    it('debe aceptar el código tipeado en minúsculas o con espacios', () => {
+      expect(normalizePromoCode('  verano 25 ')).toBe('VERANO25');
+      expect(normalizePromoCode('bienvenida-10!')).toBe('BIENVENIDA-10');
+      expect(normalizePromoCode(null)).toBe('');
+    });
+  });
+
+  describe('normalizePromoTargets', () => {
+    it('debe tratar el id vacío como "todos" y descartar los destinos redundantes', () => {
+      const targets = normalizePromoTargets([
+        { type: 'service', id: 3 },
+        { type: 'service', id: null },
+        { type: 'membership_plan', id: 7 },
+        { type: 'membership_plan', id: 7 },
+      ]);
+      expect(targets).toEqual([
+        { type: 'service', id: 0 },
+        { type: 'membership_plan', id: 7 },
+      ]);
+    });
+
+    it('debe rechazar tipos desconocidos', () => {
+      expect(() => normalizePromoTargets([{ type: 'product', id: 1 }])).toThrow('Tipo de destino inválido');
+    });
+  });
+
+  describe('promoMatchesTarget', () => {
+    it('sin destinos debe aplicar a todo', () => {
+      expect(promoMatchesTarget([], { type: 'class', id: 4 })).toBe(true);
+    });
+
+    it('debe respetar el tipo y el id del destino', () => {
+      const targets = [{ type: 'service', id: 3 }, { type: 'class', id: 0 }];
+      expect(promoMatchesTarget(targets, { type: 'service', id: 3 })).toBe(true);
+      expect(promoMatchesTarget(targets, { type: 'service', id: 4 })).toBe(false);
+      expect(promoMatchesTarget(targets, { type: 'class', id: 9 })).toBe(true);
+      expect(promoMatchesTarget(targets, { type: 'membership_plan', id: 3 })).toBe(false);
+    });
+  });
+
+  describe('computePromoDiscount', () => {
+    it('debe calcular porcentaje y monto fijo sin superar el precio', () => {
+      expect(computePromoDiscount({ discount_type: 'percent', discount_value: '15' }, 9999)).toBe(1499.85);
+      expect(computePromoDiscount({ discount_type: 'fixed', discount_value: '2000' }, 8000)).toBe(2000);
+      expect(computePromoDiscount({ discount_type: 'fixed', discount_value: '2000' }, 1500)).toBe(1500);
+      expect(computePromoDiscount({ discount_type: 'percent', discount_value: '50' }, 0)).toBe(0);
+    });
+  });
+
+  describe('evaluatePromo', () => {
+    const today = '2026-05-10';
+    const promo = {
+      code: 'VERANO',
+      is_active: 1,
+      discount_type: 'percent',
+      discount_value: '20',
+      starts_at: '2026-05-01',
+      ends_at: '2026-05-31',
+      max_uses_total: 100,
+      max_uses_per_customer: 1,
+      first_visit_only: 0,
+    };
+    const target = { type: 'service', id: 3 };
+
+    it('debe devolver el descuento y el precio final', () => {
+      expect(evaluatePromo(promo, { target, amount: 10000, today, usage: { total: 5, customer: 0 } })).toEqual({
+        originalAmount: 10000,
+        discount: 2000,
+        finalAmount: 8000,
+      });
+    });
+
+    it('debe validar vigencia y estado', () => {
+      expect(() => evaluatePromo({ ...promo, is_active: 0 }, { target, amount: 1000, today })).toThrow('no está vigente');
+      expect(() => evaluatePromo(promo, { target, amount: 1000, today: '2026-04-30' })).toThrow('todavía no está vigente');
+      expect(() => evaluatePromo(promo, { target, amount: 1000, today: '2026-06-01' })).toThrow('venció');
+    });
+
+    it('debe validar el destino', () => {
+      expect(() =>
+        evaluatePromo(promo, { targets: [{ type: 'service', id: 8 }], target, amount: 1000, today })
+      ).toThrow('no aplica a este servicio');
+    });
+
+    it('debe respetar los topes de uso', () => {
+      expect(() => evaluatePromo(promo, { target, amount: 1000, today, usage: { total: 100, customer: 0 } })).toThrow(
+        'límite de usos'
+      );
+      expect(() => evaluatePromo(promo, { target, amount: 1000, today, usage: { total: 3, customer: 1 } })).toThrow(
+        'Ya usaste el código VERANO'
+      );
+    });
+
+    it('sólo primera visita debe bloquear a clientes con visitas previas', () => {
+      const firstVisit = { ...promo, first_visit_only: 1 };
+      expect(() => evaluatePromo(firstVisit, { target, amount: 1000, today, isFirstVisit: false })).toThrow(
+        'primera visita'
+      );
+      // Cliente todavía no identificado: se vuelve a validar al reservar
+      expect(evaluatePromo(firstVisit, { target, amount: 1000, today, isFirstVisit: null }).discount).toBe(200);
+    });
+
+    it('los códigos personales sólo los puede usar su cliente', () => {
+      const personal = { ...promo, customer_id: 42 };
+      expect(() => evaluatePromo(personal, { target, amount: 1000, today, customerId: 7 })).toThrow('es personal');
+      expect(evaluatePromo(personal, { target, amount: 1000, today, customerId: 42 }).discount).toBe(200);
+    });
+
+    it('no debe aplicar sobre ítems sin precio', () => {
+      expect(() => evaluatePromo(promo, { target, amount: 0, today })).toThrow('sin precio');
+    });
+  });
+});
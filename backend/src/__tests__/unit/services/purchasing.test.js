@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeOrderStatus,
+  suggestReorderQuantity,
+  computeWeightedCost,
+} from '../../../services/purchasing.js';
+
+describe('purchasing', () => {
+  describe('computeOrderStatus', () => {
+    it('debe quedar emitida si no se recibió nada', () => {
+      expect(computeOrderStatus([
+        { quantity_ordered: 10, quantity_received: 0 },
+      ])).toBe('ordered');
+    });
+
+    it('debe marcar recepción parcial', () => {
+      expect(computeOrderStatus([
+        { quantity_ordered: 10, quantity_received: 10 },
+        { quantity_ordered: 5, quantity_received: 0 },
+      ])).toBe('partial');
+    });
+
+    it('debe marcar recibida cuando todas las líneas están completas', () => {
+      expect(computeOrderStatus([
+        { quantity_ordered: '10.000', quantity_received: '12.000' },
+        { quantity_ordered: 5, quantity_received: 5 },
+      ])).toBe('received');
+    });
+  });
+
+  describe('suggestReorderQuantity', () => {
+    it('debe reponer hasta el máximo configurado', () => {
+      expect(suggestReorderQuantity({ currentQuantity: 3, minStock: 5, maxStock: 20 })).toBe(17);
+    });
+
+    it('debe usar el doble del mínimo si no hay máximo', () => {
+      expect(suggestReorderQuantity({ currentQuantity: 2, minStock: 5, maxStock: 0 })).toBe(8);
+    });
+
+    it('debe sugerir al menos una unidad', () => {
+      expect(suggestReorderQuantity({ currentQuantity: 50, minStock: 0, maxStock: 0 })).toBe(1);
+    });
+  });
+
+  describe('computeWeightedCost', () => {
+    it('debe promediar el costo con el stock existente', () => {
+      expect(computeWeightedCost({
+        currentQuantity: 10,
+        currentCost: 100,
+        receivedQuantity: 10,
+        receivedCost: 120,
+      })).toBe(110);
+    });
+
+    it('debe tomar el costo de compra si no había stock', () => {
+      expect(computeWeightedCost({
+        currentQuantity: 0,
+        currentCost: 100,
+        receivedQuantity: 4,
+        receivedCost: 150.555,
+      })).toBe(150.56);
+    });
+
+    it('debe conservar el costo actual si no se informa costo de compra', () => {
+      expect(computeWeightedCost({
+        currentQuantity: 3,
+        currentCost: '80.00',
+        receivedQuantity: 2,
+        receivedCost: null,
+      })).toBe(80);
+    });
+  });
+});
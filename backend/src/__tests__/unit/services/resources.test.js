@@ -0,0 +1,88 @@
+import { describe, it, expect } from '@jest/globals';
+import { peakUsage, findResourceConflict, listResourceBookings } from '../../../services/resources.js';
+
+const at = (hhmm) => new Date(`2026-05-04T${hhmm}:00`);
+const booking = (resourceId, from, to, quantity = 1) => ({
+  resourceId,
+  start: at(from),
+  end: at(to),
+  quantity,
+});
+
+describe('resources', () => {
+  describe('peakUsage', () => {
+    it('debe sumar reservas superpuestas dentro de la ventana', () => {
+      const bookings = [booking(1, '09:00', '10:00'), booking(1, '09:30', '10:30'), booking(1, '11:00', '12:00')];
+      expect(peakUsage(bookings, at('09:00'), at('12:00'))).toBe(2);
+      expect(peakUsage(bookings, at('10:15'), at('12:00'))).toBe(1);
+    });
+
+    it('no debe contar como superpuestos turnos consecutivos', () => {
+      const bookings = [booking(1, '09:00', '10:00'), booking(1, '10:00', '11:00')];
+      expect(peakUsage(bookings, at('09:00'), at('11:00'))).toBe(1);
+    });
+  });
+
+  describe('findResourceConflict', () => {
+    const requirements = [
+      { resourceId: 1, name: 'Cabina', capacity: 2, quantity: 1 },
+      { resourceId: 2, name: 'Láser', capacity: 1, quantity: 1 },
+    ];
+
+    it('debe permitir reservar mientras quede capacidad libre', () => {
+      const bookings = [booking(1, '09:00', '10:00')];
+      expect(findResourceConflict(requirements, bookings, at('09:00'), at('10:00'))).toBeNull();
+    });
+
+    it('debe devolver el recurso que se queda sin capacidad', () => {
+      const bookings = [booking(1, '09:00', '10:00'), booking(2, '09:30', '10:30')];
+      const conflict = findResourceConflict(requirements, bookings, at('10:00'), at('11:00'));
+      expect(conflict?.name).toBe('Láser');
+    });
+  });
+
+  describe('listResourceBookings', () => {
+    // "Cabina" existe en cada sucursal y el mismo servicio requiere las dos
+    const resources = [
+      { id: 1, branch_id: 1 },
+      { id: 2, branch_id: 2 },
+      { id: 3, branch_id: null },
+    ];
+    const appointments = [{ service_id: 7, branch_id: 2, starts_at: '2026-05-04 09:00:00', ends_at: '2026-05-04 10:00:00' }];
+    const sessions = [{ service_id: 7, branch_id: 2, starts_at: '2026-05-04 10:00:00', ends_at: '2026-05-04 11:00:00' }];
+
+    // Resuelve el JOIN con service_resource/resource; el filtro por sucursal sólo se aplica si la consulta lo pide
+    function joinRows(sql, rows, alias, resourceIds) {
+      const byBranch = sql.includes(`${alias}.branch_id = r.branch_id`);
+      return rows.flatMap((row) =>
+        resources
+          .filter((r) => resourceIds.includes(r.id))
+          .filter((r) => !byBranch || r.branch_id === null || r.branch_id === row.branch_id)
+          .map((r) => ({ resource_id: r.id, quantity: 1, starts_at: row.starts_at, ends_at: row.ends_at }))
+      );
+    }
+    const db = {
+      async query(sql, params) {
+        const rows = sql.includes('FROM appointment a') ? appointments : sessions;
+        return [joinRows(sql, rows, sql.includes('FROM appointment a') ? 'a' : 'cs', params[1])];
+      },
+    };
+    const range = { tenantId: 1, from: at('08:00'), to: at('12:00') };
+
+    it('no debe contar reservas de otra sucursal contra el recurso de la propia', async () => {
+      expect(await listResourceBookings(db, { ...range, resourceIds: [1] })).toEqual([]);
+
+      const requirements = [{ resourceId: 1, name: 'Cabina', capacity: 1, quantity: 1 }];
+      const bookings = await listResourceBookings(db, { ...range, resourceIds: [1] });
+      expect(findResourceConflict(requirements, bookings, at('09:00'), at('10:00'))).toBeNull();
+    });
+
+    it('debe contar turnos y clases de la sucursal del recurso y los recursos compartidos', async () => {
+      const own = await listResourceBookings(db, { ...range, resourceIds: [2] });
+      expect(own.map((b) => b.start)).toEqual([at('09:00'), at('10:00')]);
+
+      const shared = await listResourceBookings(db, { ...range, resourceIds: [3] });
+      expect(shared).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  planFefoConsumption,
+  normalizeLotInput,
+  toDateOnly,
+} from '../../../services/stockLots.js';
+
+describe('stockLots', () => {
+  const today = new Date('2026-05-10T12:00:00');
+  const lots = [
+    { id: 1, lot_number: 'A', expiry_date: '2026-08-01', quantity: '5.000' },
+    { id: 2, lot_number: 'B', expiry_date: '2026-06-01', quantity: '3.000' },
+    { id: 3, lot_number: 'C', expiry_date: null, quantity: '10.000' },
+    { id: 4, lot_number: 'D', expiry_date: '2026-05-01', quantity: '2.000' },
+  ];
+
+  describe('planFefoConsumption', () => {
+    it('debe consumir primero el lote que vence antes', () => {
+      const plan = planFefoConsumption(lots, 4, { today });
+      expect(plan.allocations).toEqual([
+        { lotId: 2, quantity: 3 },
+        { lotId: 1, quantity: 1 },
+      ]);
+      expect(plan.remaining).toBe(0);
+    });
+
+    it('debe dejar los lotes sin vencimiento para el final', () => {
+      const plan = planFefoConsumption(lots, 12, { today });
+      expect(plan.allocations.map((a) => a.lotId)).toEqual([2, 1, 3]);
+      expect(plan.allocations[2].quantity).toBe(4);
+    });
+
+    it('debe usar stock sin lote antes que lotes vencidos', () => {
+      const plan = planFefoConsumption(lots, 20, { today, untrackedQuantity: 1 });
+      expect(plan.fromUntracked).toBe(1);
+      expect(plan.allocations.at(-1)).toEqual({ lotId: 4, quantity: 1 });
+      expect(plan.remaining).toBe(0);
+    });
+
+    it('debe informar lo que no alcanza a cubrir', () => {
+      const plan = planFefoConsumption([{ id: 9, expiry_date: null, quantity: 1 }], 3, { today });
+      expect(plan.remaining).toBe(2);
+    });
+  });
+
+  describe('normalizeLotInput', () => {
+    it('debe devolver null si no hay lote ni vencimiento', () => {
+      expect(normalizeLotInput({ lotNumber: '  ', expiryDate: null })).toBeNull();
+    });
+
+    it('debe generar un número de lote desde el vencimiento', () => {
+      expect(normalizeLotInput({ expiryDate: '2026-12-31' })).toEqual({
+        lotNumber: 'VTO-20261231',
+        expiryDate: '2026-12-31',
+      });
+    });
+
+    it('debe rechazar fechas inválidas', () => {
+      expect(() => normalizeLotInput({ lotNumber: 'X', expiryDate: '31/12/2026' })).toThrow('Fecha de vencimiento inválida');
+    });
+  });
+
+  it('toDateOnly debe usar la fecha local de un Date', () => {
+    expect(toDateOnly(new Date(2026, 0, 5))).toBe('2026-01-05');
+  });
+});
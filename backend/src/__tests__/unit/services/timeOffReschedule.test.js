@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  matchAppointmentsToBlocks,
+  parseRescheduleReply,
+  buildRescheduleRows,
+  respondToReschedule,
+} from '../../../services/timeOffReschedule.js';
+
+describe('timeOffReschedule', () => {
+  describe('matchAppointmentsToBlocks', () => {
+    const blocks = [
+      { id: 1, startsAt: '2026-03-10T09:00:00', endsAt: '2026-03-10T13:00:00' },
+      { id: 2, startsAt: '2026-03-11 09:00:00', endsAt: '2026-03-11 13:00:00' },
+    ];
+
+    it('debe detectar turnos que se superponen con algún bloqueo', () => {
+      const matches = matchAppointmentsToBlocks(
+        [
+          { id: 10, starts_at: '2026-03-10 12:30:00', ends_at: '2026-03-10 13:30:00' },
+          { id: 11, starts_at: '2026-03-10 13:00:00', ends_at: '2026-03-10 14:00:00' },
+          { id: 12, starts_at: '2026-03-11 08:30:00', ends_at: '2026-03-11 09:30:00' },
+        ],
+        blocks
+      );
+      expect(matches.map((m) => [m.appointment.id, m.block.id])).toEqual([
+        [10, 1],
+        [12, 2],
+      ]);
+    });
+
+    it('no debe devolver nada sin superposición', () => {
+      const matches = matchAppointmentsToBlocks(
+        [{ id: 13, starts_at: '2026-03-12 10:00:00', ends_at: '2026-03-12 11:00:00' }],
+        blocks
+      );
+      expect(matches).toEqual([]);
+    });
+  });
+
+  describe('parseRescheduleReply', () => {
+    it('debe interpretar opciones, esperar y cancelar', () => {
+      expect(parseRescheduleReply('rs_opt_7_3')).toEqual({ requestId: 7, action: 'option', optionIndex: 3 });
+      expect(parseRescheduleReply('rs_wait_7')).toEqual({ requestId: 7, action: 'wait', optionIndex: null });
+      expect(parseRescheduleReply('rs_cancel_7')).toEqual({ requestId: 7, action: 'cancel', optionIndex: null });
+    });
+
+    it('debe ignorar ids de otros flujos', () => {
+      expect(parseRescheduleReply('wl_confirm_7')).toBeNull();
+      expect(parseRescheduleReply('rs_opt_7')).toBeNull();
+      expect(parseRescheduleReply('')).toBeNull();
+    });
+  });
+
+  it('buildRescheduleRows debe agregar esperar y cancelar al final de la lista', () => {
+    const rows = buildRescheduleRows(5, [
+      { instructorId: 1, instructorName: 'Ana', startsAt: '2026-03-12 10:00:00', sameInstructor: true },
+      { instructorId: 2, instructorName: 'Beto', startsAt: '2026-03-10 10:00:00', sameInstructor: false },
+    ]);
+    expect(rows.map((r) => r.id)).toEqual(['rs_opt_5_0', 'rs_opt_5_1', 'rs_wait_5', 'rs_cancel_5']);
+    expect(rows[1].description).toContain('otro profesional');
+    rows.forEach((row) => expect(parseRescheduleReply(row.id)).not.toBeNull());
+  });
+
+  describe('respondToReschedule', () => {
+    it('debe rechazar la respuesta si no hay un cliente asociado', async () => {
+      expect(await respondToReschedule({ tenantId: 1, requestId: 5, action: 'cancel', customerId: null })).toEqual({
+        ok: false,
+        error: 'No encontramos esa reprogramación',
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  toConversationPhone,
+  isWithinServiceWindow,
+  describeInboundMessage,
+  describeOutboundPayload,
+} from '../../../services/whatsappMessageLog.js';
+
+describe('whatsappMessageLog', () => {
+  describe('toConversationPhone', () => {
+    it('debe unificar el número entrante (549…) y el de envío (54… sin el 9)', () => {
+      expect(toConversationPhone('5491155550000')).toBe('5491155550000');
+      expect(toConversationPhone('541155550000')).toBe('5491155550000');
+      expect(toConversationPhone('+54 9 11 5555-0000')).toBe('5491155550000');
+    });
+
+    it('no debe tocar números de otros países', () => {
+      expect(toConversationPhone('+598 99 123 456')).toBe('59899123456');
+      expect(toConversationPhone('')).toBe('');
+    });
+  });
+
+  describe('isWithinServiceWindow', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    it('debe permitir texto libre hasta 24 h después del último mensaje del cliente', () => {
+      expect(isWithinServiceWindow('2026-10-17T12:30:00Z', now)).toBe(true);
+      expect(isWithinServiceWindow('2026-10-17T11:59:00Z', now)).toBe(false);
+    });
+
+    it('sin mensajes del cliente la ventana está cerrada', () => {
+      expect(isWithinServiceWindow(null, now)).toBe(false);
+    });
+  });
+
+  describe('describeInboundMessage', () => {
+    it('debe leer texto, respuestas de botones y adjuntos', () => {
+      expect(describeInboundMessage({ type: 'text', text: { body: 'Hola' } })).toEqual({ type: 'text', body: 'Hola' });
+      expect(
+        describeInboundMessage({ type: 'interactive', interactive: { list_reply: { id: 'action_support', title: 'Hablar con alguien' } } })
+      ).toEqual({ type: 'interactive', body: 'Hablar con alguien' });
+      expect(describeInboundMessage({ type: 'image', image: { caption: 'comprobante' } }).body).toBe('comprobante');
+      expect(describeInboundMessage({ type: 'audio', audio: {} }).body).toBe('[audio]');
+    });
+  });
+
+  describe('describeOutboundPayload', () => {
+    it('debe registrar el nombre de la plantilla y sus variables', () => {
+      const result = describeOutboundPayload({
+        type: 'template',
+        template: {
+          name: 'recordatorio_turno',
+          components: [{ type: 'body', parameters: [{ type: 'text', text: 'Ana' }, { type: 'text', text: 'lunes 10:00' }] }],
+        },
+      });
+      expect(result).toEqual({
+        type: 'template',
+        body: '[Plantilla recordatorio_turno] Ana · lunes 10:00',
+        templateName: 'recordatorio_turno',
+      });
+    });
+
+    it('debe registrar el texto de mensajes y listas', () => {
+      expect(describeOutboundPayload({ type: 'text', text: { body: 'Listo' } }).body).toBe('Listo');
+      expect(
+        describeOutboundPayload({ type: 'interactive', interactive: { header: { text: 'Menú' }, body: { text: 'Elegí' } } }).body
+      ).toBe('Menú\nElegí');
+    });
+  });
+});
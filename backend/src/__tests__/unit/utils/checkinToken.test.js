@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { createCheckinToken, verifyCheckinToken } from '../../../utils/checkinToken.js';
+
+describe('checkinToken', () => {
+  const secret = 'test-secret';
+  const now = 1_700_000_000_000;
+
+  it('debe verificar un token recién emitido', () => {
+    const { token, nonce } = createCheckinToken({ tenantId: 3, customerId: 42 }, { now, ttlMs: 60_000, secret });
+    const result = verifyCheckinToken(token, { now: now + 10_000, secret });
+    expect(result).toMatchObject({ ok: true, tenantId: 3, customerId: 42, nonce });
+  });
+
+  it('debe rechazar un token vencido', () => {
+    const { token } = createCheckinToken({ tenantId: 3, customerId: 42 }, { now, ttlMs: 60_000, secret });
+    expect(verifyCheckinToken(token, { now: now + 5 * 60_000, secret })).toEqual({ ok: false, error: 'expired' });
+  });
+
+  it('debe rechazar un token con otro secreto o adulterado', () => {
+    const { token } = createCheckinToken({ tenantId: 3, customerId: 42 }, { now, secret });
+    expect(verifyCheckinToken(token, { now, secret: 'otro' }).error).toBe('bad_signature');
+
+    const parts = Buffer.from(token, 'base64url').toString('utf8').split(':');
+    parts[2] = '43';
+    const forged = Buffer.from(parts.join(':')).toString('base64url');
+    expect(verifyCheckinToken(forged, { now, secret }).error).toBe('bad_signature');
+  });
+
+  it('debe rechazar el QR en JSON plano del formato anterior', () => {
+    const legacy = JSON.stringify({ customer_id: 42, tenant_id: 3, timestamp: now });
+    expect(verifyCheckinToken(legacy, { now, secret })).toEqual({ ok: false, error: 'malformed' });
+  });
+
+  it('no debe firmar ni verificar tokens si no hay secreto configurado', () => {
+    const saved = { qr: process.env.QR_CHECKIN_SECRET, jwt: process.env.JWT_ACCESS_SECRET };
+    delete process.env.QR_CHECKIN_SECRET;
+    delete process.env.JWT_ACCESS_SECRET;
+    try {
+      expect(() => createCheckinToken({ tenantId: 3, customerId: 42 }, { now })).toThrow(/QR_CHECKIN_SECRET/);
+      expect(() => verifyCheckinToken('abc', { now })).toThrow(/QR_CHECKIN_SECRET/);
+    } finally {
+      if (saved.qr !== undefined) process.env.QR_CHECKIN_SECRET = saved.qr;
+      if (saved.jwt !== undefined) process.env.JWT_ACCESS_SECRET = saved.jwt;
+    }
+  });
+});
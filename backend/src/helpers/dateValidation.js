@@ -52,25 +52,31 @@ export function isBusinessDay(datetime) {
     return day >= 1 && day <= 6; // Lunes-Sábado (ajustá según tu negocio)
 }
 
+function dateValidationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
 /**
  * Validación completa para turnos
  * @param {string} startsAt - Formato "YYYY-MM-DD HH:MM:SS"
- * @throws {Error} si la validación falla
+ * @throws {Error} con status 400 si la validación falla
  */
 export function validateAppointmentDate(mysqlDateTime) {
     // mysqlDateTime: "YYYY-MM-DD HH:MM:SS"
     const d = new Date(mysqlDateTime.replace(" ", "T"));
     if (Number.isNaN(d.getTime())) {
-        throw new Error("Fecha/hora inválida");
+        throw dateValidationError("Fecha/hora inválida");
     }
 
     // No permitir fechas en el pasado (con 1 minuto de tolerancia)
     const now = new Date(Date.now() - 60_000);
     if (d < now) {
-        throw new Error("La fecha/hora debe ser futura");
+        throw dateValidationError("La fecha/hora debe ser futura");
     }
 
     // (Opcional) validar minutos en múltiplos de 5/10/15
     const minutes = d.getMinutes();
-    if (minutes % 5 !== 0) throw new Error("La hora debe ser en bloques de 5 minutos");
+    if (minutes % 5 !== 0) throw dateValidationError("La hora debe ser en bloques de 5 minutos");
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+// src/helpers/holidaysAR.js
+// Feriados nacionales de Argentina (Ley 27.399) calculados por año.
+// Los "trasladables" caen al lunes anterior si son martes o miércoles y al lunes
+// siguiente si son jueves o viernes. Los días no laborables / puentes turísticos
+// se decretan cada año, por eso no se incluyen: el admin los carga como cierre manual.
+
+const FIXED = [
+  { month: 1, day: 1, key: "anio_nuevo", name: "Año Nuevo" },
+  { month: 3, day: 24, key: "memoria", name: "Día Nacional de la Memoria por la Verdad y la Justicia" },
+  { month: 4, day: 2, key: "malvinas", name: "Día del Veterano y de los Caídos en la Guerra de Malvinas" },
+  { month: 5, day: 1, key: "trabajador", name: "Día del Trabajador" },
+  { month: 5, day: 25, key: "revolucion_mayo", name: "Día de la Revolución de Mayo" },
+  { month: 6, day: 20, key: "belgrano", name: "Paso a la Inmortalidad del Gral. Manuel Belgrano" },
+  { month: 7, day: 9, key: "independencia", name: "Día de la Independencia" },
+  { month: 12, day: 8, key: "inmaculada", name: "Día de la Inmaculada Concepción de María" },
+  { month: 12, day: 25, key: "navidad", name: "Navidad" },
+];
+
+const MOVABLE = [
+  { month: 6, day: 17, key: "guemes", name: "Paso a la Inmortalidad del Gral. Martín Miguel de Güemes" },
+  { month: 8, day: 17, key: "san_martin", name: "Paso a la Inmortalidad del Gral. José de San Martín" },
+  { month: 10, day: 12, key: "diversidad", name: "Día del Respeto a la Diversidad Cultural" },
+  { month: 11, day: 20, key: "soberania", name: "Día de la Soberanía Nacional" },
+];
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toKey(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * Domingo de Pascua (algoritmo gregoriano anónimo)
+ * @param {number} year
+ * @returns {Date}
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+function moveToMonday(date) {
+  const weekday = date.getDay();
+  if (weekday === 2 || weekday === 3) return addDays(date, 1 - weekday);
+  if (weekday === 4 || weekday === 5) return addDays(date, 8 - weekday);
+  return date;
+}
+
+/**
+ * Feriados nacionales del año, ordenados por fecha
+ * @param {number} year
+ * @returns {Array<{ date: string, key: string, name: string }>}
+ */
+export function getArgentineHolidays(year) {
+  const y = Number(year);
+  if (!Number.isInteger(y) || y < 2018 || y > 2100) return [];
+
+  const easter = easterSunday(y);
+  const list = [
+    ...FIXED.map((h) => ({ date: new Date(y, h.month - 1, h.day), key: h.key, name: h.name })),
+    ...MOVABLE.map((h) => ({ date: moveToMonday(new Date(y, h.month - 1, h.day)), key: h.key, name: h.name })),
+    { date: addDays(easter, -48), key: "carnaval_lunes", name: "Carnaval" },
+    { date: addDays(easter, -47), key: "carnaval_martes", name: "Carnaval" },
+    { date: addDays(easter, -2), key: "viernes_santo", name: "Viernes Santo" },
+  ];
+
+  return list
+    .map((h) => ({ date: toKey(h.date), key: `${y}-${h.key}`, name: h.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
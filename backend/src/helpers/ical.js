@@ -0,0 +1,319 @@
+// src/helpers/ical.js
+// Generación y lectura de iCalendar (RFC 5545) para feeds de suscripción
+// e importación de calendarios personales como bloqueos (time_off).
+import { fromZonedTime } from "date-fns-tz";
+import { parseRRule, expandRecurrence, toLocalDateKey } from "./recurrence.js";
+
+const PRODID = "-//Arja ERP//Agenda//ES";
+const MAX_LINE_OCTETS = 75;
+// Tope de ocurrencias por evento recurrente al importar
+const MAX_IMPORTED_OCCURRENCES = 5000;
+
+function icalError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Escapa texto según RFC 5545 (\\, ;, , y saltos de línea)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeICalText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeICalText(value) {
+  return String(value ?? "").replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+/**
+ * Corta líneas a 75 octetos (continuación con espacio inicial) sin partir caracteres UTF-8
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldICalLine(line) {
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of String(line)) {
+    const octets = Buffer.byteLength(char, "utf8");
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Fecha/hora en UTC con formato iCalendar (20260303T130000Z)
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export function formatICalDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw icalError(`Fecha inválida para iCalendar: ${value}`);
+  return (
+    `${date.getUTCFullYear()}${pad2(date.getUTCMonth() + 1)}${pad2(date.getUTCDate())}` +
+    `T${pad2(date.getUTCHours())}${pad2(date.getUTCMinutes())}${pad2(date.getUTCSeconds())}Z`
+  );
+}
+
+/**
+ * Arma un VCALENDAR completo
+ * @param {Object} params
+ * @param {string} params.name - Nombre visible del calendario
+ * @param {Array<{uid: string, start: Date, end: Date, summary: string, description?: string, location?: string, status?: string, categories?: string[], transparent?: boolean}>} params.events
+ * @param {Date} [params.stamp]
+ * @returns {string}
+ */
+export function buildICalendar({ name, events = [], stamp = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICalText(name || "Agenda")}`,
+    "X-PUBLISHED-TTL:PT1H",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+  ];
+  const dtstamp = formatICalDate(stamp);
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART:${formatICalDate(event.start)}`,
+      `DTEND:${formatICalDate(event.end)}`,
+      `SUMMARY:${escapeICalText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeICalText(event.location)}`);
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeICalText).join(",")}`);
+    }
+    lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+    lines.push(`TRANSP:${event.transparent ? "TRANSPARENT" : "OPAQUE"}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldICalLine).join("\r\n")}\r\n`;
+}
+
+function unfoldICalLines(text) {
+  return String(text || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+}
+
+function parseContentLine(line) {
+  // NAME;PARAM=VAL;PARAM2="V:AL":value
+  let inQuotes = false;
+  let colonIdx = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colonIdx = i;
+      break;
+    }
+  }
+  if (colonIdx === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colonIdx).split(";");
+  const params = {};
+  rawParams.forEach((raw) => {
+    const [key, ...rest] = raw.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colonIdx + 1) };
+}
+
+/**
+ * Interpreta DTSTART/DTEND/EXDATE con sus parámetros (VALUE=DATE, TZID o UTC)
+ * @param {string} value
+ * @param {Object} [params]
+ * @returns {{ date: Date, allDay: boolean } | null}
+ */
+export function parseICalDate(value, params = {}) {
+  const str = String(value || "").trim();
+  const dateOnly = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly || params.VALUE === "DATE") {
+    if (!dateOnly) return null;
+    return {
+      date: new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])),
+      allDay: true,
+    };
+  }
+
+  const match = str.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match) return null;
+  const [y, m, d, hh, mm, ss] = match.slice(1, 7).map(Number);
+
+  if (match[7]) {
+    return { date: new Date(Date.UTC(y, m - 1, d, hh, mm, ss)), allDay: false };
+  }
+  if (params.TZID) {
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    try {
+      const zoned = fromZonedTime(iso, params.TZID);
+      if (!Number.isNaN(zoned.getTime())) return { date: zoned, allDay: false };
+    } catch {
+      // TZID no reconocida (ej. nombres de Windows): se toma como hora local
+    }
+  }
+  return { date: new Date(y, m - 1, d, hh, mm, ss), allDay: false };
+}
+
+function parseDurationMs(value) {
+  const match = String(value || "").match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, w, d, h, mi, s] = match;
+  const ms =
+    ((Number(w || 0) * 7 + Number(d || 0)) * 86400 + Number(h || 0) * 3600 + Number(mi || 0) * 60 + Number(s || 0)) *
+    1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * Lee los VEVENT de un archivo .ics
+ * @param {string} text
+ * @returns {Array<{uid: string, summary: string, start: Date, end: Date, allDay: boolean, rrule: string|null, exdates: string[], status: string, transparent: boolean}>}
+ */
+export function parseICalendar(text) {
+  const lines = unfoldICalLines(text);
+  if (!lines.some((line) => line.toUpperCase().startsWith("BEGIN:VCALENDAR"))) {
+    throw icalError("El archivo no es un calendario iCalendar (.ics) válido");
+  }
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const parsed = parseContentLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      current = { exdates: [], props: {} };
+      nested = 0;
+      continue;
+    }
+    if (!current) continue;
+    // Ignorar subcomponentes (VALARM) del evento
+    if (name === "BEGIN") {
+      nested += 1;
+      continue;
+    }
+    if (name === "END" && nested > 0) {
+      nested -= 1;
+      continue;
+    }
+    if (nested > 0) continue;
+
+    if (name === "END" && value.toUpperCase() === "VEVENT") {
+      const start = parseICalDate(current.props.DTSTART?.value, current.props.DTSTART?.params);
+      if (start) {
+        let end = current.props.DTEND
+          ? parseICalDate(current.props.DTEND.value, current.props.DTEND.params)?.date
+          : null;
+        if (!end && current.props.DURATION) {
+          const ms = parseDurationMs(current.props.DURATION.value);
+          if (ms !== null) end = new Date(start.date.getTime() + ms);
+        }
+        if (!end) {
+          end = new Date(start.date);
+          if (start.allDay) end.setDate(end.getDate() + 1);
+        }
+        events.push({
+          uid: current.props.UID?.value || null,
+          summary: unescapeICalText(current.props.SUMMARY?.value || ""),
+          start: start.date,
+          end,
+          allDay: start.allDay,
+          rrule: current.props.RRULE?.value || null,
+          exdates: current.exdates,
+          status: String(current.props.STATUS?.value || "CONFIRMED").toUpperCase(),
+          transparent: String(current.props.TRANSP?.value || "").toUpperCase() === "TRANSPARENT",
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (name === "EXDATE") {
+      value.split(",").forEach((raw) => {
+        const ex = parseICalDate(raw, params);
+        if (ex) current.exdates.push(toLocalDateKey(ex.date));
+      });
+      continue;
+    }
+    current.props[name] = { params, value };
+  }
+
+  return events;
+}
+
+/**
+ * Convierte los eventos importados en bloques concretos dentro de un rango.
+ * Descarta eventos cancelados o marcados como "libre" (TRANSP:TRANSPARENT)
+ * y expande las RRULE soportadas; las no soportadas se reportan en skipped.
+ * @param {Array} events - salida de parseICalendar
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @returns {{ blocks: Array<{uid: string, summary: string, start: Date, end: Date}>, skipped: Array<{uid: string, summary: string, reason: string}> }}
+ */
+export function expandICalEvents(events, { from, to }) {
+  const blocks = [];
+  const skipped = [];
+
+  for (const event of events) {
+    if (event.status === "CANCELLED" || event.transparent) continue;
+    const durationMs = Math.max(0, event.end.getTime() - event.start.getTime());
+    if (!durationMs) continue;
+
+    let starts = [event.start];
+    if (event.rrule) {
+      try {
+        const rule = parseRRule(event.rrule);
+        const until = rule.until && rule.until < to ? rule.until : to;
+        rule.until = until;
+        rule.exdates = event.exdates;
+        starts = expandRecurrence(rule, event.start, { max: MAX_IMPORTED_OCCURRENCES }).occurrences;
+      } catch (err) {
+        skipped.push({ uid: event.uid, summary: event.summary, reason: err.message });
+        continue;
+      }
+    }
+
+    for (const start of starts) {
+      const end = new Date(start.getTime() + durationMs);
+      if (end <= from || start >= to) continue;
+      blocks.push({ uid: event.uid, summary: event.summary, start, end });
+    }
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+  return { blocks, skipped };
+}
@@ -21,7 +21,7 @@ export function parseDateTime(s) {
 
 /**
  * Verifica solapes de turnos/ausencias para EL MISMO peluquero.
- * Si hay solape => lanza Error.
+ * Si hay solape => lanza Error con status 409.
  * - db: pool o conn (ambos tienen .query)
  * - useLock: true si estás dentro de BEGIN con `conn` para hacer FOR UPDATE (evita carreras).
  */
@@ -99,6 +99,8 @@ export async function checkAppointmentOverlap(db, {
   const [offs] = await db.query(sqlOff, paramsOff);
 
   if (appts.length > 0 || offs.length > 0) {
-    throw new Error("Ese horario se superpone con otro turno o ausencia del peluquero");
+    const error = new Error("Ese horario se superpone con otro turno o ausencia del peluquero");
+    error.status = 409;
+    throw error;
   }
 }
\ No newline at end of file
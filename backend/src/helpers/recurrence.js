@@ -0,0 +1,366 @@
+// src/helpers/recurrence.js
+// Reglas de repetición estilo RFC 5545 (RRULE) para series de turnos.
+// Subconjunto soportado: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (con ordinal
+// en mensual, ej. 2TU o -1FR), BYMONTHDAY, COUNT, UNTIL y fechas de excepción (EXDATE).
+// Como en RFC 5545, en diaria BYDAY y BYMONTHDAY filtran los días generados y en
+// mensual BYDAY se cruza con BYMONTHDAY cuando vienen los dos.
+
+export const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+// Corte de seguridad para reglas que casi nunca generan fechas (ej. 5° lunes cada 12 meses)
+const MAX_ITERATIONS = 5000;
+
+function recurrenceError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Fecha local "YYYY-MM-DD"
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toLocalDateKey(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function parseDateOnly(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  const str = String(value || "").trim();
+  let match = str.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  // UNTIL con hora (20261231T235959Z)
+  match = str.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (match) {
+    const [, y, m, d, hh, mm, ss, utc] = match.map((part, idx) => (idx === 7 ? part : Number(part)));
+    return utc ? new Date(Date.UTC(y, m - 1, d, hh, mm, ss)) : new Date(y, m - 1, d, hh, mm, ss);
+  }
+  const parsed = new Date(str);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function parseByDayToken(token) {
+  const match = String(token).trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) throw recurrenceError(`Día de la semana inválido en la regla: ${token}`);
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw recurrenceError(`Ordinal inválido en la regla: ${token}`);
+  }
+  return { day: match[2], ordinal };
+}
+
+function normalizeWeekday(value) {
+  if (typeof value === "number" || /^\d$/.test(String(value))) {
+    const idx = Number(value);
+    if (idx < 0 || idx > 6) throw recurrenceError(`Día de la semana inválido: ${value}`);
+    return WEEKDAY_CODES[idx];
+  }
+  return parseByDayToken(value).day;
+}
+
+/**
+ * Parsea una RRULE de texto ("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10")
+ * @param {string} text
+ * @returns {Object} regla normalizada
+ */
+export function parseRRule(text) {
+  const body = String(text || "").trim().replace(/^RRULE:/i, "");
+  if (!body) throw recurrenceError("Regla de repetición vacía");
+
+  const parts = {};
+  body.split(";").filter(Boolean).forEach((pair) => {
+    const [key, value] = pair.split("=");
+    if (!key || value === undefined) throw recurrenceError(`Parte inválida en la regla: ${pair}`);
+    parts[key.trim().toUpperCase()] = value.trim();
+  });
+
+  return normalizeRule({
+    freq: parts.FREQ,
+    interval: parts.INTERVAL,
+    byDay: parts.BYDAY ? parts.BYDAY.split(",").map(parseByDayToken) : [],
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(",").map(Number) : [],
+    count: parts.COUNT,
+    until: parts.UNTIL,
+  });
+}
+
+function normalizeRule({ freq, interval, byDay = [], byMonthDay = [], count, until, exdates = [] }) {
+  const normalizedFreq = String(freq || "").toUpperCase();
+  if (!FREQUENCIES.includes(normalizedFreq)) {
+    throw recurrenceError("Frecuencia no soportada. Usá diaria, semanal o mensual");
+  }
+
+  const normalizedInterval = Number.parseInt(interval ?? 1, 10);
+  if (!Number.isFinite(normalizedInterval) || normalizedInterval <= 0) {
+    throw recurrenceError("El intervalo debe ser un número mayor a cero");
+  }
+
+  if (normalizedFreq !== "MONTHLY" && byDay.some((d) => d.ordinal !== null)) {
+    throw recurrenceError("Los ordinales de BYDAY (ej. 2TU) sólo aplican a repetición mensual");
+  }
+
+  if (normalizedFreq === "WEEKLY" && byMonthDay.length) {
+    throw recurrenceError("BYMONTHDAY no aplica a la repetición semanal");
+  }
+
+  byMonthDay.forEach((day) => {
+    if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+      throw recurrenceError(`Día del mes inválido: ${day}`);
+    }
+  });
+
+  let normalizedCount = null;
+  if (count !== undefined && count !== null && count !== "") {
+    normalizedCount = Number.parseInt(count, 10);
+    if (!Number.isFinite(normalizedCount) || normalizedCount <= 0) {
+      throw recurrenceError("La cantidad de repeticiones debe ser mayor a cero");
+    }
+  }
+
+  let normalizedUntil = null;
+  if (until) {
+    normalizedUntil = parseDateOnly(until);
+    if (!normalizedUntil) throw recurrenceError("Fecha de fin de recurrencia inválida");
+    // Una fecha sin hora incluye todo ese día
+    if (/^\d{4}-?\d{2}-?\d{2}$/.test(String(until).trim())) {
+      normalizedUntil.setHours(23, 59, 59, 999);
+    }
+  }
+
+  return {
+    freq: normalizedFreq,
+    interval: normalizedInterval,
+    byDay,
+    byMonthDay,
+    count: normalizedCount,
+    until: normalizedUntil,
+    exdates: normalizeExdates(exdates),
+  };
+}
+
+/**
+ * Fechas de excepción como "YYYY-MM-DD" únicas y ordenadas
+ * @param {Array<string|Date>} exdates
+ * @returns {string[]}
+ */
+export function normalizeExdates(exdates = []) {
+  const list = Array.isArray(exdates) ? exdates : [exdates];
+  return [...new Set(
+    list.filter(Boolean).map((value) => {
+      const date = parseDateOnly(value);
+      if (!date) throw recurrenceError(`Fecha de excepción inválida: ${value}`);
+      return toLocalDateKey(date);
+    })
+  )].sort();
+}
+
+/**
+ * Normaliza el "repeat" del body: acepta { rrule, exdates } o el formato
+ * { frequency, interval, weekdays, monthlyBy, count, until, exdates }
+ * @param {Object} repeat
+ * @param {Date} startDate - Primer turno (define día/semana por defecto)
+ * @returns {Object} regla normalizada
+ */
+export function normalizeRecurrence(repeat = {}, startDate) {
+  if (repeat.rrule) {
+    return { ...parseRRule(repeat.rrule), exdates: normalizeExdates(repeat.exdates) };
+  }
+
+  const freq = String(repeat.frequency || "weekly").toUpperCase();
+  let byDay = [];
+  let byMonthDay = [];
+
+  if (freq === "WEEKLY" && Array.isArray(repeat.weekdays) && repeat.weekdays.length) {
+    byDay = [...new Set(repeat.weekdays.map(normalizeWeekday))].map((day) => ({ day, ordinal: null }));
+  }
+
+  if (freq === "MONTHLY" && startDate) {
+    if (repeat.monthlyBy === "weekday") {
+      // Ej. "el 2° martes" según la fecha inicial; un 5° día pasa a ser "el último" (-1)
+      const nth = Math.ceil(startDate.getDate() / 7);
+      const ordinal = repeat.weekOfMonth != null ? Number(repeat.weekOfMonth) : nth === 5 ? -1 : nth;
+      byDay = [parseByDayToken(`${ordinal}${WEEKDAY_CODES[startDate.getDay()]}`)];
+    } else {
+      byMonthDay = [startDate.getDate()];
+    }
+  }
+
+  return normalizeRule({
+    freq,
+    interval: repeat.interval,
+    byDay,
+    byMonthDay,
+    count: repeat.count,
+    until: repeat.until,
+    exdates: repeat.exdates || [],
+  });
+}
+
+/**
+ * Serializa la regla como RRULE (sin EXDATE)
+ * @param {Object} rule - regla normalizada
+ * @returns {string}
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal ?? ""}${d.day}`).join(",")}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const u = rule.until;
+    parts.push(`UNTIL=${u.getFullYear()}${pad2(u.getMonth() + 1)}${pad2(u.getDate())}T${pad2(u.getHours())}${pad2(u.getMinutes())}${pad2(u.getSeconds())}`);
+  }
+  return parts.join(";");
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+function atTimeOf(base, year, monthIndex, day) {
+  return new Date(year, monthIndex, day, base.getHours(), base.getMinutes(), base.getSeconds(), 0);
+}
+
+function nthWeekdayOfMonth(year, monthIndex, weekdayIdx, ordinal) {
+  const total = daysInMonth(year, monthIndex);
+  if (ordinal > 0) {
+    const firstIdx = new Date(year, monthIndex, 1).getDay();
+    const day = 1 + ((weekdayIdx - firstIdx + 7) % 7) + (ordinal - 1) * 7;
+    return day <= total ? day : null;
+  }
+  const lastIdx = new Date(year, monthIndex, total).getDay();
+  const day = total - ((lastIdx - weekdayIdx + 7) % 7) + (ordinal + 1) * 7;
+  return day >= 1 ? day : null;
+}
+
+function resolveMonthDays(byMonthDay, total) {
+  return byMonthDay
+    .map((day) => (day > 0 ? day : total + day + 1))
+    // Como en RFC 5545, los días inexistentes (31 de abril) se saltean
+    .filter((day) => day >= 1 && day <= total);
+}
+
+function candidatesForPeriod(rule, start, periodIndex) {
+  if (rule.freq === "DAILY") {
+    const date = atTimeOf(start, start.getFullYear(), start.getMonth(), start.getDate() + periodIndex * rule.interval);
+    if (rule.byDay.length && !rule.byDay.some((d) => d.day === WEEKDAY_CODES[date.getDay()])) return [];
+    if (
+      rule.byMonthDay.length &&
+      !resolveMonthDays(rule.byMonthDay, daysInMonth(date.getFullYear(), date.getMonth())).includes(date.getDate())
+    ) {
+      return [];
+    }
+    return [date];
+  }
+
+  if (rule.freq === "WEEKLY") {
+    // Semanas de lunes a domingo (WKST=MO)
+    const mondayOffset = (start.getDay() + 6) % 7;
+    const weekStart = atTimeOf(start, start.getFullYear(), start.getMonth(), start.getDate() - mondayOffset + periodIndex * rule.interval * 7);
+    const days = rule.byDay.length ? rule.byDay.map((d) => d.day) : [WEEKDAY_CODES[start.getDay()]];
+    return days
+      .map((code) => (WEEKDAY_CODES.indexOf(code) + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => atTimeOf(start, weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + offset));
+  }
+
+  // MONTHLY
+  const monthDate = new Date(start.getFullYear(), start.getMonth() + periodIndex * rule.interval, 1);
+  const year = monthDate.getFullYear();
+  const month = monthDate.getMonth();
+  const total = daysInMonth(year, month);
+  const monthDays = resolveMonthDays(rule.byMonthDay, total);
+  const weekdayDays = [];
+
+  rule.byDay.forEach(({ day, ordinal }) => {
+    const weekdayIdx = WEEKDAY_CODES.indexOf(day);
+    if (ordinal !== null) {
+      const resolved = nthWeekdayOfMonth(year, month, weekdayIdx, ordinal);
+      if (resolved) weekdayDays.push(resolved);
+    } else {
+      for (let d = 1; d <= total; d += 1) {
+        if (new Date(year, month, d).getDay() === weekdayIdx) weekdayDays.push(d);
+      }
+    }
+  });
+
+  let days;
+  if (rule.byMonthDay.length && rule.byDay.length) {
+    // BYDAY limita los días del mes (ej. viernes 13: BYDAY=FR;BYMONTHDAY=13)
+    days = monthDays.filter((day) => weekdayDays.includes(day));
+  } else if (rule.byMonthDay.length) {
+    days = monthDays;
+  } else if (rule.byDay.length) {
+    days = weekdayDays;
+  } else {
+    days = start.getDate() <= total ? [start.getDate()] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((day) => atTimeOf(start, year, month, day));
+}
+
+/**
+ * Expande la regla a fechas concretas.
+ * Como en RFC 5545, COUNT se aplica antes de quitar las excepciones.
+ * @param {Object} rule - regla normalizada
+ * @param {Date} start - Primer turno (DTSTART)
+ * @param {Object} [options]
+ * @param {number} [options.max] - Máximo de fechas a generar
+ * @returns {{ occurrences: Date[], excluded: Date[], truncated: boolean }}
+ */
+export function expandRecurrence(rule, start, { max = 26 } = {}) {
+  if (!rule.count && !rule.until) {
+    throw recurrenceError("Indicá la cantidad de repeticiones (count) o una fecha límite (until)");
+  }
+
+  const exdates = new Set(rule.exdates || []);
+  const occurrences = [];
+  const excluded = [];
+  let generated = 0;
+  let truncated = false;
+
+  for (let period = 0; period < MAX_ITERATIONS; period += 1) {
+    const candidates = candidatesForPeriod(rule, start, period);
+    let finished = false;
+
+    for (const candidate of candidates) {
+      if (candidate < start) continue;
+      if (rule.until && candidate > rule.until) {
+        finished = true;
+        break;
+      }
+      if (rule.count && generated >= rule.count) {
+        finished = true;
+        break;
+      }
+      generated += 1;
+
+      if (exdates.has(toLocalDateKey(candidate))) {
+        excluded.push(candidate);
+        continue;
+      }
+      if (occurrences.length >= max) {
+        truncated = true;
+        finished = true;
+        break;
+      }
+      occurrences.push(candidate);
+    }
+
+    if (finished) break;
+  }
+
+  return { occurrences, excluded, truncated };
+}
@@ -1,27 +1,225 @@
 // src/helpers/session.js
-const sessions = new Map(); // en prod: Redis
+// Estado de conversación del bot de WhatsApp.
+// Las sesiones viven en un store intercambiable (MySQL por defecto, memoria en tests)
+// para sobrevivir a deploys/reinicios y poder correr varias instancias del backend.
+import { pool } from "../db.js";
 
-export function getSession(userId) {
-  let s = sessions.get(userId);
+const DEFAULT_TTL_MS =
+  Number(process.env.WA_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+function normalizeTenantId(tenantId) {
+  const n = Number(tenantId);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function emptySession() {
+  return { step: "idle", data: {} };
+}
+
+/**
+ * Store en memoria del proceso (tests / desarrollo local).
+ * Mismo contrato que el store MySQL: get/set/delete/list por tenant.
+ */
+export function createMemorySessionStore({ now = () => Date.now() } = {}) {
+  const entries = new Map();
+  const keyOf = (tenantId, userId) => `${tenantId}:${userId}`;
+
+  return {
+    async get(tenantId, userId) {
+      const key = keyOf(tenantId, userId);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+    async set(tenantId, userId, session, ttlMs) {
+      entries.set(keyOf(tenantId, userId), {
+        tenantId,
+        userId,
+        value: JSON.stringify(session),
+        expiresAt: now() + ttlMs,
+      });
+    },
+    async delete(tenantId, userId) {
+      entries.delete(keyOf(tenantId, userId));
+    },
+    async list(tenantId) {
+      const result = {};
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt <= now()) {
+          entries.delete(key);
+          continue;
+        }
+        if (entry.tenantId === tenantId) {
+          result[entry.userId] = JSON.parse(entry.value);
+        }
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Store persistente en la tabla whatsapp_session.
+ * La tabla se crea on-demand (igual que las columnas opcionales del resto del backend).
+ */
+export function createMySQLSessionStore(db = pool) {
+  let schemaReady = null;
+
+  function ensureSchema() {
+    if (!schemaReady) {
+      schemaReady = db
+        .query(
+          `CREATE TABLE IF NOT EXISTS whatsapp_session (
+            tenant_id INT NOT NULL DEFAULT 0,
+            user_key VARCHAR(64) NOT NULL,
+            step VARCHAR(64) NOT NULL DEFAULT 'idle',
+            data_json LONGTEXT NULL,
+            expires_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (tenant_id, user_key),
+            KEY idx_whatsapp_session_expires (expires_at)
+          )`
+        )
+        .catch((error) => {
+          schemaReady = null;
+          throw error;
+        });
+    }
+    return schemaReady;
+  }
+
+  const parseRow = (row) => {
+    let data = {};
+    if (row.data_json) {
+      try {
+        data = JSON.parse(row.data_json) || {};
+      } catch {
+        data = {};
+      }
+    }
+    return { step: row.step || "idle", data };
+  };
+
+  return {
+    async get(tenantId, userId) {
+      await ensureSchema();
+      const [[row]] = await db.query(
+        `SELECT step, data_json
+           FROM whatsapp_session
+          WHERE tenant_id = ? AND user_key = ? AND expires_at > NOW()
+          LIMIT 1`,
+        [tenantId, userId]
+      );
+      return row ? parseRow(row) : null;
+    },
+    async set(tenantId, userId, session, ttlMs) {
+      await ensureSchema();
+      const ttlSeconds = Math.max(1, Math.round(ttlMs / 1000));
+      await db.query(
+        `INSERT INTO whatsapp_session (tenant_id, user_key, step, data_json, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+         ON DUPLICATE KEY UPDATE
+           step = VALUES(step),
+           data_json = VALUES(data_json),
+           expires_at = VALUES(expires_at)`,
+        [tenantId, userId, session.step, JSON.stringify(session.data || {}), ttlSeconds]
+      );
+    },
+    async delete(tenantId, userId) {
+      await ensureSchema();
+      await db.query(
+        `DELETE FROM whatsapp_session WHERE tenant_id = ? AND user_key = ?`,
+        [tenantId, userId]
+      );
+    },
+    async list(tenantId) {
+      await ensureSchema();
+      // Limpieza oportunista de sesiones vencidas
+      await db
+        .query(`DELETE FROM whatsapp_session WHERE expires_at <= NOW() LIMIT 500`)
+        .catch(() => {});
+      const [rows] = await db.query(
+        `SELECT user_key, step, data_json
+           FROM whatsapp_session
+          WHERE tenant_id = ? AND expires_at > NOW()`,
+        [tenantId]
+      );
+      const result = {};
+      for (const row of rows) {
+        result[row.user_key] = parseRow(row);
+      }
+      return result;
+    },
+  };
+}
+
+let store =
+  process.env.NODE_ENV === "test" || process.env.WA_SESSION_STORE === "memory"
+    ? createMemorySessionStore()
+    : createMySQLSessionStore();
+let ttlMs = DEFAULT_TTL_MS;
+
+// Objetos de sesión ya entregados en este proceso. Se refrescan in-place desde el store,
+// así quien guardó una referencia ve los cambios posteriores de setStep (como con el Map original).
+const LIVE_SESSIONS_MAX = 5000;
+const liveSessions = new Map();
+
+function liveSession(tenantId, userId, source) {
+  const key = `${tenantId}:${userId}`;
+  let s = liveSessions.get(key);
   if (!s) {
-    s = { step: "idle", data: {} };
-    sessions.set(userId, s);
+    s = emptySession();
+    if (liveSessions.size >= LIVE_SESSIONS_MAX) {
+      liveSessions.delete(liveSessions.keys().next().value);
+    }
+    liveSessions.set(key, s);
   }
+  s.step = source.step;
+  s.data = source.data;
   return s;
 }
-export function setStep(userId, step, patch = {}) {
-  const s = getSession(userId);
-  s.step = step;
-  s.data = { ...s.data, ...patch };
-}
-export function reset(userId) {
-  sessions.delete(userId);
+
+/**
+ * Reemplaza el store activo (tests o un adaptador externo, ej. Redis).
+ */
+export function setSessionStore(nextStore, options = {}) {
+  store = nextStore;
+  liveSessions.clear();
+  if (options.ttlMs) ttlMs = Number(options.ttlMs);
 }
-export function getAllSessions() {
-  // Retornar un objeto con todas las sesiones para iteración
-  const result = {};
-  for (const [userId, session] of sessions.entries()) {
-    result[userId] = session;
+
+export async function getSession(userId, tenantId) {
+  const tid = normalizeTenantId(tenantId);
+  const uid = String(userId);
+  let s = await store.get(tid, uid);
+  if (!s) {
+    s = emptySession();
+    await store.set(tid, uid, s, ttlMs);
   }
-  return result;
+  return liveSession(tid, uid, s);
+}
+
+export async function setStep(userId, step, patch = {}, tenantId) {
+  const tid = normalizeTenantId(tenantId);
+  const uid = String(userId);
+  const current = (await store.get(tid, uid)) || emptySession();
+  const next = { step, data: { ...current.data, ...patch } };
+  await store.set(tid, uid, next, ttlMs);
+  return liveSession(tid, uid, next);
+}
+
+export async function reset(userId, tenantId) {
+  const tid = normalizeTenantId(tenantId);
+  const uid = String(userId);
+  liveSessions.delete(`${tid}:${uid}`);
+  await store.delete(tid, uid);
+}
+
+export async function getAllSessions(tenantId) {
+  // Retornar un objeto con todas las sesiones del tenant para iteración
+  return store.list(normalizeTenantId(tenantId));
 }
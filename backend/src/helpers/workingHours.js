@@ -0,0 +1,120 @@
+// src/helpers/workingHours.js
+// Bloques de horario laboral: un profesional puede tener varios bloques por día
+// (ej. 09–13 y 16–20) y bloques distintos por sucursal.
+import { pool } from "../db.js";
+
+export function timeToMinutes(timeStr) {
+  if (!timeStr) return null;
+  const [h, m] = String(timeStr).split(":");
+  const hours = parseInt(h, 10);
+  const minutes = parseInt(m || "0", 10);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+  return hours * 60 + minutes;
+}
+
+export function normalizeTime(value) {
+  if (value === "" || value === undefined || value === null) return null;
+  const s = String(value).trim();
+  if (/^\d{2}:\d{2}$/.test(s)) return `${s}:00`;
+  if (/^\d{2}:\d{2}:\d{2}$/.test(s)) return s;
+  return null;
+}
+
+/**
+ * Bloques laborales del profesional para una fecha (YYYY-MM-DD), ordenados por hora de inicio.
+ * Con branchId, devuelve los bloques de esa sucursal más los que no tienen sucursal asignada.
+ */
+export async function getWorkingBlocksForDate({ tenantId, instructorId, date, branchId = null, db = pool }) {
+  const weekday = new Date(`${date}T12:00:00`).getDay();
+  const altWeekday = weekday === 0 ? 7 : weekday;
+  const params = [tenantId, instructorId, weekday, altWeekday];
+
+  let branchClause = "";
+  if (branchId) {
+    branchClause = " AND (branch_id IS NULL OR branch_id = ?)";
+    params.push(Number(branchId));
+  }
+
+  try {
+    const [rows] = await db.query(
+      `SELECT weekday, start_time, end_time, branch_id
+         FROM working_hours
+        WHERE tenant_id = ?
+          AND instructor_id = ?
+          AND weekday IN (?, ?)
+          AND start_time IS NOT NULL
+          AND end_time IS NOT NULL
+          ${branchClause}
+        ORDER BY start_time`,
+      params
+    );
+    return rows;
+  } catch (error) {
+    // Instalaciones sin la columna branch_id (anteriores a la migración 053)
+    if (error.code !== "ER_BAD_FIELD_ERROR") throw error;
+    const [rows] = await db.query(
+      `SELECT weekday, start_time, end_time
+         FROM working_hours
+        WHERE tenant_id = ?
+          AND instructor_id = ?
+          AND weekday IN (?, ?)
+          AND start_time IS NOT NULL
+          AND end_time IS NOT NULL
+        ORDER BY start_time`,
+      [tenantId, instructorId, weekday, altWeekday]
+    );
+    return rows.map((r) => ({ ...r, branch_id: null }));
+  }
+}
+
+/**
+ * true si [start, end) entra completo dentro de alguno de los bloques del día.
+ * Un turno no puede atravesar el corte entre dos bloques (ej. el almuerzo).
+ */
+export function isWithinWorkingBlocks(dateStr, blocks, start, end) {
+  if (!Array.isArray(blocks) || blocks.length === 0) return false;
+  return blocks.some((block) => {
+    const blockStart = new Date(`${dateStr}T${block.start_time}`);
+    const blockEnd = new Date(`${dateStr}T${block.end_time}`);
+    return start >= blockStart && end <= blockEnd;
+  });
+}
+
+/**
+ * Detecta bloques solapados del mismo día y la misma sucursal.
+ * @param {{weekday:number,start_time:string,end_time:string,branch_id:number|null}[]} items
+ * @returns {{weekday:number, schedule1:object, schedule2:object}[]}
+ */
+export function findOverlappingBlocks(items) {
+  const byDay = new Map();
+  for (const item of items) {
+    if (!byDay.has(item.weekday)) byDay.set(item.weekday, []);
+    byDay.get(item.weekday).push(item);
+  }
+
+  const overlaps = [];
+  for (const [weekday, dayItems] of byDay.entries()) {
+    for (let i = 0; i < dayItems.length; i++) {
+      for (let j = i + 1; j < dayItems.length; j++) {
+        const h1 = dayItems[i];
+        const h2 = dayItems[j];
+        const b1 = h1.branch_id == null ? null : Number(h1.branch_id);
+        const b2 = h2.branch_id == null ? null : Number(h2.branch_id);
+        if (b1 !== b2) continue; // distintas sucursales pueden superponerse
+
+        const start1 = timeToMinutes(h1.start_time);
+        const end1 = timeToMinutes(h1.end_time);
+        const start2 = timeToMinutes(h2.start_time);
+        const end2 = timeToMinutes(h2.end_time);
+        if (start1 < end2 && end1 > start2) {
+          overlaps.push({
+            weekday: Number(weekday),
+            schedule1: { branch_id: h1.branch_id, time: `${h1.start_time} - ${h1.end_time}` },
+            schedule2: { branch_id: h2.branch_id, time: `${h2.start_time} - ${h2.end_time}` },
+          });
+        }
+      }
+    }
+  }
+  return overlaps;
+}
@@ -18,6 +18,7 @@ import { customersAdmin } from "./routes/customersAdmin.js";
 import { admin as adminRouter } from "./routes/admin.js";
 import { mpWebhook } from "./routes/mpWebhook.js";
 import { calendar } from "./routes/calendar.js";
+import { calendarFeedsPublic } from "./routes/calendarFeedsPublic.js";
 import { payments } from "./routes/payments.js";
 import { auth } from "./routes/auth.js";
 import { config } from "./routes/config.js";
@@ -30,6 +31,17 @@ import { depositsAdmin } from "./routes/depositsAdmin.js";
 import { identifyTenant, requireTenant, requireActiveSubscription, requireSuperAdmin } from "./auth/tenant.js";
 import { requireAuth, requireRole } from "./auth/middlewares.js";
 import { daysOff } from "./routes/daysOff.js";
+import { closures } from "./routes/closures.js";
+import { resources } from "./routes/resources.js";
+import { packages } from "./routes/packages.js";
+import { giftCards } from "./routes/giftCards.js";
+import { promoCodes } from "./routes/promoCodes.js";
+import { loyalty } from "./routes/loyalty.js";
+import { customerPrivacy } from "./routes/customerPrivacy.js";
+import { whatsappInbox } from "./routes/whatsappInbox.js";
+import { messageLog } from "./routes/messageLog.js";
+import { auditLog, superAdminAuditLog } from "./routes/auditLog.js";
+import { auditMutations } from "./services/auditLog.js";
 import invoicing from "./routes/invoicing.js";
 import { mpOAuth } from "./routes/mpOAuth.js";
 import { googleOAuth } from "./routes/googleOAuth.js";
@@ -39,6 +51,7 @@ import stockReservations from "./routes/stockReservations.js";
 import stockTransfers from "./routes/stockTransfers.js";
 import stockAlerts from "./routes/stockAlerts.js";
 import stockValuation from "./routes/stockValuation.js";
+import stockPurchasing from "./routes/stockPurchasing.js";
 import invoicingArca from "./routes/invoicingArca.js";
 import users from "./routes/users.js";
 import classesRouter from "./routes/classes.js";
@@ -46,12 +59,15 @@ import { setArcaPool } from "./services/arca.js";
 import { pool } from "./db.js";
 import onboardingPublic from "./routes/onboardingPublic.js";
 import superAdminRouter from "./routes/superAdmin.js";
+import { scheduledJobs } from "./routes/scheduledJobs.js";
 import subscriptions from "./routes/subscriptions.js";
 import instructorsAdmin from "./routes/instructorsAdmin.js";
 import memberships from "./routes/memberships.js";
 import branchesRouter from "./routes/branches.js";
 import enterpriseRequestRouter from "./routes/enterpriseRequest.js";
 import { cashRegister } from "./routes/cashRegister.js";
+import { pos } from "./routes/pos.js";
+import { checkin } from "./routes/checkin.js";
 import { reminders } from "./routes/reminders.js";
 import { chat } from "./routes/chat.js";
 import { ecommerce } from "./routes/ecommerce.js";
@@ -65,10 +81,11 @@ import testEmail from "./routes/testEmail.js";
 import crm from "./routes/crm.js";
 import fetch from "node-fetch";
 import { upsertTenantWhatsAppCredentials } from "./services/whatsappHub.js";
+import { startJobScheduler } from "./services/jobScheduler.js";
+import "./services/scheduledJobs.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
-import { sendWhatsAppText, sendWhatsAppTemplate } from "./whatsapp.js";
 dotenv.config();
 
 // Inicializar pool de ARCA
@@ -316,6 +333,7 @@ app.use("/api/chat", chat); // Chat con IA (público para landing page)
 app.use("/api/public/ecommerce", ecommerceIntegrationsPublic);
 app.use("/api/public/customer", customerPublic); // Endpoints públicos para clientes (app móvil)
 app.use("/api/public/customer/oauth", customerOAuth); // OAuth para clientes (app móvil)
+app.use("/api/public/calendar", calendarFeedsPublic); // Feeds iCalendar por token
 app.use("/api/workout-routines", workoutRoutines); // Rutinas de ejercicios con IA
 app.use("/api", customerAppSettings); // Configuración de app por cliente (tema, precios, horarios, notificaciones)
 app.use("/api/test-email", testEmail); // Endpoint de prueba de email
@@ -768,10 +786,15 @@ app.get("/api/config/whatsapp/callback", async (req, res) => {
 /* MIDDLEWARE DE TENANT para /api/* */
 app.use("/api", identifyTenant);
 
+/* Auditoría de mutaciones administrativas (registra al terminar la respuesta) */
+app.use("/api", auditMutations);
+
 /* =========================
    SUPER ADMIN (sin requerir tenant)
 ========================= */
 app.use("/api/super-admin", requireAuth);
+app.use("/api/super-admin/jobs", requireSuperAdmin, scheduledJobs);
+app.use("/api/super-admin/audit-log", requireSuperAdmin, superAdminAuditLog);
 app.use("/api/super-admin", requireSuperAdmin, superAdminRouter);
 
 
@@ -813,8 +836,20 @@ app.use("/api/whatsapp/agent", identifyTenant, whatsappAgent);
 app.use("/api/commissions", instructorCommission);
 app.use("/api/working-hours", workingHours);
 app.use("/api/days-off", daysOff);
+app.use("/api/closures", closures);
+app.use("/api/resources", resources);
+app.use("/api/packages", packages);
+app.use("/api/gift-cards", giftCards);
+app.use("/api/promo-codes", promoCodes);
+app.use("/api/loyalty", loyalty);
+app.use("/api/customer-privacy", customerPrivacy);
+app.use("/api/whatsapp-inbox", whatsappInbox);
+app.use("/api/message-log", messageLog);
+app.use("/api/audit-log", auditLog);
 app.use("/api/invoicing", requireRole("admin", "staff", "user"), invoicing);
 app.use("/api/cash-register", cashRegister);
+app.use("/api/pos", pos);
+app.use("/api/checkin", checkin);
 app.use("/api/stats", requireRole("admin", "staff", "user"), instructorStats);
 
 // Meta (servicios, instructores, etc.)
@@ -835,6 +870,7 @@ app.use("/api/stock", stockReservations);
 app.use("/api/stock", stockTransfers);
 app.use("/api/stock", stockAlerts);
 app.use("/api/stock", stockValuation);
+app.use("/api/stock", stockPurchasing);
 
 // Admin
 app.use("/api/admin", requireRole("admin", "staff", "user"), depositsAdmin);
@@ -852,571 +888,11 @@ app.use("/api/subscriptions", subscriptions);
 app.use("/api/branches", branchesRouter);
 
 /* =========================
-   Job automático de recordatorios
-   OPTIMIZADO: Procesa tenants en lotes con delays para evitar saturación
-========================= */
-let isRemindersJobRunning = false;
-
-async function runRemindersJob() {
-  // Prevenir ejecuciones concurrentes
-  if (isRemindersJobRunning) {
-    console.log(`⏭️ [Reminders Job] Job ya en ejecución, saltando...`);
-    return;
-  }
-
-  isRemindersJobRunning = true;
-  const jobStartTime = Date.now();
-
-  try {
-    // Obtener todos los tenants activos (limitado a 50 por ejecución para evitar saturación)
-    const [tenants] = await pool.query(
-      `SELECT id FROM tenant WHERE is_active = 1 LIMIT 50`
-    );
-
-    if (tenants.length === 0) {
-      return;
-    }
-
-    console.log(`🔄 [Reminders Job] Procesando ${tenants.length} tenants...`);
-
-    // Procesar tenants con delay entre cada uno para evitar saturación
-    for (let i = 0; i < tenants.length; i++) {
-      const tenant = tenants[i];
-      
-      // Delay progresivo: más delay si hay muchos tenants
-      if (i > 0 && i % 5 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 1 segundo cada 5 tenants
-      }
-
-      try {
-        // Verificar si los recordatorios están habilitados para este tenant
-        const [[enabledRow]] = await pool.query(
-          `SELECT config_value FROM system_config 
-           WHERE tenant_id = ? AND config_key = 'reminders.enabled'`,
-          [tenant.id]
-        );
-        
-        const enabled = enabledRow?.config_value === "1" || enabledRow?.config_value === "true";
-        if (!enabled) continue;
-
-        const [[hoursRow]] = await pool.query(
-          `SELECT config_value FROM system_config 
-           WHERE tenant_id = ? AND config_key = 'reminders.advance_hours'`,
-          [tenant.id]
-        );
-        const advanceHours = Number(hoursRow?.config_value) || 24;
-
-        // Calcular ventana de tiempo para recordatorios
-        const now = new Date();
-        const reminderWindowStart = new Date(now.getTime() + advanceHours * 60 * 60 * 1000);
-        const reminderWindowEnd = new Date(reminderWindowStart.getTime() + 60 * 60 * 1000); // Ventana de 1 hora
-
-        // Buscar turnos que necesitan recordatorio (query optimizada con LIMIT)
-        const [appointments] = await pool.query(
-          `SELECT 
-            a.id,
-            a.starts_at,
-            a.status,
-            a.deposit_decimal,
-            c.name AS customer_name,
-            c.phone_e164,
-            s.name AS service_name,
-            s.price_decimal,
-            i.name AS instructor_name
-          FROM appointment a
-          JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
-          JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
-          JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
-          WHERE a.tenant_id = ?
-            AND a.status IN ('scheduled', 'confirmed', 'deposit_paid', 'pending_deposit')
-            AND a.starts_at >= ?
-            AND a.starts_at <= ?
-            AND (a.reminder_sent_at IS NULL OR a.reminder_sent_at < DATE_SUB(a.starts_at, INTERVAL ? HOUR))
-            AND c.phone_e164 IS NOT NULL
-            AND c.phone_e164 != ''
-          ORDER BY a.starts_at ASC
-          LIMIT 20`,
-          [tenant.id, reminderWindowStart, reminderWindowEnd, advanceHours]
-        );
-
-        if (!appointments.length) continue;
-
-        // Importar sendWhatsAppText dinámicamente
-        const { sendWhatsAppText } = await import("./whatsapp.js");
-        if (!sendWhatsAppText) continue;
-
-        // Helper para obtener nombre del tenant (cachear si es posible)
-        const [[tenantRow]] = await pool.query(
-          "SELECT name FROM tenant WHERE id = ? LIMIT 1",
-          [tenant.id]
-        );
-        const tenantName = tenantRow?.name || "ARJA ERP";
-
-        let sentCount = 0;
-        // Procesar turnos con delay pequeño entre cada uno
-        for (const apt of appointments) {
-          try {
-            const startDate = new Date(apt.starts_at);
-            const fecha = startDate.toLocaleDateString("es-AR", {
-              weekday: "long",
-              day: "2-digit",
-              month: "2-digit",
-              year: "numeric",
-            });
-            const hora = startDate.toLocaleTimeString("es-AR", {
-              hour: "2-digit",
-              minute: "2-digit",
-            });
-
-            let msg =
-              `Hola ${apt.customer_name || "cliente"}! 👋\n\n` +
-              `📅 *Recordatorio de tu turno*\n\n` +
-              `Tenés un turno programado:\n` +
-              `• Servicio: ${apt.service_name}\n` +
-              `• Profesional: ${apt.instructor_name}\n` +
-              `• Fecha: ${fecha}\n` +
-              `• Hora: ${hora}\n`;
-
-            // Si tiene seña pendiente, agregar información
-            if (apt.status === "pending_deposit" && apt.deposit_decimal > 0) {
-              msg += `\n⚠️ *Recordá que tenés una seña pendiente de $${Number(apt.deposit_decimal).toFixed(2)}*\n`;
-            }
-
-            msg += `\n¡Te esperamos en *${tenantName}*! 💈\n\n` +
-              `Si necesitás cambiar o cancelar, avisanos con anticipación.`;
-
-            await sendWhatsAppText(apt.phone_e164, msg, tenant.id);
-
-            // Marcar como enviado
-            await pool.query(
-              `UPDATE appointment 
-               SET reminder_sent_at = NOW() 
-               WHERE id = ? AND tenant_id = ?`,
-              [apt.id, tenant.id]
-            );
-
-            sentCount++;
-            
-            // Delay pequeño entre mensajes para evitar saturación de WhatsApp API
-            if (sentCount < appointments.length) {
-              await new Promise(resolve => setTimeout(resolve, 200)); // 200ms entre mensajes
-            }
-          } catch (error) {
-            console.error(`❌ [Reminders Job] Error enviando recordatorio para turno ${apt.id}:`, error.message);
-          }
-        }
-
-        if (sentCount > 0) {
-          console.log(`✅ [Reminders Job] Tenant ${tenant.id}: ${sentCount} recordatorios enviados`);
-        }
-      } catch (error) {
-        console.error(`❌ [Reminders Job] Error procesando tenant ${tenant.id}:`, error.message);
-      }
-    }
-
-    const jobDuration = Date.now() - jobStartTime;
-    console.log(`✅ [Reminders Job] Completado en ${jobDuration}ms`);
-  } catch (error) {
-    console.error("❌ [Reminders Job] Error general:", error.message);
-  } finally {
-    isRemindersJobRunning = false;
-  }
-}
-
-// Ejecutar job cada 15 minutos (aumentado a 20 minutos para reducir carga)
-const REMINDERS_JOB_INTERVAL = 20 * 60 * 1000; // 20 minutos
-setInterval(runRemindersJob, REMINDERS_JOB_INTERVAL);
-console.log(`✅ [Reminders Job] Job de recordatorios iniciado (cada ${REMINDERS_JOB_INTERVAL / 60000} minutos)`);
-
-// Ejecutar inmediatamente al iniciar (opcional, comentado para evitar spam al iniciar)
-// runRemindersJob();
-
-/* =========================
-   Job automático de recordatorios PUSH
-   Envía notificaciones push ~N minutos antes del turno
+   Tareas programadas
+   Recordatorios, renovaciones, señas vencidas, alertas de stock y campañas del CRM
+   corren en el planificador persistido (services/jobScheduler.js): cada tarea la toma
+   una sola instancia por vez y cada ejecución queda registrada.
 ========================= */
-let isPushRemindersJobRunning = false;
-
-async function runPushRemindersJob() {
-  if (isPushRemindersJobRunning) return;
-  isPushRemindersJobRunning = true;
-  try {
-    const [tenants] = await pool.query(`SELECT id FROM tenant WHERE is_active = 1 LIMIT 50`);
-    if (!tenants.length) return;
-    for (const tenant of tenants) {
-      try {
-        const [[enabledRow]] = await pool.query(
-          `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'push_reminders.enabled'`,
-          [tenant.id]
-        );
-        const enabled = enabledRow?.config_value === "1" || enabledRow?.config_value === "true" || enabledRow?.config_value == null;
-        if (!enabled) continue;
-        const [[advRow]] = await pool.query(
-          `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'push_reminders.advance_minutes'`,
-          [tenant.id]
-        );
-        const [[winRow]] = await pool.query(
-          `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'push_reminders.window_minutes'`,
-          [tenant.id]
-        );
-        const advanceMinutes = Number(advRow?.config_value) || 30;
-        const windowMinutes = Number(winRow?.config_value) || 10;
-        const now = new Date();
-        const targetStart = new Date(now.getTime() + advanceMinutes * 60 * 1000);
-        const targetEnd = new Date(targetStart.getTime() + windowMinutes * 60 * 1000);
-        try {
-          await pool.query(`ALTER TABLE appointment ADD COLUMN push_reminder_sent_at DATETIME NULL`);
-        } catch {}
-        const [appointments] = await pool.query(
-          `SELECT 
-            a.id,
-            a.starts_at,
-            a.status,
-            c.id AS customer_id,
-            c.name AS customer_name,
-            s.name AS service_name,
-            i.name AS instructor_name
-          FROM appointment a
-          JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
-          JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
-          JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
-          WHERE a.tenant_id = ?
-            AND a.status IN ('scheduled', 'confirmed', 'deposit_paid', 'pending_deposit')
-            AND a.starts_at BETWEEN ? AND ?
-            AND (a.push_reminder_sent_at IS NULL OR a.push_reminder_sent_at < DATE_SUB(a.starts_at, INTERVAL ? MINUTE))
-          ORDER BY a.starts_at ASC
-          LIMIT 20`,
-          [tenant.id, targetStart, targetEnd, advanceMinutes]
-        );
-        if (!appointments.length) continue;
-        const { sendNotificationToCustomer } = await import("./services/pushNotifications.js");
-        for (const apt of appointments) {
-          try {
-            const startDate = new Date(apt.starts_at);
-            const fecha = startDate.toLocaleDateString("es-AR", { weekday: "long", day: "2-digit", month: "2-digit" });
-            const hora = startDate.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
-            await sendNotificationToCustomer(tenant.id, apt.customer_id, {
-              title: "Recordatorio de tu turno",
-              body: `${apt.service_name} con ${apt.instructor_name} — ${fecha} ${hora}`,
-              data: { type: "appointment_reminder", appointmentId: apt.id, startsAt: apt.starts_at },
-            });
-            await pool.query(`UPDATE appointment SET push_reminder_sent_at = NOW() WHERE id = ? AND tenant_id = ?`, [apt.id, tenant.id]);
-          } catch {}
-        }
-      } catch {}
-    }
-  } catch {}
-  isPushRemindersJobRunning = false;
-}
-
-const PUSH_REMINDERS_JOB_INTERVAL = 5 * 60 * 1000; // 5 minutos
-setInterval(runPushRemindersJob, PUSH_REMINDERS_JOB_INTERVAL);
-console.log(`✅ [Push Reminders Job] Iniciado (cada ${PUSH_REMINDERS_JOB_INTERVAL / 60000} minutos)`);
-
-let isCampaignsSchedulerRunning = false;
-
-async function runCampaignsScheduler() {
-  if (isCampaignsSchedulerRunning) return;
-  isCampaignsSchedulerRunning = true;
-  try {
-    const [tenants] = await pool.query(`SELECT id FROM tenant WHERE is_active = 1 LIMIT 50`);
-    const now = new Date();
-    for (const tenant of tenants) {
-      try {
-        const [[row]] = await pool.query(
-          `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'crm.schedules' LIMIT 1`,
-          [tenant.id]
-        );
-        let schedules = [];
-        if (row?.config_value) {
-          try {
-            const parsed = JSON.parse(row.config_value);
-            schedules = Array.isArray(parsed) ? parsed : [];
-          } catch {}
-        }
-        const due = schedules.filter((s) => {
-          const sendAt = new Date(String(s.sendAt));
-          return sendAt <= now;
-        });
-        if (due.length === 0) continue;
-        for (const job of due) {
-          try {
-            const segmentCode = String(job.segmentCode || "");
-            const message = String(job.message || "");
-            const max = Math.min(500, Number(job.max) || 50);
-            let segRows = [];
-            if (segmentCode === "inactive_60_days") {
-              const [r] = await pool.query(
-                `
-                SELECT c.id, c.name, c.phone_e164 AS phone,
-                       MAX(a.starts_at) AS last_appointment_at
-                  FROM customer c
-                  LEFT JOIN appointment a
-                    ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                 WHERE c.tenant_id = ?
-                 GROUP BY c.id, c.name, c.phone_e164
-                HAVING (last_appointment_at IS NULL OR last_appointment_at < DATE_SUB(NOW(), INTERVAL 60 DAY))
-                 ORDER BY last_appointment_at IS NULL DESC, last_appointment_at ASC
-                 LIMIT ?
-                `,
-                [tenant.id, max]
-              );
-              segRows = r;
-            } else if (segmentCode === "renewal_7_days") {
-              const [r] = await pool.query(
-                `
-                SELECT c.id, c.name, c.phone_e164 AS phone, cs.next_charge_at
-                  FROM customer c
-                  JOIN customer_subscription cs
-                    ON cs.customer_id = c.id AND cs.tenant_id = c.tenant_id
-                 WHERE c.tenant_id = ?
-                   AND cs.status = 'authorized'
-                   AND cs.next_charge_at IS NOT NULL
-                   AND cs.next_charge_at BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL 7 DAY)
-                 ORDER BY cs.next_charge_at ASC
-                 LIMIT ?
-                `,
-                [tenant.id, max]
-              );
-              segRows = r;
-            } else if (segmentCode === "deposit_pending_recent") {
-              const [r] = await pool.query(
-                `
-                SELECT 
-                  c.id, 
-                  c.name, 
-                  c.phone_e164 AS phone,
-                  MAX(a.starts_at) AS last_starts_at
-                  FROM customer c
-                  JOIN appointment a
-                    ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                 WHERE c.tenant_id = ?
-                   AND a.status = 'pending_deposit'
-                   AND a.starts_at >= DATE_SUB(NOW(), INTERVAL 14 DAY)
-                 GROUP BY c.id, c.name, c.phone_e164
-                 ORDER BY last_starts_at DESC
-                 LIMIT ?
-                `,
-                [tenant.id, max]
-              );
-              segRows = r;
-            } else if (segmentCode === "deposit_expired_recent") {
-              const [r] = await pool.query(
-                `
-                SELECT 
-                  c.id, 
-                  c.name, 
-                  c.phone_e164 AS phone,
-                  MAX(a.hold_until) AS last_hold_until
-                  FROM customer c
-                  JOIN appointment a
-                    ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                 WHERE c.tenant_id = ?
-                   AND a.status = 'pending_deposit'
-                   AND a.deposit_paid_at IS NULL
-                   AND a.hold_until IS NOT NULL
-                   AND a.hold_until < NOW()
-                   AND a.hold_until >= DATE_SUB(NOW(), INTERVAL 14 DAY)
-                 GROUP BY c.id, c.name, c.phone_e164
-                 ORDER BY last_hold_until DESC
-                 LIMIT ?
-                `,
-                [tenant.id, max]
-              );
-              segRows = r;
-            } else {
-              const [[csRow]] = await pool.query(
-                `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'crm.custom_segments' LIMIT 1`,
-                [tenant.id]
-              );
-              let custom = [];
-              if (csRow?.config_value) {
-                try {
-                  const parsed = JSON.parse(csRow.config_value);
-                  custom = Array.isArray(parsed) ? parsed : [];
-                } catch {}
-              }
-              const seg = custom.find((s) => String(s.code) === String(segmentCode));
-              if (!seg) continue;
-              const type = String(seg.type || "");
-              const days = Number(seg?.params?.days || seg?.days || 14);
-              if (type === "inactive_x_days") {
-                const [r] = await pool.query(
-                  `
-                  SELECT c.id, c.name, c.phone_e164 AS phone,
-                         MAX(a.starts_at) AS last_appointment_at
-                    FROM customer c
-                    LEFT JOIN appointment a
-                      ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                   WHERE c.tenant_id = ?
-                   GROUP BY c.id, c.name, c.phone_e164
-                  HAVING (last_appointment_at IS NULL OR last_appointment_at < DATE_SUB(NOW(), INTERVAL ? DAY))
-                   ORDER BY last_appointment_at IS NULL DESC, last_appointment_at ASC
-                   LIMIT ?
-                  `,
-                  [tenant.id, days, max]
-                );
-                segRows = r;
-              } else if (type === "renewal_in_days") {
-                const [r] = await pool.query(
-                  `
-                  SELECT c.id, c.name, c.phone_e164 AS phone, cs.next_charge_at
-                    FROM customer c
-                    JOIN customer_subscription cs
-                      ON cs.customer_id = c.id AND cs.tenant_id = c.tenant_id
-                   WHERE c.tenant_id = ?
-                     AND cs.status = 'authorized'
-                     AND cs.next_charge_at IS NOT NULL
-                     AND cs.next_charge_at BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
-                   ORDER BY cs.next_charge_at ASC
-                   LIMIT ?
-                  `,
-                  [tenant.id, days, max]
-                );
-                segRows = r;
-              } else if (type === "deposit_pending_recent_days") {
-                const [r] = await pool.query(
-                  `
-                  SELECT 
-                    c.id, 
-                    c.name, 
-                    c.phone_e164 AS phone,
-                    MAX(a.starts_at) AS last_starts_at
-                    FROM customer c
-                    JOIN appointment a
-                      ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                   WHERE c.tenant_id = ?
-                     AND a.status = 'pending_deposit'
-                     AND a.starts_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
-                   GROUP BY c.id, c.name, c.phone_e164
-                   ORDER BY last_starts_at DESC
-                   LIMIT ?
-                  `,
-                  [tenant.id, days, max]
-                );
-                segRows = r;
-              } else if (type === "deposit_expired_recent_days") {
-                const [r] = await pool.query(
-                  `
-                  SELECT 
-                    c.id, 
-                    c.name, 
-                    c.phone_e164 AS phone,
-                    MAX(a.hold_until) AS last_hold_until
-                    FROM customer c
-                    JOIN appointment a
-                      ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
-                   WHERE c.tenant_id = ?
-                     AND a.status = 'pending_deposit'
-                     AND a.deposit_paid_at IS NULL
-                     AND a.hold_until IS NOT NULL
-                     AND a.hold_until < NOW()
-                     AND a.hold_until >= DATE_SUB(NOW(), INTERVAL ? DAY)
-                   GROUP BY c.id, c.name, c.phone_e164
-                   ORDER BY last_hold_until DESC
-                   LIMIT ?
-                  `,
-                  [tenant.id, days, max]
-                );
-                segRows = r;
-              } else {
-                continue;
-              }
-            }
-            const recipients = segRows
-              .map((r) => ({ id: r.id, name: r.name, phone: String(r.phone || "").replace(/\s+/g, "").replace(/-/g, "") }))
-              .filter((x) => x.phone);
-            let sent = 0;
-            for (const r of recipients) {
-              const text = message.replace("{nombre}", r.name || "Cliente");
-              try {
-                await sendWhatsAppText(r.phone, text, tenant.id, null);
-                sent++;
-                await new Promise((resolve) => setTimeout(resolve, 200));
-              } catch (err) {
-                if (String(err?.code) === "131047") {
-                  let templateOk = false;
-                  let langs = ["es_AR", "es", "es_419", "es_MX", "es_ES"];
-                  for (const lang of langs) {
-                    try {
-                      await sendWhatsAppTemplate(
-                        r.phone,
-                        "reabrir_chat",
-                        lang,
-                        [
-                          {
-                            type: "body",
-                            parameters: [
-                              { type: "text", text: r.name || "Cliente" }
-                            ]
-                          }
-                        ],
-                        tenant.id
-                      );
-                      templateOk = true;
-                      break;
-                    } catch {}
-                  }
-                  if (templateOk) {
-                    try {
-                      await sendWhatsAppText(r.phone, text, tenant.id, null);
-                      sent++;
-                    } catch {}
-                  }
-                }
-              }
-            }
-            const total = recipients.length;
-            const [[hRow]] = await pool.query(
-              `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = 'crm.history' LIMIT 1`,
-              [tenant.id]
-            );
-            let history = [];
-            if (hRow?.config_value) {
-              try {
-                const parsed = JSON.parse(hRow.config_value);
-                history = Array.isArray(parsed) ? parsed : [];
-              } catch {}
-            }
-            const entry = {
-              id: Date.now(),
-              segmentCode,
-              sent,
-              total,
-              startedAt: new Date().toISOString(),
-              finishedAt: new Date().toISOString(),
-              preview: false,
-            };
-            const nextHist = [entry, ...history].slice(0, 200);
-            const histVal = JSON.stringify(nextHist);
-            await pool.query(
-              `INSERT INTO system_config (tenant_id, config_key, config_value)
-               VALUES (?, 'crm.history', ?)
-               ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)`,
-              [tenant.id, histVal]
-            );
-          } catch {}
-        }
-        const remaining = schedules.filter((s) => {
-          const sendAt = new Date(String(s.sendAt));
-          return sendAt > now;
-        });
-        const value = JSON.stringify(remaining);
-        await pool.query(
-          `INSERT INTO system_config (tenant_id, config_key, config_value)
-           VALUES (?, 'crm.schedules', ?)
-           ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)`,
-          [tenant.id, value]
-        );
-      } catch {}
-    }
-  } catch {}
-  isCampaignsSchedulerRunning = false;
-}
-
-const CAMPAIGNS_JOB_INTERVAL = 5 * 60 * 1000;
-setInterval(runCampaignsScheduler, CAMPAIGNS_JOB_INTERVAL);
-console.log(`✅ [CRM Campaigns] Scheduler iniciado (cada ${CAMPAIGNS_JOB_INTERVAL / 60000} minutos)`);
 /* =========================
    Arranque del servidor
    OPTIMIZADO: Verificar conexión a BD antes de aceptar requests
@@ -1431,6 +907,11 @@ async function startServer() {
     await pool.query("SELECT 1");
     console.log("✅ [Startup] Conexión a base de datos verificada");
     
+    // Iniciar el planificador de tareas (no bloquea el arranque si falla)
+    startJobScheduler().catch((error) => {
+      console.error("❌ [Startup] Error iniciando el planificador de tareas:", error.message);
+    });
+
     // Iniciar servidor
 app.listen(port, () => {
     console.log(`✅ API segura lista en http://localhost:${port}`);
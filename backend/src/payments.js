@@ -486,6 +486,8 @@ export async function createDepositPaymentLink({
 
 /**
  * Crear link de pago genérico (no asociado a un appointment)
+ * Con `externalReference` el pago se notifica al webhook de MP para que lo procese
+ * quien generó la referencia (ej: compra de bonos).
  */
 export async function createGenericPaymentLink({
   tenantId,
@@ -494,6 +496,8 @@ export async function createGenericPaymentLink({
   description = null,
   customerId = null,
   expiresInDays = 7,
+  externalReference = null,
+  metadataType = "generic_payment",
 }) {
   if (!tenantId) throw new Error("tenantId requerido");
   if (!amount || amount <= 0) throw new Error("amount debe ser un número positivo");
@@ -556,7 +560,7 @@ export async function createGenericPaymentLink({
   const successUrl = `${frontUrl}/payment/success`;
   const failureUrl = `${frontUrl}/payment/failure`;
   const pendingUrl = `${frontUrl}/payment/pending`;
-  const notificationUrl = `${apiUrl}/api/payments/webhook`;
+  const notificationUrl = externalReference ? `${apiUrl}/api/mp-webhook` : `${apiUrl}/api/payments/webhook`;
 
   // Fecha de expiración
   const expirationDate = new Date();
@@ -585,7 +589,9 @@ export async function createGenericPaymentLink({
       pending: String(pendingUrl),
     },
     notification_url: String(notificationUrl),
-    external_reference: customerId ? `${tenantId}:customer:${customerId}` : `${tenantId}:payment:${Date.now()}`,
+    external_reference:
+      externalReference ||
+      (customerId ? `${tenantId}:customer:${customerId}` : `${tenantId}:payment:${Date.now()}`),
     expires: true,
     expiration_date_to: expirationDateISO,
     payment_methods: {
@@ -598,7 +604,7 @@ export async function createGenericPaymentLink({
     metadata: {
       tenant_id: String(tenantId),
       customer_id: customerId ? String(customerId) : null,
-      type: "generic_payment",
+      type: metadataType,
     },
   };
 
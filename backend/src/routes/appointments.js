@@ -4,6 +4,25 @@ import { pool } from "../db.js";
 import { isAfter, isBefore, addDays } from "date-fns";
 import { validateAppointmentDate } from "../helpers/dateValidation.js";
 import { checkAppointmentOverlap } from "../helpers/overlapValidation.js";
+import {
+  normalizeRecurrence,
+  normalizeExdates,
+  parseRRule,
+  expandRecurrence,
+  formatRRule,
+} from "../helpers/recurrence.js";
+import { getWorkingBlocksForDate, isWithinWorkingBlocks } from "../helpers/workingHours.js";
+import { assertBusinessOpen, clearRescheduleFlag } from "../services/closures.js";
+import { assertResourcesAvailable } from "../services/resources.js";
+import { syncPackageUsage } from "../services/packages.js";
+import { ensureLoyaltySchema, syncLoyaltyForAppointment } from "../services/loyalty.js";
+import {
+  ensurePromoSchema,
+  quotePromoCode,
+  applyPromoCode,
+  syncPromoRedemption,
+  voidPromoRedemption,
+} from "../services/promoCodes.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { cfgNumber, cfgBool } from "../services/config.js";
 import { createNotification } from "./notifications.js";
@@ -15,6 +34,45 @@ import {
   ensureUserCanAccessBranch,
   getPrimaryBranchId,
 } from "../helpers/branchAccess.js";
+import { recordAudit } from "../services/auditLog.js";
+
+/* ================== Auditoría ================== */
+const AUDIT_APPOINTMENT_FIELDS = [
+  "id",
+  "customer_id",
+  "instructor_id",
+  "service_id",
+  "branch_id",
+  "starts_at",
+  "ends_at",
+  "status",
+  "deposit_decimal",
+  "deposit_paid_at",
+];
+
+// Registra la edición (o la cancelación) comparando con el turno antes del cambio
+function auditAppointmentChange(req, before) {
+  req.auditRecorded = true;
+  const pick = (row) => row && Object.fromEntries(AUDIT_APPOINTMENT_FIELDS.map((field) => [field, row[field]]));
+  pool
+    .query(`SELECT ${AUDIT_APPOINTMENT_FIELDS.join(", ")} FROM appointment WHERE id = ? AND tenant_id = ?`, [
+      before.id,
+      req.tenant.id,
+    ])
+    .then(([[after]]) => {
+      const cancelled = after?.status === "cancelled" && before.status !== "cancelled";
+      return recordAudit(req, {
+        entity: "appointment",
+        entityId: before.id,
+        action: cancelled ? "cancel" : "update",
+        summary: cancelled ? `Turno #${before.id} cancelado` : `Turno #${before.id} modificado`,
+        before: pick(before),
+        after: pick(after),
+        branchId: after?.branch_id ?? before.branch_id,
+      });
+    })
+    .catch((error) => console.warn("[audit] turno:", error.message));
+}
 
 /* ================== Helpers de fecha ================== */
 function anyToMySQL(val) {
@@ -64,23 +122,20 @@ function fmtLocal(iso) {
 }
 
 /* ========= Working hours ========= */
-async function getWorkingHoursForDate(instructorId, dateStr, db = pool, tenantId) {
-  const weekday = new Date(`${dateStr}T00:00:00`).getDay();
-  const [rows] = await db.query(
-    `SELECT start_time, end_time
-       FROM working_hours
-      WHERE instructor_id=? AND tenant_id=? AND weekday IN (?, ?) 
-      ORDER BY start_time
-      LIMIT 1`,
-    [instructorId, tenantId, weekday, weekday === 0 ? 7 : weekday]
-  );
-  return rows[0] || null;
+// Devuelve todos los bloques del día (turno partido / por sucursal) o null si no trabaja
+async function getWorkingHoursForDate(instructorId, dateStr, db = pool, tenantId, branchId = null) {
+  const blocks = await getWorkingBlocksForDate({
+    tenantId,
+    instructorId: Number(instructorId),
+    date: dateStr,
+    branchId,
+    db,
+  });
+  return blocks.length ? blocks : null;
 }
 
-function insideWorkingHours(dateStr, start_time, end_time, start, end) {
-  const dayStart = new Date(`${dateStr}T${start_time}`);
-  const dayEnd = new Date(`${dateStr}T${end_time}`);
-  return !isBefore(start, dayStart) && !isAfter(end, dayEnd);
+function insideWorkingHours(dateStr, blocks, start, end) {
+  return isWithinWorkingBlocks(dateStr, blocks, start, end);
 }
 
 /* ========= Servicios / duración ========= */
@@ -474,7 +529,9 @@ export async function createAppointment({
   seriesId = null,
   seriesParentId = null,
   recurrenceRule = null,
-  branchId = null
+  branchId = null,
+  promoCode = null,
+  promoChannel = "whatsapp"
 }) {
   if (!tenantId) throw new Error("tenantId requerido");
 
@@ -560,6 +617,21 @@ export async function createAppointment({
   );
   const endMySQL = String(calc_end).replace("T", " ").slice(0, 19);
 
+  const dateStr = startMySQL.slice(0, 10);
+  await assertBusinessOpen(pool, { tenantId, branchId: appointmentBranchId, date: dateStr });
+  const blocks = await getWorkingHoursForDate(instructorId, dateStr, pool, tenantId, appointmentBranchId);
+  if (
+    !blocks ||
+    !insideWorkingHours(
+      dateStr,
+      blocks,
+      new Date(startMySQL.replace(" ", "T")),
+      new Date(endMySQL.replace(" ", "T"))
+    )
+  ) {
+    throw new Error("Fuera del horario laboral");
+  }
+
   const [busy] = await pool.query(
     `SELECT 1
        FROM appointment
@@ -571,6 +643,16 @@ export async function createAppointment({
     [tenantId, Number(instructorId), endMySQL, startMySQL]
   );
   if (busy.length) throw new Error("Horario ocupado");
+  await assertResourcesAvailable(pool, {
+    tenantId,
+    serviceId,
+    branchId: appointmentBranchId,
+    start: startMySQL,
+    end: endMySQL,
+  });
+  if (promoCode) {
+    await quotePromoCode(pool, tenantId, { code: promoCode, customerId, serviceId: Number(serviceId) });
+  }
 
   // 5) Insertar turno
   const [apt] = await pool.query(
@@ -594,7 +676,19 @@ export async function createAppointment({
     ]
   );
 
-  return { ok: true, id: apt.insertId, deposit: { required: Number(depositDecimal) > 0 } };
+  let promo = null;
+  if (promoCode) {
+    promo = await applyPromoCode(pool, {
+      tenantId,
+      code: promoCode,
+      customerId,
+      channel: promoChannel,
+      appointmentId: apt.insertId,
+      serviceId: Number(serviceId),
+    });
+  }
+
+  return { ok: true, id: apt.insertId, deposit: { required: Number(depositDecimal) > 0 }, promo };
 }
 
 /* ========= Router ========= */
@@ -725,6 +819,7 @@ appointments.get("/", requireAuth, requireRole("admin", "staff", "user"), async
 appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
     await conn.beginTransaction();
     const tenantId = req.tenant.id;
 
@@ -737,6 +832,7 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
       customerNotes,
       startsAt,
       endsAt,
+      promoCode,
       sendWhatsApp = 'none' // 'with_payment', 'reminder_only', o 'none'
     } = req.body;
 
@@ -829,24 +925,45 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
       });
     }
 
-    // --- 4.1) Horario laboral del estilista (por tenant) ---
+    const branchIdOverride = req.body.branchId ? Number(req.body.branchId) : null;
+    const targetBranchId = await resolveAppointmentBranchId(req, {
+      instructorBranchId: sty.branch_id,
+      branchIdOverride,
+      conn,
+    });
+
+    // --- 4.1) Horario laboral del estilista (por tenant y sucursal) ---
     const dateStr = startMySQL.slice(0, 10);
-    const wh = await getWorkingHoursForDate(instructorId, dateStr, conn, tenantId);
+    try {
+      await assertBusinessOpen(conn, { tenantId, branchId: targetBranchId, date: dateStr });
+    } catch (closureError) {
+      await conn.rollback();
+      return res.status(closureError.statusCode || 409).json({ ok: false, error: closureError.message });
+    }
+    const wh = await getWorkingHoursForDate(instructorId, dateStr, conn, tenantId, targetBranchId);
     if (!wh) {
       await conn.rollback();
       return res.status(400).json({ ok: false, error: "El peluquero no tiene horarios definidos para ese día" });
     }
-    if (!insideWorkingHours(dateStr, wh.start_time, wh.end_time, startDate, endDate)) {
+    if (!insideWorkingHours(dateStr, wh, startDate, endDate)) {
       await conn.rollback();
       return res.status(400).json({ ok: false, error: "Fuera del horario laboral" });
     }
 
-    const branchIdOverride = req.body.branchId ? Number(req.body.branchId) : null;
-    const targetBranchId = await resolveAppointmentBranchId(req, {
-      instructorBranchId: sty.branch_id,
-      branchIdOverride,
-      conn,
-    });
+    // --- 4.2) Salas / equipos que requiere el servicio ---
+    try {
+      await assertResourcesAvailable(conn, {
+        tenantId,
+        serviceId,
+        branchId: targetBranchId,
+        start: startMySQL,
+        end: endMySQL,
+        useLock: true,
+      });
+    } catch (resourceError) {
+      await conn.rollback();
+      return res.status(resourceError.statusCode || 409).json({ ok: false, error: resourceError.message });
+    }
 
     // --- 5) Insertar turno con tenant ---
     const [ins] = await conn.query(
@@ -857,6 +974,24 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
     );
     const appointmentId = ins.insertId;
 
+    // --- 5.1) Código promocional (la seña se calcula sobre el precio con descuento) ---
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await applyPromoCode(conn, {
+          tenantId,
+          code: promoCode,
+          customerId: effectiveCustomerId,
+          channel: "admin",
+          appointmentId,
+          serviceId: Number(serviceId),
+        });
+      } catch (promoError) {
+        await conn.rollback();
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+    }
+
     await conn.commit();
 
     // --- 6) Envío de WhatsApp según opción del usuario (fuera de la transacción) ---
@@ -895,9 +1030,10 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
               `• Profesional: *${instructorRow?.name || "Nuestro equipo"}*\n` +
               `• Fecha: *${fecha} ${hora}*\n\n` +
               `Si necesitás reprogramar o cancelar, avisanos por acá.`;
+            const waLog = { kind: "confirmation", customerId: effectiveCustomerId, appointmentId };
 
             try {
-              await sendWhatsAppText(customerRow.phone_e164, msg, tenantId);
+              await sendWhatsAppText(customerRow.phone_e164, msg, tenantId, null, { log: waLog });
             } catch (waError) {
               // Si el error es 131047, significa que:
               // - Han pasado más de 24 horas desde la última respuesta del cliente, O
@@ -928,7 +1064,8 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
                           ]
                         }
                       ],
-                      tenantId
+                      tenantId,
+                      { log: waLog }
                     );
                     console.log(`✅ [appointments] Template "confirmacion_turno" enviado exitosamente a ${customerRow.phone_e164} (idioma: ${lang})`);
                     templateSent = true;
@@ -960,7 +1097,7 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
                       `Si necesitás reprogramar o cancelar, avisanos por acá.`;
                     
                     try {
-                      await sendWhatsAppText(customerRow.phone_e164, fallbackMessage, tenantId);
+                      await sendWhatsAppText(customerRow.phone_e164, fallbackMessage, tenantId, null, { log: waLog });
                       console.log(`✅ [appointments] Mensaje de texto de fallback enviado exitosamente a ${customerRow.phone_e164}`);
                     } catch (textError) {
                       console.error(`❌ [appointments] Error enviando mensaje de texto de fallback:`, textError.message || textError);
@@ -1051,7 +1188,9 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
             
             console.log(`[appointments] Enviando WhatsApp a instructor ${inst.phone_e164}...`);
             try {
-              await sendWhatsAppText(inst.phone_e164, msg, tenantId);
+              await sendWhatsAppText(inst.phone_e164, msg, tenantId, null, {
+                log: { kind: "staff_alert", appointmentId },
+              });
               console.log(`✅ [appointments] WhatsApp enviado a instructor ${inst.phone_e164}`);
             } catch (waErr) {
               console.warn(`⚠️ [appointments] Falló envío directo a instructor (${waErr.code}). Intentando template...`);
@@ -1072,7 +1211,8 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
                           { type: "text", text: whenLabel }
                         ] }
                       ],
-                      tenantId
+                      tenantId,
+                      { log: { kind: "staff_alert", appointmentId } }
                     );
                     console.log(`✅ [appointments] Template enviado a instructor (lang: ${lang})`);
                     sentTemplate = true;
@@ -1116,7 +1256,7 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
                   `<p><strong>Servicio:</strong> ${serviceLabel}</p>`,
                   `<p><strong>Horario:</strong> ${whenLabel}</p>`
                 ].join("");
-                await sendEmail({ to: u.email, subject, html, tenantId });
+                await sendEmail({ to: u.email, subject, html, log: { tenantId, kind: "staff_alert", appointmentId } });
                 console.log(`✅ [appointments] Email enviado al peluquero ${u.email}`);
               }
             }
@@ -1133,7 +1273,7 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
           title: "Tu turno fue reservado",
           body: `${serviceLabel} — ${whenLabel}`,
           data: { type: "appointment_created", appointmentId, startsAt: startMySQL, instructorId, serviceId }
-        });
+        }, { kind: "confirmation", appointmentId });
       } catch (pushErr) {
         console.error("⚠️ [appointments] Error enviando push al cliente:", pushErr?.message || pushErr);
       }
@@ -1141,7 +1281,11 @@ appointments.post("/", requireAuth, requireRole("admin", "staff", "user"), async
       console.error("⚠️ [appointments] No se pudo crear notificación:", e.message);
     }
 
-    return res.status(201).json({ ok: true, id: appointmentId });
+    return res.status(201).json({
+      ok: true,
+      id: appointmentId,
+      promo: promo ? { code: promo.code, discount: promo.discount, finalAmount: promo.finalAmount } : null,
+    });
 
   } catch (err) {
     await conn.rollback();
@@ -1166,6 +1310,7 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
     startsAt,
     repeat = {},
     status = "scheduled",
+    dryRun = false,
   } = req.body || {};
 
   if (!serviceId || !instructorId || !startsAt || !repeat) {
@@ -1176,74 +1321,33 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
     return res.status(400).json({ ok: false, error: "Falta customerId o customerPhone" });
   }
 
-  const frequency = String(repeat.frequency || "weekly").toLowerCase();
-  if (frequency !== "weekly") {
-    return res.status(400).json({ ok: false, error: "Solo se admite repetición semanal" });
-  }
-
-  const MAX_OCCURRENCES = Number(process.env.APPOINTMENT_RECURRING_MAX || 26);
-  let interval = Number.parseInt(repeat.interval ?? 1, 10);
-  if (!Number.isFinite(interval) || interval <= 0) interval = 1;
-
-  let count = repeat.count != null ? Number.parseInt(repeat.count, 10) : null;
-  if (Number.isFinite(count) && count <= 0) {
-    return res.status(400).json({ ok: false, error: "La cantidad de repeticiones debe ser mayor a cero" });
-  }
-  if (count && count > MAX_OCCURRENCES) {
-    return res.status(400).json({
-      ok: false,
-      error: `No se permiten más de ${MAX_OCCURRENCES} turnos en una serie`,
-    });
-  }
-
   const startDate = new Date(startsAt);
   if (Number.isNaN(startDate.getTime())) {
     return res.status(400).json({ ok: false, error: "Fecha/hora inicial inválida" });
   }
 
-  let untilLimit = null;
-  if (repeat.until) {
-    const until = new Date(repeat.until);
-    if (Number.isNaN(until.getTime())) {
-      return res.status(400).json({ ok: false, error: "Fecha de fin de recurrencia inválida" });
-    }
-    untilLimit = new Date(until.getFullYear(), until.getMonth(), until.getDate(), 23, 59, 59, 999);
-  }
-
-  if (!count && !untilLimit) {
-    return res.status(400).json({
-      ok: false,
-      error: "Indicá la cantidad de repeticiones (count) o una fecha límite (until)",
-    });
-  }
-
-  const occurrences = [];
-  let current = new Date(startDate.getTime());
-  let tooManyGenerated = false;
-
-  while (true) {
-    if (count && occurrences.length >= count) break;
-    if (untilLimit && current > untilLimit) break;
-    if (occurrences.length >= MAX_OCCURRENCES) {
-      tooManyGenerated = true;
-      break;
-    }
-
-    occurrences.push(new Date(current.getTime()));
-    current = addDays(current, interval * 7);
+  const MAX_OCCURRENCES = Number(process.env.APPOINTMENT_RECURRING_MAX || 26);
+  let rule;
+  let expansion;
+  try {
+    rule = normalizeRecurrence(repeat, startDate);
+    expansion = expandRecurrence(rule, startDate, { max: MAX_OCCURRENCES });
+  } catch (ruleError) {
+    return res.status(ruleError.status || 400).json({ ok: false, error: ruleError.message });
   }
 
-  if (!occurrences.length) {
+  if (!expansion.occurrences.length) {
     return res.status(400).json({ ok: false, error: "No se generaron fechas para la recurrencia" });
   }
 
-  if (tooManyGenerated) {
+  if (expansion.truncated) {
     return res.status(400).json({
       ok: false,
       error: `La recurrencia supera el máximo permitido (${MAX_OCCURRENCES}). Reducí la cantidad o el período.`,
     });
   }
 
+  await ensureSeriesSchema();
   const conn = await pool.getConnection();
 
   try {
@@ -1269,7 +1373,6 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
 
     // Para turnos individuales, no validar membresía
     const membershipInfo = await ensureActiveMembership(conn, tenantId, customerId, { forClasses: false });
-    const appointmentTracker = { activeAppointments: null };
 
     const [[service]] = await conn.query(
       "SELECT id, duration_min, price_decimal FROM service WHERE id = ? AND tenant_id = ? AND is_active = 1 LIMIT 1",
@@ -1302,120 +1405,73 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
       return res.status(400).json({ ok: false, error: "El servicio no tiene duración configurada" });
     }
 
-    const recurrenceMeta = {
-      frequency,
-      interval,
-      count: repeat.count ?? null,
-      until: repeat.until ?? null,
+    const bookingOptions = {
+      tenantId,
+      customerId,
+      instructorId: Number(instructorId),
+      serviceId: Number(serviceId),
+      branchId: targetBranchId,
+      durationMin,
+      status,
+      membership: membershipInfo,
+      bufferMinutes: Number(process.env.APPT_BUFFER_MIN || 0),
     };
-
-    const [seriesIns] = await conn.query(
-      `INSERT INTO appointment_series
-        (tenant_id, customer_id, instructor_id, service_id, frequency, interval_value, total_occurrences, starts_at, until_date, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        tenantId,
-        customerId,
-        Number(instructorId),
-        Number(serviceId),
-        frequency,
-        interval,
-        occurrences.length,
-        occurrences[0],
-        untilLimit ? new Date(untilLimit.getFullYear(), untilLimit.getMonth(), untilLimit.getDate()) : null,
-        JSON.stringify(recurrenceMeta),
-      ]
-    );
-
-    const seriesId = seriesIns.insertId;
-    const bufferMinutes = Number(process.env.APPT_BUFFER_MIN || 0);
-    let parentAppointmentId = null;
-    const created = [];
-
-    for (let i = 0; i < occurrences.length; i += 1) {
-      const occurrence = occurrences[i];
-      const dateStr = occurrence.toISOString().slice(0, 10);
-      const timeStr = `${String(occurrence.getHours()).padStart(2, "0")}:${String(
-        occurrence.getMinutes()
-      ).padStart(2, "0")}`;
-      const startsAtLocal = `${dateStr} ${timeStr}:00`;
-
-      await ensurePlanAllowsAppointment(conn, {
-        tenantId,
-        customerId,
-        membership: membershipInfo,
-        tracker: appointmentTracker,
+    const excluded = expansion.excluded.map(formatLocalDate);
+
+    // Vista previa: informa qué fechas están libres sin reservar nada
+    if (dryRun) {
+      const preview = await bookSeriesOccurrences(conn, {
+        ...bookingOptions,
+        occurrences: expansion.occurrences,
+        dryRun: true,
       });
+      await conn.rollback();
+      return res.json({
+        ok: true,
+        data: {
+          rrule: formatRRule(rule),
+          occurrences: preview.created,
+          conflicts: preview.conflicts,
+          excluded,
+        },
+      });
+    }
 
-      try {
-        validateAppointmentDate(startsAtLocal);
-      } catch (validationError) {
-        throw new Error(`El turno del ${dateStr} ${timeStr} no es válido: ${validationError.message}`);
-      }
-
-      const workingHours = await getWorkingHoursForDate(
-        Number(instructorId),
-        dateStr,
-        conn,
-        tenantId
-      );
-      if (!workingHours) {
-        throw new Error(`El profesional no tiene horario definido para el ${dateStr}`);
-      }
-
-      const endDate = new Date(occurrence.getTime() + durationMin * 60000);
-
-      if (
-        !insideWorkingHours(dateStr, workingHours.start_time, workingHours.end_time, occurrence, endDate)
-      ) {
-        throw new Error(`El turno del ${dateStr} ${timeStr} queda fuera del horario laboral`);
-      }
-
-      try {
-        await checkAppointmentOverlap(conn, {
-          instructorId: Number(instructorId),
-          startTime: occurrence,
-          endTime: endDate,
-          tenantId,
-          bufferMinutes,
-          useLock: true,
-        });
-      } catch (overlapError) {
-        throw new Error(`El turno del ${dateStr} ${timeStr} se superpone: ${overlapError.message}`);
-      }
-
-      const [aptIns] = await conn.query(
-        `INSERT INTO appointment
-          (tenant_id, branch_id, customer_id, instructor_id, service_id, starts_at, ends_at, status, deposit_decimal, series_id, series_parent_id, recurrence_rule)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          tenantId,
-          targetBranchId,
-          customerId,
-          Number(instructorId),
-          Number(serviceId),
-          occurrence,
-          endDate,
-          status,
-          0,
-          seriesId,
-          parentAppointmentId,
-          i === 0 ? JSON.stringify(recurrenceMeta) : null,
-        ]
-      );
+    const recurrenceMeta = buildRecurrenceMeta(rule);
+    const seriesId = await insertSeriesRow(conn, {
+      tenantId,
+      customerId,
+      instructorId: Number(instructorId),
+      serviceId: Number(serviceId),
+      rule,
+      startsAt: expansion.occurrences[0],
+      totalOccurrences: expansion.occurrences.length,
+      metadata: recurrenceMeta,
+    });
 
-      const appointmentId = aptIns.insertId;
-      if (!parentAppointmentId) {
-        parentAppointmentId = appointmentId;
-      }
+    const { created, conflicts } = await bookSeriesOccurrences(conn, {
+      ...bookingOptions,
+      seriesId,
+      recurrenceMeta,
+      occurrences: expansion.occurrences,
+    });
 
-      created.push({
-        id: appointmentId,
-        startsAt: occurrence.toISOString(),
-        endsAt: endDate.toISOString(),
+    if (!created.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: "Ninguna de las fechas de la serie está disponible",
+        conflicts,
       });
     }
 
+    await conn.query(
+      `UPDATE appointment_series
+          SET total_occurrences = ?, metadata = ?
+        WHERE id = ? AND tenant_id = ?`,
+      [created.length, JSON.stringify({ ...recurrenceMeta, conflicts }), seriesId, tenantId]
+    );
+
     await conn.commit();
 
     for (const occ of created) {
@@ -1450,7 +1506,9 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
           `• ${datesText}\n\n` +
           `Si necesitás reprogramar o cancelar, avisanos por acá.`;
 
-        await sendWhatsAppText(customerPhoneE164, msg, tenantId);
+        await sendWhatsAppText(customerPhoneE164, msg, tenantId, null, {
+          log: { kind: "confirmation", customerId },
+        });
       } catch (waErr) {
         console.error("⚠️ [appointments recurring] No se pudo enviar resumen por WhatsApp:", waErr);
       }
@@ -1460,7 +1518,10 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
       ok: true,
       data: {
         seriesId,
+        rrule: recurrenceMeta.rrule,
         occurrences: created,
+        conflicts,
+        excluded,
       },
     });
   } catch (error) {
@@ -1475,11 +1536,282 @@ appointments.post("/recurring", requireAuth, requireRole("admin", "staff", "user
       return res.status(error.status).json({ ok: false, error: message });
     }
 
-    if (/superpone|horario|válido|no tiene horario/i.test(message)) {
-      return res.status(409).json({ ok: false, error: message });
+    return res.status(500).json({ ok: false, error: message });
+  } finally {
+    conn.release();
+  }
+});
+
+// ✅ Editar "este y los siguientes": corta la serie en el turno indicado y
+// continúa con una serie nueva (como un RRULE con UNTIL + uno nuevo en iCalendar)
+// PUT /api/appointments/series/:seriesId/following
+// { fromAppointmentId, startsAt?, instructorId?, serviceId?, branchId?, status?, repeat? }
+appointments.put("/series/:seriesId/following", requireAuth, requireRole("admin", "staff", "user"), async (req, res) => {
+  const tenantId = req.tenant.id;
+  const seriesId = Number(req.params.seriesId);
+  const b = req.body || {};
+  const fromAppointmentId = Number(b.fromAppointmentId);
+
+  if (!fromAppointmentId) {
+    return res.status(400).json({ ok: false, error: "Falta fromAppointmentId" });
+  }
+
+  await ensureSeriesSchema();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[series]] = await conn.query(
+      `SELECT * FROM appointment_series WHERE id = ? AND tenant_id = ? FOR UPDATE`,
+      [seriesId, tenantId]
+    );
+    if (!series) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Serie no encontrada" });
     }
 
-    return res.status(500).json({ ok: false, error: message });
+    const [[pivot]] = await conn.query(
+      `SELECT id, customer_id, instructor_id, service_id, branch_id, starts_at, status
+         FROM appointment
+        WHERE id = ? AND tenant_id = ? AND series_id = ?
+        FOR UPDATE`,
+      [fromAppointmentId, tenantId, seriesId]
+    );
+    if (!pivot) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "El turno no pertenece a la serie" });
+    }
+
+    const pivotStart = new Date(pivot.starts_at);
+    const newStartMySQL = b.startsAt ? anyToMySQL(b.startsAt) : null;
+    const newStart = newStartMySQL ? new Date(newStartMySQL.replace(" ", "T")) : pivotStart;
+    if ((b.startsAt && !newStartMySQL) || Number.isNaN(newStart.getTime())) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, error: "Fecha/hora inicial inválida" });
+    }
+
+    const [following] = await conn.query(
+      `SELECT id, starts_at
+         FROM appointment
+        WHERE tenant_id = ?
+          AND series_id = ?
+          AND starts_at >= ?
+          AND status NOT IN ('cancelled','completed')
+        ORDER BY starts_at ASC
+        FOR UPDATE`,
+      [tenantId, seriesId, pivotStart]
+    );
+
+    let rule;
+    try {
+      rule = b.repeat
+        ? normalizeRecurrence(b.repeat, newStart)
+        : continueSeriesRule(seriesRuleFromRow(series), {
+            oldStart: pivotStart,
+            newStart,
+            remaining: following.length,
+          });
+    } catch (ruleError) {
+      await conn.rollback();
+      return res.status(ruleError.status || 400).json({ ok: false, error: ruleError.message });
+    }
+
+    const MAX_OCCURRENCES = Number(process.env.APPOINTMENT_RECURRING_MAX || 26);
+    const expansion = expandRecurrence(rule, newStart, { max: MAX_OCCURRENCES });
+    if (expansion.truncated) {
+      await conn.rollback();
+      return res.status(400).json({
+        ok: false,
+        error: `La recurrencia supera el máximo permitido (${MAX_OCCURRENCES}). Reducí la cantidad o el período.`,
+      });
+    }
+
+    const instructorId = Number(b.instructorId ?? pivot.instructor_id);
+    const serviceId = Number(b.serviceId ?? pivot.service_id);
+    let branchId = pivot.branch_id;
+    if (b.branchId != null || instructorId !== Number(pivot.instructor_id)) {
+      const [[instructor]] = await conn.query(
+        "SELECT id, branch_id FROM instructor WHERE id = ? AND tenant_id = ? AND is_active = 1 LIMIT 1",
+        [instructorId, tenantId]
+      );
+      if (!instructor) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, error: "Profesional inexistente o inactivo" });
+      }
+      branchId = await resolveAppointmentBranchId(req, {
+        instructorBranchId: instructor.branch_id,
+        branchIdOverride: b.branchId != null ? Number(b.branchId) : null,
+        conn,
+      });
+    }
+
+    const durationMin = Number(await resolveServiceDuration(serviceId, null, conn, tenantId));
+    if (!Number.isFinite(durationMin) || durationMin <= 0) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, error: "El servicio no tiene duración configurada" });
+    }
+
+    // 1) Cancelar el tramo que se reemplaza (libera los horarios para la serie nueva)
+    const cancelledIds = following.map((row) => row.id);
+    if (cancelledIds.length) {
+      await conn.query(
+        `UPDATE appointment
+            SET status = 'cancelled', hold_until = NULL
+          WHERE tenant_id = ? AND id IN (?)`,
+        [tenantId, cancelledIds]
+      );
+    }
+
+    // 2) Serie nueva desde el turno elegido
+    const recurrenceMeta = { ...buildRecurrenceMeta(rule), splitFrom: seriesId };
+    const newSeriesId = await insertSeriesRow(conn, {
+      tenantId,
+      customerId: pivot.customer_id,
+      instructorId,
+      serviceId,
+      rule,
+      startsAt: expansion.occurrences[0] || newStart,
+      totalOccurrences: expansion.occurrences.length,
+      metadata: recurrenceMeta,
+    });
+
+    const membershipInfo = await ensureActiveMembership(conn, tenantId, pivot.customer_id, { forClasses: false });
+    const { created, conflicts } = await bookSeriesOccurrences(conn, {
+      tenantId,
+      seriesId: newSeriesId,
+      customerId: pivot.customer_id,
+      instructorId,
+      serviceId,
+      branchId,
+      durationMin,
+      status: b.status || "scheduled",
+      membership: membershipInfo,
+      recurrenceMeta,
+      occurrences: expansion.occurrences,
+      bufferMinutes: Number(process.env.APPT_BUFFER_MIN || 0),
+    });
+
+    if (!created.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: "Ninguna de las fechas nuevas está disponible; la serie no se modificó",
+        conflicts,
+      });
+    }
+
+    await conn.query(
+      `UPDATE appointment_series
+          SET total_occurrences = ?, metadata = ?
+        WHERE id = ? AND tenant_id = ?`,
+      [created.length, JSON.stringify({ ...recurrenceMeta, conflicts }), newSeriesId, tenantId]
+    );
+
+    // 3) La serie original termina antes del turno elegido
+    const previousRule = { ...seriesRuleFromRow(series), count: null, until: new Date(pivotStart.getTime() - 1000) };
+    const previousMeta = { ...parseSeriesMetadata(series), ...buildRecurrenceMeta(previousRule), splitInto: newSeriesId };
+    await conn.query(
+      `UPDATE appointment_series
+          SET until_date = ?, rrule = ?, metadata = ?, updated_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [formatLocalDate(previousRule.until), previousMeta.rrule, JSON.stringify(previousMeta), seriesId, tenantId]
+    );
+
+    await conn.commit();
+
+    for (const occ of created) {
+      await scheduleDepositReminder({ tenantId, appointmentId: occ.id });
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        seriesId: newSeriesId,
+        previousSeriesId: seriesId,
+        rrule: recurrenceMeta.rrule,
+        cancelled: cancelledIds,
+        occurrences: created,
+        conflicts,
+      },
+    });
+  } catch (error) {
+    await conn.rollback();
+    console.error("❌ [appointments PUT /series/:id/following] ERROR:", error);
+    if (error?.status || error?.statusCode) {
+      return res.status(error.status || error.statusCode).json({ ok: false, error: error.message });
+    }
+    res.status(500).json({ ok: false, error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// ✅ Fecha de excepción: cancela la ocurrencia de ese día y la registra como EXDATE
+// POST /api/appointments/series/:seriesId/exceptions { date: "YYYY-MM-DD" }
+appointments.post("/series/:seriesId/exceptions", requireAuth, requireRole("admin", "staff", "user"), async (req, res) => {
+  const tenantId = req.tenant.id;
+  const seriesId = Number(req.params.seriesId);
+
+  let exdates;
+  try {
+    exdates = normalizeExdates(req.body?.date ? [req.body.date] : req.body?.dates || []);
+  } catch (dateError) {
+    return res.status(400).json({ ok: false, error: dateError.message });
+  }
+  if (!exdates.length) {
+    return res.status(400).json({ ok: false, error: "Falta la fecha de excepción" });
+  }
+
+  await ensureSeriesSchema();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[series]] = await conn.query(
+      `SELECT * FROM appointment_series WHERE id = ? AND tenant_id = ? FOR UPDATE`,
+      [seriesId, tenantId]
+    );
+    if (!series) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Serie no encontrada" });
+    }
+
+    const [rows] = await conn.query(
+      `SELECT id, starts_at
+         FROM appointment
+        WHERE tenant_id = ?
+          AND series_id = ?
+          AND DATE(starts_at) IN (?)
+          AND status NOT IN ('cancelled','completed')
+        FOR UPDATE`,
+      [tenantId, seriesId, exdates]
+    );
+
+    const cancelledIds = rows.map((row) => row.id);
+    if (cancelledIds.length) {
+      await conn.query(
+        `UPDATE appointment
+            SET status = 'cancelled', hold_until = NULL
+          WHERE tenant_id = ? AND id IN (?)`,
+        [tenantId, cancelledIds]
+      );
+    }
+
+    const allExdates = normalizeExdates([...parseSeriesExdates(series), ...exdates]);
+    const metadata = { ...parseSeriesMetadata(series), exdates: allExdates };
+    await conn.query(
+      `UPDATE appointment_series
+          SET exdates = ?, metadata = ?, updated_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [JSON.stringify(allExdates), JSON.stringify(metadata), seriesId, tenantId]
+    );
+
+    await conn.commit();
+    res.json({ ok: true, data: { seriesId, exdates: allExdates, cancelled: cancelledIds } });
+  } catch (error) {
+    await conn.rollback();
+    console.error("❌ [appointments POST /series/:id/exceptions] ERROR:", error);
+    res.status(500).json({ ok: false, error: error.message });
   } finally {
     conn.release();
   }
@@ -1574,7 +1906,9 @@ appointments.delete("/series/:seriesId", requireAuth, requireRole("admin", "staf
             `• ${dates}\n\n` +
             `Si querés reservar nuevos horarios, escribime de nuevo 🙂`;
 
-          await sendWhatsAppText(customerRow.phone_e164, msg, tenantId);
+          await sendWhatsAppText(customerRow.phone_e164, msg, tenantId, null, {
+            log: { kind: "appointment_update", customerId: series.customer_id },
+          });
         }
       } catch (waErr) {
         console.error("⚠️ [appointments series cancel] No se pudo notificar por WhatsApp:", waErr);
@@ -1602,6 +1936,8 @@ appointments.delete("/series/:seriesId", requireAuth, requireRole("admin", "staf
 appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
+    await ensureLoyaltySchema();
     await conn.beginTransaction();
 
     const tenantId = req.tenant.id;
@@ -1741,7 +2077,13 @@ appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), asy
     // Validar horarios y overlaps si cambia rango
     if (startMySQL && endMySQL) {
       const dateStr = startMySQL.slice(0, 10);
-      const wh = await getWorkingHoursForDate(instructorId, dateStr, conn, tenantId);
+      try {
+        await assertBusinessOpen(conn, { tenantId, branchId: targetBranchId, date: dateStr });
+      } catch (closureError) {
+        await conn.rollback();
+        return res.status(closureError.statusCode || 409).json({ ok: false, error: closureError.message });
+      }
+      const wh = await getWorkingHoursForDate(instructorId, dateStr, conn, tenantId, targetBranchId);
 
       if (!wh) {
         await conn.rollback();
@@ -1751,7 +2093,7 @@ appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), asy
       const startDate = new Date(startMySQL.replace(" ", "T"));
       const endDate = new Date(endMySQL.replace(" ", "T"));
 
-      if (!insideWorkingHours(dateStr, wh.start_time, wh.end_time, startDate, endDate)) {
+      if (!insideWorkingHours(dateStr, wh, startDate, endDate)) {
         await conn.rollback();
         return res.status(400).json({ ok: false, error: "Fuera del horario laboral" });
       }
@@ -1766,6 +2108,15 @@ appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), asy
           bufferMinutes: Number(process.env.APPT_BUFFER_MIN || 10),
           useLock: true
         });
+        await assertResourcesAvailable(conn, {
+          tenantId,
+          serviceId,
+          branchId: targetBranchId,
+          start: startMySQL,
+          end: endMySQL,
+          excludeAppointmentId: id,
+          useLock: true,
+        });
       } catch (overlapError) {
         await conn.rollback();
         return res.status(409).json({ ok: false, error: overlapError.message });
@@ -1837,6 +2188,13 @@ appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), asy
       return res.status(404).json({ ok: false, error: "Turno no encontrado" });
     }
 
+    // Completar el turno descuenta un uso del bono del cliente; si deja de estar completado, se devuelve
+    await syncPackageUsage(conn, { tenantId, appointmentId: Number(id), status });
+    // Cancelarlo libera el uso del código promocional
+    await syncPromoRedemption(conn, { tenantId, appointmentId: Number(id), status });
+    // Completarlo suma los puntos del programa de fidelización
+    await syncLoyaltyForAppointment(conn, { tenantId, appointmentId: Number(id), status });
+
     if (applySeries !== "none" && current.series_id) {
       const [[updatedBase]] = await conn.query(
         `SELECT id, starts_at, ends_at, instructor_id, service_id, branch_id
@@ -1863,6 +2221,7 @@ appointments.put("/:id", requireAuth, requireRole("admin", "staff", "user"), asy
     }
 
     await conn.commit();
+    auditAppointmentChange(req, current);
     res.json({ ok: true });
   } catch (e) {
     await conn.rollback();
@@ -1880,6 +2239,8 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
   // Reutilizar la misma lógica del PUT
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
+    await ensureLoyaltySchema();
     await conn.beginTransaction();
 
     const tenantId = req.tenant.id;
@@ -2005,6 +2366,35 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
       }
     }
 
+    if (startMySQL && startMySQL !== current.starts_at) {
+      try {
+        await assertBusinessOpen(conn, { tenantId, branchId: targetBranchId, date: startMySQL.slice(0, 10) });
+      } catch (closureError) {
+        await conn.rollback();
+        return res.status(closureError.statusCode || 409).json({ ok: false, error: closureError.message });
+      }
+    }
+
+    // Salas / equipos: solo si cambia el horario o el servicio
+    const movesResources =
+      (startMySQL && startMySQL !== current.starts_at) || Number(serviceId) !== Number(current.service_id);
+    if (movesResources && status !== "cancelled") {
+      try {
+        await assertResourcesAvailable(conn, {
+          tenantId,
+          serviceId,
+          branchId: targetBranchId,
+          start: startMySQL || current.starts_at,
+          end: endMySQL || current.ends_at,
+          excludeAppointmentId: id,
+          useLock: true,
+        });
+      } catch (resourceError) {
+        await conn.rollback();
+        return res.status(resourceError.statusCode || 409).json({ ok: false, error: resourceError.message });
+      }
+    }
+
     // UPDATE
     let setPaidAtSQL = "";
     const params = [
@@ -2044,7 +2434,17 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
       return res.status(404).json({ ok: false, error: "Turno no encontrado" });
     }
 
+    // Reprogramado o cancelado: ya no queda pendiente de reprogramar
+    if ((startMySQL && startMySQL !== current.starts_at) || status === "cancelled") {
+      await clearRescheduleFlag(conn, { tenantId, appointmentId: id });
+    }
+
+    await syncPackageUsage(conn, { tenantId, appointmentId: Number(id), status });
+    await syncPromoRedemption(conn, { tenantId, appointmentId: Number(id), status });
+    await syncLoyaltyForAppointment(conn, { tenantId, appointmentId: Number(id), status });
+
     await conn.commit();
+    auditAppointmentChange(req, current);
 
     // Procesar notificaciones si se solicitaron
     const notifyWhatsApp = b.notifyWhatsApp === true || b.notifyWhatsApp === "true";
@@ -2262,7 +2662,9 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
           if (notifyWhatsApp && canSendWhatsApp && customerRow.phone_e164) {
             try {
               if (sendWhatsAppText) {
-                const waResponse = await sendWhatsAppText(customerRow.phone_e164, message, tenantId);
+                const waResponse = await sendWhatsAppText(customerRow.phone_e164, message, tenantId, null, {
+                  log: { kind: "appointment_update", appointmentId: Number(id) },
+                });
                 const messageId = waResponse?.messages?.[0]?.id;
                 
                 console.log(`[appointments] 📨 Respuesta de WhatsApp:`, {
@@ -2315,10 +2717,10 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
                   
                   if (supportAgentPhone) {
                     // Obtener o crear sesión para el cliente
-                    const session = getSession(customerRow.phone_e164);
+                    const session = await getSession(customerRow.phone_e164, tenantId);
                     
                     // Configurar sesión en modo "waiting_for_agent"
-                    setStep(customerRow.phone_e164, "waiting_for_agent", {
+                    await setStep(customerRow.phone_e164, "waiting_for_agent", {
                       ...session.data,
                       tenantId: tenantId,
                       supportAgentPhone: supportAgentPhone,
@@ -2326,7 +2728,7 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
                       appointmentId: id, // Usar 'id' que es el parámetro de la ruta
                       notificationType: "reprogramation",
                       lastMessageIdToAgent: messageId || null
-                    });
+                    }, tenantId);
                     
                     console.log(`✅ [appointments] Sesión creada en modo "waiting_for_agent" para ${customerRow.phone_e164}`);
                     
@@ -2349,8 +2751,9 @@ appointments.patch("/:id", requireAuth, requireRole("admin", "staff", "user"), a
                       
                       if (agentResult.success && agentResult.messageId) {
                         // Guardar el message_id para mantener el contexto
-                        const session = getSession(customerRow.phone_e164);
-                        session.data.lastMessageIdToAgent = agentResult.messageId;
+                        await setStep(customerRow.phone_e164, "waiting_for_agent", {
+                          lastMessageIdToAgent: agentResult.messageId,
+                        }, tenantId);
                         console.log(`✅ [appointments] Agente notificado sobre reprogramación (método: ${agentResult.method})`);
                       }
                     } catch (agentNotifyError) {
@@ -2425,6 +2828,10 @@ appointments.delete("/:id", requireAuth, requireRole("admin", "staff", "user"),
   try {
     const tenantId = req.tenant.id;
     const { id } = req.params;
+    const [[before]] = await pool.query(
+      `SELECT ${AUDIT_APPOINTMENT_FIELDS.join(", ")} FROM appointment WHERE id=? AND tenant_id=?`,
+      [id, tenantId]
+    );
     const [r] = await pool.query(
       `DELETE FROM appointment WHERE id=? AND tenant_id=?`,
       [id, tenantId]
@@ -2433,6 +2840,16 @@ appointments.delete("/:id", requireAuth, requireRole("admin", "staff", "user"),
     if (r.affectedRows === 0) {
       return res.status(404).json({ ok: false, error: "Turno no encontrado" });
     }
+    await voidPromoRedemption(pool, { tenantId, appointmentId: Number(id) });
+    recordAudit(req, {
+      entity: "appointment",
+      entityId: id,
+      action: "delete",
+      summary: `Turno #${id} eliminado`,
+      before,
+      after: null,
+      branchId: before?.branch_id ?? null,
+    });
 
     res.json({ ok: true });
   } catch (e) {
@@ -2448,6 +2865,247 @@ function formatLocalDate(date) {
   return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
 }
 
+/* -------- Series recurrentes (RRULE) -------- */
+let seriesSchemaReady = false;
+async function ensureSeriesSchema(db = pool) {
+  if (seriesSchemaReady) return;
+  // frequency deja de ser sólo "weekly"; la regla completa queda en rrule
+  try {
+    await db.query(`ALTER TABLE appointment_series MODIFY frequency VARCHAR(16) NOT NULL DEFAULT 'weekly'`);
+  } catch (e) {
+    // Ignorar si la tabla ya tiene otro tipo compatible
+  }
+  try {
+    await db.query(`ALTER TABLE appointment_series ADD COLUMN rrule VARCHAR(255) NULL`);
+  } catch (e) {
+    // Ignorar si ya existe
+  }
+  try {
+    await db.query(`ALTER TABLE appointment_series ADD COLUMN exdates TEXT NULL`);
+  } catch (e) {
+    // Ignorar si ya existe
+  }
+  seriesSchemaReady = true;
+}
+
+function buildRecurrenceMeta(rule) {
+  return {
+    frequency: rule.freq.toLowerCase(),
+    interval: rule.interval,
+    rrule: formatRRule(rule),
+    count: rule.count,
+    until: rule.until ? formatLocalDate(rule.until) : null,
+    exdates: rule.exdates,
+  };
+}
+
+function parseSeriesMetadata(series) {
+  if (!series?.metadata) return {};
+  if (typeof series.metadata === "object") return series.metadata;
+  try {
+    return JSON.parse(series.metadata);
+  } catch {
+    return {};
+  }
+}
+
+function parseSeriesExdates(series) {
+  if (series?.exdates) {
+    try {
+      const parsed = typeof series.exdates === "string" ? JSON.parse(series.exdates) : series.exdates;
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // Columna con formato inesperado: usar metadata
+    }
+  }
+  return parseSeriesMetadata(series).exdates || [];
+}
+
+// Regla de una serie existente; las series anteriores a RRULE sólo guardaban frecuencia semanal
+function seriesRuleFromRow(series) {
+  const metadata = parseSeriesMetadata(series);
+  const exdates = parseSeriesExdates(series);
+  const rrule = series.rrule || metadata.rrule;
+  if (rrule) {
+    return { ...parseRRule(rrule), exdates: normalizeExdates(exdates) };
+  }
+  return normalizeRecurrence(
+    {
+      frequency: metadata.frequency || series.frequency || "weekly",
+      interval: metadata.interval || series.interval_value || 1,
+      count: metadata.count || series.total_occurrences || null,
+      until: metadata.until || null,
+      exdates,
+    },
+    new Date(series.starts_at)
+  );
+}
+
+// Regla para continuar la serie desde otro turno: mantiene frecuencia e intervalo,
+// conserva la fecha límite o la cantidad de turnos que quedaban, y si la regla
+// dependía de un único día (ej. "los martes") sigue al turno movido
+function continueSeriesRule(rule, { oldStart, newStart, remaining }) {
+  const next = { ...rule, count: rule.until ? null : Math.max(remaining, 1) };
+  if (formatLocalDate(oldStart) === formatLocalDate(newStart)) return next;
+
+  if (rule.freq === "WEEKLY" && rule.byDay.length <= 1) {
+    next.byDay = [];
+  }
+  if (rule.freq === "MONTHLY" && rule.byMonthDay.length === 1 && !rule.byDay.length) {
+    next.byMonthDay = [newStart.getDate()];
+  }
+  if (rule.freq === "MONTHLY" && rule.byDay.length === 1 && !rule.byMonthDay.length) {
+    return {
+      ...normalizeRecurrence({ frequency: "monthly", monthlyBy: "weekday", interval: rule.interval, until: rule.until }, newStart),
+      count: next.count,
+      until: rule.until,
+      exdates: rule.exdates,
+    };
+  }
+  return next;
+}
+
+async function insertSeriesRow(conn, { tenantId, customerId, instructorId, serviceId, rule, startsAt, totalOccurrences, metadata }) {
+  const [seriesIns] = await conn.query(
+    `INSERT INTO appointment_series
+      (tenant_id, customer_id, instructor_id, service_id, frequency, interval_value, total_occurrences, starts_at, until_date, metadata, rrule, exdates)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      customerId,
+      instructorId,
+      serviceId,
+      rule.freq.toLowerCase(),
+      rule.interval,
+      totalOccurrences,
+      startsAt,
+      rule.until ? formatLocalDate(rule.until) : null,
+      JSON.stringify(metadata),
+      formatRRule(rule),
+      JSON.stringify(rule.exdates || []),
+    ]
+  );
+  return seriesIns.insertId;
+}
+
+/**
+ * Valida y reserva cada fecha de la serie por separado: las que chocan
+ * (fuera de horario, superpuestas, límite del plan) se informan en conflicts
+ * y el resto se reserva igual. Con dryRun no inserta nada.
+ */
+async function bookSeriesOccurrences(conn, {
+  tenantId,
+  seriesId = null,
+  customerId,
+  instructorId,
+  serviceId,
+  branchId,
+  durationMin,
+  status,
+  membership,
+  recurrenceMeta = null,
+  occurrences,
+  bufferMinutes,
+  dryRun = false,
+}) {
+  const tracker = { activeAppointments: null };
+  const created = [];
+  const conflicts = [];
+  let parentAppointmentId = null;
+
+  for (const occurrence of occurrences) {
+    const dateStr = formatLocalDate(occurrence);
+    const timeStr = `${pad2(occurrence.getHours())}:${pad2(occurrence.getMinutes())}`;
+    const endDate = new Date(occurrence.getTime() + durationMin * 60000);
+
+    try {
+      validateAppointmentDate(`${dateStr} ${timeStr}:00`);
+      await assertBusinessOpen(conn, { tenantId, branchId, date: dateStr });
+
+      const workingHours = await getWorkingHoursForDate(instructorId, dateStr, conn, tenantId, branchId);
+      if (!workingHours) {
+        const err = new Error("El profesional no tiene horario definido ese día");
+        err.status = 409;
+        throw err;
+      }
+      if (!insideWorkingHours(dateStr, workingHours, occurrence, endDate)) {
+        const err = new Error("Queda fuera del horario laboral");
+        err.status = 409;
+        throw err;
+      }
+
+      await checkAppointmentOverlap(conn, {
+        instructorId,
+        startTime: occurrence,
+        endTime: endDate,
+        tenantId,
+        bufferMinutes,
+        useLock: !dryRun,
+      });
+      await assertResourcesAvailable(conn, {
+        tenantId,
+        serviceId,
+        branchId,
+        start: occurrence,
+        end: endDate,
+        useLock: !dryRun,
+      });
+
+      if (!dryRun) {
+        await ensurePlanAllowsAppointment(conn, { tenantId, customerId, membership, tracker });
+      }
+    } catch (conflictError) {
+      // Sólo los rechazos de validación (4xx) son conflictos de la fecha; el resto aborta la serie
+      const status = Number(conflictError.status || conflictError.statusCode);
+      if (!(status >= 400 && status < 500)) throw conflictError;
+      conflicts.push({
+        startsAt: occurrence.toISOString(),
+        date: dateStr,
+        time: timeStr,
+        reason: conflictError.message,
+      });
+      continue;
+    }
+
+    if (dryRun) {
+      created.push({ startsAt: occurrence.toISOString(), endsAt: endDate.toISOString() });
+      continue;
+    }
+
+    const [aptIns] = await conn.query(
+      `INSERT INTO appointment
+        (tenant_id, branch_id, customer_id, instructor_id, service_id, starts_at, ends_at, status, deposit_decimal, series_id, series_parent_id, recurrence_rule)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        branchId,
+        customerId,
+        instructorId,
+        serviceId,
+        occurrence,
+        endDate,
+        status,
+        0,
+        seriesId,
+        parentAppointmentId,
+        parentAppointmentId ? null : JSON.stringify(recurrenceMeta),
+      ]
+    );
+
+    if (!parentAppointmentId) {
+      parentAppointmentId = aptIns.insertId;
+    }
+
+    created.push({
+      id: aptIns.insertId,
+      startsAt: occurrence.toISOString(),
+      endsAt: endDate.toISOString(),
+    });
+  }
+
+  return { created, conflicts };
+}
+
 async function updateSeriesAppointments(conn, {
   tenantId,
   seriesId,
@@ -2507,7 +3165,7 @@ async function updateSeriesAppointments(conn, {
       throw err;
     }
 
-    if (!insideWorkingHours(dateStr, workingHours.start_time, workingHours.end_time, newStart, newEnd)) {
+    if (!insideWorkingHours(dateStr, workingHours, newStart, newEnd)) {
       const err = new Error(`El turno del ${dateStr} ${timeStr} queda fuera del horario laboral`);
       err.status = 409;
       throw err;
@@ -2522,6 +3180,15 @@ async function updateSeriesAppointments(conn, {
       excludeId: row.id,
       useLock: true,
     });
+    await assertResourcesAvailable(conn, {
+      tenantId,
+      serviceId,
+      branchId,
+      start: newStart,
+      end: newEnd,
+      excludeAppointmentId: row.id,
+      useLock: true,
+    });
 
     const updateFragments = ["instructor_id = ?", "service_id = ?"];
     const updateParams = [Number(instructorId), Number(serviceId)];
@@ -2628,6 +3295,8 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
   if (!sendWhatsAppText) return;
 
   try {
+    await ensurePromoSchema();
+    // Con código promocional la seña se calcula sobre el precio con descuento
     const [[row]] = await pool.query(
       `
       SELECT 
@@ -2635,7 +3304,8 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
         a.starts_at,
         a.status,
         s.name AS service_name,
-        s.price_decimal,
+        GREATEST(s.price_decimal - COALESCE(a.discount_decimal, 0), 0) AS price_decimal,
+        COALESCE(a.discount_decimal, 0) AS discount_decimal,
         i.name AS instructor_name,
         c.phone_e164,
         c.name AS customer_name,
@@ -2701,6 +3371,9 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
       const pct = Number(pctRow?.config_value || 20);
       depositAmount = Math.round(Number(row.price_decimal || 0) * pct) / 100;
     }
+    if (Number(row.discount_decimal) > 0) {
+      depositAmount = Math.min(depositAmount, Number(row.price_decimal || 0));
+    }
 
     if (!Number.isFinite(depositAmount) || depositAmount <= 0) return;
 
@@ -2749,9 +3422,10 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
       : `Hola ${row.customer_name || ""}! 👋\n\nPara confirmar tu turno de *${row.service_name || "servicio"}* con *${
           row.instructor_name || "nuestro equipo"
         }* el *${fecha} ${hora}* necesitamos una seña de *${depositText}*.\n\nContactanos por acá para coordinar el pago.`;
+    const waLog = { kind: "deposit_link", appointmentId };
 
     try {
-      await sendWhatsAppText(row.phone_e164, msg, tenantId);
+      await sendWhatsAppText(row.phone_e164, msg, tenantId, null, { log: waLog });
       console.log(`✅ [appointments] Mensaje de texto enviado exitosamente a ${row.phone_e164}`);
     } catch (waError) {
       console.log(`⚠️ [appointments] Error al enviar mensaje a ${row.phone_e164}:`, waError.code, waError.message);
@@ -2788,7 +3462,8 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
                   ]
                 }
               ],
-              tenantId
+              tenantId,
+              { log: waLog }
             );
             console.log(`✅ [appointments] Template "confirmacion_turno" enviado exitosamente a ${row.phone_e164} (idioma: ${lang})`);
             templateSent = true;
@@ -2823,7 +3498,7 @@ async function scheduleDepositReminder({ tenantId, appointmentId }) {
               `Si necesitás reprogramar, escribinos a ${tenantName} por acá.`;
             
             try {
-              await sendWhatsAppText(row.phone_e164, fallbackMessage, tenantId);
+              await sendWhatsAppText(row.phone_e164, fallbackMessage, tenantId, null, { log: waLog });
               console.log(`✅ [appointments] Mensaje de texto de fallback enviado exitosamente a ${row.phone_e164}`);
               return;
             } catch (textError) {
@@ -0,0 +1,94 @@
+// src/routes/auditLog.js — MULTI-TENANT
+// Registro de auditoría: el admin del negocio ve el suyo; el super admin, el de todos
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  listAuditLog,
+  listAuditActors,
+  listAuditTenants,
+} from "../services/auditLog.js";
+
+export const auditLog = Router();
+auditLog.use(requireAuth, requireRole("admin"));
+
+export const superAdminAuditLog = Router();
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+function readFilters(query) {
+  return {
+    entity: query.entity || null,
+    entityId: query.entityId || null,
+    userId: query.userId || null,
+    action: query.action || null,
+    branchId: query.branchId || null,
+    q: query.q || "",
+    from: query.from || null,
+    to: query.to || null,
+    limit: query.limit,
+    offset: query.offset,
+  };
+}
+
+function sendMeta(res, actors, extra = {}) {
+  return res.json({
+    ok: true,
+    data: {
+      entities: Object.entries(AUDIT_ENTITIES).map(([value, label]) => ({ value, label })),
+      actions: AUDIT_ACTIONS,
+      actors,
+      ...extra,
+    },
+  });
+}
+
+/**
+ * GET /api/audit-log?entity=&entityId=&userId=&action=&branchId=&q=&from=&to=&limit=&offset=
+ */
+auditLog.get("/", async (req, res) => {
+  try {
+    const data = await listAuditLog(req.tenant.id, readFilters(req.query));
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/audit-log] error:", e);
+    return sendError(res, e, "Error al obtener el registro de auditoría");
+  }
+});
+
+auditLog.get("/meta", async (req, res) => {
+  try {
+    return sendMeta(res, await listAuditActors(req.tenant.id));
+  } catch (e) {
+    return sendError(res, e, "Error al obtener los filtros de auditoría");
+  }
+});
+
+/**
+ * GET /api/super-admin/audit-log?tenantId=&… (mismos filtros)
+ */
+superAdminAuditLog.get("/", async (req, res) => {
+  try {
+    const data = await listAuditLog(req.query.tenantId || null, readFilters(req.query));
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/super-admin/audit-log] error:", e);
+    return sendError(res, e, "Error al obtener el registro de auditoría");
+  }
+});
+
+superAdminAuditLog.get("/meta", async (req, res) => {
+  try {
+    const [actors, tenants] = await Promise.all([
+      listAuditActors(req.query.tenantId || null),
+      listAuditTenants(),
+    ]);
+    return sendMeta(res, actors, { tenants });
+  } catch (e) {
+    return sendError(res, e, "Error al obtener los filtros de auditoría");
+  }
+});
@@ -3,6 +3,9 @@ import { Router } from "express";
 import { pool } from "../db.js";
 import { addMinutes, isBefore } from "date-fns";
 import { requireAuth } from "../auth/middlewares.js";
+import { getWorkingBlocksForDate } from "../helpers/workingHours.js";
+import { findClosure } from "../services/closures.js";
+import { getServiceRequirements, listResourceBookings, findResourceConflict } from "../services/resources.js";
 
 export const availability = Router();
 availability.use(requireAuth);
@@ -24,9 +27,10 @@ function currentHMBA() {
 
 /**
  * Core: obtiene slots libres/ocupados (requiere tenantId)
+ * Con branchId solo usa los bloques laborales de esa sucursal (y los sin sucursal).
  * @returns {{ slots: string[], busySlots: string[] }}
  */
-export async function getFreeSlots({ tenantId, instructorId, serviceId, date, stepMin }) {
+export async function getFreeSlots({ tenantId, instructorId, serviceId, date, stepMin, branchId = null }) {
   if (!tenantId || !instructorId || !serviceId || !date) return { slots: [], busySlots: [] };
 
   // 1) Duración del servicio (scoped)
@@ -40,19 +44,20 @@ export async function getFreeSlots({ tenantId, instructorId, serviceId, date, st
 
   const blockMin = Number(stepMin || svc.duration_min || 30);
 
-  // --- 2) Working hours (weekday 0..6 y 1..7) ---
-  const jsWeekday = new Date(`${date}T12:00:00`).getDay();
-  const altWeekday = jsWeekday === 0 ? 7 : jsWeekday;
+  // Día cerrado (feriado o cierre del negocio / sucursal): sin horarios
+  let closureBranchId = branchId;
+  if (!closureBranchId) {
+    const [[inst]] = await pool.query(
+      `SELECT branch_id FROM instructor WHERE id=? AND tenant_id=? LIMIT 1`,
+      [instructorId, tenantId]
+    );
+    closureBranchId = inst?.branch_id || null;
+  }
+  const closure = await findClosure(pool, { tenantId, branchId: closureBranchId, date });
+  if (closure) return { slots: [], busySlots: [], closure };
 
-  const [whRows] = await pool.query(
-    `SELECT weekday, start_time, end_time
-       FROM working_hours
-      WHERE tenant_id=? 
-        AND instructor_id=? 
-        AND weekday IN (?, ?)
-      ORDER BY start_time`,
-    [tenantId, instructorId, jsWeekday, altWeekday]
-  );
+  // --- 2) Working hours: todos los bloques del día (turno partido, por sucursal) ---
+  const whRows = await getWorkingBlocksForDate({ tenantId, instructorId, date, branchId });
   if (!whRows.length) return { slots: [], busySlots: [] };
 
   const OCCUPYING = ["scheduled", "pending_deposit", "deposit_paid", "confirmed"];
@@ -96,6 +101,18 @@ export async function getFreeSlots({ tenantId, instructorId, serviceId, date, st
     })),
   ];
 
+  // 4.1) Recursos que requiere el servicio (salas, equipos compartidos entre profesionales)
+  const requirements = await getServiceRequirements(pool, { tenantId, serviceId, branchId: closureBranchId });
+  const resourceBookings = requirements.length
+    ? await listResourceBookings(pool, {
+        tenantId,
+        resourceIds: requirements.map((r) => r.resourceId),
+        from: dayOpen,
+        to: dayClose,
+      })
+    : [];
+  const serviceMin = Number(svc.duration_min || blockMin);
+
   // 5) Generar slots por cada intervalo laboral
   const allSlots = new Set();
   const busySlots = new Set();
@@ -118,7 +135,10 @@ export async function getFreeSlots({ tenantId, instructorId, serviceId, date, st
       const timeSlot = `${hh}:${mm}`;
       if (isToday && timeSlot <= nowHM) continue;
 
-      const solapa = busy.some(({ start: b0, end: b1 }) => start < b1 && end > b0);
+      const solapa =
+        busy.some(({ start: b0, end: b1 }) => start < b1 && end > b0) ||
+        (requirements.length > 0 &&
+          findResourceConflict(requirements, resourceBookings, start, addMinutes(start, serviceMin)) !== null);
 
       allSlots.add(timeSlot);
       if (solapa) busySlots.add(timeSlot);
@@ -139,13 +159,14 @@ availability.get("/", async (req, res) => {
     const serviceId = Number(req.query.serviceId);
     const date = String(req.query.date || "");
     const stepMin = req.query.stepMin ? Number(req.query.stepMin) : undefined;
+    const branchId = req.query.branchId ? Number(req.query.branchId) : null;
 
     if (!instructorId || !serviceId || !date) {
       return res.status(400).json({ ok: false, error: "Parámetros requeridos: instructorId, serviceId, date" });
     }
 
-    const result = await getFreeSlots({ tenantId, instructorId, serviceId, date, stepMin });
-    res.json({ ok: true, data: { slots: result.slots, busySlots: result.busySlots } });
+    const result = await getFreeSlots({ tenantId, instructorId, serviceId, date, stepMin, branchId });
+    res.json({ ok: true, data: { slots: result.slots, busySlots: result.busySlots, closure: result.closure || null } });
   } catch (e) {
     console.error("❌ [GET /api/availability] error:", e);
     res.status(500).json({ ok: false, error: e.message });
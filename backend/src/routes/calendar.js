@@ -2,11 +2,23 @@
 import { Router } from "express";
 import { pool } from "../db.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
+import multer from "multer";
 import { resolveBranchFilter } from "../helpers/branchAccess.js";
+import {
+  listFeedTokens,
+  createFeedToken,
+  revokeFeedToken,
+  importIcsAsTimeOff,
+} from "../services/calendarFeeds.js";
 
 export const calendar = Router();
 calendar.use(requireAuth, requireRole("admin","staff","user"));
 
+const uploadIcs = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB máximo
+});
+
 function buildBranchClause(alias, filter) {
   if (!filter || filter.mode === "all") {
     return { clause: "", params: [] };
@@ -161,3 +173,87 @@ calendar.get("/calendar/range", async (req, res) => {
     return res.status(500).json({ ok:false, error:e.message });
   }
 });
+
+/**
+ * GET /api/calendar/feeds
+ * Lista las URLs de suscripción iCalendar activas.
+ */
+calendar.get("/feeds", async (req, res) => {
+  try {
+    const data = await listFeedTokens(req.tenant.id);
+    return res.json({ ok:true, data });
+  } catch (e) {
+    console.error("[GET /calendar/feeds] error:", e);
+    return res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+/**
+ * POST /api/calendar/feeds
+ * Body: { scope: "instructor"|"branch", instructorId?, branchId?, label? }
+ * Genera una URL privada (.ics) para suscribirse desde Google Calendar, Outlook, etc.
+ */
+calendar.post("/feeds", requireRole("admin","staff"), async (req, res) => {
+  try {
+    const { scope, instructorId, branchId, label } = req.body || {};
+    const data = await createFeedToken({
+      tenantId: req.tenant.id,
+      scope,
+      instructorId,
+      branchId,
+      label,
+      userId: req.user?.id,
+    });
+    return res.status(201).json({ ok:true, data });
+  } catch (e) {
+    console.error("[POST /calendar/feeds] error:", e);
+    return res.status(e.statusCode || 500).json({ ok:false, error:e.message });
+  }
+});
+
+/**
+ * DELETE /api/calendar/feeds/:id
+ * Revoca el token: la URL deja de responder de inmediato.
+ */
+calendar.delete("/feeds/:id", requireRole("admin","staff"), async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(req.tenant.id, Number(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ ok:false, error:"Feed no encontrado" });
+    }
+    return res.json({ ok:true });
+  } catch (e) {
+    console.error("[DELETE /calendar/feeds/:id] error:", e);
+    return res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+/**
+ * POST /api/calendar/import-ics
+ * multipart: file (.ics) + instructorId, from?, to?  — o JSON { instructorId, ics, from?, to? }
+ * Crea bloqueos (time_off) con los eventos ocupados del calendario personal.
+ */
+calendar.post("/import-ics", uploadIcs.single("file"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const ics = req.file ? req.file.buffer.toString("utf8") : String(body.ics || "");
+    if (!ics.trim()) {
+      return res.status(400).json({ ok:false, error:"Adjuntá un archivo .ics" });
+    }
+    if (!body.instructorId) {
+      return res.status(400).json({ ok:false, error:"Falta instructorId" });
+    }
+
+    const data = await importIcsAsTimeOff({
+      tenantId: req.tenant.id,
+      instructorId: body.instructorId,
+      ics,
+      from: body.from,
+      to: body.to,
+    });
+    return res.json({ ok:true, data });
+  } catch (e) {
+    console.error("[POST /calendar/import-ics] error:", e);
+    return res.status(e.statusCode || e.status || 500).json({ ok:false, error:e.message });
+  }
+});
@@ -0,0 +1,24 @@
+// src/routes/calendarFeedsPublic.js — feeds iCalendar (sin login, autenticados por token)
+import { Router } from "express";
+import { renderFeedByToken } from "../services/calendarFeeds.js";
+
+export const calendarFeedsPublic = Router();
+
+/**
+ * GET /api/public/calendar/feeds/:token.ics
+ */
+calendarFeedsPublic.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const feed = await renderFeedByToken(req.params.token);
+    if (!feed) {
+      return res.status(404).type("text/plain").send("Calendario no encontrado");
+    }
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${feed.filename}"`);
+    res.setHeader("Cache-Control", "private, max-age=300");
+    return res.send(feed.body);
+  } catch (e) {
+    console.error("[GET /public/calendar/feeds] error:", e);
+    return res.status(500).type("text/plain").send("Error generando el calendario");
+  }
+});
@@ -3,6 +3,9 @@ import { Router } from "express";
 import { pool } from "../db.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
+import { updateClosureTotals, NON_CASH_METHODS } from "../services/cashRegister.js";
+import { ensurePosSchema } from "../services/pos.js";
+import { recordAudit } from "../services/auditLog.js";
 
 export const cashRegister = Router();
 cashRegister.use(requireAuth, identifyTenant);
@@ -519,6 +522,16 @@ cashRegister.put("/closures/:id/cancel", requireRole("admin"), async (req, res)
       [closureId]
     );
 
+    recordAudit(req, {
+      entity: "cash_register",
+      entityId: closureId,
+      action: "void",
+      summary: `Cierre de caja #${closureId} anulado`,
+      before: { status: closure.status },
+      after: { status: "cancelled" },
+      branchId: closure.branch_id ?? null,
+    });
+
     res.json({ ok: true, data: updatedClosure });
   } catch (err) {
     await conn.rollback();
@@ -646,6 +659,8 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
         method = "card";
       } else if (payment.method === "transfer") {
         method = "transfer";
+      } else if (payment.method === "gift_card") {
+        method = "gift_card";
       } else if (payment.method === "manual") {
         // Los pagos marcados como "manual" desde depositsAdmin se consideran efectivo
         // (cuando se marca una seña como pagada sin especificar método)
@@ -666,7 +681,7 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
         totals.mp += amount;
       }
 
-      totals.total += amount;
+      if (!NON_CASH_METHODS.includes(method)) totals.total += amount;
 
       totals.transactions.push({
         transaction_type: "income",
@@ -696,6 +711,7 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
       WHERE i.tenant_id = ?
         AND DATE(i.created_at) = ?
         AND p.id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM pos_sale ps WHERE ps.invoice_id = i.id)
     `;
     const invoiceParams = [closureDate, tenantId, closureDate];
 
@@ -704,6 +720,7 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
       invoiceParams.push(branchId);
     }
 
+    await ensurePosSchema();
     const [invoices] = await conn.query(invoiceSql, invoiceParams);
 
     // Las facturas sin pago asociado se consideran efectivo
@@ -723,6 +740,45 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
         reference_type: "invoice",
       });
     });
+
+    // Ventas de mostrador (POS): cada pago ya viene con su medio y neto del vuelto
+    let posSql = `
+      SELECT pp.sale_id, pp.method, pp.amount
+      FROM pos_sale_payment pp
+      INNER JOIN pos_sale ps ON ps.id = pp.sale_id AND ps.tenant_id = pp.tenant_id
+      WHERE pp.tenant_id = ?
+        AND DATE(pp.created_at) = ?
+        AND ps.status = 'completed'
+    `;
+    const posParams = [tenantId, closureDate];
+
+    if (branchId) {
+      posSql += " AND (ps.branch_id = ? OR ps.branch_id IS NULL)";
+      posParams.push(branchId);
+    }
+
+    const [posPayments] = await conn.query(posSql, posParams);
+
+    posPayments.forEach((payment) => {
+      const amount = Number(payment.amount || 0);
+      const method = totals[payment.method] !== undefined || NON_CASH_METHODS.includes(payment.method)
+        ? payment.method
+        : "cash";
+
+      if (!NON_CASH_METHODS.includes(method)) {
+        totals[method] += amount;
+        totals.total += amount;
+      }
+
+      totals.transactions.push({
+        transaction_type: "income",
+        payment_method: method,
+        amount,
+        description: `Venta mostrador #${payment.sale_id}`,
+        reference_id: payment.sale_id,
+        reference_type: "pos_sale",
+      });
+    });
   } catch (err) {
     console.error("[calculateExpectedTotals] error:", err);
   }
@@ -730,53 +786,5 @@ async function calculateExpectedTotals(conn, tenantId, branchId, closureDate) {
   return totals;
 }
 
-// ============================================
-// Helper: Actualizar totales del cierre
-// ============================================
-async function updateClosureTotals(conn, closureId) {
-  const [transactions] = await conn.query(
-    `SELECT 
-      transaction_type,
-      payment_method,
-      SUM(amount) as total
-    FROM cash_register_closure_transaction
-    WHERE closure_id = ?
-    GROUP BY transaction_type, payment_method`,
-    [closureId]
-  );
-
-  const totals = {
-    cash: 0,
-    card: 0,
-    transfer: 0,
-    mp: 0,
-    total: 0,
-  };
-
-  transactions.forEach((t) => {
-    if (t.transaction_type === "income") {
-      const amount = Number(t.total || 0);
-      totals[t.payment_method] += amount;
-      totals.total += amount;
-    } else if (t.transaction_type === "expense") {
-      const amount = Number(t.total || 0);
-      totals[t.payment_method] -= amount;
-      totals.total -= amount;
-    }
-  });
-
-  await conn.query(
-    `UPDATE cash_register_closure SET
-      expected_cash = ?,
-      expected_card = ?,
-      expected_transfer = ?,
-      expected_mp = ?,
-      total_expected = ?,
-      updated_at = NOW()
-    WHERE id = ?`,
-    [totals.cash, totals.card, totals.transfer, totals.mp, totals.total, closureId]
-  );
-}
-
 // Export ya está hecho arriba con export const cashRegister
 
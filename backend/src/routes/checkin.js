@@ -0,0 +1,108 @@
+// src/routes/checkin.js — Check-in en recepción (QR firmado / manual) — MULTI-TENANT
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { ensureBranchBelongsToTenant, ensureUserCanAccessBranch, getUserBranchId } from "../helpers/branchAccess.js";
+import { verifyCheckinToken } from "../utils/checkinToken.js";
+import { recordCheckin, listAttendance } from "../services/checkin.js";
+
+export const checkin = Router();
+checkin.use(requireAuth, requireRole("admin", "staff", "user"));
+
+const TOKEN_ERRORS = {
+  malformed: "El código no es un QR de check-in válido",
+  bad_signature: "QR inválido: la firma no coincide",
+  expired: "El QR venció. Pedile al cliente que lo actualice en la app",
+};
+
+async function resolveCheckinBranch(req, rawBranchId) {
+  const branchId = rawBranchId ? Number(rawBranchId) : getUserBranchId(req.user);
+  if (!branchId) return null;
+  const branch = await ensureBranchBelongsToTenant(req.tenant.id, branchId);
+  if (!branch) {
+    const error = new Error("La sucursal indicada no pertenece a este negocio");
+    error.status = 400;
+    throw error;
+  }
+  ensureUserCanAccessBranch(req.user, branch.id);
+  return branch.id;
+}
+
+function sendCheckinError(res, err, fallback) {
+  const status = err?.status || err?.statusCode;
+  if (status && status < 500) {
+    return res.status(status).json({ ok: false, error: err.message, code: err.code || undefined });
+  }
+  return res.status(500).json({ ok: false, error: fallback });
+}
+
+// POST /api/checkin/qr  { token, branchId?, deviceId? }
+checkin.post("/qr", async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { token, branchId, deviceId } = req.body || {};
+
+    const verified = verifyCheckinToken(token);
+    if (!verified.ok) {
+      return res.status(400).json({ ok: false, error: TOKEN_ERRORS[verified.error], code: "QR_INVALID" });
+    }
+    if (verified.tenantId !== Number(tenantId)) {
+      return res.status(403).json({ ok: false, error: "El QR pertenece a otro negocio", code: "QR_INVALID" });
+    }
+
+    const data = await recordCheckin({
+      tenantId,
+      customerId: verified.customerId,
+      branchId: await resolveCheckinBranch(req, branchId),
+      deviceId: deviceId || null,
+      staffUserId: req.user?.id || null,
+      method: "qr",
+      tokenNonce: verified.nonce,
+    });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error("❌ [POST /api/checkin/qr] ERROR:", err);
+    sendCheckinError(res, err, "No se pudo registrar el ingreso");
+  }
+});
+
+// POST /api/checkin/manual  { customerId, branchId?, deviceId? }
+checkin.post("/manual", async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { customerId, branchId, deviceId } = req.body || {};
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "customerId es requerido" });
+    }
+
+    const data = await recordCheckin({
+      tenantId,
+      customerId: Number(customerId),
+      branchId: await resolveCheckinBranch(req, branchId),
+      deviceId: deviceId || null,
+      staffUserId: req.user?.id || null,
+      method: "manual",
+    });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error("❌ [POST /api/checkin/manual] ERROR:", err);
+    sendCheckinError(res, err, "No se pudo registrar el ingreso");
+  }
+});
+
+// GET /api/checkin/attendance?date=YYYY-MM-DD&branchId=
+checkin.get("/attendance", async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.date || ""))
+      ? String(req.query.date)
+      : new Intl.DateTimeFormat("en-CA", { timeZone: "America/Argentina/Buenos_Aires" }).format(new Date());
+    const branchId = req.query.branchId ? Number(req.query.branchId) : null;
+    if (branchId) ensureUserCanAccessBranch(req.user, branchId);
+
+    const rows = await listAttendance({ tenantId, date, branchId });
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error("❌ [GET /api/checkin/attendance] ERROR:", err);
+    sendCheckinError(res, err, "No se pudo obtener la asistencia");
+  }
+});
@@ -2,9 +2,14 @@ import { Router } from "express";
 import { pool } from "../db.js";
 import { requireRole } from "../auth/middlewares.js";
 import { checkAppointmentOverlap } from "../helpers/overlapValidation.js";
+import { assertResourcesAvailable } from "../services/resources.js";
 import { ensureCustomerId, ensureActiveMembership, enforceClassMembershipLimits } from "./appointments.js";
 import { randomUUID } from "crypto";
 import { resolveBranchFilter, resolveBranchForWrite, ensureUserCanAccessBranch } from "../helpers/branchAccess.js";
+import { WAITLIST_STATUS, joinWaitlist, releaseSpotsAndPromote } from "../services/classWaitlist.js";
+import { findClosure } from "../services/closures.js";
+import { ensurePromoSchema, applyPromoCode } from "../services/promoCodes.js";
+import { syncLoyaltyForEnrollment } from "../services/loyalty.js";
 
 const ACTIVE_ENROLL_STATUSES = ["reserved", "attended"];
 const MAX_CLASS_RECURRING = Number(process.env.CLASS_RECURRING_MAX || 26);
@@ -250,7 +255,14 @@ classesRouter.get("/sessions", async (req, res) => {
            WHERE ce.session_id = cs.id
              AND ce.tenant_id = cs.tenant_id
              AND ce.status IN ('reserved','attended')
-        ) AS enrolled_count
+        ) AS enrolled_count,
+        (
+          SELECT COUNT(*)
+            FROM class_enrollment ce
+           WHERE ce.session_id = cs.id
+             AND ce.tenant_id = cs.tenant_id
+             AND ce.status = 'waitlisted'
+        ) AS waitlist_count
         FROM class_session cs
         JOIN instructor st ON st.id = cs.instructor_id AND st.tenant_id = cs.tenant_id
         LEFT JOIN class_template ct ON ct.id = cs.template_id
@@ -455,6 +467,7 @@ classesRouter.post("/sessions", async (req, res) => {
 
     const insertedIds = [];
     const scheduledWindows = [];
+    const skippedClosures = [];
 
     for (const session of sessionRequests) {
       const startDate = new Date(session.startsAt.replace(" ", "T"));
@@ -464,6 +477,17 @@ classesRouter.post("/sessions", async (req, res) => {
         return res.status(400).json({ ok: false, error: "Fechas inválidas" });
       }
 
+      // Días cerrados (feriados / cierres): se omiten y se informan
+      const closure = await findClosure(conn, {
+        tenantId,
+        branchId: session.branchId,
+        date: session.startsAt.slice(0, 10),
+      });
+      if (closure) {
+        skippedClosures.push({ startsAt: session.startsAt, reason: closure.name });
+        continue;
+      }
+
       for (const prev of scheduledWindows) {
         if (prev.instructorId === session.instructorId && startDate < prev.endDate && endDate > prev.startDate) {
           await conn.rollback();
@@ -481,6 +505,15 @@ classesRouter.post("/sessions", async (req, res) => {
         startTime: startDate,
         endTime: endDate,
       });
+      // Sala / equipos del servicio (cuenta también las clases ya generadas en esta misma tanda)
+      await assertResourcesAvailable(conn, {
+        tenantId,
+        serviceId: session.serviceId,
+        branchId: session.branchId,
+        start: startDate,
+        end: endDate,
+        useLock: true,
+      });
 
       const [ins] = await conn.query(
         `INSERT INTO class_session
@@ -507,8 +540,23 @@ classesRouter.post("/sessions", async (req, res) => {
       scheduledWindows.push({ instructorId: session.instructorId, startDate, endDate });
     }
 
+    if (!insertedIds.length && skippedClosures.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: `El negocio está cerrado ese día (${skippedClosures[0].reason})`,
+        skippedClosures,
+      });
+    }
+
     await conn.commit();
-    res.status(201).json({ ok: true, ids: insertedIds, id: insertedIds[0] || null, seriesId: seriesIdBase || null });
+    res.status(201).json({
+      ok: true,
+      ids: insertedIds,
+      id: insertedIds[0] || null,
+      seriesId: seriesIdBase || null,
+      skippedClosures,
+    });
   } catch (err) {
     await conn.rollback();
     console.error("❌ [POST /classes/sessions] ERROR:", err);
@@ -552,11 +600,17 @@ classesRouter.get("/sessions/:id", async (req, res) => {
          FROM class_enrollment ce
          JOIN customer c ON c.id = ce.customer_id AND c.tenant_id = ce.tenant_id
         WHERE ce.session_id = ? AND ce.tenant_id = ?
-        ORDER BY ce.created_at ASC`,
+        ORDER BY ce.created_at ASC, ce.id ASC`,
       [id, tenantId]
     );
 
-    res.json({ ...session, enrollments });
+    // Posición en lista de espera (orden de llegada)
+    let waitlistPosition = 0;
+    const enriched = enrollments.map((e) =>
+      e.status === WAITLIST_STATUS ? { ...e, waitlist_position: ++waitlistPosition } : e
+    );
+
+    res.json({ ...session, enrollments: enriched, waitlist_count: waitlistPosition });
   } catch (err) {
     console.error("❌ [GET /classes/sessions/:id] ERROR:", err);
     res.status(500).json({ ok: false, error: "No se pudo obtener la clase" });
@@ -605,6 +659,18 @@ classesRouter.patch("/sessions/:id", requireRole("admin", "user"), async (req, r
       params.push(newStart, newEnd);
     }
 
+    if ((body.startsAt || body.endsAt || body.serviceId) && body.status !== "cancelled") {
+      await assertResourcesAvailable(conn, {
+        tenantId,
+        serviceId: body.serviceId ? Number(body.serviceId) : session.service_id,
+        branchId: session.branch_id,
+        start: toMySQLDateTime(body.startsAt) || session.starts_at,
+        end: toMySQLDateTime(body.endsAt) || session.ends_at,
+        excludeSessionId: session.id,
+        useLock: true,
+      });
+    }
+
     const fieldsMap = {
       instructorId: { column: "instructor_id", transform: Number },
       serviceId: { column: "service_id", transform: Number },
@@ -636,6 +702,11 @@ classesRouter.patch("/sessions/:id", requireRole("admin", "user"), async (req, r
 
     await conn.commit();
 
+    // Si se amplió el cupo, pasar lugares a la lista de espera
+    if (body.capacityMax !== undefined && Number(body.capacityMax) > Number(session.capacity_max || 0)) {
+      await releaseSpotsAndPromote(tenantId, session.id);
+    }
+
     // Procesar notificaciones si se solicitaron
     const notifyWhatsApp = body.notifyWhatsApp === true || body.notifyWhatsApp === "true";
     const notifyEmail = body.notifyEmail === true || body.notifyEmail === "true";
@@ -809,7 +880,7 @@ classesRouter.patch("/sessions/:id", requireRole("admin", "user"), async (req, r
   } catch (err) {
     await conn.rollback();
     console.error("❌ [PATCH /classes/sessions/:id] ERROR:", err);
-    res.status(500).json({ ok: false, error: err.message || "No se pudo actualizar la clase" });
+    res.status(err?.statusCode || 500).json({ ok: false, error: err.message || "No se pudo actualizar la clase" });
   } finally {
     conn.release();
   }
@@ -912,7 +983,7 @@ classesRouter.put("/series/:seriesId", async (req, res) => {
     }
 
     const selectSql = `
-      SELECT id, starts_at, ends_at, instructor_id
+      SELECT id, starts_at, ends_at, instructor_id, branch_id
         FROM class_session
        WHERE ${filters.join(" AND ")}
        FOR UPDATE
@@ -944,6 +1015,20 @@ classesRouter.put("/series/:seriesId", async (req, res) => {
       }
     }
 
+    if (body.serviceId) {
+      for (const session of sessions) {
+        await assertResourcesAvailable(conn, {
+          tenantId,
+          serviceId: Number(body.serviceId),
+          branchId: session.branch_id,
+          start: session.starts_at,
+          end: session.ends_at,
+          excludeSessionId: session.id,
+          useLock: true,
+        });
+      }
+    }
+
     const updateSql = `
       UPDATE class_session
          SET ${updates.join(", ")}
@@ -957,7 +1042,7 @@ classesRouter.put("/series/:seriesId", async (req, res) => {
   } catch (err) {
     await conn.rollback();
     console.error("❌ [PUT /classes/series/:seriesId] ERROR:", err);
-    res.status(500).json({ ok: false, error: err.message || "No se pudo actualizar la serie" });
+    res.status(err?.statusCode || 500).json({ ok: false, error: err.message || "No se pudo actualizar la serie" });
   } finally {
     conn.release();
   }
@@ -1021,6 +1106,21 @@ classesRouter.post("/series/:seriesId/enrollments/cancel", async (req, res) => {
       ? [tenantId, seriesId, tenantId, effectiveCustomerId]
       : [tenantId, seriesId, tenantId, effectiveCustomerId, nowStr];
 
+    const [affected] = await conn.query(
+      `
+      SELECT DISTINCT ce.session_id
+        FROM class_enrollment ce
+        JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+       WHERE ce.tenant_id = ?
+         AND cs.series_id = ?
+         AND cs.tenant_id = ?
+         AND ce.customer_id = ?
+         ${scopeCondition}
+         AND ce.status = 'reserved'
+      `,
+      params
+    );
+
     const [result] = await conn.query(
       `
       UPDATE class_enrollment ce
@@ -1029,14 +1129,16 @@ classesRouter.post("/series/:seriesId/enrollments/cancel", async (req, res) => {
              ce.cancelled_at = NOW()
        WHERE ce.tenant_id = ?
          AND cs.series_id = ?
+         AND cs.tenant_id = ?
          AND ce.customer_id = ?
          ${scopeCondition}
-         AND ce.status IN ('reserved','attended')
+         AND ce.status IN ('reserved','attended','waitlisted')
       `,
       params
     );
 
     await conn.commit();
+    await releaseSpotsAndPromote(tenantId, affected.map((row) => row.session_id));
     res.json({ ok: true, cancelled: result.affectedRows });
   } catch (err) {
     await conn.rollback();
@@ -1075,6 +1177,7 @@ classesRouter.delete("/sessions/:id", async (req, res) => {
 classesRouter.post("/sessions/:id/enrollments", async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
     await conn.beginTransaction();
     const tenantId = req.tenant.id;
     const { id } = req.params;
@@ -1085,6 +1188,8 @@ classesRouter.post("/sessions/:id/enrollments", async (req, res) => {
       customerPhone,
       notes,
       repeat = {},
+      waitlist = false,
+      promoCode,
     } = body;
 
     const [[session]] = await conn.query(
@@ -1135,8 +1240,34 @@ classesRouter.post("/sessions/:id/enrollments", async (req, res) => {
 
     const currentEnrollments = await countActiveEnrollments(conn, { tenantId, sessionId: session.id });
     if (currentEnrollments >= session.capacity_max) {
-      await conn.rollback();
-      return res.status(409).json({ ok: false, error: "La clase ya alcanzó el cupo máximo" });
+      if (!(waitlist === true || waitlist === "true")) {
+        await conn.rollback();
+        return res.status(409).json({
+          ok: false,
+          code: "CLASS_FULL",
+          error: "La clase ya alcanzó el cupo máximo",
+          waitlistAvailable: true,
+        });
+      }
+
+      // Clase llena: anotar en lista de espera (solo esta clase, sin repetir en la serie)
+      await ensureMembershipForSession(session);
+      const { enrollmentId, position } = await joinWaitlist(conn, {
+        tenantId,
+        sessionId: session.id,
+        customerId: effectiveCustomerId,
+        notes: notes || null,
+      });
+      await conn.commit();
+      return res.status(201).json({
+        ok: true,
+        data: [{ sessionId: session.id, enrollmentId, startsAt: session.starts_at, status: WAITLIST_STATUS, position }],
+        meta: {
+          seriesId: session.series_id || null,
+          customerId: effectiveCustomerId,
+          waitlisted: true,
+        },
+      });
     }
 
     const shouldRepeat = Boolean(repeat?.enabled && session.series_id);
@@ -1161,6 +1292,24 @@ classesRouter.post("/sessions/:id/enrollments", async (req, res) => {
     await ensureMembershipForSession(session);
     await addEnrollment(session, notes || null);
 
+    // El código promocional aplica sólo a la clase elegida, no a las repeticiones
+    if (promoCode) {
+      try {
+        const promo = await applyPromoCode(conn, {
+          tenantId,
+          code: promoCode,
+          customerId: effectiveCustomerId,
+          channel: "admin",
+          classEnrollmentId: enrollmentsCreated[0].enrollmentId,
+          classSessionId: session.id,
+        });
+        enrollmentsCreated[0].promo = { code: promo.code, discount: promo.discount, finalAmount: promo.finalAmount };
+      } catch (promoError) {
+        await conn.rollback();
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+    }
+
     if (shouldRepeat) {
       const { count, until } = repeat;
       let limitCount = Number.isFinite(Number(count)) ? Number(count) : null;
@@ -1281,7 +1430,17 @@ classesRouter.patch("/sessions/:sessionId/enrollments/:enrollmentId", async (req
       return res.status(404).json({ ok: false, error: "Inscripción no encontrada" });
     }
 
-    res.json({ ok: true });
+    // Marcar la asistencia suma puntos; desmarcarla los anula
+    if (body.status) {
+      await syncLoyaltyForEnrollment(pool, { tenantId, enrollmentId: Number(enrollmentId), status: body.status });
+    }
+
+    let promoted = [];
+    if (body.status === "cancelled") {
+      promoted = await releaseSpotsAndPromote(tenantId, sessionId);
+    }
+
+    res.json({ ok: true, promoted: promoted.map((p) => p.enrollmentId) });
   } catch (err) {
     console.error("❌ [PATCH /classes/sessions/:sessionId/enrollments/:enrollmentId] ERROR:", err);
     res.status(500).json({ ok: false, error: "No se pudo actualizar la inscripción" });
@@ -1302,7 +1461,8 @@ classesRouter.delete("/sessions/:sessionId/enrollments/:enrollmentId", async (re
       return res.status(404).json({ ok: false, error: "Inscripción no encontrada" });
     }
 
-    res.json({ ok: true });
+    const promoted = await releaseSpotsAndPromote(tenantId, sessionId);
+    res.json({ ok: true, promoted: promoted.map((p) => p.enrollmentId) });
   } catch (err) {
     console.error("❌ [DELETE /classes/sessions/:sessionId/enrollments/:enrollmentId] ERROR:", err);
     res.status(500).json({ ok: false, error: "No se pudo eliminar la inscripción" });
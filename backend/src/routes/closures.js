@@ -0,0 +1,125 @@
+// src/routes/closures.js — MULTI-TENANT
+// Feriados y cierres del negocio / sucursal
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  listClosures,
+  createClosures,
+  deleteClosure,
+  getHolidaySuggestions,
+  decideHolidays,
+  listAppointmentsNeedingReschedule,
+} from "../services/closures.js";
+
+export const closures = Router();
+closures.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/closures?year=2026&branchId=
+ */
+closures.get("/", async (req, res) => {
+  try {
+    const data = await listClosures(req.tenant.id, {
+      year: req.query.year ? Number(req.query.year) : null,
+      branchId: req.query.branchId ? Number(req.query.branchId) : null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/closures] error:", e);
+    return sendError(res, e, "Error al obtener los cierres");
+  }
+});
+
+/**
+ * POST /api/closures
+ * Body: { date } o { from, to }, name, branchId? (sin branchId cierra todo el negocio)
+ */
+closures.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const { date, from, to, name, branchId } = req.body || {};
+    const data = await createClosures(req.tenant.id, {
+      date,
+      from,
+      to,
+      name,
+      branchId: branchId ? Number(branchId) : null,
+      userId: req.user?.id,
+    });
+    return res.status(201).json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/closures] error:", e);
+    return sendError(res, e, "Error al crear el cierre");
+  }
+});
+
+/**
+ * GET /api/closures/holidays?year=2026
+ * Feriados nacionales con su estado (pending / accepted / skipped)
+ */
+closures.get("/holidays", async (req, res) => {
+  try {
+    const year = Number(req.query.year) || new Date().getFullYear();
+    const data = await getHolidaySuggestions(req.tenant.id, year);
+    return res.json({ ok: true, year, data });
+  } catch (e) {
+    console.error("[GET /api/closures/holidays] error:", e);
+    return sendError(res, e, "Error al obtener los feriados");
+  }
+});
+
+/**
+ * POST /api/closures/holidays
+ * Body: { year, accept: [key], skip: [key] }
+ */
+closures.post("/holidays", requireRole("admin"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const year = Number(body.year) || new Date().getFullYear();
+    const data = await decideHolidays(req.tenant.id, {
+      year,
+      accept: Array.isArray(body.accept) ? body.accept : [],
+      skip: Array.isArray(body.skip) ? body.skip : [],
+      userId: req.user?.id,
+    });
+    const holidays = await getHolidaySuggestions(req.tenant.id, year);
+    return res.json({ ok: true, data: { ...data, holidays } });
+  } catch (e) {
+    console.error("[POST /api/closures/holidays] error:", e);
+    return sendError(res, e, "Error al guardar los feriados");
+  }
+});
+
+/**
+ * GET /api/closures/affected-appointments?branchId=
+ * Turnos ya reservados que quedaron en un día cerrado
+ */
+closures.get("/affected-appointments", async (req, res) => {
+  try {
+    const data = await listAppointmentsNeedingReschedule(req.tenant.id, {
+      branchId: req.query.branchId ? Number(req.query.branchId) : null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/closures/affected-appointments] error:", e);
+    return sendError(res, e, "Error al obtener los turnos a reprogramar");
+  }
+});
+
+/**
+ * DELETE /api/closures/:id
+ */
+closures.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const deleted = await deleteClosure(req.tenant.id, Number(req.params.id));
+    if (!deleted) return res.status(404).json({ ok: false, error: "Cierre no encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /api/closures/:id] error:", e);
+    return sendError(res, e, "Error al eliminar el cierre");
+  }
+});
@@ -4,7 +4,9 @@ import { pool } from "../db.js";
 import { requireAuth, requireAdmin } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { getConfigSnapshot } from "../services/config.js";
+import { VALUATION_METHODS, normalizeValuationMethod } from "../services/inventoryCosting.js";
 import { getPlanDefinition } from "../services/subscriptionPlans.js";
+import { normalizeLoyaltySettings } from "../services/loyalty.js";
 import { sendWhatsAppText, normalizeTo } from "../whatsapp.js";
 import fetch from "node-fetch";
 import {
@@ -57,7 +59,7 @@ async function saveSection(tenantId, section, body) {
   const entries = Object.entries(body || {});
   for (const [key, val] of entries) {
     // Campos que siempre deben guardarse aunque estén vacíos
-    const alwaysSaveFields = ['arca_cuit', 'whatsapp', 'arca', 'arca_api_key', 'arca_punto_venta', 'arca_api_url'];
+    const alwaysSaveFields = ['arca_cuit', 'whatsapp', 'arca', 'arca_api_key', 'arca_punto_venta', 'arca_api_url', 'arca_razon_social', 'arca_domicilio', 'arca_inicio_actividades'];
     
     // No guardar valores null o undefined (pero sí strings vacíos para campos específicos)
     if (val === null || val === undefined) {
@@ -463,6 +465,79 @@ config.put("/calendar", async (req, res) => {
   }
 });
 
+// 🔹 GET /api/config/stock
+config.get("/stock", async (req, res) => {
+  try {
+    const tenantId = req.tenant?.id || req.tenant_id || req.user?.tenant_id;
+    if (!tenantId) {
+      return res.status(403).json({ ok: false, error: "Tenant no identificado" });
+    }
+    const data = await getSection(tenantId, "stock");
+    res.json({
+      ok: true,
+      data: {
+        valuation_method: normalizeValuationMethod(data.valuation_method),
+      },
+    });
+  } catch (e) {
+    console.error("[GET /api/config/stock] error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// 🔹 PUT /api/config/stock
+config.put("/stock", async (req, res) => {
+  try {
+    const tenantId = req.tenant?.id || req.tenant_id || req.user?.tenant_id;
+    if (!tenantId) {
+      return res.status(403).json({ ok: false, error: "Tenant no identificado" });
+    }
+    const method = req.body?.valuation_method;
+    if (method !== undefined && !VALUATION_METHODS.includes(method)) {
+      return res.status(400).json({ ok: false, error: "Método de valuación inválido" });
+    }
+    await saveSection(tenantId, "stock", { valuation_method: method });
+    await getConfigSnapshot(true, tenantId);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[PUT /api/config/stock] error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// 🔹 GET /api/config/loyalty
+config.get("/loyalty", async (req, res) => {
+  try {
+    const tenantId = req.tenant?.id || req.tenant_id || req.user?.tenant_id;
+    if (!tenantId) {
+      return res.status(403).json({ ok: false, error: "Tenant no identificado" });
+    }
+    const data = await getSection(tenantId, "loyalty");
+    res.json({ ok: true, data: normalizeLoyaltySettings(data) });
+  } catch (e) {
+    console.error("[GET /api/config/loyalty] error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// 🔹 PUT /api/config/loyalty
+config.put("/loyalty", async (req, res) => {
+  try {
+    const tenantId = req.tenant?.id || req.tenant_id || req.user?.tenant_id;
+    if (!tenantId) {
+      return res.status(403).json({ ok: false, error: "Tenant no identificado" });
+    }
+    const current = await getSection(tenantId, "loyalty");
+    const data = normalizeLoyaltySettings({ ...current, ...(req.body || {}) });
+    await saveSection(tenantId, "loyalty", data);
+    await getConfigSnapshot(true, tenantId);
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/config/loyalty] error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // 🔹 GET /api/config/working-hours
 config.get("/working-hours", async (req, res) => {
   try {
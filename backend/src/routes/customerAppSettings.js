@@ -5,6 +5,7 @@ import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { getTenantFeatureFlags } from "../services/tenantFeatures.js";
 import { getPlanFeatureFlags } from "../services/subscriptionPlans.js";
+import { getCustomerLoyalty } from "../services/loyalty.js";
 
 export const customerAppSettings = Router();
 
@@ -130,6 +131,15 @@ customerAppSettings.get("/customers/app-settings/me", async (req, res) => {
       settings = fallbackRows.length ? formatSettings(fallbackRows[0]) : formatSettings();
     }
 
+    // Saldo de puntos para mostrar en la app (el detalle está en /api/public/customer/loyalty)
+    try {
+      const { enabled, balance, expiringSoon } = await getCustomerLoyalty(tenantId, customerId, { limit: 1 });
+      settings.loyalty = enabled ? { enabled, balance, expiringSoon } : { enabled: false };
+    } catch (loyaltyError) {
+      console.warn("[customerAppSettings] No se pudo obtener el saldo de puntos:", loyaltyError.message);
+      settings.loyalty = null;
+    }
+
     return res.json({ ok: true, data: settings });
   } catch (error) {
     console.error("[customerAppSettings] Error en GET /me:", error);
@@ -0,0 +1,70 @@
+// src/routes/customerPrivacy.js — MULTI-TENANT
+// Solicitudes de acceso y supresión de datos personales de clientes (sólo admin)
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  exportCustomerData,
+  anonymizeCustomer,
+  listPrivacyRequests,
+} from "../services/customerPrivacy.js";
+
+export const customerPrivacy = Router();
+customerPrivacy.use(requireAuth, requireRole("admin"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/customer-privacy/customers/:customerId/export?format=json|zip
+ * Descarga todo lo que el sistema guarda del cliente
+ */
+customerPrivacy.get("/customers/:customerId(\\d+)/export", async (req, res) => {
+  try {
+    const { buffer, filename, contentType } = await exportCustomerData(
+      req.tenant.id,
+      Number(req.params.customerId),
+      { format: String(req.query.format || "json").toLowerCase(), userId: req.user?.id || null }
+    );
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(buffer);
+  } catch (e) {
+    console.error("[GET /api/customer-privacy/customers/:customerId/export] error:", e);
+    return sendError(res, e, "Error al exportar los datos del cliente");
+  }
+});
+
+/**
+ * POST /api/customer-privacy/customers/:customerId/erase
+ * Body: { reason, confirm: true } — anonimiza al cliente conservando las facturas
+ */
+customerPrivacy.post("/customers/:customerId(\\d+)/erase", async (req, res) => {
+  try {
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({ ok: false, error: "Confirmá la anonimización del cliente" });
+    }
+    const data = await anonymizeCustomer(req.tenant.id, Number(req.params.customerId), {
+      reason: req.body?.reason,
+      userId: req.user?.id || null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/customer-privacy/customers/:customerId/erase] error:", e);
+    return sendError(res, e, "Error al anonimizar el cliente");
+  }
+});
+
+/**
+ * GET /api/customer-privacy/customers/:customerId/requests — historial de solicitudes
+ */
+customerPrivacy.get("/customers/:customerId(\\d+)/requests", async (req, res) => {
+  try {
+    const data = await listPrivacyRequests(req.tenant.id, Number(req.params.customerId));
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/customer-privacy/customers/:customerId/requests] error:", e);
+    return sendError(res, e, "Error al obtener las solicitudes del cliente");
+  }
+});
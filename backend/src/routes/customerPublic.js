@@ -1,6 +1,20 @@
 // src/routes/customerPublic.js — Endpoints PÚBLICOS para clientes (app móvil)
 import { Router } from "express";
+import jwt from "jsonwebtoken";
 import { pool } from "../db.js";
+import { createCheckinToken, verifyCheckinToken } from "../utils/checkinToken.js";
+import { WAITLIST_STATUS, joinWaitlist, releaseSpotsAndPromote, respondToPromotion } from "../services/classWaitlist.js";
+import { findClosure } from "../services/closures.js";
+import { assertResourcesAvailable } from "../services/resources.js";
+import { listPackages, listCustomerPackages, createPackagePaymentLink } from "../services/packages.js";
+import {
+  PROMO_CHANNELS,
+  ensurePromoSchema,
+  quotePromoCode,
+  applyPromoCode,
+  voidPromoRedemption,
+} from "../services/promoCodes.js";
+import { getCustomerLoyalty, listLoyaltyRewards, redeemLoyaltyReward } from "../services/loyalty.js";
 
 export const customerPublic = Router();
 
@@ -656,15 +670,17 @@ customerPublic.get("/classes/:seriesId/sessions", async (req, res) => {
 /**
  * POST /api/public/customer/classes/sessions/:sessionId/enroll
  * Inscribirse a una clase (sesión)
- * Body: { customer_id, tenant_id }
+ * Body: { customer_id, tenant_id, waitlist?, promo_code?, channel? }
+ * Con waitlist=true y la clase llena, el cliente queda en lista de espera.
  */
 customerPublic.post("/classes/sessions/:sessionId/enroll", async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
     await conn.beginTransaction();
     
     const sessionId = parseInt(req.params.sessionId, 10);
-    const { customer_id, tenant_id } = req.body;
+    const { customer_id, tenant_id, waitlist, promo_code } = req.body;
 
     if (!sessionId || isNaN(sessionId)) {
       await conn.rollback();
@@ -705,8 +721,31 @@ customerPublic.post("/classes/sessions/:sessionId/enroll", async (req, res) => {
 
     const currentEnrollments = enrollments[0]?.count || 0;
     if (currentEnrollments >= session.capacity_max) {
-      await conn.rollback();
-      return res.status(409).json({ ok: false, error: "La clase ya alcanzó el cupo máximo" });
+      if (!(waitlist === true || waitlist === "true")) {
+        await conn.rollback();
+        return res.status(409).json({
+          ok: false,
+          code: "CLASS_FULL",
+          error: "La clase ya alcanzó el cupo máximo",
+          waitlistAvailable: true,
+        });
+      }
+
+      const { enrollmentId, position } = await joinWaitlist(conn, {
+        tenantId: tenant_id,
+        sessionId,
+        customerId: customer_id,
+      });
+      await conn.commit();
+      return res.status(201).json({
+        id: enrollmentId,
+        class_session_id: sessionId,
+        customer_id,
+        status: WAITLIST_STATUS,
+        waitlist_position: position,
+        starts_at: session.starts_at,
+        ends_at: session.ends_at,
+      });
     }
 
     // Verificar que el customer no esté ya inscrito
@@ -729,6 +768,23 @@ customerPublic.post("/classes/sessions/:sessionId/enroll", async (req, res) => {
       [tenant_id, sessionId, customer_id]
     );
 
+    let promo = null;
+    if (promo_code) {
+      try {
+        promo = await applyPromoCode(conn, {
+          tenantId: Number(tenant_id),
+          code: promo_code,
+          customerId: Number(customer_id),
+          channel: PROMO_CHANNELS.includes(req.body.channel) ? req.body.channel : "app",
+          classEnrollmentId: insert.insertId,
+          classSessionId: sessionId,
+        });
+      } catch (promoError) {
+        await conn.rollback();
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+    }
+
     await conn.commit();
 
     // Obtener la inscripción creada con información de la sesión
@@ -749,7 +805,13 @@ customerPublic.post("/classes/sessions/:sessionId/enroll", async (req, res) => {
       [insert.insertId]
     );
 
-    res.status(201).json(enrollmentData[0] || { id: insert.insertId });
+    const enrollment = enrollmentData[0] || { id: insert.insertId };
+    if (promo) {
+      enrollment.promo_code = promo.code;
+      enrollment.discount_decimal = promo.discount;
+      enrollment.price_decimal = promo.finalAmount;
+    }
+    res.status(201).json(enrollment);
   } catch (error) {
     await conn.rollback();
     console.error("[POST /api/public/customer/classes/sessions/:sessionId/enroll] Error:", error);
@@ -802,6 +864,8 @@ customerPublic.get("/classes/enrollments", async (req, res) => {
          ce.session_id AS class_session_id,
          ce.customer_id,
          ce.created_at AS enrolled_at,
+         ce.status,
+         ce.confirm_deadline,
          cs.id AS session_id,
          cs.series_id,
          cs.starts_at,
@@ -821,17 +885,34 @@ customerPublic.get("/classes/enrollments", async (req, res) => {
        JOIN instructor i ON i.id = cs.instructor_id AND i.tenant_id = cs.tenant_id
       WHERE ce.customer_id = ?
          AND ce.tenant_id = ?
-         AND ce.status IN ('reserved', 'attended')
+         AND ce.status IN ('reserved', 'attended', 'waitlisted')
        ORDER BY cs.starts_at ASC`,
       [resolvedCustomerId, tenantId]
     );
 
+    // Posición en lista de espera para las inscripciones en espera
+    const waitlisted = enrollments.filter((e) => e.status === WAITLIST_STATUS);
+    const positions = new Map();
+    for (const e of waitlisted) {
+      const [[row]] = await pool.query(
+        `SELECT COUNT(*) AS ahead
+           FROM class_enrollment
+          WHERE tenant_id = ? AND session_id = ? AND status = ?
+            AND (created_at < ? OR (created_at = ? AND id <= ?))`,
+        [tenantId, e.session_id, WAITLIST_STATUS, e.enrolled_at, e.enrolled_at, e.id]
+      );
+      positions.set(e.id, Number(row?.ahead || 0));
+    }
+
     // Formatear respuesta para que coincida con la interfaz esperada
     const formatted = enrollments.map(e => ({
       id: e.id,
       class_session_id: e.class_session_id,
       customer_id: e.customer_id,
       enrolled_at: e.enrolled_at,
+      status: e.status,
+      waitlist_position: positions.get(e.id) ?? null,
+      confirm_deadline: e.confirm_deadline || null,
       session: {
         id: e.session_id,
         class_series_id: e.series_id,
@@ -904,6 +985,11 @@ customerPublic.delete("/classes/enrollments/:enrollmentId", async (req, res) =>
     );
 
     await conn.commit();
+
+    // El lugar liberado pasa al primero de la lista de espera
+    if (enrollment.status === "reserved") {
+      await releaseSpotsAndPromote(tenantId, enrollment.session_id);
+    }
     res.json({ ok: true });
   } catch (error) {
     await conn.rollback();
@@ -914,6 +1000,34 @@ customerPublic.delete("/classes/enrollments/:enrollmentId", async (req, res) =>
   }
 });
 
+/**
+ * POST /api/public/customer/classes/enrollments/:enrollmentId/waitlist-response
+ * Confirmar o liberar un lugar obtenido desde la lista de espera
+ * Body: { tenant_id, customer_id?, accept }
+ */
+customerPublic.post("/classes/enrollments/:enrollmentId/waitlist-response", async (req, res) => {
+  try {
+    const enrollmentId = parseInt(req.params.enrollmentId, 10);
+    const tenantId = parseInt(req.body?.tenant_id, 10);
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerId = req.body?.customer_id ? parseInt(req.body.customer_id, 10) : customerIdFromToken;
+
+    if (!enrollmentId || isNaN(enrollmentId) || !tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "enrollmentId y tenant_id requeridos" });
+    }
+
+    const accept = req.body?.accept === true || req.body?.accept === "true";
+    const result = await respondToPromotion({ tenantId, enrollmentId, accept, customerId });
+    if (!result.ok) {
+      return res.status(409).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("[POST /api/public/customer/classes/enrollments/:enrollmentId/waitlist-response] Error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/public/customer/appointments
  * Obtener turnos del cliente
@@ -980,14 +1094,17 @@ customerPublic.get("/appointments", async (req, res) => {
 /**
  * POST /api/public/customer/appointments
  * Crear nuevo turno
- * Body: { service_id, instructor_id, starts_at, tenant_id, customer_id? }
+ * Body: { service_id, instructor_id, starts_at, tenant_id, customer_id?, promo_code?, channel? }
+ * channel: "app" (por defecto) o "widget" para el widget de reservas embebido
  */
 customerPublic.post("/appointments", async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
     await conn.beginTransaction();
 
-    const { service_id, instructor_id, starts_at, tenant_id, customer_id: customerIdFromBody } = req.body;
+    const { service_id, instructor_id, starts_at, tenant_id, customer_id: customerIdFromBody, promo_code } = req.body;
+    const channel = PROMO_CHANNELS.includes(req.body.channel) ? req.body.channel : "app";
     const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
     const customerId = customerIdFromBody || customerIdFromToken;
     const tenantId = parseInt(tenant_id, 10);
@@ -1056,6 +1173,19 @@ customerPublic.post("/appointments", async (req, res) => {
     const customer = customerRows[0] || {};
     const isExemptDeposit = customer?.exempt_deposit === 1 || customer?.exempt_deposit === true;
 
+    // Código promocional: la seña se calcula sobre el precio con descuento
+    let promo = null;
+    let price = Number(service.price_decimal || 0);
+    if (promo_code) {
+      try {
+        promo = await quotePromoCode(conn, tenantId, { code: promo_code, customerId, serviceId: service.id });
+        price = promo.finalAmount;
+      } catch (promoError) {
+        await conn.rollback();
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+    }
+
     // Determinar status inicial
     let status = 'scheduled';
     let depositDecimal = 0;
@@ -1091,8 +1221,9 @@ customerPublic.post("/appointments", async (req, res) => {
           );
           const pctRow = pctRows[0] || {};
           const pct = Number(pctRow?.config_value || 20);
-          depositDecimal = Math.round(Number(service.price_decimal || 0) * pct) / 100;
+          depositDecimal = Math.round(price * pct) / 100;
         }
+        if (promo) depositDecimal = Math.min(depositDecimal, price);
 
         if (depositDecimal > 0) {
           status = 'pending_deposit';
@@ -1111,6 +1242,28 @@ customerPublic.post("/appointments", async (req, res) => {
       branchId = primaryBranch?.id || null;
     }
 
+    // Día cerrado (feriado o cierre del negocio / sucursal)
+    const closure = await findClosure(conn, { tenantId, branchId, date: startDate });
+    if (closure) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, error: `El negocio está cerrado ese día (${closure.name})` });
+    }
+
+    // Salas / equipos que requiere el servicio
+    try {
+      await assertResourcesAvailable(conn, {
+        tenantId,
+        serviceId: service_id,
+        branchId,
+        start: startDate,
+        end: endDate,
+        useLock: true,
+      });
+    } catch (resourceError) {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, error: resourceError.message });
+    }
+
     // Insertar turno
     const [insert] = await conn.query(
       `INSERT INTO appointment 
@@ -1129,6 +1282,22 @@ customerPublic.post("/appointments", async (req, res) => {
       );
     }
 
+    if (promo) {
+      try {
+        promo = await applyPromoCode(conn, {
+          tenantId,
+          code: promo_code,
+          customerId,
+          channel,
+          appointmentId: insert.insertId,
+          serviceId: service.id,
+        });
+      } catch (promoError) {
+        await conn.rollback();
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+    }
+
     await conn.commit();
 
     // Obtener el turno creado con información completa
@@ -1157,6 +1326,11 @@ customerPublic.post("/appointments", async (req, res) => {
     
     // Asegurar que deposit_decimal esté en la respuesta
     appointment.deposit_decimal = depositDecimal;
+    if (promo) {
+      appointment.promo_code = promo.code;
+      appointment.discount_decimal = promo.discount;
+      appointment.price_decimal = promo.finalAmount;
+    }
 
     res.status(201).json({ ok: true, data: appointment, requiresDeposit: depositDecimal > 0 });
   } catch (error) {
@@ -1175,6 +1349,7 @@ customerPublic.post("/appointments", async (req, res) => {
 customerPublic.delete("/appointments/:id", async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    await ensurePromoSchema();
     await conn.beginTransaction();
 
     const appointmentId = parseInt(req.params.id, 10);
@@ -1221,6 +1396,7 @@ customerPublic.delete("/appointments/:id", async (req, res) => {
       `UPDATE appointment SET status = 'cancelled' WHERE id = ? AND tenant_id = ?`,
       [appointmentId, tenantId]
     );
+    await voidPromoRedemption(conn, { tenantId, appointmentId });
 
     await conn.commit();
     res.json({ ok: true });
@@ -1289,7 +1465,7 @@ customerPublic.post("/appointments/cleanup", async (req, res) => {
 /**
  * GET /api/public/customer/appointments/availability
  * Obtener disponibilidad de horarios
- * Query params: tenant_id, service_id, instructor_id, date
+ * Query params: tenant_id, service_id, instructor_id, date, branch_id (opcional)
  */
 customerPublic.get("/appointments/availability", async (req, res) => {
   try {
@@ -1297,6 +1473,7 @@ customerPublic.get("/appointments/availability", async (req, res) => {
     const serviceId = parseInt(req.query.service_id, 10);
     const instructorId = parseInt(req.query.instructor_id, 10);
     const date = String(req.query.date || "");
+    const branchId = req.query.branch_id ? parseInt(req.query.branch_id, 10) : null;
 
     if (!tenantId || !serviceId || !instructorId || !date) {
       return res.status(400).json({ ok: false, error: "tenant_id, service_id, instructor_id y date requeridos" });
@@ -1304,19 +1481,70 @@ customerPublic.get("/appointments/availability", async (req, res) => {
 
     // Importar función de availability
     const { getFreeSlots } = await import("../routes/availability.js");
-    const result = await getFreeSlots({ tenantId, instructorId, serviceId, date });
+    const result = await getFreeSlots({ tenantId, instructorId, serviceId, date, branchId });
 
-    res.json({ ok: true, data: { slots: result.slots, busySlots: result.busySlots } });
+    res.json({ ok: true, data: { slots: result.slots, busySlots: result.busySlots, closure: result.closure || null } });
   } catch (error) {
     console.error("[GET /api/public/customer/appointments/availability] Error:", error);
     res.status(500).json({ ok: false, error: error.message });
   }
 });
 
+/** Cliente autenticado por el token de la app (Authorization: Bearer) */
+function getCustomerFromBearer(req) {
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    if (payload?.type !== "customer") return null;
+    return { id: Number(payload.sub), tenantId: Number(payload.tenant_id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/public/customer/qr/token
+ * Emite el token firmado que la app muestra como QR de check-in.
+ * Vence en segundos (QR_CHECKIN_TTL_SEC): la app lo pide de nuevo antes de refresh_in_ms.
+ * Requiere el token de cliente de la app.
+ */
+customerPublic.get("/qr/token", async (req, res) => {
+  try {
+    const customer = getCustomerFromBearer(req);
+    if (!customer?.id || !customer?.tenantId) {
+      return res.status(401).json({ ok: false, error: "Token de cliente requerido" });
+    }
+
+    const [[row]] = await pool.query(
+      `SELECT id FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      [customer.id, customer.tenantId]
+    );
+    if (!row) {
+      return res.status(404).json({ ok: false, error: "Cliente no encontrado" });
+    }
+
+    const { token, expiresAt } = createCheckinToken({ tenantId: customer.tenantId, customerId: customer.id });
+    const ttlMs = expiresAt - Date.now();
+    res.json({
+      ok: true,
+      data: {
+        token,
+        expires_at: new Date(expiresAt).toISOString(),
+        refresh_in_ms: Math.max(5000, Math.floor(ttlMs * 0.8)),
+      },
+    });
+  } catch (error) {
+    console.error("[GET /api/public/customer/qr/token] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo generar el QR" });
+  }
+});
+
 /**
  * POST /api/public/customer/qr/validate
- * Validar un código QR escaneado
- * Body: { qr_data: string } (JSON string del QR)
+ * Validar un código QR escaneado (solo lectura, no registra el ingreso: ver POST /api/checkin/qr)
+ * Body: { qr_data: string } (token firmado emitido por GET /qr/token)
  */
 customerPublic.post("/qr/validate", async (req, res) => {
   try {
@@ -1329,23 +1557,14 @@ customerPublic.post("/qr/validate", async (req, res) => {
       });
     }
 
-    let qrPayload;
-    try {
-      qrPayload = typeof qr_data === 'string' ? JSON.parse(qr_data) : qr_data;
-    } catch (parseError) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: "QR data inválido. Debe ser un JSON válido." 
-      });
-    }
-
-    const { customer_id, tenant_id, phone, identifier, timestamp } = qrPayload;
-
-    if (!customer_id || !tenant_id) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: "QR inválido: faltan customer_id o tenant_id" 
-      });
+    const verified = verifyCheckinToken(String(qr_data));
+    if (!verified.ok) {
+      const messages = {
+        malformed: "QR inválido: no es un código de check-in firmado",
+        bad_signature: "QR inválido: la firma no coincide",
+        expired: "QR vencido: pedile al cliente que lo actualice en la app",
+      };
+      return res.status(400).json({ ok: false, error: messages[verified.error], code: "QR_INVALID" });
     }
 
     // Verificar que el cliente existe y pertenece al tenant
@@ -1354,7 +1573,7 @@ customerPublic.post("/qr/validate", async (req, res) => {
        FROM customer 
        WHERE id = ? AND tenant_id = ? 
        LIMIT 1`,
-      [customer_id, tenant_id]
+      [verified.customerId, verified.tenantId]
     );
 
     if (customerRows.length === 0) {
@@ -1366,20 +1585,6 @@ customerPublic.post("/qr/validate", async (req, res) => {
 
     const customer = customerRows[0];
 
-    // Verificar que el teléfono coincide si está presente en el QR
-    if (phone && customer.phone_e164) {
-      const normalizedPhone = normPhone(customer.phone_e164);
-      const qrPhone = normPhone(phone);
-      if (normalizedPhone !== qrPhone) {
-        console.warn(`[QR Validate] Teléfono no coincide: QR=${qrPhone}, DB=${normalizedPhone}`);
-      }
-    }
-
-    // Verificar que el timestamp no sea muy antiguo (opcional: QR válido por 24 horas)
-    const qrAge = Date.now() - (timestamp || 0);
-    const maxAge = 24 * 60 * 60 * 1000; // 24 horas en ms
-    const isExpired = qrAge > maxAge;
-
     return res.json({
       ok: true,
       data: {
@@ -1390,12 +1595,9 @@ customerPublic.post("/qr/validate", async (req, res) => {
           email: customer.email,
           phone: customer.phone_e164,
         },
-        tenant_id: tenant_id,
-        qr_age_ms: qrAge,
-        is_expired: isExpired,
-        message: isExpired 
-          ? "QR válido pero expirado (más de 24 horas)" 
-          : "QR válido",
+        tenant_id: verified.tenantId,
+        expires_at: new Date(verified.expiresAt).toISOString(),
+        message: "QR válido",
       },
     });
   } catch (error) {
@@ -1498,3 +1700,172 @@ customerPublic.post("/appointments/:id/deposit-payment-link", async (req, res) =
   }
 });
 
+/**
+ * GET /api/public/customer/packages?tenant_id=&customer_id=
+ * Bonos del cliente con los usos que le quedan por servicio
+ */
+customerPublic.get("/packages", async (req, res) => {
+  try {
+    const tenantId = parseInt(req.query.tenant_id, 10);
+    const customerIdFromQuery = req.query.customer_id ? parseInt(req.query.customer_id, 10) : null;
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerId = customerIdFromQuery || customerIdFromToken;
+
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "customer_id requerido o token de cliente" });
+    }
+
+    const data = await listCustomerPackages(tenantId, customerId);
+    res.json({ ok: true, data });
+  } catch (error) {
+    console.error("[GET /api/public/customer/packages] Error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/public/customer/packages/catalog?tenant_id=
+ * Paquetes que el cliente puede comprar desde la app
+ */
+customerPublic.get("/packages/catalog", async (req, res) => {
+  try {
+    const tenantId = parseInt(req.query.tenant_id, 10);
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    const data = (await listPackages(tenantId)).filter((pkg) => pkg.priceDecimal > 0);
+    res.json({ ok: true, data });
+  } catch (error) {
+    console.error("[GET /api/public/customer/packages/catalog] Error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/public/customer/packages/:packageId/payment-link
+ * Link de Mercado Pago para comprar un bono; queda activo al acreditarse el pago
+ * Body: { tenant_id, customer_id? }
+ */
+customerPublic.post("/packages/:packageId/payment-link", async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.packageId, 10);
+    const tenantId = parseInt(req.body.tenant_id, 10);
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerIdFromBody = req.body.customer_id ? parseInt(req.body.customer_id, 10) : null;
+    const customerId = customerIdFromBody || customerIdFromToken;
+
+    if (!packageId || isNaN(packageId)) {
+      return res.status(400).json({ ok: false, error: "ID de paquete inválido" });
+    }
+
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "customer_id requerido o token de cliente" });
+    }
+
+    const { customerPackageId, link } = await createPackagePaymentLink(tenantId, { packageId, customerId });
+    res.json({ ok: true, paymentLink: link, customerPackageId });
+  } catch (error) {
+    console.error("[POST /api/public/customer/packages/:packageId/payment-link] Error:", error);
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/public/customer/promo-codes/quote
+ * Valida un código promocional y devuelve el descuento antes de reservar o suscribirse.
+ * El uso se registra recién al crear el turno, la inscripción o la suscripción.
+ * Body: { tenant_id, code, customer_id?, service_id? | membership_plan_id? | class_session_id? }
+ */
+customerPublic.post("/promo-codes/quote", async (req, res) => {
+  try {
+    const tenantId = parseInt(req.body.tenant_id, 10);
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerIdFromBody = req.body.customer_id ? parseInt(req.body.customer_id, 10) : null;
+
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    const data = await quotePromoCode(pool, tenantId, {
+      code: req.body.code,
+      customerId: customerIdFromBody || customerIdFromToken,
+      serviceId: req.body.service_id ? Number(req.body.service_id) : null,
+      membershipPlanId: req.body.membership_plan_id ? Number(req.body.membership_plan_id) : null,
+      classSessionId: req.body.class_session_id ? Number(req.body.class_session_id) : null,
+    });
+    res.json({ ok: true, data });
+  } catch (error) {
+    console.error("[POST /api/public/customer/promo-codes/quote] Error:", error.message);
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/public/customer/loyalty?tenant_id=&customer_id=
+ * Saldo de puntos, movimientos y premios disponibles para canjear
+ */
+customerPublic.get("/loyalty", async (req, res) => {
+  try {
+    const tenantId = parseInt(req.query.tenant_id, 10);
+    const customerIdFromQuery = req.query.customer_id ? parseInt(req.query.customer_id, 10) : null;
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerId = customerIdFromQuery || customerIdFromToken;
+
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "customer_id requerido o token de cliente" });
+    }
+
+    const loyalty = await getCustomerLoyalty(tenantId, customerId, { limit: 30 });
+    const rewards = loyalty.enabled ? await listLoyaltyRewards(tenantId) : [];
+    res.json({ ok: true, data: { ...loyalty, rewards } });
+  } catch (error) {
+    console.error("[GET /api/public/customer/loyalty] Error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/public/customer/loyalty/rewards/:rewardId/redeem
+ * Canjea puntos por un premio y devuelve el código personal para usar al reservar
+ * Body: { tenant_id, customer_id? }
+ */
+customerPublic.post("/loyalty/rewards/:rewardId/redeem", async (req, res) => {
+  try {
+    const rewardId = parseInt(req.params.rewardId, 10);
+    const tenantId = parseInt(req.body.tenant_id, 10);
+    const customerIdFromToken = req.user?.type === 'customer' ? Number(req.user.id) : null;
+    const customerIdFromBody = req.body.customer_id ? parseInt(req.body.customer_id, 10) : null;
+    const customerId = customerIdFromBody || customerIdFromToken;
+
+    if (!rewardId || isNaN(rewardId)) {
+      return res.status(400).json({ ok: false, error: "ID de premio inválido" });
+    }
+
+    if (!tenantId || isNaN(tenantId)) {
+      return res.status(400).json({ ok: false, error: "tenant_id requerido" });
+    }
+
+    if (!customerId) {
+      return res.status(400).json({ ok: false, error: "customer_id requerido o token de cliente" });
+    }
+
+    const data = await redeemLoyaltyReward(tenantId, { customerId, rewardId });
+    res.json({ ok: true, data });
+  } catch (error) {
+    console.error("[POST /api/public/customer/loyalty/rewards/:rewardId/redeem] Error:", error.message);
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
+  }
+});
@@ -2,12 +2,34 @@
 import { Router } from "express";
 import { pool } from "../db.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  handleTimeOffCreated,
+  withdrawTimeOffReschedules,
+  listRescheduleRequests,
+  offerReschedule,
+} from "../services/timeOffReschedule.js";
 
 export const daysOff = Router();
 
 // Seguridad: solo admin y staff
 daysOff.use(requireAuth, requireRole("admin", "user"));
 
+/**
+ * Marca los turnos que quedaron dentro de los bloqueos y ofrece reprogramarlos.
+ * El bloqueo ya está guardado: si esto falla se informa aparte en vez de devolver 500.
+ */
+async function rescheduleCoveredAppointments(tenantId, options) {
+  try {
+    return { reschedule: await handleTimeOffCreated(tenantId, options), rescheduleError: null };
+  } catch (e) {
+    console.error("[days-off] reschedule error:", e);
+    return {
+      reschedule: { affected: 0, requests: [] },
+      rescheduleError: "El bloqueo se guardó, pero no se pudieron revisar los turnos afectados",
+    };
+  }
+}
+
 /**
  * GET /api/days-off?instructorId=&from=YYYY-MM-DD&to=YYYY-MM-DD
  */
@@ -49,6 +71,38 @@ daysOff.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/days-off/reschedules?instructorId=&status=open|all
+ * Tablero de turnos afectados por bloqueos y su estado de reprogramación
+ */
+daysOff.get("/reschedules", async (req, res) => {
+  try {
+    const data = await listRescheduleRequests(req.tenant.id, {
+      instructorId: req.query.instructorId ? Number(req.query.instructorId) : null,
+      status: req.query.status === "all" ? "all" : "open",
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/days-off/reschedules] error:", e);
+    return res.status(500).json({ ok: false, error: "Error al obtener las reprogramaciones" });
+  }
+});
+
+/**
+ * POST /api/days-off/reschedules/:id/resend
+ * Recalcula las alternativas y vuelve a enviarle la lista al cliente
+ */
+daysOff.post("/reschedules/:id/resend", async (req, res) => {
+  try {
+    const result = await offerReschedule(req.tenant.id, Number(req.params.id));
+    if (!result.ok) return res.status(400).json(result);
+    return res.json({ ok: true, data: { options: result.options } });
+  } catch (e) {
+    console.error("[POST /api/days-off/reschedules/:id/resend] error:", e);
+    return res.status(500).json({ ok: false, error: "Error al reenviar la reprogramación" });
+  }
+});
+
 /**
  * POST /api/days-off/recurring
  * Body: { instructorId, startTime: "HH:MM", endTime: "HH:MM", from: "YYYY-MM-DD", to: "YYYY-MM-DD", reason, weekdays?: [0-6] }
@@ -98,10 +152,13 @@ daysOff.post("/recurring", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Fechas inválidas" });
     }
 
+    const notifyCustomers = body.notifyCustomers !== false;
+
+    let created = 0;
+    const createdBlocks = [];
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
-      let created = 0;
 
       for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
         const wd = d.getDay(); // 0..6
@@ -120,16 +177,16 @@ daysOff.post("/recurring", async (req, res) => {
         );
         if (existing) continue;
 
-        await conn.query(
+        const [result] = await conn.query(
           `INSERT INTO time_off (tenant_id, instructor_id, starts_at, ends_at, reason)
            VALUES (?,?,?,?,?)`,
           [tenantId, instructorId, starts_at, ends_at, reason]
         );
         created += 1;
+        createdBlocks.push({ id: result.insertId, startsAt: starts_at, endsAt: ends_at, reason });
       }
 
       await conn.commit();
-      return res.json({ ok: true, created });
     } catch (e) {
       await conn.rollback();
       console.error("[POST /api/days-off/recurring] error:", e);
@@ -137,6 +194,13 @@ daysOff.post("/recurring", async (req, res) => {
     } finally {
       conn.release();
     }
+
+    const { reschedule, rescheduleError } = await rescheduleCoveredAppointments(tenantId, {
+      instructorId,
+      blocks: createdBlocks,
+      notify: notifyCustomers,
+    });
+    return res.json({ ok: true, created, reschedule, rescheduleError });
   } catch (e) {
     console.error("[POST /api/days-off/recurring] error:", e);
     return res.status(500).json({ ok: false, error: e.message });
@@ -192,13 +256,21 @@ daysOff.post("/", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Ya existe un bloqueo en ese horario" });
     }
 
+    const blockReason = reason || "Bloqueo de tiempo";
     const [result] = await pool.query(
       `INSERT INTO time_off (tenant_id, instructor_id, starts_at, ends_at, reason, created_at)
        VALUES (?,?,?,?,?, NOW())`,
-      [tenantId, instructorId, sAt, eAt, reason || "Bloqueo de tiempo"]
+      [tenantId, instructorId, sAt, eAt, blockReason]
     );
 
-    return res.json({ ok: true, id: result.insertId, message: "Bloqueo creado" });
+    // Turnos ya reservados en ese horario: marcar y ofrecer reprogramación al cliente
+    const { reschedule, rescheduleError } = await rescheduleCoveredAppointments(tenantId, {
+      instructorId: Number(instructorId),
+      blocks: [{ id: result.insertId, startsAt: sAt, endsAt: eAt, reason: blockReason }],
+      notify: req.body.notifyCustomers !== false,
+    });
+
+    return res.json({ ok: true, id: result.insertId, message: "Bloqueo creado", reschedule, rescheduleError });
   } catch (e) {
     console.error("[POST /api/days-off] error:", e);
     return res.status(500).json({ ok: false, error: e.message || "Error al crear bloqueo" });
@@ -241,7 +313,23 @@ daysOff.put("/:id", async (req, res) => {
       [sAt, eAt, reason ?? block.reason, id, tenantId]
     );
 
-    return res.json({ ok:true, message:"Bloqueo actualizado" });
+    // Se vuelve a calcular qué turnos cubre: los que quedaron afuera (bloqueo achicado o movido)
+    // dejan de estar pendientes de reprogramar y se retiran sus ofertas abiertas
+    let reschedule = { affected: 0, requests: [] };
+    let rescheduleError = null;
+    try {
+      await withdrawTimeOffReschedules(tenantId, id);
+      ({ reschedule, rescheduleError } = await rescheduleCoveredAppointments(tenantId, {
+        instructorId: block.instructor_id,
+        blocks: [{ id, startsAt: sAt, endsAt: eAt, reason: reason ?? block.reason }],
+        notify: req.body.notifyCustomers !== false,
+      }));
+    } catch (e) {
+      console.error("[PUT /api/days-off/:id] withdraw error:", e);
+      rescheduleError = "El bloqueo se guardó, pero no se pudieron revisar los turnos afectados";
+    }
+
+    return res.json({ ok:true, message:"Bloqueo actualizado", reschedule, rescheduleError });
   } catch (e) {
     console.error("[PUT /api/days-off/:id] error:", e);
     return res.status(500).json({ ok:false, error:e.message || "Error al actualizar bloqueo" });
@@ -265,7 +353,15 @@ daysOff.delete("/:id", async (req, res) => {
     if (!r.affectedRows) {
       return res.status(404).json({ ok:false, error:"Bloqueo no encontrado" });
     }
-    return res.json({ ok:true, message:"Bloqueo eliminado" });
+    // Los turnos que el bloqueo había dejado pendientes de reprogramar vuelven a estar en pie
+    let rescheduleError = null;
+    try {
+      await withdrawTimeOffReschedules(tenantId, id);
+    } catch (e) {
+      console.error("[DELETE /api/days-off/:id] withdraw error:", e);
+      rescheduleError = "El bloqueo se eliminó, pero no se pudieron liberar los turnos que tenía marcados";
+    }
+    return res.json({ ok:true, message:"Bloqueo eliminado", rescheduleError });
   } catch (e) {
     console.error("[DELETE /api/days-off/:id] error:", e);
     return res.status(500).json({ ok:false, error:e.message || "Error al eliminar bloqueo" });
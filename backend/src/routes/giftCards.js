@@ -0,0 +1,207 @@
+// src/routes/giftCards.js — MULTI-TENANT
+// Emisión, consulta de saldo, PDF y pasivo de gift cards
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { pool } from "../db.js";
+import { sendEmail } from "../services/email.js";
+import { sendWhatsAppDocument } from "../whatsapp.js";
+import {
+  GIFT_CARD_DESIGNS,
+  issueGiftCard,
+  listGiftCards,
+  getGiftCard,
+  cancelGiftCard,
+  getGiftCardLiability,
+} from "../services/giftCards.js";
+import { getGiftCardPdf } from "../services/giftCardPdf.js";
+
+export const giftCards = Router();
+giftCards.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/gift-cards?status=active|redeemed|expired|cancelled&search=
+ */
+giftCards.get("/", async (req, res) => {
+  try {
+    const data = await listGiftCards(req.tenant.id, {
+      status: req.query.status || null,
+      search: req.query.search || "",
+    });
+    return res.json({ ok: true, data, designs: GIFT_CARD_DESIGNS });
+  } catch (e) {
+    console.error("[GET /api/gift-cards] error:", e);
+    return sendError(res, e, "Error al obtener las gift cards");
+  }
+});
+
+/**
+ * GET /api/gift-cards/liability?from&to&asOf
+ * Saldo pendiente de canje (pasivo) y movimientos del período
+ */
+giftCards.get("/liability", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await getGiftCardLiability(req.tenant.id, {
+      from: req.query.from ? String(req.query.from).slice(0, 10) : null,
+      to: req.query.to ? String(req.query.to).slice(0, 10) : null,
+      asOf: req.query.asOf ? String(req.query.asOf).slice(0, 10) : null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/gift-cards/liability] error:", e);
+    return sendError(res, e, "Error al calcular el saldo de gift cards");
+  }
+});
+
+/**
+ * GET /api/gift-cards/code/:code — consulta de saldo antes de cobrar
+ */
+giftCards.get("/code/:code", async (req, res) => {
+  try {
+    const data = await getGiftCard(req.tenant.id, { code: req.params.code });
+    if (!data) return res.status(404).json({ ok: false, error: "Gift card no encontrada" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/gift-cards/code/:code] error:", e);
+    return sendError(res, e, "Error al consultar la gift card");
+  }
+});
+
+/**
+ * POST /api/gift-cards
+ * Emisión cobrada por fuera de la caja o de cortesía. Para venderla y cobrarla
+ * se usa el punto de venta.
+ * Body: { amount, expiresAt? | validityDays?, design?, purchaserCustomerId?, recipientName?,
+ *         recipientEmail?, message?, notes? }
+ */
+giftCards.post("/", requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { id, code } = await issueGiftCard(pool, {
+      tenantId: req.tenant.id,
+      amount: body.amount,
+      expiresAt: body.expiresAt || null,
+      validityDays: body.validityDays || null,
+      design: body.design || "classic",
+      purchaserCustomerId: body.purchaserCustomerId || null,
+      recipientName: body.recipientName,
+      recipientEmail: body.recipientEmail,
+      message: body.message,
+      source: "manual",
+      userId: req.user?.id || null,
+      notes: body.notes,
+    });
+    return res.status(201).json({ ok: true, data: { id, code } });
+  } catch (e) {
+    console.error("[POST /api/gift-cards] error:", e);
+    return sendError(res, e, "Error al emitir la gift card");
+  }
+});
+
+/**
+ * GET /api/gift-cards/:id — detalle con libro de movimientos
+ */
+giftCards.get("/:id(\\d+)", async (req, res) => {
+  try {
+    const data = await getGiftCard(req.tenant.id, { id: Number(req.params.id) });
+    if (!data) return res.status(404).json({ ok: false, error: "Gift card no encontrada" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/gift-cards/:id] error:", e);
+    return sendError(res, e, "Error al obtener la gift card");
+  }
+});
+
+/**
+ * GET /api/gift-cards/:id/pdf?inline=1
+ */
+giftCards.get("/:id(\\d+)/pdf", async (req, res) => {
+  try {
+    const { buffer, filename } = await getGiftCardPdf(req.tenant.id, Number(req.params.id));
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.inline === "1" ? "inline" : "attachment"}; filename="${filename}"`
+    );
+    return res.send(buffer);
+  } catch (e) {
+    console.error("[GET /api/gift-cards/:id/pdf] error:", e);
+    return sendError(res, e, "Error al generar el PDF");
+  }
+});
+
+/**
+ * POST /api/gift-cards/:id/send { channel: "email" | "whatsapp", to? }
+ * Sin "to" se usa el email del destinatario o el teléfono de quien la compró
+ */
+giftCards.post("/:id(\\d+)/send", requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { channel, to } = req.body || {};
+    if (!["email", "whatsapp"].includes(channel)) {
+      return res.status(400).json({ ok: false, error: "channel debe ser 'email' o 'whatsapp'" });
+    }
+
+    const { buffer, filename, card } = await getGiftCardPdf(tenantId, Number(req.params.id));
+    const [[tenant]] = await pool.query(`SELECT name FROM tenant WHERE id = ? LIMIT 1`, [tenantId]);
+    const businessName = tenant?.name || "ARJA ERP";
+    const greeting = card.recipientName ? `Hola ${card.recipientName},` : "Hola,";
+
+    if (channel === "email") {
+      const recipient = String(to || card.recipientEmail || "").trim();
+      if (!recipient || !recipient.includes("@")) {
+        return res.status(400).json({ ok: false, error: "No hay un email válido para el envío" });
+      }
+      await sendEmail({
+        to: recipient,
+        subject: `Tu gift card de ${businessName}`,
+        text: `${greeting}\n\nTe regalaron una gift card de ${businessName}. La encontrás adjunta con su código ${card.code}.${card.message ? `\n\n"${card.message}"` : ""}\n\n${businessName}`,
+        attachments: [{ filename, content: buffer, contentType: "application/pdf" }],
+        log: { tenantId, kind: "gift_card", customerId: card.purchaserCustomerId },
+      });
+      return res.json({ ok: true, data: { channel, to: recipient, filename } });
+    }
+
+    let phone = String(to || "").trim();
+    if (!phone && card.purchaserCustomerId) {
+      const [[customer]] = await pool.query(
+        `SELECT phone_e164 FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
+        [card.purchaserCustomerId, tenantId]
+      );
+      phone = customer?.phone_e164 || "";
+    }
+    if (!phone) {
+      return res.status(400).json({ ok: false, error: "No hay un teléfono para el envío" });
+    }
+    await sendWhatsAppDocument(
+      phone,
+      { buffer, filename, mimeType: "application/pdf", caption: `Gift card ${card.code} - ${businessName}` },
+      tenantId,
+      { log: { kind: "gift_card", customerId: card.purchaserCustomerId } }
+    );
+    return res.json({ ok: true, data: { channel, to: phone, filename } });
+  } catch (e) {
+    console.error("[POST /api/gift-cards/:id/send] error:", e);
+    return sendError(res, e, "No se pudo enviar la gift card");
+  }
+});
+
+/**
+ * POST /api/gift-cards/:id/cancel { reason? }
+ */
+giftCards.post("/:id(\\d+)/cancel", requireRole("admin"), async (req, res) => {
+  try {
+    await cancelGiftCard(req.tenant.id, Number(req.params.id), {
+      userId: req.user?.id || null,
+      reason: req.body?.reason,
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[POST /api/gift-cards/:id/cancel] error:", e);
+    return sendError(res, e, "Error al anular la gift card");
+  }
+});
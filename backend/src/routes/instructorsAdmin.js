@@ -2,6 +2,7 @@ import { Router } from "express";
 import { pool } from "../db.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { resolveBranchFilter, resolveBranchForWrite, isAdminUser } from "../helpers/branchAccess.js";
+import { recordAudit } from "../services/auditLog.js";
 
 const instructorsAdmin = Router();
 instructorsAdmin.use(requireAuth, requireRole("admin"));
@@ -522,7 +523,7 @@ instructorsAdmin.put("/services/:id", async (req, res) => {
     }
 
     const [[existing]] = await conn.query(
-      `SELECT id, branch_id FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      `SELECT id, branch_id, name, price_decimal, duration_min, is_active FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`,
       [serviceId, tenantId]
     );
 
@@ -618,7 +619,24 @@ instructorsAdmin.put("/services/:id", async (req, res) => {
       }
     }
 
+    const [[updated]] = await conn.query(
+      `SELECT id, branch_id, name, price_decimal, duration_min, is_active FROM service WHERE id = ? AND tenant_id = ?`,
+      [serviceId, tenantId]
+    );
+
     await conn.commit();
+    const priceChanged = Number(updated.price_decimal) !== Number(existing.price_decimal);
+    recordAudit(req, {
+      entity: "service",
+      entityId: serviceId,
+      action: "update",
+      summary: priceChanged
+        ? `Precio de "${updated.name}": ${existing.price_decimal} → ${updated.price_decimal}`
+        : `Servicio "${updated.name}" modificado`,
+      before: existing,
+      after: instructorIds !== undefined ? { ...updated, instructor_ids: normalizeIdArray(instructorIds) } : updated,
+      branchId: updated.branch_id,
+    });
     res.json({ ok: true });
   } catch (err) {
     await conn.rollback();
@@ -8,6 +8,7 @@ import {
   generarNotaCredito,
   verificarConexion,
   calcularIVA,
+  calcularIVAItems,
   determinarTipoComprobante,
   validarDatosFacturacion,
   COMPROBANTE_TIPOS,
@@ -15,6 +16,9 @@ import {
   CONCEPTOS,
   CONDICIONES_IVA,
 } from "../services/arca.js";
+import { getInvoicePdf, isCreditNote, formatComprobanteNumber } from "../services/invoicePdf.js";
+import { sendEmail } from "../services/email.js";
+import { sendWhatsAppDocument } from "../whatsapp.js";
 
 export const invoicing = Router();
 invoicing.use(requireAuth, requireRole("admin", "staff", "user"));
@@ -221,11 +225,23 @@ invoicing.post("/appointment/:id", async (req, res) => {
 // ============================================
 // CONSULTAR FACTURA
 // ============================================
+// GET /api/invoicing/invoice/:id?format=pdf (o Accept: application/pdf)
+// devuelve el comprobante imprimible con el QR de ARCA
 invoicing.get("/invoice/:id", async (req, res) => {
   try {
     const tenantId = req.tenant.id;
     const invoiceId = Number(req.params.id);
 
+    if (req.query.format === "pdf" || req.accepts(["json", "application/pdf"]) === "application/pdf") {
+      const { buffer, filename } = await getInvoicePdf(tenantId, invoiceId);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `${req.query.inline === "1" ? "inline" : "attachment"}; filename="${filename}"`
+      );
+      return res.send(buffer);
+    }
+
     const [[invoice]] = await pool.query(
       `SELECT 
         i.*, a.starts_at, c.name AS customer_name, c.documento, s.name AS service_name
@@ -242,7 +258,64 @@ invoicing.get("/invoice/:id", async (req, res) => {
 
     res.json({ ok: true, data: invoice });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    res.status(err.statusCode || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// ============================================
+// ENVIAR COMPROBANTE POR EMAIL O WHATSAPP
+// POST /api/invoicing/invoice/:id/send { channel: "email" | "whatsapp", to? }
+// Sin "to" se usa el email / teléfono del cliente
+// ============================================
+invoicing.post("/invoice/:id/send", async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const invoiceId = Number(req.params.id);
+    const { channel, to } = req.body || {};
+
+    if (!["email", "whatsapp"].includes(channel)) {
+      return res.status(400).json({ ok: false, error: "channel debe ser 'email' o 'whatsapp'" });
+    }
+
+    const { buffer, filename, invoice, customer } = await getInvoicePdf(tenantId, invoiceId);
+    if (!invoice.cae) {
+      return res.status(400).json({ ok: false, error: "El comprobante no tiene CAE; no se puede enviar" });
+    }
+
+    const [[tenant]] = await pool.query(`SELECT name FROM tenant WHERE id = ? LIMIT 1`, [tenantId]);
+    const businessName = tenant?.name || "ARJA ERP";
+    const label = `${isCreditNote(invoice.tipo_comprobante) ? "Nota de crédito" : "Factura"} ${formatComprobanteNumber(invoice.punto_venta, invoice.numero_comprobante)}`;
+    const greeting = customer?.name ? `Hola ${customer.name},` : "Hola,";
+
+    if (channel === "email") {
+      const recipient = String(to || customer?.email || "").trim();
+      if (!recipient || !recipient.includes("@")) {
+        return res.status(400).json({ ok: false, error: "No hay un email válido para el envío" });
+      }
+      await sendEmail({
+        to: recipient,
+        subject: `${label} - ${businessName}`,
+        text: `${greeting}\n\nTe enviamos adjunta tu ${label.toLowerCase()}.\n\nGracias,\n${businessName}`,
+        attachments: [{ filename, content: buffer, contentType: "application/pdf" }],
+        log: { tenantId, kind: "invoice", customerId: invoice.customer_id },
+      });
+      return res.json({ ok: true, data: { channel, to: recipient, filename } });
+    }
+
+    const phone = String(to || customer?.phone_e164 || customer?.phone || "").trim();
+    if (!phone) {
+      return res.status(400).json({ ok: false, error: "No hay un teléfono para el envío" });
+    }
+    await sendWhatsAppDocument(
+      phone,
+      { buffer, filename, mimeType: "application/pdf", caption: `${label} - ${businessName}` },
+      tenantId,
+      { log: { kind: "invoice", customerId: invoice.customer_id } }
+    );
+    res.json({ ok: true, data: { channel, to: phone, filename } });
+  } catch (err) {
+    console.error("[INVOICING/SEND] error:", err);
+    res.status(err.statusCode || 500).json({ ok: false, error: err.message || "No se pudo enviar el comprobante" });
   }
 });
 
@@ -1043,7 +1116,38 @@ invoicing.post("/credit-note/:invoiceId", async (req, res) => {
       return res.status(400).json({ ok:false, error:"Ya existe nota de crédito para esta factura" });
     }
 
-    // 3. Generar nota crédito en Arca
+    // 3. Generar nota crédito en Arca: una línea de devolución por alícuota de la factura original
+    let originalItems = [];
+    try {
+      originalItems = typeof original.items === "string" ? JSON.parse(original.items) : original.items || [];
+    } catch {
+      originalItems = [];
+    }
+    const alicuotasOriginales = Array.isArray(originalItems) && originalItems.length
+      ? calcularIVAItems(
+          originalItems.map((item) => ({
+            cantidad: Math.abs(Number(item.cantidad || 1)),
+            precio_unitario: Math.abs(Number(item.precio_unitario || 0)),
+            alicuota_iva: item.alicuota_iva ?? 21,
+          }))
+        ).alicuotas
+      : [];
+    const ncItems = alicuotasOriginales.length
+      ? alicuotasOriginales.map((a) => ({
+          descripcion: `Devolución - ${motivo || "Sin especificar"} (IVA ${a.alicuota}%)`,
+          cantidad: 1,
+          precio_unitario: a.base_imponible,
+          alicuota_iva: a.alicuota,
+        }))
+      : [
+          {
+            descripcion: `Devolución - ${motivo || "Sin especificar"}`,
+            cantidad: 1,
+            precio_unitario: original.importe_neto,
+            alicuota_iva: 21,
+          },
+        ];
+
     const ncParams = {
       tipo_comprobante_original: original.tipo_comprobante,
       punto_venta_original: original.punto_venta,
@@ -1053,14 +1157,7 @@ invoicing.post("/credit-note/:invoiceId", async (req, res) => {
       razon_social: original.razon_social,
       domicilio: original.domicilio,
       condicion_iva: original.condicion_iva,
-      items: [
-        {
-          descripcion: `Devolución - ${motivo || "Sin especificar"}`,
-          cantidad: 1,
-          precio_unitario: original.importe_neto,
-          alicuota_iva: 21,
-        },
-      ],
+      items: ncItems,
       importe_neto: original.importe_neto,
       importe_iva: original.importe_iva,
       importe_total: original.importe_total,
@@ -1089,10 +1186,10 @@ invoicing.post("/credit-note/:invoiceId", async (req, res) => {
         arcaResponse.cae,
         arcaResponse.vto_cae,
         arcaResponse.fecha_emision,
-        -Math.abs(original.importe_neto),
-        -Math.abs(original.importe_iva),
-        -Math.abs(original.importe_total),
-        JSON.stringify(ncParams.items || []),
+        -Math.abs(arcaResponse.importe_neto ?? original.importe_neto),
+        -Math.abs(arcaResponse.importe_iva ?? original.importe_iva),
+        -Math.abs(arcaResponse.importe_total ?? original.importe_total),
+        JSON.stringify(arcaResponse.items || ncParams.items || []),
         arcaResponse.pdf_url,
         arcaResponse.xml_url,
         'approved',
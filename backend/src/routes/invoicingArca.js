@@ -9,13 +9,14 @@ import {
   generarNotaCredito,
   obtenerProximoNumero,
   verificarConexion,
-  calcularIVA,
+  calcularIVAItems,
   determinarTipoComprobante,
   validarDatosFacturacion,
   COMPROBANTE_TIPOS,
   DOCUMENTO_TIPOS,
   CONDICIONES_IVA,
   CONCEPTOS,
+  ALICUOTAS_IVA,
   getArcaCredentials
 } from "../services/arca.js";
 
@@ -37,6 +38,24 @@ const normalizeInvoiceItem = (item = {}) => ({
   service_id: item.service_id || item.serviceId || null
 });
 
+// Totales por alícuota calculados desde los items. Los comprobantes C no discriminan IVA:
+// devuelve null y se respetan los importes recibidos.
+const computeItemsTotals = (tipoComprobante, items) => {
+  const tiposC = [
+    COMPROBANTE_TIPOS.FACTURA_C,
+    COMPROBANTE_TIPOS.NOTA_CREDITO_C,
+    COMPROBANTE_TIPOS.NOTA_DEBITO_C,
+  ];
+  if (tiposC.includes(Number(tipoComprobante)) || items.length === 0) return null;
+  const resumen = calcularIVAItems(items);
+  return {
+    items: resumen.items,
+    neto: resumen.importe_neto,
+    iva: resumen.importe_iva,
+    total: resumen.importe_total,
+  };
+};
+
 const normalizeNotes = (value, fallback = null) => {
   if (value === undefined) return fallback ?? null;
   if (value === null) return null;
@@ -74,6 +93,13 @@ const invertItemsForStorage = (items = []) =>
     ...item,
     cantidad: Math.abs(Number(item.cantidad || 1)),
     precio_unitario: -Math.abs(Number(item.precio_unitario || 0)),
+    ...(item.importe_total != null
+      ? {
+        importe_neto: -Math.abs(Number(item.importe_neto || 0)),
+        importe_iva: -Math.abs(Number(item.importe_iva || 0)),
+        importe_total: -Math.abs(Number(item.importe_total || 0)),
+      }
+      : {}),
   }));
 
 const parseAfipDate = (value) => {
@@ -289,18 +315,16 @@ router.post("/draft", requireAuth, identifyTenant, checkInvoicingPermission('wri
       };
     }
 
-    const normalizedItems = (items || []).map(normalizeInvoiceItem);
+    let normalizedItems = (items || []).map(normalizeInvoiceItem);
     const notesValue = normalizeNotes(observaciones);
 
     let neto = Number(importe_neto || 0);
     let iva = Number(importe_iva || 0);
     let total = Number(importe_total || 0);
 
-    if ((neto === 0 && normalizedItems.length > 0) || total === 0) {
-      neto = normalizedItems.reduce((sum, item) => sum + (item.precio_unitario * item.cantidad), 0);
-      const ivaCalc = calcularIVA(neto, normalizedItems[0]?.alicuota_iva || 21);
-      iva = iva || ivaCalc.iva;
-      total = total || ivaCalc.total;
+    const itemsTotals = computeItemsTotals(tipo_comprobante, normalizedItems);
+    if (itemsTotals) {
+      ({ items: normalizedItems, neto, iva, total } = itemsTotals);
     }
 
     const pv = Number(punto_venta ?? 0);
@@ -346,7 +370,7 @@ router.post("/draft", requireAuth, identifyTenant, checkInvoicingPermission('wri
     res.status(201).json({ ok: true, data: draftInvoice });
   } catch (error) {
     console.error("[POST /api/invoicing/draft] Error:", error);
-    res.status(500).json({ ok: false, error: error.message });
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
   }
 });
 
@@ -398,11 +422,9 @@ router.put("/draft/:id", requireAuth, identifyTenant, checkInvoicingPermission('
     let iva = Number(importe_iva ?? existingDraft.importe_iva ?? 0);
     let total = Number(importe_total ?? existingDraft.importe_total ?? 0);
 
-    if (neto === 0 || total === 0) {
-      neto = normalizedItems.reduce((sum, item) => sum + (item.precio_unitario * item.cantidad), 0);
-      const ivaCalc = calcularIVA(neto, normalizedItems[0]?.alicuota_iva || 21);
-      iva = iva || ivaCalc.iva;
-      total = total || ivaCalc.total;
+    const itemsTotals = computeItemsTotals(tipo_comprobante ?? existingDraft.tipo_comprobante, normalizedItems);
+    if (itemsTotals) {
+      ({ items: normalizedItems, neto, iva, total } = itemsTotals);
     }
 
     const pv = Number(punto_venta ?? existingDraft.punto_venta ?? 0);
@@ -438,7 +460,7 @@ router.put("/draft/:id", requireAuth, identifyTenant, checkInvoicingPermission('
     res.json({ ok: true, data: updatedDraft });
   } catch (error) {
     console.error("[PUT /api/invoicing/draft/:id] Error:", error);
-    res.status(500).json({ ok: false, error: error.message });
+    res.status(error.statusCode || 500).json({ ok: false, error: error.message });
   }
 });
 
@@ -490,6 +512,15 @@ router.post("/arca/generate", requireAuth, identifyTenant, checkInvoicingPermiss
   let iva = Number(importe_iva || 0);
   let total = Number(importe_total || 0);
 
+  try {
+    const itemsTotals = computeItemsTotals(tipo_comprobante, normalizedItems);
+    if (itemsTotals) {
+      ({ items: normalizedItems, neto, iva, total } = itemsTotals);
+    }
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ ok: false, error: error.message });
+  }
+
   const fallbackPuntoVenta = Number(puntoVentaBody ?? process.env.ARCA_PUNTO_VENTA ?? 1) || 1;
   let puntoVenta = fallbackPuntoVenta;
   let numeroComprobante = 0;
@@ -564,9 +595,7 @@ router.post("/arca/generate", requireAuth, identifyTenant, checkInvoicingPermiss
 
     if (neto === 0 || total === 0) {
       neto = normalizedItems.reduce((sum, item) => sum + (item.precio_unitario * item.cantidad), 0);
-      const ivaCalc = calcularIVA(neto, normalizedItems[0]?.alicuota_iva || 21);
-      iva = iva || ivaCalc.iva;
-      total = total || ivaCalc.total;
+      total = total || neto;
     }
 
     const facturaData = await generarFactura({
@@ -1157,7 +1186,7 @@ router.post(
           .substr(2, 9)}`;
 
       const ncNotes = normalizeNotes(motivo);
-      const itemsToStore = invertItemsForStorage(arcaItems);
+      const itemsToStore = invertItemsForStorage(notaCreditoData.items || arcaItems);
 
       const importeNetoBase =
         notaCreditoData.importe_neto ??
@@ -1259,7 +1288,8 @@ router.get("/constants", requireAuth, async (req, res) => {
       COMPROBANTE_TIPOS,
       DOCUMENTO_TIPOS,
       CONDICIONES_IVA,
-      CONCEPTOS
+      CONCEPTOS,
+      ALICUOTAS_IVA
     }
   });
 });
@@ -0,0 +1,121 @@
+// src/routes/loyalty.js — MULTI-TENANT
+// Programa de puntos: catálogo de premios, libro de puntos por cliente, ajustes y canjes
+// (la configuración del programa está en /api/config/loyalty)
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  listLoyaltyRewards,
+  createLoyaltyReward,
+  updateLoyaltyReward,
+  deactivateLoyaltyReward,
+  getCustomerLoyalty,
+  adjustLoyaltyPoints,
+  redeemLoyaltyReward,
+} from "../services/loyalty.js";
+
+export const loyalty = Router();
+loyalty.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/loyalty/rewards?all=1
+ */
+loyalty.get("/rewards", async (req, res) => {
+  try {
+    const data = await listLoyaltyRewards(req.tenant.id, { includeInactive: req.query.all === "1" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/loyalty/rewards] error:", e);
+    return sendError(res, e, "Error al obtener los premios");
+  }
+});
+
+/**
+ * POST /api/loyalty/rewards
+ * Body: { name, description?, rewardType: "service"|"discount", serviceId?, discountAmount?, pointsCost }
+ */
+loyalty.post("/rewards", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await createLoyaltyReward(req.tenant.id, req.body || {});
+    return res.status(201).json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/loyalty/rewards] error:", e);
+    return sendError(res, e, "Error al crear el premio");
+  }
+});
+
+loyalty.put("/rewards/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await updateLoyaltyReward(req.tenant.id, Number(req.params.id), req.body || {});
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/loyalty/rewards/:id] error:", e);
+    return sendError(res, e, "Error al actualizar el premio");
+  }
+});
+
+loyalty.delete("/rewards/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const removed = await deactivateLoyaltyReward(req.tenant.id, Number(req.params.id));
+    if (!removed) return res.status(404).json({ ok: false, error: "Premio no encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /api/loyalty/rewards/:id] error:", e);
+    return sendError(res, e, "Error al desactivar el premio");
+  }
+});
+
+/**
+ * GET /api/loyalty/customers/:customerId — saldo y movimientos
+ */
+loyalty.get("/customers/:customerId(\\d+)", async (req, res) => {
+  try {
+    const data = await getCustomerLoyalty(req.tenant.id, Number(req.params.customerId), {
+      limit: Math.min(200, Number(req.query.limit) || 50),
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/loyalty/customers/:customerId] error:", e);
+    return sendError(res, e, "Error al obtener los puntos del cliente");
+  }
+});
+
+/**
+ * POST /api/loyalty/customers/:customerId/adjust
+ * Body: { points (positivo o negativo), description }
+ */
+loyalty.post("/customers/:customerId(\\d+)/adjust", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await adjustLoyaltyPoints(req.tenant.id, Number(req.params.customerId), {
+      points: req.body?.points,
+      description: req.body?.description,
+      userId: req.user?.id || null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/loyalty/customers/:customerId/adjust] error:", e);
+    return sendError(res, e, "Error al ajustar los puntos");
+  }
+});
+
+/**
+ * POST /api/loyalty/customers/:customerId/redeem
+ * Body: { rewardId } — devuelve el código personal a usar al reservar
+ */
+loyalty.post("/customers/:customerId(\\d+)/redeem", async (req, res) => {
+  try {
+    const data = await redeemLoyaltyReward(req.tenant.id, {
+      customerId: Number(req.params.customerId),
+      rewardId: Number(req.body?.rewardId),
+      userId: req.user?.id || null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/loyalty/customers/:customerId/redeem] error:", e);
+    return sendError(res, e, "Error al canjear los puntos");
+  }
+});
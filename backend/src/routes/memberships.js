@@ -2,7 +2,9 @@ import express from "express";
 import { pool } from "../db.js";
 import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
-import { sendWhatsAppText } from "../whatsapp.js";
+import { PROMO_CHANNELS, ensurePromoSchema, quotePromoCode, applyPromoCode, voidPromoRedemption } from "../services/promoCodes.js";
+import { renewDueSubscriptions, sendRenewalReminders } from "../services/subscriptionRenewals.js";
+import { recordAudit } from "../services/auditLog.js";
 
 const router = express.Router();
 
@@ -452,7 +454,7 @@ router.post("/subscribe", async (req, res) => {
     
     const tenantId = req.tenant_id;
     const customerId = req.user?.type === 'customer' ? req.user.id : req.body.customer_id;
-    const { membership_plan_id } = req.body;
+    const { membership_plan_id, promo_code } = req.body;
     
     if (!tenantId) {
       console.error("[POST /api/memberships/subscribe] Error: Tenant no identificado");
@@ -483,6 +485,24 @@ router.post("/subscribe", async (req, res) => {
     
     const plan = planRows[0];
     
+    // Código promocional: descuenta sólo el primer pago, las renovaciones van a precio de lista
+    let promo = null;
+    if (promo_code) {
+      await ensurePromoSchema();
+      try {
+        promo = await quotePromoCode(pool, tenantId, {
+          code: promo_code,
+          customerId,
+          membershipPlanId: plan.id,
+        });
+      } catch (promoError) {
+        return res.status(promoError.statusCode || 400).json({ ok: false, error: promoError.message });
+      }
+      if (!(promo.finalAmount > 0)) {
+        return res.status(400).json({ ok: false, error: `El código ${promo.code} no puede cubrir el total del plan` });
+      }
+    }
+    
     // Expirar suscripciones pendientes antes de crear una nueva
     await expirePendingSubscriptions();
     
@@ -541,6 +561,7 @@ router.post("/subscribe", async (req, res) => {
            WHERE id = ?`,
           [existingSub.id]
         );
+        await voidPromoRedemption(pool, { tenantId, subscriptionId: existingSub.id });
         
         console.log(`[POST /api/memberships/subscribe] Suscripción pendiente anterior cancelada`);
       }
@@ -614,7 +635,7 @@ router.post("/subscribe", async (req, res) => {
           title: plan.name,
           description: plan.description || `Suscripción ${plan.name}`,
           quantity: 1,
-          unit_price: Number(plan.price_decimal),
+          unit_price: promo ? promo.finalAmount : Number(plan.price_decimal),
           currency_id: "ARS",
         }
       ],
@@ -627,7 +648,8 @@ router.post("/subscribe", async (req, res) => {
         tenant_id: tenantId,
         customer_id: customerId,
         membership_plan_id: membership_plan_id,
-        subscription_type: "membership"
+        subscription_type: "membership",
+        promo_code: promo?.code || null
       }
     };
     
@@ -705,6 +727,17 @@ router.post("/subscribe", async (req, res) => {
     
     console.log("[POST /api/memberships/subscribe] Suscripción guardada con ID:", insertResult.insertId);
     
+    if (promo) {
+      promo = await applyPromoCode(pool, {
+        tenantId,
+        code: promo_code,
+        customerId,
+        channel: PROMO_CHANNELS.includes(req.body.channel) ? req.body.channel : "app",
+        subscriptionId: insertResult.insertId,
+        membershipPlanId: plan.id,
+      });
+    }
+    
     // Obtener la suscripción creada
     const [newSubRows] = await pool.query(
       `SELECT cs.id, cs.customer_id, cs.membership_plan_id, cs.status,
@@ -749,6 +782,7 @@ router.post("/subscribe", async (req, res) => {
       plan_description: subscription.plan_description,
       plan_price: subscription.plan_price,
       duration_months: subscription.duration_months,
+      promo: promo ? { code: promo.code, discount: promo.discount, first_payment: promo.finalAmount } : null,
     };
     
     console.log("[POST /api/memberships/subscribe] Enviando respuesta:", {
@@ -1460,6 +1494,11 @@ router.put("/plans/:id", requireRole("admin"), async (req, res) => {
 
     values.push(id, tenantId);
 
+    const [[before]] = await pool.query(
+      `SELECT * FROM membership_plan WHERE id = ? AND tenant_id = ?`,
+      [id, tenantId]
+    );
+
     const [result] = await pool.query(
       `UPDATE membership_plan
           SET ${fields.join(", ")}
@@ -1471,6 +1510,19 @@ router.put("/plans/:id", requireRole("admin"), async (req, res) => {
       return res.status(404).json({ ok: false, error: "Plan no encontrado" });
     }
 
+    const [[after]] = await pool.query(
+      `SELECT * FROM membership_plan WHERE id = ? AND tenant_id = ?`,
+      [id, tenantId]
+    );
+    recordAudit(req, {
+      entity: "membership_plan",
+      entityId: id,
+      action: "update",
+      summary: `Plan "${after?.name || before?.name}" modificado`,
+      before,
+      after,
+    });
+
     res.json({ ok: true });
   } catch (error) {
     console.error("[PUT /api/memberships/plans/:id] error:", error);
@@ -1503,440 +1555,65 @@ router.delete("/plans/:id", requireRole("admin"), async (req, res) => {
     res.status(500).json({ ok: false, error: error.message });
   }
 });
+function checkCronToken(req, res) {
+  const cronToken = req.headers['x-cron-token'] || req.query.token;
+  const expectedToken = process.env.CRON_SECRET_TOKEN;
+  if (expectedToken && cronToken !== expectedToken) {
+    res.status(401).json({ ok: false, error: "Token de autorización inválido" });
+    return false;
+  }
+  return true;
+}
 
 // ═══════════════════════════════════════════════════════════
 // ENDPOINT PARA RENOVACIÓN AUTOMÁTICA DE SUSCRIPCIONES
 // ═══════════════════════════════════════════════════════════
-// Este endpoint puede ser llamado por un cron job externo
-// para renovar suscripciones automáticamente
+// La tarea programada subscription_renewals ya lo corre; el endpoint queda
+// para dispararlo a mano o desde un cron externo
 router.post("/renew-subscriptions", async (req, res) => {
   try {
-    // Verificar autenticación (opcional, puede requerir un token especial)
-    const cronToken = req.headers['x-cron-token'] || req.query.token;
-    const expectedToken = process.env.CRON_SECRET_TOKEN;
-    
-    if (expectedToken && cronToken !== expectedToken) {
-      return res.status(401).json({ 
-        ok: false, 
-        error: "Token de autorización inválido" 
-      });
-    }
-    
-    console.log("[POST /api/memberships/renew-subscriptions] Iniciando proceso de renovación");
-    
-    const API_URL = process.env.API_URL || process.env.RAILWAY_PUBLIC_DOMAIN || 'https://backend-production-1042.up.railway.app';
-    const FRONTEND_URL = process.env.FRONTEND_BASE_URL; // Solo usar si está configurado
-    
-    // Buscar suscripciones activas que necesitan renovación
-    const [subscriptions] = await pool.query(
-      `SELECT cs.*, mp.name as plan_name, mp.description as plan_description,
-              mp.price_decimal, mp.duration_months
-       FROM customer_subscription cs
-       INNER JOIN membership_plan mp ON cs.membership_plan_id = mp.id
-       WHERE cs.status = 'authorized'
-         AND cs.next_charge_at IS NOT NULL
-         AND cs.next_charge_at <= NOW()
-         AND cs.next_charge_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-       ORDER BY cs.next_charge_at ASC
-       LIMIT 100`
-    );
-
-    if (subscriptions.length === 0) {
-      return res.json({ 
-        ok: true, 
-        message: "No hay suscripciones que necesiten renovación",
-        renewed: 0,
-        errors: 0
-      });
-    }
-
-    console.log(`[POST /api/memberships/renew-subscriptions] Encontradas ${subscriptions.length} suscripción(es) para renovar`);
-
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-
-    for (const subscription of subscriptions) {
-      try {
-        console.log(`[POST /api/memberships/renew-subscriptions] Procesando suscripción ID: ${subscription.id}`);
-
-        // Obtener token de Mercado Pago del tenant
-        const { getTenantMpToken } = await import("../services/mercadoPago.js");
-        const mpToken = await getTenantMpToken(subscription.tenant_id);
-        
-        if (!mpToken) {
-          console.error(`[POST /api/memberships/renew-subscriptions] ❌ No se encontró token de MP para tenant ${subscription.tenant_id}`);
-          errorCount++;
-          errors.push({ subscription_id: subscription.id, error: "Token de MP no encontrado" });
-          continue;
-        }
-
-        // Crear nueva preferencia de pago para la renovación
-        const preferencePayload = {
-          items: [
-            {
-              title: subscription.plan_name,
-              description: subscription.plan_description || `Renovación ${subscription.plan_name}`,
-              quantity: 1,
-              unit_price: Number(subscription.price_decimal),
-              currency_id: "ARS",
-            }
-          ],
-          external_reference: `tenant:${subscription.tenant_id}:customer:${subscription.customer_id}:plan:${subscription.membership_plan_id}:subscription:renewal:${Date.now()}`,
-          back_urls: FRONTEND_URL ? {
-            success: `${FRONTEND_URL}/subscription/success?status=approved`,
-            failure: `${FRONTEND_URL}/subscription/failure`,
-            pending: `${FRONTEND_URL}/subscription/success?status=pending`
-          } : {
-            success: `arja-erp://payment-success?status=approved&subscription_id=${subscription.customer_id}`,
-            failure: `arja-erp://payment-failure`,
-            pending: `arja-erp://payment-success?status=pending&subscription_id=${subscription.customer_id}`
-          },
-          auto_return: "approved",
-          notification_url: `${API_URL}/api/mp-webhook`,
-          statement_descriptor: subscription.plan_name.substring(0, 22),
-          metadata: {
-            tenant_id: subscription.tenant_id,
-            customer_id: subscription.customer_id,
-            membership_plan_id: subscription.membership_plan_id,
-            subscription_id: subscription.id,
-            subscription_type: "membership_renewal"
-          }
-        };
-
-        const mpResponse = await fetch("https://api.mercadopago.com/checkout/preferences", {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${mpToken}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(preferencePayload),
-        });
-
-        const mpData = await mpResponse.json();
-
-        if (!mpResponse.ok) {
-          console.error(`[POST /api/memberships/renew-subscriptions] ❌ Error creando preferencia:`, mpData);
-          errorCount++;
-          errors.push({ subscription_id: subscription.id, error: mpData.message || "Error creando preferencia" });
-          continue;
-        }
-
-        // Actualizar la suscripción con el nuevo link de pago y marcar como pendiente de renovación
-        await pool.query(
-          `UPDATE customer_subscription
-           SET mp_init_point = ?,
-               mp_sandbox_init_point = ?,
-               status = 'pending',
-               updated_at = NOW()
-           WHERE id = ?`,
-          [
-            mpData.init_point,
-            mpData.sandbox_init_point || null,
-            subscription.id
-          ]
-        );
-
-        console.log(`[POST /api/memberships/renew-subscriptions] ✅ Suscripción ${subscription.id} actualizada con nuevo link de pago`);
-        successCount++;
-
-        // Enviar notificación al cliente
-        try {
-          const paymentLink = mpData.init_point || mpData.sandbox_init_point;
-          await sendRenewalNotification(subscription, paymentLink);
-        } catch (notifError) {
-          console.warn(`[POST /api/memberships/renew-subscriptions] ⚠️ Error enviando notificación:`, notifError.message);
-          // No fallar el proceso si la notificación falla
-        }
-
-      } catch (error) {
-        console.error(`[POST /api/memberships/renew-subscriptions] ❌ Error procesando suscripción ${subscription.id}:`, error.message);
-        errorCount++;
-        errors.push({ subscription_id: subscription.id, error: error.message });
-      }
-    }
+    if (!checkCronToken(req, res)) return;
 
+    const { found, renewed, errors, errorDetails } = await renewDueSubscriptions();
     return res.json({
       ok: true,
-      message: `Proceso completado: ${successCount} renovadas, ${errorCount} errores`,
-      renewed: successCount,
-      errors: errorCount,
-      error_details: errors.length > 0 ? errors : undefined
+      message: found
+        ? `Proceso completado: ${renewed} renovadas, ${errors} errores`
+        : "No hay suscripciones que necesiten renovación",
+      renewed,
+      errors,
+      error_details: errorDetails.length > 0 ? errorDetails : undefined
     });
-
   } catch (error) {
     console.error("[POST /api/memberships/renew-subscriptions] ❌ Error fatal:", error);
-    return res.status(500).json({ 
-      ok: false, 
-      error: error.message 
-    });
+    return res.status(500).json({ ok: false, error: error.message });
   }
 });
 
-// ═══════════════════════════════════════════════════════════
-// FUNCIÓN HELPER PARA ENVIAR NOTIFICACIONES DE RENOVACIÓN
-// ═══════════════════════════════════════════════════════════
-async function sendRenewalNotification(subscription, paymentLink) {
-  try {
-    // Obtener información del cliente
-    const [customerRows] = await pool.query(
-      `SELECT name, phone_e164, email FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
-      [subscription.customer_id, subscription.tenant_id]
-    );
-
-    if (customerRows.length === 0) {
-      console.warn(`[RENEWAL NOTIFICATION] No se encontró cliente ${subscription.customer_id}`);
-      return;
-    }
-
-    const customer = customerRows[0];
-    
-    // Obtener nombre del tenant
-    const [[tenant]] = await pool.query("SELECT name FROM tenant WHERE id = ? LIMIT 1", [subscription.tenant_id]);
-    const tenantName = tenant?.name || "ARJA ERP";
-    
-    const amountFormatted = Number(subscription.amount_decimal).toLocaleString("es-AR", {
-      style: "currency",
-      currency: subscription.currency || "ARS",
-    });
-
-    // Enviar WhatsApp si tiene teléfono
-    if (customer.phone_e164) {
-      const message = 
-        `🔄 *Renovación de Suscripción*\n\n` +
-        `Hola ${customer.name || 'Cliente'}!\n\n` +
-        `Tu suscripción *${subscription.plan_name || subscription.reason}* necesita renovarse.\n\n` +
-        `• Plan: ${subscription.plan_name || subscription.reason}\n` +
-        `• Monto: ${amountFormatted}\n` +
-        `• Duración: ${subscription.frequency || 1} ${subscription.frequency_type === 'months' ? 'mes(es)' : 'día(s)'}\n\n` +
-        `Para renovar, hacé clic en el siguiente link:\n${paymentLink}\n\n` +
-        `Si tenés alguna consulta, no dudes en contactarnos.`;
-
-      const sendResult = await sendWhatsAppText(customer.phone_e164, message, subscription.tenant_id);
-      
-      if (sendResult?.skipped) {
-        console.warn(`[RENEWAL NOTIFICATION] WhatsApp saltado (sin credenciales) para ${customer.phone_e164}`);
-      } else if (sendResult?.error) {
-        console.error(`[RENEWAL NOTIFICATION] Error enviando WhatsApp:`, sendResult.error);
-      } else {
-        console.log(`[RENEWAL NOTIFICATION] ✅ Notificación enviada por WhatsApp a ${customer.phone_e164}`);
-      }
-    } else {
-      console.warn(`[RENEWAL NOTIFICATION] Cliente ${subscription.customer_id} no tiene teléfono configurado`);
-    }
-
-    // TODO: Enviar email si está implementado
-    if (customer.email) {
-      console.log(`[RENEWAL NOTIFICATION] Email no implementado aún para ${customer.email}`);
-    }
-
-  } catch (error) {
-    console.error(`[RENEWAL NOTIFICATION] Error enviando notificación:`, error.message);
-    throw error;
-  }
-}
-
 // ═══════════════════════════════════════════════════════════
 // ENDPOINT PARA ENVIAR RECORDATORIOS DE RENOVACIÓN
 // ═══════════════════════════════════════════════════════════
-// Este endpoint envía recordatorios a clientes cuyas suscripciones
-// están próximas a vencer (dentro de X días)
+// Envía recordatorios a clientes cuyas suscripciones vencen dentro de X días
+// (una vez por ciclo; también lo corre la tarea programada renewal_reminders)
 router.post("/send-renewal-reminders", async (req, res) => {
   try {
-    // Verificar autenticación
-    const cronToken = req.headers['x-cron-token'] || req.query.token;
-    const expectedToken = process.env.CRON_SECRET_TOKEN;
-    
-    if (expectedToken && cronToken !== expectedToken) {
-      return res.status(401).json({ 
-        ok: false, 
-        error: "Token de autorización inválido" 
-      });
-    }
-    
-    const daysBefore = parseInt(req.query.days || req.body.days || 3, 10); // Por defecto 3 días antes
-    
-    console.log(`[POST /api/memberships/send-renewal-reminders] Enviando recordatorios (${daysBefore} días antes)`);
-    
-    // Buscar suscripciones que vencen en los próximos X días
-    const [subscriptions] = await pool.query(
-      `SELECT cs.*, mp.name as plan_name, mp.description as plan_description,
-              mp.price_decimal, mp.duration_months
-       FROM customer_subscription cs
-       INNER JOIN membership_plan mp ON cs.membership_plan_id = mp.id
-       WHERE cs.status = 'authorized'
-         AND cs.next_charge_at IS NOT NULL
-         AND cs.next_charge_at BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
-         AND (cs.last_payment_at IS NULL OR cs.last_payment_at < DATE_SUB(cs.next_charge_at, INTERVAL ? DAY))
-       ORDER BY cs.next_charge_at ASC
-       LIMIT 100`,
-      [daysBefore, daysBefore]
-    );
-
-    if (subscriptions.length === 0) {
-      return res.json({ 
-        ok: true, 
-        message: `No hay suscripciones que necesiten recordatorio (${daysBefore} días antes)`,
-        reminders_sent: 0,
-        errors: 0
-      });
-    }
-
-    console.log(`[POST /api/memberships/send-renewal-reminders] Encontradas ${subscriptions.length} suscripción(es) para recordatorio`);
-
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-
-    for (const subscription of subscriptions) {
-      try {
-        // Obtener información del cliente
-        const [customerRows] = await pool.query(
-          `SELECT name, phone_e164, email FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
-          [subscription.customer_id, subscription.tenant_id]
-        );
-
-        if (customerRows.length === 0 || !customerRows[0].phone_e164) {
-          console.warn(`[POST /api/memberships/send-renewal-reminders] Cliente ${subscription.customer_id} sin teléfono`);
-          continue;
-        }
-
-        const customer = customerRows[0];
-        
-        // Obtener nombre del tenant
-        const [[tenant]] = await pool.query("SELECT name FROM tenant WHERE id = ? LIMIT 1", [subscription.tenant_id]);
-        const tenantName = tenant?.name || "ARJA ERP";
-        
-        const amountFormatted = Number(subscription.price_decimal).toLocaleString("es-AR", {
-          style: "currency",
-          currency: subscription.currency || "ARS",
-        });
-
-        // Calcular días restantes
-        const daysRemaining = Math.ceil((new Date(subscription.next_charge_at) - new Date()) / (1000 * 60 * 60 * 24));
-        const renewalDate = new Date(subscription.next_charge_at).toLocaleDateString("es-AR", {
-          day: "numeric",
-          month: "long",
-          year: "numeric"
-        });
-
-        // Obtener link de pago si existe, o crear uno nuevo
-        let paymentLink = subscription.mp_init_point || subscription.mp_sandbox_init_point;
-        
-        if (!paymentLink) {
-          // Si no hay link, crear uno nuevo
-          const { getTenantMpToken } = await import("../services/mercadoPago.js");
-          const mpToken = await getTenantMpToken(subscription.tenant_id);
-          
-          if (mpToken) {
-            const FRONTEND_URL = process.env.FRONTEND_BASE_URL;
-            const API_URL = process.env.API_URL || process.env.RAILWAY_PUBLIC_DOMAIN || 'https://backend-production-1042.up.railway.app';
-            
-            const preferencePayload = {
-              items: [{
-                title: subscription.plan_name,
-                description: subscription.plan_description || `Renovación ${subscription.plan_name}`,
-                quantity: 1,
-                unit_price: Number(subscription.price_decimal),
-                currency_id: "ARS",
-              }],
-              external_reference: `tenant:${subscription.tenant_id}:customer:${subscription.customer_id}:plan:${subscription.membership_plan_id}:subscription:renewal:${Date.now()}`,
-              back_urls: FRONTEND_URL ? {
-                success: `${FRONTEND_URL}/memberships/success`,
-                failure: `${FRONTEND_URL}/memberships/failure`,
-                pending: `${FRONTEND_URL}/memberships/pending`
-              } : {
-                success: `arja-erp://payment-success?status=approved&subscription_id=${subscription.customer_id}`,
-                failure: `arja-erp://payment-failure`,
-                pending: `arja-erp://payment-success?status=pending&subscription_id=${subscription.customer_id}`
-              },
-              auto_return: "approved",
-              notification_url: `${API_URL}/api/mp-webhook`,
-              statement_descriptor: subscription.plan_name.substring(0, 22),
-              metadata: {
-                tenant_id: subscription.tenant_id,
-                customer_id: subscription.customer_id,
-                membership_plan_id: subscription.membership_plan_id,
-                subscription_id: subscription.id,
-                subscription_type: "membership_renewal"
-              }
-            };
-
-            const mpResponse = await fetch("https://api.mercadopago.com/checkout/preferences", {
-              method: "POST",
-              headers: {
-                Authorization: `Bearer ${mpToken}`,
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify(preferencePayload),
-            });
-
-            const mpData = await mpResponse.json();
-            if (mpResponse.ok) {
-              paymentLink = mpData.init_point || mpData.sandbox_init_point;
-              
-              // Actualizar la suscripción con el nuevo link
-              await pool.query(
-                `UPDATE customer_subscription
-                 SET mp_init_point = ?,
-                     mp_sandbox_init_point = ?,
-                     updated_at = NOW()
-                 WHERE id = ?`,
-                [mpData.init_point, mpData.sandbox_init_point || null, subscription.id]
-              );
-            }
-          }
-        }
-
-        const message = 
-          `⏰ *Recordatorio de Renovación*\n\n` +
-          `Hola ${customer.name || 'Cliente'}!\n\n` +
-          `Te recordamos que tu suscripción *${subscription.plan_name}* vence en ${daysRemaining} día(s).\n\n` +
-          `• Plan: ${subscription.plan_name}\n` +
-          `• Monto: ${amountFormatted}\n` +
-          `• Fecha de renovación: ${renewalDate}\n\n` +
-          (paymentLink ? `Para renovar ahora, hacé clic aquí:\n${paymentLink}\n\n` : '') +
-          `Si tenés alguna consulta, no dudes en contactarnos.`;
-
-        const sendResult = await sendWhatsAppText(customer.phone_e164, message, subscription.tenant_id);
-        
-        if (sendResult?.skipped) {
-          console.warn(`[POST /api/memberships/send-renewal-reminders] WhatsApp saltado para ${customer.phone_e164}`);
-        } else if (sendResult?.error) {
-          console.error(`[POST /api/memberships/send-renewal-reminders] Error enviando WhatsApp:`, sendResult.error);
-          errorCount++;
-          errors.push({ subscription_id: subscription.id, error: sendResult.error });
-        } else {
-          // El recordatorio se marca implícitamente al verificar last_payment_at
-          // No necesitamos una columna separada ya que verificamos que no se haya pagado recientemente
-          
-          console.log(`[POST /api/memberships/send-renewal-reminders] ✅ Recordatorio enviado a ${customer.phone_e164}`);
-          successCount++;
-        }
-
-      } catch (error) {
-        console.error(`[POST /api/memberships/send-renewal-reminders] ❌ Error procesando suscripción ${subscription.id}:`, error.message);
-        errorCount++;
-        errors.push({ subscription_id: subscription.id, error: error.message });
-      }
-    }
+    if (!checkCronToken(req, res)) return;
 
+    const daysBefore = parseInt(req.query.days || req.body?.days || 3, 10); // Por defecto 3 días antes
+    const { found, sent, errors, errorDetails } = await sendRenewalReminders({ daysBefore });
     return res.json({
       ok: true,
-      message: `Proceso completado: ${successCount} recordatorios enviados, ${errorCount} errores`,
-      reminders_sent: successCount,
-      errors: errorCount,
-      error_details: errors.length > 0 ? errors : undefined
+      message: found
+        ? `Proceso completado: ${sent} recordatorios enviados, ${errors} errores`
+        : `No hay suscripciones que necesiten recordatorio (${daysBefore} días antes)`,
+      reminders_sent: sent,
+      errors,
+      error_details: errorDetails.length > 0 ? errorDetails : undefined
     });
-
   } catch (error) {
     console.error("[POST /api/memberships/send-renewal-reminders] ❌ Error fatal:", error);
-    return res.status(500).json({ 
-      ok: false, 
-      error: error.message 
-    });
+    return res.status(500).json({ ok: false, error: error.message });
   }
 });
 
 export default router;
-
@@ -0,0 +1,39 @@
+// src/routes/messageLog.js — MULTI-TENANT
+// Historial de mensajes enviados (WhatsApp, email y push) con su estado de entrega
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { listMessageLog } from "../services/messageLog.js";
+
+export const messageLog = Router();
+messageLog.use(requireAuth, requireRole("admin", "staff"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/message-log?customerId=&campaignId=&appointmentId=&channel=&status=&kind=&q=&from=&to=&limit=&offset=
+ * Devuelve { items, total, summary } (summary: cantidad por estado con los mismos filtros)
+ */
+messageLog.get("/", async (req, res) => {
+  try {
+    const data = await listMessageLog(req.tenant.id, {
+      customerId: req.query.customerId || null,
+      campaignId: req.query.campaignId || null,
+      appointmentId: req.query.appointmentId || null,
+      channel: req.query.channel || null,
+      status: req.query.status || null,
+      kind: req.query.kind || null,
+      q: req.query.q || "",
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/message-log] error:", e);
+    return sendError(res, e, "Error al obtener el historial de mensajes");
+  }
+});
@@ -6,6 +6,7 @@ import { getTenantMpToken } from "../services/mercadoPago.js";
 import { sendWhatsAppText } from "../whatsapp.js";
 import { getTenantWhatsAppHub } from "../services/whatsappHub.js";
 import { getSection } from "../services/config.js";
+import { parsePackageReference, activateCustomerPackage } from "../services/packages.js";
 
 // Helper para obtener nombre del tenant
 async function getTenantName(tenantId) {
@@ -921,6 +922,49 @@ async function processPaymentNotification(paymentId) {
         }
       }
       
+      // Compra de bonos: external_reference "tenantId:package:customerPackageId"
+      const packageRef = parsePackageReference(externalRef);
+      if (packageRef) {
+        if (paymentInfo.status !== "approved") {
+          console.log(`ℹ️ [MP Webhook] Pago ${paymentId} del bono ${packageRef.customerPackageId}: ${paymentInfo.status}`);
+          return;
+        }
+        const activated = await activateCustomerPackage(pool, {
+          tenantId: packageRef.tenantId,
+          customerPackageId: packageRef.customerPackageId,
+          mpPaymentId: paymentId,
+        });
+        if (!activated) {
+          console.log(`⚠️ [MP Webhook] Bono ${packageRef.customerPackageId} ya procesado. Saltando.`);
+          return;
+        }
+        console.log(`✅ [MP Webhook] Bono ${packageRef.customerPackageId} activado por pago ${paymentId}`);
+        try {
+          const [[cp]] = await pool.query(
+            `SELECT cp.name, cp.expires_at, c.name AS customer_name, c.phone_e164
+               FROM customer_package cp
+               JOIN customer c ON c.id = cp.customer_id AND c.tenant_id = cp.tenant_id
+              WHERE cp.id = ? AND cp.tenant_id = ?`,
+            [packageRef.customerPackageId, packageRef.tenantId]
+          );
+          if (cp?.phone_e164) {
+            const vence = cp.expires_at
+              ? `\nVálido hasta el ${String(cp.expires_at).slice(0, 10).split("-").reverse().join("/")}.`
+              : "";
+            await sendWhatsAppText(
+              cp.phone_e164,
+              `✅ ¡Listo ${cp.customer_name || ""}! Recibimos el pago de tu bono *${cp.name}*.${vence}\n\nSe descuenta automáticamente en cada turno.`,
+              packageRef.tenantId,
+              null,
+              { log: { kind: "payment" } }
+            );
+          }
+        } catch (waErr) {
+          console.error("⚠️ [MP Webhook] Error notificando compra de bono:", waErr.message);
+        }
+        return;
+      }
+
       // Si no es una suscripción de cliente, continuar con el flujo normal de pagos de turnos
       // Extraer tenant y appointment del external_reference (formato tenantId:appointmentId)
       const [refTenantId, refAppointmentId] = String(
@@ -1315,7 +1359,9 @@ async function processPaymentNotification(paymentId) {
             `¡Te esperamos en *${tenantName}*! 💈\n\n` +
             `Si necesitás cambiar o cancelar, avisanos con anticipación.`;
 
-          const sendResult = await sendWhatsAppText(appt.phone_e164, msg, tenantId);
+          const sendResult = await sendWhatsAppText(appt.phone_e164, msg, tenantId, null, {
+            log: { kind: "payment", appointmentId },
+          });
           
           if (sendResult?.skipped) {
             console.warn(`⚠️ [MP Webhook] WhatsApp saltado (sin credenciales) para ${appt.phone_e164}`);
@@ -0,0 +1,177 @@
+// src/routes/packages.js — MULTI-TENANT
+// Paquetes de servicios prepagos (bonos) y saldo de bonos por cliente
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { pool } from "../db.js";
+import { sendWhatsAppText } from "../whatsapp.js";
+import {
+  ensurePackageSchema,
+  listPackages,
+  createPackage,
+  updatePackage,
+  deactivatePackage,
+  issueCustomerPackage,
+  listCustomerPackages,
+  transferCustomerPackage,
+  createPackagePaymentLink,
+} from "../services/packages.js";
+
+export const packages = Router();
+packages.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/packages?includeInactive=1
+ */
+packages.get("/", async (req, res) => {
+  try {
+    const data = await listPackages(req.tenant.id, {
+      includeInactive: String(req.query.includeInactive || "") === "1",
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/packages] error:", e);
+    return sendError(res, e, "Error al obtener los paquetes");
+  }
+});
+
+/**
+ * POST /api/packages
+ * Body: { name, description?, priceDecimal, validityDays?, isTransferable?, items: [{ serviceId, uses }] }
+ */
+packages.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await createPackage(req.tenant.id, req.body || {});
+    return res.status(201).json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/packages] error:", e);
+    return sendError(res, e, "Error al crear el paquete");
+  }
+});
+
+/**
+ * PUT /api/packages/:id
+ */
+packages.put("/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await updatePackage(req.tenant.id, Number(req.params.id), req.body || {});
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/packages/:id] error:", e);
+    return sendError(res, e, "Error al actualizar el paquete");
+  }
+});
+
+/**
+ * DELETE /api/packages/:id — deja de venderse; los bonos vendidos siguen vigentes
+ */
+packages.delete("/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const ok = await deactivatePackage(req.tenant.id, Number(req.params.id));
+    if (!ok) return res.status(404).json({ ok: false, error: "Paquete no encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /api/packages/:id] error:", e);
+    return sendError(res, e, "Error al desactivar el paquete");
+  }
+});
+
+/**
+ * GET /api/packages/customers/:customerId?active=1
+ * Bonos del cliente con saldo por servicio
+ */
+packages.get("/customers/:customerId(\\d+)", async (req, res) => {
+  try {
+    const data = await listCustomerPackages(req.tenant.id, Number(req.params.customerId), {
+      includeClosed: String(req.query.active || "") !== "1",
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/packages/customers/:customerId] error:", e);
+    return sendError(res, e, "Error al obtener los bonos del cliente");
+  }
+});
+
+/**
+ * POST /api/packages/customers/:customerId
+ * Alta de un bono cobrado por fuera de la caja (transferencia, cortesía)
+ * Body: { packageId, priceDecimal?, notes? }
+ */
+packages.post("/customers/:customerId(\\d+)", requireRole("admin", "staff"), async (req, res) => {
+  try {
+    await ensurePackageSchema();
+    const { packageId, priceDecimal, notes } = req.body || {};
+    const id = await issueCustomerPackage(pool, {
+      tenantId: req.tenant.id,
+      packageId: Number(packageId),
+      customerId: Number(req.params.customerId),
+      source: "manual",
+      priceDecimal: priceDecimal !== undefined && priceDecimal !== "" ? Number(priceDecimal) : null,
+      notes,
+    });
+    return res.status(201).json({ ok: true, data: { id } });
+  } catch (e) {
+    console.error("[POST /api/packages/customers/:customerId] error:", e);
+    return sendError(res, e, "Error al asignar el bono");
+  }
+});
+
+/**
+ * POST /api/packages/customers/:customerId/payment-link
+ * Link de Mercado Pago para que el cliente compre el bono; se activa al acreditarse.
+ * Body: { packageId, sendWhatsApp? }
+ */
+packages.post("/customers/:customerId(\\d+)/payment-link", requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const customerId = Number(req.params.customerId);
+    const { packageId, sendWhatsApp } = req.body || {};
+    const result = await createPackagePaymentLink(tenantId, { packageId: Number(packageId), customerId });
+
+    let whatsappSent = false;
+    if (sendWhatsApp) {
+      const [[customer]] = await pool.query(
+        `SELECT name, phone_e164 FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
+        [customerId, tenantId]
+      );
+      if (customer?.phone_e164) {
+        try {
+          await sendWhatsAppText(
+            customer.phone_e164,
+            `🎟️ *${result.package.name}*\n\nHola ${customer.name || ""}! Te dejamos el link para comprar tu bono:\n\n${result.link}\n\nApenas se acredite el pago vas a poder usarlo en tus turnos.`,
+            tenantId
+          );
+          whatsappSent = true;
+        } catch (waErr) {
+          console.error("[POST /api/packages/.../payment-link] error enviando WhatsApp:", waErr.message);
+        }
+      }
+    }
+
+    return res.status(201).json({
+      ok: true,
+      data: { customerPackageId: result.customerPackageId, link: result.link, whatsappSent },
+    });
+  } catch (e) {
+    console.error("[POST /api/packages/customers/:customerId/payment-link] error:", e);
+    return sendError(res, e, e.message || "Error al crear el link de pago");
+  }
+});
+
+/**
+ * POST /api/packages/customer-packages/:id/transfer
+ * Body: { toCustomerId }
+ */
+packages.post("/customer-packages/:id(\\d+)/transfer", requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const data = await transferCustomerPackage(req.tenant.id, Number(req.params.id), req.body?.toCustomerId);
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/packages/customer-packages/:id/transfer] error:", e);
+    return sendError(res, e, "Error al transferir el bono");
+  }
+});
@@ -6,6 +6,7 @@ import { requireAuth, requireRole } from "../auth/middlewares.js";
 import { getTenantMpToken } from "../services/mercadoPago.js";
 import { createGenericPaymentLink } from "../payments.js";
 import { sendWhatsAppText } from "../whatsapp.js";
+import { ensureGiftCardSchema, redeemGiftCard } from "../services/giftCards.js";
 
 export const payments = Router();
 
@@ -268,14 +269,16 @@ payments.post("/preference", requireAuth, async (req, res) => {
 
 /**
  * 💰 POST /api/payments/manual
- * Registrar pago manual (efectivo, transferencia)
+ * Registrar pago manual (efectivo, transferencia, gift card)
+ * Con method 'gift_card' se canjea el monto de la gift card `giftCardCode`
  */
 payments.post("/manual", requireAuth, requireRole("admin", "user"), async (req, res) => {
   try {
     const {
       appointmentId,
-      method, // 'cash' | 'transfer' | 'card' | 'other'
+      method, // 'cash' | 'transfer' | 'card' | 'gift_card' | 'other'
       amount_cents,
+      giftCardCode = null,
       notes = null
     } = req.body;
 
@@ -286,9 +289,17 @@ payments.post("/manual", requireAuth, requireRole("admin", "user"), async (req,
       });
     }
 
+    if (method === "gift_card" && !giftCardCode) {
+      return res.status(400).json({
+        ok: false,
+        error: "giftCardCode es requerido para pagar con gift card"
+      });
+    }
+
     const tenantId = req.tenant?.id;
     const recordedBy = req.user?.id;
 
+    if (method === "gift_card") await ensureGiftCardSchema();
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
@@ -315,6 +326,18 @@ payments.post("/manual", requireAuth, requireRole("admin", "user"), async (req,
         VALUES (?, ?, ?, ?, 'ARS', ?, ?, 'approved', NOW())
       `, [tenantId, appointmentId, method, Number(amount_cents), recordedBy, notes]);
 
+      if (method === "gift_card") {
+        await redeemGiftCard(conn, {
+          tenantId,
+          code: giftCardCode,
+          amount: Number(amount_cents) / 100,
+          referenceType: "payment",
+          referenceId: result.insertId,
+          description: `Pago turno #${appointmentId}`,
+          userId: recordedBy,
+        });
+      }
+
       // Actualizar turno
       await conn.query(`
         UPDATE appointment
@@ -347,7 +370,7 @@ payments.post("/manual", requireAuth, requireRole("admin", "user"), async (req,
 
   } catch (error) {
     console.error('❌ [Payments] Error en pago manual:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       ok: false, 
       error: error.message 
     });
@@ -666,7 +689,9 @@ payments.post("/send-whatsapp", requireAuth, requireRole("admin", "staff"), asyn
 
     try {
       // Enviar por WhatsApp
-      const result = await sendWhatsAppText(phoneNumber, finalMessage, tenantId);
+      const result = await sendWhatsAppText(phoneNumber, finalMessage, tenantId, null, {
+        log: { kind: "payment", customerId: Number(customerId) },
+      });
       console.log(`[Payments] ✅ Mensaje enviado por WhatsApp exitosamente:`, result);
 
       res.json({
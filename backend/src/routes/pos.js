@@ -0,0 +1,253 @@
+// src/routes/pos.js — Punto de venta (mostrador)
+import { Router } from "express";
+import { pool } from "../db.js";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { identifyTenant } from "../auth/tenant.js";
+import { resolveBranchForWrite, resolveBranchFilter } from "../helpers/branchAccess.js";
+import {
+  ensurePosSchema,
+  createPosSale,
+  getPosSale,
+  listPosSales,
+  invoicePosSale,
+} from "../services/pos.js";
+import { ensurePackageSchema, listPackages } from "../services/packages.js";
+import { ensureGiftCardSchema } from "../services/giftCards.js";
+import { ensurePromoSchema } from "../services/promoCodes.js";
+import { ensureLoyaltySchema } from "../services/loyalty.js";
+import { toDateOnly } from "../services/stockLots.js";
+
+export const pos = Router();
+pos.use(requireAuth, identifyTenant, requireRole("admin", "staff"));
+
+function handlePosError(res, error, fallbackMessage) {
+  const status = error.statusCode || error.status;
+  if (status) {
+    return res.status(status).json({ ok: false, error: error.message });
+  }
+  return res.status(500).json({ ok: false, error: fallbackMessage });
+}
+
+// ============================================
+// GET /api/pos/catalog?branchId&search
+// Productos con stock en la sucursal, servicios, planes de membresía y bonos
+// ============================================
+pos.get("/catalog", async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const { branchId } = resolveBranchFilter(req, { allowAll: false });
+    const search = String(req.query.search || "").trim();
+    const like = `%${search}%`;
+
+    const [products] = await pool.query(
+      `SELECT p.id, p.name, p.code, p.barcode, p.price, COALESCE(ps.quantity, 0) AS stock
+         FROM product p
+         LEFT JOIN product_stock ps
+           ON ps.product_id = p.id AND ps.tenant_id = p.tenant_id AND ps.branch_id = ?
+        WHERE p.tenant_id = ? AND p.is_active = 1
+          ${search ? "AND (p.name LIKE ? OR p.code LIKE ? OR p.barcode LIKE ?)" : ""}
+        ORDER BY p.name ASC
+        LIMIT 50`,
+      search ? [branchId, tenantId, like, like, like] : [branchId, tenantId]
+    );
+
+    const [services] = await pool.query(
+      `SELECT id, name, price_decimal
+         FROM service
+        WHERE tenant_id = ? AND is_active = 1
+          ${search ? "AND name LIKE ?" : ""}
+        ORDER BY name ASC
+        LIMIT 50`,
+      search ? [tenantId, like] : [tenantId]
+    );
+
+    const [plans] = await pool.query(
+      `SELECT id, name, price_decimal, duration_months
+         FROM membership_plan
+        WHERE tenant_id = ? AND is_active = 1
+          ${search ? "AND name LIKE ?" : ""}
+        ORDER BY name ASC`,
+      search ? [tenantId, like] : [tenantId]
+    );
+
+    const needle = search.toLowerCase();
+    const packages = (await listPackages(tenantId)).filter(
+      (pkg) => !needle || pkg.name.toLowerCase().includes(needle)
+    );
+
+    res.json({ ok: true, data: { products, services, plans, packages } });
+  } catch (err) {
+    console.error("[POS/CATALOG] error:", err);
+    handlePosError(res, err, "No se pudo cargar el catálogo");
+  }
+});
+
+// ============================================
+// GET /api/pos/appointments?date&branchId
+// Turnos del día pendientes de cobro, con saldo descontando la seña, el código
+// promocional y los usos de bono que tiene el cliente para ese servicio
+// ============================================
+pos.get("/appointments", async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const date = String(req.query.date || "").slice(0, 10) || toDateOnly(new Date());
+    const filter = resolveBranchFilter(req, { allowAll: true });
+    await ensurePackageSchema();
+    await ensurePromoSchema();
+    const params = [tenantId, date];
+    let branchSql = "";
+    if (filter.mode === "single") {
+      branchSql = " AND a.branch_id = ?";
+      params.push(filter.branchId);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT a.id, a.starts_at, a.status, a.customer_id, a.branch_id,
+              c.name AS customer_name, s.name AS service_name,
+              s.price_decimal,
+              COALESCE(a.discount_decimal, 0) AS discount_decimal,
+              CASE WHEN a.deposit_paid_at IS NOT NULL THEN COALESCE(a.deposit_decimal, 0) ELSE 0 END AS deposit_paid,
+              GREATEST(s.price_decimal - COALESCE(a.discount_decimal, 0)
+                - CASE WHEN a.deposit_paid_at IS NOT NULL THEN COALESCE(a.deposit_decimal, 0) ELSE 0 END, 0) AS balance,
+              (SELECT COALESCE(SUM(cpi.uses_left), 0)
+                 FROM customer_package cp
+                 JOIN customer_package_item cpi ON cpi.customer_package_id = cp.id AND cpi.tenant_id = cp.tenant_id
+                WHERE cp.tenant_id = a.tenant_id AND cp.customer_id = a.customer_id AND cp.status = 'active'
+                  AND cpi.service_id = a.service_id AND cpi.uses_left > 0
+                  AND (cp.expires_at IS NULL OR cp.expires_at >= DATE(a.starts_at))) AS package_uses_left
+         FROM appointment a
+         JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+         LEFT JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+        WHERE a.tenant_id = ?
+          AND DATE(a.starts_at) = ?
+          AND a.status IN ('scheduled','confirmed','deposit_paid','pending_deposit')${branchSql}
+        ORDER BY a.starts_at ASC`,
+      params
+    );
+
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error("[POS/APPOINTMENTS] error:", err);
+    handlePosError(res, err, "No se pudieron cargar los turnos");
+  }
+});
+
+// ============================================
+// GET /api/pos/sales?from&to&branchId
+// ============================================
+pos.get("/sales", async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    const filter = resolveBranchFilter(req, { allowAll: true });
+    const rows = await listPosSales({
+      tenantId: req.tenant_id,
+      branchId: filter.mode === "single" ? filter.branchId : null,
+      from: from || null,
+      to: to || null,
+      limit,
+    });
+    res.json({ ok: true, data: rows });
+  } catch (err) {
+    console.error("[POS/SALES] error:", err);
+    handlePosError(res, err, "No se pudieron cargar las ventas");
+  }
+});
+
+// ============================================
+// GET /api/pos/sales/:id
+// ============================================
+pos.get("/sales/:id", async (req, res) => {
+  try {
+    const sale = await getPosSale(pool, req.tenant_id, Number(req.params.id));
+    if (!sale) {
+      return res.status(404).json({ ok: false, error: "Venta no encontrada" });
+    }
+    res.json({ ok: true, data: sale });
+  } catch (err) {
+    console.error("[POS/SALE] error:", err);
+    handlePosError(res, err, "No se pudo cargar la venta");
+  }
+});
+
+// ============================================
+// POST /api/pos/sales
+// { branch_id, customer_id?, lines: [{ item_type, product_id | appointment_id | service_id | membership_plan_id | package_id,
+//   quantity?, unit_price?, discount? }], payments: [{ method, amount, reference? }], notes?,
+//   (las gift cards se venden con item_type "gift_card" y unit_price; se canjean con method "gift_card" y el código en reference)
+//   invoice?: { tipo_comprobante } }
+// ============================================
+pos.post("/sales", async (req, res) => {
+  const tenantId = req.tenant_id;
+  const { branch_id, customer_id, lines, payments, notes, invoice } = req.body || {};
+
+  let saleId;
+  const conn = await pool.getConnection();
+  try {
+    await ensurePosSchema();
+    await ensurePackageSchema();
+    await ensureGiftCardSchema();
+    await ensurePromoSchema();
+    await ensureLoyaltySchema();
+    const branch = await resolveBranchForWrite(req, { branchId: branch_id, conn });
+
+    await conn.beginTransaction();
+    saleId = await createPosSale(conn, {
+      tenantId,
+      branchId: branch.id,
+      customerId: customer_id || null,
+      userId: req.user?.id || null,
+      lines,
+      payments,
+      notes,
+    });
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("[POS/CREATE] error:", err);
+    return handlePosError(res, err, "No se pudo registrar la venta");
+  } finally {
+    conn.release();
+  }
+
+  // Factura en un click: si ARCA falla la venta queda registrada y se puede reintentar
+  let invoiceResult = null;
+  let invoiceError = null;
+  if (invoice) {
+    try {
+      invoiceResult = await invoicePosSale({
+        tenantId,
+        saleId,
+        tipoComprobante: invoice.tipo_comprobante || undefined,
+      });
+    } catch (err) {
+      console.error("[POS/CREATE] error facturando:", err);
+      invoiceError = err.message;
+    }
+  }
+
+  try {
+    const sale = await getPosSale(pool, tenantId, saleId);
+    res.status(201).json({ ok: true, data: sale, invoice: invoiceResult, invoice_error: invoiceError });
+  } catch (err) {
+    console.error("[POS/CREATE] error leyendo venta:", err);
+    res.status(201).json({ ok: true, data: { id: saleId }, invoice: invoiceResult, invoice_error: invoiceError });
+  }
+});
+
+// ============================================
+// POST /api/pos/sales/:id/invoice
+// Emitir (o reintentar) la factura ARCA de una venta
+// ============================================
+pos.post("/sales/:id/invoice", async (req, res) => {
+  try {
+    const result = await invoicePosSale({
+      tenantId: req.tenant_id,
+      saleId: Number(req.params.id),
+      tipoComprobante: req.body?.tipo_comprobante || undefined,
+    });
+    res.json({ ok: true, data: result });
+  } catch (err) {
+    console.error("[POS/INVOICE] error:", err);
+    res.status(err.statusCode || 502).json({ ok: false, error: err.message || "No se pudo emitir la factura" });
+  }
+});
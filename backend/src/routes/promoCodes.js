@@ -0,0 +1,109 @@
+// src/routes/promoCodes.js — MULTI-TENANT
+// ABM de códigos promocionales, usos registrados y cotización del descuento
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import { pool } from "../db.js";
+import {
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  quotePromoCode,
+} from "../services/promoCodes.js";
+
+export const promoCodes = Router();
+promoCodes.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/promo-codes?active=1
+ */
+promoCodes.get("/", async (req, res) => {
+  try {
+    const data = await listPromoCodes(req.tenant.id, { includeInactive: req.query.active !== "1" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/promo-codes] error:", e);
+    return sendError(res, e, "Error al obtener los códigos promocionales");
+  }
+});
+
+/**
+ * POST /api/promo-codes/quote
+ * Body: { code, customerId?, serviceId? | membershipPlanId? | classSessionId? }
+ * Calcula el descuento sin registrar el uso (se registra al crear el turno / inscripción)
+ */
+promoCodes.post("/quote", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = await quotePromoCode(pool, req.tenant.id, {
+      code: body.code,
+      customerId: body.customerId ? Number(body.customerId) : null,
+      serviceId: body.serviceId ? Number(body.serviceId) : null,
+      membershipPlanId: body.membershipPlanId ? Number(body.membershipPlanId) : null,
+      classSessionId: body.classSessionId ? Number(body.classSessionId) : null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/promo-codes/quote] error:", e.message);
+    return sendError(res, e, "Error al validar el código");
+  }
+});
+
+/**
+ * GET /api/promo-codes/:id — detalle con los usos registrados
+ */
+promoCodes.get("/:id(\\d+)", async (req, res) => {
+  try {
+    const data = await getPromoCode(req.tenant.id, Number(req.params.id));
+    if (!data) return res.status(404).json({ ok: false, error: "Código no encontrado" });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/promo-codes/:id] error:", e);
+    return sendError(res, e, "Error al obtener el código");
+  }
+});
+
+/**
+ * POST /api/promo-codes
+ * Body: { code, description?, discountType, discountValue, startsAt?, endsAt?, maxUsesTotal?,
+ *         maxUsesPerCustomer?, firstVisitOnly?, campaign?, targets: [{ type, id? }] }
+ */
+promoCodes.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await createPromoCode(req.tenant.id, req.body || {}, { userId: req.user?.id || null });
+    return res.status(201).json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/promo-codes] error:", e);
+    return sendError(res, e, "Error al crear el código");
+  }
+});
+
+promoCodes.put("/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await updatePromoCode(req.tenant.id, Number(req.params.id), req.body || {});
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/promo-codes/:id] error:", e);
+    return sendError(res, e, "Error al actualizar el código");
+  }
+});
+
+/**
+ * DELETE /api/promo-codes/:id — baja lógica, los usos quedan registrados
+ */
+promoCodes.delete("/:id(\\d+)", requireRole("admin"), async (req, res) => {
+  try {
+    const removed = await deactivatePromoCode(req.tenant.id, Number(req.params.id));
+    if (!removed) return res.status(404).json({ ok: false, error: "Código no encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /api/promo-codes/:id] error:", e);
+    return sendError(res, e, "Error al desactivar el código");
+  }
+});
@@ -305,7 +305,9 @@ reminders.post("/send", async (req, res) => {
         msg += `\n¡Te esperamos en *${tenantName}*! 💈\n\n` +
           `Si necesitás cambiar o cancelar, avisanos con anticipación.`;
 
-        await sendWhatsAppText(apt.phone_e164, msg, tenantId);
+        await sendWhatsAppText(apt.phone_e164, msg, tenantId, null, {
+          log: { kind: "reminder", appointmentId: apt.id },
+        });
 
         // Marcar como enviado
         await pool.query(
@@ -409,7 +411,7 @@ reminders.post("/send-push", async (req, res) => {
             appointmentId: apt.id,
             startsAt: apt.starts_at,
           },
-        });
+        }, { kind: "reminder", appointmentId: apt.id });
         await pool.query(
           `UPDATE appointment SET push_reminder_sent_at = NOW() WHERE id = ? AND tenant_id = ?`,
           [apt.id, tenantId]
@@ -748,7 +750,9 @@ reminders.post("/send/:appointmentId", async (req, res) => {
     msg += `\n¡Te esperamos en *${tenantName}*! 💈\n\n` +
       `Si necesitás cambiar o cancelar, avisanos con anticipación.`;
 
-    await sendWhatsAppText(apt.phone_e164, msg, tenantId);
+    await sendWhatsAppText(apt.phone_e164, msg, tenantId, null, {
+      log: { kind: "reminder", appointmentId: apt.id },
+    });
 
     // Marcar como enviado
     await pool.query(
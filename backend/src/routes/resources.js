@@ -0,0 +1,110 @@
+// src/routes/resources.js — MULTI-TENANT
+// Salas, cabinas y equipos compartidos, y qué recursos requiere cada servicio
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  listResources,
+  createResource,
+  updateResource,
+  deleteResource,
+  getServiceRequirements,
+  setServiceRequirements,
+} from "../services/resources.js";
+import { pool } from "../db.js";
+
+export const resources = Router();
+resources.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/resources?branchId=&includeInactive=1
+ */
+resources.get("/", async (req, res) => {
+  try {
+    const data = await listResources(req.tenant.id, {
+      branchId: req.query.branchId ? Number(req.query.branchId) : null,
+      includeInactive: String(req.query.includeInactive || "") === "1",
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/resources] error:", e);
+    return sendError(res, e, "Error al obtener los recursos");
+  }
+});
+
+/**
+ * POST /api/resources
+ * Body: { name, kind: "room"|"equipment", capacity, branchId? }
+ */
+resources.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await createResource(req.tenant.id, req.body || {});
+    return res.status(201).json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/resources] error:", e);
+    return sendError(res, e, "Error al crear el recurso");
+  }
+});
+
+/**
+ * PUT /api/resources/:id
+ */
+resources.put("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const data = await updateResource(req.tenant.id, Number(req.params.id), req.body || {});
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/resources/:id] error:", e);
+    return sendError(res, e, "Error al actualizar el recurso");
+  }
+});
+
+/**
+ * DELETE /api/resources/:id
+ */
+resources.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const deleted = await deleteResource(req.tenant.id, Number(req.params.id));
+    if (!deleted) return res.status(404).json({ ok: false, error: "Recurso no encontrado" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /api/resources/:id] error:", e);
+    return sendError(res, e, "Error al eliminar el recurso");
+  }
+});
+
+/**
+ * GET /api/resources/services/:serviceId
+ * Recursos que requiere el servicio (todas las sucursales)
+ */
+resources.get("/services/:serviceId", async (req, res) => {
+  try {
+    const data = await getServiceRequirements(pool, {
+      tenantId: req.tenant.id,
+      serviceId: Number(req.params.serviceId),
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/resources/services/:serviceId] error:", e);
+    return sendError(res, e, "Error al obtener los recursos del servicio");
+  }
+});
+
+/**
+ * PUT /api/resources/services/:serviceId
+ * Body: { resources: [{ resourceId, quantity }] }
+ */
+resources.put("/services/:serviceId", requireRole("admin"), async (req, res) => {
+  try {
+    const list = Array.isArray(req.body?.resources) ? req.body.resources : [];
+    const data = await setServiceRequirements(req.tenant.id, Number(req.params.serviceId), list);
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PUT /api/resources/services/:serviceId] error:", e);
+    return sendError(res, e, "Error al guardar los recursos del servicio");
+  }
+});
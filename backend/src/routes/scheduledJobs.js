@@ -0,0 +1,80 @@
+// src/routes/scheduledJobs.js
+// Panel de super admin de las tareas programadas: estado, historial de ejecuciones y acciones.
+import { Router } from "express";
+import {
+  listJobs,
+  listJobRuns,
+  listJobTypes,
+  runJobNow,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+} from "../services/jobScheduler.js";
+
+export const scheduledJobs = Router();
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  if (status === 500) console.error(`[scheduled-jobs] ${fallback}:`, e);
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+scheduledJobs.get("/", async (req, res) => {
+  try {
+    const { type, status, tenantId, recurring, limit } = req.query;
+    const jobs = await listJobs({
+      type: type || null,
+      status: status || null,
+      tenantId: tenantId || null,
+      recurring: recurring === undefined || recurring === "" ? null : recurring === "true" || recurring === "1",
+      limit,
+    });
+    res.json({ ok: true, data: { jobs, types: listJobTypes() } });
+  } catch (e) {
+    return sendError(res, e, "Error obteniendo tareas");
+  }
+});
+
+scheduledJobs.get("/runs", async (req, res) => {
+  try {
+    const { jobId, type, status, limit, offset } = req.query;
+    const data = await listJobRuns({ jobId: jobId || null, type: type || null, status: status || null, limit, offset });
+    res.json({ ok: true, data });
+  } catch (e) {
+    return sendError(res, e, "Error obteniendo ejecuciones");
+  }
+});
+
+scheduledJobs.post("/:id(\\d+)/run", async (req, res) => {
+  try {
+    res.json({ ok: true, data: await runJobNow(req.params.id) });
+  } catch (e) {
+    return sendError(res, e, "Error programando la tarea");
+  }
+});
+
+scheduledJobs.post("/:id(\\d+)/pause", async (req, res) => {
+  try {
+    res.json({ ok: true, data: await pauseJob(req.params.id) });
+  } catch (e) {
+    return sendError(res, e, "Error pausando la tarea");
+  }
+});
+
+scheduledJobs.post("/:id(\\d+)/resume", async (req, res) => {
+  try {
+    res.json({ ok: true, data: await resumeJob(req.params.id) });
+  } catch (e) {
+    return sendError(res, e, "Error reanudando la tarea");
+  }
+});
+
+scheduledJobs.post("/:id(\\d+)/cancel", async (req, res) => {
+  try {
+    res.json({ ok: true, data: await cancelJob(req.params.id) });
+  } catch (e) {
+    return sendError(res, e, "Error cancelando la tarea");
+  }
+});
+
+export default scheduledJobs;
@@ -5,6 +5,15 @@ import { requireAuth } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { resolveBranchFilter, resolveBranchForWrite, ensureBranchBelongsToTenant, ensureUserCanAccessBranch } from "../helpers/branchAccess.js";
 import { notifyStockMovement } from "../services/stockService.js";
+import {
+  LOT_INBOUND_TYPES,
+  LOT_OUTBOUND_TYPES,
+  ensureLotSchema,
+  normalizeLotInput,
+  addLotQuantity,
+  consumeLots,
+} from "../services/stockLots.js";
+import { applyMovementCost } from "../services/inventoryCosting.js";
 
 const router = express.Router();
 
@@ -833,6 +842,19 @@ router.post("/products", requireAuth, identifyTenant, checkStockPermission('writ
         ]
       );
 
+      if (movementBranchValue) {
+        await applyMovementCost(pool, {
+          tenantId,
+          productId,
+          branchId: movementBranchValue,
+          type: 'entry',
+          quantity: stock_quantity,
+          unitCost: cost ?? null,
+          previousStock: 0,
+          movementId: movementResult.insertId,
+        });
+      }
+
       // Crear notificaciones para usuarios con permisos de stock (no bloqueante)
       Promise.resolve().then(async () => {
         try {
@@ -1079,6 +1101,18 @@ router.put("/products/:id", requireAuth, identifyTenant, checkStockPermission('w
         ]
       );
 
+      if (movementBranchValue) {
+        await applyMovementCost(pool, {
+          tenantId,
+          productId: id,
+          branchId: movementBranchValue,
+          type: 'adjustment',
+          quantity: adjustmentQuantity,
+          previousStock,
+          movementId: adjustmentResult.insertId,
+        });
+      }
+
       // Crear notificaciones para usuarios con permisos de stock (no bloqueante)
       Promise.resolve().then(async () => {
         try {
@@ -1171,10 +1205,22 @@ router.post("/movements", requireAuth, identifyTenant, checkStockPermission('wri
   try {
     const tenantId = req.tenant_id;
     const {
-      product_id, type, quantity, reference_type, reference_id, notes
+      product_id, type, quantity, reference_type, reference_id, notes,
+      branch_id, lot_number, expiry_date, lot_id, unit_cost
     } = req.body;
     const filter = resolveBranchFilter(req, { allowAll: true });
 
+    let branchIdValue = filter.mode === "single" ? filter.branchId : null;
+    if (branch_id) {
+      const branch = await ensureBranchBelongsToTenant(tenantId, Number(branch_id));
+      if (!branch) {
+        return res.status(400).json({ ok: false, error: "La sucursal indicada no pertenece a este negocio" });
+      }
+      ensureUserCanAccessBranch(req.user, branch.id);
+      branchIdValue = branch.id;
+    }
+    const lotInput = normalizeLotInput({ lotNumber: lot_number, expiryDate: expiry_date });
+
     if (!product_id || !type || !quantity) {
       return res.status(400).json({ 
         ok: false, 
@@ -1272,6 +1318,32 @@ router.post("/movements", requireAuth, identifyTenant, checkStockPermission('wri
       ]
     );
 
+    // Lotes: la entrada suma al lote indicado; la salida descuenta por FEFO o del lote elegido
+    if (movementBranchValue) {
+      await ensureLotSchema();
+      if (LOT_INBOUND_TYPES.includes(type) && lotInput) {
+        await addLotQuantity(pool, {
+          tenantId,
+          productId: product_id,
+          branchId: movementBranchValue,
+          lotNumber: lotInput.lotNumber,
+          expiryDate: lotInput.expiryDate,
+          quantity,
+          movementId: movementResult.insertId,
+        });
+      } else if (LOT_OUTBOUND_TYPES.includes(type)) {
+        await consumeLots(pool, {
+          tenantId,
+          productId: product_id,
+          branchId: movementBranchValue,
+          quantity,
+          previousStock,
+          movementId: movementResult.insertId,
+          lotId: lot_id || null,
+        });
+      }
+    }
+
     // Actualizar product_stock si existe, sino intentar actualizar product.stock_quantity
     if (hasProductStock && hasMovementBranchId && branchIdValue) {
       // Actualizar product_stock
@@ -1292,6 +1364,20 @@ router.post("/movements", requireAuth, identifyTenant, checkStockPermission('wri
       }
     }
 
+    // Costo: las entradas abren capa con unit_cost (o el promedio); las salidas registran su CMV
+    if (movementBranchValue) {
+      await applyMovementCost(pool, {
+        tenantId,
+        productId: product_id,
+        branchId: movementBranchValue,
+        type,
+        quantity,
+        unitCost: unit_cost ?? null,
+        previousStock,
+        movementId: movementResult.insertId,
+      });
+    }
+
     // Crear notificaciones para usuarios con permisos de stock (no bloqueante)
     Promise.resolve().then(async () => {
       try {
@@ -0,0 +1,422 @@
+// src/routes/stockPurchasing.js
+// Rutas para proveedores y órdenes de compra
+
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth } from "../auth/middlewares.js";
+import { identifyTenant } from "../auth/tenant.js";
+import { checkStockPermission } from "./stock.js";
+import { resolveBranchForWrite, ensureUserCanAccessBranch } from "../helpers/branchAccess.js";
+import {
+  ensurePurchasingSchema,
+  getSupplier,
+  createPurchaseOrder,
+  updateDraftPurchaseOrder,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  markPurchaseOrderOrdered,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  createDraftOrdersFromAlerts,
+} from "../services/purchasing.js";
+
+const router = express.Router();
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "tax_id",
+  "contact_name",
+  "email",
+  "phone",
+  "address",
+  "payment_terms",
+  "lead_time_days",
+  "notes",
+  "is_active",
+];
+
+async function withPurchasingSchema(req, res, next) {
+  try {
+    await ensurePurchasingSchema();
+    next();
+  } catch (error) {
+    console.error("[stockPurchasing] Error preparando tablas:", error);
+    res.status(500).json({ ok: false, error: "No se pudo inicializar el módulo de compras" });
+  }
+}
+
+function handlePurchasingError(res, error, fallback) {
+  const status = error?.status || error?.statusCode;
+  if (status && status < 500) {
+    return res.status(status).json({ ok: false, error: error.message });
+  }
+  return res.status(500).json({ ok: false, error: fallback });
+}
+
+async function inTransaction(work) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+function pickSupplierFields(body = {}) {
+  const data = {};
+  for (const field of SUPPLIER_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === "is_active") {
+      data[field] = body[field] ? 1 : 0;
+    } else if (field === "lead_time_days") {
+      data[field] = body[field] === "" || body[field] == null ? null : Number(body[field]);
+    } else {
+      data[field] = typeof body[field] === "string" ? body[field].trim() || null : body[field];
+    }
+  }
+  return data;
+}
+
+const purchasing = [requireAuth, identifyTenant, withPurchasingSchema];
+
+/* ===================== PROVEEDORES ===================== */
+
+// GET /api/stock/suppliers - Listar proveedores
+router.get("/suppliers", ...purchasing, checkStockPermission('read'), async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const { search, include_inactive } = req.query;
+
+    let query = `
+      SELECT s.*,
+        (SELECT COUNT(*) FROM product p WHERE p.tenant_id = s.tenant_id AND p.supplier_id = s.id) AS product_count,
+        (SELECT COUNT(*) FROM purchase_order po
+          WHERE po.tenant_id = s.tenant_id AND po.supplier_id = s.id
+            AND po.status IN ('draft','ordered','partial')) AS open_orders
+      FROM supplier s
+      WHERE s.tenant_id = ?
+    `;
+    const params = [tenantId];
+    if (include_inactive !== "true") {
+      query += ` AND s.is_active = 1`;
+    }
+    if (search) {
+      query += ` AND (s.name LIKE ? OR s.tax_id LIKE ? OR s.contact_name LIKE ?)`;
+      const like = `%${search}%`;
+      params.push(like, like, like);
+    }
+    query += ` ORDER BY s.name ASC`;
+
+    const [rows] = await pool.query(query, params);
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/suppliers] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudieron obtener los proveedores" });
+  }
+});
+
+// POST /api/stock/suppliers - Crear proveedor
+router.post("/suppliers", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const data = pickSupplierFields(req.body);
+    if (!data.name) {
+      return res.status(400).json({ ok: false, error: "El nombre del proveedor es requerido" });
+    }
+
+    const columns = Object.keys(data);
+    const [result] = await pool.query(
+      `INSERT INTO supplier (tenant_id, ${columns.join(", ")})
+       VALUES (?, ${columns.map(() => "?").join(", ")})`,
+      [tenantId, ...columns.map((col) => data[col])]
+    );
+
+    res.json({ ok: true, data: { id: result.insertId }, message: "Proveedor creado" });
+  } catch (error) {
+    console.error("[POST /api/stock/suppliers] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo crear el proveedor" });
+  }
+});
+
+// PUT /api/stock/suppliers/:id - Actualizar proveedor
+router.put("/suppliers/:id", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const data = pickSupplierFields(req.body);
+    if (data.name === null) {
+      return res.status(400).json({ ok: false, error: "El nombre del proveedor es requerido" });
+    }
+    const columns = Object.keys(data);
+    if (!columns.length) {
+      return res.status(400).json({ ok: false, error: "No hay campos para actualizar" });
+    }
+
+    const [result] = await pool.query(
+      `UPDATE supplier SET ${columns.map((col) => `${col} = ?`).join(", ")}
+       WHERE id = ? AND tenant_id = ?`,
+      [...columns.map((col) => data[col]), req.params.id, tenantId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ ok: false, error: "Proveedor no encontrado" });
+    }
+
+    res.json({ ok: true, message: "Proveedor actualizado" });
+  } catch (error) {
+    console.error("[PUT /api/stock/suppliers/:id] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo actualizar el proveedor" });
+  }
+});
+
+// DELETE /api/stock/suppliers/:id - Desactivar proveedor (se conserva el historial de compras)
+router.delete("/suppliers/:id", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      `UPDATE supplier SET is_active = 0 WHERE id = ? AND tenant_id = ?`,
+      [req.params.id, req.tenant_id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ ok: false, error: "Proveedor no encontrado" });
+    }
+    res.json({ ok: true, message: "Proveedor desactivado" });
+  } catch (error) {
+    console.error("[DELETE /api/stock/suppliers/:id] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo desactivar el proveedor" });
+  }
+});
+
+// GET /api/stock/suppliers/:id/products - Productos asignados al proveedor
+router.get("/suppliers/:id/products", ...purchasing, checkStockPermission('read'), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, code, name, cost, min_stock, max_stock, unit
+         FROM product
+        WHERE tenant_id = ? AND supplier_id = ?
+        ORDER BY name ASC`,
+      [req.tenant_id, req.params.id]
+    );
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/suppliers/:id/products] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudieron obtener los productos del proveedor" });
+  }
+});
+
+// PUT /api/stock/suppliers/:id/products - Asignar productos al proveedor  { product_ids: [] }
+router.put("/suppliers/:id/products", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const tenantId = req.tenant_id;
+    const supplierId = Number(req.params.id);
+    const productIds = Array.isArray(req.body?.product_ids)
+      ? [...new Set(req.body.product_ids.map(Number).filter((id) => id > 0))]
+      : null;
+    if (!productIds) {
+      return res.status(400).json({ ok: false, error: "product_ids debe ser una lista" });
+    }
+
+    await inTransaction(async (conn) => {
+      const supplier = await getSupplier(conn, tenantId, supplierId);
+      if (!supplier) {
+        const error = new Error("Proveedor no encontrado");
+        error.status = 404;
+        throw error;
+      }
+      await conn.query(
+        `UPDATE product SET supplier_id = NULL WHERE tenant_id = ? AND supplier_id = ?`,
+        [tenantId, supplierId]
+      );
+      if (productIds.length) {
+        await conn.query(
+          `UPDATE product SET supplier_id = ? WHERE tenant_id = ? AND id IN (?)`,
+          [supplierId, tenantId, productIds]
+        );
+      }
+    });
+
+    res.json({ ok: true, message: "Productos asignados" });
+  } catch (error) {
+    console.error("[PUT /api/stock/suppliers/:id/products] Error:", error);
+    handlePurchasingError(res, error, "No se pudieron asignar los productos");
+  }
+});
+
+/* ===================== ÓRDENES DE COMPRA ===================== */
+
+// GET /api/stock/purchase-orders - Listar órdenes
+router.get("/purchase-orders", ...purchasing, checkStockPermission('read'), async (req, res) => {
+  try {
+    const { status, supplier_id, branch_id } = req.query;
+    if (branch_id) ensureUserCanAccessBranch(req.user, branch_id);
+
+    const rows = await listPurchaseOrders({
+      tenantId: req.tenant_id,
+      status: status || null,
+      supplierId: supplier_id || null,
+      branchId: branch_id || null,
+    });
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/purchase-orders] Error:", error);
+    handlePurchasingError(res, error, "No se pudieron obtener las órdenes de compra");
+  }
+});
+
+// POST /api/stock/purchase-orders/from-alerts - Borradores desde alertas de stock bajo
+router.post("/purchase-orders/from-alerts", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const branchId = req.body?.branch_id ? Number(req.body.branch_id) : null;
+    if (branchId) ensureUserCanAccessBranch(req.user, branchId);
+
+    const result = await inTransaction((conn) =>
+      createDraftOrdersFromAlerts(conn, {
+        tenantId: req.tenant_id,
+        branchId,
+        userId: req.user.id,
+      })
+    );
+
+    res.json({
+      ok: true,
+      data: result,
+      message: result.orders.length
+        ? `Se generaron ${result.orders.length} órdenes en borrador`
+        : "No hay alertas pendientes para generar órdenes",
+    });
+  } catch (error) {
+    console.error("[POST /api/stock/purchase-orders/from-alerts] Error:", error);
+    handlePurchasingError(res, error, "No se pudieron generar las órdenes de compra");
+  }
+});
+
+// GET /api/stock/purchase-orders/:id - Detalle con líneas
+router.get("/purchase-orders/:id", ...purchasing, checkStockPermission('read'), async (req, res) => {
+  try {
+    const order = await getPurchaseOrder(pool, req.tenant_id, req.params.id);
+    if (!order) {
+      return res.status(404).json({ ok: false, error: "Orden de compra no encontrada" });
+    }
+    res.json({ ok: true, data: order });
+  } catch (error) {
+    console.error("[GET /api/stock/purchase-orders/:id] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo obtener la orden de compra" });
+  }
+});
+
+// POST /api/stock/purchase-orders - Crear orden (borrador)
+router.post("/purchase-orders", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const { supplier_id, branch_id, expected_date, notes, items } = req.body || {};
+    if (!supplier_id) {
+      return res.status(400).json({ ok: false, error: "Seleccioná un proveedor" });
+    }
+    const branch = await resolveBranchForWrite(req, { branchId: branch_id });
+
+    const orderId = await inTransaction((conn) =>
+      createPurchaseOrder(conn, {
+        tenantId: req.tenant_id,
+        branchId: branch.id,
+        supplierId: Number(supplier_id),
+        expectedDate: expected_date,
+        notes: notes || null,
+        items,
+        userId: req.user.id,
+      })
+    );
+
+    res.json({ ok: true, data: { id: orderId }, message: "Orden de compra creada" });
+  } catch (error) {
+    console.error("[POST /api/stock/purchase-orders] Error:", error);
+    handlePurchasingError(res, error, "No se pudo crear la orden de compra");
+  }
+});
+
+// PUT /api/stock/purchase-orders/:id - Editar borrador
+router.put("/purchase-orders/:id", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const { expected_date, notes, items } = req.body || {};
+    await inTransaction((conn) =>
+      updateDraftPurchaseOrder(conn, {
+        tenantId: req.tenant_id,
+        orderId: req.params.id,
+        expectedDate: expected_date,
+        notes,
+        items,
+      })
+    );
+    res.json({ ok: true, message: "Orden de compra actualizada" });
+  } catch (error) {
+    console.error("[PUT /api/stock/purchase-orders/:id] Error:", error);
+    handlePurchasingError(res, error, "No se pudo actualizar la orden de compra");
+  }
+});
+
+// PUT /api/stock/purchase-orders/:id/order - Emitir orden al proveedor
+router.put("/purchase-orders/:id/order", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    await inTransaction((conn) =>
+      markPurchaseOrderOrdered(conn, {
+        tenantId: req.tenant_id,
+        orderId: req.params.id,
+        expectedDate: req.body?.expected_date,
+      })
+    );
+    res.json({ ok: true, message: "Orden de compra emitida" });
+  } catch (error) {
+    console.error("[PUT /api/stock/purchase-orders/:id/order] Error:", error);
+    handlePurchasingError(res, error, "No se pudo emitir la orden de compra");
+  }
+});
+
+// POST /api/stock/purchase-orders/:id/receive - Recepción total o parcial
+// { lines: [{ item_id, quantity, unit_cost?, lot_number?, expiry_date? }], notes? }
+router.post("/purchase-orders/:id/receive", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    const [[header]] = await pool.query(
+      `SELECT branch_id FROM purchase_order WHERE id = ? AND tenant_id = ?`,
+      [req.params.id, req.tenant_id]
+    );
+    if (!header) {
+      return res.status(404).json({ ok: false, error: "Orden de compra no encontrada" });
+    }
+    ensureUserCanAccessBranch(req.user, header.branch_id);
+
+    const result = await inTransaction((conn) =>
+      receivePurchaseOrder(conn, {
+        tenantId: req.tenant_id,
+        orderId: req.params.id,
+        lines: req.body?.lines,
+        notes: req.body?.notes || null,
+        userId: req.user.id,
+      })
+    );
+
+    res.json({
+      ok: true,
+      data: result,
+      message: result.status === "received" ? "Orden recibida completa" : "Recepción parcial registrada",
+    });
+  } catch (error) {
+    console.error("[POST /api/stock/purchase-orders/:id/receive] Error:", error);
+    handlePurchasingError(res, error, "No se pudo registrar la recepción");
+  }
+});
+
+// PUT /api/stock/purchase-orders/:id/cancel - Cancelar orden
+router.put("/purchase-orders/:id/cancel", ...purchasing, checkStockPermission('write'), async (req, res) => {
+  try {
+    await inTransaction((conn) =>
+      cancelPurchaseOrder(conn, { tenantId: req.tenant_id, orderId: req.params.id })
+    );
+    res.json({ ok: true, message: "Orden de compra cancelada" });
+  } catch (error) {
+    console.error("[PUT /api/stock/purchase-orders/:id/cancel] Error:", error);
+    handlePurchasingError(res, error, "No se pudo cancelar la orden de compra");
+  }
+});
+
+export default router;
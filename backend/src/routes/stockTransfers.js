@@ -7,6 +7,8 @@ import { requireAuth } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { checkStockPermission } from "./stock.js";
 import * as stockService from "../services/stockService.js";
+import { getTransferLots } from "../services/stockLots.js";
+import { getTransferUnitCost } from "../services/inventoryCosting.js";
 
 const router = express.Router();
 
@@ -154,6 +156,9 @@ router.put("/transfers/:id/cancel", requireAuth, identifyTenant, checkStockPermi
     }
     
     const transfer = transfers[0];
+    // Lotes que salieron del origen, para devolverlos con su número y vencimiento
+    const transferredLots = await getTransferLots(pool, transfer.id);
+    const transferUnitCost = await getTransferUnitCost(pool, transfer.id);
     
     // Revertir movimientos de stock
     // En sucursal origen: devolver el stock que se había quitado (transfer_out)
@@ -164,7 +169,9 @@ router.put("/transfers/:id/cancel", requireAuth, identifyTenant, checkStockPermi
       type: 'adjustment',
       quantity: transfer.quantity, // Cantidad positiva para sumar (devolver stock)
       notes: `Reversión de transferencia cancelada ${notes ? '- ' + notes : ''}`,
-      userId
+      userId,
+      unitCost: transferUnitCost,
+      lots: transferredLots
     });
     
     // En sucursal destino: quitar el stock que se había agregado (transfer_in)
@@ -6,6 +6,14 @@ import { requireAuth } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { checkStockPermission } from "./stock.js";
 import * as stockService from "../services/stockService.js";
+import { listLots } from "../services/stockLots.js";
+import {
+  listInventoryValuation,
+  getValuationPeriodReport,
+  listCostOfGoodsSold,
+  listCostHistory,
+  resolvePeriod,
+} from "../services/inventoryCosting.js";
 
 const router = express.Router();
 
@@ -27,40 +35,13 @@ router.get("/valuation", requireAuth, identifyTenant, checkStockPermission('read
 // GET /api/stock/valuation/detail - Detalle de valuación por producto
 router.get("/valuation/detail", requireAuth, identifyTenant, checkStockPermission('read'), async (req, res) => {
   try {
-    const tenantId = req.tenant_id;
     const { branch_id } = req.query;
-    
-    // Usar la vista directamente (ahora incluye todos los productos)
-    let query = `
-      SELECT 
-        product_id,
-        branch_id,
-        tenant_id,
-        product_name,
-        product_code,
-        branch_name,
-        quantity,
-        available_quantity,
-        reserved_quantity,
-        unit_cost,
-        total_value,
-        available_value,
-        valuation_method
-      FROM v_inventory_valuation
-      WHERE tenant_id = ?
-    `;
-    
-    const params = [tenantId];
-    if (branch_id) {
-      query += ` AND branch_id = ?`;
-      params.push(branch_id);
-    }
-    
-    query += ` ORDER BY total_value DESC, product_name ASC`;
-    
-    const { pool } = await import("../db.js");
-    const [rows] = await pool.query(query, params);
-    
+
+    const rows = await listInventoryValuation({
+      tenantId: req.tenant_id,
+      branchId: branch_id || null,
+    });
+
     res.json({ ok: true, data: rows });
   } catch (error) {
     console.error("[GET /api/stock/valuation/detail] Error:", error);
@@ -68,5 +49,86 @@ router.get("/valuation/detail", requireAuth, identifyTenant, checkStockPermissio
   }
 });
 
+// GET /api/stock/valuation/report?from&to&branch_id - Apertura, compras, CMV y cierre del período
+router.get("/valuation/report", requireAuth, identifyTenant, checkStockPermission('read'), async (req, res) => {
+  try {
+    const { branch_id } = req.query;
+    const period = resolvePeriod(req.query);
+
+    const report = await getValuationPeriodReport({
+      tenantId: req.tenant_id,
+      branchId: branch_id || null,
+      ...period,
+    });
+
+    res.json({ ok: true, data: report });
+  } catch (error) {
+    console.error("[GET /api/stock/valuation/report] Error:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: error.statusCode ? error.message : "No se pudo generar el reporte de valuación",
+    });
+  }
+});
+
+// GET /api/stock/valuation/cogs?from&to&branch_id - Costo de mercadería vendida por venta
+router.get("/valuation/cogs", requireAuth, identifyTenant, checkStockPermission('read'), async (req, res) => {
+  try {
+    const { branch_id } = req.query;
+    const period = resolvePeriod(req.query);
+
+    const rows = await listCostOfGoodsSold({
+      tenantId: req.tenant_id,
+      branchId: branch_id || null,
+      ...period,
+    });
+
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/valuation/cogs] Error:", error);
+    res.status(error.statusCode || 500).json({
+      ok: false,
+      error: error.statusCode ? error.message : "No se pudo obtener el costo de ventas",
+    });
+  }
+});
+
+// GET /api/stock/valuation/cost-history/:productId - Historial de costos de un producto
+router.get("/valuation/cost-history/:productId", requireAuth, identifyTenant, checkStockPermission('read'), async (req, res) => {
+  try {
+    const { branch_id, limit } = req.query;
+
+    const rows = await listCostHistory({
+      tenantId: req.tenant_id,
+      productId: Number(req.params.productId),
+      branchId: branch_id || null,
+      limit,
+    });
+
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/valuation/cost-history/:productId] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo obtener el historial de costos" });
+  }
+});
+
+// GET /api/stock/valuation/lots - Detalle por lote (cantidad, vencimiento y valor)
+router.get("/valuation/lots", requireAuth, identifyTenant, checkStockPermission('read'), async (req, res) => {
+  try {
+    const { branch_id, product_id } = req.query;
+
+    const rows = await listLots({
+      tenantId: req.tenant_id,
+      branchId: branch_id || null,
+      productId: product_id || null,
+    });
+
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    console.error("[GET /api/stock/valuation/lots] Error:", error);
+    res.status(500).json({ ok: false, error: "No se pudo obtener el detalle por lote" });
+  }
+});
+
 export default router;
 
@@ -5,6 +5,7 @@ import { pool } from "../db.js";
 import { requireAuth, requireAdmin } from "../auth/middlewares.js";
 import { identifyTenant } from "../auth/tenant.js";
 import { getPrimaryBranchId } from "../services/branches.js";
+import { recordAudit } from "../services/auditLog.js";
 import { validatePassword, getPasswordErrorMessage } from "../utils/passwordValidation.js";
 
 const ACCESS_MODES = new Set(["all", "custom"]);
@@ -308,6 +309,26 @@ router.post("/", requireAuth, identifyTenant, requireAdmin, async (req, res) =>
 });
 
 // PUT /api/users/:id - Actualizar usuario
+// Campos del usuario que quedan en el registro de auditoría (nunca el hash de la contraseña)
+function pickAuditedUserFields(row) {
+  if (!row) return {};
+  let permissions = row.permissions ?? null;
+  if (typeof permissions === "string") {
+    try {
+      permissions = JSON.parse(permissions);
+    } catch {
+      permissions = null;
+    }
+  }
+  return {
+    email: row.email,
+    role: row.role,
+    permissions,
+    is_active: row.is_active ? 1 : 0,
+    branch_access_mode: row.branch_access_mode || "all",
+  };
+}
+
 router.put("/:id", requireAuth, identifyTenant, requireAdmin, async (req, res) => {
   const conn = await pool.getConnection();
   try {
@@ -326,7 +347,7 @@ router.put("/:id", requireAuth, identifyTenant, requireAdmin, async (req, res) =
 
     // Verificar que el usuario existe y pertenece al tenant
     const [[existingUser]] = await conn.query(
-      `SELECT id, role, current_branch_id, branch_access_mode
+      `SELECT id, email, role, permissions, is_active, current_branch_id, branch_access_mode
          FROM users
         WHERE id = ? AND tenant_id = ?`,
       [id, tenantId]
@@ -512,6 +533,28 @@ router.put("/:id", requireAuth, identifyTenant, requireAdmin, async (req, res) =
 
     await conn.commit();
 
+    const [[auditedUser]] = await pool.query(
+      `SELECT email, role, permissions, is_active, branch_access_mode
+         FROM users
+        WHERE id = ? AND tenant_id = ?`,
+      [id, tenantId]
+    );
+    const auditBefore = pickAuditedUserFields(existingUser);
+    const auditAfter = pickAuditedUserFields(auditedUser);
+    const permissionsChanged =
+      auditBefore.role !== auditAfter.role ||
+      JSON.stringify(auditBefore.permissions) !== JSON.stringify(auditAfter.permissions);
+    recordAudit(req, {
+      entity: "user",
+      entityId: id,
+      action: permissionsChanged ? "permissions" : "update",
+      summary: permissionsChanged
+        ? `Permisos de ${auditAfter.email || `usuario #${id}`} modificados`
+        : `Usuario ${auditAfter.email || `#${id}`} actualizado`,
+      before: auditBefore,
+      after: auditAfter,
+    });
+
     res.json({ ok: true, message: "Usuario actualizado" });
   } catch (error) {
     await conn.rollback();
@@ -29,10 +29,24 @@ import {
   listUpcomingClassSessions,
   listUpcomingClassSeriesWithSingles,
 } from "../services/classesWhatsapp.js";
+import { respondToPromotion } from "../services/classWaitlist.js";
+import { quotePromoCode } from "../services/promoCodes.js";
+import { getLoyaltySettings, getCustomerLoyalty, listLoyaltyRewards } from "../services/loyalty.js";
+import {
+  parseRescheduleReply,
+  respondToReschedule,
+  offerReschedule,
+} from "../services/timeOffReschedule.js";
 import { listTenantBranches } from "../services/branches.js";
 import { getSection } from "../services/config.js";
 import { listPlans, getPlanDefinition } from "../services/subscriptionPlans.js";
 import { createNotification } from "./notifications.js";
+import {
+  recordInboundMessage,
+  markConversationPendingAgent,
+  releaseConversationToBot,
+} from "../services/whatsappMessageLog.js";
+import { applyWhatsAppStatusUpdate } from "../services/messageLog.js";
 
 export const whatsapp = Router();
 
@@ -152,6 +166,17 @@ export function isNotificationResponse(contextMessageId, phone, tenantId) {
   return false;
 }
 
+/**
+ * La conversación pasa a "esperando asesor" en la bandeja de entrada del panel
+ */
+async function flagInboxHandoff(tenantId, user) {
+  try {
+    await markConversationPendingAgent(tenantId, user);
+  } catch (error) {
+    console.warn(`[WA Inbox] No se pudo marcar la derivación de ${user}:`, error.message);
+  }
+}
+
 /**
  * ✅ Enviar mensaje al agente con fallback a plantilla si falla con 131047
  * IMPORTANTE: Si detecta error 131047, envía DIRECTAMENTE plantilla reabrir_chat (type: template)
@@ -911,6 +936,11 @@ async function sendHomeMenu(user, tenantId, { name, features, header, body, bran
     { id: "action_view", title: "Mis turnos" },
     { id: "action_new", title: "Reservar" },
   ];
+  // Consulta de puntos sólo si el negocio tiene el programa de fidelización activo
+  const loyaltySettings = await getLoyaltySettings(tenantId).catch(() => null);
+  if (loyaltySettings?.enabled) {
+    options.push({ id: "action_points", title: "Mis puntos" });
+  }
   // Botón para hablar con asesor
   // Solo agregar el botón de ayuda si está habilitado
   if (supportAgentEnabled) {
@@ -1141,11 +1171,11 @@ async function startMembershipDataCollection(user, tenantId, plan, sessionData =
     customerId: customer?.id || null,
   };
 
-  setStep(user, "membership_collect_name", {
+  await setStep(user, "membership_collect_name", {
     ...sessionData,
     tenantId,
     membership,
-  });
+  }, tenantId);
 
   await sendWhatsAppText(
     user,
@@ -1163,7 +1193,7 @@ async function finalizeMembershipSubscriptionFlow(user, tenantId, sessionData =
       "No pude completar la suscripción porque faltan datos. Escribí *hola* para intentarlo de nuevo.",
       tenantId
     );
-    reset(user);
+    await reset(user, tenantId);
     return;
   }
 
@@ -1199,10 +1229,10 @@ async function finalizeMembershipSubscriptionFlow(user, tenantId, sessionData =
   } finally {
     const features = sessionData.features || {};
     const name = sessionData.customer_name || sessionData.customerName || membership.name || null;
-    setStep(user, "home_menu", {
+    await setStep(user, "home_menu", {
       ...sessionData,
       membership: null,
-    });
+    }, tenantId);
     await sendHomeMenu(user, tenantId, { name, features, header: "¿Querés hacer algo más?" });
   }
 }
@@ -1450,6 +1480,12 @@ const handleWebhookPost = async (req, res) => {
       
       if (statuses && Array.isArray(statuses)) {
         for (const status of statuses) {
+          // Estado de entrega para el historial de envíos (sent/delivered/read/failed)
+          try {
+            await applyWhatsAppStatusUpdate(status);
+          } catch (statusError) {
+            console.warn(`[WA] No se pudo registrar el estado ${status.status} de ${status.id}:`, statusError.message);
+          }
           if (status.status === "failed" && status.errors && Array.isArray(status.errors)) {
             for (const error of status.errors) {
               if (error.code === 131047) {
@@ -1954,6 +1990,17 @@ const handleWebhookPost = async (req, res) => {
       ? toSandboxAllowed(msg.from)
       : msg.from;
 
+    // Historial para la bandeja de entrada compartida (si falla, el bot sigue igual)
+    try {
+      await recordInboundMessage(tenantId, {
+        phone: user,
+        contactName: value?.contacts?.[0]?.profile?.name || null,
+        message: msg,
+      });
+    } catch (logError) {
+      console.warn("[WA Inbox] No se pudo registrar el mensaje entrante:", logError.message);
+    }
+
     // ============================================
     // VERIFICAR SI ES RESPUESTA A NOTIFICACIÓN DE REPROGRAMACIÓN (ANTES DE TODO)
     // ============================================
@@ -1970,7 +2017,7 @@ const handleWebhookPost = async (req, res) => {
     });
     
     // Obtener la sesión antes de usarla (necesaria para verificar comandos y estado)
-    const currentSession = getSession(user);
+    const currentSession = await getSession(user, tenantId);
     
     // Verificar si es un comando especial ANTES de procesar cualquier otra lógica
     const isTextMessage = msg.type === "text";
@@ -2002,9 +2049,12 @@ const handleWebhookPost = async (req, res) => {
       
       // Limpiar registros de notificaciones para este cliente para evitar reactivar modo agente
       clearNotificationRecords(user, tenantId);
+      await releaseConversationToBot(tenantId, user).catch((error) =>
+        console.warn(`[WA Inbox] No se pudo devolver la conversación de ${user} al bot:`, error.message)
+      );
       
       // Resetear la sesión ANTES de enviar el menú de bienvenida
-      reset(user);
+      await reset(user, tenantId);
       
       // Obtener información del cliente para el menú de bienvenida
       const customer = await getCustomerByPhone(user, tenantId);
@@ -2026,7 +2076,7 @@ const handleWebhookPost = async (req, res) => {
         features,
         branch_id: branchId,
       };
-      setStep(user, "home_menu", sessionData);
+      await setStep(user, "home_menu", sessionData, tenantId);
       
       // Enviar menú de bienvenida (igual que cuando escriben "hola")
       await sendHomeMenu(user, tenantId, { 
@@ -2040,6 +2090,11 @@ const handleWebhookPost = async (req, res) => {
       console.log(`[WA] ✅ Sesión de agente terminada para ${user}, registros limpiados, menú principal enviado`);
       return res.sendStatus(200);
     }
+
+    // Conversación tomada desde la bandeja de entrada: responde una persona desde el panel
+    if (currentSession.step === "waiting_for_agent" && currentSession.data?.inbox) {
+      return res.sendStatus(200);
+    }
     
     // NO activar modo agente automáticamente si:
     // 1. Es un comando especial (terminar, hola)
@@ -2076,14 +2131,15 @@ const handleWebhookPost = async (req, res) => {
             const customerName = customer?.name || "Cliente";
             
             // Crear sesión en modo "waiting_for_agent"
-            setStep(user, "waiting_for_agent", {
+            await setStep(user, "waiting_for_agent", {
               ...currentSession.data,
               tenantId: tenantId,
               supportAgentPhone: supportAgentPhone,
               customerName: customerName,
               notificationType: "reprogramation",
               lastMessageTime: Date.now()
-            });
+            }, tenantId);
+            await flagInboxHandoff(tenantId, user);
             
             console.log(`[WA] ✅ Sesión creada en modo "waiting_for_agent" para respuesta a notificación de reprogramación`);
             
@@ -2099,8 +2155,8 @@ const handleWebhookPost = async (req, res) => {
             const result = await sendMessageToAgentWithFallback(supportAgentPhone, forwardedMessage, tenantId, agentContext);
             
             if (result.success && result.messageId) {
-              const updatedSession = getSession(user);
-              setStep(user, "waiting_for_agent", {
+              const updatedSession = await getSession(user, tenantId);
+              await setStep(user, "waiting_for_agent", {
                 ...updatedSession.data,
                 tenantId: tenantId,
                 supportAgentPhone: supportAgentPhone,
@@ -2108,7 +2164,7 @@ const handleWebhookPost = async (req, res) => {
                 notificationType: "reprogramation",
                 lastMessageIdToAgent: result.messageId,
                 lastMessageTime: Date.now()
-              });
+              }, tenantId);
             }
             
             console.log(`[WA] ✅ Mensaje reenviado al agente ${supportAgentPhone} desde cliente ${user} (método: ${result.method})`);
@@ -2150,7 +2206,7 @@ const handleWebhookPost = async (req, res) => {
         console.log(`[WA Support] 📨 Mensaje recibido del agente ${user}`);
         
         // Buscar todas las sesiones activas en estado "waiting_for_agent" con este agente
-        const allSessions = getAllSessions();
+        const allSessions = await getAllSessions(tenantId);
         const waitingClients = [];
         
         for (const [phone, session] of Object.entries(allSessions)) {
@@ -2270,7 +2326,7 @@ const handleWebhookPost = async (req, res) => {
             clearNotificationRecords(clientPhone, tenantId);
             
             // Resetear la sesión del cliente
-            reset(clientPhone);
+            await reset(clientPhone, tenantId);
             
             // Obtener información del cliente para el menú de bienvenida
             const { getCustomerByPhone } = await import("./customers.js");
@@ -2293,7 +2349,7 @@ const handleWebhookPost = async (req, res) => {
               features,
               branch_id: branchId,
             };
-            setStep(clientPhone, "home_menu", sessionData);
+            await setStep(clientPhone, "home_menu", sessionData, tenantId);
             
             // Notificar al cliente que la conversación terminó
             const tenantName = await getTenantName(tenantId);
@@ -2456,7 +2512,7 @@ const handleWebhookPost = async (req, res) => {
       console.debug(`[WA Support] Error verificando si es agente:`, agentError.message);
     }
 
-    const session = getSession(user);
+    const session = await getSession(user, tenantId);
 
     // ============================================
     // VERIFICACIÓN DE IDENTIFICACIÓN OBLIGATORIA (ANTES DE TODO)
@@ -2477,7 +2533,7 @@ const handleWebhookPost = async (req, res) => {
       
       if (!isFullyIdentified) {
         const botConfig = await getBotConfig(tenantId);
-        setStep(user, "collect_name", { tenantId, identifyMethod: "phone" });
+        await setStep(user, "collect_name", { tenantId, identifyMethod: "phone" }, tenantId);
         await sendWhatsAppText(
           user,
           `Perfecto, te identifico por tu teléfono. ${botConfig.nameRequest || "Ahora decime tu nombre completo."}`,
@@ -2505,7 +2561,7 @@ const handleWebhookPost = async (req, res) => {
         features,
         branch_id: branchId,
       };
-      setStep(user, "home_menu", sessionData);
+      await setStep(user, "home_menu", sessionData, tenantId);
     }
 
     // ============================================
@@ -2516,7 +2572,7 @@ const handleWebhookPost = async (req, res) => {
 
       // ======= COMANDO: CANCELAR =======
       if (text === "cancelar" || text === "cancelar operación" || text === "cancel") {
-        reset(user);
+        await reset(user, tenantId);
         const tenantName = await getTenantName(tenantId);
         await sendWhatsAppText(
           user,
@@ -2534,7 +2590,7 @@ const handleWebhookPost = async (req, res) => {
         // Limpiar registros de notificaciones para evitar reactivar modo agente
         clearNotificationRecords(user, tenantId);
         
-        reset(user);
+        await reset(user, tenantId);
         
         // Obtener información del cliente para el menú de bienvenida
         const customer = await getCustomerByPhone(user, tenantId);
@@ -2556,7 +2612,7 @@ const handleWebhookPost = async (req, res) => {
           features,
           branch_id: branchId,
         };
-        setStep(user, "home_menu", sessionData);
+        await setStep(user, "home_menu", sessionData, tenantId);
         
         // Enviar menú de bienvenida
         await sendHomeMenu(user, tenantId, { 
@@ -2579,6 +2635,10 @@ const handleWebhookPost = async (req, res) => {
         // Guardar timestamp del último mensaje del cliente para priorizar respuestas
         session.data.lastMessageTime = Date.now();
         session.data.lastMessageFrom = user;
+        await setStep(user, "waiting_for_agent", {
+          lastMessageTime: session.data.lastMessageTime,
+          lastMessageFrom: user,
+        }, tenantId);
         
         if (supportAgentPhone) {
           // Reenviar mensaje al agente usando función con fallback a plantilla
@@ -2600,10 +2660,10 @@ const handleWebhookPost = async (req, res) => {
             // Guardar el message_id para mantener el contexto en futuros mensajes
             if (result.messageId) {
               // Actualizar la sesión con el nuevo message_id para mantener el contexto
-              setStep(user, "waiting_for_agent", {
+              await setStep(user, "waiting_for_agent", {
                 ...session.data,
                 lastMessageIdToAgent: result.messageId,
-              });
+              }, tenantId);
             }
             
             console.log(`[WA Support] ✅ Mensaje reenviado al agente ${supportAgentPhone} desde cliente ${user} (método: ${result.method})`);
@@ -2654,11 +2714,13 @@ const handleWebhookPost = async (req, res) => {
               );
             }
           }
-        } else {
-          // No hay agente configurado, informar al cliente
+        } else if (!session.data?.inboxAckSent) {
+          // Sin celular de agente: el mensaje ya quedó en la bandeja de entrada del panel
+          await setStep(user, "waiting_for_agent", { inboxAckSent: true }, tenantId);
           await sendWhatsAppText(
             user,
-            `⚠️ No hay un agente disponible en este momento. Por favor, intentá más tarde o escribí *terminar* para volver al menú principal.`,
+            `✅ Recibimos tu mensaje. Alguien del equipo te va a responder por acá en breve.\n\n` +
+            `Podés escribir *terminar* para volver al menú principal.`,
             tenantId
           );
         }
@@ -2666,6 +2728,37 @@ const handleWebhookPost = async (req, res) => {
         return res.sendStatus(200);
       }
 
+      // ======= CÓDIGO PROMOCIONAL (durante la reserva de un turno) =======
+      const promoMatch = /^(?:c[oó]digo|cup[oó]n|promo)\s+(\S+)$/.exec(text);
+      if (promoMatch && ["picking_service", "picking_instructor", "picking_date", "picking_slot"].includes(session.step)) {
+        if (!session.data?.service_id) {
+          await sendWhatsAppText(user, "Primero elegí el servicio y después escribí el código 😉", tenantId);
+          return res.sendStatus(200);
+        }
+        try {
+          const customer = await getCustomerByPhone(user, tenantId);
+          const promo = await quotePromoCode(pool, tenantId, {
+            code: promoMatch[1],
+            customerId: customer?.id || null,
+            serviceId: session.data.service_id,
+          });
+          await setStep(user, session.step, { ...session.data, promo_code: promo.code }, tenantId);
+          await sendWhatsAppText(
+            user,
+            `🎟️ Código *${promo.code}* aplicado: *$${promo.discount.toFixed(2)}* de descuento en *${session.data.service_name}* ` +
+            `(queda en *$${promo.finalAmount.toFixed(2)}*).\n\nSeguí con tu reserva 👇`,
+            tenantId
+          );
+        } catch (promoError) {
+          await sendWhatsAppText(
+            user,
+            `⚠️ ${promoError.statusCode ? promoError.message : "No pudimos validar el código, probá de nuevo."}`,
+            tenantId
+          );
+        }
+        return res.sendStatus(200);
+      }
+
       // ======= SALUDO / INICIO =======
       if (text === "hola" || session.step === "idle") {
         // Verificar si el usuario está completamente identificado
@@ -2674,7 +2767,7 @@ const handleWebhookPost = async (req, res) => {
         
         if (!isFullyIdentified) {
           const botConfig = await getBotConfig(tenantId);
-          setStep(user, "collect_name", { tenantId, identifyMethod: "phone" });
+          await setStep(user, "collect_name", { tenantId, identifyMethod: "phone" }, tenantId);
           await sendWhatsAppText(
             user,
             `Perfecto, te identifico por tu teléfono. ${botConfig.nameRequest || "Ahora decime tu nombre completo."}`,
@@ -2702,7 +2795,7 @@ const handleWebhookPost = async (req, res) => {
           features,
           branch_id: branchId,
         };
-        setStep(user, "home_menu", sessionData);
+        await setStep(user, "home_menu", sessionData, tenantId);
         await sendHomeMenu(user, tenantId, { name: existing.name, features, branchId });
         return res.sendStatus(200);
       }
@@ -2739,13 +2832,13 @@ const handleWebhookPost = async (req, res) => {
               features,
               branch_id: branchId,
             };
-            setStep(user, "home_menu", sessionData);
+            await setStep(user, "home_menu", sessionData, tenantId);
             await sendHomeMenu(user, tenantId, { name: existing.name, features, branchId });
             return res.sendStatus(200);
           }
           
           // Cliente no encontrado por teléfono, pedir nombre para crear nuevo
-          setStep(user, "collect_name", { tenantId, identifyMethod: "phone" });
+          await setStep(user, "collect_name", { tenantId, identifyMethod: "phone" }, tenantId);
           const botConfig = await getBotConfig(tenantId);
           await sendWhatsAppText(
             user,
@@ -2756,7 +2849,7 @@ const handleWebhookPost = async (req, res) => {
         }
         
         if (interactiveId === "identify_by_dni" || ["dni","documento"].includes(textNormalized)) {
-          setStep(user, "collect_dni", { tenantId, identifyMethod: "dni" });
+          await setStep(user, "collect_dni", { tenantId, identifyMethod: "dni" }, tenantId);
           await sendWhatsAppText(
             user,
             `Perfecto, vamos a identificarte por tu DNI.\n\n` +
@@ -2797,13 +2890,13 @@ const handleWebhookPost = async (req, res) => {
             features,
             branch_id: branchId,
           };
-          setStep(user, "home_menu", sessionData);
+          await setStep(user, "home_menu", sessionData, tenantId);
           await sendHomeMenu(user, tenantId, { name: existing.name, features, branchId });
           return res.sendStatus(200);
         }
         
         // Cliente nuevo o sin nombre, pedir nombre
-        setStep(user, "collect_name", { tenantId, identifyMethod: "phone" });
+        await setStep(user, "collect_name", { tenantId, identifyMethod: "phone" }, tenantId);
         const botConfig = await getBotConfig(tenantId);
         await sendWhatsAppText(
           user,
@@ -2819,7 +2912,7 @@ const handleWebhookPost = async (req, res) => {
       const interactiveIdForDni = isInteractiveForDni ? (msg.interactive?.list_reply || msg.interactive?.button_reply)?.id : null;
       
       if (session.step === "identify_dni" || interactiveIdForDni === "identify_by_dni") {
-        setStep(user, "collect_dni", { tenantId, identifyMethod: "dni" });
+        await setStep(user, "collect_dni", { tenantId, identifyMethod: "dni" }, tenantId);
         await sendWhatsAppText(
           user,
           `Perfecto, vamos a identificarte por tu DNI.\n\n` +
@@ -2880,7 +2973,7 @@ const handleWebhookPost = async (req, res) => {
             features,
             branch_id: branchId,
           };
-          setStep(user, "home_menu", sessionData);
+          await setStep(user, "home_menu", sessionData, tenantId);
           await sendWhatsAppText(
             user,
             `¡Perfecto! Te identifiqué por tu DNI. La próxima vez que escribas desde este número, te reconoceré automáticamente. 😊`,
@@ -2891,7 +2984,7 @@ const handleWebhookPost = async (req, res) => {
         }
 
         // Cliente no encontrado, pedir nombre para crear nuevo
-        setStep(user, "collect_name", { tenantId, identifyMethod: "dni", dni });
+        await setStep(user, "collect_name", { tenantId, identifyMethod: "dni", dni }, tenantId);
         await sendWhatsAppText(
           user,
           `No encontré un cliente con ese DNI. Vamos a crear tu perfil.\n\n` +
@@ -2962,13 +3055,13 @@ const handleWebhookPost = async (req, res) => {
         const hasMultipleBranches = branches && branches.length > 1;
 
         if (hasMultipleBranches && !session.data?.branch_id) {
-          setStep(user, "picking_branch", {
+          await setStep(user, "picking_branch", {
             tenantId: storedTenantId,
             features,
             customer_name: name,
             customerId,
             customer_dni: customerDni,
-          });
+          }, tenantId);
           const botConfig = await getBotConfig(storedTenantId);
           const rows = buildBranchRows(branches, 0);
           await sendList(user, {
@@ -2993,7 +3086,7 @@ const handleWebhookPost = async (req, res) => {
           features,
           branch_id: branchId,
         };
-        setStep(user, "home_menu", sessionData);
+        await setStep(user, "home_menu", sessionData, tenantId);
         
         await sendHomeMenu(user, storedTenantId, {
           name,
@@ -3015,7 +3108,7 @@ const handleWebhookPost = async (req, res) => {
           `ℹ️ Las ${messageType} ahora se gestionan desde la app móvil. Si necesitás ayuda, escribí *hola* y pedí hablar con un asesor.`,
           tenantId
         );
-        setStep(user, "home_menu", {
+        await setStep(user, "home_menu", {
           hasApts: true,
           tenantId,
           customerId: session.data?.customerId,
@@ -3023,7 +3116,7 @@ const handleWebhookPost = async (req, res) => {
           customer_dni: session.data?.customer_dni,
           features,
           branch_id: session.data?.branch_id,
-        });
+        }, tenantId);
         await sendHomeMenu(user, tenantId, { name: customerName, features });
         return res.sendStatus(200);
       }
@@ -3043,14 +3136,14 @@ const handleWebhookPost = async (req, res) => {
         await upsertCustomerNameByPhone(user, name, storedTenantId);
         const customer = await ensureCustomerRecord(user, storedTenantId);
 
-        setStep(user, "membership_collect_dni", {
+        await setStep(user, "membership_collect_dni", {
           ...session.data,
           membership: {
             ...(session.data?.membership || {}),
             name,
             customerId: customer?.id || session.data?.membership?.customerId,
           },
-        });
+        }, tenantId);
 
         await sendWhatsAppText(
           user,
@@ -3079,7 +3172,7 @@ const handleWebhookPost = async (req, res) => {
             "No pude vincular tus datos. Escribí *hola* para empezar de nuevo.",
             storedTenantId
           );
-          reset(user);
+          await reset(user, tenantId);
           return res.sendStatus(200);
         }
 
@@ -3088,13 +3181,13 @@ const handleWebhookPost = async (req, res) => {
           tipo_documento: "96",
         });
 
-        setStep(user, "membership_collect_address", {
+        await setStep(user, "membership_collect_address", {
           ...session.data,
           membership: {
             ...(session.data?.membership || {}),
             documento: dni,
           },
-        });
+        }, tenantId);
 
         await sendWhatsAppText(
           user,
@@ -3121,13 +3214,13 @@ const handleWebhookPost = async (req, res) => {
           await updateCustomerFields(customerId, storedTenantId, { domicilio: address });
         }
 
-        setStep(user, "membership_collect_email", {
+        await setStep(user, "membership_collect_email", {
           ...session.data,
           membership: {
             ...(session.data?.membership || {}),
             address,
           },
-        });
+        }, tenantId);
 
         await sendWhatsAppText(
           user,
@@ -3160,7 +3253,7 @@ const handleWebhookPost = async (req, res) => {
             "No pude vincular tus datos. Escribí *hola* para comenzar otra vez.",
             storedTenantId
           );
-          reset(user);
+          await reset(user, tenantId);
           return res.sendStatus(200);
         }
 
@@ -3209,7 +3302,7 @@ const handleWebhookPost = async (req, res) => {
         const serviceId = session.data.service_id;
 
         // ✅ Obtener slots del tenant correcto
-        const slots = await _getSlots(instructorId, serviceId, day, storedTenantId);
+        const slots = await _getSlots(instructorId, serviceId, day, storedTenantId, session.data?.branch_id || null);
 
         if (!slots.length) {
           await sendWhatsAppText(
@@ -3220,13 +3313,13 @@ const handleWebhookPost = async (req, res) => {
           return res.sendStatus(200);
         }
 
-        setStep(user, "picking_slot", {
+        await setStep(user, "picking_slot", {
           ...session.data,
           day,
           slots,
           slotOffset: 0,
           tenantId: storedTenantId
-        });
+        }, tenantId);
 
         const rows = buildSlotRows(slots, day, 0);
         await sendList(user, {
@@ -3265,7 +3358,65 @@ const handleWebhookPost = async (req, res) => {
       if (!storedTenantId) {
         console.error("[WA] ❌ No hay tenantId en sesión ni en metadata");
         await sendWhatsAppText(user, "Error: sesión inválida. Escribí *hola* para empezar de nuevo.", tenantId);
-        reset(user);
+        await reset(user, tenantId);
+        return res.sendStatus(200);
+      }
+
+      // ====== LISTA DE ESPERA DE CLASES (respuesta a la promoción) ======
+      if (id.startsWith("wl_confirm_") || id.startsWith("wl_decline_")) {
+        const accept = id.startsWith("wl_confirm_");
+        const enrollmentId = Number(id.split("_").pop());
+        const customer = await getCustomerByPhone(user, storedTenantId);
+        if (!customer?.id) {
+          await sendWhatsAppText(user, "⚠️ No encontramos una inscripción asociada a este número.", storedTenantId);
+          return res.sendStatus(200);
+        }
+        const result = await respondToPromotion({
+          tenantId: storedTenantId,
+          enrollmentId,
+          accept,
+          customerId: customer.id,
+        });
+        const text = !result.ok
+          ? `⚠️ ${result.error}.`
+          : accept
+            ? "✅ ¡Listo! Tu lugar en la clase quedó confirmado. ¡Te esperamos! 💪"
+            : "👍 Liberamos el lugar para la siguiente persona en espera. ¡Gracias por avisar!";
+        await sendWhatsAppText(user, text, storedTenantId);
+        return res.sendStatus(200);
+      }
+
+      // ====== REPROGRAMACIÓN POR BLOQUEO DEL PROFESIONAL ======
+      const rescheduleReply = parseRescheduleReply(id);
+      if (rescheduleReply) {
+        const customer = await getCustomerByPhone(user, storedTenantId);
+        if (!customer?.id) {
+          await sendWhatsAppText(user, "⚠️ No encontramos un turno asociado a este número.", storedTenantId);
+          return res.sendStatus(200);
+        }
+        const result = await respondToReschedule({
+          tenantId: storedTenantId,
+          ...rescheduleReply,
+          customerId: customer.id,
+        });
+        if (!result.ok) {
+          await sendWhatsAppText(user, `⚠️ ${result.error}.`, storedTenantId);
+          // El horario elegido se ocupó: mandar opciones actualizadas
+          if (result.retry) await offerReschedule(storedTenantId, rescheduleReply.requestId);
+          return res.sendStatus(200);
+        }
+        let text;
+        if (result.action === "option") {
+          const d = new Date(result.startsAt.replace(" ", "T"));
+          const fecha = d.toLocaleDateString("es-AR", { weekday: "long", day: "2-digit", month: "2-digit" });
+          const hora = d.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+          text = `✅ ¡Listo! Tu turno quedó para el ${fecha} a las ${hora} con ${result.instructorName}.`;
+        } else if (result.action === "cancel") {
+          text = "👍 Cancelamos tu turno. Cuando quieras reservar otro, escribí *hola*.";
+        } else {
+          text = "👌 Perfecto, te vamos a contactar con nuevas opciones apenas tengamos disponibilidad.";
+        }
+        await sendWhatsAppText(user, text, storedTenantId);
         return res.sendStatus(200);
       }
 
@@ -3279,7 +3430,7 @@ const handleWebhookPost = async (req, res) => {
         
         if (!isFullyIdentified) {
           const botConfig = await getBotConfig(storedTenantId);
-          setStep(user, "collect_name", { tenantId: storedTenantId, identifyMethod: "phone" });
+          await setStep(user, "collect_name", { tenantId: storedTenantId, identifyMethod: "phone" }, tenantId);
           await sendWhatsAppText(
             user,
             `Perfecto, te identifico por tu teléfono. ${botConfig.nameRequest || "Ahora decime tu nombre completo."}`,
@@ -3307,17 +3458,17 @@ const handleWebhookPost = async (req, res) => {
           features,
           branch_id: branchId,
         };
-        setStep(user, "home_menu", sessionData);
+        await setStep(user, "home_menu", sessionData, tenantId);
       }
 
       // ====== SELECCIÓN DE SUCURSAL ======
       if (session.step === "picking_branch") {
         if (id === "branch_page_next") {
           const newOffset = (session.data.branchOffset || 0) + 9;
-          setStep(user, "picking_branch", {
+          await setStep(user, "picking_branch", {
             ...session.data,
             branchOffset: newOffset
-          });
+          }, tenantId);
 
           const branches = await listTenantBranches(storedTenantId, { activeOnly: true });
           const rows = buildBranchRows(branches, newOffset);
@@ -3338,7 +3489,7 @@ const handleWebhookPost = async (req, res) => {
 
           if (!selectedBranch) {
             await sendWhatsAppText(user, "Sucursal no encontrada. Escribí *hola* para empezar de nuevo.", storedTenantId);
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
@@ -3354,14 +3505,14 @@ const handleWebhookPost = async (req, res) => {
               return res.sendStatus(200);
             }
 
-            setStep(user, "picking_service", {
+            await setStep(user, "picking_service", {
               services,
               svcOffset: 0,
               tenantId: storedTenantId,
               branch_id: branchId,
               customer_name: customerName,
               features,
-            });
+            }, tenantId);
 
             const botConfig = await getBotConfig(storedTenantId);
             const rows = buildServiceRows(services, 0);
@@ -3376,7 +3527,7 @@ const handleWebhookPost = async (req, res) => {
 
           // Si necesita recolectar el nombre, hacerlo ahora
           if (session.data.needName && !customerName) {
-            setStep(user, "collect_name", { tenantId: storedTenantId, features, branch_id: branchId });
+            await setStep(user, "collect_name", { tenantId: storedTenantId, features, branch_id: branchId }, tenantId);
             const botConfig = await getBotConfig(storedTenantId);
             await sendWhatsAppText(user, botConfig.nameRequest, storedTenantId);
             return res.sendStatus(200);
@@ -3390,7 +3541,7 @@ const handleWebhookPost = async (req, res) => {
             features,
             branch_id: branchId,
           };
-          setStep(user, "home_menu", sessionData);
+          await setStep(user, "home_menu", sessionData, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features, branchId });
           return res.sendStatus(200);
         }
@@ -3409,6 +3560,8 @@ const handleWebhookPost = async (req, res) => {
             cmdId = "action_new";
           } else if (textCmd.includes("mis turnos") || textCmd.includes("ver turnos")) {
             cmdId = "action_view";
+          } else if (textCmd.includes("mis puntos") || textCmd === "puntos") {
+            cmdId = "action_points";
           } else if (textCmd.includes("ayuda")) {
             cmdId = "action_support";
           } else if (textCmd.includes("salir") || textCmd.includes("terminar")) {
@@ -3439,13 +3592,13 @@ const handleWebhookPost = async (req, res) => {
           }
 
           // Mostrar turnos como lista interactiva
-          setStep(user, "viewing_appointments", {
+          await setStep(user, "viewing_appointments", {
             appointments: myApts,
             aptOffset: 0,
             tenantId: storedTenantId,
             customer_name: customerName,
             features,
-          });
+          }, tenantId);
 
           const rows = buildAppointmentRows(myApts, 0);
           await sendList(user, {
@@ -3475,11 +3628,11 @@ const handleWebhookPost = async (req, res) => {
           const hasMultipleBranches = branches && branches.length > 1;
 
           if (hasMultipleBranches && !session.data?.branch_id) {
-            setStep(user, "picking_branch", {
+            await setStep(user, "picking_branch", {
               ...session.data,
               tenantId: storedTenantId,
               needServiceSelection: true,
-            });
+            }, tenantId);
             const botConfig = await getBotConfig(storedTenantId);
             const rows = buildBranchRows(branches, 0);
             await sendList(user, {
@@ -3510,12 +3663,12 @@ const handleWebhookPost = async (req, res) => {
           }
 
           const branchId = hasMultipleBranches && branches.length === 1 ? branches[0].id : (session.data?.branch_id || null);
-          setStep(user, "picking_service", {
+          await setStep(user, "picking_service", {
             services,
             svcOffset: 0,
             tenantId: storedTenantId,
             branch_id: branchId,
-          });
+          }, tenantId);
 
           const botConfig = await getBotConfig(storedTenantId);
           const rows = buildServiceRows(services, 0);
@@ -3530,6 +3683,38 @@ const handleWebhookPost = async (req, res) => {
 
         // Membresías y Clases eliminadas - se manejan desde la app móvil
 
+        if (cmdId === "action_points") {
+          const customer = await getCustomerByPhone(user, storedTenantId);
+          const loyalty = customer ? await getCustomerLoyalty(storedTenantId, customer.id, { limit: 3 }) : null;
+
+          if (!loyalty?.enabled) {
+            await sendWhatsAppText(user, "Por ahora no tenemos un programa de puntos activo.", storedTenantId);
+          } else {
+            const lines = [`⭐ *Tus puntos:* ${loyalty.balance}`];
+            if (loyalty.expiringSoon.points > 0) {
+              const [y, m, d] = loyalty.expiringSoon.nextExpiry.split("-");
+              lines.push(`⏳ ${loyalty.expiringSoon.points} puntos vencen a partir del ${d}/${m}/${y}.`);
+            }
+            const rewards = await listLoyaltyRewards(storedTenantId);
+            if (rewards.length) {
+              lines.push("", "🎁 *Premios disponibles:*");
+              rewards.slice(0, 8).forEach((reward) => {
+                const mark = loyalty.balance >= reward.pointsCost ? "✅" : "•";
+                lines.push(`${mark} ${reward.name}: ${reward.pointsCost} puntos`);
+              });
+              lines.push("", "Podés canjearlos desde la app o pedirlo en recepción.");
+            }
+            await sendWhatsAppText(user, lines.join("\n"), storedTenantId);
+          }
+
+          await sendHomeMenu(user, storedTenantId, {
+            name: customerName,
+            features,
+            header: "¿Querés hacer algo más?",
+          });
+          return res.sendStatus(200);
+        }
+
         if (cmdId === "action_support") {
           // Obtener información del tenant y admin para soporte
           const tenantName = await getTenantName(storedTenantId);
@@ -3547,12 +3732,13 @@ const handleWebhookPost = async (req, res) => {
           const customerName = customer?.name || "Sin nombre";
           
           // Cambiar estado a "waiting_for_agent" para que los mensajes se reenvíen al agente
-          setStep(user, "waiting_for_agent", {
+          await setStep(user, "waiting_for_agent", {
             ...session.data,
             tenantId: storedTenantId,
             supportAgentPhone: supportAgentPhone,
             customerName: customerName,
-          });
+          }, tenantId);
+          await flagInboxHandoff(storedTenantId, user);
 
           // Enviar mensaje al cliente indicando que está conectado con un agente
           await sendWhatsAppText(
@@ -3580,10 +3766,10 @@ const handleWebhookPost = async (req, res) => {
               // Guardar el message_id para mantener el contexto en futuros mensajes
               if (result.messageId) {
                 // Actualizar la sesión con el message_id para que el primer mensaje pueda usarlo como contexto
-                setStep(user, "waiting_for_agent", {
+                await setStep(user, "waiting_for_agent", {
                   ...session.data,
                   lastMessageIdToAgent: result.messageId,
-                });
+                }, tenantId);
               }
               console.log(`[WA Support] ✅ Notificación enviada al agente ${supportAgentPhone} para cliente ${user} (método: ${result.method})`);
             } else {
@@ -3612,7 +3798,7 @@ const handleWebhookPost = async (req, res) => {
 
         if (cmdId === "action_end") {
           // Terminar conversación
-          reset(user);
+          await reset(user, tenantId);
           const tenantName = await getTenantName(storedTenantId);
           await sendWhatsAppText(
             user,
@@ -3630,12 +3816,12 @@ const handleWebhookPost = async (req, res) => {
           // Por ahora, permitimos a todos ver los planes, pero la suscripción requiere email
           const plans = listPlans();
           
-          setStep(user, "platform_plans_menu", {
+          await setStep(user, "platform_plans_menu", {
             ...session.data,
             tenantId: storedTenantId,
             platformPlans: plans,
             platformPlanOffset: 0,
-          });
+          }, tenantId);
 
           // Mapear códigos de planes a precios reales
           const planPrices = {
@@ -3686,10 +3872,10 @@ const handleWebhookPost = async (req, res) => {
           `ℹ️ Las membresías ahora se gestionan desde la app móvil. Si necesitás ayuda, escribí *hola* y pedí hablar con un asesor.`,
           storedTenantId
         );
-        setStep(user, "home_menu", {
+        await setStep(user, "home_menu", {
           ...session.data,
           tenantId: storedTenantId,
-        });
+        }, tenantId);
         await sendHomeMenu(user, storedTenantId, { name: customerName, features });
         return res.sendStatus(200);
       }
@@ -3702,20 +3888,20 @@ const handleWebhookPost = async (req, res) => {
 
         if (id === "plan_page_next") {
           offset = offset + 9 >= plans.length ? 0 : offset + 9;
-          setStep(user, "membership_menu", {
+          await setStep(user, "membership_menu", {
             ...session.data,
             membershipPlanOffset: offset,
-          });
+          }, tenantId);
           await promptMembershipPlanList(user, storedTenantId, plans, offset);
           return res.sendStatus(200);
         }
 
         if (id === "plan_back_home") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             membershipPlans: plans,
             membershipPlanOffset: 0,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -3733,14 +3919,14 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "membership_confirm_plan", {
+          await setStep(user, "membership_confirm_plan", {
             ...session.data,
             membership: {
               ...(session.data?.membership || {}),
               plan,
               tenantId: storedTenantId,
             },
-          });
+          }, tenantId);
 
           await sendWhatsAppText(user, describeMembershipPlan(plan), storedTenantId);
           await sendButtons(
@@ -3771,10 +3957,10 @@ const handleWebhookPost = async (req, res) => {
 
         if (id === "membership_contract") {
           // Mostrar planes disponibles para contratar
-          setStep(user, "membership_menu", {
+          await setStep(user, "membership_menu", {
             ...session.data,
             membershipPlanOffset: 0,
-          });
+          }, tenantId);
           await promptMembershipPlanList(user, storedTenantId, plans, 0);
           return res.sendStatus(200);
         }
@@ -3791,12 +3977,13 @@ const handleWebhookPost = async (req, res) => {
           const customer = await getCustomerByPhone(user, storedTenantId);
           const customerNameForSupport = customer?.name || customerName || "Sin nombre";
           
-          setStep(user, "waiting_for_agent", {
+          await setStep(user, "waiting_for_agent", {
             ...session.data,
             tenantId: storedTenantId,
             supportAgentPhone: supportAgentPhone,
             customerName: customerNameForSupport,
-          });
+          }, tenantId);
+          await flagInboxHandoff(storedTenantId, user);
 
           await sendWhatsAppText(
             user,
@@ -3821,7 +4008,9 @@ const handleWebhookPost = async (req, res) => {
             if (result.success) {
               // Guardar el message_id para mantener el contexto en futuros mensajes
               if (result.messageId) {
-                session.data.lastMessageIdToAgent = result.messageId;
+                await setStep(user, "waiting_for_agent", {
+                  lastMessageIdToAgent: result.messageId,
+                }, tenantId);
               }
               console.log(`[WA Support] Notificación enviada al agente ${supportAgentPhone} para cliente ${user} (membresías) (método: ${result.method})`);
             } else {
@@ -3834,10 +4023,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "membership_back_home") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             membershipPlans: null,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -3866,11 +4055,11 @@ const handleWebhookPost = async (req, res) => {
         const features = session.data?.features || {};
 
         if (id === "plan_back_home" || id === "action_back") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             platformPlans: plans,
             platformPlanOffset: 0,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -3961,10 +4150,10 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "platform_plan_confirm", {
+          await setStep(user, "platform_plan_confirm", {
             ...session.data,
             selectedPlan: plan,
-          });
+          }, tenantId);
 
           await sendButtons(
             user,
@@ -4021,10 +4210,10 @@ const handleWebhookPost = async (req, res) => {
         const features = session.data?.features || {};
 
         if (id === "platform_plan_back") {
-          setStep(user, "platform_plans_menu", {
+          await setStep(user, "platform_plans_menu", {
             ...session.data,
             selectedPlan: null,
-          });
+          }, tenantId);
           const plans = session.data?.platformPlans || [];
           // Mapear códigos de planes a precios reales
           const planPrices = {
@@ -4074,7 +4263,7 @@ const handleWebhookPost = async (req, res) => {
               "No pude encontrar el plan seleccionado. Escribí *hola* para empezar de nuevo.",
               storedTenantId
             );
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
@@ -4259,7 +4448,7 @@ const handleWebhookPost = async (req, res) => {
               storedTenantId
             );
 
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           } catch (error) {
             console.error("[WA] Error en suscripción desde WhatsApp:", error);
@@ -4420,12 +4609,12 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "membership_menu", {
+          await setStep(user, "membership_menu", {
             ...session.data,
             membershipPlans: plans,
             membershipPlanOffset: 0,
             activeSubscription: null,
-          });
+          }, tenantId);
           await promptMembershipPlanList(user, storedTenantId, plans, 0);
           return res.sendStatus(200);
         }
@@ -4443,12 +4632,13 @@ const handleWebhookPost = async (req, res) => {
           const customerNameForSupport = customer?.name || customerName || "Sin nombre";
           const planName = subscription?.plan_name || subscription?.reason || "N/A";
           
-          setStep(user, "waiting_for_agent", {
+          await setStep(user, "waiting_for_agent", {
             ...session.data,
             tenantId: storedTenantId,
             supportAgentPhone: supportAgentPhone,
             customerName: customerNameForSupport,
-          });
+          }, tenantId);
+          await flagInboxHandoff(storedTenantId, user);
 
           await sendWhatsAppText(
             user,
@@ -4473,7 +4663,9 @@ const handleWebhookPost = async (req, res) => {
             if (result.success) {
               // Guardar el message_id para mantener el contexto en futuros mensajes
               if (result.messageId) {
-                session.data.lastMessageIdToAgent = result.messageId;
+                await setStep(user, "waiting_for_agent", {
+                  lastMessageIdToAgent: result.messageId,
+                }, tenantId);
               }
               console.log(`[WA Support] Notificación enviada al agente ${supportAgentPhone} para cliente ${user} (membresía: ${planName}) (método: ${result.method})`);
             } else {
@@ -4486,10 +4678,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "membership_back_home") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             activeSubscription: null,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -4519,10 +4711,10 @@ const handleWebhookPost = async (req, res) => {
         const customerName = session.data?.customer_name || null;
 
         if (id === "membership_plan_back") {
-          setStep(user, "membership_menu", {
+          await setStep(user, "membership_menu", {
             ...session.data,
             membershipPlanOffset: session.data?.membershipPlanOffset || 0,
-          });
+          }, tenantId);
           await promptMembershipPlanList(
             user,
             storedTenantId,
@@ -4533,10 +4725,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "membership_plan_cancel") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             membership: null,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -4548,10 +4740,10 @@ const handleWebhookPost = async (req, res) => {
               "No pude identificar el plan seleccionado. Probemos de nuevo.",
               storedTenantId
             );
-            setStep(user, "membership_menu", {
+            await setStep(user, "membership_menu", {
               ...session.data,
               membership: null,
-            });
+            }, tenantId);
             await promptMembershipPlanList(
               user,
               storedTenantId,
@@ -4600,18 +4792,18 @@ const handleWebhookPost = async (req, res) => {
             storedTenantId
           );
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
-          setStep(user, "home_menu", { tenantId: storedTenantId, features });
+          await setStep(user, "home_menu", { tenantId: storedTenantId, features }, tenantId);
           return res.sendStatus(200);
         }
 
         if (id === "class_back_home") {
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             tenantId: storedTenantId,
             classes: [],
             classOffset: 0,
             selectedClass: null,
-          });
+          }, tenantId);
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
@@ -4666,13 +4858,13 @@ const handleWebhookPost = async (req, res) => {
           }
 
           if (series.length) {
-            setStep(user, "picking_series", {
+            await setStep(user, "picking_series", {
               ...session.data,
               classOffset: 0,
               seriesOffset: 0,
               seriesList: series,
               singles,
-            });
+            }, tenantId);
 
             const rows = buildSeriesRows(series, 0);
             await sendList(
@@ -4689,13 +4881,13 @@ const handleWebhookPost = async (req, res) => {
           }
 
           // Fallback: no hay series, mostrar clases individuales
-          setStep(user, "picking_class", {
+          await setStep(user, "picking_class", {
             ...session.data,
             classes: singles,
             classOffset: 0,
             seriesList: [],
             singles,
-          });
+          }, tenantId);
 
           const rows = buildClassRows(singles, 0);
           await sendList(
@@ -4728,10 +4920,10 @@ const handleWebhookPost = async (req, res) => {
         if (id === "ser_page_next") {
           const currentOffset = session.data.seriesOffset || 0;
           const newOffset = currentOffset + 8;
-          setStep(user, "picking_series", {
+          await setStep(user, "picking_series", {
             ...session.data,
             seriesOffset: newOffset,
-          });
+          }, tenantId);
 
           const rows = buildSeriesRows(session.data.seriesList || [], newOffset);
           await sendList(
@@ -4769,13 +4961,13 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "picking_class", {
+          await setStep(user, "picking_class", {
             ...session.data,
             classes: singles,
             classOffset: 0,
             selectedSeries: null,
             fromSeriesList: true,
-          });
+          }, tenantId);
 
           const rows = buildClassRows(singles, 0);
           await sendList(
@@ -4792,10 +4984,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "class_back_menu") {
-          setStep(user, "class_menu", {
+          await setStep(user, "class_menu", {
             ...session.data,
             selectedSeries: null,
-          });
+          }, tenantId);
           await sendButtons(
             user,
             {
@@ -4826,10 +5018,10 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "confirming_series", {
+          await setStep(user, "confirming_series", {
             ...session.data,
             selectedSeries,
-          });
+          }, tenantId);
 
           const detail = describeSeriesSummary(selectedSeries);
           await sendButtons(
@@ -4855,10 +5047,10 @@ const handleWebhookPost = async (req, res) => {
         if (id === "cls_page_next") {
           const currentOffset = session.data.classOffset || 0;
           const newOffset = currentOffset + 8;
-          setStep(user, "picking_class", {
+          await setStep(user, "picking_class", {
             ...session.data,
             classOffset: newOffset,
-          });
+          }, tenantId);
 
           const rows = buildClassRows(session.data.classes || [], newOffset, {
             showBackToSeries: Boolean(session.data.selectedSeries),
@@ -4877,10 +5069,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "class_back_menu") {
-          setStep(user, "class_menu", {
+          await setStep(user, "class_menu", {
             ...session.data,
             selectedClass: null,
-          });
+          }, tenantId);
           await sendButtons(
             user,
             {
@@ -4900,11 +5092,11 @@ const handleWebhookPost = async (req, res) => {
         if (id === "series_back_detail") {
           const selectedSeries = session.data.selectedSeries;
           if (selectedSeries) {
-            setStep(user, "confirming_series", {
+            await setStep(user, "confirming_series", {
               ...session.data,
               selectedSeries,
               classes: session.data.classes,
-            });
+            }, tenantId);
 
             const detail = describeSeriesSummary(selectedSeries);
             await sendButtons(
@@ -4939,10 +5131,10 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "confirming_class", {
+          await setStep(user, "confirming_class", {
             ...session.data,
             selectedClass: selected,
-          });
+          }, tenantId);
 
           const detail = describeClassSession(selected);
           const confirmButtons = [
@@ -4976,10 +5168,10 @@ const handleWebhookPost = async (req, res) => {
         const features = session.data?.features || {};
 
         if (id === "series_back_list") {
-          setStep(user, "picking_series", {
+          await setStep(user, "picking_series", {
             ...session.data,
             selectedSeries: null,
-          });
+          }, tenantId);
 
           const rows = buildSeriesRows(session.data.seriesList || [], session.data.seriesOffset || 0);
           await sendList(
@@ -5006,12 +5198,12 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "picking_class", {
+          await setStep(user, "picking_class", {
             ...session.data,
             classes,
             classOffset: 0,
             selectedSeries,
-          });
+          }, tenantId);
 
           const rows = buildClassRows(classes, 0, { showBackToSeries: true });
           await sendList(
@@ -5094,22 +5286,22 @@ const handleWebhookPost = async (req, res) => {
 
           await sendWhatsAppText(user, summaryLines.filter(Boolean).join("\n"), storedTenantId);
 
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             selectedSeries: null,
             classes: [],
             seriesList: session.data.seriesList,
-          });
+          }, tenantId);
 
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
         }
 
         if (id === "class_back_menu") {
-          setStep(user, "class_menu", {
+          await setStep(user, "class_menu", {
             ...session.data,
             selectedSeries: null,
-          });
+          }, tenantId);
           await sendButtons(
             user,
             {
@@ -5134,10 +5326,10 @@ const handleWebhookPost = async (req, res) => {
         const customerName = session.data?.customer_name || session.data?.customerName || null;
 
         if (id === "class_back_list") {
-          setStep(user, "picking_class", {
+          await setStep(user, "picking_class", {
             ...session.data,
             selectedClass: null,
-          });
+          }, tenantId);
 
           const rows = buildClassRows(session.data.classes || [], session.data.classOffset || 0, {
             showBackToSeries: Boolean(session.data.selectedSeries),
@@ -5156,10 +5348,10 @@ const handleWebhookPost = async (req, res) => {
         }
 
         if (id === "class_back_menu") {
-          setStep(user, "class_menu", {
+          await setStep(user, "class_menu", {
             ...session.data,
             selectedClass: null,
-          });
+          }, tenantId);
           await sendButtons(
             user,
             {
@@ -5222,12 +5414,12 @@ const handleWebhookPost = async (req, res) => {
             storedTenantId
           );
 
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             selectedClass: null,
             classes: [],
             classOffset: 0,
-          });
+          }, tenantId);
 
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
@@ -5301,12 +5493,12 @@ const handleWebhookPost = async (req, res) => {
 
           await sendWhatsAppText(user, summaryLines.filter(Boolean).join("\n"), storedTenantId);
 
-          setStep(user, "home_menu", {
+          await setStep(user, "home_menu", {
             ...session.data,
             selectedClass: null,
             classes: [],
             classOffset: 0,
-          });
+          }, tenantId);
 
           await sendHomeMenu(user, storedTenantId, { name: customerName, features });
           return res.sendStatus(200);
@@ -5317,10 +5509,10 @@ const handleWebhookPost = async (req, res) => {
       if (session.step === "picking_service") {
         if (id === "svc_page_next") {
           const newOffset = (session.data.svcOffset || 0) + 9;
-          setStep(user, "picking_service", {
+          await setStep(user, "picking_service", {
             ...session.data,
             svcOffset: newOffset
-          });
+          }, tenantId);
 
           const rows = buildServiceRows(session.data.services, newOffset);
           await sendList(user, {
@@ -5338,7 +5530,7 @@ const handleWebhookPost = async (req, res) => {
 
           if (!service) {
             await sendWhatsAppText(user, "Servicio no encontrado. Escribí *hola* para empezar de nuevo.", storedTenantId); // ✅ Agregado tenantId
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
@@ -5349,7 +5541,7 @@ const handleWebhookPost = async (req, res) => {
             return res.sendStatus(200);
           }
 
-          setStep(user, "picking_instructor", {
+          await setStep(user, "picking_instructor", {
             service_id: serviceId,
             service_name: service.name,
             price: service.price_decimal,
@@ -5357,7 +5549,7 @@ const handleWebhookPost = async (req, res) => {
             stfOffset: 0,
             tenantId: storedTenantId,
             branch_id: session.data?.branch_id || null,
-          });
+          }, tenantId);
 
           const botConfig = await getBotConfig(storedTenantId);
           const rows = buildInstructorRows(instructors, 0);
@@ -5375,10 +5567,10 @@ const handleWebhookPost = async (req, res) => {
       if (session.step === "picking_instructor") {
         if (id === "stf_page_next") {
           const newOffset = (session.data.stfOffset || 0) + 9;
-          setStep(user, "picking_instructor", {
+          await setStep(user, "picking_instructor", {
             ...session.data,
             stfOffset: newOffset
-          });
+          }, tenantId);
 
           const rows = buildInstructorRows(session.data.instructors, newOffset);
           await sendList(user, {
@@ -5396,15 +5588,15 @@ const handleWebhookPost = async (req, res) => {
 
           if (!instructor) {
             await sendWhatsAppText(user, "Profesional no encontrado/a. Escribí *hola* para empezar de nuevo.", storedTenantId); // ✅ Agregado tenantId
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
-          setStep(user, "picking_date", {
+          await setStep(user, "picking_date", {
             ...session.data,
             instructor_id: instructorId,
             instructor_name: instructor.name,
-          });
+          }, tenantId);
 
           await sendWhatsAppText(
             user,
@@ -5423,10 +5615,10 @@ const handleWebhookPost = async (req, res) => {
       if (session.step === "picking_slot") {
         if (id === "slot_page_next") {
           const newOffset = (session.data.slotOffset || 0) + 9;
-          setStep(user, "picking_slot", {
+          await setStep(user, "picking_slot", {
             ...session.data,
             slotOffset: newOffset
-          });
+          }, tenantId);
 
           const rows = buildSlotRows(session.data.slots, session.data.day, newOffset);
           await sendList(user, {
@@ -5476,9 +5668,30 @@ const handleWebhookPost = async (req, res) => {
             
             const requireDeposit = requireDepositRow?.config_value === '1' || requireDepositRow?.config_value === 'true';
             
-            const price = Number(session.data.price || 0);
+            let price = Number(session.data.price || 0);
             let depositAmount = 0;
             let depositPct = null; // ✅ Declarar fuera del bloque para que esté disponible más abajo
+
+            // Código promocional: se revalida y la seña se calcula sobre el precio con descuento
+            let promoCode = session.data.promo_code || null;
+            if (promoCode) {
+              try {
+                const customer = await getCustomerByPhone(user, storedTenantId);
+                const promo = await quotePromoCode(pool, storedTenantId, {
+                  code: promoCode,
+                  customerId: customer?.id || null,
+                  serviceId: session.data.service_id,
+                });
+                price = promo.finalAmount;
+              } catch (promoError) {
+                promoCode = null;
+                await sendWhatsAppText(
+                  user,
+                  `⚠️ ${promoError.statusCode ? promoError.message : "No pudimos aplicar el código."} Seguimos con el precio de lista.`,
+                  storedTenantId
+                );
+              }
+            }
             
             if (requireDeposit && !isExemptDeposit) {
               const [[modeRow]] = await pool.query(`
@@ -5499,6 +5712,7 @@ const handleWebhookPost = async (req, res) => {
                 depositPct = await cfgNumber("payments.deposit_percent", 20, storedTenantId);
                 depositAmount = Math.round((price * depositPct) / 100);
               }
+              if (promoCode) depositAmount = Math.min(depositAmount, price);
             }
 
             const result = await _bookWithDeposit(
@@ -5508,7 +5722,8 @@ const handleWebhookPost = async (req, res) => {
               startsAtLocal,
               depositAmount,
               storedTenantId,
-              session.data?.branch_id || null // Pasar branchId de la sesión
+              session.data?.branch_id || null, // Pasar branchId de la sesión
+              promoCode
             );
 
             if (!result.ok) {
@@ -5534,7 +5749,7 @@ const handleWebhookPost = async (req, res) => {
               `• Servicio: *${session.data.service_name}*\n` +
               `• Profesional: *${session.data.instructor_name}*\n` +
               `• Fecha: *${fecha} ${hora}*\n` +
-              `• Precio: *$${price.toFixed(2)}*\n\n`;
+              `• Precio: *$${price.toFixed(2)}*${result.promo ? ` (código ${result.promo.code})` : ""}\n\n`;
 
             if (requiresDeposit) {
               const holdMin = await cfgNumber("deposit.holdMinutes", 30, storedTenantId);
@@ -5572,7 +5787,7 @@ const handleWebhookPost = async (req, res) => {
             await sendWhatsAppText(user, msg, storedTenantId); // ✅ Agregado tenantId
             
             // Si estaba en modo waiting_for_agent, notificar al agente que la conversación terminó
-            const currentSession = getSession(user);
+            const currentSession = await getSession(user, tenantId);
             if (currentSession.step === "waiting_for_agent" && currentSession.data?.supportAgentPhone) {
               const supportAgentPhone = currentSession.data.supportAgentPhone;
               const customerName = currentSession.data?.customerName || "Cliente";
@@ -5592,7 +5807,7 @@ const handleWebhookPost = async (req, res) => {
               clearNotificationRecords(user, storedTenantId);
             }
             
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
 
           } catch (bookErr) {
@@ -5611,10 +5826,10 @@ const handleWebhookPost = async (req, res) => {
       if (session.step === "viewing_appointments") {
         if (id === "apt_page_next") {
           const newOffset = (session.data.aptOffset || 0) + 9;
-          setStep(user, "viewing_appointments", {
+          await setStep(user, "viewing_appointments", {
             ...session.data,
             aptOffset: newOffset
-          });
+          }, tenantId);
 
           const rows = buildAppointmentRows(session.data.appointments, newOffset);
           await sendList(user, {
@@ -5632,7 +5847,7 @@ const handleWebhookPost = async (req, res) => {
 
           if (!appointment) {
             await sendWhatsAppText(user, "Turno no encontrado. Escribí *hola* para empezar de nuevo.", storedTenantId);
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
@@ -5645,7 +5860,7 @@ const handleWebhookPost = async (req, res) => {
               name: session.data.customer_name,
               features: session.data.features,
             });
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
@@ -5655,19 +5870,19 @@ const handleWebhookPost = async (req, res) => {
               name: session.data.customer_name,
               features: session.data.features,
             });
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
 
           // Guardar turno seleccionado y mostrar menú de opciones
-          setStep(user, "appointment_options", {
+          await setStep(user, "appointment_options", {
             appointment_id: appointmentId,
             appointment: appointment,
             tenantId: storedTenantId,
             customer_name: session.data.customer_name,
             customerId: session.data.customerId,
             features: session.data.features,
-          });
+          }, tenantId);
 
           const d = new Date(appointment.starts_at);
           const fecha = d.toLocaleDateString("es-AR", {
@@ -5724,14 +5939,14 @@ const handleWebhookPost = async (req, res) => {
           });
 
           if (myApts.length) {
-            setStep(user, "viewing_appointments", {
+            await setStep(user, "viewing_appointments", {
               appointments: myApts,
               aptOffset: 0,
               tenantId: storedTenantId,
               customer_name: session.data.customer_name,
               customerId: session.data.customerId,
               features: session.data.features,
-            });
+            }, tenantId);
 
             const rows = buildAppointmentRows(myApts, 0);
             await sendList(user, {
@@ -5746,21 +5961,21 @@ const handleWebhookPost = async (req, res) => {
               name: session.data.customer_name,
               features: session.data.features,
             });
-            reset(user);
+            await reset(user, tenantId);
           }
           return res.sendStatus(200);
         }
 
         // Cancelar turno - ir al flujo de cancelación
         if (id === "apt_cancel") {
-          setStep(user, "canceling_appointment", {
+          await setStep(user, "canceling_appointment", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
             customer_name: session.data.customer_name,
             customerId: session.data.customerId,
             features: session.data.features,
-          });
+          }, tenantId);
 
           await sendButtons(
             user,
@@ -5779,14 +5994,14 @@ const handleWebhookPost = async (req, res) => {
 
         // Avisar inconveniente - mostrar tipos de aviso
         if (id === "apt_alert") {
-          setStep(user, "appointment_alert_type", {
+          await setStep(user, "appointment_alert_type", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
             customer_name: session.data.customer_name,
             customerId: session.data.customerId,
             features: session.data.features,
-          });
+          }, tenantId);
 
           await sendList(user, {
             header: "Tipo de aviso",
@@ -5810,14 +6025,14 @@ const handleWebhookPost = async (req, res) => {
 
         // Volver al menú de opciones del turno
         if (id === "alert_back") {
-          setStep(user, "appointment_options", {
+          await setStep(user, "appointment_options", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
             customer_name: session.data.customer_name,
             customerId: session.data.customerId,
             features: session.data.features,
-          });
+          }, tenantId);
 
           const d = new Date(appointment.starts_at);
           const fecha = d.toLocaleDateString("es-AR", {
@@ -5862,7 +6077,7 @@ const handleWebhookPost = async (req, res) => {
 
         // Llegada tarde - pedir minutos de demora
         if (id === "alert_late") {
-          setStep(user, "appointment_alert_late", {
+          await setStep(user, "appointment_alert_late", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
@@ -5870,7 +6085,7 @@ const handleWebhookPost = async (req, res) => {
             customerId: session.data.customerId,
             features: session.data.features,
             alert_type: "late",
-          });
+          }, tenantId);
 
           await sendWhatsAppText(
             user,
@@ -5884,7 +6099,7 @@ const handleWebhookPost = async (req, res) => {
 
         // No puede asistir
         if (id === "alert_cannot") {
-          setStep(user, "appointment_alert_cannot", {
+          await setStep(user, "appointment_alert_cannot", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
@@ -5892,7 +6107,7 @@ const handleWebhookPost = async (req, res) => {
             customerId: session.data.customerId,
             features: session.data.features,
             alert_type: "cannot_attend",
-          });
+          }, tenantId);
 
           await sendWhatsAppText(
             user,
@@ -5906,7 +6121,7 @@ const handleWebhookPost = async (req, res) => {
 
         // Otro motivo
         if (id === "alert_other") {
-          setStep(user, "appointment_alert_other", {
+          await setStep(user, "appointment_alert_other", {
             appointment_id: session.data.appointment_id,
             appointment: appointment,
             tenantId: storedTenantId,
@@ -5914,7 +6129,7 @@ const handleWebhookPost = async (req, res) => {
             customerId: session.data.customerId,
             features: session.data.features,
             alert_type: "other",
-          });
+          }, tenantId);
 
           await sendWhatsAppText(
             user,
@@ -5969,7 +6184,7 @@ const handleWebhookPost = async (req, res) => {
           name: session.data.customer_name,
           features: session.data.features,
         });
-        reset(user);
+        await reset(user, tenantId);
         return res.sendStatus(200);
       }
 
@@ -6006,7 +6221,7 @@ const handleWebhookPost = async (req, res) => {
           name: session.data.customer_name,
           features: session.data.features,
         });
-        reset(user);
+        await reset(user, tenantId);
         return res.sendStatus(200);
       }
 
@@ -6050,7 +6265,7 @@ const handleWebhookPost = async (req, res) => {
           name: session.data.customer_name,
           features: session.data.features,
         });
-        reset(user);
+        await reset(user, tenantId);
         return res.sendStatus(200);
       }
 
@@ -6058,13 +6273,13 @@ const handleWebhookPost = async (req, res) => {
       if (session.step === "canceling_appointment") {
         if (id === "cancel_back") {
           // Volver a la lista de turnos
-          setStep(user, "viewing_appointments", {
+          await setStep(user, "viewing_appointments", {
             appointments: session.data.appointment ? [session.data.appointment] : [],
             aptOffset: 0,
             tenantId: session.data.tenantId,
             customer_name: session.data.customer_name,
             features: session.data.features,
-          });
+          }, tenantId);
 
           // Recargar lista de turnos
           const myApts = await listUpcomingAppointmentsByPhone(user, {
@@ -6073,13 +6288,13 @@ const handleWebhookPost = async (req, res) => {
           });
 
           if (myApts.length) {
-            setStep(user, "viewing_appointments", {
+            await setStep(user, "viewing_appointments", {
               appointments: myApts,
               aptOffset: 0,
               tenantId: session.data.tenantId,
               customer_name: session.data.customer_name,
               features: session.data.features,
-            });
+            }, tenantId);
 
             const rows = buildAppointmentRows(myApts, 0);
             await sendList(user, {
@@ -6094,7 +6309,7 @@ const handleWebhookPost = async (req, res) => {
               name: session.data.customer_name,
               features: session.data.features,
             });
-            reset(user);
+            await reset(user, tenantId);
           }
           return res.sendStatus(200);
         }
@@ -6128,7 +6343,7 @@ const handleWebhookPost = async (req, res) => {
                 name: session.data.customer_name,
                 features: session.data.features,
               });
-              reset(user);
+              await reset(user, tenantId);
               return res.sendStatus(200);
             }
 
@@ -6256,12 +6471,12 @@ const handleWebhookPost = async (req, res) => {
             );
 
             // Establecer estado a home_menu en lugar de resetear, para que el usuario pueda continuar
-            setStep(user, "home_menu", {
+            await setStep(user, "home_menu", {
               hasApts: true,
               customer_name: session.data.customer_name,
               tenantId: storedTenantId,
               features: session.data.features || {},
-            });
+            }, tenantId);
 
             await sendHomeMenu(user, storedTenantId, {
               name: session.data.customer_name,
@@ -6278,7 +6493,7 @@ const handleWebhookPost = async (req, res) => {
               `❌ No se pudo cancelar el turno: ${error.message}\n\nEscribí *hola* para empezar de nuevo.`,
               storedTenantId
             );
-            reset(user);
+            await reset(user, tenantId);
             return res.sendStatus(200);
           }
         }
@@ -6610,14 +6825,15 @@ async function refundPayment(mpPaymentId, tenantId, amount) {
   }
 }
 
-async function _getSlots(instructorId, serviceId, date, tenantId) {
+async function _getSlots(instructorId, serviceId, date, tenantId, branchId = null) {
   if (!tenantId) throw new Error("tenantId requerido en _getSlots");
 
   const res = await getFreeSlots({
     tenantId,
     instructorId: Number(instructorId),
     serviceId: Number(serviceId),
-    date
+    date,
+    branchId: branchId ? Number(branchId) : null,
   });
 
   let baseSlots = Array.isArray(res) ? res : (res?.slots ?? res?.data?.slots ?? []);
@@ -6687,7 +6903,7 @@ async function _getSlots(instructorId, serviceId, date, tenantId) {
   return free;
 }
 
-async function _bookWithDeposit(customerPhoneE164, instructorId, serviceId, startsAtLocal, depositDecimal, tenantId, branchId = null) {
+async function _bookWithDeposit(customerPhoneE164, instructorId, serviceId, startsAtLocal, depositDecimal, tenantId, branchId = null, promoCode = null) {
   if (!tenantId) throw new Error("tenantId requerido en _bookWithDeposit");
 
   return createAppointment({
@@ -6700,5 +6916,7 @@ async function _bookWithDeposit(customerPhoneE164, instructorId, serviceId, star
     markDepositAsPaid: false,
     tenantId,
     branchId: branchId || null, // Usar branchId de la sesión si está disponible
+    promoCode,
+    promoChannel: "whatsapp",
   });
 }
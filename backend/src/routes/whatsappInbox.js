@@ -0,0 +1,170 @@
+// src/routes/whatsappInbox.js — MULTI-TENANT
+// Bandeja de entrada compartida de WhatsApp para el equipo del negocio
+import { Router } from "express";
+import { requireAuth, requireRole } from "../auth/middlewares.js";
+import {
+  listConversations,
+  countPendingConversations,
+  getConversation,
+  assignConversation,
+  returnConversationToBot,
+  closeConversation,
+  sendConversationReply,
+  sendConversationTemplate,
+  listApprovedTemplates,
+  listInboxAgents,
+} from "../services/whatsappInbox.js";
+
+export const whatsappInbox = Router();
+whatsappInbox.use(requireAuth, requireRole("admin", "staff", "user"));
+
+function sendError(res, e, fallback) {
+  const status = e.statusCode || e.status || 500;
+  return res.status(status).json({ ok: false, error: status === 500 ? fallback : e.message });
+}
+
+/**
+ * GET /api/whatsapp-inbox/conversations?status=open|pending|assigned|bot|closed&mine=1&q=
+ */
+whatsappInbox.get("/conversations", async (req, res) => {
+  try {
+    const data = await listConversations(req.tenant.id, {
+      status: req.query.status || null,
+      mine: req.query.mine === "1",
+      userId: req.user?.id || null,
+      q: req.query.q || "",
+      limit: req.query.limit,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/whatsapp-inbox/conversations] error:", e);
+    return sendError(res, e, "Error al obtener las conversaciones");
+  }
+});
+
+whatsappInbox.get("/pending-count", async (req, res) => {
+  try {
+    const total = await countPendingConversations(req.tenant.id);
+    return res.json({ ok: true, data: { total } });
+  } catch (e) {
+    console.error("[GET /api/whatsapp-inbox/pending-count] error:", e);
+    return sendError(res, e, "Error al contar las conversaciones");
+  }
+});
+
+whatsappInbox.get("/templates", async (req, res) => {
+  try {
+    const data = await listApprovedTemplates(req.tenant.id);
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/whatsapp-inbox/templates] error:", e);
+    return sendError(res, e, "Error al obtener las plantillas");
+  }
+});
+
+whatsappInbox.get("/agents", async (req, res) => {
+  try {
+    const data = await listInboxAgents(req.tenant.id);
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/whatsapp-inbox/agents] error:", e);
+    return sendError(res, e, "Error al obtener el equipo");
+  }
+});
+
+/**
+ * GET /api/whatsapp-inbox/conversations/:id?beforeId= — mensajes de la conversación
+ */
+whatsappInbox.get("/conversations/:id(\\d+)", async (req, res) => {
+  try {
+    const data = await getConversation(req.tenant.id, Number(req.params.id), {
+      beforeId: req.query.beforeId ? Number(req.query.beforeId) : null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[GET /api/whatsapp-inbox/conversations/:id] error:", e);
+    return sendError(res, e, "Error al obtener la conversación");
+  }
+});
+
+/**
+ * POST /api/whatsapp-inbox/conversations/:id/take — la toma quien la abre
+ */
+whatsappInbox.post("/conversations/:id(\\d+)/take", async (req, res) => {
+  try {
+    const data = await assignConversation(req.tenant.id, Number(req.params.id), { userId: req.user?.id });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/whatsapp-inbox/conversations/:id/take] error:", e);
+    return sendError(res, e, "Error al tomar la conversación");
+  }
+});
+
+/**
+ * POST /api/whatsapp-inbox/conversations/:id/assign
+ * Body: { userId }
+ */
+whatsappInbox.post("/conversations/:id(\\d+)/assign", async (req, res) => {
+  try {
+    const data = await assignConversation(req.tenant.id, Number(req.params.id), {
+      userId: Number(req.body?.userId) || null,
+    });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/whatsapp-inbox/conversations/:id/assign] error:", e);
+    return sendError(res, e, "Error al asignar la conversación");
+  }
+});
+
+whatsappInbox.post("/conversations/:id(\\d+)/close", async (req, res) => {
+  try {
+    const data = await closeConversation(req.tenant.id, Number(req.params.id));
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/whatsapp-inbox/conversations/:id/close] error:", e);
+    return sendError(res, e, "Error al cerrar la conversación");
+  }
+});
+
+/**
+ * POST /api/whatsapp-inbox/conversations/:id/return-to-bot — el bot vuelve a atender
+ */
+whatsappInbox.post("/conversations/:id(\\d+)/return-to-bot", async (req, res) => {
+  try {
+    const data = await returnConversationToBot(req.tenant.id, Number(req.params.id));
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/whatsapp-inbox/conversations/:id/return-to-bot] error:", e);
+    return sendError(res, e, "Error al devolver la conversación al bot");
+  }
+});
+
+/**
+ * POST /api/whatsapp-inbox/conversations/:id/messages
+ * Body: { text } o { templateName, language, params: [] }
+ */
+whatsappInbox.post("/conversations/:id(\\d+)/messages", async (req, res) => {
+  try {
+    const input = req.body || {};
+    const data = input.templateName
+      ? await sendConversationTemplate(req.tenant.id, Number(req.params.id), {
+          templateName: input.templateName,
+          language: input.language,
+          params: input.params,
+          userId: req.user?.id || null,
+        })
+      : await sendConversationReply(req.tenant.id, Number(req.params.id), {
+          text: input.text,
+          userId: req.user?.id || null,
+        });
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/whatsapp-inbox/conversations/:id/messages] error:", e);
+    const status = e.statusCode || e.status || 500;
+    // Errores de la API de Meta (número no habilitado, plantilla inexistente…)
+    if (status === 500 && String(e.message || "").startsWith("[WA]")) {
+      return res.status(502).json({ ok: false, error: e.message });
+    }
+    return sendError(res, e, "Error al enviar el mensaje");
+  }
+});
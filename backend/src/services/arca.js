@@ -270,6 +270,16 @@ export const CONDICIONES_IVA = {
   CONSUMIDOR_FINAL: 5,
 };
 
+// Alícuotas IVA (porcentaje -> Id de AlicIva en WSFE)
+export const ALICUOTAS_IVA = {
+  0: 3,
+  2.5: 9,
+  5: 8,
+  10.5: 4,
+  21: 5,
+  27: 6,
+};
+
 // ============================================
 // HELPERS SOAP/AFIP
 // ============================================
@@ -1011,10 +1021,26 @@ async function autorizarFacturaWSFE(facturaData, credentials, token, sign) {
       docNroNum = 0;
     }
 
-    // === IVA (alícuota) ===
+    // === IVA (alícuotas) ===
     let ivaSection = "";
     let idAlicuota = 5; // 21% por defecto
-    if (impIVANum > 0 && impNetoNum > 0) {
+    const alicuotasIva = Array.isArray(facturaData.alicuotas_iva) ? facturaData.alicuotas_iva : [];
+    if (!esComprobanteTipoC && alicuotasIva.length > 0) {
+      // Un AlicIva por alícuota: ImpNeto e ImpIVA deben coincidir con la suma de BaseImp e Importe
+      ivaSection =
+        `<ar:Iva>` +
+        alicuotasIva
+          .map(
+            (a) =>
+              `<ar:AlicIva>` +
+              `<ar:Id>${a.id}</ar:Id>` +
+              `<ar:BaseImp>${Number(a.base_imponible).toFixed(2)}</ar:BaseImp>` +
+              `<ar:Importe>${Number(a.importe).toFixed(2)}</ar:Importe>` +
+              `</ar:AlicIva>`
+          )
+          .join("") +
+        `</ar:Iva>`;
+    } else if (impIVANum > 0 && impNetoNum > 0) {
       const alicuotaPct = (impIVANum / impNetoNum) * 100;
       if (Math.abs(alicuotaPct - 21) < 0.1) idAlicuota = 5;
       else if (Math.abs(alicuotaPct - 10.5) < 0.1) idAlicuota = 4;
@@ -1774,15 +1800,16 @@ function computeInvoiceHash(data) {
  * @param {string} params.razon_social - Razón social del cliente
  * @param {string} params.domicilio - Domicilio fiscal
  * @param {number} params.condicion_iva - Condición IVA (usar CONDICIONES_IVA)
- * @param {Array} params.items - Items de la factura [{descripcion, cantidad, precio_unitario, alicuota_iva}]
- * @param {number} params.importe_total - Importe total
+ * @param {Array} params.items - Items de la factura [{descripcion, cantidad, precio_unitario (neto), alicuota_iva}]
+ * @param {number} params.importe_total - Importe total (en A/B se recalcula desde los items)
  * @param {number} params.importe_neto - Importe neto (sin IVA)
  * @param {number} params.importe_iva - Importe IVA
  * @param {string} params.referencia_interna - Referencia interna (ej: appointment_id)
  * @param {string} params.observaciones - Observaciones opcionales
  * @param {number} params.tenantId - Opcional: ID del tenant para obtener credenciales desde BD
  * 
- * @returns {Object} { cae, vto_cae, numero, tipo_comprobante, punto_venta, fecha_emision }
+ * @returns {Object} { cae, vto_cae, numero, tipo_comprobante, punto_venta, fecha_emision,
+ *   importe_neto, importe_iva, importe_total, items, alicuotas_iva }
  */
 export async function generarFactura(params) {
   try {
@@ -1795,6 +1822,23 @@ export async function generarFactura(params) {
       throw new Error("Debe incluir al menos un item");
     }
 
+    // Totales por alícuota a partir de los items (salvo comprobantes C, que no discriminan IVA).
+    // El llamador puede pasar el desglose ya calculado (resumen_iva) cuando parte de totales con IVA.
+    const esTipoC = [
+      COMPROBANTE_TIPOS.FACTURA_C,
+      COMPROBANTE_TIPOS.NOTA_CREDITO_C,
+      COMPROBANTE_TIPOS.NOTA_DEBITO_C,
+    ].includes(Number(params.tipo_comprobante));
+    const resumenIva = esTipoC ? null : params.resumen_iva || calcularIVAItems(params.items);
+    if (resumenIva) {
+      params = {
+        ...params,
+        importe_neto: resumenIva.importe_neto,
+        importe_iva: resumenIva.importe_iva,
+        importe_total: resumenIva.importe_total,
+      };
+    }
+
     // Obtener credenciales del sistema y CUIT del tenant
     let credentials = params.tenantId
       ? await getArcaCredentials(params.tenantId)
@@ -1848,6 +1892,7 @@ export async function generarFactura(params) {
         importe_total: Number(params.importe_total || 0),
         importe_neto: Number(params.importe_neto || 0),
         importe_iva: Number(params.importe_iva || 0),
+        alicuotas_iva: resumenIva?.alicuotas,
         cbtesAsoc: Array.isArray(params.cbtesAsoc) ? params.cbtesAsoc : undefined,
       };
 
@@ -1872,6 +1917,7 @@ export async function generarFactura(params) {
         pdf_url: null, // AFIP no proporciona PDF directamente
         xml_url: null, // Se puede generar el XML localmente
         hash: computeInvoiceHash(params),
+        ...desgloseIva(params, resumenIva),
         environment: ARCA_ENVIRONMENT,
         isProduction: isProduction,
         warning: !isProduction ? 'Factura generada en HOMOLOGACIÓN - NO es válida fiscalmente' : null
@@ -1921,6 +1967,13 @@ export async function generarFactura(params) {
       importe_total: Number(params.importe_total || 0),
       importe_neto: Number(params.importe_neto || 0),
       importe_iva: Number(params.importe_iva || 0),
+      ...(resumenIva ? {
+        alicuotas_iva: resumenIva.alicuotas.map((a) => ({
+          id: a.id,
+          base_imponible: a.base_imponible,
+          importe: a.importe,
+        })),
+      } : {}),
 
       // Metadata
       ...(params.referencia_interna ? {
@@ -1953,6 +2006,7 @@ export async function generarFactura(params) {
       pdf_url: response.pdf_url || null,
       xml_url: response.xml_url || null,
       hash: computeInvoiceHash(params),
+      ...desgloseIva(params, resumenIva),
     };
   } catch (err) {
     console.error("[ARCA] Error generando factura:", err.message);
@@ -2234,6 +2288,73 @@ export async function verificarConexion(tenantId = null) {
 // HELPERS DE NEGOCIO
 // ============================================
 
+/**
+ * Id de AlicIva (WSFE) para un porcentaje de IVA
+ */
+export function obtenerIdAlicuota(alicuota) {
+  const id = ALICUOTAS_IVA[Number(alicuota)];
+  if (!id) {
+    const err = new Error(`Alícuota de IVA no admitida: ${alicuota}%`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return id;
+}
+
+/**
+ * Calcula neto, IVA y total por línea y agrupado por alícuota.
+ * Los precios unitarios de los items son netos (sin IVA).
+ * El IVA se calcula sobre la base de cada alícuota, como lo valida WSFE.
+ *
+ * @returns {Object} { items, alicuotas: [{ id, alicuota, base_imponible, importe }], importe_neto, importe_iva, importe_total }
+ */
+export function calcularIVAItems(items = []) {
+  const redondear = (n) => Math.round(n * 100) / 100;
+  const porAlicuota = new Map();
+
+  const detalle = items.map((item) => {
+    const alicuota = Number(item.alicuota_iva ?? 21);
+    const id = obtenerIdAlicuota(alicuota);
+    const neto = redondear(Number(item.cantidad || 1) * Number(item.precio_unitario || 0));
+    const iva = redondear((neto * alicuota) / 100);
+
+    const grupo = porAlicuota.get(id) || { id, alicuota, base_imponible: 0, importe: 0 };
+    grupo.base_imponible = redondear(grupo.base_imponible + neto);
+    porAlicuota.set(id, grupo);
+
+    return { ...item, alicuota_iva: alicuota, importe_neto: neto, importe_iva: iva, importe_total: redondear(neto + iva) };
+  });
+
+  const alicuotas = [...porAlicuota.values()]
+    .map((grupo) => ({ ...grupo, importe: redondear((grupo.base_imponible * grupo.alicuota) / 100) }))
+    .sort((a, b) => a.alicuota - b.alicuota);
+
+  const importeNeto = redondear(alicuotas.reduce((acc, a) => acc + a.base_imponible, 0));
+  const importeIva = redondear(alicuotas.reduce((acc, a) => acc + a.importe, 0));
+
+  return {
+    items: detalle,
+    alicuotas,
+    importe_neto: importeNeto,
+    importe_iva: importeIva,
+    importe_total: redondear(importeNeto + importeIva),
+  };
+}
+
+/**
+ * Totales y detalle de líneas efectivamente informados a ARCA,
+ * para que el llamador guarde en la factura lo mismo que se autorizó
+ */
+function desgloseIva(params, resumenIva) {
+  return {
+    importe_neto: Number(params.importe_neto || 0),
+    importe_iva: Number(params.importe_iva || 0),
+    importe_total: Number(params.importe_total || 0),
+    items: resumenIva ? resumenIva.items : params.items,
+    alicuotas_iva: resumenIva ? resumenIva.alicuotas : [],
+  };
+}
+
 /**
  * Calcula IVA y totales para un monto
  */
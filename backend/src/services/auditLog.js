@@ -0,0 +1,450 @@
+// src/services/auditLog.js
+// Registro de auditoría de acciones administrativas: quién hizo qué, en qué negocio y sucursal,
+// sobre qué entidad, con los cambios (antes → después) y desde qué IP. Es sólo de inserción:
+// no hay endpoints para modificar ni borrar entradas. Registrar nunca corta la acción auditada.
+//
+// Dos fuentes:
+// - auditMutations (middleware): toda mutación exitosa de las áreas auditadas, con el cuerpo
+//   de la request (sin datos sensibles) como "después".
+// - recordAudit: las rutas que conocen el estado anterior registran el diff real; en ese caso
+//   el middleware no duplica la entrada.
+import { pool } from "../db.js";
+
+export const AUDIT_ENTITIES = {
+  appointment: "Turno",
+  customer: "Cliente",
+  payment: "Pago",
+  cash_register: "Caja",
+  pos_sale: "Venta",
+  stock: "Stock",
+  invoice: "Facturación",
+  user: "Usuario",
+  config: "Configuración",
+  membership: "Membresía",
+  membership_plan: "Plan de membresía",
+  service: "Servicio",
+  instructor: "Profesional",
+  class: "Clase",
+  branch: "Sucursal",
+  gift_card: "Gift card",
+  package: "Paquete",
+  promo_code: "Código promocional",
+  loyalty: "Fidelización",
+  tenant: "Negocio",
+};
+
+export const AUDIT_ACTIONS = ["create", "update", "delete", "cancel", "void", "permissions"];
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Prefijo de la ruta (sin /api) → entidad. El orden importa: primero los más específicos.
+const PATH_ENTITIES = [
+  ["/super-admin/tenants", "tenant"],
+  ["/admin/customers", "customer"],
+  ["/admin/services", "service"],
+  ["/admin/instructors", "instructor"],
+  ["/admin/deposits", "appointment"],
+  ["/appointments", "appointment"],
+  ["/customers", "customer"],
+  ["/payments", "payment"],
+  ["/cash-register", "cash_register"],
+  ["/pos", "pos_sale"],
+  ["/stock", "stock"],
+  ["/invoicing", "invoice"],
+  ["/users", "user"],
+  ["/config", "config"],
+  ["/memberships/plans", "membership_plan"],
+  ["/memberships", "membership"],
+  ["/classes", "class"],
+  ["/branches", "branch"],
+  ["/gift-cards", "gift_card"],
+  ["/packages", "package"],
+  ["/promo-codes", "promo_code"],
+  ["/loyalty", "loyalty"],
+];
+
+// Rutas de las áreas auditadas que no son acciones administrativas
+const IGNORED_PATHS = [
+  /^\/appointments\/appointment-alerts\//,
+  /^\/memberships\/(renew-subscriptions|send-renewal-reminders)$/,
+  /^\/config\/whatsapp\/callback/,
+];
+
+const SENSITIVE_KEY_RE = /pass(word)?|token|secret|api_?key|authorization|cvv|card_?number|private_?key|certificate|cert_?pem|key_?pem/i;
+const MAX_STRING_LENGTH = 300;
+const MAX_CHANGES_LENGTH = 20000;
+const REDACTED = "[oculto]";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+let schemaReady = null;
+
+export function ensureAuditLogSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS audit_log (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NULL,
+          branch_id INT NULL,
+          user_id INT NULL,
+          user_email VARCHAR(190) NULL,
+          user_role VARCHAR(32) NULL,
+          is_super_admin TINYINT(1) NOT NULL DEFAULT 0,
+          entity VARCHAR(40) NOT NULL,
+          entity_id VARCHAR(64) NULL,
+          action VARCHAR(40) NOT NULL,
+          summary VARCHAR(255) NULL,
+          changes_json MEDIUMTEXT NULL,
+          request_method VARCHAR(8) NULL,
+          request_path VARCHAR(255) NULL,
+          ip VARCHAR(64) NULL,
+          user_agent VARCHAR(255) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_audit_tenant_created (tenant_id, created_at),
+          KEY idx_audit_entity (tenant_id, entity, entity_id),
+          KEY idx_audit_user (tenant_id, user_id, created_at)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+/* =========================
+   Helpers puros
+========================= */
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (typeof value === "object") return JSON.stringify(value);
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+function sameValue(a, b) {
+  const left = normalizeValue(a);
+  const right = normalizeValue(b);
+  if (left === right) return true;
+  if (left === null || right === null) return false;
+  // "1500.00" (DECIMAL) y 1500 son el mismo precio
+  const numLeft = Number(left);
+  const numRight = Number(right);
+  if (!Number.isNaN(numLeft) && !Number.isNaN(numRight) && String(left).trim() !== "" && String(right).trim() !== "") {
+    return numLeft === numRight;
+  }
+  return String(left) === String(right);
+}
+
+/**
+ * Copia del payload apta para guardar: oculta claves sensibles, recorta textos largos,
+ * descarta binarios y limita la profundidad.
+ */
+export function sanitizeAuditPayload(value, depth = 0) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string") {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= 3) return "[…]";
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 50).map((item) => sanitizeAuditPayload(item, depth + 1));
+    if (value.length > 50) items.push(`… (${value.length - 50} más)`);
+    return items;
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY_RE.test(key) ? REDACTED : sanitizeAuditPayload(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Diferencia entre dos estados de una entidad: { campo: { from, to } } sólo con lo que cambió.
+ * `before` null = alta; `after` null = baja. Los campos sensibles se registran como ocultos.
+ */
+export function diffAuditValues(before, after, { ignore = [] } = {}) {
+  const skip = new Set(["updated_at", ...ignore]);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const key of keys) {
+    if (skip.has(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    // Una actualización parcial no menciona todos los campos: los ausentes no cambiaron
+    if (before && after && !(key in after)) continue;
+    if (sameValue(from, to)) continue;
+    if (SENSITIVE_KEY_RE.test(key)) {
+      changes[key] = { from: from == null ? null : REDACTED, to: to == null ? null : REDACTED };
+      continue;
+    }
+    changes[key] = { from: sanitizeAuditPayload(from ?? null), to: sanitizeAuditPayload(to ?? null) };
+  }
+  return changes;
+}
+
+/**
+ * Entidad auditada según la ruta (sin el prefijo /api). Devuelve null si la ruta no se audita.
+ * @returns {{entity: string, entityId: string|null}|null}
+ */
+export function resolveAuditEntity(path) {
+  const clean = String(path || "").split("?")[0].replace(/^\/api(?=\/)/, "");
+  if (IGNORED_PATHS.some((re) => re.test(clean))) return null;
+  const match = PATH_ENTITIES.find(([prefix]) => clean === prefix || clean.startsWith(`${prefix}/`));
+  if (!match) return null;
+  const [prefix, entity] = match;
+  const rest = clean.slice(prefix.length).split("/").filter(Boolean);
+  const entityId = rest.find((segment) => /^\d+$/.test(segment)) || null;
+  return { entity, entityId };
+}
+
+export function actionFromMethod(method) {
+  switch (String(method || "").toUpperCase()) {
+    case "POST":
+      return "create";
+    case "DELETE":
+      return "delete";
+    default:
+      return "update";
+  }
+}
+
+/* =========================
+   Registro
+========================= */
+
+function requestContext(req) {
+  const user = req?.user || {};
+  const body = req?.body && typeof req.body === "object" ? req.body : {};
+  const bodyBranch = Number(body.branchId ?? body.branch_id);
+  return {
+    tenantId: req?.tenant?.id ?? user.tenant_id ?? null,
+    branchId: Number.isFinite(bodyBranch) && bodyBranch > 0 ? bodyBranch : user.currentBranchId ?? null,
+    userId: user.id ?? null,
+    userEmail: user.email ?? null,
+    userRole: user.role ?? null,
+    isSuperAdmin: Boolean(user.is_super_admin),
+    method: req?.method || null,
+    path: String(req?.originalUrl || req?.url || "").split("?")[0].slice(0, 255) || null,
+    ip: String(req?.ip || req?.socket?.remoteAddress || "").slice(0, 64) || null,
+    userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+  };
+}
+
+function serializeChanges(changes) {
+  if (!changes || (typeof changes === "object" && !Object.keys(changes).length)) return null;
+  const json = JSON.stringify(changes);
+  return json.length > MAX_CHANGES_LENGTH ? JSON.stringify({ truncated: true, preview: json.slice(0, 2000) }) : json;
+}
+
+/**
+ * Registra una acción. Con `before`/`after` guarda el diff; `changes` permite pasarlo armado.
+ * No lanza errores: la auditoría nunca corta la acción.
+ * @param {import("express").Request|null} req - Actor, negocio, sucursal e IP
+ * @param {object} entry
+ * @param {string} entry.entity - Clave de AUDIT_ENTITIES
+ * @param {string|number} [entry.entityId]
+ * @param {string} entry.action - create, update, delete, cancel, void, permissions…
+ * @param {string} [entry.summary] - Descripción breve para el listado
+ */
+export async function recordAudit(req, { entity, entityId = null, action, summary = null, before, after, changes, tenantId, branchId } = {}) {
+  if (req) req.auditRecorded = true;
+  try {
+    await ensureAuditLogSchema();
+    const ctx = requestContext(req);
+    const diff = changes !== undefined ? changes : diffAuditValues(before ?? null, after ?? null);
+    await pool.query(
+      `INSERT INTO audit_log
+         (tenant_id, branch_id, user_id, user_email, user_role, is_super_admin, entity, entity_id, action,
+          summary, changes_json, request_method, request_path, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId ?? ctx.tenantId,
+        branchId ?? ctx.branchId,
+        ctx.userId,
+        ctx.userEmail,
+        ctx.userRole,
+        ctx.isSuperAdmin ? 1 : 0,
+        String(entity).slice(0, 40),
+        entityId == null ? null : String(entityId).slice(0, 64),
+        String(action || "update").slice(0, 40),
+        summary ? String(summary).slice(0, 255) : null,
+        serializeChanges(diff),
+        ctx.method,
+        ctx.path,
+        ctx.ip,
+        ctx.userAgent,
+      ]
+    );
+  } catch (error) {
+    console.warn("[audit] No se pudo registrar la acción:", error.message);
+  }
+}
+
+/**
+ * Middleware: registra las mutaciones exitosas de las áreas auditadas hechas por usuarios del
+ * sistema (no clientes de la app), salvo que la ruta ya haya registrado su propia entrada.
+ */
+export function auditMutations(req, res, next) {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+  const target = resolveAuditEntity(req.originalUrl || req.url);
+  if (!target) return next();
+
+  res.on("finish", () => {
+    if (req.auditRecorded || res.statusCode >= 400) return;
+    if (!req.user || req.user.type === "customer") return;
+    const tenantId = target.entity === "tenant" ? Number(target.entityId) || null : undefined;
+    recordAudit(req, {
+      entity: target.entity,
+      entityId: target.entityId,
+      action: actionFromMethod(req.method),
+      tenantId,
+      changes: req.method === "DELETE" ? null : { payload: sanitizeAuditPayload(req.body || {}) },
+    });
+  });
+  next();
+}
+
+/* =========================
+   Consulta
+========================= */
+
+function buildFilters(tenantId, { entity, entityId, userId, action, branchId, q, from, to }) {
+  const where = ["1 = 1"];
+  const params = [];
+  if (tenantId) {
+    where.push("al.tenant_id = ?");
+    params.push(Number(tenantId));
+  }
+  if (entity) {
+    where.push("al.entity = ?");
+    params.push(String(entity));
+  }
+  if (entityId) {
+    where.push("al.entity_id = ?");
+    params.push(String(entityId));
+  }
+  if (userId) {
+    where.push("al.user_id = ?");
+    params.push(Number(userId));
+  }
+  if (action) {
+    where.push("al.action = ?");
+    params.push(String(action));
+  }
+  if (branchId) {
+    where.push("al.branch_id = ?");
+    params.push(Number(branchId));
+  }
+  if (DATE_RE.test(String(from || ""))) {
+    where.push("al.created_at >= ?");
+    params.push(`${from} 00:00:00`);
+  }
+  if (DATE_RE.test(String(to || ""))) {
+    where.push("al.created_at <= ?");
+    params.push(`${to} 23:59:59`);
+  }
+  const search = String(q || "").trim();
+  if (search) {
+    const like = `%${search}%`;
+    where.push("(al.summary LIKE ? OR al.user_email LIKE ? OR al.request_path LIKE ? OR al.ip LIKE ?)");
+    params.push(like, like, like, like);
+  }
+  return { where: where.join(" AND "), params };
+}
+
+function parseChanges(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Listado filtrable. `tenantId` null = todos los negocios (super admin).
+ */
+export async function listAuditLog(tenantId, filters = {}) {
+  await ensureAuditLogSchema();
+  const { where, params } = buildFilters(tenantId, filters);
+  const limit = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+
+  const [rows] = await pool.query(
+    `SELECT al.*, t.name AS tenant_name, b.name AS branch_name
+       FROM audit_log al
+       LEFT JOIN tenant t ON t.id = al.tenant_id
+       LEFT JOIN tenant_branch b ON b.id = al.branch_id AND b.tenant_id = al.tenant_id
+      WHERE ${where}
+      ORDER BY al.id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log al WHERE ${where}`, params);
+
+  return {
+    items: rows.map((row) => ({
+      id: row.id,
+      tenantId: row.tenant_id,
+      tenantName: row.tenant_name || null,
+      branchId: row.branch_id,
+      branchName: row.branch_name || null,
+      userId: row.user_id,
+      userEmail: row.user_email,
+      userRole: row.user_role,
+      isSuperAdmin: Boolean(row.is_super_admin),
+      entity: row.entity,
+      entityId: row.entity_id,
+      action: row.action,
+      summary: row.summary,
+      changes: parseChanges(row.changes_json),
+      method: row.request_method,
+      path: row.request_path,
+      ip: row.ip,
+      createdAt: row.created_at,
+    })),
+    total: Number(count?.total || 0),
+  };
+}
+
+/**
+ * Usuarios que aparecen en el registro (para el filtro por actor)
+ */
+export async function listAuditActors(tenantId) {
+  await ensureAuditLogSchema();
+  const [rows] = await pool.query(
+    `SELECT user_id, MAX(user_email) AS user_email, COUNT(*) AS total
+       FROM audit_log
+      WHERE user_id IS NOT NULL ${tenantId ? "AND tenant_id = ?" : ""}
+      GROUP BY user_id
+      ORDER BY user_email
+      LIMIT 500`,
+    tenantId ? [Number(tenantId)] : []
+  );
+  return rows.map((row) => ({ userId: row.user_id, email: row.user_email, total: Number(row.total || 0) }));
+}
+
+/**
+ * Negocios con entradas en el registro (para el filtro del super admin)
+ */
+export async function listAuditTenants() {
+  await ensureAuditLogSchema();
+  const [rows] = await pool.query(
+    `SELECT al.tenant_id, t.name, COUNT(*) AS total
+       FROM audit_log al
+       LEFT JOIN tenant t ON t.id = al.tenant_id
+      WHERE al.tenant_id IS NOT NULL
+      GROUP BY al.tenant_id, t.name
+      ORDER BY t.name
+      LIMIT 1000`
+  );
+  return rows.map((row) => ({ tenantId: row.tenant_id, name: row.name || `#${row.tenant_id}`, total: Number(row.total || 0) }));
+}
@@ -0,0 +1,321 @@
+// src/services/calendarFeeds.js
+// Feeds iCalendar privados por profesional o sucursal (turnos, clases y bloqueos)
+// con tokens revocables, e importación de .ics personales como time_off.
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { getBranchSummary } from "./branches.js";
+import { buildICalendar, parseICalendar, expandICalEvents } from "../helpers/ical.js";
+
+export const FEED_SCOPES = ["instructor", "branch"];
+export const ICS_TIME_OFF_SOURCE = "ics";
+
+// Ventana publicada en el feed
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+// Ventana por defecto al importar un calendario personal
+const IMPORT_DEFAULT_DAYS = 180;
+
+let schemaReady = null;
+
+export function ensureCalendarFeedSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS calendar_feed_token (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          scope VARCHAR(20) NOT NULL,
+          instructor_id INT NULL,
+          branch_id INT NULL,
+          token CHAR(48) NOT NULL,
+          label VARCHAR(120) NULL,
+          created_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_accessed_at DATETIME NULL,
+          revoked_at DATETIME NULL,
+          UNIQUE KEY uq_calendar_feed_token (token),
+          KEY idx_calendar_feed_tenant (tenant_id, scope)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE time_off ADD COLUMN source VARCHAR(20) NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE time_off ADD COLUMN external_uid VARCHAR(255) NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function feedError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+export function buildFeedUrl(token) {
+  const base = (process.env.API_URL || process.env.BACKEND_URL || "http://localhost:3000").replace(/\/$/, "");
+  return `${base}/api/public/calendar/feeds/${token}.ics`;
+}
+
+function mapFeedRow(row) {
+  return {
+    id: Number(row.id),
+    scope: row.scope,
+    instructorId: row.instructor_id ? Number(row.instructor_id) : null,
+    instructorName: row.instructor_name || null,
+    branchId: row.branch_id ? Number(row.branch_id) : null,
+    branchName: row.branch_name || null,
+    label: row.label,
+    url: buildFeedUrl(row.token),
+    createdAt: row.created_at,
+    lastAccessedAt: row.last_accessed_at,
+  };
+}
+
+export async function listFeedTokens(tenantId) {
+  await ensureCalendarFeedSchema();
+  const [rows] = await pool.query(
+    `SELECT f.*, i.name AS instructor_name, b.name AS branch_name
+       FROM calendar_feed_token f
+       LEFT JOIN instructor i ON i.id = f.instructor_id AND i.tenant_id = f.tenant_id
+       LEFT JOIN tenant_branch b ON b.id = f.branch_id AND b.tenant_id = f.tenant_id
+      WHERE f.tenant_id = ? AND f.revoked_at IS NULL
+      ORDER BY f.created_at DESC`,
+    [tenantId]
+  );
+  return rows.map(mapFeedRow);
+}
+
+/**
+ * Crea un token de suscripción para un profesional o una sucursal
+ */
+export async function createFeedToken({ tenantId, scope, instructorId, branchId, label, userId }) {
+  await ensureCalendarFeedSchema();
+  if (!FEED_SCOPES.includes(scope)) {
+    throw feedError("scope debe ser 'instructor' o 'branch'");
+  }
+
+  let targetInstructorId = null;
+  let targetBranchId = null;
+  let defaultLabel = "";
+
+  if (scope === "instructor") {
+    const [[instructor]] = await pool.query(
+      `SELECT id, name FROM instructor WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      [Number(instructorId) || 0, tenantId]
+    );
+    if (!instructor) throw feedError("Profesional no encontrado", 404);
+    targetInstructorId = Number(instructor.id);
+    defaultLabel = `Agenda de ${instructor.name}`;
+  } else {
+    const branch = await getBranchSummary(tenantId, Number(branchId) || 0);
+    if (!branch) throw feedError("Sucursal no encontrada", 404);
+    targetBranchId = branch.id;
+    defaultLabel = `Agenda ${branch.name}`;
+  }
+
+  const token = crypto.randomBytes(24).toString("hex");
+  const [result] = await pool.query(
+    `INSERT INTO calendar_feed_token (tenant_id, scope, instructor_id, branch_id, token, label, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, scope, targetInstructorId, targetBranchId, token, String(label || defaultLabel).slice(0, 120), userId || null]
+  );
+
+  const [[row]] = await pool.query(`SELECT * FROM calendar_feed_token WHERE id = ?`, [result.insertId]);
+  return mapFeedRow(row);
+}
+
+export async function revokeFeedToken(tenantId, feedId) {
+  await ensureCalendarFeedSchema();
+  const [result] = await pool.query(
+    `UPDATE calendar_feed_token SET revoked_at = NOW()
+      WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL`,
+    [feedId, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+async function findActiveFeed(token) {
+  await ensureCalendarFeedSchema();
+  if (!/^[a-f0-9]{48}$/.test(String(token || ""))) return null;
+  const [[feed]] = await pool.query(
+    `SELECT f.*, t.name AS tenant_name
+       FROM calendar_feed_token f
+       JOIN tenant t ON t.id = f.tenant_id
+      WHERE f.token = ? AND f.revoked_at IS NULL
+      LIMIT 1`,
+    [token]
+  );
+  return feed || null;
+}
+
+function describeAppointment(row) {
+  const parts = [row.service_name || "Turno"];
+  if (row.customer_name) parts.push(row.customer_name);
+  return parts.join(" · ");
+}
+
+async function loadFeedEvents(feed, { from, to }) {
+  const tenantId = feed.tenant_id;
+  const byInstructor = feed.scope === "instructor";
+  const targetId = byInstructor ? feed.instructor_id : feed.branch_id;
+
+  const [appointments] = await pool.query(
+    `SELECT a.id, a.starts_at, a.ends_at, a.status,
+            s.name AS service_name, i.name AS instructor_name, c.name AS customer_name
+       FROM appointment a
+       LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+       LEFT JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+       LEFT JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+      WHERE a.tenant_id = ?
+        AND ${byInstructor ? "a.instructor_id" : "a.branch_id"} = ?
+        AND a.status NOT IN ('cancelled')
+        AND a.starts_at < ? AND a.ends_at > ?
+      ORDER BY a.starts_at`,
+    [tenantId, targetId, to, from]
+  );
+
+  const [sessions] = await pool.query(
+    `SELECT cs.id, cs.starts_at, cs.ends_at, cs.activity_type,
+            ct.name AS template_name, i.name AS instructor_name
+       FROM class_session cs
+       LEFT JOIN class_template ct ON ct.id = cs.template_id
+       LEFT JOIN instructor i ON i.id = cs.instructor_id AND i.tenant_id = cs.tenant_id
+      WHERE cs.tenant_id = ?
+        AND ${byInstructor ? "cs.instructor_id" : "cs.branch_id"} = ?
+        AND cs.status <> 'cancelled'
+        AND cs.starts_at < ? AND cs.ends_at > ?
+      ORDER BY cs.starts_at`,
+    [tenantId, targetId, to, from]
+  );
+
+  const [blocks] = await pool.query(
+    `SELECT toff.id, toff.starts_at, toff.ends_at, toff.reason, toff.source, i.name AS instructor_name
+       FROM time_off toff
+       LEFT JOIN instructor i ON i.id = toff.instructor_id AND i.tenant_id = toff.tenant_id
+      WHERE toff.tenant_id = ?
+        AND ${byInstructor ? "toff.instructor_id" : "i.branch_id"} = ?
+        AND toff.starts_at < ? AND toff.ends_at > ?
+      ORDER BY toff.starts_at`,
+    [tenantId, targetId, to, from]
+  );
+
+  const withInstructor = (summary, row) =>
+    byInstructor || !row.instructor_name ? summary : `${summary} (${row.instructor_name})`;
+
+  return [
+    ...appointments.map((row) => ({
+      uid: `appointment-${row.id}@arja`,
+      start: row.starts_at,
+      end: row.ends_at,
+      summary: withInstructor(describeAppointment(row), row),
+      status: row.status === "pending_deposit" ? "TENTATIVE" : "CONFIRMED",
+      categories: ["Turno"],
+    })),
+    ...sessions.map((row) => ({
+      uid: `class-${row.id}@arja`,
+      start: row.starts_at,
+      end: row.ends_at,
+      summary: withInstructor(row.template_name || row.activity_type || "Clase", row),
+      categories: ["Clase"],
+    })),
+    // Los bloqueos importados desde el mismo calendario personal no se vuelven a publicar
+    ...blocks
+      .filter((row) => !byInstructor || row.source !== ICS_TIME_OFF_SOURCE)
+      .map((row) => ({
+        uid: `timeoff-${row.id}@arja`,
+        start: row.starts_at,
+        end: row.ends_at,
+        summary: withInstructor(row.reason || "Bloqueo", row),
+        categories: ["Bloqueo"],
+      })),
+  ].sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Devuelve el .ics de un token activo, o null si no existe / fue revocado
+ * @param {string} token
+ * @returns {Promise<{ filename: string, body: string } | null>}
+ */
+export async function renderFeedByToken(token, { now = new Date() } = {}) {
+  const feed = await findActiveFeed(token);
+  if (!feed) return null;
+
+  const events = await loadFeedEvents(feed, {
+    from: addDays(now, -FEED_PAST_DAYS),
+    to: addDays(now, FEED_FUTURE_DAYS),
+  });
+
+  pool
+    .query(`UPDATE calendar_feed_token SET last_accessed_at = NOW() WHERE id = ?`, [feed.id])
+    .catch((err) => console.warn("[calendarFeeds] No se pudo registrar el acceso:", err.message));
+
+  const name = [feed.tenant_name, feed.label].filter(Boolean).join(" - ");
+  return {
+    filename: `agenda-${feed.scope}-${feed.instructor_id || feed.branch_id}.ics`,
+    body: buildICalendar({ name, events, stamp: now }),
+  };
+}
+
+/**
+ * Importa un .ics personal como bloqueos (time_off) del profesional.
+ * Reemplaza los bloqueos importados previamente dentro de la misma ventana,
+ * así reimportar el calendario actualiza en lugar de duplicar.
+ * @returns {Promise<{ created: number, removed: number, skipped: Array, from: Date, to: Date }>}
+ */
+export async function importIcsAsTimeOff({ tenantId, instructorId, ics, from, to }) {
+  await ensureCalendarFeedSchema();
+  const [[instructor]] = await pool.query(
+    `SELECT id FROM instructor WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [Number(instructorId) || 0, tenantId]
+  );
+  if (!instructor) throw feedError("Profesional no encontrado", 404);
+
+  const rangeFrom = from ? new Date(`${String(from).slice(0, 10)}T00:00:00`) : new Date();
+  const rangeTo = to ? addDays(new Date(`${String(to).slice(0, 10)}T00:00:00`), 1) : addDays(rangeFrom, IMPORT_DEFAULT_DAYS);
+  if (Number.isNaN(rangeFrom.getTime()) || Number.isNaN(rangeTo.getTime()) || rangeTo <= rangeFrom) {
+    throw feedError("Rango de fechas inválido");
+  }
+
+  const events = parseICalendar(ics);
+  const { blocks, skipped } = expandICalEvents(events, { from: rangeFrom, to: rangeTo });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [deleted] = await conn.query(
+      `DELETE FROM time_off
+        WHERE tenant_id = ? AND instructor_id = ? AND source = ?
+          AND starts_at < ? AND ends_at > ?`,
+      [tenantId, instructor.id, ICS_TIME_OFF_SOURCE, rangeTo, rangeFrom]
+    );
+
+    for (const block of blocks) {
+      const reason = `Calendario personal${block.summary ? `: ${block.summary}` : ""}`.slice(0, 120);
+      await conn.query(
+        `INSERT INTO time_off (tenant_id, instructor_id, starts_at, ends_at, reason, source, external_uid)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [tenantId, instructor.id, block.start, block.end, reason, ICS_TIME_OFF_SOURCE, block.uid ? String(block.uid).slice(0, 255) : null]
+      );
+    }
+
+    await conn.commit();
+    return { created: blocks.length, removed: deleted.affectedRows, skipped, from: rangeFrom, to: rangeTo };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
@@ -0,0 +1,97 @@
+// src/services/cashRegister.js
+// Helpers de cierre de caja compartidos entre la ruta de caja y el punto de venta.
+import { pool } from "../db.js";
+
+export const CASH_REGISTER_METHODS = ["cash", "card", "transfer", "mp", "gift_card"];
+
+// El canje de una gift card queda registrado en la caja pero no es dinero que
+// entra: se cobró al venderla
+export const NON_CASH_METHODS = ["gift_card"];
+
+// ============================================
+// Helper: Actualizar totales del cierre
+// ============================================
+export async function updateClosureTotals(conn, closureId) {
+  const [transactions] = await conn.query(
+    `SELECT 
+      transaction_type,
+      payment_method,
+      SUM(amount) as total
+    FROM cash_register_closure_transaction
+    WHERE closure_id = ?
+    GROUP BY transaction_type, payment_method`,
+    [closureId]
+  );
+
+  const totals = {
+    cash: 0,
+    card: 0,
+    transfer: 0,
+    mp: 0,
+    total: 0,
+  };
+
+  transactions.forEach((t) => {
+    if (NON_CASH_METHODS.includes(t.payment_method)) return;
+    if (t.transaction_type === "income") {
+      const amount = Number(t.total || 0);
+      totals[t.payment_method] += amount;
+      totals.total += amount;
+    } else if (t.transaction_type === "expense") {
+      const amount = Number(t.total || 0);
+      totals[t.payment_method] -= amount;
+      totals.total -= amount;
+    }
+  });
+
+  await conn.query(
+    `UPDATE cash_register_closure SET
+      expected_cash = ?,
+      expected_card = ?,
+      expected_transfer = ?,
+      expected_mp = ?,
+      total_expected = ?,
+      updated_at = NOW()
+    WHERE id = ?`,
+    [totals.cash, totals.card, totals.transfer, totals.mp, totals.total, closureId]
+  );
+}
+
+/**
+ * Si hay un cierre abierto para la fecha y sucursal, le agrega las transacciones
+ * y recalcula sus totales. Devuelve el id del cierre o null si no había uno abierto
+ * (en ese caso los movimientos se toman al crear el cierre).
+ */
+export async function addTransactionsToOpenClosure(conn = pool, { tenantId, branchId = null, date, transactions }) {
+  if (!transactions?.length) return null;
+
+  const [[closure]] = await conn.query(
+    `SELECT id FROM cash_register_closure
+     WHERE tenant_id = ?
+       AND branch_id ${branchId ? "= ?" : "IS NULL"}
+       AND closure_date = ?
+       AND status = 'open'
+     LIMIT 1
+     FOR UPDATE`,
+    branchId ? [tenantId, branchId, date] : [tenantId, date]
+  );
+  if (!closure) return null;
+
+  await conn.query(
+    `INSERT INTO cash_register_closure_transaction (
+      closure_id, transaction_type, payment_method, amount,
+      description, reference_id, reference_type
+    ) VALUES ?`,
+    [transactions.map((t) => [
+      closure.id,
+      t.transaction_type || "income",
+      t.payment_method,
+      t.amount,
+      t.description,
+      t.reference_id ?? null,
+      t.reference_type ?? null,
+    ])]
+  );
+  await updateClosureTotals(conn, closure.id);
+  return closure.id;
+}
@@ -0,0 +1,323 @@
+// src/services/checkin.js
+// Check-in en recepción: registra la asistencia del cliente (QR firmado o manual),
+// marca la clase como 'attended' o el turno como llegado y valida la membresía.
+import { pool } from "../db.js";
+import { ensureActiveMembership } from "../routes/appointments.js";
+import { ensureLoyaltySchema, syncLoyaltyForEnrollment } from "./loyalty.js";
+
+// Ventana alrededor del inicio de la clase/turno en la que el check-in se asocia
+const EARLY_MIN = Number(process.env.CHECKIN_EARLY_MIN || 60);
+const LATE_MIN = Number(process.env.CHECKIN_LATE_MIN || 30);
+
+const APPOINTMENT_CHECKIN_STATUSES = ["scheduled", "pending_deposit", "deposit_paid", "confirmed"];
+
+let schemaReady = null;
+
+export function ensureAttendanceSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS attendance_log (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          branch_id INT NULL,
+          customer_id INT NOT NULL,
+          kind VARCHAR(20) NOT NULL DEFAULT 'walk_in',
+          class_enrollment_id INT NULL,
+          appointment_id INT NULL,
+          method VARCHAR(20) NOT NULL DEFAULT 'qr',
+          device_id VARCHAR(120) NULL,
+          staff_user_id INT NULL,
+          token_nonce VARCHAR(32) NULL,
+          checked_in_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_attendance_token (tenant_id, token_nonce),
+          KEY idx_attendance_tenant_date (tenant_id, checked_in_at),
+          KEY idx_attendance_customer (tenant_id, customer_id, checked_in_at)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE appointment ADD COLUMN arrived_at DATETIME NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function httpError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+async function findClassEnrollment(conn, { tenantId, customerId, branchId }) {
+  const params = [tenantId, customerId, LATE_MIN, EARLY_MIN];
+  let branchClause = "";
+  if (branchId) {
+    branchClause = "AND (cs.branch_id IS NULL OR cs.branch_id = ?)";
+    params.push(branchId);
+  }
+  const [[row]] = await conn.query(
+    `SELECT ce.id, ce.status, cs.id AS session_id, cs.starts_at, cs.activity_type,
+            ct.name AS template_name, i.name AS instructor_name
+       FROM class_enrollment ce
+       JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+       LEFT JOIN class_template ct ON ct.id = cs.template_id
+       LEFT JOIN instructor i ON i.id = cs.instructor_id AND i.tenant_id = cs.tenant_id
+      WHERE ce.tenant_id = ?
+        AND ce.customer_id = ?
+        AND ce.status IN ('reserved','attended')
+        AND cs.status = 'scheduled'
+        AND cs.starts_at BETWEEN DATE_SUB(NOW(), INTERVAL ? MINUTE) AND DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        ${branchClause}
+      ORDER BY ABS(TIMESTAMPDIFF(SECOND, NOW(), cs.starts_at)) ASC
+      LIMIT 1
+      FOR UPDATE`,
+    params
+  );
+  return row || null;
+}
+
+async function findAppointment(conn, { tenantId, customerId, branchId }) {
+  const placeholders = APPOINTMENT_CHECKIN_STATUSES.map(() => "?").join(",");
+  const params = [tenantId, customerId, ...APPOINTMENT_CHECKIN_STATUSES, LATE_MIN, EARLY_MIN];
+  let branchClause = "";
+  if (branchId) {
+    branchClause = "AND (a.branch_id IS NULL OR a.branch_id = ?)";
+    params.push(branchId);
+  }
+  const [[row]] = await conn.query(
+    `SELECT a.id, a.starts_at, a.arrived_at, s.name AS service_name, i.name AS instructor_name
+       FROM appointment a
+       LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+       LEFT JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+      WHERE a.tenant_id = ?
+        AND a.customer_id = ?
+        AND a.status IN (${placeholders})
+        AND a.starts_at BETWEEN DATE_SUB(NOW(), INTERVAL ? MINUTE) AND DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        ${branchClause}
+      ORDER BY ABS(TIMESTAMPDIFF(SECOND, NOW(), a.starts_at)) ASC
+      LIMIT 1
+      FOR UPDATE`,
+    params
+  );
+  return row || null;
+}
+
+/**
+ * Sin clase ni turno: ingreso libre. Respeta el tope semanal/mensual del plan
+ * contando los ingresos ya registrados.
+ */
+async function enforceWalkInLimits(conn, { tenantId, customerId, membership }) {
+  const plan = membership?.plan;
+  if (!plan) return;
+
+  if (plan.maxClassesPerWeek) {
+    const [[row]] = await conn.query(
+      `SELECT COUNT(*) AS total
+         FROM attendance_log
+        WHERE tenant_id = ? AND customer_id = ?
+          AND YEARWEEK(checked_in_at, 1) = YEARWEEK(NOW(), 1)`,
+      [tenantId, customerId]
+    );
+    if (Number(row?.total || 0) >= plan.maxClassesPerWeek) {
+      throw httpError(`El plan "${plan.name}" permite hasta ${plan.maxClassesPerWeek} ingresos por semana.`, 403);
+    }
+  }
+
+  if (plan.maxClassesPerMonth) {
+    const [[row]] = await conn.query(
+      `SELECT COUNT(*) AS total
+         FROM attendance_log
+        WHERE tenant_id = ? AND customer_id = ?
+          AND checked_in_at >= DATE_FORMAT(NOW(), '%Y-%m-01')`,
+      [tenantId, customerId]
+    );
+    if (Number(row?.total || 0) >= plan.maxClassesPerMonth) {
+      throw httpError(`El plan "${plan.name}" permite hasta ${plan.maxClassesPerMonth} ingresos por mes.`, 403);
+    }
+  }
+}
+
+/**
+ * Registra un check-in. Lanza errores con .status (404/403/409) para que la ruta los traduzca.
+ */
+export async function recordCheckin({
+  tenantId,
+  customerId,
+  branchId = null,
+  deviceId = null,
+  staffUserId = null,
+  method = "qr",
+  tokenNonce = null,
+}) {
+  await ensureAttendanceSchema();
+  await ensureLoyaltySchema();
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[customer]] = await conn.query(
+      `SELECT id, name, phone_e164, email
+         FROM customer
+        WHERE id = ? AND tenant_id = ?
+        LIMIT 1`,
+      [customerId, tenantId]
+    );
+    if (!customer) {
+      throw httpError("Cliente no encontrado o no pertenece a este negocio", 404);
+    }
+
+    // La cuota al día (classes.require_membership) se exige para clases y visitas libres;
+    // a quien viene por un turno sólo se le muestra la membresía si la tiene
+    const loadMembership = () => ensureActiveMembership(conn, tenantId, customerId, { forClasses: true });
+    let membership = null;
+
+    let kind = "walk_in";
+    let alreadyCheckedIn = false;
+    let classInfo = null;
+    let appointmentInfo = null;
+
+    const enrollment = await findClassEnrollment(conn, { tenantId, customerId, branchId });
+    if (enrollment) {
+      membership = await loadMembership();
+      kind = "class";
+      alreadyCheckedIn = enrollment.status === "attended";
+      if (!alreadyCheckedIn) {
+        await conn.query(
+          `UPDATE class_enrollment SET status = 'attended' WHERE id = ? AND tenant_id = ?`,
+          [enrollment.id, tenantId]
+        );
+        await syncLoyaltyForEnrollment(conn, { tenantId, enrollmentId: enrollment.id, status: "attended" });
+      }
+      classInfo = {
+        enrollmentId: enrollment.id,
+        sessionId: enrollment.session_id,
+        name: enrollment.template_name || enrollment.activity_type,
+        instructorName: enrollment.instructor_name,
+        startsAt: enrollment.starts_at,
+      };
+    } else {
+      const appointment = await findAppointment(conn, { tenantId, customerId, branchId });
+      if (appointment) {
+        membership = await loadMembership().catch((error) => {
+          if (error?.status === 403) return null;
+          throw error;
+        });
+        kind = "appointment";
+        alreadyCheckedIn = Boolean(appointment.arrived_at);
+        if (!alreadyCheckedIn) {
+          await conn.query(
+            `UPDATE appointment SET arrived_at = NOW() WHERE id = ? AND tenant_id = ?`,
+            [appointment.id, tenantId]
+          );
+        }
+        appointmentInfo = {
+          id: appointment.id,
+          serviceName: appointment.service_name,
+          instructorName: appointment.instructor_name,
+          startsAt: appointment.starts_at,
+        };
+      } else {
+        membership = await loadMembership();
+        await enforceWalkInLimits(conn, { tenantId, customerId, membership });
+      }
+    }
+
+    let attendanceId = null;
+    if (!alreadyCheckedIn) {
+      try {
+        const [ins] = await conn.query(
+          `INSERT INTO attendance_log
+            (tenant_id, branch_id, customer_id, kind, class_enrollment_id, appointment_id,
+             method, device_id, staff_user_id, token_nonce)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            tenantId,
+            branchId,
+            customerId,
+            kind,
+            classInfo?.enrollmentId || null,
+            appointmentInfo?.id || null,
+            method,
+            deviceId ? String(deviceId).slice(0, 120) : null,
+            staffUserId,
+            tokenNonce,
+          ]
+        );
+        attendanceId = ins.insertId;
+      } catch (error) {
+        if (error?.code === "ER_DUP_ENTRY") {
+          throw httpError("Este QR ya fue utilizado. Pedile al cliente que lo actualice.", 409, "QR_REUSED");
+        }
+        throw error;
+      }
+    }
+
+    await conn.commit();
+
+    return {
+      attendanceId,
+      kind,
+      alreadyCheckedIn,
+      customer: {
+        id: customer.id,
+        name: customer.name,
+        phone: customer.phone_e164,
+        email: customer.email,
+      },
+      class: classInfo,
+      appointment: appointmentInfo,
+      membership: membership?.plan
+        ? {
+            planName: membership.plan.name,
+            dueDate: membership.dueDate,
+            isOverdue: membership.isOverdue,
+          }
+        : null,
+    };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Asistencias de un día (YYYY-MM-DD) para la pantalla de recepción.
+ */
+export async function listAttendance({ tenantId, date, branchId = null, limit = 200 }) {
+  await ensureAttendanceSchema();
+
+  const params = [tenantId, `${date} 00:00:00`, `${date} 23:59:59`];
+  let branchClause = "";
+  if (branchId) {
+    branchClause = "AND al.branch_id = ?";
+    params.push(branchId);
+  }
+  params.push(limit);
+
+  const [rows] = await pool.query(
+    `SELECT al.id, al.kind, al.method, al.device_id, al.branch_id, al.checked_in_at,
+            al.class_enrollment_id, al.appointment_id,
+            c.id AS customer_id, c.name AS customer_name, c.phone_e164 AS customer_phone,
+            u.email AS staff_email,
+            tb.name AS branch_name
+       FROM attendance_log al
+       JOIN customer c ON c.id = al.customer_id AND c.tenant_id = al.tenant_id
+       LEFT JOIN users u ON u.id = al.staff_user_id
+       LEFT JOIN tenant_branch tb ON tb.id = al.branch_id AND tb.tenant_id = al.tenant_id
+      WHERE al.tenant_id = ?
+        AND al.checked_in_at BETWEEN ? AND ?
+        ${branchClause}
+      ORDER BY al.checked_in_at DESC
+      LIMIT ?`,
+    params
+  );
+  return rows;
+}
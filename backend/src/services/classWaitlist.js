@@ -0,0 +1,392 @@
+// src/services/classWaitlist.js
+// Lista de espera de clases grupales.
+// Cuando una clase está llena, el cliente queda en class_enrollment con status 'waitlisted'.
+// Al liberarse un lugar se promueve al primero de la lista (orden de llegada): pasa a 'reserved'
+// con un plazo para confirmar (confirm_deadline). Si no confirma a tiempo, el lugar pasa al siguiente.
+import { pool } from "../db.js";
+import { sendWhatsAppText } from "../whatsapp.js";
+import { sendButtons } from "../whatsapp-ui.js";
+import { sendNotificationToCustomer } from "./pushNotifications.js";
+
+export const WAITLIST_STATUS = "waitlisted";
+const ACTIVE_ENROLL_STATUSES = ["reserved", "attended"];
+const CONFIRM_HOURS = Number(process.env.CLASS_WAITLIST_CONFIRM_HOURS || 12);
+
+let schemaReady = null;
+
+/**
+ * ¿Hay que cambiar el tipo de class_enrollment.status para poder guardar 'waitlisted'?
+ * Sólo si es un ENUM que no lo incluye o un texto demasiado corto.
+ * @param {{ DATA_TYPE: string, COLUMN_TYPE: string, CHARACTER_MAXIMUM_LENGTH: number|null }|undefined} column
+ */
+export function statusColumnNeedsWidening(column) {
+  if (!column) return false;
+  const type = String(column.DATA_TYPE || "").toLowerCase();
+  if (type === "enum" || type === "set") {
+    return !String(column.COLUMN_TYPE || "").includes(`'${WAITLIST_STATUS}'`);
+  }
+  if (type === "varchar" || type === "char") {
+    return Number(column.CHARACTER_MAXIMUM_LENGTH || 0) < WAITLIST_STATUS.length;
+  }
+  return false;
+}
+
+/**
+ * Columnas de la lista de espera. status pasa a VARCHAR para admitir 'waitlisted'
+ * sin depender de la definición original del ENUM (sólo si hace falta).
+ */
+export function ensureWaitlistSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      const [[statusColumn]] = await db.query(
+        `SELECT DATA_TYPE, COLUMN_TYPE, CHARACTER_MAXIMUM_LENGTH
+           FROM information_schema.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'class_enrollment' AND COLUMN_NAME = 'status'`
+      );
+      if (statusColumnNeedsWidening(statusColumn)) {
+        console.log(`[ClassWaitlist] class_enrollment.status es ${statusColumn.COLUMN_TYPE}: se pasa a VARCHAR(20)`);
+        await db.query(
+          `ALTER TABLE class_enrollment MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'reserved'`
+        );
+      }
+      try {
+        await db.query(`ALTER TABLE class_enrollment ADD COLUMN promoted_at DATETIME NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE class_enrollment ADD COLUMN confirm_deadline DATETIME NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Plazo para confirmar un lugar promovido: CONFIRM_HOURS desde ahora,
+ * pero nunca después del inicio de la clase.
+ */
+export function computeConfirmDeadline(startsAt, now = new Date(), hours = CONFIRM_HOURS) {
+  const deadline = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  const start = startsAt instanceof Date ? startsAt : new Date(String(startsAt).replace(" ", "T"));
+  if (!Number.isNaN(start.getTime()) && start < deadline) return start;
+  return deadline;
+}
+
+async function countActive(conn, { tenantId, sessionId }) {
+  const placeholders = ACTIVE_ENROLL_STATUSES.map(() => "?").join(",");
+  const [[row]] = await conn.query(
+    `SELECT COUNT(*) AS total
+       FROM class_enrollment
+      WHERE tenant_id = ?
+        AND session_id = ?
+        AND status IN (${placeholders})`,
+    [tenantId, sessionId, ...ACTIVE_ENROLL_STATUSES]
+  );
+  return Number(row?.total || 0);
+}
+
+/**
+ * Posición (1-based) de una inscripción dentro de la lista de espera de la clase.
+ */
+export async function getWaitlistPosition(conn, { tenantId, sessionId, enrollmentId }) {
+  const [[row]] = await conn.query(
+    `SELECT COUNT(*) AS ahead
+       FROM class_enrollment ce
+       JOIN class_enrollment me ON me.id = ? AND me.tenant_id = ce.tenant_id
+      WHERE ce.tenant_id = ?
+        AND ce.session_id = ?
+        AND ce.status = ?
+        AND (ce.created_at < me.created_at OR (ce.created_at = me.created_at AND ce.id <= me.id))`,
+    [enrollmentId, tenantId, sessionId, WAITLIST_STATUS]
+  );
+  return Number(row?.ahead || 0);
+}
+
+/**
+ * Anota al cliente en la lista de espera (debe llamarse dentro de la transacción que
+ * verificó que la clase está llena). Si tenía una inscripción cancelada se reutiliza.
+ * @returns {Promise<{enrollmentId:number, position:number}>}
+ */
+export async function joinWaitlist(conn, { tenantId, sessionId, customerId, notes = null }) {
+  await ensureWaitlistSchema();
+
+  const [[existing]] = await conn.query(
+    `SELECT id, status
+       FROM class_enrollment
+      WHERE tenant_id = ? AND session_id = ? AND customer_id = ?
+      LIMIT 1
+      FOR UPDATE`,
+    [tenantId, sessionId, customerId]
+  );
+
+  let enrollmentId;
+  if (existing) {
+    if (existing.status !== "cancelled") {
+      const err = new Error(
+        existing.status === WAITLIST_STATUS
+          ? "El cliente ya está en la lista de espera de esta clase"
+          : "El cliente ya está inscripto en esta clase"
+      );
+      err.code = "ER_DUP_ENTRY";
+      throw err;
+    }
+    await conn.query(
+      `UPDATE class_enrollment
+          SET status = ?, notes = COALESCE(?, notes), cancelled_at = NULL,
+              promoted_at = NULL, confirm_deadline = NULL, created_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [WAITLIST_STATUS, notes, existing.id, tenantId]
+    );
+    enrollmentId = existing.id;
+  } else {
+    const [ins] = await conn.query(
+      `INSERT INTO class_enrollment
+        (tenant_id, session_id, customer_id, status, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [tenantId, sessionId, customerId, WAITLIST_STATUS, notes]
+    );
+    enrollmentId = ins.insertId;
+  }
+
+  const position = await getWaitlistPosition(conn, { tenantId, sessionId, enrollmentId });
+  return { enrollmentId, position };
+}
+
+/**
+ * Promueve en orden de llegada a tantos clientes en espera como lugares libres haya.
+ * Debe correr dentro de una transacción; las notificaciones se envían después del commit
+ * con notifyPromotedEnrollments().
+ */
+export async function promoteFromWaitlist(conn, { tenantId, sessionId }) {
+  await ensureWaitlistSchema();
+
+  const [[session]] = await conn.query(
+    `SELECT id, starts_at, capacity_max, status
+       FROM class_session
+      WHERE id = ? AND tenant_id = ?
+      FOR UPDATE`,
+    [sessionId, tenantId]
+  );
+  if (!session || session.status !== "scheduled") return [];
+  if (new Date(String(session.starts_at).replace(" ", "T")) <= new Date()) return [];
+
+  const free = Number(session.capacity_max || 0) - (await countActive(conn, { tenantId, sessionId }));
+  if (free <= 0) return [];
+
+  const [waiting] = await conn.query(
+    `SELECT id, customer_id
+       FROM class_enrollment
+      WHERE tenant_id = ? AND session_id = ? AND status = ?
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+      FOR UPDATE`,
+    [tenantId, sessionId, WAITLIST_STATUS, free]
+  );
+
+  const deadline = computeConfirmDeadline(session.starts_at);
+  const promoted = [];
+  for (const row of waiting) {
+    await conn.query(
+      `UPDATE class_enrollment
+          SET status = 'reserved', promoted_at = NOW(), confirm_deadline = ?
+        WHERE id = ? AND tenant_id = ?`,
+      [deadline, row.id, tenantId]
+    );
+    promoted.push({
+      enrollmentId: row.id,
+      customerId: row.customer_id,
+      sessionId: session.id,
+      startsAt: session.starts_at,
+      confirmDeadline: deadline,
+    });
+  }
+  return promoted;
+}
+
+function formatDateTime(value) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  if (Number.isNaN(d.getTime())) return "";
+  const fecha = d.toLocaleDateString("es-AR", { weekday: "long", day: "2-digit", month: "2-digit" });
+  const hora = d.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+  return `${fecha} ${hora}`;
+}
+
+/**
+ * Avisa por WhatsApp (botones Confirmar / Liberar) y push a los clientes promovidos.
+ * Nunca lanza: un fallo de envío no debe afectar la cancelación que liberó el lugar.
+ */
+export async function notifyPromotedEnrollments(tenantId, promoted = []) {
+  for (const item of promoted) {
+    try {
+      const [[info]] = await pool.query(
+        `SELECT c.name, c.phone_e164,
+                COALESCE(ct.name, cs.activity_type) AS class_name
+           FROM class_enrollment ce
+           JOIN customer c ON c.id = ce.customer_id AND c.tenant_id = ce.tenant_id
+           JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+           LEFT JOIN class_template ct ON ct.id = cs.template_id
+          WHERE ce.id = ? AND ce.tenant_id = ?
+          LIMIT 1`,
+        [item.enrollmentId, tenantId]
+      );
+      if (!info) continue;
+
+      const className = info.class_name || "la clase";
+      const when = formatDateTime(item.startsAt);
+      const until = formatDateTime(item.confirmDeadline);
+      const greeting = info.name ? `¡Hola ${info.name.split(" ")[0]}!` : "¡Hola!";
+      const body =
+        `${greeting} Se liberó un lugar en *${className}* (${when}) y es tuyo 🎉\n\n` +
+        `Confirmá antes del ${until} o el lugar pasará a la siguiente persona en espera.`;
+
+      if (info.phone_e164) {
+        try {
+          await sendButtons(
+            info.phone_e164,
+            {
+              header: "Lista de espera",
+              body,
+              buttons: [
+                { id: `wl_confirm_${item.enrollmentId}`, title: "Confirmar" },
+                { id: `wl_decline_${item.enrollmentId}`, title: "Liberar lugar" },
+              ],
+            },
+            tenantId
+          );
+        } catch (err) {
+          // Fuera de la ventana de 24 h los mensajes interactivos fallan: probar con texto
+          console.warn("[ClassWaitlist] No se pudieron enviar botones:", err.message);
+          await sendWhatsAppText(
+            info.phone_e164,
+            `${body}\n\nConfirmalo desde la app o respondé a este mensaje.`,
+            tenantId
+          ).catch((e) => console.warn("[ClassWaitlist] WhatsApp no enviado:", e.message));
+        }
+      }
+
+      await sendNotificationToCustomer(tenantId, item.customerId, {
+        title: "¡Se liberó un lugar!",
+        body: `${className} — ${when}. Confirmá antes del ${until}.`,
+        data: {
+          type: "class_waitlist_promoted",
+          enrollmentId: item.enrollmentId,
+          sessionId: item.sessionId,
+          confirmDeadline: item.confirmDeadline,
+        },
+      });
+    } catch (err) {
+      console.error(`[ClassWaitlist] Error notificando inscripción ${item.enrollmentId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Libera lugares de una o varias clases y promueve a la lista de espera en su propia transacción.
+ * Pensado para llamarse después de una cancelación ya confirmada.
+ */
+export async function releaseSpotsAndPromote(tenantId, sessionIds) {
+  const ids = [...new Set((Array.isArray(sessionIds) ? sessionIds : [sessionIds]).map(Number).filter(Boolean))];
+  if (!ids.length) return [];
+
+  const conn = await pool.getConnection();
+  let promoted = [];
+  try {
+    await conn.beginTransaction();
+    for (const sessionId of ids) {
+      promoted = promoted.concat(await promoteFromWaitlist(conn, { tenantId, sessionId }));
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("[ClassWaitlist] Error promoviendo lista de espera:", err.message);
+    return [];
+  } finally {
+    conn.release();
+  }
+
+  await notifyPromotedEnrollments(tenantId, promoted);
+  return promoted;
+}
+
+/**
+ * Respuesta del cliente promovido. accept=true confirma el lugar; false lo libera
+ * (y se promueve al siguiente). customerId es obligatorio: valida que el lugar sea suyo.
+ */
+export async function respondToPromotion({ tenantId, enrollmentId, accept, customerId = null }) {
+  await ensureWaitlistSchema();
+
+  // Sólo el cliente promovido puede responder por su lugar
+  if (!customerId) return { ok: false, error: "Inscripción no encontrada" };
+
+  const [[enrollment]] = await pool.query(
+    `SELECT id, session_id, status, confirm_deadline
+       FROM class_enrollment
+      WHERE id = ? AND tenant_id = ? AND customer_id = ?
+      LIMIT 1`,
+    [enrollmentId, tenantId, customerId]
+  );
+  if (!enrollment) return { ok: false, error: "Inscripción no encontrada" };
+  if (enrollment.status !== "reserved" || !enrollment.confirm_deadline) {
+    return { ok: false, error: "No hay un lugar pendiente de confirmación" };
+  }
+  if (new Date(String(enrollment.confirm_deadline).replace(" ", "T")) < new Date()) {
+    return { ok: false, error: "El plazo para confirmar el lugar ya venció" };
+  }
+
+  if (accept) {
+    await pool.query(
+      `UPDATE class_enrollment SET confirm_deadline = NULL WHERE id = ? AND tenant_id = ?`,
+      [enrollmentId, tenantId]
+    );
+    return { ok: true, status: "reserved", sessionId: enrollment.session_id };
+  }
+
+  await pool.query(
+    `UPDATE class_enrollment
+        SET status = 'cancelled', cancelled_at = NOW(), confirm_deadline = NULL
+      WHERE id = ? AND tenant_id = ?`,
+    [enrollmentId, tenantId]
+  );
+  await releaseSpotsAndPromote(tenantId, enrollment.session_id);
+  return { ok: true, status: "cancelled", sessionId: enrollment.session_id };
+}
+
+/**
+ * Job: cancela los lugares promovidos que no se confirmaron a tiempo y pasa el lugar al siguiente.
+ */
+export async function expireUnconfirmedPromotions({ limit = 100 } = {}) {
+  await ensureWaitlistSchema();
+
+  const [rows] = await pool.query(
+    `SELECT id, tenant_id, session_id
+       FROM class_enrollment
+      WHERE status = 'reserved'
+        AND confirm_deadline IS NOT NULL
+        AND confirm_deadline < NOW()
+      ORDER BY confirm_deadline ASC
+      LIMIT ?`,
+    [limit]
+  );
+  if (!rows.length) return { expired: 0, promoted: 0 };
+
+  const byTenant = new Map();
+  for (const row of rows) {
+    await pool.query(
+      `UPDATE class_enrollment
+          SET status = 'cancelled', cancelled_at = NOW(), confirm_deadline = NULL
+        WHERE id = ? AND tenant_id = ? AND status = 'reserved'`,
+      [row.id, row.tenant_id]
+    );
+    if (!byTenant.has(row.tenant_id)) byTenant.set(row.tenant_id, new Set());
+    byTenant.get(row.tenant_id).add(row.session_id);
+  }
+
+  let promoted = 0;
+  for (const [tenantId, sessionIds] of byTenant.entries()) {
+    const result = await releaseSpotsAndPromote(tenantId, [...sessionIds]);
+    promoted += result.length;
+  }
+  return { expired: rows.length, promoted };
+}
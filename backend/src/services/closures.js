@@ -0,0 +1,418 @@
+// src/services/closures.js
+// Días de cierre del negocio (todo el tenant o una sucursal): feriados aceptados
+// desde la lista nacional o cierres manuales. Bloquean la toma de turnos, la
+// generación de clases y los horarios que ofrecen el bot y la disponibilidad pública.
+// Los turnos ya reservados en esos días quedan marcados para reprogramar.
+import { pool } from "../db.js";
+import { getArgentineHolidays } from "../helpers/holidaysAR.js";
+
+const ACTIVE_APPOINTMENT_STATUSES = ["scheduled", "confirmed", "deposit_paid", "pending_deposit"];
+// Tope de días por cierre manual (vacaciones largas, refacciones)
+const MAX_CLOSURE_DAYS = 62;
+
+let schemaReady = null;
+
+export function ensureClosureSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS business_closure (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          branch_id INT NULL,
+          closure_date DATE NOT NULL,
+          name VARCHAR(120) NOT NULL,
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          holiday_key VARCHAR(60) NULL,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_closure_tenant_date (tenant_id, closure_date),
+          KEY idx_closure_holiday (tenant_id, holiday_key)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE appointment ADD COLUMN needs_reschedule TINYINT(1) NOT NULL DEFAULT 0`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE appointment ADD COLUMN reschedule_reason VARCHAR(255) NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE appointment ADD COLUMN reschedule_source VARCHAR(40) NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function closureError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toDateKey(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+  }
+  const str = String(value || "").slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+}
+
+function formatDateAR(dateKey) {
+  const [y, m, d] = dateKey.split("-");
+  return `${d}/${m}/${y}`;
+}
+
+function mapClosure(row) {
+  return {
+    id: Number(row.id),
+    branchId: row.branch_id ? Number(row.branch_id) : null,
+    branchName: row.branch_name || null,
+    date: toDateKey(row.closure_date),
+    name: row.name,
+    source: row.source,
+    holidayKey: row.holiday_key,
+    affectedAppointments: row.affected_count != null ? Number(row.affected_count) : undefined,
+  };
+}
+
+/**
+ * Cierre activo que aplica a la fecha (del tenant completo o de la sucursal)
+ * @returns {Promise<Object|null>}
+ */
+export async function findClosure(db, { tenantId, branchId = null, date }) {
+  const dateKey = toDateKey(date);
+  if (!tenantId || !dateKey) return null;
+  await ensureClosureSchema();
+  const [[row]] = await db.query(
+    `SELECT * FROM business_closure
+      WHERE tenant_id = ? AND closure_date = ? AND is_active = 1
+        AND (branch_id IS NULL OR branch_id = ?)
+      ORDER BY branch_id IS NULL DESC
+      LIMIT 1`,
+    [tenantId, dateKey, branchId ? Number(branchId) : null]
+  );
+  return row ? mapClosure(row) : null;
+}
+
+/**
+ * Lanza 409 si el negocio (o la sucursal) está cerrado ese día
+ */
+export async function assertBusinessOpen(db, { tenantId, branchId = null, date }) {
+  const closure = await findClosure(db, { tenantId, branchId, date });
+  if (closure) {
+    throw closureError(`El negocio está cerrado el ${formatDateAR(closure.date)} (${closure.name})`, 409);
+  }
+}
+
+/**
+ * Fechas cerradas en un rango, para validar muchas fechas con una sola consulta
+ * @returns {Promise<Map<string, string>>} fecha → nombre del cierre
+ */
+export async function getClosedDates(db, { tenantId, branchId = null, from, to }) {
+  await ensureClosureSchema();
+  const [rows] = await db.query(
+    `SELECT closure_date, name FROM business_closure
+      WHERE tenant_id = ? AND is_active = 1
+        AND closure_date BETWEEN ? AND ?
+        AND (branch_id IS NULL OR branch_id = ?)`,
+    [tenantId, toDateKey(from), toDateKey(to), branchId ? Number(branchId) : null]
+  );
+  return new Map(rows.map((row) => [toDateKey(row.closure_date), row.name]));
+}
+
+/**
+ * Marca para reprogramar los turnos activos que caen en el cierre
+ * @returns {Promise<number>} cantidad de turnos marcados
+ */
+async function flagAppointmentsForClosure(db, tenantId, closure) {
+  const placeholders = ACTIVE_APPOINTMENT_STATUSES.map(() => "?").join(",");
+  const params = [
+    `Cierre: ${closure.name}`.slice(0, 255),
+    `closure:${closure.id}`,
+    tenantId,
+    `${closure.date} 00:00:00`,
+    `${closure.date} 23:59:59`,
+    ...ACTIVE_APPOINTMENT_STATUSES,
+  ];
+  let branchSQL = "";
+  if (closure.branchId) {
+    branchSQL = " AND branch_id = ?";
+    params.push(closure.branchId);
+  }
+  const [result] = await db.query(
+    `UPDATE appointment
+        SET needs_reschedule = 1, reschedule_reason = ?, reschedule_source = ?
+      WHERE tenant_id = ? AND starts_at BETWEEN ? AND ?
+        AND status IN (${placeholders})${branchSQL}`,
+    params
+  );
+  return result.affectedRows;
+}
+
+async function unflagAppointmentsForClosure(db, tenantId, closureId) {
+  await db.query(
+    `UPDATE appointment
+        SET needs_reschedule = 0, reschedule_reason = NULL, reschedule_source = NULL
+      WHERE tenant_id = ? AND reschedule_source = ?`,
+    [tenantId, `closure:${closureId}`]
+  );
+}
+
+/**
+ * Quita la marca de reprogramación (el turno se movió o se canceló)
+ */
+export async function clearRescheduleFlag(db, { tenantId, appointmentId }) {
+  await ensureClosureSchema();
+  await db.query(
+    `UPDATE appointment
+        SET needs_reschedule = 0, reschedule_reason = NULL, reschedule_source = NULL
+      WHERE id = ? AND tenant_id = ? AND needs_reschedule = 1`,
+    [appointmentId, tenantId]
+  );
+}
+
+export async function listClosures(tenantId, { year = null, branchId = null } = {}) {
+  await ensureClosureSchema();
+  const params = [tenantId];
+  let sql = `
+    SELECT bc.*, b.name AS branch_name,
+           (SELECT COUNT(*) FROM appointment a
+             WHERE a.tenant_id = bc.tenant_id AND a.needs_reschedule = 1
+               AND a.reschedule_source = CONCAT('closure:', bc.id)) AS affected_count
+      FROM business_closure bc
+      LEFT JOIN tenant_branch b ON b.id = bc.branch_id AND b.tenant_id = bc.tenant_id
+     WHERE bc.tenant_id = ? AND bc.is_active = 1`;
+  if (year) {
+    sql += " AND YEAR(bc.closure_date) = ?";
+    params.push(Number(year));
+  }
+  if (branchId) {
+    sql += " AND (bc.branch_id IS NULL OR bc.branch_id = ?)";
+    params.push(Number(branchId));
+  }
+  sql += " ORDER BY bc.closure_date ASC";
+  const [rows] = await pool.query(sql, params);
+  return rows.map(mapClosure);
+}
+
+async function insertClosure(conn, { tenantId, branchId, date, name, source, holidayKey, isActive = true, userId }) {
+  const [result] = await conn.query(
+    `INSERT INTO business_closure (tenant_id, branch_id, closure_date, name, source, holiday_key, is_active, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, branchId || null, date, String(name).slice(0, 120), source, holidayKey || null, isActive ? 1 : 0, userId || null]
+  );
+  return { id: result.insertId, branchId: branchId || null, date, name, source, holidayKey: holidayKey || null };
+}
+
+/**
+ * Crea un cierre manual para un día o un rango (from..to inclusive)
+ * @returns {Promise<{ closures: Array, flaggedAppointments: number }>}
+ */
+export async function createClosures(tenantId, { date, from, to, branchId = null, name, userId }) {
+  await ensureClosureSchema();
+  const start = toDateKey(from || date);
+  const end = toDateKey(to || from || date);
+  if (!start || !end || end < start) throw closureError("Rango de fechas inválido");
+  const label = String(name || "").trim() || "Cerrado";
+
+  if (branchId) {
+    const [[branch]] = await pool.query(
+      `SELECT id FROM tenant_branch WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      [Number(branchId), tenantId]
+    );
+    if (!branch) throw closureError("Sucursal no encontrada", 404);
+  }
+
+  const days = [];
+  for (let d = new Date(`${start}T00:00:00`); toDateKey(d) <= end; d.setDate(d.getDate() + 1)) {
+    days.push(toDateKey(d));
+    if (days.length > MAX_CLOSURE_DAYS) {
+      throw closureError(`Un cierre puede abarcar como máximo ${MAX_CLOSURE_DAYS} días`);
+    }
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const closures = [];
+    let flaggedAppointments = 0;
+    for (const day of days) {
+      const [[existing]] = await conn.query(
+        `SELECT id FROM business_closure
+          WHERE tenant_id = ? AND closure_date = ? AND is_active = 1 AND branch_id <=> ?
+          LIMIT 1`,
+        [tenantId, day, branchId ? Number(branchId) : null]
+      );
+      if (existing) continue;
+      const closure = await insertClosure(conn, {
+        tenantId,
+        branchId: branchId ? Number(branchId) : null,
+        date: day,
+        name: label,
+        source: "manual",
+        userId,
+      });
+      const flagged = await flagAppointmentsForClosure(conn, tenantId, closure);
+      flaggedAppointments += flagged;
+      closures.push({ ...closure, affectedAppointments: flagged });
+    }
+    await conn.commit();
+    return { closures, flaggedAppointments };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function deleteClosure(tenantId, closureId) {
+  await ensureClosureSchema();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[closure]] = await conn.query(
+      `SELECT * FROM business_closure WHERE id = ? AND tenant_id = ? FOR UPDATE`,
+      [closureId, tenantId]
+    );
+    if (!closure) {
+      await conn.rollback();
+      return false;
+    }
+    // Los feriados se conservan desactivados para que no vuelvan a sugerirse
+    if (closure.source === "holiday") {
+      await conn.query(`UPDATE business_closure SET is_active = 0 WHERE id = ?`, [closureId]);
+    } else {
+      await conn.query(`DELETE FROM business_closure WHERE id = ?`, [closureId]);
+    }
+    await unflagAppointmentsForClosure(conn, tenantId, closureId);
+    await conn.commit();
+    return true;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Feriados nacionales del año con la decisión del tenant
+ * @returns {Promise<Array<{ date: string, key: string, name: string, status: "pending"|"accepted"|"skipped", closureId: number|null }>>}
+ */
+export async function getHolidaySuggestions(tenantId, year) {
+  await ensureClosureSchema();
+  const holidays = getArgentineHolidays(year);
+  if (!holidays.length) return [];
+  const [rows] = await pool.query(
+    `SELECT id, holiday_key, is_active FROM business_closure
+      WHERE tenant_id = ? AND source = 'holiday' AND holiday_key IN (?)`,
+    [tenantId, holidays.map((h) => h.key)]
+  );
+  const byKey = new Map(rows.map((row) => [row.holiday_key, row]));
+  return holidays.map((holiday) => {
+    const row = byKey.get(holiday.key);
+    return {
+      ...holiday,
+      status: !row ? "pending" : row.is_active ? "accepted" : "skipped",
+      closureId: row ? Number(row.id) : null,
+    };
+  });
+}
+
+/**
+ * Acepta (cierra todo el negocio) u omite feriados de la lista nacional
+ * @param {number} tenantId
+ * @param {{ year: number, accept?: string[], skip?: string[], userId?: number }} params
+ */
+export async function decideHolidays(tenantId, { year, accept = [], skip = [], userId }) {
+  await ensureClosureSchema();
+  const holidays = new Map(getArgentineHolidays(year).map((h) => [h.key, h]));
+  if (!holidays.size) throw closureError("Año inválido");
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    let flaggedAppointments = 0;
+
+    const decisions = [
+      ...accept.map((key) => ({ key, active: true })),
+      ...skip.map((key) => ({ key, active: false })),
+    ];
+    for (const { key, active } of decisions) {
+      const holiday = holidays.get(key);
+      if (!holiday) throw closureError(`Feriado desconocido: ${key}`);
+
+      const [[existing]] = await conn.query(
+        `SELECT * FROM business_closure
+          WHERE tenant_id = ? AND source = 'holiday' AND holiday_key = ?
+          LIMIT 1 FOR UPDATE`,
+        [tenantId, key]
+      );
+
+      let closure;
+      if (existing) {
+        if (Boolean(existing.is_active) === active) continue;
+        await conn.query(`UPDATE business_closure SET is_active = ? WHERE id = ?`, [active ? 1 : 0, existing.id]);
+        closure = { id: existing.id, branchId: null, date: holiday.date, name: holiday.name };
+      } else {
+        closure = await insertClosure(conn, {
+          tenantId,
+          date: holiday.date,
+          name: holiday.name,
+          source: "holiday",
+          holidayKey: key,
+          isActive: active,
+          userId,
+        });
+      }
+
+      if (active) {
+        flaggedAppointments += await flagAppointmentsForClosure(conn, tenantId, closure);
+      } else {
+        await unflagAppointmentsForClosure(conn, tenantId, closure.id);
+      }
+    }
+
+    await conn.commit();
+    return { flaggedAppointments };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Turnos marcados para reprogramar (por cierres u otros motivos)
+ */
+export async function listAppointmentsNeedingReschedule(tenantId, { branchId = null } = {}) {
+  await ensureClosureSchema();
+  const params = [tenantId];
+  let sql = `
+    SELECT a.id, a.starts_at, a.ends_at, a.status, a.branch_id, a.reschedule_reason,
+           c.name AS customer_name, c.phone_e164 AS customer_phone,
+           s.name AS service_name, i.name AS instructor_name
+      FROM appointment a
+      LEFT JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+      LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+      LEFT JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+     WHERE a.tenant_id = ? AND a.needs_reschedule = 1`;
+  if (branchId) {
+    sql += " AND a.branch_id = ?";
+    params.push(Number(branchId));
+  }
+  sql += " ORDER BY a.starts_at ASC";
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
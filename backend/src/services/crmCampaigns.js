@@ -0,0 +1,876 @@
+// src/services/crmCampaigns.js
+// Campañas del CRM: segmentos, envío multicanal (WhatsApp, email y push) con variantes A/B
+// y mensajes personalizados, preferencia de canal y baja de marketing por cliente, y
+// atribución de turnos, inscripciones a clases y pagos posteriores al envío.
+import { pool } from "../db.js";
+import { sendWhatsAppText, sendWhatsAppTemplate } from "../whatsapp.js";
+import { sendEmail } from "./email.js";
+import { sendNotificationToCustomer, getCustomerPushTokens } from "./pushNotifications.js";
+import { listPromoCodeCustomers } from "./promoCodes.js";
+import { enqueueJob, listJobs, findJobByKey, cancelJob } from "./jobScheduler.js";
+
+export const CAMPAIGN_CHANNELS = ["whatsapp", "email", "push"];
+
+export const PRESET_SEGMENTS = [
+  {
+    code: "inactive_60_days",
+    label: "Inactivos 60 días",
+    description: "Clientes sin turnos en los últimos 60 días.",
+  },
+  {
+    code: "renewal_7_days",
+    label: "Renovación en 7 días",
+    description: "Clientes con membresía autorizada que vence en los próximos 7 días.",
+  },
+  {
+    code: "deposit_pending_recent",
+    label: "Seña pendiente (reciente)",
+    description: "Clientes con turnos con seña pendiente en los últimos 14 días.",
+  },
+  {
+    code: "deposit_expired_recent",
+    label: "Seña vencida (reciente)",
+    description: "Clientes con reserva vencida de seña en los últimos 14 días.",
+  },
+];
+
+export const CUSTOM_SEGMENT_TYPES = [
+  "inactive_x_days",
+  "renewal_in_days",
+  "deposit_pending_recent_days",
+  "deposit_expired_recent_days",
+  "promo_code_used",
+];
+
+// Los segmentos predefinidos son los tipos personalizados con días fijos
+const PRESET_SEGMENT_RULES = {
+  inactive_60_days: { type: "inactive_x_days", days: 60 },
+  renewal_7_days: { type: "renewal_in_days", days: 7 },
+  deposit_pending_recent: { type: "deposit_pending_recent_days", days: 14 },
+  deposit_expired_recent: { type: "deposit_expired_recent_days", days: 14 },
+};
+
+const VARIANT_KEYS = ["A", "B", "C", "D"];
+
+export const DEFAULT_ATTRIBUTION_DAYS = 7;
+const MAX_ATTRIBUTION_DAYS = 90;
+const MAX_RECIPIENTS = 500;
+const HISTORY_LIMIT = 200;
+
+let schemaReady = null;
+
+export function ensureCrmCampaignSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      const alters = [
+        `ALTER TABLE customer ADD COLUMN marketing_opt_out TINYINT(1) NOT NULL DEFAULT 0`,
+        `ALTER TABLE customer ADD COLUMN marketing_opt_out_at DATETIME NULL`,
+        `ALTER TABLE customer ADD COLUMN marketing_channel VARCHAR(16) NULL`,
+      ];
+      for (const sql of alters) {
+        try {
+          await db.query(sql);
+        } catch (error) {
+          if (error.code !== "ER_DUP_FIELDNAME") throw error;
+        }
+      }
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS crm_campaign_recipient (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          campaign_id BIGINT NOT NULL,
+          customer_id INT NOT NULL,
+          variant VARCHAR(2) NOT NULL DEFAULT 'A',
+          channel VARCHAR(16) NULL,
+          status VARCHAR(16) NOT NULL,
+          error_message VARCHAR(255) NULL,
+          sent_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_crm_recipient_campaign (tenant_id, campaign_id, variant),
+          KEY idx_crm_recipient_customer (tenant_id, customer_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normPhone(phone) {
+  if (!phone) return null;
+  return String(phone).replace(/\s+/g, "").replace(/-/g, "") || null;
+}
+
+/**
+ * Canales válidos, sin repetir y en el orden de prioridad elegido (por defecto, WhatsApp)
+ */
+export function normalizeCampaignChannels(channels) {
+  const list = (Array.isArray(channels) ? channels : [channels])
+    .map((channel) => String(channel || "").trim().toLowerCase())
+    .filter((channel) => CAMPAIGN_CHANNELS.includes(channel));
+  const unique = [...new Set(list)];
+  return unique.length ? unique : ["whatsapp"];
+}
+
+/**
+ * Variantes A/B/C/D de la campaña. Sin variantes, el mensaje único es la variante A.
+ */
+export function normalizeCampaignVariants({ variants, message, subject } = {}) {
+  const source = Array.isArray(variants) && variants.length ? variants : [{ message, subject }];
+  const list = source
+    .map((variant) => ({
+      message: String(variant?.message || "").trim(),
+      subject: String(variant?.subject || "").trim() || null,
+    }))
+    .filter((variant) => variant.message)
+    .slice(0, VARIANT_KEYS.length)
+    .map((variant, index) => ({ key: VARIANT_KEYS[index], ...variant }));
+  if (!list.length) throw httpError("La campaña necesita al menos un mensaje", 400);
+  return list;
+}
+
+export function normalizeAttributionDays(days) {
+  const value = Math.round(Number(days));
+  if (!Number.isFinite(value) || value < 1) return DEFAULT_ATTRIBUTION_DAYS;
+  return Math.min(MAX_ATTRIBUTION_DAYS, value);
+}
+
+/**
+ * Reemplaza {nombre}, {primer_nombre} y {negocio}. Los marcadores desconocidos quedan tal cual.
+ */
+export function renderCampaignMessage(template, { customerName, tenantName } = {}) {
+  const name = String(customerName || "").trim() || "Cliente";
+  const values = {
+    nombre: name,
+    primer_nombre: name.split(/\s+/)[0],
+    negocio: String(tenantName || "").trim(),
+  };
+  return String(template || "").replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Canal por el que se le escribe al cliente: su preferido si la campaña lo usa y es
+ * alcanzable; si no, el primero alcanzable según el orden de la campaña.
+ * Devuelve null si se dio de baja o no tiene ningún dato de contacto útil.
+ */
+export function pickCampaignChannel(contact, channels) {
+  if (!contact || contact.optOut) return null;
+  const reachable = {
+    whatsapp: Boolean(contact.phone),
+    email: Boolean(contact.email),
+    push: Boolean(contact.pushToken),
+  };
+  const available = channels.filter((channel) => reachable[channel]);
+  if (contact.preferredChannel && available.includes(contact.preferredChannel)) {
+    return contact.preferredChannel;
+  }
+  return available[0] || null;
+}
+
+/**
+ * Totales de atribución por variante a partir de una fila por destinatario
+ * ({ variant, status, booked, enrolled, paid }).
+ */
+export function summarizeAttribution(rows, variants = []) {
+  const empty = (key) => ({ key, recipients: 0, sent: 0, booked: 0, enrolled: 0, paid: 0, converted: 0 });
+  const byVariant = new Map(variants.map((variant) => [variant.key, { ...empty(variant.key), message: variant.message }]));
+  const totals = empty(null);
+  for (const row of rows) {
+    const key = row.variant || "A";
+    if (!byVariant.has(key)) byVariant.set(key, empty(key));
+    const target = byVariant.get(key);
+    const sent = row.status === "sent";
+    const booked = sent && Number(row.booked) > 0;
+    const enrolled = sent && Number(row.enrolled) > 0;
+    const paid = sent && Number(row.paid) > 0;
+    for (const bucket of [target, totals]) {
+      bucket.recipients += 1;
+      bucket.sent += sent ? 1 : 0;
+      bucket.booked += booked ? 1 : 0;
+      bucket.enrolled += enrolled ? 1 : 0;
+      bucket.paid += paid ? 1 : 0;
+      bucket.converted += booked || enrolled || paid ? 1 : 0;
+    }
+  }
+  const withRate = (bucket) => ({
+    ...bucket,
+    conversionRate: bucket.sent ? Math.round((bucket.converted / bucket.sent) * 1000) / 10 : 0,
+  });
+  return {
+    variants: [...byVariant.values()].sort((a, b) => a.key.localeCompare(b.key)).map(withRate),
+    totals: withRate(totals),
+  };
+}
+
+/* =========================
+   Segmentos
+========================= */
+
+async function readConfigList(tenantId, key) {
+  const [[row]] = await pool.query(
+    `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = ? LIMIT 1`,
+    [tenantId, key]
+  );
+  if (!row?.config_value) return [];
+  try {
+    const parsed = JSON.parse(row.config_value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveConfigList(tenantId, key, list) {
+  await pool.query(
+    `INSERT INTO system_config (tenant_id, config_key, config_value)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)`,
+    [tenantId, key, JSON.stringify(list || [])]
+  );
+}
+
+export function getCustomSegments(tenantId) {
+  return readConfigList(tenantId, "crm.custom_segments");
+}
+
+export function saveCustomSegments(tenantId, segments) {
+  return saveConfigList(tenantId, "crm.custom_segments", segments);
+}
+
+async function querySegment(tenantId, type, days, params, limit) {
+  if (type === "inactive_x_days") {
+    const [rows] = await pool.query(
+      `
+      SELECT c.id, c.name, c.phone_e164 AS phone,
+             MAX(a.starts_at) AS last_appointment_at
+        FROM customer c
+        LEFT JOIN appointment a
+          ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
+       WHERE c.tenant_id = ?
+       GROUP BY c.id, c.name, c.phone_e164
+      HAVING (last_appointment_at IS NULL OR last_appointment_at < DATE_SUB(NOW(), INTERVAL ? DAY))
+       ORDER BY last_appointment_at IS NULL DESC, last_appointment_at ASC
+       LIMIT ?
+      `,
+      [tenantId, days, limit]
+    );
+    return rows;
+  }
+  if (type === "renewal_in_days") {
+    const [rows] = await pool.query(
+      `
+      SELECT c.id, c.name, c.phone_e164 AS phone, cs.next_charge_at
+        FROM customer c
+        JOIN customer_subscription cs
+          ON cs.customer_id = c.id AND cs.tenant_id = c.tenant_id
+       WHERE c.tenant_id = ?
+         AND cs.status = 'authorized'
+         AND cs.next_charge_at IS NOT NULL
+         AND cs.next_charge_at BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
+       ORDER BY cs.next_charge_at ASC
+       LIMIT ?
+      `,
+      [tenantId, days, limit]
+    );
+    return rows;
+  }
+  if (type === "deposit_pending_recent_days") {
+    const [rows] = await pool.query(
+      `
+      SELECT c.id, c.name, c.phone_e164 AS phone,
+             MAX(a.starts_at) AS last_starts_at
+        FROM customer c
+        JOIN appointment a
+          ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
+       WHERE c.tenant_id = ?
+         AND a.status = 'pending_deposit'
+         AND a.starts_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY c.id, c.name, c.phone_e164
+       ORDER BY last_starts_at DESC
+       LIMIT ?
+      `,
+      [tenantId, days, limit]
+    );
+    return rows;
+  }
+  if (type === "deposit_expired_recent_days") {
+    const [rows] = await pool.query(
+      `
+      SELECT c.id, c.name, c.phone_e164 AS phone,
+             MAX(a.hold_until) AS last_hold_until
+        FROM customer c
+        JOIN appointment a
+          ON a.customer_id = c.id AND a.tenant_id = c.tenant_id
+       WHERE c.tenant_id = ?
+         AND a.status = 'pending_deposit'
+         AND a.deposit_paid_at IS NULL
+         AND a.hold_until IS NOT NULL
+         AND a.hold_until < NOW()
+         AND a.hold_until >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY c.id, c.name, c.phone_e164
+       ORDER BY last_hold_until DESC
+       LIMIT ?
+      `,
+      [tenantId, days, limit]
+    );
+    return rows;
+  }
+  if (type === "promo_code_used") {
+    // Clientes que usaron el código (o los códigos de una campaña) en los últimos X días
+    return listPromoCodeCustomers(tenantId, {
+      code: params?.promoCode || null,
+      campaign: params?.campaign || null,
+      days,
+      limit,
+    });
+  }
+  throw httpError("Tipo de segmento personalizado inválido", 400);
+}
+
+/**
+ * Clientes de un segmento predefinido o personalizado: [{ id, name, phone }]
+ */
+export async function resolveSegmentCustomers(tenantId, segmentCode, limit = 200) {
+  const code = String(segmentCode || "").trim();
+  const max = Math.min(MAX_RECIPIENTS, Math.max(1, Number(limit) || 50));
+  let rule = PRESET_SEGMENT_RULES[code];
+  if (!rule) {
+    const custom = await getCustomSegments(tenantId);
+    const segment = custom.find((s) => String(s.code) === code);
+    if (!segment) throw httpError("Segmento inválido", 400);
+    rule = {
+      type: String(segment.type || ""),
+      days: Number(segment?.params?.days || segment?.days || 14),
+      params: segment.params || {},
+    };
+  }
+  const rows = await querySegment(tenantId, rule.type, rule.days, rule.params, max);
+  return rows.map((row) => ({ id: row.id, name: row.name, phone: normPhone(row.phone) }));
+}
+
+/**
+ * Datos de contacto y preferencias de marketing de los clientes (por id)
+ */
+export async function loadCampaignContacts(tenantId, customerIds) {
+  const ids = [...new Set(customerIds.map(Number).filter(Boolean))];
+  const contacts = new Map();
+  if (!ids.length) return contacts;
+  await ensureCrmCampaignSchema();
+  const [rows] = await pool.query(
+    `SELECT id, name, phone_e164, email, marketing_opt_out, marketing_channel
+       FROM customer
+      WHERE tenant_id = ? AND id IN (?)`,
+    [tenantId, ids]
+  );
+  const tokens = await getCustomerPushTokens(tenantId, ids);
+  const tokenByCustomer = new Map(tokens.map((t) => [Number(t.customerId), t.pushToken]));
+  for (const row of rows) {
+    contacts.set(Number(row.id), {
+      id: Number(row.id),
+      name: row.name || null,
+      phone: normPhone(row.phone_e164),
+      email: String(row.email || "").trim() || null,
+      pushToken: tokenByCustomer.get(Number(row.id)) || null,
+      optOut: Boolean(row.marketing_opt_out),
+      preferredChannel: CAMPAIGN_CHANNELS.includes(row.marketing_channel) ? row.marketing_channel : null,
+    });
+  }
+  return contacts;
+}
+
+/**
+ * Clientes del segmento con el canal por el que recibirían la campaña.
+ * Los dados de baja y los que no tienen contacto quedan aparte.
+ */
+export async function previewSegment(tenantId, segmentCode, { limit = 200, channels } = {}) {
+  const customers = await resolveSegmentCustomers(tenantId, segmentCode, limit);
+  const contacts = await loadCampaignContacts(tenantId, customers.map((c) => c.id));
+  const campaignChannels = normalizeCampaignChannels(channels || CAMPAIGN_CHANNELS);
+  const data = [];
+  let optedOut = 0;
+  let unreachable = 0;
+  for (const customer of customers) {
+    const contact = contacts.get(Number(customer.id));
+    if (contact?.optOut) {
+      optedOut += 1;
+      continue;
+    }
+    const channel = pickCampaignChannel(contact, campaignChannels);
+    if (!channel) {
+      unreachable += 1;
+      continue;
+    }
+    data.push({ id: customer.id, name: customer.name, phone: contact.phone, email: contact.email, channel });
+  }
+  return { data, optedOut, unreachable };
+}
+
+/* =========================
+   Historial y programaciones
+========================= */
+
+export function getCampaignHistory(tenantId) {
+  return readConfigList(tenantId, "crm.history");
+}
+
+// Si la campaña ya estaba (reintento de una programada) se reemplaza su entrada
+async function saveCampaignHistoryEntry(tenantId, entry) {
+  const history = await getCampaignHistory(tenantId);
+  const others = history.filter((item) => Number(item.id) !== Number(entry.id));
+  await saveConfigList(tenantId, "crm.history", [entry, ...others].slice(0, HISTORY_LIMIT));
+}
+
+// Las campañas programadas son tareas crm_campaign del planificador (una por programación)
+export const CAMPAIGN_JOB_TYPE = "crm_campaign";
+
+function campaignJobKey(tenantId, scheduleId) {
+  return `${CAMPAIGN_JOB_TYPE}:${tenantId}:${scheduleId}`;
+}
+
+function mapScheduleJob(job) {
+  const payload = job.payload || {};
+  return {
+    ...payload,
+    id: payload.id,
+    jobId: job.id,
+    status: job.status,
+    lastError: job.lastError,
+    nextRunAt: job.nextRunAt,
+  };
+}
+
+// Las programaciones que quedaron en system_config (crm.schedules) pasan a ser tareas
+async function migrateLegacySchedules(tenantId) {
+  const legacy = await readConfigList(tenantId, "crm.schedules");
+  if (!legacy.length) return;
+  for (const schedule of legacy) {
+    const runAt = new Date(String(schedule.sendAt));
+    await enqueueJob(CAMPAIGN_JOB_TYPE, {
+      jobKey: campaignJobKey(tenantId, schedule.id),
+      tenantId,
+      payload: schedule,
+      runAt: Number.isNaN(runAt.getTime()) ? null : runAt,
+    });
+  }
+  await saveConfigList(tenantId, "crm.schedules", []);
+}
+
+export async function getCampaignSchedules(tenantId) {
+  await migrateLegacySchedules(tenantId);
+  const jobs = await listJobs({ type: CAMPAIGN_JOB_TYPE, tenantId, recurring: false, limit: 200 });
+  return jobs
+    .filter((job) => ["scheduled", "running", "paused", "failed"].includes(job.status))
+    .map(mapScheduleJob);
+}
+
+/**
+ * Programa una campaña para `sendAt`. Devuelve las programaciones pendientes.
+ */
+export async function createCampaignSchedule(
+  tenantId,
+  { segmentCode, message, subject, variants, channels, attributionDays, sendAt, max = 50 } = {}
+) {
+  if (!segmentCode || !sendAt) throw httpError("segmentCode y sendAt son requeridos", 400);
+  const runAt = new Date(String(sendAt));
+  if (Number.isNaN(runAt.getTime())) throw httpError("sendAt inválido", 400);
+  // Se valida ahora para no descubrir el error recién al momento del envío
+  const normalizedVariants = normalizeCampaignVariants({ variants, message, subject });
+  const id = Date.now();
+  await enqueueJob(CAMPAIGN_JOB_TYPE, {
+    jobKey: campaignJobKey(tenantId, id),
+    tenantId,
+    runAt,
+    payload: {
+      id,
+      segmentCode,
+      message: normalizedVariants[0].message,
+      variants: normalizedVariants,
+      channels: normalizeCampaignChannels(channels),
+      attributionDays: normalizeAttributionDays(attributionDays),
+      sendAt: String(sendAt),
+      max: Number(max) || 50,
+    },
+  });
+  return getCampaignSchedules(tenantId);
+}
+
+export async function deleteCampaignSchedule(tenantId, scheduleId) {
+  const job = await findJobByKey(campaignJobKey(tenantId, scheduleId));
+  if (job && job.status !== "cancelled" && job.status !== "completed") {
+    await cancelJob(job.id, { tenantId });
+  }
+  return getCampaignSchedules(tenantId);
+}
+
+/* =========================
+   Envío
+========================= */
+
+const REENGAGEMENT_LANGS = ["es_AR", "es", "es_419", "es_MX", "es_ES"];
+
+// Fuera de la ventana de 24 h (error 131047) se reabre el chat con una plantilla y se reintenta
+async function sendCampaignWhatsApp(tenantId, phone, text, customerName, log) {
+  try {
+    const resp = await sendWhatsAppText(phone, text, tenantId, null, { log });
+    return resp?.messages?.[0]?.id || null;
+  } catch (err) {
+    if (String(err?.code) !== "131047") throw err;
+  }
+
+  const nameParam = [{ type: "body", parameters: [{ type: "text", text: customerName || "Cliente" }] }];
+  const attempts = [
+    ...REENGAGEMENT_LANGS.map((lang) => ({ name: "reabrir_chat", lang, components: nameParam })),
+    // Fallback si reabrir_chat no existe: hello_world
+    { name: "hello_world", lang: "en_US", components: [] },
+    { name: "hello_world", lang: "es_AR", components: nameParam },
+    { name: "hello_world", lang: "es", components: nameParam },
+  ];
+  let templateId = null;
+  for (const attempt of attempts) {
+    try {
+      const resp = await sendWhatsAppTemplate(phone, attempt.name, attempt.lang, attempt.components, tenantId, { log });
+      templateId = resp?.messages?.[0]?.id || "template";
+      break;
+    } catch {}
+  }
+  if (!templateId) throw new Error("reengagement_failed");
+
+  const followResp = await sendWhatsAppText(phone, text, tenantId, null, { log });
+  return followResp?.messages?.[0]?.id || templateId;
+}
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function buildCampaignEmailHtml(text, tenantName) {
+  const footer = tenantName
+    ? `Recibís este email porque sos cliente de ${escapeHtml(tenantName)}. Si no querés recibir más novedades, respondé este email y te damos de baja.`
+    : "Si no querés recibir más novedades, respondé este email y te damos de baja.";
+  return `<div style="font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937;">
+  <p>${escapeHtml(text).replace(/\n/g, "<br>")}</p>
+  <p style="margin-top: 24px; font-size: 12px; color: #6b7280;">${footer}</p>
+</div>`;
+}
+
+async function deliverToContact(tenantId, { channel, contact, text, subject, tenantName, log }) {
+  if (channel === "whatsapp") {
+    await sendCampaignWhatsApp(tenantId, contact.phone, text, contact.name, log);
+    await new Promise((resolve) => setTimeout(resolve, 200)); // rate-limit suave
+    return;
+  }
+  if (channel === "email") {
+    const result = await sendEmail({
+      to: contact.email,
+      subject: subject || tenantName || "Novedades",
+      text,
+      html: buildCampaignEmailHtml(text, tenantName),
+      log: { tenantId, ...log },
+    });
+    if (result?.simulated) throw new Error("Email no configurado");
+    return;
+  }
+  const ok = await sendNotificationToCustomer(
+    tenantId,
+    contact.id,
+    { title: subject || tenantName || "Novedades", body: text, data: { type: "campaign", campaignId: log.campaignId } },
+    log
+  );
+  if (!ok) throw new Error("No se pudo enviar la notificación push");
+}
+
+/**
+ * Envía (o previsualiza) una campaña a un segmento.
+ * Cada cliente recibe una sola variante (reparto alternado) por un solo canal.
+ * @param {number} tenantId
+ * @param {object} input
+ * @param {string} input.segmentCode
+ * @param {string[]} [input.channels] - Orden de prioridad; por defecto ["whatsapp"]
+ * @param {Array<{message: string, subject?: string}>} [input.variants] - Variantes A/B (o `message` único)
+ * @param {number} [input.attributionDays] - Ventana de atribución de conversiones
+ * @param {number} [input.campaignId] - Id fijo (campañas programadas): si el envío se corta y se
+ *   reintenta, no se vuelve a escribir a los clientes que ya tienen registro en esa campaña
+ */
+export async function sendCampaign(
+  tenantId,
+  {
+    segmentCode,
+    channels,
+    variants,
+    message,
+    subject,
+    max = 50,
+    attributionDays,
+    preview = false,
+    userId = null,
+    campaignId: fixedCampaignId = null,
+  } = {}
+) {
+  if (!segmentCode) throw httpError("segmentCode es requerido", 400);
+  const campaignChannels = normalizeCampaignChannels(channels);
+  const campaignVariants = normalizeCampaignVariants({ variants, message, subject });
+  const days = normalizeAttributionDays(attributionDays);
+
+  await ensureCrmCampaignSchema();
+  const campaignId = Number(fixedCampaignId) || Date.now();
+  const previous = fixedCampaignId ? await getCampaignRecipientCounts(tenantId, campaignId) : null;
+  const remaining = previous ? Math.max(0, max - previous.contacted.size) : max;
+  const customers = (await resolveSegmentCustomers(tenantId, segmentCode, max))
+    .filter((customer) => !previous?.contacted.has(Number(customer.id)))
+    .slice(0, remaining);
+  const contacts = await loadCampaignContacts(tenantId, customers.map((c) => c.id));
+  const [[tenant]] = await pool.query(`SELECT name FROM tenant WHERE id = ? LIMIT 1`, [tenantId]);
+  const tenantName = tenant?.name || "";
+
+  const plan = customers.map((customer, index) => {
+    const contact = contacts.get(Number(customer.id)) || { id: customer.id, name: customer.name, phone: customer.phone };
+    const variant = campaignVariants[index % campaignVariants.length];
+    const channel = pickCampaignChannel(contact, campaignChannels);
+    const text = renderCampaignMessage(variant.message, { customerName: contact.name || customer.name, tenantName });
+    return { contact, variant, channel, text };
+  });
+  const deliverable = plan.filter((item) => item.channel);
+
+  if (preview) {
+    return {
+      preview: deliverable.slice(0, 5).map((item) => ({
+        to: item.channel === "email" ? item.contact.email : item.channel === "push" ? "App" : item.contact.phone,
+        name: item.contact.name,
+        channel: item.channel,
+        variant: item.variant.key,
+        subject: item.channel === "whatsapp" ? null : item.variant.subject || tenantName,
+        text: item.text,
+      })),
+      totalCandidates: deliverable.length,
+      optedOut: plan.filter((item) => item.contact.optOut).length,
+      unreachable: plan.filter((item) => !item.channel && !item.contact.optOut).length,
+    };
+  }
+
+  // El id de la entrada del historial identifica la campaña en el registro de envíos
+  const startedAt = previous?.startedAt || new Date().toISOString();
+  const byChannel = Object.fromEntries(CAMPAIGN_CHANNELS.map((channel) => [channel, previous?.byChannel[channel] || 0]));
+  const results = [];
+  let sent = previous?.sent || 0;
+  let failed = previous?.failed || 0;
+  let skipped = previous?.skipped || 0;
+
+  for (const item of plan) {
+    const { contact, variant, channel, text } = item;
+    let status = "sent";
+    let error = null;
+    if (!channel) {
+      status = contact.optOut ? "opted_out" : "skipped";
+      skipped += 1;
+    } else {
+      const log = { kind: "campaign", customerId: contact.id, campaignId };
+      try {
+        await deliverToContact(tenantId, {
+          channel,
+          contact,
+          text,
+          subject: variant.subject,
+          tenantName,
+          log,
+        });
+        sent += 1;
+        byChannel[channel] += 1;
+      } catch (err) {
+        status = "failed";
+        error = err?.message || "send_error";
+        failed += 1;
+      }
+    }
+    results.push({ customerId: contact.id, to: contact.phone || contact.email || null, channel, variant: variant.key, ok: status === "sent", status, error });
+    await pool
+      .query(
+        `INSERT INTO crm_campaign_recipient
+           (tenant_id, campaign_id, customer_id, variant, channel, status, error_message)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [tenantId, campaignId, contact.id, variant.key, channel, status, error ? String(error).slice(0, 255) : null]
+      )
+      .catch((err) => console.warn("[CRM] No se pudo registrar el destinatario:", err.message));
+  }
+
+  const entry = {
+    id: campaignId,
+    segmentCode,
+    channels: campaignChannels,
+    variants: campaignVariants,
+    attributionDays: days,
+    sent,
+    failed,
+    skipped,
+    total: plan.length + (previous?.contacted.size || 0),
+    byChannel,
+    createdBy: userId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    preview: false,
+  };
+  try {
+    await saveCampaignHistoryEntry(tenantId, entry);
+  } catch (err) {
+    console.warn("[CRM] No se pudo guardar el historial de la campaña:", err.message);
+  }
+  return { campaignId, sent, failed, skipped, total: entry.total, results };
+}
+
+// Lo ya registrado de una campaña, para retomarla sin repetir destinatarios
+async function getCampaignRecipientCounts(tenantId, campaignId) {
+  const [rows] = await pool.query(
+    `SELECT customer_id, channel, status FROM crm_campaign_recipient WHERE tenant_id = ? AND campaign_id = ?`,
+    [tenantId, campaignId]
+  );
+  const counts = {
+    contacted: new Set(),
+    byChannel: {},
+    sent: 0,
+    failed: 0,
+    skipped: 0,
+  };
+  for (const row of rows) {
+    counts.contacted.add(Number(row.customer_id));
+    if (row.status === "sent") {
+      counts.sent += 1;
+      counts.byChannel[row.channel] = (counts.byChannel[row.channel] || 0) + 1;
+    } else if (row.status === "failed") {
+      counts.failed += 1;
+    } else {
+      counts.skipped += 1;
+    }
+  }
+  if (rows.length) {
+    const history = await getCampaignHistory(tenantId);
+    counts.startedAt = history.find((item) => Number(item.id) === Number(campaignId))?.startedAt || null;
+  }
+  return counts;
+}
+
+/* =========================
+   Atribución
+========================= */
+
+/**
+ * Conversiones de los destinatarios dentro de los N días posteriores al envío:
+ * turnos reservados, inscripciones a clases y pagos aprobados, por variante.
+ * Las campañas anteriores al registro de destinatarios se toman del historial de mensajes.
+ */
+export async function getCampaignReport(tenantId, campaignId, { days = null } = {}) {
+  const id = Number(campaignId);
+  const history = await getCampaignHistory(tenantId);
+  const campaign = history.find((entry) => Number(entry.id) === id);
+  if (!campaign) throw httpError("Campaña no encontrada", 404);
+  const attributionDays = normalizeAttributionDays(days ?? campaign.attributionDays);
+
+  await ensureCrmCampaignSchema();
+  const [[tracked]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM crm_campaign_recipient WHERE tenant_id = ? AND campaign_id = ?`,
+    [tenantId, id]
+  );
+  const source = Number(tracked?.total)
+    ? `SELECT tenant_id, customer_id, variant, status, sent_at
+         FROM crm_campaign_recipient
+        WHERE tenant_id = ? AND campaign_id = ?`
+    : `SELECT tenant_id, customer_id, 'A' AS variant,
+              IF(MAX(status IN ('sent', 'delivered', 'read')), 'sent', 'failed') AS status,
+              MIN(created_at) AS sent_at
+         FROM message_log
+        WHERE tenant_id = ? AND campaign_id = ? AND customer_id IS NOT NULL
+        GROUP BY tenant_id, customer_id`;
+
+  const [rows] = await pool.query(
+    `SELECT r.customer_id, r.variant, r.status,
+            EXISTS (
+              SELECT 1 FROM appointment a
+               WHERE a.tenant_id = r.tenant_id AND a.customer_id = r.customer_id
+                 AND a.status <> 'cancelled'
+                 AND a.created_at >= r.sent_at AND a.created_at < DATE_ADD(r.sent_at, INTERVAL ? DAY)
+            ) AS booked,
+            EXISTS (
+              SELECT 1 FROM class_enrollment ce
+               WHERE ce.tenant_id = r.tenant_id AND ce.customer_id = r.customer_id
+                 AND ce.status IN ('reserved', 'attended')
+                 AND ce.created_at >= r.sent_at AND ce.created_at < DATE_ADD(r.sent_at, INTERVAL ? DAY)
+            ) AS enrolled,
+            EXISTS (
+              SELECT 1 FROM payment p
+                JOIN appointment pa ON pa.id = p.appointment_id AND pa.tenant_id = p.tenant_id
+               WHERE p.tenant_id = r.tenant_id AND pa.customer_id = r.customer_id
+                 AND p.mp_payment_status = 'approved'
+                 AND p.created_at >= r.sent_at AND p.created_at < DATE_ADD(r.sent_at, INTERVAL ? DAY)
+            ) AS paid
+       FROM (${source}) r`,
+    [attributionDays, attributionDays, attributionDays, tenantId, id]
+  );
+
+  return {
+    campaign,
+    attributionDays,
+    ...summarizeAttribution(rows, Array.isArray(campaign.variants) ? campaign.variants : []),
+  };
+}
+
+/* =========================
+   Preferencias de marketing del cliente
+========================= */
+
+function mapMarketingPrefs(row) {
+  return {
+    customerId: Number(row.id),
+    optOut: Boolean(row.marketing_opt_out),
+    optOutAt: row.marketing_opt_out_at || null,
+    preferredChannel: row.marketing_channel || null,
+  };
+}
+
+export async function getCustomerMarketingPrefs(tenantId, customerId) {
+  await ensureCrmCampaignSchema();
+  const [[row]] = await pool.query(
+    `SELECT id, marketing_opt_out, marketing_opt_out_at, marketing_channel
+       FROM customer
+      WHERE tenant_id = ? AND id = ?
+      LIMIT 1`,
+    [tenantId, Number(customerId)]
+  );
+  if (!row) throw httpError("Cliente no encontrado", 404);
+  return mapMarketingPrefs(row);
+}
+
+/**
+ * Baja de campañas y canal preferido. `preferredChannel` vacío vuelve al orden de la campaña.
+ */
+export async function updateCustomerMarketingPrefs(tenantId, customerId, { optOut, preferredChannel } = {}) {
+  const current = await getCustomerMarketingPrefs(tenantId, customerId);
+  const sets = [];
+  const params = [];
+  if (optOut !== undefined) {
+    sets.push("marketing_opt_out = ?", "marketing_opt_out_at = ?");
+    params.push(optOut ? 1 : 0, optOut ? current.optOutAt || new Date() : null);
+  }
+  if (preferredChannel !== undefined) {
+    const channel = preferredChannel ? String(preferredChannel).toLowerCase() : null;
+    if (channel && !CAMPAIGN_CHANNELS.includes(channel)) throw httpError("Canal inválido", 400);
+    sets.push("marketing_channel = ?");
+    params.push(channel);
+  }
+  if (sets.length) {
+    await pool.query(`UPDATE customer SET ${sets.join(", ")} WHERE tenant_id = ? AND id = ?`, [
+      ...params,
+      tenantId,
+      Number(customerId),
+    ]);
+  }
+  return getCustomerMarketingPrefs(tenantId, customerId);
+}
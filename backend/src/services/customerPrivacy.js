@@ -0,0 +1,625 @@
+// src/services/customerPrivacy.js
+// Derechos de acceso y supresión de datos personales de un cliente (Ley 25.326):
+// exportación completa (JSON o ZIP con los comprobantes en PDF) y anonimización.
+// La anonimización borra los datos personales del cliente y lo que cuelga de él
+// (rutinas, app, sesión y chats de WhatsApp, alertas) pero conserva los registros contables:
+// turnos, pagos, ventas y comprobantes siguen existiendo, y cada factura guarda antes
+// una copia de los datos fiscales del receptor para que el PDF se pueda reimprimir
+// igual que cuando se emitió. Cada exportación y supresión queda registrada.
+import { pool } from "../db.js";
+import { createZip } from "../helpers/zip.js";
+import { getInvoicePdf, formatComprobanteNumber } from "./invoicePdf.js";
+import { toConversationPhone } from "./whatsappMessageLog.js";
+
+export const PRIVACY_REQUEST_TYPES = {
+  EXPORT: "export",
+  ERASURE: "erasure",
+};
+
+export const EXPORT_FORMATS = ["json", "zip"];
+
+// Campos del cliente que identifican a la persona y se vacían al anonimizar
+export const CUSTOMER_PERSONAL_FIELDS = [
+  "phone_e164",
+  "email",
+  "picture",
+  "notes",
+  "documento",
+  "tipo_documento",
+  "cuit",
+  "razon_social",
+  "domicilio",
+  "condicion_iva",
+];
+
+// Datos del receptor que se copian en cada factura antes de anonimizar
+const INVOICE_RECEPTOR_FIELDS = [
+  "name",
+  "documento",
+  "tipo_documento",
+  "cuit",
+  "razon_social",
+  "domicilio",
+  "address",
+  "condicion_iva",
+];
+
+let schemaReady = null;
+
+export function ensurePrivacySchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS customer_privacy_request (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          customer_id INT NOT NULL,
+          type VARCHAR(20) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'completed',
+          reason VARCHAR(255) NULL,
+          details_json TEXT NULL,
+          requested_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_privacy_request_customer (tenant_id, customer_id, created_at)
+        )`
+      );
+      const alters = [
+        `ALTER TABLE customer ADD COLUMN anonymized_at DATETIME NULL`,
+        `ALTER TABLE invoice ADD COLUMN receptor_json TEXT NULL`,
+      ];
+      for (const sql of alters) {
+        try {
+          await db.query(sql);
+        } catch (error) {
+          if (error.code !== "ER_DUP_FIELDNAME") throw error;
+        }
+      }
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function privacyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Valores con los que queda el cliente tras la supresión: el nombre pasa a ser un
+ * alias sin datos personales y el resto de los campos identificatorios se vacían
+ */
+export function buildAnonymizedCustomer(customerId) {
+  const values = { name: `Cliente anonimizado #${customerId}` };
+  for (const field of CUSTOMER_PERSONAL_FIELDS) values[field] = null;
+  return values;
+}
+
+/**
+ * Copia de los datos fiscales del receptor para guardar en la factura
+ * (sólo los campos presentes en esta instalación)
+ */
+export function buildInvoiceReceptorSnapshot(customer) {
+  const snapshot = {};
+  for (const field of INVOICE_RECEPTOR_FIELDS) {
+    if (customer && Object.prototype.hasOwnProperty.call(customer, field)) {
+      snapshot[field] = customer[field] ?? null;
+    }
+  }
+  return snapshot;
+}
+
+function parseJsonObject(value) {
+  if (!value) return null;
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// Las tablas de módulos opcionales (paquetes, puntos, rutinas…) pueden no existir todavía
+async function safeQuery(db, sql, params) {
+  try {
+    const [rows] = await db.query(sql, params);
+    return rows;
+  } catch (error) {
+    if (error.code === "ER_NO_SUCH_TABLE" || error.code === "ER_BAD_FIELD_ERROR") return [];
+    throw error;
+  }
+}
+
+async function safeExec(db, sql, params) {
+  try {
+    const [result] = await db.query(sql, params);
+    return result.affectedRows || 0;
+  } catch (error) {
+    if (error.code === "ER_NO_SUCH_TABLE" || error.code === "ER_BAD_FIELD_ERROR") return 0;
+    throw error;
+  }
+}
+
+async function getCustomerRow(db, tenantId, customerId, { forUpdate = false } = {}) {
+  const [[customer]] = await db.query(
+    `SELECT * FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [customerId, tenantId]
+  );
+  if (!customer) throw privacyError("Cliente no encontrado", 404);
+  return customer;
+}
+
+// Variantes con las que el bot de WhatsApp pudo haber guardado la sesión del cliente
+function phoneKeys(phone) {
+  if (!phone) return [];
+  const digits = String(phone).replace(/\D/g, "");
+  return [...new Set([String(phone), digits, `+${digits}`])];
+}
+
+// Conversaciones de la bandeja de WhatsApp del cliente: vinculadas o con su número
+async function findWhatsAppConversations(db, tenantId, customer) {
+  const phone = toConversationPhone(customer.phone_e164);
+  return safeQuery(
+    db,
+    `SELECT * FROM whatsapp_conversation
+      WHERE tenant_id = ? AND (customer_id = ? OR (? <> '' AND phone = ?))
+      ORDER BY id`,
+    [tenantId, customer.id, phone, phone]
+  );
+}
+
+// Destinatarios con los que el historial de envíos pudo guardar al cliente
+function messageRecipientKeys(customer) {
+  const keys = phoneKeys(customer.phone_e164);
+  if (customer.phone_e164) keys.push(toConversationPhone(customer.phone_e164));
+  if (customer.email) keys.push(String(customer.email), String(customer.email).toLowerCase());
+  return [...new Set(keys.filter(Boolean))];
+}
+
+async function recordRequest(db, { tenantId, customerId, type, reason = null, details = null, userId = null }) {
+  const [result] = await db.query(
+    `INSERT INTO customer_privacy_request
+       (tenant_id, customer_id, type, status, reason, details_json, requested_by)
+     VALUES (?, ?, ?, 'completed', ?, ?, ?)`,
+    [tenantId, customerId, type, reason, details ? JSON.stringify(details) : null, userId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Todo lo que el sistema guarda sobre el cliente, agrupado por módulo
+ */
+export async function buildCustomerExport(tenantId, customerId) {
+  await ensurePrivacySchema();
+  const customer = await getCustomerRow(pool, tenantId, customerId);
+  const byCustomer = [tenantId, customerId];
+
+  const appointments = await safeQuery(
+    pool,
+    `SELECT a.*, sv.name AS service_name, i.name AS instructor_name
+       FROM appointment a
+       LEFT JOIN service sv ON sv.id = a.service_id AND sv.tenant_id = a.tenant_id
+       LEFT JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+      WHERE a.tenant_id = ? AND a.customer_id = ?
+      ORDER BY a.starts_at`,
+    byCustomer
+  );
+  const payments = await safeQuery(
+    pool,
+    `SELECT p.*
+       FROM payment p
+       JOIN appointment a ON a.id = p.appointment_id AND a.tenant_id = p.tenant_id
+      WHERE p.tenant_id = ? AND a.customer_id = ?
+      ORDER BY p.created_at`,
+    byCustomer
+  );
+  const classEnrollments = await safeQuery(
+    pool,
+    `SELECT ce.*, cs.starts_at, cs.ends_at, cs.activity_type,
+            COALESCE(ct.name, cs.activity_type) AS class_name
+       FROM class_enrollment ce
+       JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+       LEFT JOIN class_template ct ON ct.id = cs.template_id
+      WHERE ce.tenant_id = ? AND ce.customer_id = ?
+      ORDER BY cs.starts_at`,
+    byCustomer
+  );
+  const subscriptions = await safeQuery(
+    pool,
+    `SELECT cs.*, mp.name AS plan_name
+       FROM customer_subscription cs
+       LEFT JOIN membership_plan mp ON mp.id = cs.membership_plan_id AND mp.tenant_id = cs.tenant_id
+      WHERE cs.tenant_id = ? AND cs.customer_id = ?
+      ORDER BY cs.created_at`,
+    byCustomer
+  );
+  const invoices = await safeQuery(
+    pool,
+    `SELECT * FROM invoice WHERE tenant_id = ? AND customer_id = ? ORDER BY fecha_emision, id`,
+    byCustomer
+  );
+  const posSales = await safeQuery(
+    pool,
+    `SELECT * FROM pos_sale WHERE tenant_id = ? AND customer_id = ? ORDER BY created_at`,
+    byCustomer
+  );
+  const posSaleItems = posSales.length
+    ? await safeQuery(
+        pool,
+        `SELECT * FROM pos_sale_item WHERE tenant_id = ? AND sale_id IN (?) ORDER BY sale_id, id`,
+        [tenantId, posSales.map((sale) => sale.id)]
+      )
+    : [];
+  const packages = await safeQuery(
+    pool,
+    `SELECT * FROM customer_package WHERE tenant_id = ? AND customer_id = ? ORDER BY purchased_at`,
+    byCustomer
+  );
+  const giftCards = await safeQuery(
+    pool,
+    `SELECT * FROM gift_card WHERE tenant_id = ? AND purchaser_customer_id = ? ORDER BY created_at`,
+    byCustomer
+  );
+  const promoRedemptions = await safeQuery(
+    pool,
+    `SELECT r.*, pc.code
+       FROM promo_code_redemption r
+       LEFT JOIN promo_code pc ON pc.id = r.promo_code_id AND pc.tenant_id = r.tenant_id
+      WHERE r.tenant_id = ? AND r.customer_id = ?
+      ORDER BY r.created_at`,
+    byCustomer
+  );
+  const loyaltyMovements = await safeQuery(
+    pool,
+    `SELECT * FROM loyalty_ledger WHERE tenant_id = ? AND customer_id = ? ORDER BY created_at, id`,
+    byCustomer
+  );
+  const workoutRoutines = await safeQuery(
+    pool,
+    `SELECT * FROM workout_routine
+      WHERE tenant_id = ? AND (customer_id = ? OR assigned_to_customer_id = ?)
+      ORDER BY created_at`,
+    [tenantId, customerId, customerId]
+  );
+  const attendance = await safeQuery(
+    pool,
+    `SELECT * FROM attendance_log WHERE tenant_id = ? AND customer_id = ? ORDER BY checked_in_at`,
+    byCustomer
+  );
+  const appSettings = await safeQuery(
+    pool,
+    `SELECT * FROM customer_app_settings WHERE tenant_id = ? AND customer_id = ?`,
+    byCustomer
+  );
+  const appointmentAlerts = await safeQuery(
+    pool,
+    `SELECT * FROM customer_appointment_alert WHERE tenant_id = ? AND customer_id = ? ORDER BY id`,
+    byCustomer
+  );
+  const keys = phoneKeys(customer.phone_e164);
+  const whatsappSessions = keys.length
+    ? await safeQuery(
+        pool,
+        `SELECT * FROM whatsapp_session WHERE tenant_id = ? AND user_key IN (?)`,
+        [tenantId, keys]
+      )
+    : [];
+  const conversations = await findWhatsAppConversations(pool, tenantId, customer);
+  const chatMessages = conversations.length
+    ? await safeQuery(
+        pool,
+        `SELECT id, conversation_id, direction, message_type, body, template_name, sender_user_id, status,
+                error_message, created_at
+           FROM whatsapp_message
+          WHERE tenant_id = ? AND conversation_id IN (?)
+          ORDER BY conversation_id, id`,
+        [tenantId, conversations.map((conversation) => conversation.id)]
+      )
+    : [];
+  const recipients = messageRecipientKeys(customer);
+  const messageLog = await safeQuery(
+    pool,
+    `SELECT * FROM message_log
+      WHERE tenant_id = ? AND (customer_id = ?${recipients.length ? " OR recipient IN (?)" : ""})
+      ORDER BY created_at, id`,
+    recipients.length ? [tenantId, customerId, recipients] : byCustomer
+  );
+  const ecommerceSales = await findEcommerceSales(pool, tenantId, customer);
+  const privacyRequests = await safeQuery(
+    pool,
+    `SELECT id, type, status, reason, requested_by, created_at
+       FROM customer_privacy_request
+      WHERE tenant_id = ? AND customer_id = ?
+      ORDER BY created_at`,
+    byCustomer
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    customer,
+    appointments,
+    payments,
+    classEnrollments,
+    subscriptions,
+    invoices,
+    posSales: posSales.map((sale) => ({
+      ...sale,
+      items: posSaleItems.filter((item) => item.sale_id === sale.id),
+    })),
+    packages,
+    giftCards,
+    promoRedemptions,
+    loyaltyMovements,
+    workoutRoutines,
+    attendance,
+    appSettings,
+    appointmentAlerts,
+    whatsappSessions,
+    whatsappChats: conversations.map((conversation) => ({
+      ...conversation,
+      messages: chatMessages.filter((message) => message.conversation_id === conversation.id),
+    })),
+    messageLog,
+    ecommerceSales,
+    privacyRequests,
+  };
+}
+
+async function findEcommerceSales(db, tenantId, customer) {
+  const email = customer.email || null;
+  const phone = customer.phone_e164 || null;
+  const document = customer.documento || null;
+  if (!email && !phone && !document) return [];
+  return safeQuery(
+    db,
+    `SELECT * FROM ecommerce_sale
+      WHERE tenant_id = ?
+        AND (
+          (? IS NOT NULL AND customer_email = ?) OR
+          (? IS NOT NULL AND customer_phone = ?) OR
+          (? IS NOT NULL AND customer_document = ?)
+        )
+      ORDER BY id`,
+    [tenantId, email, email, phone, phone, document, document]
+  );
+}
+
+function exportFileBase(customer) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `cliente-${customer.id}-datos-${date}`;
+}
+
+/**
+ * Arma el archivo de exportación y registra la solicitud de acceso
+ * @returns {Promise<{ buffer: Buffer, filename: string, contentType: string }>}
+ */
+export async function exportCustomerData(tenantId, customerId, { format = "json", userId = null } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw privacyError("Formato de exportación inválido");
+  const bundle = await buildCustomerExport(tenantId, customerId);
+  const base = exportFileBase(bundle.customer);
+
+  let result;
+  if (format === "zip") {
+    const files = [{ name: "datos.json", data: JSON.stringify(bundle, null, 2) }];
+    for (const [section, rows] of Object.entries(bundle)) {
+      if (Array.isArray(rows)) {
+        files.push({ name: `secciones/${section}.json`, data: JSON.stringify(rows, null, 2) });
+      }
+    }
+    for (const invoice of bundle.invoices) {
+      try {
+        const { buffer } = await getInvoicePdf(tenantId, invoice.id);
+        const number = formatComprobanteNumber(invoice.punto_venta, invoice.numero_comprobante);
+        files.push({ name: `comprobantes/${invoice.tipo_comprobante}-${number}.pdf`, data: buffer });
+      } catch (error) {
+        console.warn(`[Privacy] No se pudo generar el PDF de la factura ${invoice.id}:`, error.message);
+      }
+    }
+    result = { buffer: createZip(files), filename: `${base}.zip`, contentType: "application/zip" };
+  } else {
+    result = {
+      buffer: Buffer.from(JSON.stringify(bundle, null, 2), "utf8"),
+      filename: `${base}.json`,
+      contentType: "application/json; charset=utf-8",
+    };
+  }
+
+  await recordRequest(pool, {
+    tenantId,
+    customerId,
+    type: PRIVACY_REQUEST_TYPES.EXPORT,
+    details: { format },
+    userId,
+  });
+  return result;
+}
+
+/**
+ * Anonimiza al cliente. No se puede mientras tenga una membresía vigente o
+ * turnos/clases por venir: primero hay que cancelarlos para no dejar cobros
+ * ni reservas a nombre de nadie.
+ */
+export async function anonymizeCustomer(tenantId, customerId, { reason = null, userId = null } = {}) {
+  await ensurePrivacySchema();
+  const cleanReason = String(reason || "").trim().slice(0, 255) || null;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const customer = await getCustomerRow(conn, tenantId, customerId, { forUpdate: true });
+    if (customer.anonymized_at) throw privacyError("El cliente ya fue anonimizado", 409);
+
+    const [[pending]] = await conn.query(
+      `SELECT
+         (SELECT COUNT(*) FROM customer_subscription
+           WHERE tenant_id = ? AND customer_id = ? AND status IN ('authorized', 'pending')) AS subscriptions,
+         (SELECT COUNT(*) FROM appointment
+           WHERE tenant_id = ? AND customer_id = ? AND starts_at >= NOW()
+             AND status IN ('scheduled', 'confirmed', 'deposit_paid', 'pending_deposit')) AS appointments,
+         (SELECT COUNT(*) FROM class_enrollment ce
+            JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+           WHERE ce.tenant_id = ? AND ce.customer_id = ? AND ce.status = 'reserved'
+             AND cs.starts_at >= NOW()) AS classes`,
+      [tenantId, customerId, tenantId, customerId, tenantId, customerId]
+    );
+    if (Number(pending.subscriptions) > 0) {
+      throw privacyError("El cliente tiene una membresía vigente: cancelala antes de anonimizarlo", 409);
+    }
+    if (Number(pending.appointments) > 0 || Number(pending.classes) > 0) {
+      throw privacyError(
+        `El cliente tiene ${Number(pending.appointments)} turno(s) y ${Number(pending.classes)} clase(s) por venir: cancelalos antes de anonimizarlo`,
+        409
+      );
+    }
+
+    const affected = {};
+
+    // 1) Copia fiscal del receptor en cada factura (sin pisar copias anteriores)
+    affected.invoices = await safeExec(
+      conn,
+      `UPDATE invoice SET receptor_json = ?
+        WHERE tenant_id = ? AND customer_id = ? AND receptor_json IS NULL`,
+      [JSON.stringify(buildInvoiceReceptorSnapshot(customer)), tenantId, customerId]
+    );
+
+    // 2) Datos que cuelgan del cliente y no tienen valor contable
+    affected.ecommerceSales = await scrubEcommerceSales(conn, tenantId, customer);
+    const keys = phoneKeys(customer.phone_e164);
+    affected.whatsappSessions = keys.length
+      ? await safeExec(conn, `DELETE FROM whatsapp_session WHERE tenant_id = ? AND user_key IN (?)`, [tenantId, keys])
+      : 0;
+    const conversationIds = (await findWhatsAppConversations(conn, tenantId, customer)).map((row) => row.id);
+    affected.whatsappMessages = conversationIds.length
+      ? await safeExec(
+          conn,
+          `DELETE FROM whatsapp_message WHERE tenant_id = ? AND conversation_id IN (?)`,
+          [tenantId, conversationIds]
+        )
+      : 0;
+    affected.whatsappConversations = conversationIds.length
+      ? await safeExec(conn, `DELETE FROM whatsapp_conversation WHERE tenant_id = ? AND id IN (?)`, [tenantId, conversationIds])
+      : 0;
+    // El historial de envíos se conserva para las métricas de campañas, sin destinatario ni contenido
+    const recipients = messageRecipientKeys(customer);
+    affected.messageLog = await safeExec(
+      conn,
+      `UPDATE message_log
+          SET recipient = '', subject = NULL, body_preview = NULL
+        WHERE tenant_id = ? AND (customer_id = ?${recipients.length ? " OR recipient IN (?)" : ""})`,
+      recipients.length ? [tenantId, customerId, recipients] : [tenantId, customerId]
+    );
+    affected.workoutRoutines = await safeExec(
+      conn,
+      `DELETE FROM workout_routine WHERE tenant_id = ? AND customer_id = ?`,
+      [tenantId, customerId]
+    );
+    affected.assignedRoutines = await safeExec(
+      conn,
+      `UPDATE workout_routine SET assigned_to_customer_id = NULL
+        WHERE tenant_id = ? AND assigned_to_customer_id = ?`,
+      [tenantId, customerId]
+    );
+    affected.appSettings = await safeExec(
+      conn,
+      `DELETE FROM customer_app_settings WHERE tenant_id = ? AND customer_id = ?`,
+      [tenantId, customerId]
+    );
+    affected.appointmentAlerts = await safeExec(
+      conn,
+      `DELETE FROM customer_appointment_alert WHERE tenant_id = ? AND customer_id = ?`,
+      [tenantId, customerId]
+    );
+    affected.enrollmentNotes = await safeExec(
+      conn,
+      `UPDATE class_enrollment SET notes = NULL WHERE tenant_id = ? AND customer_id = ? AND notes IS NOT NULL`,
+      [tenantId, customerId]
+    );
+    affected.subscriptions = await safeExec(
+      conn,
+      `UPDATE customer_subscription SET payer_email = NULL WHERE tenant_id = ? AND customer_id = ?`,
+      [tenantId, customerId]
+    );
+    affected.giftCards = await safeExec(
+      conn,
+      `UPDATE gift_card SET message = NULL WHERE tenant_id = ? AND purchaser_customer_id = ? AND message IS NOT NULL`,
+      [tenantId, customerId]
+    );
+
+    // 3) El cliente queda como registro sin datos personales (se conservan id e historial)
+    const values = buildAnonymizedCustomer(customerId);
+    const columns = Object.keys(values).filter(
+      (column) => column === "name" || Object.prototype.hasOwnProperty.call(customer, column)
+    );
+    await conn.query(
+      `UPDATE customer SET ${columns.map((column) => `${column} = ?`).join(", ")}, anonymized_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [...columns.map((column) => values[column]), customerId, tenantId]
+    );
+
+    const requestId = await recordRequest(conn, {
+      tenantId,
+      customerId,
+      type: PRIVACY_REQUEST_TYPES.ERASURE,
+      reason: cleanReason,
+      details: affected,
+      userId,
+    });
+
+    await conn.commit();
+    console.log(`[Privacy] Cliente ${customerId} anonimizado (tenant ${tenantId}, solicitud ${requestId})`);
+    return { requestId, customerId, affected };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+async function scrubEcommerceSales(conn, tenantId, customer) {
+  const email = customer.email || null;
+  const phone = customer.phone_e164 || null;
+  const document = customer.documento || null;
+  if (!email && !phone && !document) return 0;
+  return safeExec(
+    conn,
+    `UPDATE ecommerce_sale
+        SET customer_name = NULL, customer_email = NULL, customer_phone = NULL, customer_document = NULL
+      WHERE tenant_id = ?
+        AND (
+          (? IS NOT NULL AND customer_email = ?) OR
+          (? IS NOT NULL AND customer_phone = ?) OR
+          (? IS NOT NULL AND customer_document = ?)
+        )`,
+    [tenantId, email, email, phone, phone, document, document]
+  );
+}
+
+/**
+ * Historial de exportaciones y supresiones del cliente
+ */
+export async function listPrivacyRequests(tenantId, customerId) {
+  await ensurePrivacySchema();
+  const [rows] = await pool.query(
+    `SELECT r.id, r.type, r.status, r.reason, r.details_json, r.created_at,
+            r.requested_by, u.email AS requested_by_email
+       FROM customer_privacy_request r
+       LEFT JOIN users u ON u.id = r.requested_by
+      WHERE r.tenant_id = ? AND r.customer_id = ?
+      ORDER BY r.created_at DESC, r.id DESC`,
+    [tenantId, customerId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    reason: row.reason,
+    details: parseJsonObject(row.details_json),
+    requestedBy: row.requested_by,
+    requestedByEmail: row.requested_by_email || null,
+    createdAt: row.created_at,
+  }));
+}
@@ -2,6 +2,7 @@ import nodemailer from "nodemailer";
 import { createConnection } from "net";
 import { lookup } from "dns/promises";
 import sgMail from "@sendgrid/mail";
+import { recordMessage, toBodyPreview } from "./messageLog.js";
 
 let transporter = null;
 let sendGridInitialized = false;
@@ -242,7 +243,7 @@ function initSendGridAPI() {
 }
 
 // Función para enviar email usando SendGrid API (HTTPS)
-async function sendEmailViaSendGridAPI({ to, subject, text, html, from }) {
+async function sendEmailViaSendGridAPI({ to, subject, text, html, from, attachments = [] }) {
   if (!initSendGridAPI()) {
     throw new Error('SendGrid API no inicializada');
   }
@@ -261,6 +262,15 @@ async function sendEmailViaSendGridAPI({ to, subject, text, html, from }) {
     text: text || (html ? html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim() : ''),
     html: html || text,
   };
+
+  if (attachments.length) {
+    msg.attachments = attachments.map((attachment) => ({
+      content: Buffer.from(attachment.content).toString('base64'),
+      filename: attachment.filename,
+      type: attachment.contentType,
+      disposition: 'attachment',
+    }));
+  }
   
   try {
     await sgMail.send(msg);
@@ -285,7 +295,40 @@ async function sendEmailViaSendGridAPI({ to, subject, text, html, from }) {
   }
 }
 
-export async function sendEmail({ to, subject, text, html, retries = 3, from }) {
+/**
+ * Envía un email por SendGrid API o SMTP
+ * @param {Array<{ filename: string, content: Buffer, contentType: string }>} [attachments] - Adjuntos (ej: PDF de factura)
+ * @param {object} [log] - { tenantId, kind, customerId, appointmentId, campaignId }: si viene el tenant,
+ *   el envío queda en el historial de mensajes (message_log)
+ */
+export async function sendEmail({ log = null, ...options }) {
+  let error = null;
+  let result;
+  try {
+    result = await deliverEmail(options);
+    return result;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    if (log?.tenantId) {
+      recordMessage(log.tenantId, {
+        channel: "email",
+        recipient: Array.isArray(options.to) ? options.to.join(", ") : options.to,
+        kind: log.kind || null,
+        customerId: log.customerId || null,
+        appointmentId: log.appointmentId || null,
+        campaignId: log.campaignId || null,
+        subject: options.subject,
+        body: toBodyPreview(options.text, options.html),
+        status: error ? "failed" : result?.simulated ? "skipped" : "sent",
+        error,
+      }).catch((logError) => console.warn("[email] No se pudo registrar el envío:", logError.message));
+    }
+  }
+}
+
+async function deliverEmail({ to, subject, text, html, retries = 3, from, attachments = [] }) {
   const fromEmail = from || process.env.SMTP_FROM || process.env.SMTP_USER || "no-reply@arjaerp.com.ar";
   
   // Detectar si estamos en Railway con SendGrid
@@ -306,7 +349,7 @@ export async function sendEmail({ to, subject, text, html, retries = 3, from })
       for (let attempt = 1; attempt <= retries; attempt++) {
         try {
           console.log(`[email] Intentando enviar email a ${to} via SendGrid API (intento ${attempt}/${retries})...`);
-          await sendEmailViaSendGridAPI({ to, subject, text, html, from: fromEmail });
+          await sendEmailViaSendGridAPI({ to, subject, text, html, from: fromEmail, attachments });
           const duration = Date.now() - startTime;
           console.log(`[email] ✅ Email enviado exitosamente a ${to} via SendGrid API en ${duration}ms`);
           return;
@@ -350,8 +393,9 @@ export async function sendEmail({ to, subject, text, html, retries = 3, from })
       to,
       subject,
       text,
+      attachments: attachments.map((attachment) => attachment.filename),
     });
-    return;
+    return { simulated: true };
   }
 
   let lastError = null;
@@ -374,6 +418,7 @@ export async function sendEmail({ to, subject, text, html, retries = 3, from })
         subject,
         text,
         html: html || text,
+        attachments,
       });
       
       const duration = Date.now() - startTime;
@@ -0,0 +1,90 @@
+// src/services/giftCardPdf.js — Gift card imprimible (PDF) con el código en texto y QR
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { pool } from "../db.js";
+import { fetchLogo, getTenantLogoUrl } from "./invoicePdf.js";
+import { GIFT_CARD_DESIGNS, getGiftCard } from "./giftCards.js";
+
+function formatDate(value) {
+  if (!value) return null;
+  const [y, m, d] = String(value).slice(0, 10).split("-");
+  return `${d}/${m}/${y}`;
+}
+
+function formatMoney(value) {
+  return `$ ${Number(value || 0).toLocaleString("es-AR", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Renderiza la gift card (formato tarjeta, 85x55 mm a escala x2) a un Buffer PDF
+ * @param {Object} data
+ * @param {Object} data.card - Gift card mapeada por getGiftCard
+ * @param {string} data.businessName
+ * @param {Buffer|null} data.logo
+ * @returns {Promise<Buffer>}
+ */
+export async function renderGiftCardPdf({ card, businessName, logo = null }) {
+  const design = GIFT_CARD_DESIGNS[card.design] || GIFT_CARD_DESIGNS.classic;
+  const qrImage = await QRCode.toBuffer(card.code, { type: "png", margin: 1, width: 200 });
+
+  const width = 482;
+  const height = 312;
+  const doc = new PDFDocument({ size: [width, height], margin: 0 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.rect(0, 0, width, height).fill(design.background);
+  doc.rect(0, height - 70, width, 70).fill(design.accent);
+
+  const pad = 28;
+  if (logo) {
+    try {
+      doc.image(logo, pad, pad, { fit: [110, 40] });
+    } catch {
+      // Logo en formato no soportado: se imprime sólo el nombre
+    }
+  }
+  doc.fillColor(design.text).font("Helvetica-Bold").fontSize(14)
+    .text(businessName || "", logo ? pad + 120 : pad, pad + 10, { width: 220 });
+  doc.font("Helvetica").fontSize(10).text("GIFT CARD", width - pad - 120, pad + 14, { width: 120, align: "right" });
+
+  doc.font("Helvetica-Bold").fontSize(34).text(formatMoney(card.initialAmount), pad, 96, { width: 300 });
+  doc.font("Helvetica").fontSize(11);
+  if (card.recipientName) doc.text(`Para: ${card.recipientName}`, pad, 142, { width: 300 });
+  if (card.message) doc.fontSize(10).text(card.message, pad, 160, { width: 300, height: 50, ellipsis: true });
+
+  doc.image(qrImage, width - pad - 100, 80, { fit: [100, 100] });
+
+  // La franja inferior usa el color de fondo como texto para mantener el contraste
+  doc.fillColor(design.background).font("Courier-Bold").fontSize(22).text(card.code, pad, height - 52, { width: 300 });
+  doc.font("Helvetica").fontSize(9).text(
+    card.expiresAt ? `Válida hasta el ${formatDate(card.expiresAt)}` : "Sin vencimiento",
+    width - pad - 160,
+    height - 44,
+    { width: 160, align: "right" }
+  );
+
+  doc.end();
+  return finished;
+}
+
+/**
+ * Arma el PDF de una gift card del tenant
+ * @returns {Promise<{ buffer: Buffer, filename: string, card: Object }>}
+ */
+export async function getGiftCardPdf(tenantId, giftCardId) {
+  const card = await getGiftCard(tenantId, { id: giftCardId });
+  if (!card) {
+    const error = new Error("Gift card no encontrada");
+    error.statusCode = 404;
+    throw error;
+  }
+  const [[tenant]] = await pool.query(`SELECT name FROM tenant WHERE id = ? LIMIT 1`, [tenantId]);
+  const logo = await fetchLogo(await getTenantLogoUrl(tenantId));
+  const buffer = await renderGiftCardPdf({ card, businessName: tenant?.name || "", logo });
+  return { buffer, filename: `gift-card-${card.code}.pdf`, card };
+}
@@ -0,0 +1,461 @@
+// src/services/giftCards.js
+// Gift cards: se emiten con un código único y un monto, se canjean total o
+// parcialmente como medio de pago (caja, pagos manuales) y cada movimiento queda
+// en un libro de saldo. El saldo sin canjear es un pasivo del negocio hasta que se
+// usa o vence.
+import crypto from "node:crypto";
+import { pool } from "../db.js";
+
+export const GIFT_CARD_STATUS = {
+  ACTIVE: "active",
+  CANCELLED: "cancelled",
+};
+
+export const GIFT_CARD_MOVEMENT = {
+  ISSUE: "issue",
+  REDEEM: "redeem",
+  CANCEL: "cancel",
+};
+
+// Diseños disponibles para la versión impresa / PDF
+export const GIFT_CARD_DESIGNS = {
+  classic: { label: "Clásico", background: "#1f2937", accent: "#f59e0b", text: "#ffffff" },
+  birthday: { label: "Cumpleaños", background: "#db2777", accent: "#fde68a", text: "#ffffff" },
+  relax: { label: "Relax", background: "#0f766e", accent: "#ccfbf1", text: "#ffffff" },
+  minimal: { label: "Minimalista", background: "#ffffff", accent: "#111827", text: "#111827" },
+};
+
+// Sin 0/O ni 1/I para que el código se pueda dictar por teléfono
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 12;
+
+let schemaReady = null;
+
+export function ensureGiftCardSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS gift_card (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          code VARCHAR(20) NOT NULL,
+          initial_amount DECIMAL(12,2) NOT NULL,
+          balance DECIMAL(12,2) NOT NULL,
+          currency VARCHAR(3) NOT NULL DEFAULT 'ARS',
+          status VARCHAR(20) NOT NULL DEFAULT 'active',
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          design VARCHAR(20) NOT NULL DEFAULT 'classic',
+          expires_at DATE NULL,
+          purchaser_customer_id INT NULL,
+          recipient_name VARCHAR(120) NULL,
+          recipient_email VARCHAR(190) NULL,
+          message VARCHAR(300) NULL,
+          pos_sale_id INT NULL,
+          created_by INT NULL,
+          notes VARCHAR(255) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          UNIQUE KEY uq_gift_card_code (tenant_id, code),
+          KEY idx_gift_card_tenant_status (tenant_id, status)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS gift_card_movement (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          gift_card_id INT NOT NULL,
+          type VARCHAR(20) NOT NULL,
+          amount DECIMAL(12,2) NOT NULL,
+          balance_after DECIMAL(12,2) NOT NULL,
+          reference_type VARCHAR(30) NULL,
+          reference_id INT NULL,
+          description VARCHAR(255) NULL,
+          created_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_gift_card_movement_card (gift_card_id),
+          KEY idx_gift_card_movement_tenant_date (tenant_id, created_at)
+        )`
+      );
+      // Los canjes se registran en la caja con su propio medio de pago
+      try {
+        await db.query(
+          `ALTER TABLE cash_register_closure_transaction MODIFY payment_method VARCHAR(20) NOT NULL`
+        );
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function giftCardError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function toDateOnly(value) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatMoney(value) {
+  return `$${Number(value || 0).toLocaleString("es-AR", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Código de 12 caracteres en bloques de 4 (XXXX-XXXX-XXXX)
+ * @param {(max: number) => number} [randomInt]
+ */
+export function generateGiftCardCode(randomInt = crypto.randomInt) {
+  let raw = "";
+  for (let i = 0; i < CODE_LENGTH; i++) raw += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  return raw.match(/.{4}/g).join("-");
+}
+
+/**
+ * Normaliza un código tipeado por el cliente o el cajero ("abcd efgh-jkmn" → "ABCD-EFGH-JKMN")
+ */
+export function normalizeGiftCardCode(code) {
+  const raw = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (raw.length !== CODE_LENGTH) return raw;
+  return raw.match(/.{4}/g).join("-");
+}
+
+/**
+ * Estado a mostrar: una gift card activa puede estar agotada o vencida.
+ */
+export function giftCardDisplayStatus(card, today = toDateOnly(new Date())) {
+  if (card.status !== GIFT_CARD_STATUS.ACTIVE) return card.status;
+  if (Number(card.balance) <= 0) return "redeemed";
+  if (card.expires_at && String(card.expires_at).slice(0, 10) < today) return "expired";
+  return "active";
+}
+
+/**
+ * Valida un canje contra el saldo y devuelve el saldo resultante.
+ * Se permite canjear menos que el saldo (canje parcial).
+ */
+export function planRedemption(card, amount, today = toDateOnly(new Date())) {
+  const value = roundMoney(amount);
+  if (!(value > 0)) throw giftCardError("El monto a canjear debe ser mayor a 0");
+  const status = giftCardDisplayStatus(card, today);
+  if (status === GIFT_CARD_STATUS.CANCELLED) throw giftCardError(`La gift card ${card.code} está anulada`);
+  if (status === "expired") throw giftCardError(`La gift card ${card.code} venció`);
+  if (status === "redeemed") throw giftCardError(`La gift card ${card.code} no tiene saldo`);
+  const balance = roundMoney(card.balance);
+  if (value > balance) {
+    throw giftCardError(`El saldo de la gift card ${card.code} es ${formatMoney(balance)}`);
+  }
+  return { amount: value, balanceAfter: roundMoney(balance - value) };
+}
+
+function mapGiftCard(row, today) {
+  return {
+    id: row.id,
+    code: row.code,
+    initialAmount: Number(row.initial_amount),
+    balance: Number(row.balance),
+    currency: row.currency,
+    status: giftCardDisplayStatus(row, today),
+    source: row.source,
+    design: row.design,
+    expiresAt: row.expires_at ? String(row.expires_at).slice(0, 10) : null,
+    purchaserCustomerId: row.purchaser_customer_id,
+    purchaserName: row.purchaser_name || null,
+    recipientName: row.recipient_name,
+    recipientEmail: row.recipient_email,
+    message: row.message,
+    posSaleId: row.pos_sale_id,
+    notes: row.notes,
+    createdAt: row.created_at,
+  };
+}
+
+async function insertMovement(conn, { tenantId, giftCardId, type, amount, balanceAfter, referenceType = null, referenceId = null, description = null, userId = null }) {
+  await conn.query(
+    `INSERT INTO gift_card_movement
+       (tenant_id, gift_card_id, type, amount, balance_after, reference_type, reference_id, description, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, giftCardId, type, amount, balanceAfter, referenceType, referenceId, description, userId]
+  );
+}
+
+/**
+ * Emite una gift card dentro de la conexión/transacción `conn`.
+ * @returns {Promise<{ id: number, code: string }>}
+ */
+export async function issueGiftCard(conn, {
+  tenantId,
+  amount,
+  expiresAt = null,
+  validityDays = null,
+  design = "classic",
+  purchaserCustomerId = null,
+  recipientName = null,
+  recipientEmail = null,
+  message = null,
+  source = "manual",
+  posSaleId = null,
+  userId = null,
+  notes = null,
+}) {
+  await ensureGiftCardSchema();
+  const value = roundMoney(amount);
+  if (!(value > 0)) throw giftCardError("El monto de la gift card debe ser mayor a 0");
+  if (design && !GIFT_CARD_DESIGNS[design]) throw giftCardError("Diseño inválido");
+
+  let expiry = expiresAt ? String(expiresAt).slice(0, 10) : null;
+  if (expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) throw giftCardError("Fecha de vencimiento inválida");
+  if (!expiry && Number(validityDays) > 0) {
+    const d = new Date();
+    d.setDate(d.getDate() + Number(validityDays));
+    expiry = toDateOnly(d);
+  }
+
+  // El código es único por negocio; ante una colisión se genera otro
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateGiftCardCode();
+    try {
+      const [result] = await conn.query(
+        `INSERT INTO gift_card
+           (tenant_id, code, initial_amount, balance, source, design, expires_at, purchaser_customer_id,
+            recipient_name, recipient_email, message, pos_sale_id, created_by, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          tenantId,
+          code,
+          value,
+          value,
+          source,
+          design || "classic",
+          expiry,
+          purchaserCustomerId ? Number(purchaserCustomerId) : null,
+          recipientName ? String(recipientName).slice(0, 120) : null,
+          recipientEmail ? String(recipientEmail).slice(0, 190) : null,
+          message ? String(message).slice(0, 300) : null,
+          posSaleId,
+          userId,
+          notes ? String(notes).slice(0, 255) : null,
+        ]
+      );
+      await insertMovement(conn, {
+        tenantId,
+        giftCardId: result.insertId,
+        type: GIFT_CARD_MOVEMENT.ISSUE,
+        amount: value,
+        balanceAfter: value,
+        referenceType: posSaleId ? "pos_sale" : null,
+        referenceId: posSaleId,
+        description: "Emisión",
+        userId,
+      });
+      return { id: result.insertId, code };
+    } catch (error) {
+      if (error?.code !== "ER_DUP_ENTRY") throw error;
+    }
+  }
+  throw giftCardError("No se pudo generar un código único, intentá de nuevo", 500);
+}
+
+/**
+ * Canjea `amount` de la gift card `code` dentro de la transacción `conn`.
+ * @returns {Promise<{ giftCardId: number, code: string, amount: number, balance: number }>}
+ */
+export async function redeemGiftCard(conn, {
+  tenantId,
+  code,
+  amount,
+  referenceType = null,
+  referenceId = null,
+  description = null,
+  userId = null,
+}) {
+  await ensureGiftCardSchema();
+  const normalized = normalizeGiftCardCode(code);
+  if (!normalized) throw giftCardError("Ingresá el código de la gift card");
+
+  const [[card]] = await conn.query(
+    `SELECT * FROM gift_card WHERE tenant_id = ? AND code = ? LIMIT 1 FOR UPDATE`,
+    [tenantId, normalized]
+  );
+  if (!card) throw giftCardError(`Gift card ${normalized} no encontrada`, 404);
+
+  const { amount: value, balanceAfter } = planRedemption(card, amount);
+  await conn.query(
+    `UPDATE gift_card SET balance = ?, updated_at = NOW() WHERE id = ?`,
+    [balanceAfter, card.id]
+  );
+  await insertMovement(conn, {
+    tenantId,
+    giftCardId: card.id,
+    type: GIFT_CARD_MOVEMENT.REDEEM,
+    amount: -value,
+    balanceAfter,
+    referenceType,
+    referenceId,
+    description,
+    userId,
+  });
+  return { giftCardId: card.id, code: card.code, amount: value, balance: balanceAfter };
+}
+
+export async function listGiftCards(tenantId, { status = null, search = "" } = {}) {
+  await ensureGiftCardSchema();
+  const params = [tenantId];
+  let where = "";
+  if (search) {
+    const like = `%${String(search).trim()}%`;
+    where += " AND (gc.code LIKE ? OR gc.recipient_name LIKE ? OR c.name LIKE ?)";
+    params.push(like, like, like);
+  }
+  const [rows] = await pool.query(
+    `SELECT gc.*, c.name AS purchaser_name
+       FROM gift_card gc
+       LEFT JOIN customer c ON c.id = gc.purchaser_customer_id AND c.tenant_id = gc.tenant_id
+      WHERE gc.tenant_id = ?${where}
+      ORDER BY gc.created_at DESC
+      LIMIT 500`,
+    params
+  );
+  const today = toDateOnly(new Date());
+  const cards = rows.map((row) => mapGiftCard(row, today));
+  return status ? cards.filter((card) => card.status === status) : cards;
+}
+
+/**
+ * Gift card con su libro de movimientos. Se busca por id o por código.
+ */
+export async function getGiftCard(tenantId, { id = null, code = null }) {
+  await ensureGiftCardSchema();
+  const [[row]] = await pool.query(
+    `SELECT gc.*, c.name AS purchaser_name
+       FROM gift_card gc
+       LEFT JOIN customer c ON c.id = gc.purchaser_customer_id AND c.tenant_id = gc.tenant_id
+      WHERE gc.tenant_id = ? AND ${id ? "gc.id = ?" : "gc.code = ?"}
+      LIMIT 1`,
+    [tenantId, id ? Number(id) : normalizeGiftCardCode(code)]
+  );
+  if (!row) return null;
+
+  const [movements] = await pool.query(
+    `SELECT id, type, amount, balance_after, reference_type, reference_id, description, created_at
+       FROM gift_card_movement
+      WHERE gift_card_id = ? AND tenant_id = ?
+      ORDER BY id ASC`,
+    [row.id, tenantId]
+  );
+  return {
+    ...mapGiftCard(row, toDateOnly(new Date())),
+    movements: movements.map((m) => ({
+      id: m.id,
+      type: m.type,
+      amount: Number(m.amount),
+      balanceAfter: Number(m.balance_after),
+      referenceType: m.reference_type,
+      referenceId: m.reference_id,
+      description: m.description,
+      createdAt: m.created_at,
+    })),
+  };
+}
+
+/**
+ * Anula una gift card: el saldo remanente deja de ser canjeable.
+ */
+export async function cancelGiftCard(tenantId, id, { userId = null, reason = null } = {}) {
+  await ensureGiftCardSchema();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[card]] = await conn.query(
+      `SELECT * FROM gift_card WHERE id = ? AND tenant_id = ? FOR UPDATE`,
+      [Number(id), tenantId]
+    );
+    if (!card) throw giftCardError("Gift card no encontrada", 404);
+    if (card.status === GIFT_CARD_STATUS.CANCELLED) throw giftCardError("La gift card ya está anulada");
+
+    await conn.query(
+      `UPDATE gift_card SET status = 'cancelled', balance = 0, updated_at = NOW() WHERE id = ?`,
+      [card.id]
+    );
+    await insertMovement(conn, {
+      tenantId,
+      giftCardId: card.id,
+      type: GIFT_CARD_MOVEMENT.CANCEL,
+      amount: -roundMoney(card.balance),
+      balanceAfter: 0,
+      description: reason ? String(reason).slice(0, 255) : "Anulación",
+      userId,
+    });
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Pasivo por gift cards para contabilidad: saldo vigente sin canjear a `asOf`,
+ * saldo vencido sin usar y lo emitido/canjeado en el período.
+ */
+export async function getGiftCardLiability(tenantId, { from = null, to = null, asOf = null } = {}) {
+  await ensureGiftCardSchema();
+  const day = asOf || toDateOnly(new Date());
+
+  const [[outstanding]] = await pool.query(
+    `SELECT
+        COALESCE(SUM(CASE WHEN expires_at IS NULL OR expires_at >= ? THEN balance ELSE 0 END), 0) AS outstanding,
+        SUM(CASE WHEN expires_at IS NULL OR expires_at >= ? THEN 1 ELSE 0 END) AS outstanding_count,
+        COALESCE(SUM(CASE WHEN expires_at < ? THEN balance ELSE 0 END), 0) AS expired_balance,
+        SUM(CASE WHEN expires_at < ? THEN 1 ELSE 0 END) AS expired_count
+       FROM gift_card
+      WHERE tenant_id = ? AND status = 'active' AND balance > 0`,
+    [day, day, day, day, tenantId]
+  );
+
+  const params = [tenantId];
+  let range = "";
+  if (from) {
+    range += " AND DATE(created_at) >= ?";
+    params.push(from);
+  }
+  if (to) {
+    range += " AND DATE(created_at) <= ?";
+    params.push(to);
+  }
+  const [movements] = await pool.query(
+    `SELECT type, COALESCE(SUM(amount), 0) AS total, COUNT(*) AS count
+       FROM gift_card_movement
+      WHERE tenant_id = ?${range}
+      GROUP BY type`,
+    params
+  );
+  const byType = Object.fromEntries(movements.map((m) => [m.type, { total: Number(m.total), count: Number(m.count) }]));
+
+  return {
+    asOf: day,
+    outstanding: roundMoney(outstanding?.outstanding),
+    outstandingCount: Number(outstanding?.outstanding_count || 0),
+    expiredBalance: roundMoney(outstanding?.expired_balance),
+    expiredCount: Number(outstanding?.expired_count || 0),
+    period: {
+      from,
+      to,
+      issued: roundMoney(byType.issue?.total || 0),
+      issuedCount: byType.issue?.count || 0,
+      redeemed: roundMoney(-(byType.redeem?.total || 0)),
+      redeemedCount: byType.redeem?.count || 0,
+      cancelled: roundMoney(-(byType.cancel?.total || 0)),
+    },
+  };
+}
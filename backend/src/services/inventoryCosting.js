@@ -0,0 +1,502 @@
+// src/services/inventoryCosting.js
+// Costeo de inventario por sucursal. Cada entrada registra su costo y abre una
+// capa (FIFO); cada salida guarda su costo (CMV) según el método del tenant:
+// promedio ponderado o FIFO. Las capas se consumen siempre en orden de llegada
+// para que cambiar de método no pierda el detalle.
+import { pool } from "../db.js";
+import { cfgString } from "./config.js";
+import { toDateOnly } from "./stockLots.js";
+
+export const VALUATION_METHODS = ["weighted_average", "fifo"];
+export const DEFAULT_VALUATION_METHOD = "weighted_average";
+export const VALUATION_METHOD_CONFIG_KEY = "stock.valuation_method";
+
+const INBOUND_TYPES = ["entry", "adjustment", "transfer_in"];
+const OUTBOUND_TYPES = ["exit", "sale", "return", "transfer_out"];
+
+let schemaReady = null;
+
+export function ensureCostingSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS stock_cost_layer (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          product_id INT NOT NULL,
+          branch_id INT NOT NULL,
+          movement_id INT NULL,
+          unit_cost DECIMAL(14,4) NOT NULL DEFAULT 0,
+          quantity DECIMAL(12,3) NOT NULL,
+          remaining_quantity DECIMAL(12,3) NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_cost_layer_open (tenant_id, product_id, branch_id, remaining_quantity)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS product_cost_history (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          product_id INT NOT NULL,
+          branch_id INT NOT NULL,
+          movement_id INT NULL,
+          movement_type VARCHAR(20) NOT NULL,
+          quantity DECIMAL(12,3) NOT NULL,
+          unit_cost DECIMAL(14,4) NOT NULL,
+          previous_avg_cost DECIMAL(14,4) NULL,
+          new_avg_cost DECIMAL(14,4) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_cost_history_product (tenant_id, product_id, created_at)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE stock_movement ADD COLUMN total_cost DECIMAL(14,2) NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE product_stock ADD COLUMN avg_cost DECIMAL(14,4) NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function roundCost(value) {
+  return Math.round(Number(value) * 10000) / 10000;
+}
+
+export function normalizeValuationMethod(value) {
+  const method = String(value || "").trim().toLowerCase();
+  return VALUATION_METHODS.includes(method) ? method : DEFAULT_VALUATION_METHOD;
+}
+
+export async function getValuationMethod(tenantId) {
+  const value = await cfgString(VALUATION_METHOD_CONFIG_KEY, DEFAULT_VALUATION_METHOD, tenantId);
+  return normalizeValuationMethod(value);
+}
+
+/**
+ * Costo promedio ponderado entre el stock existente y lo recibido.
+ * Sin stock previo (o sin costo previo) se toma directamente el costo de compra;
+ * si la entrada no trae costo se conserva el costo actual.
+ */
+export function computeWeightedCost({ currentQuantity = 0, currentCost = null, receivedQuantity, receivedCost }) {
+  const qtyIn = Number(receivedQuantity) || 0;
+  const costIn = receivedCost == null || receivedCost === "" ? NaN : Number(receivedCost);
+  if (qtyIn <= 0 || !Number.isFinite(costIn)) {
+    return currentCost == null ? null : Number(currentCost);
+  }
+  const qtyOnHand = Math.max(0, Number(currentQuantity) || 0);
+  const costOnHand = Number(currentCost);
+  if (!qtyOnHand || currentCost == null || !Number.isFinite(costOnHand)) {
+    return Math.round(costIn * 100) / 100;
+  }
+  const weighted = (qtyOnHand * costOnHand + qtyIn * costIn) / (qtyOnHand + qtyIn);
+  return Math.round(weighted * 100) / 100;
+}
+
+/**
+ * Reparte una salida entre las capas abiertas, de la más antigua a la más nueva.
+ * Lo que no cubren las capas (stock previo al costeo) se valúa a fallbackCost.
+ */
+export function planFifoCost(layers, quantity, fallbackCost = 0) {
+  let pending = Math.max(0, Number(quantity) || 0);
+  const allocations = [];
+  let totalCost = 0;
+
+  const ordered = [...(layers || [])].sort((a, b) => Number(a.id) - Number(b.id));
+  for (const layer of ordered) {
+    if (pending <= 0) break;
+    const available = Number(layer.remaining_quantity) || 0;
+    if (available <= 0) continue;
+    const take = Math.min(available, pending);
+    allocations.push({ layerId: layer.id, quantity: take, unitCost: Number(layer.unit_cost) || 0 });
+    totalCost += take * (Number(layer.unit_cost) || 0);
+    pending -= take;
+  }
+
+  const uncovered = Math.max(0, pending);
+  totalCost += uncovered * (Number(fallbackCost) || 0);
+
+  return { allocations, uncovered, totalCost: roundMoney(totalCost) };
+}
+
+/**
+ * Arma el reporte del período a partir de las filas por producto/sucursal.
+ * Compras = entradas; CMV = ventas; el resto de los movimientos se informa aparte
+ * para que el cierre cuadre: apertura + entradas - salidas.
+ */
+export function buildPeriodReport(rows = []) {
+  const totals = {
+    opening_value: 0,
+    purchases_value: 0,
+    cogs_value: 0,
+    other_in_value: 0,
+    other_out_value: 0,
+    closing_value: 0,
+  };
+
+  const products = rows.map((row) => {
+    const opening = Number(row.opening_value) || 0;
+    const purchases = Number(row.purchases_value) || 0;
+    const cogs = Number(row.cogs_value) || 0;
+    const otherIn = Number(row.other_in_value) || 0;
+    const otherOut = Number(row.other_out_value) || 0;
+    const closing = opening + purchases + otherIn - cogs - otherOut;
+
+    totals.opening_value += opening;
+    totals.purchases_value += purchases;
+    totals.cogs_value += cogs;
+    totals.other_in_value += otherIn;
+    totals.other_out_value += otherOut;
+    totals.closing_value += closing;
+
+    return {
+      product_id: row.product_id,
+      product_name: row.product_name,
+      product_code: row.product_code,
+      opening_quantity: Number(row.opening_quantity) || 0,
+      opening_value: roundMoney(opening),
+      purchases_quantity: Number(row.purchases_quantity) || 0,
+      purchases_value: roundMoney(purchases),
+      cogs_quantity: Number(row.cogs_quantity) || 0,
+      cogs_value: roundMoney(cogs),
+      other_in_value: roundMoney(otherIn),
+      other_out_value: roundMoney(otherOut),
+      closing_quantity: Number(row.closing_quantity) || 0,
+      closing_value: roundMoney(closing),
+    };
+  });
+
+  for (const key of Object.keys(totals)) {
+    totals[key] = roundMoney(totals[key]);
+  }
+
+  return { totals, products };
+}
+
+/**
+ * Normaliza el período del reporte (YYYY-MM-DD). Por defecto, el mes en curso.
+ */
+export function resolvePeriod({ from, to } = {}, today = new Date()) {
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const first = new Date(today.getFullYear(), today.getMonth(), 1);
+  const start = from ? String(from).slice(0, 10) : toDateOnly(first);
+  const end = to ? String(to).slice(0, 10) : toDateOnly(today);
+
+  const isValid = (value) => DATE_RE.test(value) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+  if (!isValid(start) || !isValid(end)) {
+    const error = new Error("Período inválido (usar YYYY-MM-DD)");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (start > end) {
+    const error = new Error("La fecha desde no puede ser posterior a la fecha hasta");
+    error.statusCode = 400;
+    throw error;
+  }
+  return { from: start, to: end };
+}
+
+async function getCostState(conn, { tenantId, productId, branchId }) {
+  const [[row]] = await conn.query(
+    `SELECT p.cost, ps.avg_cost
+       FROM product p
+       LEFT JOIN product_stock ps
+         ON ps.product_id = p.id AND ps.tenant_id = p.tenant_id AND ps.branch_id = ?
+      WHERE p.id = ? AND p.tenant_id = ?`,
+    [branchId, productId, tenantId]
+  );
+  const avg = row?.avg_cost != null ? Number(row.avg_cost) : null;
+  const productCost = row?.cost != null ? Number(row.cost) : null;
+  return { avgCost: avg ?? productCost ?? 0 };
+}
+
+/**
+ * Registra el costo de un movimiento ya insertado.
+ * Entradas: usa unitCost (o el promedio vigente), abre una capa y recalcula el promedio.
+ * Salidas: calcula el CMV según el método del tenant y descuenta las capas FIFO.
+ * Un ajuste con cantidad negativa se costea como salida.
+ * Devuelve { unitCost, totalCost } o null si el tipo no mueve stock.
+ */
+export async function applyMovementCost(conn, {
+  tenantId,
+  productId,
+  branchId,
+  type,
+  quantity,
+  unitCost = null,
+  previousStock = 0,
+  movementId = null,
+}) {
+  const qty = Math.abs(Number(quantity) || 0);
+  if (!qty || !branchId) return null;
+  if (!INBOUND_TYPES.includes(type) && !OUTBOUND_TYPES.includes(type)) return null;
+  const inbound = INBOUND_TYPES.includes(type) && Number(quantity) > 0;
+
+  await ensureCostingSchema();
+  const { avgCost } = await getCostState(conn, { tenantId, productId, branchId });
+
+  if (inbound) {
+    const hasCost = unitCost !== null && unitCost !== "" && Number.isFinite(Number(unitCost)) && Number(unitCost) >= 0;
+    const cost = hasCost ? Number(unitCost) : avgCost;
+    const newAvg = computeWeightedCost({
+      currentQuantity: previousStock,
+      currentCost: avgCost,
+      receivedQuantity: qty,
+      receivedCost: cost,
+    });
+    const totalCost = roundMoney(cost * qty);
+
+    await conn.query(
+      `INSERT INTO stock_cost_layer
+         (tenant_id, product_id, branch_id, movement_id, unit_cost, quantity, remaining_quantity)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [tenantId, productId, branchId, movementId, roundCost(cost), qty, qty]
+    );
+    await conn.query(
+      `UPDATE product_stock SET avg_cost = ?
+        WHERE product_id = ? AND branch_id = ? AND tenant_id = ?`,
+      [newAvg, productId, branchId, tenantId]
+    );
+    await conn.query(
+      `INSERT INTO product_cost_history
+         (tenant_id, product_id, branch_id, movement_id, movement_type, quantity, unit_cost, previous_avg_cost, new_avg_cost)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenantId, productId, branchId, movementId, type, qty, roundCost(cost), avgCost, newAvg]
+    );
+    if (movementId) {
+      await conn.query(
+        `UPDATE stock_movement SET unit_cost = ?, total_cost = ? WHERE id = ?`,
+        [roundMoney(cost), totalCost, movementId]
+      );
+    }
+    return { unitCost: cost, totalCost };
+  }
+
+  const method = await getValuationMethod(tenantId);
+  const [layers] = await conn.query(
+    `SELECT id, unit_cost, remaining_quantity
+       FROM stock_cost_layer
+      WHERE tenant_id = ? AND product_id = ? AND branch_id = ? AND remaining_quantity > 0
+      ORDER BY id ASC
+      FOR UPDATE`,
+    [tenantId, productId, branchId]
+  );
+  const plan = planFifoCost(layers, qty, avgCost);
+  for (const allocation of plan.allocations) {
+    await conn.query(
+      `UPDATE stock_cost_layer SET remaining_quantity = remaining_quantity - ? WHERE id = ?`,
+      [allocation.quantity, allocation.layerId]
+    );
+  }
+
+  const totalCost = method === "fifo" ? plan.totalCost : roundMoney(avgCost * qty);
+  const cost = roundCost(totalCost / qty);
+  if (movementId) {
+    await conn.query(
+      `UPDATE stock_movement SET unit_cost = ?, total_cost = ? WHERE id = ?`,
+      [roundMoney(cost), totalCost, movementId]
+    );
+  }
+  return { unitCost: cost, totalCost };
+}
+
+/**
+ * Costo unitario con el que salió la mercadería de una transferencia,
+ * para que entre al destino (o vuelva al origen) con el mismo costo.
+ */
+export async function getTransferUnitCost(conn, transferId) {
+  const [[row]] = await conn.query(
+    `SELECT unit_cost, total_cost, quantity
+       FROM stock_movement
+      WHERE transfer_id = ? AND type = 'transfer_out'
+      ORDER BY id ASC
+      LIMIT 1`,
+    [transferId]
+  );
+  if (!row) return null;
+  const qty = Math.abs(Number(row.quantity) || 0);
+  if (row.total_cost != null && qty) return roundCost(Number(row.total_cost) / qty);
+  return row.unit_cost == null ? null : Number(row.unit_cost);
+}
+
+/**
+ * Valuación actual por producto/sucursal según el método del tenant.
+ * Promedio ponderado: cantidad × costo promedio de la sucursal.
+ * FIFO: capas abiertas a su costo; lo que no está en capas, al promedio.
+ */
+export async function listInventoryValuation({ tenantId, branchId = null }) {
+  await ensureCostingSchema();
+  const method = await getValuationMethod(tenantId);
+
+  const params = [tenantId];
+  let branchWhere = "";
+  if (branchId) {
+    branchWhere = " AND ps.branch_id = ?";
+    params.push(branchId);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT ps.product_id, ps.branch_id, ps.tenant_id,
+            p.name AS product_name, p.code AS product_code, tb.name AS branch_name,
+            ps.quantity, ps.available_quantity, ps.reserved_quantity,
+            COALESCE(ps.avg_cost, p.cost, 0) AS avg_cost,
+            COALESCE(layers.layer_quantity, 0) AS layer_quantity,
+            COALESCE(layers.layer_value, 0) AS layer_value
+       FROM product_stock ps
+       JOIN product p ON p.id = ps.product_id AND p.tenant_id = ps.tenant_id
+       LEFT JOIN tenant_branch tb ON tb.id = ps.branch_id
+       LEFT JOIN (
+         SELECT product_id, branch_id,
+                SUM(remaining_quantity) AS layer_quantity,
+                SUM(remaining_quantity * unit_cost) AS layer_value
+           FROM stock_cost_layer
+          WHERE tenant_id = ? AND remaining_quantity > 0
+          GROUP BY product_id, branch_id
+       ) layers ON layers.product_id = ps.product_id AND layers.branch_id = ps.branch_id
+      WHERE ps.tenant_id = ?${branchWhere}`,
+    [tenantId, ...params]
+  );
+
+  return rows
+    .map((row) => {
+      const quantity = Number(row.quantity) || 0;
+      const available = Number(row.available_quantity ?? quantity) || 0;
+      const avgCost = Number(row.avg_cost) || 0;
+      let totalValue = quantity * avgCost;
+      if (method === "fifo") {
+        const layered = Math.min(quantity, Number(row.layer_quantity) || 0);
+        const layerValue = layered > 0
+          ? Number(row.layer_value) * (layered / Number(row.layer_quantity))
+          : 0;
+        totalValue = layerValue + Math.max(0, quantity - layered) * avgCost;
+      }
+      const unitCost = quantity > 0 ? totalValue / quantity : avgCost;
+      return {
+        product_id: row.product_id,
+        branch_id: row.branch_id,
+        tenant_id: row.tenant_id,
+        product_name: row.product_name,
+        product_code: row.product_code,
+        branch_name: row.branch_name,
+        quantity,
+        available_quantity: available,
+        reserved_quantity: Number(row.reserved_quantity) || 0,
+        unit_cost: roundCost(unitCost),
+        total_value: roundMoney(totalValue),
+        available_value: roundMoney(available * unitCost),
+        valuation_method: method,
+      };
+    })
+    .sort((a, b) => b.total_value - a.total_value || String(a.product_name).localeCompare(String(b.product_name)));
+}
+
+// Valor de un movimiento: el costo registrado o, para movimientos anteriores
+// al costeo, cantidad × costo del producto.
+const MOVEMENT_VALUE = "COALESCE(sm.total_cost, ABS(sm.quantity) * COALESCE(sm.unit_cost, p.cost, 0))";
+// Los ajustes pueden ser negativos (ajuste manual desde la ficha del producto)
+const IS_INBOUND = "(sm.type IN ('entry','adjustment','transfer_in') AND sm.quantity >= 0)";
+
+/**
+ * Reporte de valuación del período [from, to] (fechas YYYY-MM-DD, inclusive):
+ * valor de apertura, compras, CMV, otros movimientos y valor de cierre.
+ */
+export async function getValuationPeriodReport({ tenantId, branchId = null, from, to }) {
+  await ensureCostingSchema();
+  const method = await getValuationMethod(tenantId);
+
+  const params = [...Array(8).fill(from), tenantId, to];
+  let branchWhere = "";
+  if (branchId) {
+    branchWhere = " AND sm.branch_id = ?";
+    params.push(branchId);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT sm.product_id, p.name AS product_name, p.code AS product_code,
+            SUM(CASE WHEN sm.created_at < ? THEN
+                  CASE WHEN ${IS_INBOUND} THEN ABS(sm.quantity) ELSE -ABS(sm.quantity) END
+                ELSE 0 END) AS opening_quantity,
+            SUM(CASE WHEN sm.created_at < ? THEN
+                  CASE WHEN ${IS_INBOUND} THEN ${MOVEMENT_VALUE} ELSE -${MOVEMENT_VALUE} END
+                ELSE 0 END) AS opening_value,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type = 'entry' THEN ABS(sm.quantity) ELSE 0 END) AS purchases_quantity,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type = 'entry' THEN ${MOVEMENT_VALUE} ELSE 0 END) AS purchases_value,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type = 'sale' THEN ABS(sm.quantity) ELSE 0 END) AS cogs_quantity,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type = 'sale' THEN ${MOVEMENT_VALUE} ELSE 0 END) AS cogs_value,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type <> 'entry' AND ${IS_INBOUND} THEN ${MOVEMENT_VALUE} ELSE 0 END) AS other_in_value,
+            SUM(CASE WHEN sm.created_at >= ? AND sm.type <> 'sale' AND NOT ${IS_INBOUND} THEN ${MOVEMENT_VALUE} ELSE 0 END) AS other_out_value,
+            SUM(CASE WHEN ${IS_INBOUND} THEN ABS(sm.quantity) ELSE -ABS(sm.quantity) END) AS closing_quantity
+       FROM stock_movement sm
+       JOIN product p ON p.id = sm.product_id AND p.tenant_id = sm.tenant_id
+      WHERE sm.tenant_id = ?
+        AND sm.created_at < DATE_ADD(?, INTERVAL 1 DAY)${branchWhere}
+      GROUP BY sm.product_id, p.name, p.code
+      ORDER BY p.name ASC`,
+    params
+  );
+
+  const report = buildPeriodReport(rows);
+  return { from, to, branch_id: branchId ? Number(branchId) : null, valuation_method: method, ...report };
+}
+
+/**
+ * Costo de mercadería vendida por venta dentro del período.
+ */
+export async function listCostOfGoodsSold({ tenantId, branchId = null, from, to }) {
+  await ensureCostingSchema();
+  const params = [tenantId, from, to];
+  let branchWhere = "";
+  if (branchId) {
+    branchWhere = " AND sm.branch_id = ?";
+    params.push(branchId);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT sm.id AS movement_id, sm.created_at, sm.reference_type, sm.reference_id,
+            sm.product_id, p.name AS product_name, p.code AS product_code,
+            sm.branch_id, tb.name AS branch_name,
+            ABS(sm.quantity) AS quantity, sm.unit_cost, ${MOVEMENT_VALUE} AS total_cost
+       FROM stock_movement sm
+       JOIN product p ON p.id = sm.product_id AND p.tenant_id = sm.tenant_id
+       LEFT JOIN tenant_branch tb ON tb.id = sm.branch_id
+      WHERE sm.tenant_id = ? AND sm.type = 'sale'
+        AND sm.created_at >= ? AND sm.created_at < DATE_ADD(?, INTERVAL 1 DAY)${branchWhere}
+      ORDER BY sm.created_at DESC, sm.id DESC`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Historial de costos de un producto (entradas con su costo y el promedio resultante).
+ */
+export async function listCostHistory({ tenantId, productId, branchId = null, limit = 100 }) {
+  await ensureCostingSchema();
+  const params = [tenantId, productId];
+  let branchWhere = "";
+  if (branchId) {
+    branchWhere = " AND h.branch_id = ?";
+    params.push(branchId);
+  }
+  params.push(Math.min(500, Math.max(1, Number(limit) || 100)));
+
+  const [rows] = await pool.query(
+    `SELECT h.id, h.branch_id, tb.name AS branch_name, h.movement_id, h.movement_type,
+            h.quantity, h.unit_cost, h.previous_avg_cost, h.new_avg_cost, h.created_at
+       FROM product_cost_history h
+       LEFT JOIN tenant_branch tb ON tb.id = h.branch_id
+      WHERE h.tenant_id = ? AND h.product_id = ?${branchWhere}
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT ?`,
+    params
+  );
+  return rows;
+}
@@ -0,0 +1,440 @@
+// src/services/invoicePdf.js — Comprobante imprimible (PDF) con QR de ARCA
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { pool } from "../db.js";
+import { getArcaCredentials, DOCUMENTO_TIPOS } from "./arca.js";
+import { getSection } from "./config.js";
+
+const ARCA_QR_BASE_URL = "https://www.afip.gob.ar/fe/qr/";
+
+// Letra, código y denominación por tipo de comprobante
+const COMPROBANTES = {
+  1: { letra: "A", nombre: "FACTURA" },
+  2: { letra: "A", nombre: "NOTA DE DÉBITO" },
+  3: { letra: "A", nombre: "NOTA DE CRÉDITO" },
+  6: { letra: "B", nombre: "FACTURA" },
+  7: { letra: "B", nombre: "NOTA DE DÉBITO" },
+  8: { letra: "B", nombre: "NOTA DE CRÉDITO" },
+  11: { letra: "C", nombre: "FACTURA" },
+  12: { letra: "C", nombre: "NOTA DE DÉBITO" },
+  13: { letra: "C", nombre: "NOTA DE CRÉDITO" },
+};
+
+const CONDICIONES_IVA_LABEL = {
+  1: "IVA Responsable Inscripto",
+  4: "IVA Sujeto Exento",
+  5: "Consumidor Final",
+  6: "Responsable Monotributo",
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Normaliza fechas de ARCA/DB (Date, "YYYYMMDD" o "YYYY-MM-DD...") a "YYYY-MM-DD"
+ */
+export function toIsoDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, "0");
+    const d = String(value.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+  const str = String(value).trim();
+  if (/^\d{8}$/.test(str)) return `${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}`;
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+  return null;
+}
+
+function formatDate(value) {
+  const iso = toIsoDate(value);
+  if (!iso) return "-";
+  const [y, m, d] = iso.split("-");
+  return `${d}/${m}/${y}`;
+}
+
+function formatMoney(value) {
+  return `$ ${Number(value || 0).toLocaleString("es-AR", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+export function formatComprobanteNumber(puntoVenta, numero) {
+  return `${String(Number(puntoVenta) || 0).padStart(4, "0")}-${String(Number(numero) || 0).padStart(8, "0")}`;
+}
+
+export function isCreditNote(tipoComprobante) {
+  return [3, 8, 13].includes(Number(tipoComprobante));
+}
+
+/**
+ * Documento del receptor tal como se informa a ARCA: CUIT si tiene 11 dígitos,
+ * DNI si hay documento, o consumidor final sin identificar
+ */
+export function resolveReceptorDoc({ cuit, documento } = {}) {
+  const cuitDigits = String(cuit || "").replace(/\D/g, "");
+  if (cuitDigits.length === 11) return { tipoDoc: DOCUMENTO_TIPOS.CUIT, nroDoc: Number(cuitDigits) };
+  const docDigits = String(documento || "").replace(/\D/g, "");
+  if (docDigits.length === 11) return { tipoDoc: DOCUMENTO_TIPOS.CUIT, nroDoc: Number(docDigits) };
+  if (docDigits.length >= 7 && docDigits.length <= 8) return { tipoDoc: DOCUMENTO_TIPOS.DNI, nroDoc: Number(docDigits) };
+  return { tipoDoc: DOCUMENTO_TIPOS.CONSUMIDOR_FINAL, nroDoc: 0 };
+}
+
+/**
+ * Datos del QR obligatorio (RG 4892) según la especificación de ARCA
+ * @see https://www.afip.gob.ar/fe/qr/especificaciones.asp
+ */
+export function buildArcaQrPayload(invoice, { cuitEmisor, receptor } = {}) {
+  const payload = {
+    ver: 1,
+    fecha: toIsoDate(invoice.fecha_emision),
+    cuit: Number(String(cuitEmisor || "").replace(/\D/g, "")),
+    ptoVta: Number(invoice.punto_venta),
+    tipoCmp: Number(invoice.tipo_comprobante),
+    nroCmp: Number(invoice.numero_comprobante),
+    importe: Math.abs(round2(invoice.importe_total)),
+    moneda: "PES",
+    ctz: 1,
+  };
+  if (receptor && receptor.tipoDoc !== DOCUMENTO_TIPOS.CONSUMIDOR_FINAL) {
+    payload.tipoDocRec = receptor.tipoDoc;
+    payload.nroDocRec = receptor.nroDoc;
+  }
+  payload.tipoCodAut = "E";
+  payload.codAut = Number(invoice.cae);
+  return payload;
+}
+
+export function buildArcaQrUrl(payload) {
+  const encoded = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `${ARCA_QR_BASE_URL}?p=${encoded}`;
+}
+
+/**
+ * Líneas del comprobante en valores positivos (las NC se guardan con importes negativos)
+ */
+export function normalizeInvoiceLines(invoice) {
+  let items = invoice.items;
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      items = [];
+    }
+  }
+  if (!Array.isArray(items)) items = [];
+
+  return items.map((item) => {
+    const cantidad = Math.abs(Number(item.cantidad ?? item.quantity ?? 1)) || 1;
+    const precio = Math.abs(Number(item.precio_unitario ?? item.unit_price ?? 0));
+    const alicuota = Number(item.alicuota_iva ?? 21);
+    const neto = item.importe_neto != null ? Math.abs(Number(item.importe_neto)) : round2(cantidad * precio);
+    const iva = item.importe_iva != null ? Math.abs(Number(item.importe_iva)) : round2((neto * alicuota) / 100);
+    return {
+      descripcion: String(item.descripcion || item.description || item.name || "Item"),
+      cantidad,
+      precio_unitario: precio,
+      alicuota_iva: alicuota,
+      importe_neto: neto,
+      importe_iva: iva,
+      importe_total: round2(neto + iva),
+    };
+  });
+}
+
+function ivaBreakdown(lines) {
+  const byRate = new Map();
+  lines.forEach((line) => {
+    byRate.set(line.alicuota_iva, round2((byRate.get(line.alicuota_iva) || 0) + line.importe_neto));
+  });
+  return [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([alicuota, base]) => ({ alicuota, base, iva: round2((base * alicuota) / 100) }));
+}
+
+export async function fetchLogo(logoUrl) {
+  if (!logoUrl || !/^https?:\/\//i.test(logoUrl)) return null;
+  try {
+    const response = await fetch(logoUrl, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) return null;
+    const type = response.headers.get("content-type") || "";
+    // pdfkit solo embebe PNG y JPEG
+    if (!/image\/(png|jpe?g)/i.test(type)) return null;
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    console.warn("[INVOICE_PDF] No se pudo descargar el logo:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Renderiza el comprobante a un Buffer PDF
+ * @param {Object} data
+ * @param {Object} data.invoice - Fila de invoice
+ * @param {Object} data.emisor - { razonSocial, cuit, domicilio, condicionIva, inicioActividades, logo (Buffer) }
+ * @param {Object} data.receptor - { nombre, domicilio, tipoDoc, nroDoc, condicionIva }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderInvoicePdf({ invoice, emisor, receptor }) {
+  const tipo = Number(invoice.tipo_comprobante);
+  const comprobante = COMPROBANTES[tipo] || { letra: "X", nombre: "COMPROBANTE" };
+  const lines = normalizeInvoiceLines(invoice);
+  const discriminaIva = comprobante.letra === "A";
+  const muestraIva = comprobante.letra !== "C";
+  const hasCae = Boolean(invoice.cae);
+
+  let qrImage = null;
+  if (hasCae) {
+    const qrUrl = buildArcaQrUrl(buildArcaQrPayload(invoice, { cuitEmisor: emisor.cuit, receptor }));
+    qrImage = await QRCode.toBuffer(qrUrl, { type: "png", margin: 1, width: 220 });
+  }
+
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = 40;
+  const right = doc.page.width - 40;
+  const width = right - left;
+  const middle = left + width / 2;
+
+  // ---------- Encabezado: emisor | letra | comprobante ----------
+  const headerTop = 40;
+  const headerHeight = 130;
+  doc.rect(left, headerTop, width, headerHeight).stroke();
+  doc.moveTo(middle, headerTop + 50).lineTo(middle, headerTop + headerHeight).stroke();
+
+  doc.rect(middle - 25, headerTop, 50, 50).stroke();
+  doc.font("Helvetica-Bold").fontSize(28).text(comprobante.letra, middle - 25, headerTop + 6, { width: 50, align: "center" });
+  doc.font("Helvetica").fontSize(7).text(`COD. ${String(tipo).padStart(2, "0")}`, middle - 25, headerTop + 38, { width: 50, align: "center" });
+
+  let emisorY = headerTop + 10;
+  if (emisor.logo) {
+    try {
+      doc.image(emisor.logo, left + 10, emisorY, { fit: [120, 40] });
+      emisorY += 45;
+    } catch (err) {
+      console.warn("[INVOICE_PDF] Logo inválido:", err.message);
+    }
+  }
+  doc.font("Helvetica-Bold").fontSize(12).text(emisor.razonSocial || "", left + 10, emisorY, { width: width / 2 - 45 });
+  doc.font("Helvetica").fontSize(8);
+  if (emisor.domicilio) doc.text(`Domicilio: ${emisor.domicilio}`, { width: width / 2 - 45 });
+  if (emisor.condicionIva) doc.text(`Condición frente al IVA: ${emisor.condicionIva}`, { width: width / 2 - 45 });
+
+  const compX = middle + 35;
+  const compWidth = right - compX - 10;
+  doc.font("Helvetica-Bold").fontSize(14).text(comprobante.nombre, compX, headerTop + 10, { width: compWidth });
+  doc.font("Helvetica").fontSize(9);
+  doc.text(`Punto de venta y Nro: ${formatComprobanteNumber(invoice.punto_venta, invoice.numero_comprobante)}`, compX, headerTop + 34, { width: compWidth });
+  doc.text(`Fecha de emisión: ${formatDate(invoice.fecha_emision)}`, { width: compWidth });
+  doc.text(`CUIT: ${emisor.cuit || "-"}`, { width: compWidth });
+  if (emisor.inicioActividades) doc.text(`Inicio de actividades: ${formatDate(emisor.inicioActividades)}`, { width: compWidth });
+
+  // ---------- Receptor ----------
+  const receptorTop = headerTop + headerHeight + 10;
+  doc.rect(left, receptorTop, width, 55).stroke();
+  doc.font("Helvetica").fontSize(9);
+  const docLabel = receptor.tipoDoc === DOCUMENTO_TIPOS.CUIT ? "CUIT" : receptor.tipoDoc === DOCUMENTO_TIPOS.DNI ? "DNI" : "Doc.";
+  doc.text(`Cliente: ${receptor.nombre || "Consumidor Final"}`, left + 10, receptorTop + 8, { width: width / 2 - 20 });
+  doc.text(`${docLabel}: ${receptor.nroDoc || "-"}`, middle + 10, receptorTop + 8, { width: width / 2 - 20 });
+  doc.text(`Condición frente al IVA: ${receptor.condicionIva || "Consumidor Final"}`, left + 10, receptorTop + 24, { width: width / 2 - 20 });
+  if (receptor.domicilio) doc.text(`Domicilio: ${receptor.domicilio}`, middle + 10, receptorTop + 24, { width: width / 2 - 20 });
+  if (isCreditNote(tipo) && invoice.original_comprobante) {
+    doc.text(`Comprobante asociado: ${invoice.original_comprobante}`, left + 10, receptorTop + 40, { width: width - 20 });
+  }
+
+  // ---------- Detalle ----------
+  const columns = discriminaIva
+    ? [
+        { key: "descripcion", label: "Descripción", width: 0.4, align: "left" },
+        { key: "cantidad", label: "Cant.", width: 0.1, align: "right" },
+        { key: "precio_unitario", label: "P. unitario", width: 0.15, align: "right", money: true },
+        { key: "alicuota_iva", label: "IVA", width: 0.1, align: "right", percent: true },
+        { key: "importe_neto", label: "Subtotal", width: 0.25, align: "right", money: true },
+      ]
+    : [
+        { key: "descripcion", label: "Descripción", width: 0.5, align: "left" },
+        { key: "cantidad", label: "Cant.", width: 0.1, align: "right" },
+        { key: "precio_unitario", label: "P. unitario", width: 0.2, align: "right", money: true },
+        { key: "importe_total", label: "Subtotal", width: 0.2, align: "right", money: true },
+      ];
+
+  // En B y C el precio se muestra con IVA incluido
+  const displayLines = discriminaIva
+    ? lines
+    : lines.map((line) => ({
+        ...line,
+        precio_unitario: muestraIva ? round2(line.importe_total / line.cantidad) : line.precio_unitario,
+        importe_total: muestraIva ? line.importe_total : line.importe_neto,
+      }));
+
+  let y = receptorTop + 70;
+  const drawRow = (row, bold) => {
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const heights = columns.map((col) =>
+      doc.heightOfString(String(row[col.key]), { width: col.width * width - 8 })
+    );
+    const rowHeight = Math.max(...heights) + 6;
+    if (y + rowHeight > doc.page.height - 200) {
+      doc.addPage();
+      y = 40;
+    }
+    columns.forEach((col) => {
+      doc.text(String(row[col.key]), x + 4, y + 3, { width: col.width * width - 8, align: col.align });
+      x += col.width * width;
+    });
+    y += rowHeight;
+  };
+
+  doc.rect(left, y, width, 16).fillAndStroke("#eeeeee", "#000000");
+  doc.fillColor("#000000");
+  drawRow(Object.fromEntries(columns.map((col) => [col.key, col.label])), true);
+  displayLines.forEach((line) => {
+    drawRow(
+      Object.fromEntries(
+        columns.map((col) => {
+          const value = line[col.key];
+          if (col.money) return [col.key, formatMoney(value)];
+          if (col.percent) return [col.key, `${value}%`];
+          return [col.key, value];
+        })
+      ),
+      false
+    );
+  });
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+
+  // ---------- Totales ----------
+  y += 10;
+  const totalsX = middle + 40;
+  const totalsWidth = right - totalsX;
+  const totalRow = (label, value, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 11 : 9);
+    doc.text(label, totalsX, y, { width: totalsWidth * 0.55 });
+    doc.text(formatMoney(value), totalsX + totalsWidth * 0.55, y, { width: totalsWidth * 0.45, align: "right" });
+    y += bold ? 16 : 13;
+  };
+
+  if (discriminaIva) {
+    totalRow("Importe neto gravado:", Math.abs(invoice.importe_neto));
+    ivaBreakdown(lines).forEach((rate) => totalRow(`IVA ${rate.alicuota}%:`, rate.iva));
+  } else if (muestraIva) {
+    // Régimen de transparencia fiscal al consumidor (Ley 27.743)
+    totalRow("IVA contenido:", Math.abs(invoice.importe_iva));
+  }
+  totalRow("Importe total:", Math.abs(invoice.importe_total), true);
+
+  // ---------- Pie: QR + CAE ----------
+  // El pie va al final de la hoja; si el detalle no deja lugar pasa a una hoja nueva
+  const footerY = doc.page.height - 180;
+  if (y + 20 > footerY) doc.addPage();
+  doc.moveTo(left, footerY).lineTo(right, footerY).stroke();
+
+  if (qrImage) {
+    doc.image(qrImage, left, footerY + 10, { width: 110 });
+  }
+  doc.font("Helvetica-Bold").fontSize(10);
+  doc.text(hasCae ? "Comprobante autorizado por ARCA" : "Comprobante sin CAE — no válido como factura", left + 125, footerY + 20, { width: width - 125 });
+  doc.font("Helvetica").fontSize(9);
+  if (hasCae) {
+    doc.text(`CAE N°: ${invoice.cae}`, { width: width - 125 });
+    doc.text(`Fecha de vencimiento del CAE: ${formatDate(invoice.vto_cae)}`, { width: width - 125 });
+  }
+
+  doc.end();
+  return finished;
+}
+
+export async function getTenantLogoUrl(tenantId) {
+  try {
+    const [[settings]] = await pool.query(
+      `SELECT logo_url FROM tenant_settings WHERE tenant_id = ? LIMIT 1`,
+      [tenantId]
+    );
+    return settings?.logo_url || null;
+  } catch {
+    // tenant_settings no existe en todas las instalaciones
+    return null;
+  }
+}
+
+/**
+ * Datos del receptor copiados en la factura (receptor_json); null si no hay copia
+ */
+export function parseInvoiceReceptor(value) {
+  if (!value) return null;
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Arma el PDF de un comprobante del tenant
+ * @returns {Promise<{ buffer: Buffer, filename: string, invoice: Object, customer: Object|null }>}
+ */
+export async function getInvoicePdf(tenantId, invoiceId) {
+  const [[invoice]] = await pool.query(
+    `SELECT i.*, o.punto_venta AS original_punto_venta, o.numero_comprobante AS original_numero
+       FROM invoice i
+       LEFT JOIN invoice o ON o.id = i.original_invoice_id AND o.tenant_id = i.tenant_id
+      WHERE i.id = ? AND i.tenant_id = ?`,
+    [invoiceId, tenantId]
+  );
+  if (!invoice) {
+    const error = new Error("Factura no encontrada");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // SELECT * porque cuit, address y condicion_iva no existen en todas las instalaciones.
+  // Si el cliente fue anonimizado la factura conserva la copia de sus datos fiscales.
+  let customer = parseInvoiceReceptor(invoice.receptor_json);
+  if (!customer && invoice.customer_id) {
+    const [[row]] = await pool.query(
+      `SELECT * FROM customer WHERE id = ? AND tenant_id = ?`,
+      [invoice.customer_id, tenantId]
+    );
+    customer = row || null;
+  }
+
+  const [[tenant]] = await pool.query(`SELECT name FROM tenant WHERE id = ? LIMIT 1`, [tenantId]);
+  const contact = await getSection("contact", tenantId).catch(() => ({}));
+  const credentials = await getArcaCredentials(tenantId).catch(() => ({}));
+  const logo = await fetchLogo(await getTenantLogoUrl(tenantId));
+
+  const emisor = {
+    razonSocial: contact.arca_razon_social || tenant?.name || "",
+    cuit: String(credentials.facturarCUIT || contact.arca_cuit || "").replace(/\D/g, ""),
+    domicilio: contact.arca_domicilio || "",
+    // Quien emite C es monotributista; A y B sólo los emite un responsable inscripto
+    condicionIva: Number(invoice.tipo_comprobante) >= 11 ? "Responsable Monotributo" : "IVA Responsable Inscripto",
+    inicioActividades: contact.arca_inicio_actividades || null,
+    logo,
+  };
+
+  const receptor = {
+    nombre: customer?.name || "Consumidor Final",
+    domicilio: customer?.address || "",
+    condicionIva: CONDICIONES_IVA_LABEL[Number(customer?.condicion_iva)] || "Consumidor Final",
+    ...resolveReceptorDoc({ cuit: customer?.cuit, documento: customer?.documento }),
+  };
+
+  if (invoice.original_numero) {
+    invoice.original_comprobante = formatComprobanteNumber(invoice.original_punto_venta, invoice.original_numero);
+  }
+
+  const buffer = await renderInvoicePdf({ invoice, emisor, receptor });
+  const comprobante = COMPROBANTES[Number(invoice.tipo_comprobante)] || { letra: "X", nombre: "COMPROBANTE" };
+  const prefix = isCreditNote(invoice.tipo_comprobante) ? "nota-credito" : "factura";
+  const filename = `${prefix}-${comprobante.letra}-${formatComprobanteNumber(invoice.punto_venta, invoice.numero_comprobante)}.pdf`;
+
+  return { buffer, filename, invoice, customer };
+}
@@ -0,0 +1,522 @@
+// src/services/jobScheduler.js
+// Tareas programadas persistidas en la base. Cada tarea es una fila de scheduled_job con su
+// próxima ejecución y un lease (locked_by / locked_until): la toma una sola instancia por vez,
+// y si esa instancia se cae el lease vence y otra la retoma. Cada ejecución queda registrada en
+// scheduled_job_run. Los handlers tienen que ser idempotentes: un reintento puede repetir trabajo.
+import os from "node:os";
+import { pool } from "../db.js";
+
+export const JOB_STATUS = {
+  SCHEDULED: "scheduled",
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const RUN_STATUS = ["running", "succeeded", "failed"];
+
+const DEFAULT_LEASE_SECONDS = 10 * 60;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BASE_RETRY_SECONDS = 60;
+const MAX_RETRY_SECONDS = 60 * 60;
+const POLL_INTERVAL_MS = Number(process.env.JOB_SCHEDULER_POLL_MS || 30 * 1000);
+const CLAIM_BATCH = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// type -> { handler, intervalSeconds, leaseSeconds, maxAttempts, label }
+const handlers = new Map();
+
+let schemaReady = null;
+
+export function ensureJobSchedulerSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS scheduled_job (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          job_key VARCHAR(160) NOT NULL,
+          type VARCHAR(60) NOT NULL,
+          tenant_id INT NULL,
+          payload_json TEXT NULL,
+          interval_seconds INT NULL,
+          next_run_at DATETIME NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'scheduled',
+          attempts INT NOT NULL DEFAULT 0,
+          max_attempts INT NOT NULL DEFAULT 3,
+          locked_by VARCHAR(120) NULL,
+          locked_until DATETIME NULL,
+          last_error VARCHAR(500) NULL,
+          last_started_at DATETIME NULL,
+          last_finished_at DATETIME NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          UNIQUE KEY uq_scheduled_job_key (job_key),
+          KEY idx_scheduled_job_due (status, next_run_at),
+          KEY idx_scheduled_job_tenant (tenant_id, type, status)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS scheduled_job_run (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          job_id BIGINT NOT NULL,
+          type VARCHAR(60) NOT NULL,
+          tenant_id INT NULL,
+          attempt INT NOT NULL DEFAULT 1,
+          worker VARCHAR(120) NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'running',
+          result_json TEXT NULL,
+          error_message VARCHAR(500) NULL,
+          started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME NULL,
+          duration_ms INT NULL,
+          KEY idx_job_run_job (job_id, id),
+          KEY idx_job_run_type (type, id),
+          KEY idx_job_run_started (started_at)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Espera antes de reintentar: 1, 2, 4… minutos (máximo 1 hora)
+ */
+export function retryDelaySeconds(attempt) {
+  const exponent = Math.max(0, Number(attempt || 1) - 1);
+  return Math.min(MAX_RETRY_SECONDS, BASE_RETRY_SECONDS * 2 ** exponent);
+}
+
+/**
+ * Estado de la tarea después de una ejecución.
+ * - Recurrente: vuelve a quedar programada (tras un error, con reintento; agotados los
+ *   intentos, en el próximo intervalo normal).
+ * - Única: completada, o reintento hasta agotar los intentos y entonces fallida.
+ * Devuelve { status, attempts, delaySeconds } (delaySeconds null = no se vuelve a correr).
+ */
+export function nextJobState({ intervalSeconds = null, attempts = 1, maxAttempts = DEFAULT_MAX_ATTEMPTS }, ok) {
+  const recurring = Number(intervalSeconds) > 0;
+  if (ok) {
+    return recurring
+      ? { status: JOB_STATUS.SCHEDULED, attempts: 0, delaySeconds: Number(intervalSeconds) }
+      : { status: JOB_STATUS.COMPLETED, attempts, delaySeconds: null };
+  }
+  if (attempts < maxAttempts) {
+    const delay = retryDelaySeconds(attempts);
+    return {
+      status: JOB_STATUS.SCHEDULED,
+      attempts,
+      delaySeconds: recurring ? Math.min(delay, Number(intervalSeconds)) : delay,
+    };
+  }
+  return recurring
+    ? { status: JOB_STATUS.SCHEDULED, attempts: 0, delaySeconds: Number(intervalSeconds) }
+    : { status: JOB_STATUS.FAILED, attempts, delaySeconds: null };
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Registra el handler de un tipo de tarea.
+ * @param {string} type
+ * @param {object} definition
+ * @param {(job: {id, tenantId, payload, attempt}) => Promise<object|void>} definition.handler - Devuelve un resumen
+ * @param {number} [definition.intervalSeconds] - Si se indica, la tarea es recurrente y se crea sola
+ * @param {number} [definition.leaseSeconds] - Tiempo máximo que una instancia retiene la tarea
+ * @param {number} [definition.maxAttempts]
+ * @param {string} [definition.label]
+ */
+export function registerJobHandler(type, definition) {
+  handlers.set(type, {
+    leaseSeconds: DEFAULT_LEASE_SECONDS,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    intervalSeconds: null,
+    label: type,
+    ...definition,
+  });
+}
+
+export function listJobTypes() {
+  return [...handlers.entries()].map(([type, def]) => ({
+    type,
+    label: def.label,
+    intervalSeconds: def.intervalSeconds || null,
+  }));
+}
+
+// Las tareas recurrentes se crean una sola vez; si cambia el intervalo se actualiza
+async function ensureRecurringJobs() {
+  for (const [type, def] of handlers) {
+    if (!def.intervalSeconds) continue;
+    await pool.query(
+      `INSERT INTO scheduled_job (job_key, type, interval_seconds, max_attempts, next_run_at, status)
+       VALUES (?, ?, ?, ?, NOW(), 'scheduled')
+       ON DUPLICATE KEY UPDATE interval_seconds = VALUES(interval_seconds), max_attempts = VALUES(max_attempts)`,
+      [type, type, def.intervalSeconds, def.maxAttempts]
+    );
+  }
+}
+
+/**
+ * Programa una tarea única. Con el mismo `jobKey` no se duplica: se reprograma
+ * mientras no haya empezado a correr.
+ */
+export async function enqueueJob(type, { jobKey = null, tenantId = null, payload = null, runAt = null } = {}) {
+  await ensureJobSchedulerSchema();
+  const def = handlers.get(type);
+  const key = jobKey || `${type}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`;
+  await pool.query(
+    `INSERT INTO scheduled_job (job_key, type, tenant_id, payload_json, max_attempts, next_run_at, status)
+     VALUES (?, ?, ?, ?, ?, COALESCE(?, NOW()), 'scheduled')
+     ON DUPLICATE KEY UPDATE
+       payload_json = IF(status = 'scheduled', VALUES(payload_json), payload_json),
+       next_run_at = IF(status = 'scheduled', VALUES(next_run_at), next_run_at),
+       updated_at = NOW()`,
+    [key, type, tenantId, payload ? JSON.stringify(payload) : null, def?.maxAttempts || DEFAULT_MAX_ATTEMPTS, runAt]
+  );
+  return findJobByKey(key);
+}
+
+/**
+ * Toma la tarea si nadie la tiene (o si el lease de otra instancia venció)
+ */
+async function claimJob(job, leaseSeconds) {
+  const [result] = await pool.query(
+    `UPDATE scheduled_job
+        SET status = 'running',
+            locked_by = ?,
+            locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND),
+            attempts = attempts + 1,
+            last_started_at = NOW(),
+            updated_at = NOW()
+      WHERE id = ?
+        AND (
+          (status = 'scheduled' AND next_run_at <= NOW())
+          OR (status = 'running' AND locked_until < NOW())
+        )`,
+    [WORKER_ID, leaseSeconds, job.id]
+  );
+  return result.affectedRows === 1;
+}
+
+async function runJob(row) {
+  const def = handlers.get(row.type);
+  if (!def) return;
+  if (!(await claimJob(row, def.leaseSeconds))) return;
+
+  const [[claimed]] = await pool.query(`SELECT * FROM scheduled_job WHERE id = ?`, [row.id]);
+  const attempt = Number(claimed.attempts);
+  const startedAt = Date.now();
+  const [runInsert] = await pool.query(
+    `INSERT INTO scheduled_job_run (job_id, type, tenant_id, attempt, worker, status)
+     VALUES (?, ?, ?, ?, ?, 'running')`,
+    [claimed.id, claimed.type, claimed.tenant_id, attempt, WORKER_ID]
+  );
+
+  let ok = true;
+  let result = null;
+  let error = null;
+  try {
+    result = await def.handler({
+      id: claimed.id,
+      tenantId: claimed.tenant_id,
+      payload: parseJson(claimed.payload_json) || {},
+      attempt,
+    });
+  } catch (err) {
+    ok = false;
+    error = err;
+    console.error(`❌ [Jobs] ${claimed.type} (#${claimed.id}) falló en el intento ${attempt}:`, err.message);
+  }
+
+  const errorMessage = error ? String(error.message || error).slice(0, 500) : null;
+  await pool.query(
+    `UPDATE scheduled_job_run
+        SET status = ?, result_json = ?, error_message = ?, finished_at = NOW(), duration_ms = ?
+      WHERE id = ?`,
+    [ok ? "succeeded" : "failed", result ? JSON.stringify(result) : null, errorMessage, Date.now() - startedAt, runInsert.insertId]
+  );
+
+  const next = nextJobState(
+    { intervalSeconds: claimed.interval_seconds, attempts: attempt, maxAttempts: claimed.max_attempts },
+    ok
+  );
+  // Sólo la instancia dueña del lease cierra la ejecución (y no pisa una pausa/cancelación)
+  await pool.query(
+    `UPDATE scheduled_job
+        SET status = IF(status = 'running', ?, status),
+            attempts = ?,
+            next_run_at = IF(? IS NULL, next_run_at, DATE_ADD(NOW(), INTERVAL ? SECOND)),
+            last_error = ?,
+            last_finished_at = NOW(),
+            locked_by = NULL,
+            locked_until = NULL,
+            updated_at = NOW()
+      WHERE id = ? AND locked_by = ?`,
+    [next.status, next.attempts, next.delaySeconds, next.delaySeconds || 0, errorMessage, claimed.id, WORKER_ID]
+  );
+}
+
+let ticking = false;
+
+/**
+ * Una vuelta del planificador: corre (de a una) las tareas vencidas que logra tomar
+ */
+export async function runDueJobs() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    await ensureJobSchedulerSchema();
+    const types = [...handlers.keys()];
+    if (!types.length) return;
+    const [due] = await pool.query(
+      `SELECT id, type FROM scheduled_job
+        WHERE type IN (?)
+          AND (
+            (status = 'scheduled' AND next_run_at <= NOW())
+            OR (status = 'running' AND locked_until < NOW())
+          )
+        ORDER BY next_run_at ASC
+        LIMIT ?`,
+      [types, CLAIM_BATCH]
+    );
+    for (const row of due) {
+      try {
+        await runJob(row);
+      } catch (error) {
+        console.error(`❌ [Jobs] Error ejecutando la tarea #${row.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("❌ [Jobs] Error del planificador:", error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+let timer = null;
+
+export async function startJobScheduler() {
+  if (timer) return;
+  if (process.env.JOB_SCHEDULER_DISABLED === "true") {
+    console.log("⏸️ [Jobs] Planificador deshabilitado (JOB_SCHEDULER_DISABLED)");
+    return;
+  }
+  await ensureJobSchedulerSchema();
+  await ensureRecurringJobs();
+  timer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  console.log(`✅ [Jobs] Planificador iniciado en ${WORKER_ID} (${handlers.size} tipos, cada ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+/* =========================
+   Consulta y acciones del panel
+========================= */
+
+function mapJob(row) {
+  if (!row) return null;
+  const def = handlers.get(row.type);
+  return {
+    id: row.id,
+    key: row.job_key,
+    type: row.type,
+    label: def?.label || row.type,
+    tenantId: row.tenant_id,
+    payload: parseJson(row.payload_json),
+    intervalSeconds: row.interval_seconds,
+    nextRunAt: row.next_run_at,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    lastError: row.last_error,
+    lastStartedAt: row.last_started_at,
+    lastFinishedAt: row.last_finished_at,
+    createdAt: row.created_at,
+  };
+}
+
+export async function listJobs({ type = null, status = null, tenantId = null, recurring = null, limit = 100 } = {}) {
+  await ensureJobSchedulerSchema();
+  const where = ["1 = 1"];
+  const params = [];
+  if (type) {
+    where.push("type = ?");
+    params.push(String(type));
+  }
+  if (status && Object.values(JOB_STATUS).includes(status)) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (tenantId) {
+    where.push("tenant_id = ?");
+    params.push(Number(tenantId));
+  }
+  if (recurring !== null) where.push(recurring ? "interval_seconds IS NOT NULL" : "interval_seconds IS NULL");
+  const [rows] = await pool.query(
+    `SELECT * FROM scheduled_job
+      WHERE ${where.join(" AND ")}
+      ORDER BY interval_seconds IS NULL, next_run_at ASC
+      LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return rows.map(mapJob);
+}
+
+export async function listJobRuns({ jobId = null, type = null, status = null, limit = 50, offset = 0 } = {}) {
+  await ensureJobSchedulerSchema();
+  const where = ["1 = 1"];
+  const params = [];
+  if (jobId) {
+    where.push("r.job_id = ?");
+    params.push(Number(jobId));
+  }
+  if (type) {
+    where.push("r.type = ?");
+    params.push(String(type));
+  }
+  if (status && RUN_STATUS.includes(status)) {
+    where.push("r.status = ?");
+    params.push(status);
+  }
+  const [rows] = await pool.query(
+    `SELECT r.*, t.name AS tenant_name
+       FROM scheduled_job_run r
+       LEFT JOIN tenant t ON t.id = r.tenant_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY r.id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, Math.min(200, Math.max(1, Number(limit) || 50)), Math.max(0, Number(offset) || 0)]
+  );
+  const [[count]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM scheduled_job_run r WHERE ${where.join(" AND ")}`,
+    params
+  );
+  return {
+    items: rows.map((row) => ({
+      id: row.id,
+      jobId: row.job_id,
+      type: row.type,
+      label: handlers.get(row.type)?.label || row.type,
+      tenantId: row.tenant_id,
+      tenantName: row.tenant_name || null,
+      attempt: row.attempt,
+      worker: row.worker,
+      status: row.status,
+      result: parseJson(row.result_json),
+      error: row.error_message,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+    })),
+    total: Number(count?.total || 0),
+  };
+}
+
+export async function findJobByKey(jobKey) {
+  await ensureJobSchedulerSchema();
+  const [[row]] = await pool.query(`SELECT * FROM scheduled_job WHERE job_key = ? LIMIT 1`, [String(jobKey)]);
+  return mapJob(row);
+}
+
+async function getJobRow(jobId) {
+  await ensureJobSchedulerSchema();
+  const [[row]] = await pool.query(`SELECT * FROM scheduled_job WHERE id = ? LIMIT 1`, [Number(jobId)]);
+  if (!row) throw httpError("Tarea no encontrada", 404);
+  return row;
+}
+
+/**
+ * Ejecutar ya: la toma la próxima vuelta de cualquier instancia. Sirve también para
+ * reintentar una tarea fallida.
+ */
+export async function runJobNow(jobId) {
+  const row = await getJobRow(jobId);
+  if (row.status === JOB_STATUS.RUNNING) throw httpError("La tarea se está ejecutando", 409);
+  if (row.status === JOB_STATUS.COMPLETED || row.status === JOB_STATUS.CANCELLED) {
+    throw httpError("La tarea ya terminó", 409);
+  }
+  await pool.query(
+    `UPDATE scheduled_job
+        SET attempts = IF(status = 'failed', 0, attempts), status = 'scheduled', next_run_at = NOW(), updated_at = NOW()
+      WHERE id = ?`,
+    [row.id]
+  );
+  return mapJob(await getJobRow(row.id));
+}
+
+export async function pauseJob(jobId) {
+  const row = await getJobRow(jobId);
+  if (row.status !== JOB_STATUS.SCHEDULED && row.status !== JOB_STATUS.RUNNING) {
+    throw httpError("Sólo se pueden pausar tareas programadas", 409);
+  }
+  // Si está corriendo, termina la ejecución en curso y queda pausada
+  await pool.query(`UPDATE scheduled_job SET status = 'paused', updated_at = NOW() WHERE id = ?`, [row.id]);
+  return mapJob(await getJobRow(row.id));
+}
+
+export async function resumeJob(jobId) {
+  const row = await getJobRow(jobId);
+  if (row.status !== JOB_STATUS.PAUSED) throw httpError("La tarea no está pausada", 409);
+  await pool.query(
+    `UPDATE scheduled_job
+        SET status = 'scheduled', next_run_at = GREATEST(next_run_at, NOW()), updated_at = NOW()
+      WHERE id = ?`,
+    [row.id]
+  );
+  return mapJob(await getJobRow(row.id));
+}
+
+/**
+ * Cancela una tarea única pendiente. `tenantId` restringe a las del negocio.
+ */
+export async function cancelJob(jobId, { tenantId = null } = {}) {
+  const row = await getJobRow(jobId);
+  if (tenantId && Number(row.tenant_id) !== Number(tenantId)) throw httpError("Tarea no encontrada", 404);
+  if (row.interval_seconds) throw httpError("Las tareas recurrentes se pausan, no se cancelan", 409);
+  if (row.status === JOB_STATUS.RUNNING) throw httpError("La tarea se está ejecutando", 409);
+  await pool.query(
+    `UPDATE scheduled_job SET status = 'cancelled', updated_at = NOW() WHERE id = ? AND status <> 'running'`,
+    [row.id]
+  );
+  return mapJob(await getJobRow(row.id));
+}
+
+/**
+ * Borra el historial de ejecuciones viejo (lo usa la tarea de limpieza)
+ */
+export async function pruneJobRuns({ days = 30 } = {}) {
+  await ensureJobSchedulerSchema();
+  const [result] = await pool.query(
+    `DELETE FROM scheduled_job_run WHERE started_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT 5000`,
+    [days]
+  );
+  const [finished] = await pool.query(
+    `DELETE FROM scheduled_job
+      WHERE interval_seconds IS NULL
+        AND status IN ('completed', 'cancelled')
+        AND updated_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      LIMIT 1000`,
+    [days]
+  );
+  return { runsDeleted: result.affectedRows, jobsDeleted: finished.affectedRows };
+}
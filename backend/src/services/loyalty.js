@@ -0,0 +1,649 @@
+// src/services/loyalty.js
+// Programa de puntos: los turnos completados, las clases asistidas y las compras de
+// productos en caja suman puntos según la configuración del negocio (sección
+// "loyalty" de system_config). Los puntos se canjean por premios del catálogo
+// (un servicio gratis o un descuento), que se entregan como un código promocional
+// personal de un solo uso. Cada movimiento queda en un libro por cliente; los puntos
+// ganados vencen a los `expiry_days` y se consumen primero los que vencen antes.
+import { pool } from "../db.js";
+import { getSection } from "./config.js";
+import { ensurePromoSchema, issuePersonalPromoCode } from "./promoCodes.js";
+
+export const LOYALTY_MOVEMENT = {
+  EARN: "earn",
+  REDEEM: "redeem",
+  EXPIRE: "expire",
+  ADJUST: "adjust",
+  REVERT: "revert",
+};
+
+export const LOYALTY_REWARD_TYPES = {
+  SERVICE: "service",
+  DISCOUNT: "discount",
+};
+
+export const LOYALTY_DEFAULTS = {
+  enabled: false,
+  appointment_points: 10,
+  class_points: 5,
+  product_points_per_100: 1,
+  expiry_days: 365,
+  voucher_days: 30,
+};
+
+let schemaReady = null;
+
+export function ensureLoyaltySchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      // remaining: puntos todavía disponibles de un movimiento positivo (para vencimiento y canje FIFO)
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS loyalty_ledger (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          customer_id INT NOT NULL,
+          type VARCHAR(10) NOT NULL,
+          points INT NOT NULL,
+          remaining INT NOT NULL DEFAULT 0,
+          expires_at DATE NULL,
+          reference_type VARCHAR(30) NULL,
+          reference_id INT NULL,
+          description VARCHAR(255) NULL,
+          created_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          reverted_at DATETIME NULL,
+          KEY idx_loyalty_ledger_customer (tenant_id, customer_id, created_at),
+          KEY idx_loyalty_ledger_reference (tenant_id, reference_type, reference_id),
+          KEY idx_loyalty_ledger_expiry (tenant_id, expires_at, remaining)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS loyalty_reward (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          name VARCHAR(120) NOT NULL,
+          description VARCHAR(255) NULL,
+          reward_type VARCHAR(20) NOT NULL,
+          service_id INT NULL,
+          discount_amount DECIMAL(12,2) NULL,
+          points_cost INT NOT NULL,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          KEY idx_loyalty_reward_tenant (tenant_id, is_active)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function loyaltyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDateOnly(value) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${toDateOnly(date)}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return toDateOnly(d);
+}
+
+function nonNegativeNumber(value, def) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+/**
+ * Configuración del programa con valores por defecto para las claves que faltan
+ */
+export function normalizeLoyaltySettings(raw = {}) {
+  return {
+    enabled: raw.enabled === true || raw.enabled === "true" || raw.enabled === 1,
+    appointment_points: Math.floor(nonNegativeNumber(raw.appointment_points, LOYALTY_DEFAULTS.appointment_points)),
+    class_points: Math.floor(nonNegativeNumber(raw.class_points, LOYALTY_DEFAULTS.class_points)),
+    product_points_per_100: nonNegativeNumber(raw.product_points_per_100, LOYALTY_DEFAULTS.product_points_per_100),
+    expiry_days: Math.floor(nonNegativeNumber(raw.expiry_days, LOYALTY_DEFAULTS.expiry_days)),
+    voucher_days: Math.floor(nonNegativeNumber(raw.voucher_days, LOYALTY_DEFAULTS.voucher_days)) || LOYALTY_DEFAULTS.voucher_days,
+  };
+}
+
+export async function getLoyaltySettings(tenantId) {
+  return normalizeLoyaltySettings(await getSection("loyalty", tenantId));
+}
+
+/**
+ * Puntos que suma un movimiento según la configuración
+ * @param {Object} settings - normalizeLoyaltySettings
+ * @param {"appointment"|"class"|"purchase"} source
+ * @param {number} [amount] - total de productos, sólo para "purchase"
+ */
+export function computeEarnedPoints(settings, source, amount = 0) {
+  if (!settings.enabled) return 0;
+  if (source === "appointment") return settings.appointment_points;
+  if (source === "class") return settings.class_points;
+  if (source === "purchase") return Math.floor((Math.max(0, Number(amount) || 0) / 100) * settings.product_points_per_100);
+  return 0;
+}
+
+/**
+ * Vencimiento de los puntos ganados en `earnedAt` (null si no vencen)
+ */
+export function computePointsExpiry(earnedAt, expiryDays) {
+  if (!(Number(expiryDays) > 0)) return null;
+  return addDays(earnedAt, Number(expiryDays));
+}
+
+/**
+ * Reparte `points` entre los movimientos con saldo, primero los que vencen antes
+ * (los que no vencen, al final). Devuelve [{ id, take }].
+ * @param {Array<{ id: number, remaining: number, expires_at: string|null }>} entries
+ */
+export function planPointsConsumption(entries, points) {
+  const sorted = [...entries]
+    .filter((entry) => Number(entry.remaining) > 0)
+    .sort((a, b) => {
+      if (a.expires_at === b.expires_at) return Number(a.id) - Number(b.id);
+      if (!a.expires_at) return 1;
+      if (!b.expires_at) return -1;
+      return String(a.expires_at).localeCompare(String(b.expires_at));
+    });
+  const available = sorted.reduce((sum, entry) => sum + Number(entry.remaining), 0);
+  if (points > available) throw loyaltyError(`Puntos insuficientes: tenés ${available}`);
+
+  const plan = [];
+  let left = points;
+  for (const entry of sorted) {
+    if (left <= 0) break;
+    const take = Math.min(left, Number(entry.remaining));
+    plan.push({ id: entry.id, take });
+    left -= take;
+  }
+  return plan;
+}
+
+/* =========================
+   Libro de puntos
+========================= */
+
+async function insertMovement(conn, {
+  tenantId,
+  customerId,
+  type,
+  points,
+  expiresAt = null,
+  referenceType = null,
+  referenceId = null,
+  description = null,
+  userId = null,
+}) {
+  const [result] = await conn.query(
+    `INSERT INTO loyalty_ledger
+       (tenant_id, customer_id, type, points, remaining, expires_at, reference_type, reference_id, description, created_by)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`,
+    [
+      tenantId,
+      customerId,
+      type,
+      points,
+      points > 0 ? points : 0,
+      expiresAt,
+      referenceType,
+      referenceId,
+      description ? String(description).slice(0, 255) : null,
+      userId,
+    ]
+  );
+  return result.insertId;
+}
+
+async function consumePoints(conn, { tenantId, customerId, points }) {
+  const [entries] = await conn.query(
+    `SELECT id, remaining, expires_at FROM loyalty_ledger
+      WHERE tenant_id = ? AND customer_id = ? AND remaining > 0
+      FOR UPDATE`,
+    [tenantId, customerId]
+  );
+  const plan = planPointsConsumption(entries, points);
+  for (const { id, take } of plan) {
+    await conn.query(`UPDATE loyalty_ledger SET remaining = remaining - ? WHERE id = ?`, [take, id]);
+  }
+}
+
+/**
+ * Vence los puntos con fecha pasada. Sin `customerId` recorre todo el negocio (job).
+ * @returns {Promise<number>} movimientos vencidos
+ */
+export async function expireLoyaltyPoints(db = pool, { tenantId = null, customerId = null } = {}) {
+  await ensureLoyaltySchema();
+  const params = [toDateOnly(new Date())];
+  let where = "";
+  if (tenantId) {
+    where += " AND tenant_id = ?";
+    params.push(tenantId);
+  }
+  if (customerId) {
+    where += " AND customer_id = ?";
+    params.push(customerId);
+  }
+  const [rows] = await db.query(
+    `SELECT id, tenant_id, customer_id, remaining, expires_at FROM loyalty_ledger
+      WHERE expires_at < ? AND remaining > 0 ${where}
+      LIMIT 1000`,
+    params
+  );
+  for (const row of rows) {
+    const [upd] = await db.query(
+      `UPDATE loyalty_ledger SET remaining = 0 WHERE id = ? AND remaining = ?`,
+      [row.id, row.remaining]
+    );
+    if (!upd.affectedRows) continue;
+    await insertMovement(db, {
+      tenantId: row.tenant_id,
+      customerId: row.customer_id,
+      type: LOYALTY_MOVEMENT.EXPIRE,
+      points: -Number(row.remaining),
+      referenceType: "loyalty_ledger",
+      referenceId: row.id,
+      description: `Vencimiento de puntos del ${String(row.expires_at).slice(0, 10)}`,
+    });
+  }
+  return rows.length;
+}
+
+export async function getLoyaltyBalance(db, tenantId, customerId) {
+  const [[row]] = await db.query(
+    `SELECT COALESCE(SUM(points), 0) AS balance FROM loyalty_ledger WHERE tenant_id = ? AND customer_id = ?`,
+    [tenantId, customerId]
+  );
+  return Number(row?.balance || 0);
+}
+
+/**
+ * Suma puntos por un turno, clase o compra. Idempotente por referencia: si ya hay un
+ * movimiento vigente para la referencia no vuelve a sumar.
+ */
+async function earnPoints(conn, { tenantId, customerId, points, referenceType, referenceId, description, settings }) {
+  if (!customerId || !(points > 0)) return 0;
+  const [[existing]] = await conn.query(
+    `SELECT id FROM loyalty_ledger
+      WHERE tenant_id = ? AND type = 'earn' AND reference_type = ? AND reference_id = ? AND reverted_at IS NULL
+      LIMIT 1`,
+    [tenantId, referenceType, referenceId]
+  );
+  if (existing) return 0;
+  await insertMovement(conn, {
+    tenantId,
+    customerId,
+    type: LOYALTY_MOVEMENT.EARN,
+    points,
+    expiresAt: computePointsExpiry(new Date(), settings.expiry_days),
+    referenceType,
+    referenceId,
+    description,
+  });
+  return points;
+}
+
+/**
+ * Descuenta los puntos ganados por una referencia que dejó de contar (turno que deja
+ * de estar completado, clase desmarcada). Sólo se quita lo que no se usó todavía.
+ */
+async function revertPoints(conn, { tenantId, referenceType, referenceId }) {
+  const [rows] = await conn.query(
+    `SELECT id, customer_id, remaining FROM loyalty_ledger
+      WHERE tenant_id = ? AND type = 'earn' AND reference_type = ? AND reference_id = ? AND reverted_at IS NULL
+      FOR UPDATE`,
+    [tenantId, referenceType, referenceId]
+  );
+  for (const row of rows) {
+    await conn.query(`UPDATE loyalty_ledger SET remaining = 0, reverted_at = NOW() WHERE id = ?`, [row.id]);
+    if (Number(row.remaining) > 0) {
+      await insertMovement(conn, {
+        tenantId,
+        customerId: row.customer_id,
+        type: LOYALTY_MOVEMENT.REVERT,
+        points: -Number(row.remaining),
+        referenceType,
+        referenceId,
+        description: "Anulación de puntos",
+      });
+    }
+  }
+  return rows.length;
+}
+
+/**
+ * Sincroniza los puntos de un turno con su estado: completado suma, cualquier otro
+ * estado anula lo sumado.
+ */
+export async function syncLoyaltyForAppointment(conn, { tenantId, appointmentId, status }) {
+  if (!status) return 0;
+  await ensureLoyaltySchema();
+  if (status !== "completed") return revertPoints(conn, { tenantId, referenceType: "appointment", referenceId: appointmentId });
+  const settings = await getLoyaltySettings(tenantId);
+  if (!settings.enabled) return 0;
+  const [[appt]] = await conn.query(
+    `SELECT a.customer_id, s.name AS service_name
+       FROM appointment a
+       LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+      WHERE a.id = ? AND a.tenant_id = ? LIMIT 1`,
+    [appointmentId, tenantId]
+  );
+  if (!appt) return 0;
+  return earnPoints(conn, {
+    tenantId,
+    customerId: appt.customer_id,
+    points: computeEarnedPoints(settings, "appointment"),
+    referenceType: "appointment",
+    referenceId: appointmentId,
+    description: `Turno completado${appt.service_name ? `: ${appt.service_name}` : ""}`,
+    settings,
+  });
+}
+
+/**
+ * Igual que los turnos, para la asistencia a clases
+ */
+export async function syncLoyaltyForEnrollment(conn, { tenantId, enrollmentId, status }) {
+  if (!status) return 0;
+  await ensureLoyaltySchema();
+  if (status !== "attended") return revertPoints(conn, { tenantId, referenceType: "class_enrollment", referenceId: enrollmentId });
+  const settings = await getLoyaltySettings(tenantId);
+  if (!settings.enabled) return 0;
+  const [[enrollment]] = await conn.query(
+    `SELECT ce.customer_id, ct.name AS class_name
+       FROM class_enrollment ce
+       LEFT JOIN class_session cs ON cs.id = ce.session_id AND cs.tenant_id = ce.tenant_id
+       LEFT JOIN class_template ct ON ct.id = cs.template_id AND ct.tenant_id = cs.tenant_id
+      WHERE ce.id = ? AND ce.tenant_id = ? LIMIT 1`,
+    [enrollmentId, tenantId]
+  );
+  if (!enrollment) return 0;
+  return earnPoints(conn, {
+    tenantId,
+    customerId: enrollment.customer_id,
+    points: computeEarnedPoints(settings, "class"),
+    referenceType: "class_enrollment",
+    referenceId: enrollmentId,
+    description: `Clase asistida${enrollment.class_name ? `: ${enrollment.class_name}` : ""}`,
+    settings,
+  });
+}
+
+/**
+ * Puntos por los productos de una venta de mostrador
+ */
+export async function awardPurchasePoints(conn, { tenantId, customerId, saleId, amount }) {
+  if (!customerId) return 0;
+  await ensureLoyaltySchema();
+  const settings = await getLoyaltySettings(tenantId);
+  return earnPoints(conn, {
+    tenantId,
+    customerId,
+    points: computeEarnedPoints(settings, "purchase", amount),
+    referenceType: "pos_sale",
+    referenceId: saleId,
+    description: `Compra en mostrador #${saleId}`,
+    settings,
+  });
+}
+
+/**
+ * Ajuste manual desde el panel (positivo o negativo)
+ */
+export async function adjustLoyaltyPoints(tenantId, customerId, { points, description, userId = null }) {
+  await ensureLoyaltySchema();
+  const value = Math.trunc(Number(points));
+  if (!value) throw loyaltyError("Indicá la cantidad de puntos");
+  if (!String(description || "").trim()) throw loyaltyError("Indicá el motivo del ajuste");
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await lockCustomer(conn, tenantId, customerId);
+    if (value < 0) await consumePoints(conn, { tenantId, customerId, points: -value });
+    const settings = await getLoyaltySettings(tenantId);
+    await insertMovement(conn, {
+      tenantId,
+      customerId,
+      type: LOYALTY_MOVEMENT.ADJUST,
+      points: value,
+      expiresAt: value > 0 ? computePointsExpiry(new Date(), settings.expiry_days) : null,
+      description: String(description).trim(),
+      userId,
+    });
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  return getCustomerLoyalty(tenantId, customerId);
+}
+
+async function lockCustomer(conn, tenantId, customerId) {
+  const [[customer]] = await conn.query(
+    `SELECT id, name FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1 FOR UPDATE`,
+    [customerId, tenantId]
+  );
+  if (!customer) throw loyaltyError("Cliente no encontrado", 404);
+  return customer;
+}
+
+/**
+ * Saldo, puntos por vencer en los próximos 30 días y últimos movimientos del cliente
+ */
+export async function getCustomerLoyalty(tenantId, customerId, { limit = 50 } = {}) {
+  await ensureLoyaltySchema();
+  await expireLoyaltyPoints(pool, { tenantId, customerId });
+  const settings = await getLoyaltySettings(tenantId);
+  const balance = await getLoyaltyBalance(pool, tenantId, customerId);
+  const [[soon]] = await pool.query(
+    `SELECT COALESCE(SUM(remaining), 0) AS points, MIN(expires_at) AS next_expiry
+       FROM loyalty_ledger
+      WHERE tenant_id = ? AND customer_id = ? AND remaining > 0
+        AND expires_at IS NOT NULL AND expires_at <= ?`,
+    [tenantId, customerId, addDays(new Date(), 30)]
+  );
+  const [movements] = await pool.query(
+    `SELECT id, type, points, expires_at, reference_type, reference_id, description, created_at
+       FROM loyalty_ledger
+      WHERE tenant_id = ? AND customer_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?`,
+    [tenantId, customerId, Number(limit) || 50]
+  );
+  return {
+    enabled: settings.enabled,
+    balance,
+    expiringSoon: {
+      points: Number(soon?.points || 0),
+      nextExpiry: soon?.next_expiry ? String(soon.next_expiry).slice(0, 10) : null,
+    },
+    movements: movements.map((m) => ({
+      id: m.id,
+      type: m.type,
+      points: Number(m.points),
+      expiresAt: m.expires_at ? String(m.expires_at).slice(0, 10) : null,
+      referenceType: m.reference_type,
+      referenceId: m.reference_id,
+      description: m.description,
+      createdAt: m.created_at,
+    })),
+  };
+}
+
+/* =========================
+   Catálogo de premios
+========================= */
+
+function mapReward(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    rewardType: row.reward_type,
+    serviceId: row.service_id,
+    serviceName: row.service_name || null,
+    discountAmount: row.discount_amount != null ? Number(row.discount_amount) : null,
+    pointsCost: Number(row.points_cost),
+    isActive: Boolean(row.is_active),
+  };
+}
+
+export async function listLoyaltyRewards(tenantId, { includeInactive = false } = {}) {
+  await ensureLoyaltySchema();
+  const [rows] = await pool.query(
+    `SELECT r.*, s.name AS service_name
+       FROM loyalty_reward r
+       LEFT JOIN service s ON s.id = r.service_id AND s.tenant_id = r.tenant_id
+      WHERE r.tenant_id = ? ${includeInactive ? "" : "AND r.is_active = 1"}
+      ORDER BY r.is_active DESC, r.points_cost ASC`,
+    [tenantId]
+  );
+  return rows.map(mapReward);
+}
+
+async function validateRewardInput(tenantId, input, current = null) {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : current?.[column]);
+  const name = String(pick("name", "name") || "").trim();
+  if (!name) throw loyaltyError("Indicá el nombre del premio");
+  const rewardType = String(pick("rewardType", "reward_type") || "");
+  if (!Object.values(LOYALTY_REWARD_TYPES).includes(rewardType)) throw loyaltyError("Tipo de premio inválido");
+  const pointsCost = Number(pick("pointsCost", "points_cost"));
+  if (!Number.isInteger(pointsCost) || pointsCost < 1) throw loyaltyError("Los puntos deben ser un entero mayor a 0");
+
+  let serviceId = null;
+  let discountAmount = null;
+  if (rewardType === LOYALTY_REWARD_TYPES.SERVICE) {
+    serviceId = Number(pick("serviceId", "service_id"));
+    const [[service]] = await pool.query(`SELECT id FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+      serviceId || 0,
+      tenantId,
+    ]);
+    if (!service) throw loyaltyError("Servicio no encontrado", 404);
+  } else {
+    discountAmount = Number(pick("discountAmount", "discount_amount"));
+    if (!Number.isFinite(discountAmount) || discountAmount <= 0) throw loyaltyError("El descuento debe ser mayor a 0");
+  }
+
+  return {
+    name: name.slice(0, 120),
+    description: String(pick("description", "description") || "").trim().slice(0, 255) || null,
+    rewardType,
+    serviceId,
+    discountAmount,
+    pointsCost,
+    isActive: input.isActive !== undefined ? Boolean(input.isActive) : current ? Boolean(current.is_active) : true,
+  };
+}
+
+export async function createLoyaltyReward(tenantId, input = {}) {
+  await ensureLoyaltySchema();
+  const data = await validateRewardInput(tenantId, input);
+  const [result] = await pool.query(
+    `INSERT INTO loyalty_reward
+       (tenant_id, name, description, reward_type, service_id, discount_amount, points_cost, is_active)
+     VALUES (?,?,?,?,?,?,?,?)`,
+    [tenantId, data.name, data.description, data.rewardType, data.serviceId, data.discountAmount, data.pointsCost, data.isActive ? 1 : 0]
+  );
+  return { id: result.insertId, ...data };
+}
+
+export async function updateLoyaltyReward(tenantId, id, input = {}) {
+  await ensureLoyaltySchema();
+  const [[current]] = await pool.query(`SELECT * FROM loyalty_reward WHERE id = ? AND tenant_id = ? LIMIT 1`, [id, tenantId]);
+  if (!current) throw loyaltyError("Premio no encontrado", 404);
+  const data = await validateRewardInput(tenantId, input, current);
+  await pool.query(
+    `UPDATE loyalty_reward
+        SET name = ?, description = ?, reward_type = ?, service_id = ?, discount_amount = ?, points_cost = ?,
+            is_active = ?, updated_at = NOW()
+      WHERE id = ? AND tenant_id = ?`,
+    [data.name, data.description, data.rewardType, data.serviceId, data.discountAmount, data.pointsCost, data.isActive ? 1 : 0, id, tenantId]
+  );
+  return { id, ...data };
+}
+
+export async function deactivateLoyaltyReward(tenantId, id) {
+  await ensureLoyaltySchema();
+  const [result] = await pool.query(
+    `UPDATE loyalty_reward SET is_active = 0, updated_at = NOW() WHERE id = ? AND tenant_id = ?`,
+    [id, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Canjea un premio: descuenta los puntos y emite un código personal de un solo uso
+ * (100% del servicio o el monto fijo del premio) que el cliente usa al reservar.
+ * @returns {Promise<{ code: string, expiresAt: string, pointsSpent: number, balance: number, reward: Object }>}
+ */
+export async function redeemLoyaltyReward(tenantId, { customerId, rewardId, userId = null }) {
+  await ensureLoyaltySchema();
+  await ensurePromoSchema();
+  const settings = await getLoyaltySettings(tenantId);
+  if (!settings.enabled) throw loyaltyError("El programa de puntos no está activo");
+  await expireLoyaltyPoints(pool, { tenantId, customerId });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[reward]] = await conn.query(
+      `SELECT r.*, s.name AS service_name
+         FROM loyalty_reward r
+         LEFT JOIN service s ON s.id = r.service_id AND s.tenant_id = r.tenant_id
+        WHERE r.id = ? AND r.tenant_id = ? AND r.is_active = 1 LIMIT 1`,
+      [rewardId, tenantId]
+    );
+    if (!reward) throw loyaltyError("Premio no encontrado", 404);
+    await lockCustomer(conn, tenantId, customerId);
+
+    const cost = Number(reward.points_cost);
+    await consumePoints(conn, { tenantId, customerId, points: cost });
+
+    const isService = reward.reward_type === LOYALTY_REWARD_TYPES.SERVICE;
+    const expiresAt = addDays(new Date(), settings.voucher_days);
+    const promo = await issuePersonalPromoCode(conn, {
+      tenantId,
+      customerId,
+      description: `Canje de puntos: ${reward.name}`,
+      discountType: isService ? "percent" : "fixed",
+      discountValue: isService ? 100 : Number(reward.discount_amount),
+      targets: isService ? [{ type: "service", id: Number(reward.service_id) }] : [],
+      endsAt: expiresAt,
+      campaign: "puntos",
+      userId,
+    });
+    await insertMovement(conn, {
+      tenantId,
+      customerId,
+      type: LOYALTY_MOVEMENT.REDEEM,
+      points: -cost,
+      referenceType: "promo_code",
+      referenceId: promo.id,
+      description: `Canje: ${reward.name} (código ${promo.code})`,
+      userId,
+    });
+    const balance = await getLoyaltyBalance(conn, tenantId, customerId);
+    await conn.commit();
+    return { code: promo.code, expiresAt, pointsSpent: cost, balance, reward: mapReward(reward) };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
@@ -0,0 +1,306 @@
+// src/services/messageLog.js
+// Historial de todos los mensajes salientes (WhatsApp, email y push) con su estado de
+// entrega. Los envíos siguen siendo "fire and forget": registrar nunca corta un envío.
+// Los webhooks de estado de Meta (sent/delivered/read/failed) actualizan el registro.
+import { pool } from "../db.js";
+import { updateWhatsAppMessageStatus } from "./whatsappMessageLog.js";
+
+export const MESSAGE_CHANNELS = ["whatsapp", "email", "push"];
+
+export const DELIVERY_STATUSES = ["sent", "delivered", "read", "failed", "skipped"];
+
+// Motivo del envío. Es texto libre: estos son los que usa el sistema.
+export const MESSAGE_KINDS = {
+  REMINDER: "reminder",
+  CONFIRMATION: "confirmation",
+  APPOINTMENT_UPDATE: "appointment_update",
+  DEPOSIT_LINK: "deposit_link",
+  PAYMENT: "payment",
+  CAMPAIGN: "campaign",
+  MEMBERSHIP: "membership",
+  INVOICE: "invoice",
+  GIFT_CARD: "gift_card",
+  STAFF_ALERT: "staff_alert",
+  NOTIFICATION: "notification",
+};
+
+// Meta puede mandar los estados desordenados: nunca se retrocede (un "sent" tardío no pisa un "read")
+const STATUS_RANK = { skipped: 0, sent: 1, failed: 2, delivered: 3, read: 4 };
+
+const BODY_PREVIEW_LENGTH = 500;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+let schemaReady = null;
+
+export function ensureMessageLogSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS message_log (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          channel VARCHAR(16) NOT NULL,
+          kind VARCHAR(40) NULL,
+          recipient VARCHAR(255) NOT NULL,
+          customer_id INT NULL,
+          appointment_id INT NULL,
+          campaign_id BIGINT NULL,
+          template_name VARCHAR(120) NULL,
+          subject VARCHAR(255) NULL,
+          body_preview TEXT NULL,
+          provider_message_id VARCHAR(128) NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'sent',
+          error_message VARCHAR(255) NULL,
+          sent_by_user_id INT NULL,
+          delivered_at DATETIME NULL,
+          read_at DATETIME NULL,
+          failed_at DATETIME NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          KEY idx_message_log_customer (tenant_id, customer_id, id),
+          KEY idx_message_log_campaign (tenant_id, campaign_id, id),
+          KEY idx_message_log_created (tenant_id, created_at),
+          KEY idx_message_log_provider (provider_message_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Estado resultante al recibir una actualización (no retrocede)
+ */
+export function nextDeliveryStatus(current, incoming) {
+  if (!(incoming in STATUS_RANK)) return current;
+  if (!(current in STATUS_RANK)) return incoming;
+  return STATUS_RANK[incoming] > STATUS_RANK[current] ? incoming : current;
+}
+
+/**
+ * Texto plano y acotado para guardar (los emails llegan en HTML)
+ */
+export function toBodyPreview(text, html = null) {
+  const source = text || String(html || "").replace(/<style[\s\S]*?<\/style>/gi, " ").replace(/<[^>]+>/g, " ");
+  const clean = String(source || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return clean.length > BODY_PREVIEW_LENGTH ? `${clean.slice(0, BODY_PREVIEW_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Descripción legible del error de un webhook de estado de Meta
+ */
+export function describeStatusError(errors) {
+  const error = Array.isArray(errors) ? errors[0] : null;
+  if (!error) return null;
+  const detail = error.error_data?.details || error.message || error.title || "";
+  return `${error.code ?? ""}${error.code && detail ? ": " : ""}${detail}`.slice(0, 255) || null;
+}
+
+/**
+ * Registra un mensaje saliente.
+ * @param {number} tenantId
+ * @param {object} entry
+ * @param {"whatsapp"|"email"|"push"} entry.channel
+ * @param {string} entry.recipient - Teléfono, email o token push
+ * @param {string} [entry.kind] - Ver MESSAGE_KINDS
+ * @param {number} [entry.customerId]
+ * @param {number} [entry.appointmentId]
+ * @param {number} [entry.campaignId] - id de la campaña del CRM (entrada del historial)
+ * @param {"sent"|"failed"|"skipped"} [entry.status]
+ */
+export async function recordMessage(
+  tenantId,
+  {
+    channel,
+    recipient,
+    kind = null,
+    customerId = null,
+    appointmentId = null,
+    campaignId = null,
+    templateName = null,
+    subject = null,
+    body = null,
+    providerMessageId = null,
+    status = "sent",
+    error = null,
+    userId = null,
+  }
+) {
+  if (!tenantId || !MESSAGE_CHANNELS.includes(channel)) return null;
+  await ensureMessageLogSchema();
+  const [result] = await pool.query(
+    `INSERT INTO message_log
+       (tenant_id, channel, kind, recipient, customer_id, appointment_id, campaign_id, template_name,
+        subject, body_preview, provider_message_id, status, error_message, sent_by_user_id,
+        failed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      channel,
+      kind,
+      String(recipient || "").slice(0, 255),
+      customerId || null,
+      appointmentId || null,
+      campaignId || null,
+      templateName,
+      subject ? String(subject).slice(0, 255) : null,
+      body,
+      providerMessageId,
+      status,
+      error ? String(error.message || error).slice(0, 255) : null,
+      userId || null,
+      status === "failed" ? new Date() : null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Aplica un estado del webhook de WhatsApp (value.statuses[]) al historial y a la
+ * bandeja de entrada. Devuelve el nuevo estado o null si el mensaje no está registrado.
+ */
+export async function applyWhatsAppStatusUpdate(update = {}) {
+  const providerMessageId = update.id ? String(update.id) : null;
+  const incoming = String(update.status || "").toLowerCase();
+  if (!providerMessageId || !(incoming in STATUS_RANK)) return null;
+
+  await ensureMessageLogSchema();
+  const at = update.timestamp ? new Date(Number(update.timestamp) * 1000) : new Date();
+  const errorMessage = incoming === "failed" ? describeStatusError(update.errors) : null;
+
+  await updateWhatsAppMessageStatus(providerMessageId, incoming, errorMessage).catch((error) =>
+    console.warn("[MessageLog] No se pudo actualizar el mensaje de la bandeja:", error.message)
+  );
+
+  const [[row]] = await pool.query(
+    `SELECT id, status FROM message_log
+      WHERE provider_message_id = ? AND channel = 'whatsapp'
+      ORDER BY id DESC
+      LIMIT 1`,
+    [providerMessageId]
+  );
+  if (!row) return null;
+
+  const status = nextDeliveryStatus(row.status, incoming);
+  await pool.query(
+    `UPDATE message_log
+        SET status = ?,
+            delivered_at = IF(? IN ('delivered', 'read'), COALESCE(delivered_at, ?), delivered_at),
+            read_at = IF(? = 'read', COALESCE(read_at, ?), read_at),
+            failed_at = IF(? = 'failed', COALESCE(failed_at, ?), failed_at),
+            error_message = COALESCE(?, error_message),
+            updated_at = NOW()
+      WHERE id = ?`,
+    [status, incoming, at, incoming, at, incoming, at, errorMessage, row.id]
+  );
+  return status;
+}
+
+function buildFilters(tenantId, { customerId, campaignId, appointmentId, channel, status, kind, q, from, to }) {
+  const where = ["ml.tenant_id = ?"];
+  const params = [tenantId];
+  if (customerId) {
+    where.push("ml.customer_id = ?");
+    params.push(Number(customerId));
+  }
+  if (campaignId) {
+    where.push("ml.campaign_id = ?");
+    params.push(Number(campaignId));
+  }
+  if (appointmentId) {
+    where.push("ml.appointment_id = ?");
+    params.push(Number(appointmentId));
+  }
+  if (channel && MESSAGE_CHANNELS.includes(channel)) {
+    where.push("ml.channel = ?");
+    params.push(channel);
+  }
+  if (status && DELIVERY_STATUSES.includes(status)) {
+    where.push("ml.status = ?");
+    params.push(status);
+  }
+  if (kind) {
+    where.push("ml.kind = ?");
+    params.push(String(kind));
+  }
+  if (DATE_RE.test(String(from || ""))) {
+    where.push("ml.created_at >= ?");
+    params.push(`${from} 00:00:00`);
+  }
+  if (DATE_RE.test(String(to || ""))) {
+    where.push("ml.created_at <= ?");
+    params.push(`${to} 23:59:59`);
+  }
+  const search = String(q || "").trim();
+  if (search) {
+    const like = `%${search}%`;
+    where.push("(ml.recipient LIKE ? OR ml.subject LIKE ? OR ml.body_preview LIKE ? OR ml.template_name LIKE ? OR c.name LIKE ?)");
+    params.push(like, like, like, like, like);
+  }
+  return { where: where.join(" AND "), params };
+}
+
+/**
+ * Historial filtrable (por cliente, campaña, turno, canal, estado, texto y fechas)
+ * con el total por estado para los mismos filtros.
+ */
+export async function listMessageLog(tenantId, filters = {}) {
+  await ensureMessageLogSchema();
+  const { where, params } = buildFilters(tenantId, filters);
+  const limit = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+
+  const [rows] = await pool.query(
+    `SELECT ml.*, c.name AS customer_name, u.email AS sent_by_email
+       FROM message_log ml
+       LEFT JOIN customer c ON c.id = ml.customer_id AND c.tenant_id = ml.tenant_id
+       LEFT JOIN users u ON u.id = ml.sent_by_user_id
+      WHERE ${where}
+      ORDER BY ml.id DESC
+      LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [statusRows] = await pool.query(
+    `SELECT ml.status, COUNT(*) AS total
+       FROM message_log ml
+       LEFT JOIN customer c ON c.id = ml.customer_id AND c.tenant_id = ml.tenant_id
+      WHERE ${where}
+      GROUP BY ml.status`,
+    params
+  );
+
+  const summary = Object.fromEntries(DELIVERY_STATUSES.map((status) => [status, 0]));
+  for (const row of statusRows) summary[row.status] = Number(row.total || 0);
+
+  return {
+    items: rows.map((row) => ({
+      id: row.id,
+      channel: row.channel,
+      kind: row.kind,
+      recipient: row.recipient,
+      customerId: row.customer_id,
+      customerName: row.customer_name || null,
+      appointmentId: row.appointment_id,
+      campaignId: row.campaign_id,
+      templateName: row.template_name,
+      subject: row.subject,
+      body: row.body_preview || "",
+      status: row.status,
+      error: row.error_message,
+      sentByEmail: row.sent_by_email || null,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+      readAt: row.read_at,
+      failedAt: row.failed_at,
+    })),
+    total: Object.values(summary).reduce((sum, value) => sum + value, 0),
+    summary,
+  };
+}
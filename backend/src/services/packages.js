@@ -0,0 +1,659 @@
+// src/services/packages.js
+// Bonos prepagos de servicios ("10 sesiones de masajes"): el negocio define paquetes
+// con N usos de uno o más servicios, vencimiento y si se pueden transferir. Al
+// venderse (caja, alta manual o link de Mercado Pago) se copian los usos al cliente y
+// cada turno completado de un servicio incluido descuenta un uso del bono que vence
+// primero.
+import { pool } from "../db.js";
+import { createGenericPaymentLink } from "../payments.js";
+
+export const CUSTOMER_PACKAGE_STATUS = {
+  PENDING_PAYMENT: "pending_payment",
+  ACTIVE: "active",
+  CANCELLED: "cancelled",
+};
+
+const PACKAGE_SOURCES = ["pos", "manual", "mercadopago"];
+
+let schemaReady = null;
+
+export function ensurePackageSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS service_package (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          name VARCHAR(120) NOT NULL,
+          description VARCHAR(500) NULL,
+          price_decimal DECIMAL(12,2) NOT NULL DEFAULT 0,
+          validity_days INT NULL,
+          is_transferable TINYINT(1) NOT NULL DEFAULT 0,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          KEY idx_service_package_tenant (tenant_id, is_active)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS service_package_item (
+          tenant_id INT NOT NULL,
+          package_id INT NOT NULL,
+          service_id INT NOT NULL,
+          uses INT NOT NULL DEFAULT 1,
+          PRIMARY KEY (package_id, service_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS customer_package (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          package_id INT NOT NULL,
+          customer_id INT NOT NULL,
+          name VARCHAR(120) NOT NULL,
+          price_decimal DECIMAL(12,2) NOT NULL DEFAULT 0,
+          status VARCHAR(20) NOT NULL DEFAULT 'active',
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          is_transferable TINYINT(1) NOT NULL DEFAULT 0,
+          validity_days INT NULL,
+          purchased_at DATETIME NULL,
+          expires_at DATE NULL,
+          pos_sale_id INT NULL,
+          mp_payment_id VARCHAR(64) NULL,
+          transferred_from_customer_id INT NULL,
+          transferred_at DATETIME NULL,
+          notes VARCHAR(255) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          KEY idx_customer_package_customer (tenant_id, customer_id, status)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS customer_package_item (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          customer_package_id INT NOT NULL,
+          service_id INT NOT NULL,
+          uses_total INT NOT NULL,
+          uses_left INT NOT NULL,
+          UNIQUE KEY uq_customer_package_item (customer_package_id, service_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS customer_package_usage (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          customer_package_id INT NOT NULL,
+          customer_package_item_id INT NOT NULL,
+          appointment_id INT NOT NULL,
+          used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_customer_package_usage_appt (appointment_id),
+          KEY idx_customer_package_usage_pkg (customer_package_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function packageError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDateOnly(value) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Fecha de vencimiento (inclusive) de un bono comprado en `purchasedAt`.
+ * Sin días de validez el bono no vence.
+ */
+export function computeExpiry(purchasedAt, validityDays) {
+  const days = Number(validityDays);
+  if (!validityDays || !Number.isInteger(days) || days <= 0) return null;
+  const d = purchasedAt instanceof Date ? new Date(purchasedAt) : new Date(String(purchasedAt).replace(" ", "T"));
+  d.setDate(d.getDate() + days);
+  return toDateOnly(d);
+}
+
+/**
+ * Valida los servicios incluidos en un paquete; un servicio repetido suma sus usos.
+ * @param {Array<{ serviceId: number, uses: number }>} items
+ */
+export function normalizePackageItems(items) {
+  if (!Array.isArray(items) || !items.length) {
+    throw packageError("Indicá al menos un servicio incluido");
+  }
+  const byService = new Map();
+  for (const item of items) {
+    const serviceId = Number(item?.serviceId);
+    const uses = Number(item?.uses);
+    if (!serviceId) throw packageError("Servicio inválido");
+    if (!Number.isInteger(uses) || uses < 1) throw packageError("La cantidad de usos debe ser un entero mayor a 0");
+    byService.set(serviceId, (byService.get(serviceId) || 0) + uses);
+  }
+  return [...byService].map(([serviceId, uses]) => ({ serviceId, uses }));
+}
+
+/**
+ * Referencia externa de Mercado Pago para la compra de un bono: "<tenant>:package:<id>"
+ */
+export function buildPackageReference(tenantId, customerPackageId) {
+  return `${tenantId}:package:${customerPackageId}`;
+}
+
+export function parsePackageReference(reference) {
+  const match = /^(\d+):package:(\d+)$/.exec(String(reference || ""));
+  if (!match) return null;
+  return { tenantId: Number(match[1]), customerPackageId: Number(match[2]) };
+}
+
+/**
+ * Estado a mostrar: los bonos activos vencidos o sin usos se informan como tales
+ */
+export function displayStatus(row, usesLeft, today = toDateOnly(new Date())) {
+  if (row.status !== CUSTOMER_PACKAGE_STATUS.ACTIVE) return row.status;
+  if (row.expires_at && String(row.expires_at).slice(0, 10) < today) return "expired";
+  if (usesLeft <= 0) return "used";
+  return CUSTOMER_PACKAGE_STATUS.ACTIVE;
+}
+
+/* =========================
+   Catálogo de paquetes
+========================= */
+
+async function loadPackageItems(db, tenantId, packageIds) {
+  if (!packageIds.length) return new Map();
+  const [rows] = await db.query(
+    `SELECT spi.package_id, spi.service_id, spi.uses, s.name AS service_name
+       FROM service_package_item spi
+       JOIN service s ON s.id = spi.service_id AND s.tenant_id = spi.tenant_id
+      WHERE spi.tenant_id = ? AND spi.package_id IN (?)
+      ORDER BY s.name ASC`,
+    [tenantId, packageIds]
+  );
+  const map = new Map();
+  for (const row of rows) {
+    const list = map.get(Number(row.package_id)) || [];
+    list.push({ serviceId: Number(row.service_id), serviceName: row.service_name, uses: Number(row.uses) });
+    map.set(Number(row.package_id), list);
+  }
+  return map;
+}
+
+function mapPackage(row, items = []) {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    description: row.description || null,
+    priceDecimal: Number(row.price_decimal || 0),
+    validityDays: row.validity_days ? Number(row.validity_days) : null,
+    isTransferable: Boolean(row.is_transferable),
+    isActive: Boolean(row.is_active),
+    items,
+    totalUses: items.reduce((acc, item) => acc + item.uses, 0),
+  };
+}
+
+export async function listPackages(tenantId, { includeInactive = false } = {}) {
+  await ensurePackageSchema();
+  const [rows] = await pool.query(
+    `SELECT * FROM service_package
+      WHERE tenant_id = ? ${includeInactive ? "" : "AND is_active = 1"}
+      ORDER BY is_active DESC, name ASC`,
+    [tenantId]
+  );
+  const items = await loadPackageItems(pool, tenantId, rows.map((row) => row.id));
+  return rows.map((row) => mapPackage(row, items.get(Number(row.id)) || []));
+}
+
+export async function getPackage(db, tenantId, packageId) {
+  await ensurePackageSchema();
+  const [[row]] = await db.query(`SELECT * FROM service_package WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    packageId,
+    tenantId,
+  ]);
+  if (!row) return null;
+  const items = await loadPackageItems(db, tenantId, [row.id]);
+  return mapPackage(row, items.get(Number(row.id)) || []);
+}
+
+async function validatePackageInput(tenantId, input, current = null) {
+  const name = String(input.name ?? current?.name ?? "").trim();
+  if (!name) throw packageError("El nombre es obligatorio");
+
+  const price = Number(input.priceDecimal ?? current?.price_decimal ?? 0);
+  if (!Number.isFinite(price) || price < 0) throw packageError("Precio inválido");
+
+  const rawValidity = input.validityDays !== undefined ? input.validityDays : current?.validity_days;
+  let validityDays = null;
+  if (rawValidity !== null && rawValidity !== undefined && rawValidity !== "") {
+    validityDays = Number(rawValidity);
+    if (!Number.isInteger(validityDays) || validityDays < 1) {
+      throw packageError("Los días de validez deben ser un entero mayor a 0");
+    }
+  }
+
+  const items = normalizePackageItems(input.items);
+  const [services] = await pool.query(`SELECT id FROM service WHERE tenant_id = ? AND id IN (?)`, [
+    tenantId,
+    items.map((item) => item.serviceId),
+  ]);
+  if (services.length !== items.length) throw packageError("Servicio no encontrado", 404);
+
+  return {
+    name: name.slice(0, 120),
+    description: input.description !== undefined ? String(input.description || "").trim().slice(0, 500) || null : current?.description || null,
+    priceDecimal: Math.round(price * 100) / 100,
+    validityDays,
+    isTransferable:
+      input.isTransferable !== undefined ? Boolean(input.isTransferable) : Boolean(current?.is_transferable),
+    isActive: input.isActive !== undefined ? Boolean(input.isActive) : current ? Boolean(current.is_active) : true,
+    items,
+  };
+}
+
+async function savePackageItems(conn, tenantId, packageId, items) {
+  await conn.query(`DELETE FROM service_package_item WHERE tenant_id = ? AND package_id = ?`, [tenantId, packageId]);
+  for (const item of items) {
+    await conn.query(
+      `INSERT INTO service_package_item (tenant_id, package_id, service_id, uses) VALUES (?,?,?,?)`,
+      [tenantId, packageId, item.serviceId, item.uses]
+    );
+  }
+}
+
+export async function createPackage(tenantId, input = {}) {
+  await ensurePackageSchema();
+  const data = await validatePackageInput(tenantId, input);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO service_package
+         (tenant_id, name, description, price_decimal, validity_days, is_transferable, is_active)
+       VALUES (?,?,?,?,?,?,?)`,
+      [
+        tenantId,
+        data.name,
+        data.description,
+        data.priceDecimal,
+        data.validityDays,
+        data.isTransferable ? 1 : 0,
+        data.isActive ? 1 : 0,
+      ]
+    );
+    await savePackageItems(conn, tenantId, result.insertId, data.items);
+    await conn.commit();
+    return getPackage(pool, tenantId, result.insertId);
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Los cambios sólo aplican a ventas futuras: los bonos ya vendidos conservan
+ * los usos y condiciones con los que se compraron.
+ */
+export async function updatePackage(tenantId, packageId, input = {}) {
+  await ensurePackageSchema();
+  const [[current]] = await pool.query(`SELECT * FROM service_package WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    packageId,
+    tenantId,
+  ]);
+  if (!current) throw packageError("Paquete no encontrado", 404);
+  const data = await validatePackageInput(tenantId, input, current);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      `UPDATE service_package
+          SET name = ?, description = ?, price_decimal = ?, validity_days = ?,
+              is_transferable = ?, is_active = ?, updated_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [
+        data.name,
+        data.description,
+        data.priceDecimal,
+        data.validityDays,
+        data.isTransferable ? 1 : 0,
+        data.isActive ? 1 : 0,
+        packageId,
+        tenantId,
+      ]
+    );
+    await savePackageItems(conn, tenantId, packageId, data.items);
+    await conn.commit();
+    return getPackage(pool, tenantId, packageId);
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Baja lógica: el paquete deja de venderse pero los bonos vendidos siguen vigentes.
+ */
+export async function deactivatePackage(tenantId, packageId) {
+  await ensurePackageSchema();
+  const [result] = await pool.query(
+    `UPDATE service_package SET is_active = 0, updated_at = NOW() WHERE id = ? AND tenant_id = ?`,
+    [packageId, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+/* =========================
+   Bonos de clientes
+========================= */
+
+/**
+ * Emite un bono para el cliente copiando los usos del paquete. Si queda activo se
+ * fija la compra y el vencimiento; los pendientes de pago se activan al acreditarse.
+ * Devuelve el id del bono del cliente.
+ */
+export async function issueCustomerPackage(conn, {
+  tenantId,
+  packageId,
+  customerId,
+  status = CUSTOMER_PACKAGE_STATUS.ACTIVE,
+  source = "manual",
+  priceDecimal = null,
+  posSaleId = null,
+  notes = null,
+}) {
+  if (!customerId) throw packageError("Indicá el cliente");
+  if (!PACKAGE_SOURCES.includes(source)) throw packageError("Origen inválido");
+
+  const pkg = await getPackage(conn, tenantId, packageId);
+  if (!pkg) throw packageError("Paquete no encontrado", 404);
+  if (!pkg.isActive) throw packageError(`El paquete ${pkg.name} no está a la venta`);
+  if (!pkg.items.length) throw packageError(`El paquete ${pkg.name} no incluye servicios`);
+
+  const [[customer]] = await conn.query(`SELECT id FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    customerId,
+    tenantId,
+  ]);
+  if (!customer) throw packageError("Cliente no encontrado", 404);
+
+  const active = status === CUSTOMER_PACKAGE_STATUS.ACTIVE;
+  const [result] = await conn.query(
+    `INSERT INTO customer_package
+       (tenant_id, package_id, customer_id, name, price_decimal, status, source, is_transferable,
+        validity_days, purchased_at, expires_at, pos_sale_id, notes)
+     VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      tenantId,
+      pkg.id,
+      customerId,
+      pkg.name,
+      priceDecimal != null ? Number(priceDecimal) : pkg.priceDecimal,
+      status,
+      source,
+      pkg.isTransferable ? 1 : 0,
+      pkg.validityDays,
+      active ? new Date() : null,
+      active ? computeExpiry(new Date(), pkg.validityDays) : null,
+      posSaleId,
+      notes ? String(notes).slice(0, 255) : null,
+    ]
+  );
+  for (const item of pkg.items) {
+    await conn.query(
+      `INSERT INTO customer_package_item (tenant_id, customer_package_id, service_id, uses_total, uses_left)
+       VALUES (?,?,?,?,?)`,
+      [tenantId, result.insertId, item.serviceId, item.uses, item.uses]
+    );
+  }
+  return result.insertId;
+}
+
+/**
+ * Activa un bono pagado por Mercado Pago. Idempotente: devuelve false si ya estaba activo.
+ */
+export async function activateCustomerPackage(db, { tenantId, customerPackageId, mpPaymentId = null }) {
+  await ensurePackageSchema();
+  const [[row]] = await db.query(
+    `SELECT id, status, validity_days FROM customer_package WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [customerPackageId, tenantId]
+  );
+  if (!row || row.status !== CUSTOMER_PACKAGE_STATUS.PENDING_PAYMENT) return false;
+
+  const [result] = await db.query(
+    `UPDATE customer_package
+        SET status = 'active', purchased_at = NOW(), expires_at = ?, mp_payment_id = ?, updated_at = NOW()
+      WHERE id = ? AND tenant_id = ? AND status = 'pending_payment'`,
+    [computeExpiry(new Date(), row.validity_days), mpPaymentId ? String(mpPaymentId) : null, customerPackageId, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function listCustomerPackages(tenantId, customerId, { includeClosed = true } = {}) {
+  await ensurePackageSchema();
+  const [rows] = await pool.query(
+    `SELECT cp.*, fc.name AS transferred_from_name
+       FROM customer_package cp
+       LEFT JOIN customer fc ON fc.id = cp.transferred_from_customer_id AND fc.tenant_id = cp.tenant_id
+      WHERE cp.tenant_id = ? AND cp.customer_id = ?
+        AND cp.status <> 'pending_payment'
+      ORDER BY cp.status = 'active' DESC, cp.expires_at IS NULL, cp.expires_at ASC, cp.id DESC`,
+    [tenantId, customerId]
+  );
+  if (!rows.length) return [];
+
+  const [items] = await pool.query(
+    `SELECT cpi.customer_package_id, cpi.service_id, cpi.uses_total, cpi.uses_left, s.name AS service_name
+       FROM customer_package_item cpi
+       JOIN service s ON s.id = cpi.service_id AND s.tenant_id = cpi.tenant_id
+      WHERE cpi.tenant_id = ? AND cpi.customer_package_id IN (?)
+      ORDER BY s.name ASC`,
+    [tenantId, rows.map((row) => row.id)]
+  );
+  const itemsByPackage = new Map();
+  for (const item of items) {
+    const list = itemsByPackage.get(Number(item.customer_package_id)) || [];
+    list.push({
+      serviceId: Number(item.service_id),
+      serviceName: item.service_name,
+      usesTotal: Number(item.uses_total),
+      usesLeft: Number(item.uses_left),
+    });
+    itemsByPackage.set(Number(item.customer_package_id), list);
+  }
+
+  const today = toDateOnly(new Date());
+  const result = rows.map((row) => {
+    const packageItems = itemsByPackage.get(Number(row.id)) || [];
+    const usesLeft = packageItems.reduce((acc, item) => acc + item.usesLeft, 0);
+    return {
+      id: Number(row.id),
+      packageId: Number(row.package_id),
+      name: row.name,
+      priceDecimal: Number(row.price_decimal || 0),
+      status: displayStatus(row, usesLeft, today),
+      source: row.source,
+      isTransferable: Boolean(row.is_transferable),
+      purchasedAt: row.purchased_at,
+      expiresAt: row.expires_at ? String(row.expires_at).slice(0, 10) : null,
+      transferredFromName: row.transferred_from_name || null,
+      usesLeft,
+      usesTotal: packageItems.reduce((acc, item) => acc + item.usesTotal, 0),
+      items: packageItems,
+    };
+  });
+  return includeClosed ? result : result.filter((row) => row.status === CUSTOMER_PACKAGE_STATUS.ACTIVE);
+}
+
+/**
+ * Usos disponibles del cliente para un servicio en una fecha (bonos activos y vigentes)
+ */
+export async function getServiceBalance(db, { tenantId, customerId, serviceId, date }) {
+  if (!customerId || !serviceId) return 0;
+  await ensurePackageSchema();
+  const [[row]] = await db.query(
+    `SELECT COALESCE(SUM(cpi.uses_left), 0) AS uses_left
+       FROM customer_package cp
+       JOIN customer_package_item cpi ON cpi.customer_package_id = cp.id AND cpi.tenant_id = cp.tenant_id
+      WHERE cp.tenant_id = ? AND cp.customer_id = ? AND cp.status = 'active'
+        AND cpi.service_id = ? AND cpi.uses_left > 0
+        AND (cp.expires_at IS NULL OR cp.expires_at >= ?)`,
+    [tenantId, customerId, serviceId, date || toDateOnly(new Date())]
+  );
+  return Number(row?.uses_left || 0);
+}
+
+/**
+ * Descuenta un uso por un turno completado, del bono vigente que vence primero.
+ * Idempotente por turno. Devuelve el bono usado o null si el cliente no tiene saldo.
+ */
+export async function consumePackageForAppointment(conn, { tenantId, appointmentId }) {
+  await ensurePackageSchema();
+  const [[existing]] = await conn.query(
+    `SELECT customer_package_id FROM customer_package_usage WHERE appointment_id = ? AND tenant_id = ? LIMIT 1`,
+    [appointmentId, tenantId]
+  );
+  if (existing) return { customerPackageId: Number(existing.customer_package_id) };
+
+  const [[appointment]] = await conn.query(
+    `SELECT customer_id, service_id, DATE(starts_at) AS day
+       FROM appointment WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [appointmentId, tenantId]
+  );
+  if (!appointment?.customer_id) return null;
+
+  const [[item]] = await conn.query(
+    `SELECT cpi.id, cpi.customer_package_id
+       FROM customer_package cp
+       JOIN customer_package_item cpi ON cpi.customer_package_id = cp.id AND cpi.tenant_id = cp.tenant_id
+      WHERE cp.tenant_id = ? AND cp.customer_id = ? AND cp.status = 'active'
+        AND cpi.service_id = ? AND cpi.uses_left > 0
+        AND (cp.expires_at IS NULL OR cp.expires_at >= ?)
+      ORDER BY cp.expires_at IS NULL, cp.expires_at ASC, cp.id ASC
+      LIMIT 1
+      FOR UPDATE`,
+    [tenantId, appointment.customer_id, appointment.service_id, String(appointment.day).slice(0, 10)]
+  );
+  if (!item) return null;
+
+  await conn.query(`UPDATE customer_package_item SET uses_left = uses_left - 1 WHERE id = ?`, [item.id]);
+  await conn.query(
+    `INSERT INTO customer_package_usage (tenant_id, customer_package_id, customer_package_item_id, appointment_id)
+     VALUES (?,?,?,?)`,
+    [tenantId, item.customer_package_id, item.id, appointmentId]
+  );
+  return { customerPackageId: Number(item.customer_package_id) };
+}
+
+/**
+ * Devuelve el uso al bono si el turno deja de estar completado
+ */
+export async function revertPackageUsage(conn, { tenantId, appointmentId }) {
+  await ensurePackageSchema();
+  const [[usage]] = await conn.query(
+    `SELECT id, customer_package_item_id FROM customer_package_usage
+      WHERE appointment_id = ? AND tenant_id = ? LIMIT 1 FOR UPDATE`,
+    [appointmentId, tenantId]
+  );
+  if (!usage) return false;
+  await conn.query(`UPDATE customer_package_item SET uses_left = uses_left + 1 WHERE id = ?`, [
+    usage.customer_package_item_id,
+  ]);
+  await conn.query(`DELETE FROM customer_package_usage WHERE id = ?`, [usage.id]);
+  return true;
+}
+
+/**
+ * Sincroniza el saldo con el nuevo estado del turno (no hace nada si no cambió el estado)
+ */
+export async function syncPackageUsage(conn, { tenantId, appointmentId, status }) {
+  if (!status) return null;
+  if (status === "completed") return consumePackageForAppointment(conn, { tenantId, appointmentId });
+  await revertPackageUsage(conn, { tenantId, appointmentId });
+  return null;
+}
+
+/**
+ * Pasa el saldo restante de un bono transferible a otro cliente
+ */
+export async function transferCustomerPackage(tenantId, customerPackageId, toCustomerId) {
+  await ensurePackageSchema();
+  const targetId = Number(toCustomerId);
+  if (!targetId) throw packageError("Indicá el cliente que recibe el bono");
+
+  const [[row]] = await pool.query(
+    `SELECT id, customer_id, status, is_transferable, expires_at
+       FROM customer_package WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [customerPackageId, tenantId]
+  );
+  if (!row) throw packageError("Bono no encontrado", 404);
+  if (!row.is_transferable) throw packageError("Este bono no es transferible");
+  if (row.status !== CUSTOMER_PACKAGE_STATUS.ACTIVE) throw packageError("Sólo se pueden transferir bonos activos");
+  if (row.expires_at && String(row.expires_at).slice(0, 10) < toDateOnly(new Date())) {
+    throw packageError("El bono está vencido");
+  }
+  if (Number(row.customer_id) === targetId) throw packageError("El bono ya pertenece a ese cliente");
+
+  const [[target]] = await pool.query(`SELECT id FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    targetId,
+    tenantId,
+  ]);
+  if (!target) throw packageError("Cliente no encontrado", 404);
+
+  await pool.query(
+    `UPDATE customer_package
+        SET customer_id = ?, transferred_from_customer_id = ?, transferred_at = NOW(), updated_at = NOW()
+      WHERE id = ? AND tenant_id = ?`,
+    [targetId, row.customer_id, customerPackageId, tenantId]
+  );
+  return { id: Number(customerPackageId), customerId: targetId };
+}
+
+/**
+ * Crea el bono pendiente de pago y su link de Mercado Pago; el webhook lo activa
+ * cuando se acredita el pago.
+ */
+export async function createPackagePaymentLink(tenantId, { packageId, customerId }) {
+  await ensurePackageSchema();
+  const pkg = await getPackage(pool, tenantId, packageId);
+  if (!pkg || !pkg.isActive) throw packageError("Paquete no encontrado", 404);
+  if (!(pkg.priceDecimal > 0)) throw packageError("El paquete no tiene precio para cobrar online");
+
+  const customerPackageId = await issueCustomerPackage(pool, {
+    tenantId,
+    packageId,
+    customerId,
+    status: CUSTOMER_PACKAGE_STATUS.PENDING_PAYMENT,
+    source: "mercadopago",
+  });
+
+  try {
+    const link = await createGenericPaymentLink({
+      tenantId,
+      amount: pkg.priceDecimal,
+      title: `Bono ${pkg.name}`,
+      description: pkg.items.map((item) => `${item.uses} x ${item.serviceName}`).join(", "),
+      customerId,
+      externalReference: buildPackageReference(tenantId, customerPackageId),
+      metadataType: "service_package",
+    });
+    return { customerPackageId, link, package: pkg };
+  } catch (error) {
+    await pool.query(`UPDATE customer_package SET status = 'cancelled', updated_at = NOW() WHERE id = ?`, [
+      customerPackageId,
+    ]);
+    throw error;
+  }
+}
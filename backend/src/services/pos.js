@@ -0,0 +1,934 @@
+// src/services/pos.js
+// Punto de venta: un ticket con líneas mixtas (servicios de turnos, productos con
+// descuento de stock, renovaciones de membresía, bonos y gift cards), pagos divididos por
+// medio de pago que alimentan el cierre de caja y facturación ARCA opcional.
+import { pool } from "../db.js";
+import { recordStockMovement } from "./stockService.js";
+import { toDateOnly } from "./stockLots.js";
+import { CASH_REGISTER_METHODS, addTransactionsToOpenClosure } from "./cashRegister.js";
+import { getPackage, getServiceBalance, issueCustomerPackage, syncPackageUsage } from "./packages.js";
+import { awardPurchasePoints, syncLoyaltyForAppointment } from "./loyalty.js";
+import { GIFT_CARD_DESIGNS, issueGiftCard, redeemGiftCard, normalizeGiftCardCode } from "./giftCards.js";
+import {
+  generarFactura,
+  obtenerIdAlicuota,
+  COMPROBANTE_TIPOS,
+  CONCEPTOS,
+  CONDICIONES_IVA,
+  DOCUMENTO_TIPOS,
+} from "./arca.js";
+
+export const POS_LINE_TYPES = {
+  PRODUCT: "product",
+  SERVICE: "service",
+  MEMBERSHIP: "membership",
+  PACKAGE: "package",
+  GIFT_CARD: "gift_card",
+};
+
+export const POS_PAYMENT_METHODS = CASH_REGISTER_METHODS;
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Efectivo",
+  card: "Tarjeta",
+  transfer: "Transferencia",
+  mp: "Mercado Pago",
+  gift_card: "Gift card",
+};
+
+// IVA incluido en los precios del ticket
+const DEFAULT_IVA_RATE = 21;
+
+let schemaReady = null;
+
+export function ensurePosSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS pos_sale (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          branch_id INT NULL,
+          customer_id INT NULL,
+          user_id INT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'completed',
+          subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+          discount_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+          total DECIMAL(12,2) NOT NULL DEFAULT 0,
+          paid_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+          change_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+          notes VARCHAR(500) NULL,
+          invoice_id INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_pos_sale_tenant_date (tenant_id, created_at),
+          KEY idx_pos_sale_invoice (invoice_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS pos_sale_item (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          sale_id INT NOT NULL,
+          item_type VARCHAR(20) NOT NULL,
+          product_id INT NULL,
+          service_id INT NULL,
+          appointment_id INT NULL,
+          membership_plan_id INT NULL,
+          subscription_id INT NULL,
+          package_id INT NULL,
+          customer_package_id INT NULL,
+          gift_card_id INT NULL,
+          description VARCHAR(255) NOT NULL,
+          quantity DECIMAL(12,3) NOT NULL DEFAULT 1,
+          unit_price DECIMAL(12,2) NOT NULL DEFAULT 0,
+          discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+          total DECIMAL(12,2) NOT NULL DEFAULT 0,
+          alicuota_iva DECIMAL(5,2) NOT NULL DEFAULT 21.00,
+          stock_movement_id INT NULL,
+          KEY idx_pos_item_sale (sale_id)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE pos_sale_item ADD COLUMN alicuota_iva DECIMAL(5,2) NOT NULL DEFAULT 21.00`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE pos_sale_item ADD COLUMN package_id INT NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE pos_sale_item ADD COLUMN customer_package_id INT NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE pos_sale_item ADD COLUMN gift_card_id INT NULL`);
+      } catch {}
+      try {
+        await db.query(`ALTER TABLE pos_sale ADD COLUMN invoicing_at DATETIME NULL`);
+      } catch {}
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS pos_sale_payment (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          sale_id INT NOT NULL,
+          method VARCHAR(20) NOT NULL,
+          amount DECIMAL(12,2) NOT NULL,
+          reference VARCHAR(120) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_pos_payment_sale (sale_id),
+          KEY idx_pos_payment_tenant_date (tenant_id, created_at)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// ARCA devuelve fechas como YYYYMMDD
+function afipDateToSql(value) {
+  const str = String(value || "").trim();
+  if (/^\d{8}$/.test(str)) return `${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}`;
+  return toDateOnly(str);
+}
+
+/**
+ * Normaliza los pagos recibidos: medio válido y monto positivo. Los pagos con gift
+ * card llevan el código en `reference`.
+ */
+export function normalizePayments(payments) {
+  if (!Array.isArray(payments) || !payments.length) {
+    throw httpError("Indicá al menos un medio de pago");
+  }
+  return payments
+    .map((payment) => ({
+      method: String(payment.method || "").trim().toLowerCase(),
+      amount: roundMoney(payment.amount),
+      reference: payment.reference ? String(payment.reference).slice(0, 120) : null,
+    }))
+    .filter((payment) => payment.amount > 0)
+    .map((payment) => {
+      if (!POS_PAYMENT_METHODS.includes(payment.method)) {
+        throw httpError(`Medio de pago inválido: ${payment.method || "(vacío)"}`);
+      }
+      if (payment.method === "gift_card") {
+        const code = normalizeGiftCardCode(payment.reference);
+        if (!code) throw httpError("Ingresá el código de la gift card");
+        return { ...payment, reference: code };
+      }
+      return payment;
+    });
+}
+
+/**
+ * Totales del ticket y vuelto. Los pagos deben cubrir el total; sólo el efectivo
+ * puede exceder (la diferencia es el vuelto).
+ */
+export function computeSaleTotals(lines = [], payments = []) {
+  let subtotal = 0;
+  let discountTotal = 0;
+  for (const line of lines) {
+    const gross = roundMoney(Number(line.unit_price) * Number(line.quantity));
+    subtotal += gross;
+    discountTotal += Math.min(gross, Math.max(0, Number(line.discount) || 0));
+  }
+  subtotal = roundMoney(subtotal);
+  discountTotal = roundMoney(discountTotal);
+  const total = roundMoney(subtotal - discountTotal);
+
+  const paid = roundMoney(payments.reduce((acc, p) => acc + Number(p.amount || 0), 0));
+  const cash = roundMoney(payments.filter((p) => p.method === "cash").reduce((acc, p) => acc + Number(p.amount || 0), 0));
+
+  if (paid < total) {
+    throw httpError(`Los pagos ($${paid.toFixed(2)}) no cubren el total ($${total.toFixed(2)})`);
+  }
+  const change = roundMoney(paid - total);
+  if (change > cash) {
+    throw httpError("Sólo se puede dar vuelto sobre pagos en efectivo");
+  }
+
+  return { subtotal, discount_total: discountTotal, total, paid_total: paid, change };
+}
+
+/**
+ * Pagos netos del vuelto (el vuelto se descuenta del efectivo),
+ * tal como deben impactar en la caja.
+ */
+export function netPaymentsForRegister(payments, change) {
+  let pendingChange = roundMoney(change);
+  return payments
+    .map((payment) => {
+      if (payment.method !== "cash" || pendingChange <= 0) return { ...payment };
+      const used = Math.min(payment.amount, pendingChange);
+      pendingChange = roundMoney(pendingChange - used);
+      return { ...payment, amount: roundMoney(payment.amount - used) };
+    })
+    .filter((payment) => payment.amount > 0);
+}
+
+async function resolveProductLine(conn, { tenantId, branchId, line, alreadyRequested = 0 }) {
+  const productId = Number(line.product_id);
+  const quantity = Number(line.quantity || 1);
+  if (!productId) throw httpError("Producto inválido");
+  if (!(quantity > 0)) throw httpError("La cantidad debe ser mayor a 0");
+
+  const [[product]] = await conn.query(
+    `SELECT p.id, p.name, p.code, p.price, COALESCE(ps.quantity, 0) AS stock
+       FROM product p
+       LEFT JOIN product_stock ps
+         ON ps.product_id = p.id AND ps.tenant_id = p.tenant_id AND ps.branch_id = ?
+      WHERE p.id = ? AND p.tenant_id = ?
+      FOR UPDATE`,
+    [branchId, productId, tenantId]
+  );
+  if (!product) throw httpError("Producto no encontrado", 404);
+  if (!branchId) throw httpError("Para vender productos indicá la sucursal");
+  if (Number(product.stock) < quantity + alreadyRequested) {
+    throw httpError(`Stock insuficiente de ${product.name}. Disponible: ${Number(product.stock)}`);
+  }
+
+  return {
+    item_type: POS_LINE_TYPES.PRODUCT,
+    product_id: product.id,
+    description: line.description || product.name,
+    quantity,
+    unit_price: line.unit_price != null && line.unit_price !== "" ? Number(line.unit_price) : Number(product.price || 0),
+    discount: Number(line.discount) || 0,
+  };
+}
+
+async function resolveServiceLine(conn, { tenantId, line }) {
+  const appointmentId = line.appointment_id ? Number(line.appointment_id) : null;
+
+  if (appointmentId) {
+    const [[appointment]] = await conn.query(
+      `SELECT a.id, a.status, a.service_id, a.customer_id, a.deposit_decimal, a.deposit_paid_at,
+              COALESCE(a.discount_decimal, 0) AS discount_decimal,
+              DATE(a.starts_at) AS day, s.name AS service_name, s.price_decimal
+         FROM appointment a
+         JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+        WHERE a.id = ? AND a.tenant_id = ?
+        FOR UPDATE`,
+      [appointmentId, tenantId]
+    );
+    if (!appointment) throw httpError("Turno no encontrado", 404);
+    if (appointment.status === "cancelled") throw httpError("El turno está cancelado");
+
+    // Si el cliente ya pagó la seña, se cobra sólo el saldo (neto del código promocional
+    // aplicado al reservar); si tiene un bono del servicio, el turno se descuenta del
+    // bono al completarse y no se cobra
+    const depositPaid = appointment.deposit_paid_at ? Number(appointment.deposit_decimal || 0) : 0;
+    const packageUses = await getServiceBalance(conn, {
+      tenantId,
+      customerId: appointment.customer_id,
+      serviceId: appointment.service_id,
+      date: String(appointment.day).slice(0, 10),
+    });
+    const balance =
+      packageUses > 0
+        ? 0
+        : Math.max(0, Number(appointment.price_decimal || 0) - Number(appointment.discount_decimal) - depositPaid);
+
+    return {
+      item_type: POS_LINE_TYPES.SERVICE,
+      service_id: appointment.service_id,
+      appointment_id: appointment.id,
+      customer_id: appointment.customer_id,
+      description:
+        line.description ||
+        `${appointment.service_name} (turno #${appointment.id}${packageUses > 0 ? ", con bono" : ""})`,
+      quantity: 1,
+      unit_price: line.unit_price != null && line.unit_price !== "" ? Number(line.unit_price) : balance,
+      discount: Number(line.discount) || 0,
+    };
+  }
+
+  const serviceId = Number(line.service_id);
+  if (!serviceId) throw httpError("Indicá el turno o el servicio");
+  const [[service]] = await conn.query(
+    `SELECT id, name, price_decimal FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [serviceId, tenantId]
+  );
+  if (!service) throw httpError("Servicio no encontrado", 404);
+
+  return {
+    item_type: POS_LINE_TYPES.SERVICE,
+    service_id: service.id,
+    description: line.description || service.name,
+    quantity: Number(line.quantity || 1),
+    unit_price: line.unit_price != null && line.unit_price !== "" ? Number(line.unit_price) : Number(service.price_decimal || 0),
+    discount: Number(line.discount) || 0,
+  };
+}
+
+async function resolveMembershipLine(conn, { tenantId, customerId, line }) {
+  const planId = Number(line.membership_plan_id);
+  if (!planId) throw httpError("Plan de membresía inválido");
+  if (!customerId) throw httpError("Para renovar una membresía indicá el cliente");
+
+  const [[plan]] = await conn.query(
+    `SELECT id, name, price_decimal, duration_months
+       FROM membership_plan
+      WHERE id = ? AND tenant_id = ?`,
+    [planId, tenantId]
+  );
+  if (!plan) throw httpError("Plan de membresía no encontrado", 404);
+
+  return {
+    item_type: POS_LINE_TYPES.MEMBERSHIP,
+    membership_plan_id: plan.id,
+    duration_months: Number(plan.duration_months || 1),
+    description: line.description || `Membresía ${plan.name}`,
+    quantity: 1,
+    unit_price: line.unit_price != null && line.unit_price !== "" ? Number(line.unit_price) : Number(plan.price_decimal || 0),
+    discount: Number(line.discount) || 0,
+  };
+}
+
+async function resolvePackageLine(conn, { tenantId, customerId, line }) {
+  const packageId = Number(line.package_id);
+  if (!packageId) throw httpError("Paquete inválido");
+  if (!customerId) throw httpError("Para vender un bono indicá el cliente");
+
+  const pkg = await getPackage(conn, tenantId, packageId);
+  if (!pkg) throw httpError("Paquete no encontrado", 404);
+  if (!pkg.isActive) throw httpError(`El paquete ${pkg.name} no está a la venta`);
+
+  return {
+    item_type: POS_LINE_TYPES.PACKAGE,
+    package_id: pkg.id,
+    description: line.description || `Bono ${pkg.name}`,
+    quantity: 1,
+    unit_price: line.unit_price != null && line.unit_price !== "" ? Number(line.unit_price) : pkg.priceDecimal,
+    discount: Number(line.discount) || 0,
+  };
+}
+
+function resolveGiftCardLine({ line }) {
+  const amount = Number(line.unit_price);
+  if (!(amount > 0)) throw httpError("Indicá el monto de la gift card");
+  if (line.design && !GIFT_CARD_DESIGNS[line.design]) throw httpError("Diseño de gift card inválido");
+
+  return {
+    item_type: POS_LINE_TYPES.GIFT_CARD,
+    description: line.description || "Gift card",
+    quantity: 1,
+    unit_price: amount,
+    discount: Number(line.discount) || 0,
+    design: line.design || "classic",
+    recipient_name: line.recipient_name || null,
+    recipient_email: line.recipient_email || null,
+    message: line.message || null,
+    expires_at: line.expires_at || null,
+  };
+}
+
+/**
+ * Renueva (o da de alta) la suscripción del cliente al plan cobrado en caja:
+ * queda autorizada y el próximo vencimiento se corre la duración del plan.
+ */
+async function renewMembership(conn, { tenantId, customerId, line, saleId }) {
+  const months = Math.max(1, line.duration_months || 1);
+  const [[subscription]] = await conn.query(
+    `SELECT id FROM customer_subscription
+      WHERE tenant_id = ? AND customer_id = ? AND membership_plan_id = ?
+      ORDER BY (status = 'authorized') DESC, created_at DESC
+      LIMIT 1
+      FOR UPDATE`,
+    [tenantId, customerId, line.membership_plan_id]
+  );
+
+  if (subscription) {
+    await conn.query(
+      `UPDATE customer_subscription
+          SET status = 'authorized',
+              last_payment_at = NOW(),
+              next_charge_at = DATE_ADD(GREATEST(COALESCE(next_charge_at, NOW()), NOW()), INTERVAL ? MONTH),
+              updated_at = NOW()
+        WHERE id = ?`,
+      [months, subscription.id]
+    );
+    return subscription.id;
+  }
+
+  const [result] = await conn.query(
+    `INSERT INTO customer_subscription
+       (tenant_id, customer_id, membership_plan_id, reason, amount_decimal, currency,
+        frequency, frequency_type, status, next_charge_at, last_payment_at,
+        external_reference, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 'ARS', ?, 'months', 'authorized',
+             DATE_ADD(NOW(), INTERVAL ? MONTH), NOW(), ?, NOW(), NOW())`,
+    [
+      tenantId,
+      customerId,
+      line.membership_plan_id,
+      line.description,
+      roundMoney(line.unit_price - (line.discount || 0)),
+      months,
+      months,
+      `pos:${tenantId}:sale:${saleId}`,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Registra una venta de mostrador completa dentro de la transacción `conn`.
+ * Devuelve el id de la venta.
+ */
+export async function createPosSale(conn, {
+  tenantId,
+  branchId = null,
+  customerId = null,
+  userId = null,
+  lines,
+  payments,
+  notes = null,
+}) {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw httpError("El ticket debe tener al menos un ítem");
+  }
+
+  const resolved = [];
+  const requestedByProduct = new Map();
+  let saleCustomerId = customerId ? Number(customerId) : null;
+  for (const line of lines) {
+    const type = line.item_type || line.type;
+    let item;
+    if (type === POS_LINE_TYPES.PRODUCT) {
+      item = await resolveProductLine(conn, {
+        tenantId,
+        branchId,
+        line,
+        alreadyRequested: requestedByProduct.get(Number(line.product_id)) || 0,
+      });
+      requestedByProduct.set(item.product_id, (requestedByProduct.get(item.product_id) || 0) + item.quantity);
+    } else if (type === POS_LINE_TYPES.SERVICE) {
+      item = await resolveServiceLine(conn, { tenantId, line });
+      saleCustomerId = saleCustomerId || item.customer_id || null;
+    } else if (type === POS_LINE_TYPES.MEMBERSHIP) {
+      item = await resolveMembershipLine(conn, { tenantId, customerId: saleCustomerId, line });
+    } else if (type === POS_LINE_TYPES.PACKAGE) {
+      item = await resolvePackageLine(conn, { tenantId, customerId: saleCustomerId, line });
+    } else if (type === POS_LINE_TYPES.GIFT_CARD) {
+      item = resolveGiftCardLine({ line });
+    } else {
+      throw httpError(`Tipo de ítem inválido: ${type || "(vacío)"}`);
+    }
+    if (!(item.unit_price >= 0) || !Number.isFinite(item.unit_price)) {
+      throw httpError(`Precio inválido para ${item.description}`);
+    }
+    item.alicuota_iva = line.alicuota_iva != null && line.alicuota_iva !== ""
+      ? Number(line.alicuota_iva)
+      : DEFAULT_IVA_RATE;
+    obtenerIdAlicuota(item.alicuota_iva);
+    resolved.push(item);
+  }
+
+  const normalizedPayments = normalizePayments(payments);
+  const totals = computeSaleTotals(resolved, normalizedPayments);
+
+  const [saleResult] = await conn.query(
+    `INSERT INTO pos_sale
+       (tenant_id, branch_id, customer_id, user_id, status, subtotal, discount_total,
+        total, paid_total, change_amount, notes)
+     VALUES (?, ?, ?, ?, 'completed', ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      branchId,
+      saleCustomerId,
+      userId,
+      totals.subtotal,
+      totals.discount_total,
+      totals.total,
+      totals.paid_total,
+      totals.change,
+      notes ? String(notes).slice(0, 500) : null,
+    ]
+  );
+  const saleId = saleResult.insertId;
+
+  let productsTotal = 0;
+  for (const item of resolved) {
+    const gross = roundMoney(item.unit_price * item.quantity);
+    const discount = roundMoney(Math.min(gross, Math.max(0, item.discount || 0)));
+    let movementId = null;
+    let subscriptionId = null;
+    let customerPackageId = null;
+    let giftCardId = null;
+
+    if (item.item_type === POS_LINE_TYPES.PRODUCT) {
+      productsTotal += gross - discount;
+      movementId = await recordStockMovement({
+        productId: item.product_id,
+        branchId,
+        tenantId,
+        type: "sale",
+        quantity: item.quantity,
+        notes: `Venta mostrador #${saleId}`,
+        referenceType: "pos_sale",
+        referenceId: saleId,
+        userId,
+      }, conn);
+    } else if (item.item_type === POS_LINE_TYPES.SERVICE && item.appointment_id) {
+      await conn.query(
+        `UPDATE appointment SET status = 'completed' WHERE id = ? AND tenant_id = ?`,
+        [item.appointment_id, tenantId]
+      );
+      await syncPackageUsage(conn, { tenantId, appointmentId: item.appointment_id, status: "completed" });
+      await syncLoyaltyForAppointment(conn, { tenantId, appointmentId: item.appointment_id, status: "completed" });
+    } else if (item.item_type === POS_LINE_TYPES.MEMBERSHIP) {
+      subscriptionId = await renewMembership(conn, {
+        tenantId,
+        customerId: saleCustomerId,
+        line: item,
+        saleId,
+      });
+    } else if (item.item_type === POS_LINE_TYPES.PACKAGE) {
+      customerPackageId = await issueCustomerPackage(conn, {
+        tenantId,
+        packageId: item.package_id,
+        customerId: saleCustomerId,
+        source: "pos",
+        priceDecimal: roundMoney(gross - discount),
+        posSaleId: saleId,
+      });
+    } else if (item.item_type === POS_LINE_TYPES.GIFT_CARD) {
+      const card = await issueGiftCard(conn, {
+        tenantId,
+        amount: roundMoney(gross - discount),
+        expiresAt: item.expires_at,
+        design: item.design,
+        purchaserCustomerId: saleCustomerId,
+        recipientName: item.recipient_name,
+        recipientEmail: item.recipient_email,
+        message: item.message,
+        source: "pos",
+        posSaleId: saleId,
+        userId,
+      });
+      giftCardId = card.id;
+      item.description = `${item.description} ${card.code}`;
+    }
+
+    await conn.query(
+      `INSERT INTO pos_sale_item
+         (tenant_id, sale_id, item_type, product_id, service_id, appointment_id,
+          membership_plan_id, subscription_id, package_id, customer_package_id, gift_card_id, description,
+          quantity, unit_price, discount, total, alicuota_iva, stock_movement_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        saleId,
+        item.item_type,
+        item.product_id || null,
+        item.service_id || null,
+        item.appointment_id || null,
+        item.membership_plan_id || null,
+        subscriptionId,
+        item.package_id || null,
+        customerPackageId,
+        giftCardId,
+        String(item.description).slice(0, 255),
+        item.quantity,
+        roundMoney(item.unit_price),
+        discount,
+        roundMoney(gross - discount),
+        item.alicuota_iva,
+        movementId,
+      ]
+    );
+  }
+
+  // Las compras de productos suman puntos al cliente de la venta
+  await awardPurchasePoints(conn, { tenantId, customerId: saleCustomerId, saleId, amount: productsTotal });
+
+  const registerPayments = netPaymentsForRegister(normalizedPayments, totals.change);
+  for (const payment of registerPayments) {
+    if (payment.method === "gift_card") {
+      await redeemGiftCard(conn, {
+        tenantId,
+        code: payment.reference,
+        amount: payment.amount,
+        referenceType: "pos_sale",
+        referenceId: saleId,
+        description: `Venta mostrador #${saleId}`,
+        userId,
+      });
+    }
+    await conn.query(
+      `INSERT INTO pos_sale_payment (tenant_id, sale_id, method, amount, reference)
+       VALUES (?, ?, ?, ?, ?)`,
+      [tenantId, saleId, payment.method, payment.amount, payment.reference]
+    );
+  }
+
+  await addTransactionsToOpenClosure(conn, {
+    tenantId,
+    branchId,
+    date: toDateOnly(new Date()),
+    transactions: registerPayments.map((payment) => ({
+      transaction_type: "income",
+      payment_method: payment.method,
+      amount: payment.amount,
+      description: `Venta mostrador #${saleId} (${PAYMENT_METHOD_LABELS[payment.method]})`,
+      reference_id: saleId,
+      reference_type: "pos_sale",
+    })),
+  });
+
+  return saleId;
+}
+
+export async function getPosSale(conn, tenantId, saleId) {
+  await ensurePosSchema();
+  const [[sale]] = await conn.query(
+    `SELECT ps.*, c.name AS customer_name, tb.name AS branch_name, u.email AS user_email,
+            i.cae AS invoice_cae, i.punto_venta AS invoice_punto_venta,
+            i.numero_comprobante AS invoice_numero, i.tipo_comprobante AS invoice_tipo
+       FROM pos_sale ps
+       LEFT JOIN customer c ON c.id = ps.customer_id AND c.tenant_id = ps.tenant_id
+       LEFT JOIN tenant_branch tb ON tb.id = ps.branch_id
+       LEFT JOIN users u ON u.id = ps.user_id
+       LEFT JOIN invoice i ON i.id = ps.invoice_id AND i.tenant_id = ps.tenant_id
+      WHERE ps.id = ? AND ps.tenant_id = ?`,
+    [saleId, tenantId]
+  );
+  if (!sale) return null;
+
+  const [items] = await conn.query(
+    `SELECT * FROM pos_sale_item WHERE sale_id = ? AND tenant_id = ? ORDER BY id ASC`,
+    [saleId, tenantId]
+  );
+  const [payments] = await conn.query(
+    `SELECT * FROM pos_sale_payment WHERE sale_id = ? AND tenant_id = ? ORDER BY id ASC`,
+    [saleId, tenantId]
+  );
+  return { ...sale, items, payments };
+}
+
+export async function listPosSales({ tenantId, branchId = null, from = null, to = null, limit = 100 }) {
+  await ensurePosSchema();
+  const params = [tenantId];
+  let where = "ps.tenant_id = ?";
+  if (branchId) {
+    where += " AND ps.branch_id = ?";
+    params.push(branchId);
+  }
+  if (from) {
+    where += " AND ps.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND ps.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  params.push(Math.min(500, Math.max(1, Number(limit) || 100)));
+
+  const [rows] = await pool.query(
+    `SELECT ps.id, ps.branch_id, tb.name AS branch_name, ps.customer_id, c.name AS customer_name,
+            ps.total, ps.change_amount, ps.status, ps.invoice_id, ps.created_at,
+            (SELECT GROUP_CONCAT(DISTINCT pp.method) FROM pos_sale_payment pp WHERE pp.sale_id = ps.id) AS payment_methods,
+            (SELECT COUNT(*) FROM pos_sale_item pi WHERE pi.sale_id = ps.id) AS item_count
+       FROM pos_sale ps
+       LEFT JOIN customer c ON c.id = ps.customer_id AND c.tenant_id = ps.tenant_id
+       LEFT JOIN tenant_branch tb ON tb.id = ps.branch_id
+      WHERE ${where}
+      ORDER BY ps.created_at DESC, ps.id DESC
+      LIMIT ?`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Items de factura a partir de las líneas del ticket. Los precios del ticket
+ * incluyen IVA (con la alícuota de cada línea); a ARCA se informa el neto por ítem.
+ */
+export function buildInvoiceItems(items, { ivaRate = DEFAULT_IVA_RATE, includesIva = true } = {}) {
+  return items.map((item) => {
+    const quantity = Number(item.quantity) || 1;
+    const lineTotal = Number(item.total) || 0;
+    const rate = includesIva ? Number(item.alicuota_iva ?? ivaRate) : 0;
+    return {
+      descripcion: item.description,
+      cantidad: quantity,
+      precio_unitario: roundMoney(lineTotal / quantity / (1 + rate / 100)),
+      alicuota_iva: rate,
+    };
+  });
+}
+
+/**
+ * Desglose de IVA de la venta a partir de los totales cobrados de cada línea: el neto de
+ * cada alícuota sale del total bruto del grupo y el redondeo queda en su IVA, así el total
+ * del comprobante coincide siempre con lo cobrado (mismo formato que calcularIVAItems).
+ */
+export function buildInvoiceTotals(items, { ivaRate = DEFAULT_IVA_RATE } = {}) {
+  const invoiceItems = buildInvoiceItems(items, { ivaRate });
+  const byRate = new Map();
+  const detail = items.map((item, index) => {
+    const invoiceItem = invoiceItems[index];
+    const rate = invoiceItem.alicuota_iva;
+    const id = obtenerIdAlicuota(rate);
+    const lineTotal = roundMoney(Number(item.total) || 0);
+    const lineNet = roundMoney(lineTotal / (1 + rate / 100));
+
+    const group = byRate.get(id) || { id, alicuota: rate, gross: 0 };
+    group.gross = roundMoney(group.gross + lineTotal);
+    byRate.set(id, group);
+
+    return {
+      ...invoiceItem,
+      importe_neto: lineNet,
+      importe_iva: roundMoney(lineTotal - lineNet),
+      importe_total: lineTotal,
+    };
+  });
+
+  const alicuotas = [...byRate.values()]
+    .map(({ id, alicuota, gross }) => {
+      const base = roundMoney(gross / (1 + alicuota / 100));
+      return { id, alicuota, base_imponible: base, importe: roundMoney(gross - base) };
+    })
+    .sort((a, b) => a.alicuota - b.alicuota);
+
+  const importeNeto = roundMoney(alicuotas.reduce((acc, a) => acc + a.base_imponible, 0));
+  const importeIva = roundMoney(alicuotas.reduce((acc, a) => acc + a.importe, 0));
+  return {
+    items: detail,
+    alicuotas,
+    importe_neto: importeNeto,
+    importe_iva: importeIva,
+    importe_total: roundMoney(importeNeto + importeIva),
+  };
+}
+
+/**
+ * Líneas que van a la factura. La venta de una gift card no es una venta gravada
+ * (es un saldo a favor del cliente): se factura lo que se compre al canjearla.
+ */
+export function invoiceableItems(items = []) {
+  return items.filter((item) => item.item_type !== POS_LINE_TYPES.GIFT_CARD);
+}
+
+/**
+ * Marca la venta como "facturándose" para que dos pedidos simultáneos no pidan
+ * dos CAE. Una marca de más de 10 minutos se considera abandonada.
+ */
+async function claimSaleForInvoicing(tenantId, saleId) {
+  const [result] = await pool.query(
+    `UPDATE pos_sale SET invoicing_at = NOW()
+      WHERE id = ? AND tenant_id = ? AND invoice_id IS NULL
+        AND (invoicing_at IS NULL OR invoicing_at < DATE_SUB(NOW(), INTERVAL 10 MINUTE))`,
+    [saleId, tenantId]
+  );
+  if (!result.affectedRows) {
+    throw httpError("La venta ya fue facturada o se está facturando", 409);
+  }
+}
+
+async function releaseSaleInvoicing(tenantId, saleId) {
+  await pool
+    .query(`UPDATE pos_sale SET invoicing_at = NULL WHERE id = ? AND tenant_id = ? AND invoice_id IS NULL`, [
+      saleId,
+      tenantId,
+    ])
+    .catch((error) => console.error("[POS] No se pudo liberar la venta para facturar:", error.message));
+}
+
+/**
+ * Emite la factura ARCA de una venta y la vincula. La venta ya está registrada:
+ * si ARCA falla, la venta queda sin factura y se puede reintentar.
+ */
+export async function invoicePosSale({ tenantId, saleId, tipoComprobante = COMPROBANTE_TIPOS.FACTURA_B }) {
+  await ensurePosSchema();
+  const sale = await getPosSale(pool, tenantId, saleId);
+  if (!sale) throw httpError("Venta no encontrada", 404);
+  if (sale.invoice_id) throw httpError("La venta ya fue facturada", 409);
+
+  const tipo = Number(tipoComprobante);
+  if (![COMPROBANTE_TIPOS.FACTURA_A, COMPROBANTE_TIPOS.FACTURA_B, COMPROBANTE_TIPOS.FACTURA_C].includes(tipo)) {
+    throw httpError("Tipo de comprobante inválido");
+  }
+  const items = invoiceableItems(sale.items);
+  if (!items.length) {
+    throw httpError("La venta sólo tiene gift cards: se factura lo que se compre al canjearlas");
+  }
+
+  await claimSaleForInvoicing(tenantId, saleId);
+  let facturaData;
+  try {
+    facturaData = await requestSaleInvoice({ tenantId, saleId, sale, items, tipo });
+  } catch (error) {
+    await releaseSaleInvoicing(tenantId, saleId);
+    throw error;
+  }
+  return saveSaleInvoice({ tenantId, saleId, sale, tipo, ...facturaData });
+}
+
+// Receptor, totales e IVA de la venta y pedido del CAE a ARCA
+async function requestSaleInvoice({ tenantId, saleId, sale, items, tipo }) {
+  let cliente = {
+    razon_social: "Consumidor Final",
+    documento: "0",
+    tipo_doc: DOCUMENTO_TIPOS.CONSUMIDOR_FINAL,
+    condicion_iva: CONDICIONES_IVA.CONSUMIDOR_FINAL,
+    cuit: "",
+    domicilio: "",
+  };
+  if (sale.customer_id) {
+    const [[customer]] = await pool.query(
+      `SELECT * FROM customer WHERE id = ? AND tenant_id = ?`,
+      [sale.customer_id, tenantId]
+    );
+    const cuit = String(customer?.cuit || "").replace(/[^0-9]/g, "");
+    const dni = String(customer?.dni || "").replace(/[^0-9]/g, "");
+    if (customer) {
+      cliente = {
+        razon_social: customer.name || customer.full_name || cliente.razon_social,
+        documento: cuit || dni || "0",
+        tipo_doc: cuit ? DOCUMENTO_TIPOS.CUIT : dni ? DOCUMENTO_TIPOS.DNI : DOCUMENTO_TIPOS.CONSUMIDOR_FINAL,
+        condicion_iva: customer.condicion_iva || CONDICIONES_IVA.CONSUMIDOR_FINAL,
+        cuit,
+        domicilio: customer.address || "",
+      };
+    }
+  }
+  if (tipo === COMPROBANTE_TIPOS.FACTURA_A && cliente.cuit.length !== 11) {
+    throw httpError("Para emitir Factura A el cliente necesita CUIT válido (11 dígitos)");
+  }
+
+  const includesIva = tipo !== COMPROBANTE_TIPOS.FACTURA_C;
+  const invoiceItems = buildInvoiceItems(items, { includesIva });
+  // Factura C no discrimina IVA; en A/B los totales salen de lo cobrado en cada alícuota
+  const resumenIva = includesIva ? buildInvoiceTotals(items) : null;
+  const neto = resumenIva
+    ? resumenIva.importe_neto
+    : roundMoney(items.reduce((acc, item) => acc + (Number(item.total) || 0), 0));
+  const iva = resumenIva ? resumenIva.importe_iva : 0;
+  const total = resumenIva ? resumenIva.importe_total : neto;
+  const hasProducts = items.some((item) => item.item_type === POS_LINE_TYPES.PRODUCT);
+  const hasServices = items.some((item) => item.item_type !== POS_LINE_TYPES.PRODUCT);
+  const concepto = hasProducts && hasServices
+    ? CONCEPTOS.PRODUCTOS_Y_SERVICIOS
+    : hasProducts ? CONCEPTOS.PRODUCTOS : CONCEPTOS.SERVICIOS;
+
+  const facturaData = await generarFactura({
+    tenantId,
+    tipo_comprobante: tipo,
+    concepto,
+    cuit_cliente: cliente.cuit,
+    tipo_doc_cliente: cliente.tipo_doc,
+    doc_cliente: cliente.documento,
+    razon_social: cliente.razon_social,
+    domicilio: cliente.domicilio,
+    condicion_iva: cliente.condicion_iva,
+    items: invoiceItems,
+    importe_neto: neto,
+    importe_iva: iva,
+    importe_total: total,
+    resumen_iva: resumenIva,
+    referencia_interna: `pos_sale:${tenantId}:${saleId}`,
+  });
+  if (!facturaData?.cae) {
+    throw httpError(facturaData?.error || "ARCA no autorizó la factura", 502);
+  }
+  return { facturaData, invoiceItems, neto, iva, total };
+}
+
+// Con el CAE ya emitido la marca de facturación no se libera aunque falle el guardado
+async function saveSaleInvoice({ tenantId, saleId, sale, tipo, facturaData, invoiceItems, neto, iva, total }) {
+  const puntoVenta = Math.max(1, Number(facturaData.punto_venta) || 1);
+  const numero = Number(facturaData.numero) || 1;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [invoiceResult] = await conn.query(
+      `INSERT INTO invoice (
+        tenant_id, appointment_id, customer_id, tipo_comprobante, punto_venta,
+        numero_comprobante, cae, vto_cae, fecha_emision,
+        importe_neto, importe_iva, importe_total,
+        items, notes, pdf_url, xml_url, status, arca_hash
+      ) VALUES (?, NULL, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, 'approved', ?)`,
+      [
+        tenantId,
+        sale.customer_id || null,
+        tipo,
+        puntoVenta,
+        numero,
+        facturaData.cae,
+        afipDateToSql(facturaData.vto_cae),
+        neto,
+        iva,
+        total,
+        JSON.stringify(facturaData.items || invoiceItems),
+        `Venta mostrador #${saleId}`,
+        facturaData.pdf_url || null,
+        facturaData.xml_url || null,
+        facturaData.hash || null,
+      ]
+    );
+    await conn.query(
+      `UPDATE pos_sale SET invoice_id = ?, invoicing_at = NULL WHERE id = ? AND tenant_id = ?`,
+      [invoiceResult.insertId, saleId, tenantId]
+    );
+    await conn.commit();
+    return { invoice_id: invoiceResult.insertId, cae: facturaData.cae, punto_venta: puntoVenta, numero };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
@@ -0,0 +1,831 @@
+// src/services/promoCodes.js
+// Códigos promocionales / cupones de descuento: porcentaje o monto fijo, limitados
+// a servicios, planes de membresía o clases, con vigencia por fechas, topes de uso
+// (totales y por cliente) y opción "sólo primera visita". Se aplican al reservar un
+// turno, inscribirse a una clase o suscribirse a una membresía desde el panel, la app,
+// el widget de reservas o el bot de WhatsApp. Cada uso queda registrado para medir
+// campañas de CRM. Los códigos personales (customer_id) sólo los puede usar ese
+// cliente; se emiten, por ejemplo, al canjear puntos del programa de fidelización.
+import crypto from "node:crypto";
+import { pool } from "../db.js";
+
+export const PROMO_DISCOUNT_TYPES = ["percent", "fixed"];
+
+export const PROMO_TARGET_TYPES = {
+  SERVICE: "service",
+  MEMBERSHIP_PLAN: "membership_plan",
+  CLASS: "class",
+};
+
+export const PROMO_CHANNELS = ["admin", "widget", "app", "whatsapp"];
+
+export const PROMO_REDEMPTION_STATUS = {
+  APPLIED: "applied",
+  VOID: "void",
+};
+
+const TARGET_LABELS = {
+  [PROMO_TARGET_TYPES.SERVICE]: "este servicio",
+  [PROMO_TARGET_TYPES.MEMBERSHIP_PLAN]: "este plan",
+  [PROMO_TARGET_TYPES.CLASS]: "esta clase",
+};
+
+let schemaReady = null;
+
+export function ensurePromoSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS promo_code (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          code VARCHAR(32) NOT NULL,
+          description VARCHAR(255) NULL,
+          discount_type VARCHAR(10) NOT NULL DEFAULT 'percent',
+          discount_value DECIMAL(12,2) NOT NULL,
+          starts_at DATE NULL,
+          ends_at DATE NULL,
+          max_uses_total INT NULL,
+          max_uses_per_customer INT NULL,
+          first_visit_only TINYINT(1) NOT NULL DEFAULT 0,
+          campaign VARCHAR(80) NULL,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_by INT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          UNIQUE KEY uq_promo_code_code (tenant_id, code)
+        )`
+      );
+      // target_id = 0 significa "todos los de ese tipo"; sin filas el código aplica a todo
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS promo_code_target (
+          tenant_id INT NOT NULL,
+          promo_code_id INT NOT NULL,
+          target_type VARCHAR(20) NOT NULL,
+          target_id INT NOT NULL DEFAULT 0,
+          PRIMARY KEY (promo_code_id, target_type, target_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS promo_code_redemption (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          promo_code_id INT NOT NULL,
+          customer_id INT NULL,
+          channel VARCHAR(20) NOT NULL DEFAULT 'admin',
+          target_type VARCHAR(20) NOT NULL,
+          target_id INT NULL,
+          appointment_id INT NULL,
+          subscription_id INT NULL,
+          class_enrollment_id INT NULL,
+          original_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+          discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+          status VARCHAR(10) NOT NULL DEFAULT 'applied',
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          voided_at DATETIME NULL,
+          KEY idx_promo_redemption_code (tenant_id, promo_code_id, status),
+          KEY idx_promo_redemption_customer (tenant_id, customer_id),
+          KEY idx_promo_redemption_appt (appointment_id)
+        )`
+      );
+      const alters = [
+        `ALTER TABLE appointment ADD COLUMN promo_code_id INT NULL`,
+        `ALTER TABLE appointment ADD COLUMN discount_decimal DECIMAL(12,2) NOT NULL DEFAULT 0`,
+        `ALTER TABLE class_enrollment ADD COLUMN promo_code_id INT NULL`,
+        `ALTER TABLE class_enrollment ADD COLUMN discount_decimal DECIMAL(12,2) NOT NULL DEFAULT 0`,
+        `ALTER TABLE customer_subscription ADD COLUMN promo_code_id INT NULL`,
+        `ALTER TABLE customer_subscription ADD COLUMN first_payment_discount DECIMAL(12,2) NOT NULL DEFAULT 0`,
+        `ALTER TABLE promo_code ADD COLUMN customer_id INT NULL`,
+      ];
+      for (const sql of alters) {
+        try {
+          await db.query(sql);
+        } catch (error) {
+          if (error.code !== "ER_DUP_FIELDNAME") throw error;
+        }
+      }
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function promoError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function toDateOnly(value) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Normaliza un código tipeado ("  verano 25 " → "VERANO25")
+ */
+export function normalizePromoCode(code) {
+  return String(code || "").toUpperCase().replace(/\s+/g, "").replace(/[^A-Z0-9_-]/g, "");
+}
+
+/**
+ * Normaliza los destinos de un código. Un id vacío o 0 representa todos los de ese tipo.
+ * @param {Array<{ type: string, id?: number|null }>} targets
+ */
+export function normalizePromoTargets(targets) {
+  if (!Array.isArray(targets)) return [];
+  const types = Object.values(PROMO_TARGET_TYPES);
+  const seen = new Map();
+  for (const target of targets) {
+    const type = String(target?.type || "");
+    if (!types.includes(type)) throw promoError("Tipo de destino inválido");
+    const id = target?.id ? Number(target.id) : 0;
+    if (!Number.isInteger(id) || id < 0) throw promoError("Destino inválido");
+    seen.set(`${type}:${id}`, { type, id });
+  }
+  // "Todos los servicios" vuelve redundantes los servicios puntuales
+  const list = [...seen.values()];
+  return list.filter((t) => t.id === 0 || !seen.has(`${t.type}:0`));
+}
+
+/**
+ * Indica si el código aplica al ítem ({ type, id }) según sus destinos
+ */
+export function promoMatchesTarget(targets, target) {
+  if (!targets?.length) return true;
+  return targets.some(
+    (t) =>
+      (t.type ?? t.target_type) === target.type &&
+      (Number(t.id ?? t.target_id) === 0 || Number(t.id ?? t.target_id) === Number(target.id))
+  );
+}
+
+/**
+ * Importe del descuento sobre `amount`; nunca supera el importe
+ */
+export function computePromoDiscount(promo, amount) {
+  const base = roundMoney(amount);
+  if (!(base > 0)) return 0;
+  const value = Number(promo.discount_value);
+  const discount = promo.discount_type === "fixed" ? value : (base * value) / 100;
+  return Math.min(base, roundMoney(discount));
+}
+
+/**
+ * Valida un código contra el ítem, la fecha y los usos registrados y devuelve el descuento.
+ * `isFirstVisit` en null (cliente todavía no identificado) no bloquea: se vuelve a
+ * validar al aplicar el código.
+ * @param {Object} promo - Fila de promo_code
+ * @param {Object} ctx
+ * @param {Array} ctx.targets
+ * @param {{ type: string, id: number }} ctx.target
+ * @param {number} ctx.amount
+ * @param {string} [ctx.today] - YYYY-MM-DD
+ * @param {{ total: number, customer: number }} [ctx.usage]
+ * @param {boolean|null} [ctx.isFirstVisit]
+ * @param {number|null} [ctx.customerId] - requerido para validar códigos personales al aplicarlos
+ */
+export function evaluatePromo(promo, {
+  targets = [],
+  target,
+  amount,
+  today = toDateOnly(new Date()),
+  usage = {},
+  isFirstVisit = null,
+  customerId = null,
+}) {
+  const code = promo.code;
+  if (!promo.is_active) throw promoError(`El código ${code} no está vigente`);
+  if (promo.customer_id && customerId && Number(promo.customer_id) !== Number(customerId)) {
+    throw promoError(`El código ${code} es personal y pertenece a otro cliente`);
+  }
+  if (promo.starts_at && String(promo.starts_at).slice(0, 10) > today) {
+    throw promoError(`El código ${code} todavía no está vigente`);
+  }
+  if (promo.ends_at && String(promo.ends_at).slice(0, 10) < today) throw promoError(`El código ${code} venció`);
+  if (!promoMatchesTarget(targets, target)) {
+    throw promoError(`El código ${code} no aplica a ${TARGET_LABELS[target.type] || "este ítem"}`);
+  }
+  if (promo.max_uses_total && Number(usage.total || 0) >= Number(promo.max_uses_total)) {
+    throw promoError(`El código ${code} ya alcanzó su límite de usos`);
+  }
+  if (promo.max_uses_per_customer && Number(usage.customer || 0) >= Number(promo.max_uses_per_customer)) {
+    throw promoError(`Ya usaste el código ${code} la cantidad de veces permitida`);
+  }
+  if (promo.first_visit_only && isFirstVisit === false) {
+    throw promoError(`El código ${code} es sólo para la primera visita`);
+  }
+
+  const originalAmount = roundMoney(amount);
+  if (!(originalAmount > 0)) throw promoError(`El código ${code} no aplica a ítems sin precio`);
+  const discount = computePromoDiscount(promo, originalAmount);
+  return { originalAmount, discount, finalAmount: roundMoney(originalAmount - discount) };
+}
+
+/* =========================
+   Consultas internas
+========================= */
+
+async function findPromo(db, tenantId, code, { forUpdate = false } = {}) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) throw promoError("Ingresá un código");
+  const [[row]] = await db.query(
+    `SELECT * FROM promo_code WHERE tenant_id = ? AND code = ? LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, normalized]
+  );
+  if (!row) throw promoError(`El código ${normalized} no existe`, 404);
+  return row;
+}
+
+async function loadTargets(db, tenantId, promoIds) {
+  if (!promoIds.length) return new Map();
+  const [rows] = await db.query(
+    `SELECT promo_code_id, target_type, target_id FROM promo_code_target
+      WHERE tenant_id = ? AND promo_code_id IN (?)`,
+    [tenantId, promoIds]
+  );
+  const map = new Map();
+  for (const row of rows) {
+    const list = map.get(Number(row.promo_code_id)) || [];
+    list.push({ type: row.target_type, id: Number(row.target_id) });
+    map.set(Number(row.promo_code_id), list);
+  }
+  return map;
+}
+
+async function countUsage(db, tenantId, promoId, customerId) {
+  const [[row]] = await db.query(
+    `SELECT COUNT(*) AS total,
+            COALESCE(SUM(customer_id = ?), 0) AS customer
+       FROM promo_code_redemption
+      WHERE tenant_id = ? AND promo_code_id = ? AND status = 'applied'`,
+    [customerId || 0, tenantId, promoId]
+  );
+  return { total: Number(row?.total || 0), customer: customerId ? Number(row?.customer || 0) : 0 };
+}
+
+/**
+ * Primera visita: el cliente no tiene turnos ni clases (no cancelados) además del que
+ * se está reservando
+ */
+async function isFirstVisit(db, tenantId, customerId, { excludeAppointmentId = null, excludeEnrollmentId = null } = {}) {
+  if (!customerId) return null;
+  const [[appt]] = await db.query(
+    `SELECT COUNT(*) AS n FROM appointment
+      WHERE tenant_id = ? AND customer_id = ? AND status <> 'cancelled' AND id <> ?`,
+    [tenantId, customerId, excludeAppointmentId || 0]
+  );
+  if (Number(appt?.n || 0) > 0) return false;
+  const [[enrollment]] = await db.query(
+    `SELECT COUNT(*) AS n FROM class_enrollment
+      WHERE tenant_id = ? AND customer_id = ? AND status IN ('reserved', 'attended') AND id <> ?`,
+    [tenantId, customerId, excludeEnrollmentId || 0]
+  );
+  return Number(enrollment?.n || 0) === 0;
+}
+
+/**
+ * Resuelve el ítem al que se aplica el código y su precio
+ */
+async function resolveTarget(db, tenantId, { serviceId = null, membershipPlanId = null, classSessionId = null }) {
+  if (serviceId) {
+    const [[service]] = await db.query(
+      `SELECT id, name, price_decimal FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      [serviceId, tenantId]
+    );
+    if (!service) throw promoError("Servicio no encontrado", 404);
+    return { type: PROMO_TARGET_TYPES.SERVICE, id: Number(service.id), name: service.name, amount: Number(service.price_decimal || 0) };
+  }
+  if (membershipPlanId) {
+    const [[plan]] = await db.query(
+      `SELECT id, name, price_decimal FROM membership_plan WHERE id = ? AND tenant_id = ? LIMIT 1`,
+      [membershipPlanId, tenantId]
+    );
+    if (!plan) throw promoError("Plan de membresía no encontrado", 404);
+    return { type: PROMO_TARGET_TYPES.MEMBERSHIP_PLAN, id: Number(plan.id), name: plan.name, amount: Number(plan.price_decimal || 0) };
+  }
+  if (classSessionId) {
+    const [[session]] = await db.query(
+      `SELECT cs.id, cs.template_id, cs.price_decimal, ct.name
+         FROM class_session cs
+         LEFT JOIN class_template ct ON ct.id = cs.template_id AND ct.tenant_id = cs.tenant_id
+        WHERE cs.id = ? AND cs.tenant_id = ? LIMIT 1`,
+      [classSessionId, tenantId]
+    );
+    if (!session) throw promoError("Clase no encontrada", 404);
+    // Las clases se filtran por plantilla; una clase suelta sólo entra en "todas las clases"
+    return {
+      type: PROMO_TARGET_TYPES.CLASS,
+      id: Number(session.template_id || 0),
+      name: session.name || "Clase",
+      amount: Number(session.price_decimal || 0),
+    };
+  }
+  throw promoError("Indicá el servicio, plan o clase al que se aplica el código");
+}
+
+/* =========================
+   Aplicación de códigos
+========================= */
+
+/**
+ * Calcula el descuento de un código para un servicio, plan o clase sin registrar el uso.
+ * @returns {Promise<{ promoCodeId, code, description, discountType, discountValue,
+ *   targetType, targetId, targetName, originalAmount, discount, finalAmount }>}
+ */
+export async function quotePromoCode(db = pool, tenantId, {
+  code,
+  customerId = null,
+  serviceId = null,
+  membershipPlanId = null,
+  classSessionId = null,
+  amount = null,
+  excludeAppointmentId = null,
+  excludeEnrollmentId = null,
+  forUpdate = false,
+}) {
+  await ensurePromoSchema();
+  const promo = await findPromo(db, tenantId, code, { forUpdate });
+  const target = await resolveTarget(db, tenantId, { serviceId, membershipPlanId, classSessionId });
+  const targets = (await loadTargets(db, tenantId, [promo.id])).get(Number(promo.id)) || [];
+  const usage = await countUsage(db, tenantId, promo.id, customerId);
+  const firstVisit = promo.first_visit_only
+    ? await isFirstVisit(db, tenantId, customerId, { excludeAppointmentId, excludeEnrollmentId })
+    : null;
+
+  const result = evaluatePromo(promo, {
+    targets,
+    target,
+    amount: amount ?? target.amount,
+    usage,
+    isFirstVisit: firstVisit,
+    customerId,
+  });
+  return {
+    promoCodeId: Number(promo.id),
+    code: promo.code,
+    description: promo.description || null,
+    discountType: promo.discount_type,
+    discountValue: Number(promo.discount_value),
+    targetType: target.type,
+    targetId: target.id,
+    targetName: target.name,
+    ...result,
+  };
+}
+
+/**
+ * Aplica un código a un turno, inscripción a clase o suscripción ya creados: vuelve
+ * a validarlo con el registro del código bloqueado (para respetar los topes), guarda
+ * el descuento en la entidad y registra el uso. Llamar dentro de la transacción que
+ * crea la entidad.
+ */
+export async function applyPromoCode(conn, {
+  tenantId,
+  code,
+  customerId,
+  channel = "admin",
+  appointmentId = null,
+  subscriptionId = null,
+  classEnrollmentId = null,
+  serviceId = null,
+  membershipPlanId = null,
+  classSessionId = null,
+  amount = null,
+}) {
+  if (!PROMO_CHANNELS.includes(channel)) throw promoError("Canal inválido");
+  if (!appointmentId && !subscriptionId && !classEnrollmentId) {
+    throw promoError("Indicá el turno, la inscripción o la suscripción");
+  }
+  const quote = await quotePromoCode(conn, tenantId, {
+    code,
+    customerId,
+    serviceId,
+    membershipPlanId,
+    classSessionId,
+    amount,
+    excludeAppointmentId: appointmentId,
+    excludeEnrollmentId: classEnrollmentId,
+    forUpdate: true,
+  });
+  if (appointmentId) {
+    await conn.query(
+      `UPDATE appointment SET promo_code_id = ?, discount_decimal = ? WHERE id = ? AND tenant_id = ?`,
+      [quote.promoCodeId, quote.discount, appointmentId, tenantId]
+    );
+  }
+  if (classEnrollmentId) {
+    await conn.query(
+      `UPDATE class_enrollment SET promo_code_id = ?, discount_decimal = ? WHERE id = ? AND tenant_id = ?`,
+      [quote.promoCodeId, quote.discount, classEnrollmentId, tenantId]
+    );
+  }
+  if (subscriptionId) {
+    await conn.query(
+      `UPDATE customer_subscription SET promo_code_id = ?, first_payment_discount = ? WHERE id = ? AND tenant_id = ?`,
+      [quote.promoCodeId, quote.discount, subscriptionId, tenantId]
+    );
+  }
+
+  await conn.query(
+    `INSERT INTO promo_code_redemption
+       (tenant_id, promo_code_id, customer_id, channel, target_type, target_id,
+        appointment_id, subscription_id, class_enrollment_id, original_amount, discount_amount, status)
+     VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      tenantId,
+      quote.promoCodeId,
+      customerId || null,
+      channel,
+      quote.targetType,
+      quote.targetId || null,
+      appointmentId,
+      subscriptionId,
+      classEnrollmentId,
+      quote.originalAmount,
+      quote.discount,
+      PROMO_REDEMPTION_STATUS.APPLIED,
+    ]
+  );
+  return quote;
+}
+
+/**
+ * Anula el uso del código de un turno, inscripción o suscripción (libera el tope)
+ */
+export async function voidPromoRedemption(conn, { tenantId, appointmentId = null, subscriptionId = null, classEnrollmentId = null }) {
+  await ensurePromoSchema();
+  const column = appointmentId ? "appointment_id" : subscriptionId ? "subscription_id" : "class_enrollment_id";
+  const id = appointmentId || subscriptionId || classEnrollmentId;
+  if (!id) return 0;
+  const [result] = await conn.query(
+    `UPDATE promo_code_redemption SET status = 'void', voided_at = NOW()
+      WHERE tenant_id = ? AND ${column} = ? AND status = 'applied'`,
+    [tenantId, id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Sincroniza el uso del código con el nuevo estado del turno: cancelarlo libera el uso
+ * y reactivarlo lo vuelve a contar.
+ */
+export async function syncPromoRedemption(conn, { tenantId, appointmentId, status }) {
+  if (!status) return 0;
+  if (status === "cancelled") return voidPromoRedemption(conn, { tenantId, appointmentId });
+  await ensurePromoSchema();
+  const [result] = await conn.query(
+    `UPDATE promo_code_redemption SET status = 'applied', voided_at = NULL
+      WHERE tenant_id = ? AND appointment_id = ? AND status = 'void'`,
+    [tenantId, appointmentId]
+  );
+  return result.affectedRows;
+}
+
+/* =========================
+   ABM de códigos
+========================= */
+
+function mapPromo(row, targets = []) {
+  return {
+    id: Number(row.id),
+    code: row.code,
+    description: row.description || null,
+    discountType: row.discount_type,
+    discountValue: Number(row.discount_value),
+    startsAt: row.starts_at ? String(row.starts_at).slice(0, 10) : null,
+    endsAt: row.ends_at ? String(row.ends_at).slice(0, 10) : null,
+    maxUsesTotal: row.max_uses_total != null ? Number(row.max_uses_total) : null,
+    maxUsesPerCustomer: row.max_uses_per_customer != null ? Number(row.max_uses_per_customer) : null,
+    firstVisitOnly: Boolean(row.first_visit_only),
+    campaign: row.campaign || null,
+    isActive: Boolean(row.is_active),
+    customerId: row.customer_id != null ? Number(row.customer_id) : null,
+    targets,
+    usesCount: Number(row.uses_count || 0),
+    discountTotal: Number(row.discount_total || 0),
+    createdAt: row.created_at,
+  };
+}
+
+function optionalPositiveInt(value, label) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw promoError(`${label} debe ser un entero mayor a 0`);
+  return n;
+}
+
+function optionalDate(value) {
+  if (!value) return null;
+  const date = String(value).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw promoError("Fecha inválida");
+  return date;
+}
+
+async function validatePromoInput(tenantId, input, current = null) {
+  const code = normalizePromoCode(input.code ?? current?.code);
+  if (code.length < 3 || code.length > 32) throw promoError("El código debe tener entre 3 y 32 caracteres");
+
+  const discountType = String(input.discountType ?? current?.discount_type ?? "percent");
+  if (!PROMO_DISCOUNT_TYPES.includes(discountType)) throw promoError("Tipo de descuento inválido");
+  const discountValue = Number(input.discountValue ?? current?.discount_value);
+  if (!Number.isFinite(discountValue) || discountValue <= 0) throw promoError("El descuento debe ser mayor a 0");
+  if (discountType === "percent" && discountValue > 100) throw promoError("El porcentaje no puede superar 100");
+
+  const startsAt = optionalDate(input.startsAt !== undefined ? input.startsAt : current?.starts_at);
+  const endsAt = optionalDate(input.endsAt !== undefined ? input.endsAt : current?.ends_at);
+  if (startsAt && endsAt && endsAt < startsAt) throw promoError("La fecha de fin es anterior a la de inicio");
+
+  const targets = normalizePromoTargets(input.targets ?? current?.targets ?? []);
+  const byType = {
+    [PROMO_TARGET_TYPES.SERVICE]: "service",
+    [PROMO_TARGET_TYPES.MEMBERSHIP_PLAN]: "membership_plan",
+    [PROMO_TARGET_TYPES.CLASS]: "class_template",
+  };
+  for (const [type, table] of Object.entries(byType)) {
+    const ids = targets.filter((t) => t.type === type && t.id > 0).map((t) => t.id);
+    if (!ids.length) continue;
+    const [rows] = await pool.query(`SELECT id FROM ${table} WHERE tenant_id = ? AND id IN (?)`, [tenantId, ids]);
+    if (rows.length !== ids.length) throw promoError("Alguno de los servicios, planes o clases no existe", 404);
+  }
+
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : current?.[column]);
+  return {
+    code,
+    description: String(pick("description", "description") || "").trim().slice(0, 255) || null,
+    discountType,
+    discountValue: roundMoney(discountValue),
+    startsAt,
+    endsAt,
+    maxUsesTotal: optionalPositiveInt(pick("maxUsesTotal", "max_uses_total"), "El tope de usos"),
+    maxUsesPerCustomer: optionalPositiveInt(pick("maxUsesPerCustomer", "max_uses_per_customer"), "El tope por cliente"),
+    firstVisitOnly: Boolean(pick("firstVisitOnly", "first_visit_only")),
+    campaign: String(pick("campaign", "campaign") || "").trim().slice(0, 80) || null,
+    isActive: input.isActive !== undefined ? Boolean(input.isActive) : current ? Boolean(current.is_active) : true,
+    targets,
+  };
+}
+
+async function saveTargets(conn, tenantId, promoId, targets) {
+  await conn.query(`DELETE FROM promo_code_target WHERE tenant_id = ? AND promo_code_id = ?`, [tenantId, promoId]);
+  for (const target of targets) {
+    await conn.query(
+      `INSERT INTO promo_code_target (tenant_id, promo_code_id, target_type, target_id) VALUES (?,?,?,?)`,
+      [tenantId, promoId, target.type, target.id]
+    );
+  }
+}
+
+/**
+ * Lista los códigos de campaña; los personales se consultan desde cada cliente
+ */
+export async function listPromoCodes(tenantId, { includeInactive = true } = {}) {
+  await ensurePromoSchema();
+  const [rows] = await pool.query(
+    `SELECT pc.*,
+            (SELECT COUNT(*) FROM promo_code_redemption r
+              WHERE r.promo_code_id = pc.id AND r.status = 'applied') AS uses_count,
+            (SELECT COALESCE(SUM(r.discount_amount), 0) FROM promo_code_redemption r
+              WHERE r.promo_code_id = pc.id AND r.status = 'applied') AS discount_total
+       FROM promo_code pc
+      WHERE pc.tenant_id = ? AND pc.customer_id IS NULL ${includeInactive ? "" : "AND pc.is_active = 1"}
+      ORDER BY pc.is_active DESC, pc.created_at DESC`,
+    [tenantId]
+  );
+  const targets = await loadTargets(pool, tenantId, rows.map((row) => row.id));
+  return rows.map((row) => mapPromo(row, targets.get(Number(row.id)) || []));
+}
+
+/**
+ * Código con sus usos (los más recientes primero)
+ */
+export async function getPromoCode(tenantId, id) {
+  await ensurePromoSchema();
+  const [[row]] = await pool.query(
+    `SELECT pc.*,
+            (SELECT COUNT(*) FROM promo_code_redemption r
+              WHERE r.promo_code_id = pc.id AND r.status = 'applied') AS uses_count,
+            (SELECT COALESCE(SUM(r.discount_amount), 0) FROM promo_code_redemption r
+              WHERE r.promo_code_id = pc.id AND r.status = 'applied') AS discount_total
+       FROM promo_code pc
+      WHERE pc.id = ? AND pc.tenant_id = ? LIMIT 1`,
+    [id, tenantId]
+  );
+  if (!row) return null;
+  const targets = await loadTargets(pool, tenantId, [row.id]);
+  const [redemptions] = await pool.query(
+    `SELECT r.*, c.name AS customer_name
+       FROM promo_code_redemption r
+       LEFT JOIN customer c ON c.id = r.customer_id AND c.tenant_id = r.tenant_id
+      WHERE r.tenant_id = ? AND r.promo_code_id = ?
+      ORDER BY r.created_at DESC
+      LIMIT 200`,
+    [tenantId, row.id]
+  );
+  return {
+    ...mapPromo(row, targets.get(Number(row.id)) || []),
+    redemptions: redemptions.map((r) => ({
+      id: r.id,
+      customerId: r.customer_id,
+      customerName: r.customer_name || null,
+      channel: r.channel,
+      targetType: r.target_type,
+      appointmentId: r.appointment_id,
+      subscriptionId: r.subscription_id,
+      classEnrollmentId: r.class_enrollment_id,
+      originalAmount: Number(r.original_amount),
+      discountAmount: Number(r.discount_amount),
+      status: r.status,
+      createdAt: r.created_at,
+    })),
+  };
+}
+
+export async function createPromoCode(tenantId, input = {}, { userId = null } = {}) {
+  await ensurePromoSchema();
+  const data = await validatePromoInput(tenantId, input);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO promo_code
+         (tenant_id, code, description, discount_type, discount_value, starts_at, ends_at,
+          max_uses_total, max_uses_per_customer, first_visit_only, campaign, is_active, created_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+      [
+        tenantId,
+        data.code,
+        data.description,
+        data.discountType,
+        data.discountValue,
+        data.startsAt,
+        data.endsAt,
+        data.maxUsesTotal,
+        data.maxUsesPerCustomer,
+        data.firstVisitOnly ? 1 : 0,
+        data.campaign,
+        data.isActive ? 1 : 0,
+        userId,
+      ]
+    );
+    await saveTargets(conn, tenantId, result.insertId, data.targets);
+    await conn.commit();
+    return getPromoCode(tenantId, result.insertId);
+  } catch (error) {
+    await conn.rollback();
+    if (error.code === "ER_DUP_ENTRY") throw promoError(`Ya existe el código ${data.code}`, 409);
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Los cambios no afectan los descuentos ya aplicados
+ */
+export async function updatePromoCode(tenantId, id, input = {}) {
+  await ensurePromoSchema();
+  const [[current]] = await pool.query(`SELECT * FROM promo_code WHERE id = ? AND tenant_id = ? LIMIT 1`, [id, tenantId]);
+  if (!current) throw promoError("Código no encontrado", 404);
+  current.targets = (await loadTargets(pool, tenantId, [current.id])).get(Number(current.id)) || [];
+  const data = await validatePromoInput(tenantId, input, current);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      `UPDATE promo_code
+          SET code = ?, description = ?, discount_type = ?, discount_value = ?, starts_at = ?, ends_at = ?,
+              max_uses_total = ?, max_uses_per_customer = ?, first_visit_only = ?, campaign = ?,
+              is_active = ?, updated_at = NOW()
+        WHERE id = ? AND tenant_id = ?`,
+      [
+        data.code,
+        data.description,
+        data.discountType,
+        data.discountValue,
+        data.startsAt,
+        data.endsAt,
+        data.maxUsesTotal,
+        data.maxUsesPerCustomer,
+        data.firstVisitOnly ? 1 : 0,
+        data.campaign,
+        data.isActive ? 1 : 0,
+        id,
+        tenantId,
+      ]
+    );
+    await saveTargets(conn, tenantId, id, data.targets);
+    await conn.commit();
+    return getPromoCode(tenantId, id);
+  } catch (error) {
+    await conn.rollback();
+    if (error.code === "ER_DUP_ENTRY") throw promoError(`Ya existe el código ${data.code}`, 409);
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function deactivatePromoCode(tenantId, id) {
+  await ensurePromoSchema();
+  const [result] = await pool.query(
+    `UPDATE promo_code SET is_active = 0, updated_at = NOW() WHERE id = ? AND tenant_id = ?`,
+    [id, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Sin 0/O ni 1/I para que el código se pueda dictar por teléfono
+const PERSONAL_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Emite un código de un solo uso para un cliente dentro de la transacción `conn`.
+ * @returns {Promise<{ id: number, code: string }>}
+ */
+export async function issuePersonalPromoCode(conn, {
+  tenantId,
+  customerId,
+  prefix = "PTS",
+  description = null,
+  discountType,
+  discountValue,
+  targets = [],
+  endsAt = null,
+  campaign = null,
+  userId = null,
+}) {
+  if (!customerId) throw promoError("Indicá el cliente");
+  if (!PROMO_DISCOUNT_TYPES.includes(discountType)) throw promoError("Tipo de descuento inválido");
+  const normalizedTargets = normalizePromoTargets(targets);
+
+  // El código es único por negocio; ante una colisión se genera otro
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let suffix = "";
+    for (let i = 0; i < 8; i++) suffix += PERSONAL_CODE_ALPHABET[crypto.randomInt(PERSONAL_CODE_ALPHABET.length)];
+    const code = `${prefix}-${suffix}`;
+    try {
+      const [result] = await conn.query(
+        `INSERT INTO promo_code
+           (tenant_id, code, description, discount_type, discount_value, ends_at,
+            max_uses_total, max_uses_per_customer, campaign, customer_id, created_by)
+         VALUES (?,?,?,?,?,?,1,1,?,?,?)`,
+        [
+          tenantId,
+          code,
+          description ? String(description).slice(0, 255) : null,
+          discountType,
+          roundMoney(discountValue),
+          optionalDate(endsAt),
+          campaign,
+          customerId,
+          userId,
+        ]
+      );
+      await saveTargets(conn, tenantId, result.insertId, normalizedTargets);
+      return { id: result.insertId, code };
+    } catch (error) {
+      if (error?.code !== "ER_DUP_ENTRY") throw error;
+    }
+  }
+  throw promoError("No se pudo generar un código único, intentá de nuevo", 500);
+}
+
+/**
+ * Clientes que usaron un código (o cualquier código de una campaña) en los últimos
+ * `days` días, para armar segmentos de CRM
+ */
+export async function listPromoCodeCustomers(tenantId, { code = null, campaign = null, days = 30, limit = 200 } = {}) {
+  await ensurePromoSchema();
+  const params = [tenantId, Number(days) || 30];
+  let filter = "";
+  if (code) {
+    filter = " AND pc.code = ?";
+    params.push(normalizePromoCode(code));
+  } else if (campaign) {
+    filter = " AND pc.campaign = ?";
+    params.push(String(campaign).trim());
+  }
+  params.push(Number(limit) || 200);
+  const [rows] = await pool.query(
+    `SELECT c.id, c.name, c.phone_e164 AS phone, MAX(r.created_at) AS last_used_at
+       FROM promo_code_redemption r
+       JOIN promo_code pc ON pc.id = r.promo_code_id AND pc.tenant_id = r.tenant_id
+       JOIN customer c ON c.id = r.customer_id AND c.tenant_id = r.tenant_id
+      WHERE r.tenant_id = ?
+        AND r.status = 'applied'
+        AND r.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)${filter}
+      GROUP BY c.id, c.name, c.phone_e164
+      ORDER BY last_used_at DESC
+      LIMIT ?`,
+    params
+  );
+  return rows;
+}
@@ -0,0 +1,531 @@
+// src/services/purchasing.js
+// Proveedores y órdenes de compra: recepción parcial con movimientos de stock,
+// actualización de costo y borradores generados desde las alertas de stock bajo.
+import { pool } from "../db.js";
+import { recordStockMovement, getActiveStockAlerts } from "./stockService.js";
+import { computeWeightedCost } from "./inventoryCosting.js";
+
+export { computeWeightedCost };
+
+export const PO_STATUS = {
+  DRAFT: "draft",
+  ORDERED: "ordered",
+  PARTIAL: "partial",
+  RECEIVED: "received",
+  CANCELLED: "cancelled",
+};
+
+// Órdenes que todavía pueden recibir mercadería
+export const OPEN_PO_STATUSES = [PO_STATUS.DRAFT, PO_STATUS.ORDERED, PO_STATUS.PARTIAL];
+
+const REORDER_ALERT_TYPES = ["low_stock", "out_of_stock"];
+
+let schemaReady = null;
+
+export function ensurePurchasingSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS supplier (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          name VARCHAR(160) NOT NULL,
+          tax_id VARCHAR(20) NULL,
+          contact_name VARCHAR(120) NULL,
+          email VARCHAR(160) NULL,
+          phone VARCHAR(40) NULL,
+          address VARCHAR(255) NULL,
+          payment_terms VARCHAR(120) NULL,
+          lead_time_days INT NULL,
+          notes TEXT NULL,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+          KEY idx_supplier_tenant (tenant_id, is_active)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS purchase_order (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          branch_id INT NOT NULL,
+          supplier_id INT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'draft',
+          expected_date DATE NULL,
+          notes TEXT NULL,
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          created_by INT NULL,
+          ordered_at DATETIME NULL,
+          received_at DATETIME NULL,
+          cancelled_at DATETIME NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+          KEY idx_po_tenant_status (tenant_id, status),
+          KEY idx_po_supplier (tenant_id, supplier_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS purchase_order_item (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          purchase_order_id INT NOT NULL,
+          product_id INT NOT NULL,
+          quantity_ordered DECIMAL(12,3) NOT NULL,
+          quantity_received DECIMAL(12,3) NOT NULL DEFAULT 0,
+          unit_cost DECIMAL(12,2) NULL,
+          notes VARCHAR(255) NULL,
+          KEY idx_poi_order (purchase_order_id),
+          KEY idx_poi_product (tenant_id, product_id)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE product ADD COLUMN supplier_id INT NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Estado de la orden según lo recibido en cada línea.
+ * Sólo aplica a órdenes ya emitidas (no borradores ni canceladas).
+ */
+export function computeOrderStatus(items = []) {
+  const lines = items.filter((item) => Number(item.quantity_ordered) > 0);
+  if (!lines.length) return PO_STATUS.ORDERED;
+  const received = lines.map((item) => Number(item.quantity_received || 0));
+  if (lines.every((item, idx) => received[idx] >= Number(item.quantity_ordered))) {
+    return PO_STATUS.RECEIVED;
+  }
+  if (received.some((qty) => qty > 0)) return PO_STATUS.PARTIAL;
+  return PO_STATUS.ORDERED;
+}
+
+/**
+ * Cantidad sugerida para reponer: hasta el máximo si está configurado,
+ * si no, hasta el doble del mínimo. Siempre al menos 1 unidad.
+ */
+export function suggestReorderQuantity({ currentQuantity = 0, minStock = 0, maxStock = 0 }) {
+  const current = Math.max(0, Number(currentQuantity) || 0);
+  const min = Math.max(0, Number(minStock) || 0);
+  const max = Math.max(0, Number(maxStock) || 0);
+  const target = max > min ? max : min * 2;
+  return Math.max(1, Math.ceil(target - current));
+}
+
+function normalizeItems(items) {
+  if (!Array.isArray(items) || !items.length) {
+    throw httpError("La orden debe tener al menos un producto", 400);
+  }
+  return items.map((item) => {
+    const productId = Number(item.product_id ?? item.productId);
+    const quantity = Number(item.quantity_ordered ?? item.quantity);
+    const rawCost = item.unit_cost ?? item.unitCost;
+    const unitCost = rawCost === "" || rawCost == null ? null : Number(rawCost);
+    if (!productId || !Number.isFinite(quantity) || quantity <= 0) {
+      throw httpError("Cada línea necesita un producto y una cantidad mayor a 0", 400);
+    }
+    if (unitCost != null && (!Number.isFinite(unitCost) || unitCost < 0)) {
+      throw httpError("El costo unitario no es válido", 400);
+    }
+    return { productId, quantity, unitCost, notes: item.notes || null };
+  });
+}
+
+export async function getSupplier(conn, tenantId, supplierId) {
+  const [[row]] = await conn.query(
+    `SELECT * FROM supplier WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [supplierId, tenantId]
+  );
+  return row || null;
+}
+
+async function insertItems(conn, { tenantId, orderId, items }) {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  const [products] = await conn.query(
+    `SELECT id, cost FROM product WHERE tenant_id = ? AND id IN (?)`,
+    [tenantId, productIds]
+  );
+  const costByProduct = new Map(products.map((p) => [Number(p.id), p.cost]));
+  if (costByProduct.size !== productIds.length) {
+    throw httpError("Alguno de los productos no existe o no pertenece a este negocio", 400);
+  }
+
+  for (const item of items) {
+    await conn.query(
+      `INSERT INTO purchase_order_item
+        (tenant_id, purchase_order_id, product_id, quantity_ordered, unit_cost, notes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        orderId,
+        item.productId,
+        item.quantity,
+        item.unitCost ?? costByProduct.get(item.productId) ?? null,
+        item.notes,
+      ]
+    );
+  }
+  return productIds;
+}
+
+/**
+ * Crea una orden de compra (por defecto en borrador) con sus líneas.
+ * Los productos sin proveedor asignado quedan vinculados al proveedor de la orden.
+ */
+export async function createPurchaseOrder(conn, {
+  tenantId,
+  branchId,
+  supplierId,
+  expectedDate = null,
+  notes = null,
+  items,
+  userId = null,
+  source = "manual",
+}) {
+  const lines = normalizeItems(items);
+  const supplier = await getSupplier(conn, tenantId, supplierId);
+  if (!supplier) throw httpError("Proveedor no encontrado", 404);
+  if (!supplier.is_active) throw httpError("El proveedor está inactivo", 400);
+
+  const [result] = await conn.query(
+    `INSERT INTO purchase_order
+      (tenant_id, branch_id, supplier_id, status, expected_date, notes, source, created_by)
+     VALUES (?, ?, ?, 'draft', ?, ?, ?, ?)`,
+    [tenantId, branchId, supplierId, expectedDate || null, notes, source, userId]
+  );
+  const orderId = result.insertId;
+
+  const productIds = await insertItems(conn, { tenantId, orderId, items: lines });
+  await conn.query(
+    `UPDATE product SET supplier_id = ?
+      WHERE tenant_id = ? AND id IN (?) AND supplier_id IS NULL`,
+    [supplierId, tenantId, productIds]
+  );
+
+  return orderId;
+}
+
+/**
+ * Reemplaza datos y líneas de un borrador.
+ */
+export async function updateDraftPurchaseOrder(conn, { tenantId, orderId, expectedDate, notes, items }) {
+  const order = await getPurchaseOrder(conn, tenantId, orderId, { forUpdate: true });
+  if (!order) throw httpError("Orden de compra no encontrada", 404);
+  if (order.status !== PO_STATUS.DRAFT) {
+    throw httpError("Sólo se pueden editar órdenes en borrador", 409);
+  }
+
+  await conn.query(
+    `UPDATE purchase_order SET expected_date = ?, notes = ? WHERE id = ? AND tenant_id = ?`,
+    [
+      expectedDate !== undefined ? expectedDate || null : order.expected_date,
+      notes !== undefined ? notes || null : order.notes,
+      orderId,
+      tenantId,
+    ]
+  );
+
+  if (items !== undefined) {
+    const lines = normalizeItems(items);
+    await conn.query(
+      `DELETE FROM purchase_order_item WHERE purchase_order_id = ? AND tenant_id = ?`,
+      [orderId, tenantId]
+    );
+    await insertItems(conn, { tenantId, orderId, items: lines });
+  }
+}
+
+export async function getPurchaseOrder(conn, tenantId, orderId, { forUpdate = false } = {}) {
+  const [[order]] = await conn.query(
+    `SELECT po.*, s.name AS supplier_name, s.email AS supplier_email, s.phone AS supplier_phone,
+            tb.name AS branch_name
+       FROM purchase_order po
+       JOIN supplier s ON s.id = po.supplier_id AND s.tenant_id = po.tenant_id
+       LEFT JOIN tenant_branch tb ON tb.id = po.branch_id
+      WHERE po.id = ? AND po.tenant_id = ?
+      LIMIT 1
+      ${forUpdate ? "FOR UPDATE" : ""}`,
+    [orderId, tenantId]
+  );
+  if (!order) return null;
+
+  const [items] = await conn.query(
+    `SELECT poi.*, p.name AS product_name, p.code AS product_code, p.unit AS product_unit
+       FROM purchase_order_item poi
+       JOIN product p ON p.id = poi.product_id AND p.tenant_id = poi.tenant_id
+      WHERE poi.purchase_order_id = ? AND poi.tenant_id = ?
+      ORDER BY poi.id ASC
+      ${forUpdate ? "FOR UPDATE" : ""}`,
+    [orderId, tenantId]
+  );
+  order.items = items;
+  order.total_amount = items.reduce(
+    (acc, item) => acc + Number(item.quantity_ordered) * Number(item.unit_cost || 0),
+    0
+  );
+  return order;
+}
+
+export async function listPurchaseOrders({ tenantId, status = null, supplierId = null, branchId = null }) {
+  await ensurePurchasingSchema();
+
+  let query = `
+    SELECT po.*, s.name AS supplier_name, tb.name AS branch_name,
+           COUNT(poi.id) AS item_count,
+           COALESCE(SUM(poi.quantity_ordered * COALESCE(poi.unit_cost, 0)), 0) AS total_amount,
+           COALESCE(SUM(poi.quantity_ordered), 0) AS quantity_ordered,
+           COALESCE(SUM(LEAST(poi.quantity_received, poi.quantity_ordered)), 0) AS quantity_received
+      FROM purchase_order po
+      JOIN supplier s ON s.id = po.supplier_id AND s.tenant_id = po.tenant_id
+      LEFT JOIN tenant_branch tb ON tb.id = po.branch_id
+      LEFT JOIN purchase_order_item poi ON poi.purchase_order_id = po.id AND poi.tenant_id = po.tenant_id
+     WHERE po.tenant_id = ?
+  `;
+  const params = [tenantId];
+  if (status) {
+    query += ` AND po.status = ?`;
+    params.push(status);
+  }
+  if (supplierId) {
+    query += ` AND po.supplier_id = ?`;
+    params.push(supplierId);
+  }
+  if (branchId) {
+    query += ` AND po.branch_id = ?`;
+    params.push(branchId);
+  }
+  query += ` GROUP BY po.id ORDER BY po.created_at DESC`;
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * Pasa un borrador a "emitida" (enviada al proveedor).
+ */
+export async function markPurchaseOrderOrdered(conn, { tenantId, orderId, expectedDate }) {
+  const order = await getPurchaseOrder(conn, tenantId, orderId, { forUpdate: true });
+  if (!order) throw httpError("Orden de compra no encontrada", 404);
+  if (order.status !== PO_STATUS.DRAFT) {
+    throw httpError("La orden ya fue emitida", 409);
+  }
+  if (!order.items.length) {
+    throw httpError("La orden no tiene productos", 400);
+  }
+  await conn.query(
+    `UPDATE purchase_order
+        SET status = 'ordered', ordered_at = NOW(), expected_date = COALESCE(?, expected_date)
+      WHERE id = ? AND tenant_id = ?`,
+    [expectedDate || null, orderId, tenantId]
+  );
+}
+
+export async function cancelPurchaseOrder(conn, { tenantId, orderId }) {
+  const order = await getPurchaseOrder(conn, tenantId, orderId, { forUpdate: true });
+  if (!order) throw httpError("Orden de compra no encontrada", 404);
+  if (![PO_STATUS.DRAFT, PO_STATUS.ORDERED].includes(order.status)) {
+    throw httpError("Sólo se pueden cancelar órdenes sin mercadería recibida", 409);
+  }
+  await conn.query(
+    `UPDATE purchase_order SET status = 'cancelled', cancelled_at = NOW() WHERE id = ? AND tenant_id = ?`,
+    [orderId, tenantId]
+  );
+}
+
+/**
+ * Registra la recepción (total o parcial) de una orden.
+ * Cada línea recibida genera un movimiento de entrada en la sucursal de la orden
+ * y actualiza el costo del producto con promedio ponderado. Si la línea trae
+ * lote/vencimiento, la cantidad entra a ese lote.
+ *
+ * @param {Array<{ item_id: number, quantity: number, unit_cost?: number, lot_number?: string, expiry_date?: string }>} lines
+ */
+export async function receivePurchaseOrder(conn, { tenantId, orderId, lines, userId = null, notes = null }) {
+  const order = await getPurchaseOrder(conn, tenantId, orderId, { forUpdate: true });
+  if (!order) throw httpError("Orden de compra no encontrada", 404);
+  if (![PO_STATUS.ORDERED, PO_STATUS.PARTIAL].includes(order.status)) {
+    throw httpError(
+      order.status === PO_STATUS.DRAFT
+        ? "Emití la orden antes de registrar la recepción"
+        : "La orden no admite más recepciones",
+      409
+    );
+  }
+  if (!Array.isArray(lines) || !lines.length) {
+    throw httpError("Indicá al menos una línea recibida", 400);
+  }
+
+  const itemsById = new Map(order.items.map((item) => [Number(item.id), item]));
+  const movements = [];
+
+  for (const line of lines) {
+    const item = itemsById.get(Number(line.item_id ?? line.itemId));
+    const quantity = Number(line.quantity);
+    if (!item) throw httpError("La línea indicada no pertenece a esta orden", 400);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw httpError("La cantidad recibida no es válida", 400);
+    }
+    if (quantity === 0) continue;
+
+    const rawCost = line.unit_cost ?? line.unitCost;
+    const unitCost = rawCost === "" || rawCost == null ? item.unit_cost : Number(rawCost);
+    if (unitCost != null && (!Number.isFinite(Number(unitCost)) || Number(unitCost) < 0)) {
+      throw httpError("El costo unitario no es válido", 400);
+    }
+
+    const [[product]] = await conn.query(
+      `SELECT p.cost, COALESCE(SUM(ps.quantity), 0) AS on_hand
+         FROM product p
+         LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.tenant_id = p.tenant_id
+        WHERE p.id = ? AND p.tenant_id = ?
+        GROUP BY p.id, p.cost`,
+      [item.product_id, tenantId]
+    );
+
+    const movementId = await recordStockMovement({
+      productId: item.product_id,
+      branchId: order.branch_id,
+      tenantId,
+      type: "entry",
+      quantity,
+      unitCost: unitCost == null ? null : Number(unitCost),
+      notes: notes || `Recepción OC #${order.id} - ${order.supplier_name}`,
+      referenceType: "purchase_order",
+      referenceId: order.id,
+      userId,
+      lotNumber: line.lot_number ?? line.lotNumber ?? null,
+      expiryDate: line.expiry_date ?? line.expiryDate ?? null,
+    }, conn);
+
+    if (unitCost != null) {
+      const newCost = computeWeightedCost({
+        currentQuantity: product?.on_hand,
+        currentCost: product?.cost,
+        receivedQuantity: quantity,
+        receivedCost: unitCost,
+      });
+      await conn.query(
+        `UPDATE product SET cost = ? WHERE id = ? AND tenant_id = ?`,
+        [newCost, item.product_id, tenantId]
+      );
+    }
+
+    await conn.query(
+      `UPDATE purchase_order_item
+          SET quantity_received = quantity_received + ?, unit_cost = COALESCE(?, unit_cost)
+        WHERE id = ? AND tenant_id = ?`,
+      [quantity, unitCost == null ? null : Number(unitCost), item.id, tenantId]
+    );
+    item.quantity_received = Number(item.quantity_received || 0) + quantity;
+    movements.push({ itemId: item.id, productId: item.product_id, quantity, movementId });
+  }
+
+  if (!movements.length) {
+    throw httpError("No se indicaron cantidades recibidas", 400);
+  }
+
+  const status = computeOrderStatus(order.items);
+  await conn.query(
+    `UPDATE purchase_order
+        SET status = ?, received_at = IF(? = 'received', NOW(), received_at)
+      WHERE id = ? AND tenant_id = ?`,
+    [status, status, orderId, tenantId]
+  );
+
+  return { status, movements };
+}
+
+/**
+ * Convierte las alertas activas de stock bajo / sin stock en borradores de
+ * orden de compra, uno por proveedor y sucursal. Omite productos que ya
+ * figuran en una orden abierta para esa sucursal.
+ */
+export async function createDraftOrdersFromAlerts(conn, { tenantId, branchId = null, userId = null }) {
+  const alerts = (await getActiveStockAlerts(tenantId, branchId, conn)).filter(
+    (alert) => REORDER_ALERT_TYPES.includes(alert.alert_type) && alert.branch_id
+  );
+  if (!alerts.length) return { orders: [], withoutSupplier: [], skipped: [] };
+
+  const productIds = [...new Set(alerts.map((alert) => Number(alert.product_id)))];
+  const [products] = await conn.query(
+    `SELECT p.id, p.name, p.code, p.cost, p.min_stock, p.max_stock, p.supplier_id, s.is_active AS supplier_active
+       FROM product p
+       LEFT JOIN supplier s ON s.id = p.supplier_id AND s.tenant_id = p.tenant_id
+      WHERE p.tenant_id = ? AND p.id IN (?)`,
+    [tenantId, productIds]
+  );
+  const productById = new Map(products.map((p) => [Number(p.id), p]));
+
+  const placeholders = OPEN_PO_STATUSES.map(() => "?").join(",");
+  const [openLines] = await conn.query(
+    `SELECT DISTINCT po.branch_id, poi.product_id
+       FROM purchase_order_item poi
+       JOIN purchase_order po ON po.id = poi.purchase_order_id AND po.tenant_id = poi.tenant_id
+      WHERE po.tenant_id = ? AND po.status IN (${placeholders}) AND poi.product_id IN (?)`,
+    [tenantId, ...OPEN_PO_STATUSES, productIds]
+  );
+  const alreadyOrdered = new Set(openLines.map((row) => `${row.branch_id}:${row.product_id}`));
+
+  const groups = new Map();
+  const withoutSupplier = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const alert of alerts) {
+    const key = `${alert.branch_id}:${alert.product_id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const product = productById.get(Number(alert.product_id));
+    if (!product) continue;
+    if (alreadyOrdered.has(key)) {
+      skipped.push({ productId: product.id, productName: product.name, branchId: alert.branch_id });
+      continue;
+    }
+    if (!product.supplier_id || !product.supplier_active) {
+      withoutSupplier.push({ productId: product.id, productName: product.name, branchId: alert.branch_id });
+      continue;
+    }
+
+    const groupKey = `${product.supplier_id}:${alert.branch_id}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { supplierId: product.supplier_id, branchId: alert.branch_id, items: [] });
+    }
+    groups.get(groupKey).items.push({
+      productId: product.id,
+      quantity: suggestReorderQuantity({
+        currentQuantity: alert.current_quantity,
+        minStock: alert.threshold_quantity || product.min_stock,
+        maxStock: product.max_stock,
+      }),
+      unitCost: product.cost == null ? null : Number(product.cost),
+      notes: `Alerta #${alert.id}`,
+    });
+  }
+
+  const orders = [];
+  for (const group of groups.values()) {
+    const orderId = await createPurchaseOrder(conn, {
+      tenantId,
+      branchId: group.branchId,
+      supplierId: group.supplierId,
+      items: group.items,
+      userId,
+      source: "alerts",
+      notes: "Generada automáticamente desde alertas de stock",
+    });
+    orders.push({ id: orderId, supplierId: group.supplierId, branchId: group.branchId, itemCount: group.items.length });
+  }
+
+  return { orders, withoutSupplier, skipped };
+}
@@ -2,6 +2,7 @@
  * Servicio para enviar notificaciones push usando Expo Push Notification API
  */
 import { pool } from '../db.js';
+import { recordMessage } from './messageLog.js';
 
 const EXPO_PUSH_API_URL = 'https://exp.host/--/api/v2/push/send';
 
@@ -152,27 +153,49 @@ export async function getCustomerPushTokens(tenantId, customerIds = null) {
   }
 }
 
+// Deja el envío en el historial de mensajes; nunca corta el envío
+function logPush(tenantId, customerId, pushToken, notification, log, { status = 'sent', providerMessageId = null, error = null } = {}) {
+  return recordMessage(tenantId, {
+    channel: 'push',
+    recipient: pushToken || '-',
+    kind: log?.kind || 'notification',
+    customerId,
+    appointmentId: log?.appointmentId || null,
+    campaignId: log?.campaignId || null,
+    subject: notification.title || null,
+    body: notification.body || '',
+    providerMessageId,
+    status,
+    error,
+  }).catch((logError) => console.warn('[PushNotifications] No se pudo registrar el envío:', logError.message));
+}
+
 /**
  * Envía una notificación push a un cliente específico
  * @param {number} tenantId - ID del tenant
  * @param {number} customerId - ID del cliente
  * @param {object} notification - Objeto con title, body, data, etc.
+ * @param {object} [log] - { kind, appointmentId, campaignId } para el historial de mensajes
  * @returns {Promise<boolean>} true si se envió exitosamente, false si no hay token
  */
-export async function sendNotificationToCustomer(tenantId, customerId, notification) {
+export async function sendNotificationToCustomer(tenantId, customerId, notification, log = null) {
+  let pushToken = null;
   try {
-    const pushToken = await getCustomerPushToken(tenantId, customerId);
+    pushToken = await getCustomerPushToken(tenantId, customerId);
     
     if (!pushToken) {
       console.log(`[PushNotifications] Cliente ${customerId} no tiene token push registrado`);
+      await logPush(tenantId, customerId, null, notification, log, { status: 'skipped', error: 'Sin token push registrado' });
       return false;
     }
 
-    await sendPushNotification(pushToken, notification);
+    const result = await sendPushNotification(pushToken, notification);
+    await logPush(tenantId, customerId, pushToken, notification, log, { providerMessageId: result?.data?.id || null });
     console.log(`[PushNotifications] Notificación enviada a cliente ${customerId}`);
     return true;
   } catch (error) {
     console.error(`[PushNotifications] Error enviando notificación a cliente ${customerId}:`, error);
+    await logPush(tenantId, customerId, pushToken, notification, log, { status: 'failed', error });
     return false;
   }
 }
@@ -182,9 +205,10 @@ export async function sendNotificationToCustomer(tenantId, customerId, notificat
  * @param {number} tenantId - ID del tenant
  * @param {number[]} customerIds - IDs de clientes
  * @param {object} notification - Objeto con title, body, data, etc.
+ * @param {object} [log] - { kind, campaignId } para el historial de mensajes
  * @returns {Promise<{sent: number, failed: number}>} Estadísticas de envío
  */
-export async function sendNotificationsToCustomers(tenantId, customerIds, notification) {
+export async function sendNotificationsToCustomers(tenantId, customerIds, notification, log = null) {
   try {
     const tokens = await getCustomerPushTokens(tenantId, customerIds);
     
@@ -193,7 +217,8 @@ export async function sendNotificationsToCustomers(tenantId, customerIds, notifi
       return { sent: 0, failed: 0 };
     }
 
-    const pushTokens = tokens.map(t => t.pushToken).filter(Boolean);
+    const withToken = tokens.filter(t => t.pushToken);
+    const pushTokens = withToken.map(t => t.pushToken);
     
     if (pushTokens.length === 0) {
       return { sent: 0, failed: 0 };
@@ -206,6 +231,16 @@ export async function sendNotificationsToCustomers(tenantId, customerIds, notifi
     const sent = results.filter(r => r.status === 'ok').length;
     const failed = results.filter(r => r.status === 'error').length;
 
+    // Expo devuelve un ticket por token, en el mismo orden
+    for (const [index, { customerId, pushToken }] of withToken.entries()) {
+      const ticket = results[index];
+      await logPush(tenantId, customerId, pushToken, notification, log, {
+        status: ticket?.status === 'error' ? 'failed' : 'sent',
+        providerMessageId: ticket?.id || null,
+        error: ticket?.status === 'error' ? ticket.message || 'Error de Expo' : null,
+      });
+    }
+
     console.log(`[PushNotifications] Enviadas: ${sent}, Fallidas: ${failed}`);
     
     return { sent, failed };
@@ -214,4 +249,3 @@ export async function sendNotificationsToCustomers(tenantId, customerIds, notifi
     return { sent: 0, failed: customerIds.length };
   }
 }
-
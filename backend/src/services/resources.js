@@ -0,0 +1,366 @@
+// src/services/resources.js
+// Recursos reservables por sucursal (salas, cabinas, equipos) con capacidad.
+// Cada servicio declara qué recursos necesita; un turno o una clase de ese servicio
+// ocupa esos recursos durante todo su horario. La ocupación se deriva de los turnos y
+// clases activos (no se guarda aparte), así que cambiar los requisitos de un servicio
+// también se aplica a las reservas existentes.
+import { pool } from "../db.js";
+
+export const RESOURCE_KINDS = ["room", "equipment"];
+const ACTIVE_APPOINTMENT_STATUSES = ["scheduled", "confirmed", "deposit_paid", "pending_deposit", "completed"];
+
+let schemaReady = null;
+
+export function ensureResourceSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS resource (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          branch_id INT NULL,
+          name VARCHAR(120) NOT NULL,
+          kind VARCHAR(20) NOT NULL DEFAULT 'room',
+          capacity INT NOT NULL DEFAULT 1,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_resource_tenant_branch (tenant_id, branch_id)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS service_resource (
+          tenant_id INT NOT NULL,
+          service_id INT NOT NULL,
+          resource_id INT NOT NULL,
+          quantity INT NOT NULL DEFAULT 1,
+          PRIMARY KEY (service_id, resource_id),
+          KEY idx_service_resource_resource (tenant_id, resource_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function resourceError(message, statusCode = 400) {
+  const error = new Error(message);
+  // Los handlers de turnos leen .status; los de ABM, .statusCode
+  error.status = statusCode;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDate(value) {
+  return value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+}
+
+function toMySQL(value) {
+  const d = toDate(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function mapResource(row) {
+  return {
+    id: Number(row.id),
+    branchId: row.branch_id ? Number(row.branch_id) : null,
+    branchName: row.branch_name || null,
+    name: row.name,
+    kind: row.kind,
+    capacity: Number(row.capacity),
+    isActive: Boolean(row.is_active),
+  };
+}
+
+/**
+ * Mayor uso simultáneo de un recurso dentro de [start, end)
+ * @param {Array<{ start: Date, end: Date, quantity: number }>} bookings
+ */
+export function peakUsage(bookings, start, end) {
+  const s = toDate(start);
+  const e = toDate(end);
+  const events = [];
+  for (const booking of bookings) {
+    const bs = booking.start > s ? booking.start : s;
+    const be = booking.end < e ? booking.end : e;
+    if (bs >= be) continue;
+    events.push([bs.getTime(), Number(booking.quantity || 1)]);
+    events.push([be.getTime(), -Number(booking.quantity || 1)]);
+  }
+  // Los finales se procesan antes que los inicios del mismo instante
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    if (current > peak) peak = current;
+  }
+  return peak;
+}
+
+/**
+ * Primer requisito que no entra en el horario pedido
+ * @param {Array<{ resourceId, name, capacity, quantity }>} requirements
+ * @param {Array<{ resourceId, start: Date, end: Date, quantity }>} bookings
+ * @returns {Object|null} el requisito en conflicto
+ */
+export function findResourceConflict(requirements, bookings, start, end) {
+  for (const requirement of requirements) {
+    const own = bookings.filter((b) => Number(b.resourceId) === Number(requirement.resourceId));
+    const used = peakUsage(own, start, end);
+    if (used + Number(requirement.quantity || 1) > Number(requirement.capacity || 1)) {
+      return requirement;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recursos que necesita un servicio en una sucursal. Los recursos de otras sucursales
+ * no aplican: un mismo servicio puede requerir "Cabina" en cada sucursal.
+ */
+export async function getServiceRequirements(db, { tenantId, serviceId, branchId = null }) {
+  if (!tenantId || !serviceId) return [];
+  await ensureResourceSchema();
+  const params = [tenantId, Number(serviceId)];
+  let branchSQL = "";
+  if (branchId) {
+    branchSQL = " AND (r.branch_id IS NULL OR r.branch_id = ?)";
+    params.push(Number(branchId));
+  }
+  const [rows] = await db.query(
+    `SELECT r.id AS resource_id, r.name, r.capacity, sr.quantity
+       FROM service_resource sr
+       JOIN resource r ON r.id = sr.resource_id AND r.tenant_id = sr.tenant_id
+      WHERE sr.tenant_id = ? AND sr.service_id = ? AND r.is_active = 1${branchSQL}`,
+    params
+  );
+  return rows.map((row) => ({
+    resourceId: Number(row.resource_id),
+    name: row.name,
+    capacity: Number(row.capacity),
+    quantity: Number(row.quantity),
+  }));
+}
+
+/**
+ * Reservas (turnos y clases activos) que ocupan alguno de los recursos en el rango.
+ * Un recurso de sucursal sólo lo ocupan las reservas de esa sucursal.
+ */
+export async function listResourceBookings(
+  db,
+  { tenantId, resourceIds, from, to, excludeAppointmentId = null, excludeSessionId = null, useLock = false }
+) {
+  if (!resourceIds?.length) return [];
+  const lock = useLock ? " FOR UPDATE" : "";
+  const apptParams = [tenantId, resourceIds, toMySQL(to), toMySQL(from), ACTIVE_APPOINTMENT_STATUSES];
+  let apptExclude = "";
+  if (excludeAppointmentId) {
+    apptExclude = " AND a.id <> ?";
+    apptParams.push(Number(excludeAppointmentId));
+  }
+  const [appts] = await db.query(
+    `SELECT sr.resource_id, sr.quantity, a.starts_at, a.ends_at
+       FROM appointment a
+       JOIN service_resource sr ON sr.service_id = a.service_id AND sr.tenant_id = a.tenant_id
+       JOIN resource r ON r.id = sr.resource_id AND r.tenant_id = sr.tenant_id
+      WHERE a.tenant_id = ? AND sr.resource_id IN (?)
+        AND (r.branch_id IS NULL OR a.branch_id = r.branch_id)
+        AND a.starts_at < ? AND a.ends_at > ?
+        AND a.status IN (?)${apptExclude}${lock}`,
+    apptParams
+  );
+
+  const sessionParams = [tenantId, resourceIds, toMySQL(to), toMySQL(from)];
+  let sessionExclude = "";
+  if (excludeSessionId) {
+    sessionExclude = " AND cs.id <> ?";
+    sessionParams.push(Number(excludeSessionId));
+  }
+  const [sessions] = await db.query(
+    `SELECT sr.resource_id, sr.quantity, cs.starts_at, cs.ends_at
+       FROM class_session cs
+       JOIN service_resource sr ON sr.service_id = cs.service_id AND sr.tenant_id = cs.tenant_id
+       JOIN resource r ON r.id = sr.resource_id AND r.tenant_id = sr.tenant_id
+      WHERE cs.tenant_id = ? AND sr.resource_id IN (?)
+        AND (r.branch_id IS NULL OR cs.branch_id = r.branch_id)
+        AND cs.starts_at < ? AND cs.ends_at > ?
+        AND cs.status = 'scheduled'${sessionExclude}${lock}`,
+    sessionParams
+  );
+
+  return [...appts, ...sessions].map((row) => ({
+    resourceId: Number(row.resource_id),
+    quantity: Number(row.quantity),
+    start: toDate(row.starts_at),
+    end: toDate(row.ends_at),
+  }));
+}
+
+/**
+ * Lanza 409 si algún recurso que requiere el servicio está completo en ese horario
+ */
+export async function assertResourcesAvailable(
+  db,
+  { tenantId, serviceId, branchId = null, start, end, excludeAppointmentId = null, excludeSessionId = null, useLock = false }
+) {
+  const requirements = await getServiceRequirements(db, { tenantId, serviceId, branchId });
+  if (!requirements.length) return;
+  const bookings = await listResourceBookings(db, {
+    tenantId,
+    resourceIds: requirements.map((r) => r.resourceId),
+    from: start,
+    to: end,
+    excludeAppointmentId,
+    excludeSessionId,
+    useLock,
+  });
+  const conflict = findResourceConflict(requirements, bookings, toDate(start), toDate(end));
+  if (conflict) {
+    throw resourceError(`${conflict.name} no está disponible en ese horario`, 409);
+  }
+}
+
+/* ===== ABM ===== */
+
+export async function listResources(tenantId, { branchId = null, includeInactive = false } = {}) {
+  await ensureResourceSchema();
+  const params = [tenantId];
+  let sql = `
+    SELECT r.*, b.name AS branch_name
+      FROM resource r
+      LEFT JOIN tenant_branch b ON b.id = r.branch_id AND b.tenant_id = r.tenant_id
+     WHERE r.tenant_id = ?`;
+  if (!includeInactive) sql += " AND r.is_active = 1";
+  if (branchId) {
+    sql += " AND (r.branch_id IS NULL OR r.branch_id = ?)";
+    params.push(Number(branchId));
+  }
+  sql += " ORDER BY b.name ASC, r.name ASC";
+  const [rows] = await pool.query(sql, params);
+
+  const [links] = await pool.query(
+    `SELECT sr.resource_id, sr.service_id, sr.quantity, s.name AS service_name
+       FROM service_resource sr
+       JOIN service s ON s.id = sr.service_id AND s.tenant_id = sr.tenant_id
+      WHERE sr.tenant_id = ?`,
+    [tenantId]
+  );
+  return rows.map((row) => ({
+    ...mapResource(row),
+    services: links
+      .filter((link) => Number(link.resource_id) === Number(row.id))
+      .map((link) => ({ serviceId: Number(link.service_id), name: link.service_name, quantity: Number(link.quantity) })),
+  }));
+}
+
+async function validateResourceInput(tenantId, input, current = {}) {
+  const name = input.name !== undefined ? String(input.name || "").trim() : current.name;
+  if (!name) throw resourceError("El nombre es obligatorio");
+  const kind = input.kind !== undefined ? String(input.kind) : current.kind || "room";
+  if (!RESOURCE_KINDS.includes(kind)) throw resourceError("Tipo de recurso inválido");
+  const capacity = input.capacity !== undefined ? Number(input.capacity) : Number(current.capacity || 1);
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > 100) {
+    throw resourceError("La capacidad debe ser un número entero entre 1 y 100");
+  }
+  let branchId = current.branch_id ?? null;
+  if (input.branchId !== undefined) {
+    branchId = input.branchId ? Number(input.branchId) : null;
+    if (branchId) {
+      const [[branch]] = await pool.query(`SELECT id FROM tenant_branch WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+        branchId,
+        tenantId,
+      ]);
+      if (!branch) throw resourceError("Sucursal no encontrada", 404);
+    }
+  }
+  return { name: name.slice(0, 120), kind, capacity, branchId };
+}
+
+export async function createResource(tenantId, input = {}) {
+  await ensureResourceSchema();
+  const data = await validateResourceInput(tenantId, input);
+  const [result] = await pool.query(
+    `INSERT INTO resource (tenant_id, branch_id, name, kind, capacity) VALUES (?,?,?,?,?)`,
+    [tenantId, data.branchId, data.name, data.kind, data.capacity]
+  );
+  return { id: result.insertId, ...data, isActive: true };
+}
+
+export async function updateResource(tenantId, resourceId, input = {}) {
+  await ensureResourceSchema();
+  const [[current]] = await pool.query(`SELECT * FROM resource WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    resourceId,
+    tenantId,
+  ]);
+  if (!current) throw resourceError("Recurso no encontrado", 404);
+  const data = await validateResourceInput(tenantId, input, current);
+  const isActive = input.isActive !== undefined ? (input.isActive ? 1 : 0) : current.is_active;
+  await pool.query(
+    `UPDATE resource SET branch_id = ?, name = ?, kind = ?, capacity = ?, is_active = ? WHERE id = ? AND tenant_id = ?`,
+    [data.branchId, data.name, data.kind, data.capacity, isActive, resourceId, tenantId]
+  );
+  return { id: Number(resourceId), ...data, isActive: Boolean(isActive) };
+}
+
+export async function deleteResource(tenantId, resourceId) {
+  await ensureResourceSchema();
+  const [result] = await pool.query(`DELETE FROM resource WHERE id = ? AND tenant_id = ?`, [resourceId, tenantId]);
+  if (!result.affectedRows) return false;
+  await pool.query(`DELETE FROM service_resource WHERE resource_id = ? AND tenant_id = ?`, [resourceId, tenantId]);
+  return true;
+}
+
+/**
+ * Reemplaza los recursos que requiere un servicio
+ * @param {Array<{ resourceId: number, quantity?: number }>} requirements
+ */
+export async function setServiceRequirements(tenantId, serviceId, requirements = []) {
+  await ensureResourceSchema();
+  const [[service]] = await pool.query(`SELECT id FROM service WHERE id = ? AND tenant_id = ? LIMIT 1`, [
+    serviceId,
+    tenantId,
+  ]);
+  if (!service) throw resourceError("Servicio no encontrado", 404);
+
+  const clean = new Map();
+  for (const item of requirements) {
+    const resourceId = Number(item?.resourceId);
+    const quantity = Number(item?.quantity || 1);
+    if (!resourceId) continue;
+    if (!Number.isInteger(quantity) || quantity < 1) throw resourceError("Cantidad inválida");
+    clean.set(resourceId, quantity);
+  }
+
+  if (clean.size) {
+    const [rows] = await pool.query(`SELECT id, name, capacity FROM resource WHERE tenant_id = ? AND id IN (?)`, [
+      tenantId,
+      [...clean.keys()],
+    ]);
+    if (rows.length !== clean.size) throw resourceError("Recurso no encontrado", 404);
+    const tooMany = rows.find((row) => clean.get(Number(row.id)) > Number(row.capacity));
+    if (tooMany) throw resourceError(`${tooMany.name} tiene capacidad ${tooMany.capacity}`);
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(`DELETE FROM service_resource WHERE tenant_id = ? AND service_id = ?`, [tenantId, serviceId]);
+    for (const [resourceId, quantity] of clean) {
+      await conn.query(
+        `INSERT INTO service_resource (tenant_id, service_id, resource_id, quantity) VALUES (?,?,?,?)`,
+        [tenantId, serviceId, resourceId, quantity]
+      );
+    }
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  return [...clean].map(([resourceId, quantity]) => ({ resourceId, quantity }));
+}
@@ -0,0 +1,340 @@
+// src/services/scheduledJobs.js
+// Tareas del planificador (ver jobScheduler.js). Cada handler marca lo que ya procesó
+// (reminder_sent_at, estado de la suscripción, registro de destinatarios de campaña…)
+// para que un reintento o una ejecución duplicada no repita envíos.
+import { pool } from "../db.js";
+import { sendWhatsAppText } from "../whatsapp.js";
+import { registerJobHandler, pruneJobRuns } from "./jobScheduler.js";
+import { sendNotificationToCustomer } from "./pushNotifications.js";
+import { expireUnconfirmedPromotions } from "./classWaitlist.js";
+import { expireLoyaltyPoints } from "./loyalty.js";
+import { sendCampaign, CAMPAIGN_JOB_TYPE } from "./crmCampaigns.js";
+import { renewDueSubscriptions, sendRenewalReminders, DEFAULT_REMINDER_DAYS } from "./subscriptionRenewals.js";
+import { generateStockAlerts } from "./stockService.js";
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function getActiveTenants(limit = 50) {
+  const [tenants] = await pool.query(`SELECT id, name FROM tenant WHERE is_active = 1 LIMIT ?`, [limit]);
+  return tenants;
+}
+
+async function getConfigValue(tenantId, key) {
+  const [[row]] = await pool.query(
+    `SELECT config_value FROM system_config WHERE tenant_id = ? AND config_key = ?`,
+    [tenantId, key]
+  );
+  return row?.config_value ?? null;
+}
+
+const isEnabled = (value) => value === "1" || value === "true";
+
+/* =========================
+   Recordatorios por WhatsApp
+   Tenants con delays entre cada uno para no saturar la API de WhatsApp
+========================= */
+async function runReminders() {
+  const tenants = await getActiveTenants();
+  const summary = { tenants: 0, sent: 0, errors: 0 };
+
+  for (let i = 0; i < tenants.length; i++) {
+    const tenant = tenants[i];
+    if (i > 0 && i % 5 === 0) await sleep(1000); // 1 segundo cada 5 tenants
+
+    try {
+      if (!isEnabled(await getConfigValue(tenant.id, "reminders.enabled"))) continue;
+      const advanceHours = Number(await getConfigValue(tenant.id, "reminders.advance_hours")) || 24;
+
+      // Ventana de 1 hora a `advanceHours` de ahora
+      const now = new Date();
+      const reminderWindowStart = new Date(now.getTime() + advanceHours * 60 * 60 * 1000);
+      const reminderWindowEnd = new Date(reminderWindowStart.getTime() + 60 * 60 * 1000);
+
+      const [appointments] = await pool.query(
+        `SELECT
+          a.id,
+          a.customer_id,
+          a.starts_at,
+          a.status,
+          a.deposit_decimal,
+          c.name AS customer_name,
+          c.phone_e164,
+          s.name AS service_name,
+          s.price_decimal,
+          i.name AS instructor_name
+        FROM appointment a
+        JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+        JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+        JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+        WHERE a.tenant_id = ?
+          AND a.status IN ('scheduled', 'confirmed', 'deposit_paid', 'pending_deposit')
+          AND a.starts_at >= ?
+          AND a.starts_at <= ?
+          AND (a.reminder_sent_at IS NULL OR a.reminder_sent_at < DATE_SUB(a.starts_at, INTERVAL ? HOUR))
+          AND c.phone_e164 IS NOT NULL
+          AND c.phone_e164 != ''
+        ORDER BY a.starts_at ASC
+        LIMIT 20`,
+        [tenant.id, reminderWindowStart, reminderWindowEnd, advanceHours]
+      );
+      if (!appointments.length) continue;
+      summary.tenants += 1;
+
+      const tenantName = tenant.name || "ARJA ERP";
+      for (const apt of appointments) {
+        try {
+          const startDate = new Date(apt.starts_at);
+          const fecha = startDate.toLocaleDateString("es-AR", {
+            weekday: "long",
+            day: "2-digit",
+            month: "2-digit",
+            year: "numeric",
+          });
+          const hora = startDate.toLocaleTimeString("es-AR", {
+            hour: "2-digit",
+            minute: "2-digit",
+          });
+
+          let msg =
+            `Hola ${apt.customer_name || "cliente"}! 👋\n\n` +
+            `📅 *Recordatorio de tu turno*\n\n` +
+            `Tenés un turno programado:\n` +
+            `• Servicio: ${apt.service_name}\n` +
+            `• Profesional: ${apt.instructor_name}\n` +
+            `• Fecha: ${fecha}\n` +
+            `• Hora: ${hora}\n`;
+
+          // Si tiene seña pendiente, agregar información
+          if (apt.status === "pending_deposit" && apt.deposit_decimal > 0) {
+            msg += `\n⚠️ *Recordá que tenés una seña pendiente de $${Number(apt.deposit_decimal).toFixed(2)}*\n`;
+          }
+
+          msg += `\n¡Te esperamos en *${tenantName}*! 💈\n\n` +
+            `Si necesitás cambiar o cancelar, avisanos con anticipación.`;
+
+          await sendWhatsAppText(apt.phone_e164, msg, tenant.id, null, {
+            log: { kind: "reminder", customerId: apt.customer_id, appointmentId: apt.id },
+          });
+          await pool.query(
+            `UPDATE appointment SET reminder_sent_at = NOW() WHERE id = ? AND tenant_id = ?`,
+            [apt.id, tenant.id]
+          );
+          summary.sent += 1;
+          await sleep(200); // 200ms entre mensajes
+        } catch (error) {
+          summary.errors += 1;
+          console.error(`❌ [Reminders Job] Error enviando recordatorio para turno ${apt.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ [Reminders Job] Error procesando tenant ${tenant.id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+/* =========================
+   Recordatorios PUSH ~N minutos antes del turno
+========================= */
+let pushSchemaReady = null;
+
+function ensurePushReminderSchema() {
+  if (!pushSchemaReady) {
+    pushSchemaReady = pool
+      .query(`ALTER TABLE appointment ADD COLUMN push_reminder_sent_at DATETIME NULL`)
+      .catch((error) => {
+        if (error.code !== "ER_DUP_FIELDNAME") {
+          pushSchemaReady = null;
+          throw error;
+        }
+      });
+  }
+  return pushSchemaReady;
+}
+
+async function runPushReminders() {
+  await ensurePushReminderSchema();
+  const tenants = await getActiveTenants();
+  const summary = { tenants: 0, sent: 0, errors: 0 };
+
+  for (const tenant of tenants) {
+    try {
+      const enabledValue = await getConfigValue(tenant.id, "push_reminders.enabled");
+      if (enabledValue != null && !isEnabled(enabledValue)) continue;
+      const advanceMinutes = Number(await getConfigValue(tenant.id, "push_reminders.advance_minutes")) || 30;
+      const windowMinutes = Number(await getConfigValue(tenant.id, "push_reminders.window_minutes")) || 10;
+
+      const now = new Date();
+      const targetStart = new Date(now.getTime() + advanceMinutes * 60 * 1000);
+      const targetEnd = new Date(targetStart.getTime() + windowMinutes * 60 * 1000);
+      const [appointments] = await pool.query(
+        `SELECT
+          a.id,
+          a.starts_at,
+          a.status,
+          c.id AS customer_id,
+          c.name AS customer_name,
+          s.name AS service_name,
+          i.name AS instructor_name
+        FROM appointment a
+        JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+        JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+        JOIN instructor i ON i.id = a.instructor_id AND i.tenant_id = a.tenant_id
+        WHERE a.tenant_id = ?
+          AND a.status IN ('scheduled', 'confirmed', 'deposit_paid', 'pending_deposit')
+          AND a.starts_at BETWEEN ? AND ?
+          AND (a.push_reminder_sent_at IS NULL OR a.push_reminder_sent_at < DATE_SUB(a.starts_at, INTERVAL ? MINUTE))
+        ORDER BY a.starts_at ASC
+        LIMIT 20`,
+        [tenant.id, targetStart, targetEnd, advanceMinutes]
+      );
+      if (!appointments.length) continue;
+      summary.tenants += 1;
+
+      for (const apt of appointments) {
+        try {
+          const startDate = new Date(apt.starts_at);
+          const fecha = startDate.toLocaleDateString("es-AR", { weekday: "long", day: "2-digit", month: "2-digit" });
+          const hora = startDate.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+          await sendNotificationToCustomer(tenant.id, apt.customer_id, {
+            title: "Recordatorio de tu turno",
+            body: `${apt.service_name} con ${apt.instructor_name} — ${fecha} ${hora}`,
+            data: { type: "appointment_reminder", appointmentId: apt.id, startsAt: apt.starts_at },
+          }, { kind: "reminder", appointmentId: apt.id });
+          await pool.query(`UPDATE appointment SET push_reminder_sent_at = NOW() WHERE id = ? AND tenant_id = ?`, [apt.id, tenant.id]);
+          summary.sent += 1;
+        } catch {
+          summary.errors += 1;
+        }
+      }
+    } catch {
+      summary.errors += 1;
+    }
+  }
+  return summary;
+}
+
+/* =========================
+   Señas: cancela los turnos cuya reserva venció sin pago
+========================= */
+async function runDepositHoldExpiry() {
+  const [result] = await pool.query(
+    `UPDATE appointment
+        SET status='cancelled', hold_until=NULL
+      WHERE status='pending_deposit'
+        AND hold_until IS NOT NULL
+        AND hold_until < NOW()`
+  );
+  if (result.affectedRows) {
+    console.log(`✅ [Deposit Hold Job] ${result.affectedRows} turnos con seña vencida cancelados`);
+  }
+  return { cancelled: result.affectedRows };
+}
+
+/* =========================
+   Alertas de stock (stock bajo, sin stock, lotes por vencer)
+========================= */
+async function runStockAlerts() {
+  const [tenants] = await pool.query(
+    `SELECT DISTINCT p.tenant_id AS id
+       FROM product p
+       JOIN tenant t ON t.id = p.tenant_id AND t.is_active = 1`
+  );
+  const summary = { tenants: 0, errors: 0 };
+  for (const tenant of tenants) {
+    try {
+      await generateStockAlerts(tenant.id);
+      summary.tenants += 1;
+    } catch (error) {
+      // Sin el procedimiento no tiene sentido seguir con el resto de los negocios
+      if (error.code === "ER_SP_DOES_NOT_EXIST") throw error;
+      summary.errors += 1;
+      console.error(`❌ [Stock Alerts Job] Error en tenant ${tenant.id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+/* =========================
+   Campañas programadas del CRM (una tarea por programación)
+========================= */
+async function runScheduledCampaign({ tenantId, payload }) {
+  if (!tenantId || !payload?.segmentCode) throw new Error("Programación de campaña incompleta");
+  // El id de la programación es el de la campaña: un reintento retoma sin repetir destinatarios
+  const { campaignId, sent, failed, skipped, total } = await sendCampaign(tenantId, {
+    campaignId: payload.id,
+    segmentCode: String(payload.segmentCode),
+    message: payload.message,
+    variants: payload.variants,
+    channels: payload.channels,
+    attributionDays: payload.attributionDays,
+    max: Math.min(500, Number(payload.max) || 50),
+  });
+  return { campaignId, sent, failed, skipped, total };
+}
+
+registerJobHandler("reminders", {
+  label: "Recordatorios por WhatsApp",
+  intervalSeconds: 20 * MINUTE,
+  leaseSeconds: 30 * MINUTE,
+  handler: runReminders,
+});
+
+registerJobHandler("push_reminders", {
+  label: "Recordatorios push",
+  intervalSeconds: 5 * MINUTE,
+  handler: runPushReminders,
+});
+
+registerJobHandler("class_waitlist", {
+  label: "Lista de espera de clases",
+  intervalSeconds: 5 * MINUTE,
+  handler: () => expireUnconfirmedPromotions(),
+});
+
+registerJobHandler("loyalty_expiry", {
+  label: "Vencimiento de puntos",
+  intervalSeconds: 6 * HOUR,
+  handler: async () => ({ expired: await expireLoyaltyPoints() }),
+});
+
+registerJobHandler("deposit_hold_expiry", {
+  label: "Vencimiento de señas",
+  intervalSeconds: 5 * MINUTE,
+  handler: runDepositHoldExpiry,
+});
+
+registerJobHandler("subscription_renewals", {
+  label: "Renovación de suscripciones",
+  intervalSeconds: 6 * HOUR,
+  handler: () => renewDueSubscriptions(),
+});
+
+registerJobHandler("renewal_reminders", {
+  label: "Recordatorios de renovación",
+  intervalSeconds: 6 * HOUR,
+  handler: () => sendRenewalReminders({ daysBefore: DEFAULT_REMINDER_DAYS }),
+});
+
+registerJobHandler("stock_alerts", {
+  label: "Alertas de stock",
+  intervalSeconds: 1 * HOUR,
+  handler: runStockAlerts,
+});
+
+registerJobHandler(CAMPAIGN_JOB_TYPE, {
+  label: "Campaña programada",
+  leaseSeconds: 30 * MINUTE,
+  maxAttempts: 3,
+  handler: runScheduledCampaign,
+});
+
+registerJobHandler("job_runs_cleanup", {
+  label: "Limpieza del historial de tareas",
+  intervalSeconds: 24 * HOUR,
+  handler: () => pruneJobRuns({ days: 30 }),
+});
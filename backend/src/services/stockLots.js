@@ -0,0 +1,347 @@
+// src/services/stockLots.js
+// Lotes con vencimiento por sucursal. Son opcionales: el stock sin lote sigue
+// viviendo en product_stock y los lotes sólo detallan parte (o todo) de esa cantidad.
+// Las salidas consumen por FEFO (primero el que vence primero).
+import { pool } from "../db.js";
+
+export const LOT_INBOUND_TYPES = ["entry", "adjustment", "transfer_in"];
+export const LOT_OUTBOUND_TYPES = ["exit", "sale", "return", "transfer_out"];
+
+// Días de anticipación para la alerta "por vencer"
+const EXPIRY_ALERT_DAYS = Number(process.env.STOCK_EXPIRY_ALERT_DAYS || 30);
+
+let schemaReady = null;
+
+export function ensureLotSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS product_lot (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          product_id INT NOT NULL,
+          branch_id INT NOT NULL,
+          lot_number VARCHAR(60) NOT NULL,
+          expiry_date DATE NULL,
+          quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+          initial_quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+          unit_cost DECIMAL(12,2) NULL,
+          received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_product_lot (tenant_id, product_id, branch_id, lot_number),
+          KEY idx_lot_expiry (tenant_id, expiry_date)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS stock_movement_lot (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          movement_id INT NOT NULL,
+          lot_id INT NOT NULL,
+          quantity DECIMAL(12,3) NOT NULL,
+          KEY idx_movement_lot (movement_id),
+          KEY idx_lot_movements (lot_id)
+        )`
+      );
+      try {
+        await db.query(`ALTER TABLE stock_alert ADD COLUMN lot_id INT NULL`);
+      } catch {}
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Fecha local YYYY-MM-DD. mysql2 devuelve las columnas DATE como Date a medianoche local.
+ */
+export function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Normaliza lote/vencimiento recibidos desde la API.
+ * Si sólo viene el vencimiento se arma un número de lote a partir de la fecha.
+ */
+export function normalizeLotInput({ lotNumber, expiryDate } = {}) {
+  const expiry = expiryDate ? toDateOnly(expiryDate) : null;
+  if (expiryDate && !expiry) {
+    const error = new Error("Fecha de vencimiento inválida");
+    error.statusCode = 400;
+    throw error;
+  }
+  const number = lotNumber != null ? String(lotNumber).trim().slice(0, 60) : "";
+  if (!number && !expiry) return null;
+  return {
+    lotNumber: number || `VTO-${expiry.replaceAll("-", "")}`,
+    expiryDate: expiry,
+  };
+}
+
+function compareFefo(a, b) {
+  const ea = toDateOnly(a.expiry_date);
+  const eb = toDateOnly(b.expiry_date);
+  if (ea !== eb) {
+    if (!ea) return 1;
+    if (!eb) return -1;
+    return ea < eb ? -1 : 1;
+  }
+  return Number(a.id) - Number(b.id);
+}
+
+/**
+ * Plan de consumo FEFO.
+ * Orden: lotes vigentes por vencimiento → stock sin lote → lotes vencidos
+ * (estos últimos sólo si no alcanza, para no descuadrar contra product_stock).
+ *
+ * @returns {{ allocations: Array<{ lotId: number, quantity: number }>, fromUntracked: number, remaining: number }}
+ */
+export function planFefoConsumption(lots, quantity, { today = new Date(), untrackedQuantity = 0 } = {}) {
+  const todayStr = toDateOnly(today);
+  const available = (lots || [])
+    .filter((lot) => Number(lot.quantity) > 0)
+    .sort(compareFefo);
+  const valid = available.filter((lot) => !lot.expiry_date || toDateOnly(lot.expiry_date) >= todayStr);
+  const expired = available.filter((lot) => lot.expiry_date && toDateOnly(lot.expiry_date) < todayStr);
+
+  let remaining = Math.abs(Number(quantity) || 0);
+  const allocations = [];
+
+  const take = (lot) => {
+    if (remaining <= 0) return;
+    const qty = Math.min(remaining, Number(lot.quantity));
+    allocations.push({ lotId: Number(lot.id), quantity: qty });
+    remaining = Math.round((remaining - qty) * 1000) / 1000;
+  };
+
+  valid.forEach(take);
+  const fromUntracked = Math.min(remaining, Math.max(0, Number(untrackedQuantity) || 0));
+  remaining = Math.round((remaining - fromUntracked) * 1000) / 1000;
+  expired.forEach(take);
+
+  return { allocations, fromUntracked, remaining };
+}
+
+async function getBranchLots(conn, { tenantId, productId, branchId, forUpdate = false }) {
+  const [rows] = await conn.query(
+    `SELECT id, lot_number, expiry_date, quantity, unit_cost
+       FROM product_lot
+      WHERE tenant_id = ? AND product_id = ? AND branch_id = ? AND quantity > 0
+      ${forUpdate ? "FOR UPDATE" : ""}`,
+    [tenantId, productId, branchId]
+  );
+  return rows;
+}
+
+/**
+ * Suma cantidad a un lote (lo crea si no existe) y lo vincula al movimiento.
+ */
+export async function addLotQuantity(conn, {
+  tenantId,
+  productId,
+  branchId,
+  lotNumber,
+  expiryDate = null,
+  quantity,
+  unitCost = null,
+  movementId = null,
+}) {
+  const qty = Math.abs(Number(quantity) || 0);
+  if (!qty || !branchId) return null;
+
+  await conn.query(
+    `INSERT INTO product_lot
+      (tenant_id, product_id, branch_id, lot_number, expiry_date, quantity, initial_quantity, unit_cost)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       quantity = quantity + VALUES(quantity),
+       initial_quantity = initial_quantity + VALUES(initial_quantity),
+       expiry_date = COALESCE(VALUES(expiry_date), expiry_date),
+       unit_cost = COALESCE(VALUES(unit_cost), unit_cost)`,
+    [tenantId, productId, branchId, lotNumber, expiryDate, qty, qty, unitCost]
+  );
+  const [[lot]] = await conn.query(
+    `SELECT id FROM product_lot
+      WHERE tenant_id = ? AND product_id = ? AND branch_id = ? AND lot_number = ?
+      LIMIT 1`,
+    [tenantId, productId, branchId, lotNumber]
+  );
+  if (lot && movementId) {
+    await conn.query(
+      `INSERT INTO stock_movement_lot (tenant_id, movement_id, lot_id, quantity) VALUES (?, ?, ?, ?)`,
+      [tenantId, movementId, lot.id, qty]
+    );
+  }
+  return lot?.id || null;
+}
+
+/**
+ * Descuenta de los lotes de la sucursal por FEFO (o de un lote puntual si se indica).
+ * previousStock permite saber cuánto stock no tiene lote asignado.
+ */
+export async function consumeLots(conn, {
+  tenantId,
+  productId,
+  branchId,
+  quantity,
+  previousStock = 0,
+  movementId = null,
+  lotId = null,
+}) {
+  if (!branchId) return [];
+  const lots = await getBranchLots(conn, { tenantId, productId, branchId, forUpdate: true });
+  if (!lots.length) return [];
+
+  let allocations;
+  if (lotId) {
+    const lot = lots.find((row) => Number(row.id) === Number(lotId));
+    if (!lot) {
+      const error = new Error("El lote indicado no tiene stock en esta sucursal");
+      error.statusCode = 400;
+      throw error;
+    }
+    allocations = [{ lotId: Number(lot.id), quantity: Math.min(Math.abs(Number(quantity)), Number(lot.quantity)) }];
+  } else {
+    const lotTotal = lots.reduce((acc, lot) => acc + Number(lot.quantity), 0);
+    allocations = planFefoConsumption(lots, quantity, {
+      untrackedQuantity: Math.max(0, Number(previousStock) - lotTotal),
+    }).allocations;
+  }
+
+  for (const allocation of allocations) {
+    await conn.query(
+      `UPDATE product_lot SET quantity = GREATEST(0, quantity - ?) WHERE id = ? AND tenant_id = ?`,
+      [allocation.quantity, allocation.lotId, tenantId]
+    );
+    if (movementId) {
+      await conn.query(
+        `INSERT INTO stock_movement_lot (tenant_id, movement_id, lot_id, quantity) VALUES (?, ?, ?, ?)`,
+        [tenantId, movementId, allocation.lotId, allocation.quantity]
+      );
+    }
+  }
+  return allocations;
+}
+
+/**
+ * Lotes que afectó un movimiento (para replicarlos en la sucursal destino de una transferencia).
+ */
+export async function getMovementLots(conn, movementId) {
+  const [rows] = await conn.query(
+    `SELECT pl.lot_number, pl.expiry_date, pl.unit_cost, sml.quantity
+       FROM stock_movement_lot sml
+       JOIN product_lot pl ON pl.id = sml.lot_id
+      WHERE sml.movement_id = ?`,
+    [movementId]
+  );
+  return rows.map((row) => ({
+    lotNumber: row.lot_number,
+    expiryDate: toDateOnly(row.expiry_date),
+    unitCost: row.unit_cost,
+    quantity: Number(row.quantity),
+  }));
+}
+
+export async function getTransferLots(conn, transferId, type = "transfer_out") {
+  const [[movement]] = await conn.query(
+    `SELECT id FROM stock_movement WHERE transfer_id = ? AND type = ? ORDER BY id ASC LIMIT 1`,
+    [transferId, type]
+  );
+  return movement ? getMovementLots(conn, movement.id) : [];
+}
+
+/**
+ * Lotes con stock, con su valor (costo del lote o, si no tiene, costo actual del producto).
+ */
+export async function listLots({ tenantId, branchId = null, productId = null, includeEmpty = false }) {
+  await ensureLotSchema();
+
+  let query = `
+    SELECT pl.id, pl.product_id, pl.branch_id, pl.lot_number, pl.expiry_date,
+           pl.quantity, pl.initial_quantity, pl.received_at,
+           COALESCE(pl.unit_cost, p.cost, 0) AS unit_cost,
+           pl.quantity * COALESCE(pl.unit_cost, p.cost, 0) AS total_value,
+           DATEDIFF(pl.expiry_date, CURDATE()) AS days_to_expiry,
+           p.name AS product_name, p.code AS product_code,
+           tb.name AS branch_name
+      FROM product_lot pl
+      JOIN product p ON p.id = pl.product_id AND p.tenant_id = pl.tenant_id
+      LEFT JOIN tenant_branch tb ON tb.id = pl.branch_id
+     WHERE pl.tenant_id = ?
+  `;
+  const params = [tenantId];
+  if (!includeEmpty) {
+    query += ` AND pl.quantity > 0`;
+  }
+  if (branchId) {
+    query += ` AND pl.branch_id = ?`;
+    params.push(branchId);
+  }
+  if (productId) {
+    query += ` AND pl.product_id = ?`;
+    params.push(productId);
+  }
+  query += ` ORDER BY pl.product_id, pl.branch_id, pl.expiry_date IS NULL, pl.expiry_date, pl.id`;
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * Crea alertas "expiring_soon" para lotes con stock que vencen dentro de la ventana
+ * y resuelve las de lotes ya agotados.
+ */
+export async function generateExpiryAlerts(tenantId, conn = pool, { days = EXPIRY_ALERT_DAYS } = {}) {
+  await ensureLotSchema();
+
+  const [lots] = await conn.query(
+    `SELECT pl.id, pl.product_id, pl.branch_id, pl.quantity
+       FROM product_lot pl
+      WHERE pl.tenant_id = ?
+        AND pl.quantity > 0
+        AND pl.expiry_date IS NOT NULL
+        AND pl.expiry_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+        AND NOT EXISTS (
+          SELECT 1 FROM stock_alert sa
+           WHERE sa.tenant_id = pl.tenant_id
+             AND sa.lot_id = pl.id
+             AND sa.alert_type = 'expiring_soon'
+             AND sa.status IN ('active', 'acknowledged')
+        )`,
+    [tenantId, days]
+  );
+
+  for (const lot of lots) {
+    await conn.query(
+      `INSERT INTO stock_alert
+        (tenant_id, product_id, branch_id, lot_id, alert_type, current_quantity, threshold_quantity, status)
+       VALUES (?, ?, ?, ?, 'expiring_soon', ?, 0, 'active')`,
+      [tenantId, lot.product_id, lot.branch_id, lot.id, lot.quantity]
+    );
+  }
+
+  const [resolved] = await conn.query(
+    `UPDATE stock_alert sa
+       JOIN product_lot pl ON pl.id = sa.lot_id
+        SET sa.status = 'resolved'
+      WHERE sa.tenant_id = ?
+        AND sa.alert_type = 'expiring_soon'
+        AND sa.status IN ('active', 'acknowledged')
+        AND pl.quantity <= 0`,
+    [tenantId]
+  );
+
+  return { created: lots.length, resolved: resolved.affectedRows || 0 };
+}
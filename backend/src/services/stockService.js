@@ -2,6 +2,22 @@
 // Servicio centralizado para gestión de stock con la nueva estructura
 
 import { pool } from "../db.js";
+import {
+  LOT_INBOUND_TYPES,
+  LOT_OUTBOUND_TYPES,
+  ensureLotSchema,
+  normalizeLotInput,
+  addLotQuantity,
+  consumeLots,
+  getMovementLots,
+  generateExpiryAlerts,
+} from "./stockLots.js";
+import {
+  applyMovementCost,
+  getTransferUnitCost,
+  listInventoryValuation,
+  getValuationMethod,
+} from "./inventoryCosting.js";
 
 /**
  * Obtiene usuarios con permisos de stock en un tenant
@@ -275,6 +291,13 @@ export async function updateProductStock(productId, branchId, tenantId, quantity
 
 /**
  * Registra un movimiento de stock
+ *
+ * Lotes (opcional): en entradas se puede indicar lotNumber/expiryDate o una lista
+ * `lots` [{ lotNumber, expiryDate, quantity, unitCost }]; en salidas se consume por
+ * FEFO salvo que se indique lotId.
+ *
+ * Costo: en entradas unitCost es el costo de lo que ingresa (si falta se usa el
+ * promedio vigente); en salidas se ignora y se calcula según el método del tenant.
  */
 export async function recordStockMovement({
   productId,
@@ -287,7 +310,11 @@ export async function recordStockMovement({
   referenceType = null,
   referenceId = null,
   transferId = null,
-  userId = null
+  userId = null,
+  lotNumber = null,
+  expiryDate = null,
+  lotId = null,
+  lots = null
 }, conn = pool) {
   // Obtener stock actual antes del movimiento
   const [[stockResult]] = await conn.query(
@@ -332,6 +359,52 @@ export async function recordStockMovement({
 
   const movementId = result.insertId;
 
+  await ensureLotSchema();
+  if (LOT_INBOUND_TYPES.includes(type)) {
+    const single = normalizeLotInput({ lotNumber, expiryDate });
+    const inboundLots = Array.isArray(lots)
+      ? lots
+      : single
+        ? [{ ...single, quantity: quantityAbs, unitCost }]
+        : [];
+    for (const lot of inboundLots) {
+      const normalized = normalizeLotInput(lot);
+      if (!normalized) continue;
+      await addLotQuantity(conn, {
+        tenantId,
+        productId,
+        branchId,
+        lotNumber: normalized.lotNumber,
+        expiryDate: normalized.expiryDate,
+        quantity: lot.quantity,
+        unitCost: lot.unitCost ?? unitCost,
+        movementId
+      });
+    }
+  } else if (LOT_OUTBOUND_TYPES.includes(type)) {
+    await consumeLots(conn, {
+      tenantId,
+      productId,
+      branchId,
+      quantity: quantityAbs,
+      previousStock,
+      movementId,
+      lotId
+    });
+  }
+
+  // Costo del movimiento: capa y promedio en entradas, CMV en salidas
+  await applyMovementCost(conn, {
+    tenantId,
+    productId,
+    branchId,
+    type,
+    quantity: quantityAbs,
+    unitCost,
+    previousStock,
+    movementId
+  });
+
   // Crear notificaciones para usuarios con permisos de stock (no bloqueante)
   // Ejecutamos en background pero capturamos errores
   Promise.resolve().then(async () => {
@@ -475,7 +548,7 @@ export async function createStockTransfer({
   
   // Registrar movimientos de stock (salida y entrada)
   // Para transfer_out, la cantidad debe ser positiva para que la resta funcione correctamente
-  await recordStockMovement({
+  const outMovementId = await recordStockMovement({
     productId,
     branchId: fromBranchId,
     tenantId,
@@ -485,6 +558,10 @@ export async function createStockTransfer({
     transferId,
     userId
   }, conn);
+
+  // Los lotes que salieron del origen (FEFO) llegan con el mismo número, vencimiento y costo
+  const transferredLots = await getMovementLots(conn, outMovementId);
+  const transferUnitCost = await getTransferUnitCost(conn, transferId);
   
   await recordStockMovement({
     productId,
@@ -494,7 +571,9 @@ export async function createStockTransfer({
     quantity: quantity, // Cantidad positiva para la suma
     notes: `Transferencia desde sucursal ${fromBranchId}`,
     transferId,
-    userId
+    userId,
+    unitCost: transferUnitCost,
+    lots: transferredLots
   }, conn);
   
   // Actualizar estado de transferencia a "in_transit"
@@ -606,6 +685,13 @@ export async function generateStockAlerts(tenantId, conn = pool) {
     [tenantId]
   );
 
+  // Alertas de lotes por vencer (el procedimiento sólo cubre stock bajo/sin stock/sobrestock)
+  try {
+    await generateExpiryAlerts(tenantId, conn);
+  } catch (error) {
+    console.error('[generateStockAlerts] Error al generar alertas de vencimiento:', error);
+  }
+
   // Crear notificaciones para las nuevas alertas generadas
   try {
     const newAlerts = await getActiveStockAlerts(tenantId, null, conn);
@@ -644,6 +730,10 @@ export async function generateStockAlerts(tenantId, conn = pool) {
               title = `📦 Sobrestock`;
               message = `${productName}${productCode}: Sobrestock en ${branchName}. Actual: ${alert.current_quantity}, Máximo: ${alert.threshold_quantity}`;
               break;
+            case 'expiring_soon':
+              title = `⏳ Lote por vencer`;
+              message = `${productName}${productCode}: El lote ${alert.lot_number || ''} vence el ${alert.lot_expiry_date ? new Date(alert.lot_expiry_date).toLocaleDateString('es-AR') : '-'} en ${branchName}. Quedan ${alert.current_quantity} unidades`;
+              break;
             default:
               title = `⚠️ Alerta de Stock`;
               message = `${productName}${productCode}: Alerta de stock en ${branchName}`;
@@ -688,15 +778,20 @@ export async function generateStockAlerts(tenantId, conn = pool) {
  * Obtiene alertas activas de stock
  */
 export async function getActiveStockAlerts(tenantId, branchId = null, conn = pool) {
+  await ensureLotSchema();
+
   let query = `
     SELECT 
       sa.*,
       p.name as product_name,
       p.code as product_code,
-      tb.name as branch_name
+      tb.name as branch_name,
+      pl.lot_number,
+      pl.expiry_date as lot_expiry_date
     FROM stock_alert sa
     INNER JOIN product p ON p.id = sa.product_id
     LEFT JOIN tenant_branch tb ON tb.id = sa.branch_id
+    LEFT JOIN product_lot pl ON pl.id = sa.lot_id
     WHERE sa.tenant_id = ? AND sa.status = 'active'
   `;
   
@@ -713,25 +808,23 @@ export async function getActiveStockAlerts(tenantId, branchId = null, conn = poo
 }
 
 /**
- * Calcula la valuación de inventario
+ * Calcula la valuación de inventario según el método configurado del tenant
  */
 export async function calculateInventoryValuation(tenantId, branchId = null) {
-  let query = `
-    SELECT 
-      SUM(total_value) as total_inventory_value,
-      SUM(available_value) as available_inventory_value,
-      COUNT(*) as product_count
-    FROM v_inventory_valuation
-    WHERE tenant_id = ?
-  `;
-  
-  const params = [tenantId];
-  if (branchId) {
-    query += ` AND branch_id = ?`;
-    params.push(branchId);
-  }
-  
-  const [rows] = await pool.query(query, params);
-  return rows[0] || { total_inventory_value: 0, available_inventory_value: 0, product_count: 0 };
+  const rows = await listInventoryValuation({ tenantId, branchId });
+  const totals = rows.reduce(
+    (acc, row) => {
+      acc.total_inventory_value += row.total_value;
+      acc.available_inventory_value += row.available_value;
+      return acc;
+    },
+    { total_inventory_value: 0, available_inventory_value: 0 }
+  );
+  return {
+    total_inventory_value: Math.round(totals.total_inventory_value * 100) / 100,
+    available_inventory_value: Math.round(totals.available_inventory_value * 100) / 100,
+    product_count: rows.length,
+    valuation_method: rows[0]?.valuation_method || await getValuationMethod(tenantId)
+  };
 }
 
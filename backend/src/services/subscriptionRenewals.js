@@ -0,0 +1,279 @@
+// src/services/subscriptionRenewals.js
+// Renovación de suscripciones de membresía y recordatorios previos al vencimiento.
+// Lo usan la tarea programada, los endpoints de cron de /api/memberships y los scripts.
+// Ambos procesos se pueden repetir sin duplicar: la renovación pasa la suscripción a
+// 'pending' y el recordatorio queda marcado en renewal_reminder_sent_at.
+import { pool } from "../db.js";
+import { sendWhatsAppText } from "../whatsapp.js";
+import { getTenantMpToken } from "./mercadoPago.js";
+
+const API_URL = process.env.API_URL || process.env.RAILWAY_PUBLIC_DOMAIN || "https://backend-production-1042.up.railway.app";
+
+export const DEFAULT_REMINDER_DAYS = 3;
+const BATCH_LIMIT = 100;
+
+let schemaReady = null;
+
+export function ensureSubscriptionRenewalSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      try {
+        await db.query(`ALTER TABLE customer_subscription ADD COLUMN renewal_reminder_sent_at DATETIME NULL`);
+      } catch (error) {
+        if (error.code !== "ER_DUP_FIELDNAME") throw error;
+      }
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function formatAmount(subscription) {
+  return Number(subscription.price_decimal ?? subscription.amount_decimal ?? 0).toLocaleString("es-AR", {
+    style: "currency",
+    currency: subscription.currency || "ARS",
+  });
+}
+
+/**
+ * Crea la preferencia de pago de Mercado Pago para renovar la suscripción
+ * @returns {Promise<{initPoint: string|null, sandboxInitPoint: string|null}>}
+ */
+async function createRenewalPreference(subscription, mpToken, backPath) {
+  const frontendUrl = process.env.FRONTEND_BASE_URL;
+  const payload = {
+    items: [
+      {
+        title: subscription.plan_name,
+        description: subscription.plan_description || `Renovación ${subscription.plan_name}`,
+        quantity: 1,
+        unit_price: Number(subscription.price_decimal),
+        currency_id: "ARS",
+      },
+    ],
+    external_reference: `tenant:${subscription.tenant_id}:customer:${subscription.customer_id}:plan:${subscription.membership_plan_id}:subscription:renewal:${Date.now()}`,
+    back_urls: frontendUrl
+      ? {
+          success: `${frontendUrl}/${backPath.success}`,
+          failure: `${frontendUrl}/${backPath.failure}`,
+          pending: `${frontendUrl}/${backPath.pending}`,
+        }
+      : {
+          success: `arja-erp://payment-success?status=approved&subscription_id=${subscription.customer_id}`,
+          failure: `arja-erp://payment-failure`,
+          pending: `arja-erp://payment-success?status=pending&subscription_id=${subscription.customer_id}`,
+        },
+    auto_return: "approved",
+    notification_url: `${API_URL}/api/mp-webhook`,
+    statement_descriptor: String(subscription.plan_name || "").substring(0, 22),
+    metadata: {
+      tenant_id: subscription.tenant_id,
+      customer_id: subscription.customer_id,
+      membership_plan_id: subscription.membership_plan_id,
+      subscription_id: subscription.id,
+      subscription_type: "membership_renewal",
+    },
+  };
+
+  const mpResponse = await fetch("https://api.mercadopago.com/checkout/preferences", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${mpToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+  const mpData = await mpResponse.json();
+  if (!mpResponse.ok) {
+    const error = new Error(mpData?.message || "Error creando preferencia");
+    error.details = mpData;
+    throw error;
+  }
+  return { initPoint: mpData.init_point || null, sandboxInitPoint: mpData.sandbox_init_point || null };
+}
+
+async function getCustomer(subscription) {
+  const [[customer]] = await pool.query(
+    `SELECT name, phone_e164, email FROM customer WHERE id = ? AND tenant_id = ? LIMIT 1`,
+    [subscription.customer_id, subscription.tenant_id]
+  );
+  return customer || null;
+}
+
+async function sendRenewalNotification(subscription, paymentLink) {
+  const customer = await getCustomer(subscription);
+  if (!customer?.phone_e164) {
+    console.warn(`[RENEWALS] Cliente ${subscription.customer_id} sin teléfono para avisar la renovación`);
+    return false;
+  }
+  const planName = subscription.plan_name || subscription.reason;
+  const message =
+    `🔄 *Renovación de Suscripción*\n\n` +
+    `Hola ${customer.name || "Cliente"}!\n\n` +
+    `Tu suscripción *${planName}* necesita renovarse.\n\n` +
+    `• Plan: ${planName}\n` +
+    `• Monto: ${formatAmount(subscription)}\n` +
+    `• Duración: ${subscription.frequency || 1} ${subscription.frequency_type === "months" ? "mes(es)" : "día(s)"}\n\n` +
+    `Para renovar, hacé clic en el siguiente link:\n${paymentLink}\n\n` +
+    `Si tenés alguna consulta, no dudes en contactarnos.`;
+
+  const sendResult = await sendWhatsAppText(customer.phone_e164, message, subscription.tenant_id, null, {
+    log: { kind: "membership", customerId: subscription.customer_id },
+  });
+  return !sendResult?.skipped && !sendResult?.error;
+}
+
+/**
+ * Renueva las suscripciones autorizadas cuyo cobro venció en los últimos 7 días:
+ * genera un link de pago nuevo, la deja en 'pending' y avisa al cliente.
+ */
+export async function renewDueSubscriptions() {
+  const [subscriptions] = await pool.query(
+    `SELECT cs.*, mp.name as plan_name, mp.description as plan_description,
+            mp.price_decimal, mp.duration_months
+     FROM customer_subscription cs
+     INNER JOIN membership_plan mp ON cs.membership_plan_id = mp.id
+     WHERE cs.status = 'authorized'
+       AND cs.next_charge_at IS NOT NULL
+       AND cs.next_charge_at <= NOW()
+       AND cs.next_charge_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+     ORDER BY cs.next_charge_at ASC
+     LIMIT ?`,
+    [BATCH_LIMIT]
+  );
+
+  const summary = { found: subscriptions.length, renewed: 0, notified: 0, errors: 0, errorDetails: [] };
+  for (const subscription of subscriptions) {
+    try {
+      const mpToken = await getTenantMpToken(subscription.tenant_id);
+      if (!mpToken) throw new Error("Token de MP no encontrado");
+
+      const { initPoint, sandboxInitPoint } = await createRenewalPreference(subscription, mpToken, {
+        success: "subscription/success?status=approved",
+        failure: "subscription/failure",
+        pending: "subscription/success?status=pending",
+      });
+
+      // Sólo si sigue autorizada: otra ejecución pudo haberla renovado mientras tanto
+      const [result] = await pool.query(
+        `UPDATE customer_subscription
+         SET mp_init_point = ?,
+             mp_sandbox_init_point = ?,
+             status = 'pending',
+             updated_at = NOW()
+         WHERE id = ? AND status = 'authorized'`,
+        [initPoint, sandboxInitPoint, subscription.id]
+      );
+      if (!result.affectedRows) continue;
+      summary.renewed += 1;
+
+      try {
+        if (await sendRenewalNotification(subscription, initPoint || sandboxInitPoint)) summary.notified += 1;
+      } catch (notifError) {
+        // No fallar la renovación si la notificación falla
+        console.warn(`[RENEWALS] ⚠️ Error avisando la renovación ${subscription.id}:`, notifError.message);
+      }
+    } catch (error) {
+      console.error(`[RENEWALS] ❌ Error renovando la suscripción ${subscription.id}:`, error.message);
+      summary.errors += 1;
+      summary.errorDetails.push({ subscription_id: subscription.id, error: error.message });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Avisa a los clientes cuya suscripción vence en los próximos `daysBefore` días.
+ * Un recordatorio por ciclo de cobro.
+ */
+export async function sendRenewalReminders({ daysBefore = DEFAULT_REMINDER_DAYS } = {}) {
+  await ensureSubscriptionRenewalSchema();
+  const days = Math.max(1, Number.parseInt(daysBefore, 10) || DEFAULT_REMINDER_DAYS);
+  const [subscriptions] = await pool.query(
+    `SELECT cs.*, mp.name as plan_name, mp.description as plan_description,
+            mp.price_decimal, mp.duration_months
+     FROM customer_subscription cs
+     INNER JOIN membership_plan mp ON cs.membership_plan_id = mp.id
+     WHERE cs.status = 'authorized'
+       AND cs.next_charge_at IS NOT NULL
+       AND cs.next_charge_at BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
+       AND (cs.last_payment_at IS NULL OR cs.last_payment_at < DATE_SUB(cs.next_charge_at, INTERVAL ? DAY))
+       AND (cs.renewal_reminder_sent_at IS NULL OR cs.renewal_reminder_sent_at < DATE_SUB(cs.next_charge_at, INTERVAL ? DAY))
+     ORDER BY cs.next_charge_at ASC
+     LIMIT ?`,
+    [days, days, days, BATCH_LIMIT]
+  );
+
+  const summary = { found: subscriptions.length, sent: 0, skipped: 0, errors: 0, errorDetails: [] };
+  for (const subscription of subscriptions) {
+    try {
+      const customer = await getCustomer(subscription);
+      if (!customer?.phone_e164) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const daysRemaining = Math.ceil((new Date(subscription.next_charge_at) - new Date()) / (1000 * 60 * 60 * 24));
+      const renewalDate = new Date(subscription.next_charge_at).toLocaleDateString("es-AR", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      });
+
+      let paymentLink = subscription.mp_init_point || subscription.mp_sandbox_init_point;
+      if (!paymentLink) {
+        const mpToken = await getTenantMpToken(subscription.tenant_id);
+        if (mpToken) {
+          try {
+            const { initPoint, sandboxInitPoint } = await createRenewalPreference(subscription, mpToken, {
+              success: "memberships/success",
+              failure: "memberships/failure",
+              pending: "memberships/pending",
+            });
+            paymentLink = initPoint || sandboxInitPoint;
+            await pool.query(
+              `UPDATE customer_subscription
+               SET mp_init_point = ?, mp_sandbox_init_point = ?, updated_at = NOW()
+               WHERE id = ?`,
+              [initPoint, sandboxInitPoint, subscription.id]
+            );
+          } catch (error) {
+            console.warn(`[RENEWALS] No se pudo generar el link de pago de ${subscription.id}:`, error.message);
+          }
+        }
+      }
+
+      const message =
+        `⏰ *Recordatorio de Renovación*\n\n` +
+        `Hola ${customer.name || "Cliente"}!\n\n` +
+        `Te recordamos que tu suscripción *${subscription.plan_name}* vence en ${daysRemaining} día(s).\n\n` +
+        `• Plan: ${subscription.plan_name}\n` +
+        `• Monto: ${formatAmount(subscription)}\n` +
+        `• Fecha de renovación: ${renewalDate}\n\n` +
+        (paymentLink ? `Para renovar ahora, hacé clic aquí:\n${paymentLink}\n\n` : "") +
+        `Si tenés alguna consulta, no dudes en contactarnos.`;
+
+      const sendResult = await sendWhatsAppText(customer.phone_e164, message, subscription.tenant_id, null, {
+        log: { kind: "membership", customerId: subscription.customer_id },
+      });
+      if (sendResult?.skipped) {
+        summary.skipped += 1;
+      } else if (sendResult?.error) {
+        summary.errors += 1;
+        summary.errorDetails.push({ subscription_id: subscription.id, error: sendResult.error });
+      } else {
+        await pool.query(`UPDATE customer_subscription SET renewal_reminder_sent_at = NOW() WHERE id = ?`, [
+          subscription.id,
+        ]);
+        summary.sent += 1;
+      }
+    } catch (error) {
+      console.error(`[RENEWALS] ❌ Error con el recordatorio de ${subscription.id}:`, error.message);
+      summary.errors += 1;
+      summary.errorDetails.push({ subscription_id: subscription.id, error: error.message });
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,575 @@
+// src/services/timeOffReschedule.js
+// Reprogramación de turnos cuando un profesional carga un bloqueo (time_off) encima
+// de turnos ya reservados. Cada turno afectado queda marcado para reprogramar y se le
+// ofrece al cliente por WhatsApp una lista con horarios alternativos (mismo profesional
+// otro día u otro profesional que hace el servicio), cancelar o esperar.
+import { pool } from "../db.js";
+import { sendWhatsAppText } from "../whatsapp.js";
+import { sendList } from "../whatsapp-ui.js";
+import { getFreeSlots } from "../routes/availability.js";
+import { ensureClosureSchema } from "./closures.js";
+
+const ACTIVE_APPOINTMENT_STATUSES = ["scheduled", "confirmed", "deposit_paid", "pending_deposit"];
+const OPEN_STATUSES = ["offered", "waiting", "no_contact"];
+// Días hacia adelante en los que se buscan alternativas
+const SEARCH_DAYS = Number(process.env.RESCHEDULE_SEARCH_DAYS || 14);
+// La lista de WhatsApp admite 10 filas: 8 horarios + esperar + cancelar
+const MAX_SAME_INSTRUCTOR = 4;
+const MAX_OTHER_INSTRUCTORS = 4;
+const MAX_OTHER_CANDIDATES = 5;
+
+let schemaReady = null;
+
+export function ensureRescheduleSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await ensureClosureSchema(db);
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS appointment_reschedule (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          appointment_id INT NOT NULL,
+          time_off_id INT NULL,
+          customer_id INT NULL,
+          instructor_id INT NOT NULL,
+          original_starts_at DATETIME NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'offered',
+          options JSON NULL,
+          chosen_instructor_id INT NULL,
+          chosen_starts_at DATETIME NULL,
+          notified_at DATETIME NULL,
+          responded_at DATETIME NULL,
+          last_error VARCHAR(255) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          KEY idx_reschedule_tenant_status (tenant_id, status),
+          KEY idx_reschedule_appointment (appointment_id),
+          KEY idx_reschedule_time_off (time_off_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function rescheduleError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toDate(value) {
+  return value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+}
+
+function toDateKey(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function toMySQL(date) {
+  return `${toDateKey(date)} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:00`;
+}
+
+function formatShort(value) {
+  const d = toDate(value);
+  const fecha = d.toLocaleDateString("es-AR", { weekday: "short", day: "2-digit", month: "2-digit" });
+  const hora = d.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+  return `${fecha} ${hora}`;
+}
+
+function parseOptions(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Cruza turnos con bloqueos: devuelve cada turno que se superpone con algún bloqueo
+ * (un turno aparece una sola vez, asociado al primer bloqueo que lo pisa)
+ * @param {Array<{ id, starts_at, ends_at }>} appointments
+ * @param {Array<{ id, startsAt, endsAt }>} blocks
+ * @returns {Array<{ appointment: Object, block: Object }>}
+ */
+export function matchAppointmentsToBlocks(appointments, blocks) {
+  const ranges = blocks.map((block) => ({
+    block,
+    start: toDate(block.startsAt),
+    end: toDate(block.endsAt),
+  }));
+  const matches = [];
+  for (const appointment of appointments) {
+    const start = toDate(appointment.starts_at);
+    const end = toDate(appointment.ends_at);
+    const hit = ranges.find((range) => start < range.end && end > range.start);
+    if (hit) matches.push({ appointment, block: hit.block });
+  }
+  return matches;
+}
+
+/**
+ * Interpreta el id de una fila/botón de WhatsApp de reprogramación
+ * rs_opt_<requestId>_<index> | rs_wait_<requestId> | rs_cancel_<requestId>
+ * @returns {{ requestId: number, action: "option"|"wait"|"cancel", optionIndex: number|null }|null}
+ */
+export function parseRescheduleReply(id) {
+  const match = /^rs_(opt|wait|cancel)_(\d+)(?:_(\d+))?$/.exec(String(id || ""));
+  if (!match) return null;
+  const action = match[1] === "opt" ? "option" : match[1];
+  if (action === "option" && match[3] == null) return null;
+  return {
+    requestId: Number(match[2]),
+    action,
+    optionIndex: action === "option" ? Number(match[3]) : null,
+  };
+}
+
+async function listFreeStarts({ tenantId, instructorId, serviceId, date, branchId }) {
+  const { slots, busySlots } = await getFreeSlots({ tenantId, instructorId, serviceId, date, branchId });
+  const busy = new Set(busySlots);
+  return slots.filter((slot) => !busy.has(slot)).map((slot) => `${date} ${slot}:00`);
+}
+
+async function listOtherInstructors(db, { tenantId, instructorId, serviceId, branchId }) {
+  const [mapped] = await db.query(
+    `SELECT DISTINCT i.id, i.name
+       FROM instructor_service isvc
+       JOIN instructor i ON i.id = isvc.instructor_id AND i.tenant_id = isvc.tenant_id
+      WHERE isvc.tenant_id = ? AND isvc.service_id = ? AND i.is_active = 1 AND i.id <> ?
+      ORDER BY i.name ASC
+      LIMIT ${MAX_OTHER_CANDIDATES}`,
+    [tenantId, serviceId, instructorId]
+  );
+  if (mapped.length) return mapped;
+
+  // Sin asignación explícita de servicios: cualquier profesional activo de la sucursal
+  const params = [tenantId, instructorId];
+  let branchSQL = "";
+  if (branchId) {
+    branchSQL = " AND (branch_id = ? OR branch_id IS NULL)";
+    params.push(branchId);
+  }
+  const [rows] = await db.query(
+    `SELECT id, name FROM instructor
+      WHERE tenant_id = ? AND is_active = 1 AND id <> ?${branchSQL}
+      ORDER BY name ASC
+      LIMIT ${MAX_OTHER_CANDIDATES}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Horarios alternativos para un turno afectado: primero el mismo profesional
+ * (hasta 2 por día), luego otros profesionales que hacen el servicio (1 por día cada uno).
+ * @returns {Promise<Array<{ instructorId: number, instructorName: string, startsAt: string, sameInstructor: boolean }>>}
+ */
+export async function findRescheduleOptions({ tenantId, appointment, now = new Date() }) {
+  const serviceId = Number(appointment.service_id);
+  const instructorId = Number(appointment.instructor_id);
+  const branchId = appointment.branch_id ? Number(appointment.branch_id) : null;
+
+  const [[instructor]] = await pool.query(`SELECT name FROM instructor WHERE id = ? AND tenant_id = ?`, [
+    instructorId,
+    tenantId,
+  ]);
+  const others = await listOtherInstructors(pool, { tenantId, instructorId, serviceId, branchId });
+
+  const original = toDate(appointment.starts_at);
+  const firstDay = original > now ? new Date(original) : new Date(now);
+  firstDay.setHours(0, 0, 0, 0);
+
+  const same = [];
+  const alternatives = [];
+  const nowKey = toMySQL(now);
+
+  for (let i = 0; i < SEARCH_DAYS; i++) {
+    if (same.length >= MAX_SAME_INSTRUCTOR && alternatives.length >= MAX_OTHER_INSTRUCTORS) break;
+    const day = new Date(firstDay);
+    day.setDate(day.getDate() + i);
+    const date = toDateKey(day);
+
+    if (same.length < MAX_SAME_INSTRUCTOR) {
+      const starts = await listFreeStarts({ tenantId, instructorId, serviceId, date, branchId });
+      for (const startsAt of starts.filter((s) => s > nowKey).slice(0, 2)) {
+        if (same.length >= MAX_SAME_INSTRUCTOR) break;
+        same.push({ instructorId, instructorName: instructor?.name || "", startsAt, sameInstructor: true });
+      }
+    }
+
+    for (const other of others) {
+      if (alternatives.length >= MAX_OTHER_INSTRUCTORS) break;
+      const starts = await listFreeStarts({ tenantId, instructorId: other.id, serviceId, date, branchId });
+      // Preferir el mismo horario del turno original si está libre
+      const originalTime = `${date} ${pad2(original.getHours())}:${pad2(original.getMinutes())}:00`;
+      const candidates = starts.filter((s) => s > nowKey);
+      const startsAt = candidates.includes(originalTime) ? originalTime : candidates[0];
+      if (startsAt) {
+        alternatives.push({
+          instructorId: Number(other.id),
+          instructorName: other.name,
+          startsAt,
+          sameInstructor: false,
+        });
+      }
+    }
+  }
+
+  return [...same, ...alternatives];
+}
+
+/**
+ * Arma la lista interactiva que recibe el cliente
+ */
+export function buildRescheduleRows(requestId, options) {
+  return [
+    ...options.map((option, index) => ({
+      id: `rs_opt_${requestId}_${index}`,
+      title: formatShort(option.startsAt),
+      description: option.sameInstructor ? `Con ${option.instructorName}` : `Con ${option.instructorName} (otro profesional)`,
+    })),
+    { id: `rs_wait_${requestId}`, title: "Esperar otra fecha", description: "El negocio te contacta con más opciones" },
+    { id: `rs_cancel_${requestId}`, title: "Cancelar turno" },
+  ];
+}
+
+async function loadRequest(db, tenantId, requestId, { lock = false } = {}) {
+  const [[row]] = await db.query(
+    `SELECT rr.*, a.status AS appointment_status, a.needs_reschedule, a.service_id, a.branch_id,
+            a.starts_at, a.ends_at, a.instructor_id AS current_instructor_id,
+            c.name AS customer_name, c.phone_e164 AS customer_phone,
+            s.name AS service_name, i.name AS instructor_name
+       FROM appointment_reschedule rr
+       JOIN appointment a ON a.id = rr.appointment_id AND a.tenant_id = rr.tenant_id
+       LEFT JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+       LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+       LEFT JOIN instructor i ON i.id = rr.instructor_id AND i.tenant_id = rr.tenant_id
+      WHERE rr.id = ? AND rr.tenant_id = ?
+      LIMIT 1${lock ? " FOR UPDATE" : ""}`,
+    [requestId, tenantId]
+  );
+  return row || null;
+}
+
+/**
+ * Calcula alternativas y le manda al cliente la lista por WhatsApp.
+ * Nunca lanza: el error queda en last_error para el tablero del admin.
+ */
+export async function offerReschedule(tenantId, requestId) {
+  await ensureRescheduleSchema();
+  const request = await loadRequest(pool, tenantId, requestId);
+  if (!request) return { ok: false, error: "Reprogramación no encontrada" };
+
+  try {
+    const options = await findRescheduleOptions({ tenantId, appointment: request });
+    await pool.query(`UPDATE appointment_reschedule SET options = ? WHERE id = ?`, [
+      JSON.stringify(options),
+      requestId,
+    ]);
+
+    if (!request.customer_phone) {
+      await pool.query(
+        `UPDATE appointment_reschedule SET status = 'no_contact', last_error = ? WHERE id = ?`,
+        ["El cliente no tiene WhatsApp cargado", requestId]
+      );
+      return { ok: false, error: "El cliente no tiene WhatsApp cargado" };
+    }
+
+    const greeting = request.customer_name ? `¡Hola ${request.customer_name.split(" ")[0]}!` : "¡Hola!";
+    const service = request.service_name || "tu turno";
+    const intro =
+      `${greeting} ${request.instructor_name || "Tu profesional"} no va a poder atenderte el ` +
+      `${formatShort(request.original_starts_at)} (${service}).`;
+    const body = options.length
+      ? `${intro}\n\nElegí un nuevo horario, cancelá el turno o esperá a que te contactemos con otras opciones.`
+      : `${intro}\n\nPor ahora no encontramos horarios libres. Podés esperar a que te contactemos o cancelar el turno.`;
+
+    try {
+      await sendList(
+        request.customer_phone,
+        {
+          header: "Reprogramar turno",
+          body,
+          buttonText: "Ver opciones",
+          title: "Opciones",
+          rows: buildRescheduleRows(requestId, options),
+        },
+        tenantId
+      );
+    } catch (err) {
+      // Fuera de la ventana de 24 h los mensajes interactivos fallan: probar con texto
+      console.warn("[Reschedule] No se pudo enviar la lista:", err.message);
+      const listText = options.map((o) => `• ${formatShort(o.startsAt)} con ${o.instructorName}`).join("\n");
+      await sendWhatsAppText(
+        request.customer_phone,
+        `${intro}\n\n${listText ? `Horarios disponibles:\n${listText}\n\n` : ""}` +
+          "Respondé a este mensaje para coordinar un nuevo horario.",
+        tenantId
+      );
+    }
+
+    await pool.query(
+      `UPDATE appointment_reschedule
+          SET status = 'offered', notified_at = NOW(), last_error = NULL
+        WHERE id = ?`,
+      [requestId]
+    );
+    return { ok: true, options };
+  } catch (err) {
+    console.error(`[Reschedule] Error ofreciendo reprogramación ${requestId}:`, err.message);
+    await pool
+      .query(`UPDATE appointment_reschedule SET last_error = ? WHERE id = ?`, [
+        String(err.message || "Error").slice(0, 255),
+        requestId,
+      ])
+      .catch(() => {});
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Detecta los turnos pisados por bloqueos recién creados, los marca para reprogramar
+ * y abre una solicitud por turno. El aviso por WhatsApp se envía en segundo plano.
+ * @param {number} tenantId
+ * @param {{ instructorId: number, blocks: Array<{ id, startsAt, endsAt, reason? }>, notify?: boolean }} params
+ * @returns {Promise<{ affected: number, requests: number[] }>}
+ */
+export async function handleTimeOffCreated(tenantId, { instructorId, blocks, notify = true }) {
+  if (!blocks?.length) return { affected: 0, requests: [] };
+  await ensureRescheduleSchema();
+
+  const sorted = blocks
+    .map((block) => ({ ...block, start: toDate(block.startsAt), end: toDate(block.endsAt) }))
+    .sort((a, b) => a.start - b.start);
+  const from = toMySQL(sorted[0].start);
+  const to = toMySQL(sorted.reduce((max, b) => (b.end > max ? b.end : max), sorted[0].end));
+
+  const placeholders = ACTIVE_APPOINTMENT_STATUSES.map(() => "?").join(",");
+  const [appointments] = await pool.query(
+    `SELECT a.id, a.starts_at, a.ends_at, a.customer_id
+       FROM appointment a
+      WHERE a.tenant_id = ? AND a.instructor_id = ?
+        AND a.starts_at < ? AND a.ends_at > ? AND a.starts_at > NOW()
+        AND a.status IN (${placeholders})
+        AND NOT EXISTS (
+          SELECT 1 FROM appointment_reschedule rr
+           WHERE rr.appointment_id = a.id AND rr.tenant_id = a.tenant_id
+             AND rr.status IN (${OPEN_STATUSES.map(() => "?").join(",")})
+        )`,
+    [tenantId, instructorId, to, from, ...ACTIVE_APPOINTMENT_STATUSES, ...OPEN_STATUSES]
+  );
+
+  const matches = matchAppointmentsToBlocks(appointments, blocks);
+  if (!matches.length) return { affected: 0, requests: [] };
+
+  const requests = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const { appointment, block } of matches) {
+      await conn.query(
+        `UPDATE appointment
+            SET needs_reschedule = 1, reschedule_reason = ?, reschedule_source = ?
+          WHERE id = ? AND tenant_id = ?`,
+        [`Bloqueo: ${block.reason || "profesional no disponible"}`.slice(0, 255), `time_off:${block.id}`, appointment.id, tenantId]
+      );
+      const [result] = await conn.query(
+        `INSERT INTO appointment_reschedule
+           (tenant_id, appointment_id, time_off_id, customer_id, instructor_id, original_starts_at, status)
+         VALUES (?,?,?,?,?,?, 'offered')`,
+        [tenantId, appointment.id, block.id, appointment.customer_id || null, instructorId, appointment.starts_at]
+      );
+      requests.push(result.insertId);
+    }
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  if (notify) {
+    (async () => {
+      for (const requestId of requests) {
+        await offerReschedule(tenantId, requestId);
+      }
+    })().catch((err) => console.error("[Reschedule] Error notificando clientes:", err.message));
+  } else {
+    await pool.query(
+      `UPDATE appointment_reschedule SET status = 'waiting' WHERE tenant_id = ? AND id IN (?)`,
+      [tenantId, requests]
+    );
+  }
+
+  return { affected: requests.length, requests };
+}
+
+/**
+ * Se eliminó el bloqueo: los turnos vuelven a estar en pie
+ */
+export async function withdrawTimeOffReschedules(tenantId, timeOffId) {
+  await ensureRescheduleSchema();
+  await pool.query(
+    `UPDATE appointment
+        SET needs_reschedule = 0, reschedule_reason = NULL, reschedule_source = NULL
+      WHERE tenant_id = ? AND reschedule_source = ?`,
+    [tenantId, `time_off:${timeOffId}`]
+  );
+  const [result] = await pool.query(
+    `UPDATE appointment_reschedule SET status = 'withdrawn'
+      WHERE tenant_id = ? AND time_off_id = ? AND status IN (?)`,
+    [tenantId, timeOffId, OPEN_STATUSES]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Respuesta del cliente a la lista de WhatsApp. Sólo el cliente del turno puede responder.
+ * @param {{ tenantId: number, requestId: number, action: "option"|"wait"|"cancel", optionIndex?: number, customerId: number }} params
+ */
+export async function respondToReschedule({ tenantId, requestId, action, optionIndex = null, customerId = null }) {
+  if (!customerId) return { ok: false, error: "No encontramos esa reprogramación" };
+  await ensureRescheduleSchema();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const request = await loadRequest(conn, tenantId, requestId, { lock: true });
+    if (!request || Number(request.customer_id) !== Number(customerId)) {
+      await conn.rollback();
+      return { ok: false, error: "No encontramos esa reprogramación" };
+    }
+    const stillOpen =
+      OPEN_STATUSES.includes(request.status) &&
+      Number(request.needs_reschedule) === 1 &&
+      ACTIVE_APPOINTMENT_STATUSES.includes(request.appointment_status);
+    if (!stillOpen) {
+      await conn.rollback();
+      return { ok: false, error: "Este turno ya fue reprogramado o cancelado" };
+    }
+
+    if (action === "wait") {
+      await conn.query(
+        `UPDATE appointment_reschedule SET status = 'waiting', responded_at = NOW() WHERE id = ?`,
+        [requestId]
+      );
+      await conn.commit();
+      return { ok: true, action };
+    }
+
+    if (action === "cancel") {
+      await conn.query(
+        `UPDATE appointment
+            SET status = 'cancelled', hold_until = NULL,
+                needs_reschedule = 0, reschedule_reason = NULL, reschedule_source = NULL
+          WHERE id = ? AND tenant_id = ?`,
+        [request.appointment_id, tenantId]
+      );
+      await conn.query(
+        `UPDATE appointment_reschedule SET status = 'cancelled', responded_at = NOW() WHERE id = ?`,
+        [requestId]
+      );
+      await conn.commit();
+      return { ok: true, action };
+    }
+
+    if (action !== "option") throw rescheduleError("Acción inválida");
+    const option = parseOptions(request.options)[Number(optionIndex)];
+    if (!option) {
+      await conn.rollback();
+      return { ok: false, error: "Esa opción ya no está disponible" };
+    }
+
+    // El horario pudo ocuparse desde que se ofreció
+    const date = option.startsAt.slice(0, 10);
+    const free = await listFreeStarts({
+      tenantId,
+      instructorId: option.instructorId,
+      serviceId: request.service_id,
+      date,
+      branchId: request.branch_id,
+    });
+    if (!free.includes(option.startsAt)) {
+      await conn.rollback();
+      return { ok: false, error: "Ese horario ya no está disponible", retry: true };
+    }
+
+    const durationMs = toDate(request.ends_at) - toDate(request.starts_at);
+    const newStart = toDate(option.startsAt);
+    const newEnd = new Date(newStart.getTime() + durationMs);
+    await conn.query(
+      `UPDATE appointment
+          SET instructor_id = ?, starts_at = ?, ends_at = ?,
+              needs_reschedule = 0, reschedule_reason = NULL, reschedule_source = NULL
+        WHERE id = ? AND tenant_id = ?`,
+      [option.instructorId, toMySQL(newStart), toMySQL(newEnd), request.appointment_id, tenantId]
+    );
+    await conn.query(
+      `UPDATE appointment_reschedule
+          SET status = 'rescheduled', responded_at = NOW(),
+              chosen_instructor_id = ?, chosen_starts_at = ?
+        WHERE id = ?`,
+      [option.instructorId, toMySQL(newStart), requestId]
+    );
+    await conn.commit();
+    return { ok: true, action, startsAt: toMySQL(newStart), instructorName: option.instructorName };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Tablero de reprogramaciones para el admin.
+ * Las solicitudes abiertas cuyo turno ya se movió desde la agenda figuran como 'resolved'.
+ */
+export async function listRescheduleRequests(tenantId, { instructorId = null, status = "open" } = {}) {
+  await ensureRescheduleSchema();
+  const params = [tenantId];
+  let sql = `
+    SELECT rr.id, rr.appointment_id, rr.time_off_id, rr.instructor_id, rr.original_starts_at,
+           rr.status, rr.options, rr.chosen_starts_at, rr.chosen_instructor_id,
+           rr.notified_at, rr.responded_at, rr.last_error, rr.created_at,
+           a.starts_at, a.status AS appointment_status, a.needs_reschedule,
+           c.name AS customer_name, c.phone_e164 AS customer_phone,
+           s.name AS service_name, i.name AS instructor_name, ci.name AS chosen_instructor_name,
+           t.reason AS time_off_reason
+      FROM appointment_reschedule rr
+      JOIN appointment a ON a.id = rr.appointment_id AND a.tenant_id = rr.tenant_id
+      LEFT JOIN customer c ON c.id = a.customer_id AND c.tenant_id = a.tenant_id
+      LEFT JOIN service s ON s.id = a.service_id AND s.tenant_id = a.tenant_id
+      LEFT JOIN instructor i ON i.id = rr.instructor_id AND i.tenant_id = rr.tenant_id
+      LEFT JOIN instructor ci ON ci.id = rr.chosen_instructor_id AND ci.tenant_id = rr.tenant_id
+      LEFT JOIN time_off t ON t.id = rr.time_off_id AND t.tenant_id = rr.tenant_id
+     WHERE rr.tenant_id = ?`;
+  if (instructorId) {
+    sql += " AND rr.instructor_id = ?";
+    params.push(Number(instructorId));
+  }
+  if (status === "open") {
+    sql += " AND rr.status IN (?) AND a.needs_reschedule = 1";
+    params.push(OPEN_STATUSES);
+  }
+  sql += " ORDER BY rr.original_starts_at ASC LIMIT 200";
+  const [rows] = await pool.query(sql, params);
+
+  return rows.map((row) => ({
+    ...row,
+    options: parseOptions(row.options),
+    status:
+      OPEN_STATUSES.includes(row.status) && Number(row.needs_reschedule) !== 1 ? "resolved" : row.status,
+  }));
+}
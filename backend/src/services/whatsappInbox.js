@@ -0,0 +1,345 @@
+// src/services/whatsappInbox.js
+// Bandeja de entrada compartida de WhatsApp: el equipo ve las conversaciones
+// registradas en whatsapp_message, las toma o asigna, responde dentro de la ventana
+// de 24 h (o con una plantilla aprobada fuera de ella), las cierra o se las devuelve
+// al bot. Mientras una conversación está tomada la sesión del bot queda en
+// "waiting_for_agent", así el bot no contesta por encima de la persona.
+import { pool } from "../db.js";
+import { sendWhatsAppText, sendWhatsAppTemplate } from "../whatsapp.js";
+import { getSession, setStep, reset } from "../helpers/session.js";
+import { getTenantWhatsAppHub } from "./whatsappHub.js";
+import {
+  CONVERSATION_STATUS,
+  ensureWhatsAppLogSchema,
+  isWithinServiceWindow,
+  toConversationPhone,
+} from "./whatsappMessageLog.js";
+
+const WA_API_VERSION = process.env.WHATSAPP_API_VERSION || "v24.0";
+
+const BACK_TO_BOT_MESSAGE =
+  "🤖 Te vuelve a atender nuestro asistente automático. Escribí *hola* para ver el menú.";
+const CLOSED_MESSAGE =
+  "👋 Damos por finalizada la conversación. Si necesitás algo más, escribí *hola*.";
+
+function inboxError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function mapConversation(row, now = new Date()) {
+  return {
+    id: row.id,
+    phone: row.phone,
+    customerId: row.customer_id || null,
+    customerName: row.customer_name || null,
+    contactName: row.contact_name || null,
+    status: row.status,
+    assignedUserId: row.assigned_user_id || null,
+    assignedUserEmail: row.assigned_user_email || null,
+    unreadCount: Number(row.unread_count || 0),
+    lastMessageAt: row.last_message_at,
+    lastInboundAt: row.last_inbound_at,
+    lastMessagePreview: row.last_message_preview || "",
+    handoffAt: row.handoff_at,
+    canReply: isWithinServiceWindow(row.last_inbound_at, now),
+  };
+}
+
+function mapMessage(row) {
+  return {
+    id: row.id,
+    direction: row.direction,
+    type: row.message_type,
+    body: row.body || "",
+    templateName: row.template_name || null,
+    status: row.status,
+    error: row.error_message || null,
+    senderUserId: row.sender_user_id || null,
+    senderEmail: row.sender_email || null,
+    createdAt: row.created_at,
+  };
+}
+
+// El número del agente (reenvío al celular) no es una conversación con un cliente
+async function getSupportAgentPhone(tenantId) {
+  const config = await getTenantWhatsAppHub(tenantId).catch(() => null);
+  return config?.supportAgentPhone ? toConversationPhone(config.supportAgentPhone) : null;
+}
+
+const CONVERSATION_SELECT = `
+  SELECT wc.*, c.name AS customer_name, u.email AS assigned_user_email
+    FROM whatsapp_conversation wc
+    LEFT JOIN customer c ON c.id = wc.customer_id AND c.tenant_id = wc.tenant_id
+    LEFT JOIN users u ON u.id = wc.assigned_user_id`;
+
+async function loadConversation(db, tenantId, conversationId) {
+  const [[row]] = await db.query(
+    `${CONVERSATION_SELECT}
+      WHERE wc.id = ? AND wc.tenant_id = ?
+      LIMIT 1`,
+    [conversationId, tenantId]
+  );
+  if (!row) throw inboxError("Conversación no encontrada", 404);
+  return row;
+}
+
+/**
+ * Conversaciones del tenant, primero las que esperan a una persona
+ * @param {{ status?: string, mine?: boolean, userId?: number, q?: string, limit?: number }} filters
+ */
+export async function listConversations(tenantId, { status = null, mine = false, userId = null, q = "", limit = 50 } = {}) {
+  await ensureWhatsAppLogSchema();
+  const where = ["wc.tenant_id = ?"];
+  const params = [tenantId];
+
+  if (status === "open") {
+    where.push("wc.status IN ('pending', 'assigned')");
+  } else if (status && Object.values(CONVERSATION_STATUS).includes(status)) {
+    where.push("wc.status = ?");
+    params.push(status);
+  }
+  if (mine && userId) {
+    where.push("wc.assigned_user_id = ?");
+    params.push(userId);
+  }
+  const search = String(q || "").trim();
+  if (search) {
+    where.push("(wc.phone LIKE ? OR wc.contact_name LIKE ? OR c.name LIKE ?)");
+    params.push(`%${search.replace(/\D/g, "") || search}%`, `%${search}%`, `%${search}%`);
+  }
+  const agentPhone = await getSupportAgentPhone(tenantId);
+  if (agentPhone) {
+    where.push("wc.phone <> ?");
+    params.push(agentPhone);
+  }
+
+  const [rows] = await pool.query(
+    `${CONVERSATION_SELECT}
+      WHERE ${where.join(" AND ")}
+      ORDER BY FIELD(wc.status, 'pending', 'assigned', 'bot', 'closed'), wc.last_message_at DESC
+      LIMIT ?`,
+    [...params, Math.min(200, Math.max(1, Number(limit) || 50))]
+  );
+  const now = new Date();
+  return rows.map((row) => mapConversation(row, now));
+}
+
+/**
+ * Cantidad de conversaciones esperando respuesta (para el badge del menú)
+ */
+export async function countPendingConversations(tenantId) {
+  await ensureWhatsAppLogSchema();
+  const [[row]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM whatsapp_conversation WHERE tenant_id = ? AND status = 'pending'`,
+    [tenantId]
+  );
+  return Number(row?.total || 0);
+}
+
+/**
+ * Conversación con sus mensajes (los más recientes, en orden cronológico); la marca como leída
+ */
+export async function getConversation(tenantId, conversationId, { beforeId = null, limit = 100 } = {}) {
+  await ensureWhatsAppLogSchema();
+  const conversation = await loadConversation(pool, tenantId, conversationId);
+  const params = [tenantId, conversationId];
+  let beforeClause = "";
+  if (beforeId) {
+    beforeClause = "AND m.id < ?";
+    params.push(beforeId);
+  }
+  const [rows] = await pool.query(
+    `SELECT m.*, u.email AS sender_email
+       FROM whatsapp_message m
+       LEFT JOIN users u ON u.id = m.sender_user_id
+      WHERE m.tenant_id = ? AND m.conversation_id = ? ${beforeClause}
+      ORDER BY m.id DESC
+      LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  if (!beforeId && conversation.unread_count > 0) {
+    await pool.query(`UPDATE whatsapp_conversation SET unread_count = 0 WHERE id = ?`, [conversation.id]);
+    conversation.unread_count = 0;
+  }
+  return {
+    conversation: mapConversation(conversation),
+    messages: rows.reverse().map(mapMessage),
+  };
+}
+
+// Deja al bot en espera para que no conteste mientras atiende una persona
+// (también corta el reenvío al celular del agente, si estaba configurado)
+async function holdBot(tenantId, phone) {
+  await setStep(phone, "waiting_for_agent", { tenantId, inbox: true }, tenantId);
+}
+
+async function assertAssignableUser(tenantId, userId) {
+  const [[user]] = await pool.query(
+    `SELECT id FROM users WHERE id = ? AND tenant_id = ? AND is_active = 1 LIMIT 1`,
+    [userId, tenantId]
+  );
+  if (!user) throw inboxError("Usuario no encontrado", 404);
+}
+
+/**
+ * Asigna la conversación a un usuario del equipo (o a quien la toma)
+ */
+export async function assignConversation(tenantId, conversationId, { userId }) {
+  await ensureWhatsAppLogSchema();
+  if (!userId) throw inboxError("Indicá a quién asignar la conversación");
+  await assertAssignableUser(tenantId, userId);
+  const conversation = await loadConversation(pool, tenantId, conversationId);
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET status = 'assigned', assigned_user_id = ?, closed_at = NULL,
+            handoff_at = COALESCE(handoff_at, NOW()), updated_at = NOW()
+      WHERE id = ?`,
+    [userId, conversation.id]
+  );
+  await holdBot(tenantId, conversation.phone);
+  return mapConversation(await loadConversation(pool, tenantId, conversation.id));
+}
+
+// Sale del modo asesor: el próximo mensaje del cliente lo atiende el bot
+async function releaseConversation(tenantId, conversationId, { status, message }) {
+  await ensureWhatsAppLogSchema();
+  const conversation = await loadConversation(pool, tenantId, conversationId);
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET status = ?, assigned_user_id = NULL,
+            closed_at = IF(? = 'closed', NOW(), NULL), updated_at = NOW()
+      WHERE id = ?`,
+    [status, status, conversation.id]
+  );
+  const session = await getSession(conversation.phone, tenantId);
+  if (session.step === "waiting_for_agent") {
+    await reset(conversation.phone, tenantId);
+  }
+  // Avisar al cliente sólo si la ventana sigue abierta (si no, Meta rechaza el texto)
+  if (conversation.status !== CONVERSATION_STATUS.BOT && isWithinServiceWindow(conversation.last_inbound_at)) {
+    await sendWhatsAppText(conversation.phone, message, tenantId).catch((error) =>
+      console.warn(`[WA Inbox] No se pudo avisar al cliente ${conversation.phone}:`, error.message)
+    );
+  }
+  return mapConversation(await loadConversation(pool, tenantId, conversation.id));
+}
+
+export function returnConversationToBot(tenantId, conversationId) {
+  return releaseConversation(tenantId, conversationId, {
+    status: CONVERSATION_STATUS.BOT,
+    message: BACK_TO_BOT_MESSAGE,
+  });
+}
+
+export function closeConversation(tenantId, conversationId) {
+  return releaseConversation(tenantId, conversationId, {
+    status: CONVERSATION_STATUS.CLOSED,
+    message: CLOSED_MESSAGE,
+  });
+}
+
+// Quien responde una conversación sin dueño se la queda
+async function claimOnReply(tenantId, conversation, userId) {
+  if (conversation.status === CONVERSATION_STATUS.ASSIGNED && conversation.assigned_user_id) return;
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET status = 'assigned', assigned_user_id = ?, closed_at = NULL,
+            handoff_at = COALESCE(handoff_at, NOW()), updated_at = NOW()
+      WHERE id = ?`,
+    [userId, conversation.id]
+  );
+  await holdBot(tenantId, conversation.phone);
+}
+
+/**
+ * Respuesta de texto libre (sólo dentro de la ventana de 24 h)
+ */
+export async function sendConversationReply(tenantId, conversationId, { text, userId }) {
+  await ensureWhatsAppLogSchema();
+  const body = String(text || "").trim();
+  if (!body) throw inboxError("Escribí un mensaje");
+  if (body.length > 4096) throw inboxError("El mensaje supera los 4096 caracteres");
+
+  const conversation = await loadConversation(pool, tenantId, conversationId);
+  if (!isWithinServiceWindow(conversation.last_inbound_at)) {
+    throw inboxError(
+      "Pasaron más de 24 horas desde el último mensaje del cliente: respondé con una plantilla aprobada",
+      409
+    );
+  }
+  await claimOnReply(tenantId, conversation, userId);
+  await sendWhatsAppText(conversation.phone, body, tenantId, null, { userId });
+  return getConversation(tenantId, conversation.id);
+}
+
+/**
+ * Respuesta con una plantilla aprobada (permitida fuera de la ventana de 24 h)
+ * @param {{ templateName: string, language?: string, params?: string[], userId: number }} input
+ */
+export async function sendConversationTemplate(tenantId, conversationId, { templateName, language = "es", params = [], userId }) {
+  await ensureWhatsAppLogSchema();
+  const name = String(templateName || "").trim();
+  if (!name) throw inboxError("Elegí una plantilla");
+  const values = (Array.isArray(params) ? params : []).map((value) => String(value ?? "").trim());
+  if (values.some((value) => !value)) throw inboxError("Completá todas las variables de la plantilla");
+
+  const conversation = await loadConversation(pool, tenantId, conversationId);
+  const components = values.length
+    ? [{ type: "body", parameters: values.map((value) => ({ type: "text", text: value })) }]
+    : [];
+  await claimOnReply(tenantId, conversation, userId);
+  await sendWhatsAppTemplate(conversation.phone, name, language || "es", components, tenantId, { userId });
+  return getConversation(tenantId, conversation.id);
+}
+
+/**
+ * Plantillas aprobadas de la cuenta de WhatsApp Business del tenant.
+ * Si no se pueden leer de Meta devuelve una lista vacía y se escribe el nombre a mano.
+ */
+export async function listApprovedTemplates(tenantId) {
+  const config = await getTenantWhatsAppHub(tenantId).catch(() => null);
+  if (!config?.accessToken) return [];
+  try {
+    const headers = { Authorization: `Bearer ${config.accessToken}` };
+    const wabaRes = await fetch(
+      `https://graph.facebook.com/${WA_API_VERSION}/me?fields=whatsapp_business_accounts{id}`,
+      { headers }
+    );
+    if (!wabaRes.ok) return [];
+    const wabaId = (await wabaRes.json())?.whatsapp_business_accounts?.data?.[0]?.id;
+    if (!wabaId) return [];
+
+    const templatesRes = await fetch(
+      `https://graph.facebook.com/${WA_API_VERSION}/${wabaId}/message_templates?status=APPROVED&fields=name,language,components&limit=100`,
+      { headers }
+    );
+    if (!templatesRes.ok) return [];
+    const { data = [] } = await templatesRes.json();
+    return data.map((template) => {
+      const body = (template.components || []).find((component) => component.type === "BODY");
+      const text = body?.text || "";
+      return {
+        name: template.name,
+        language: template.language,
+        body: text,
+        variables: (text.match(/\{\{\d+\}\}/g) || []).length,
+      };
+    });
+  } catch (error) {
+    console.warn(`[WA Inbox] No se pudieron leer las plantillas del tenant ${tenantId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Usuarios del equipo a los que se puede asignar una conversación
+ */
+export async function listInboxAgents(tenantId) {
+  const [rows] = await pool.query(
+    `SELECT id, email, role FROM users WHERE tenant_id = ? AND is_active = 1 ORDER BY email`,
+    [tenantId]
+  );
+  return rows;
+}
@@ -0,0 +1,328 @@
+// src/services/whatsappMessageLog.js
+// Registro persistente de todos los mensajes de WhatsApp (entrantes y salientes) por
+// tenant, agrupados en una conversación por número. Es la base de la bandeja de
+// entrada compartida (services/whatsappInbox.js). Este módulo sólo escribe y lee la
+// base: no envía mensajes, así puede usarlo src/whatsapp.js sin dependencias circulares.
+import { pool } from "../db.js";
+
+export const CONVERSATION_STATUS = {
+  BOT: "bot", // la atiende el bot
+  PENDING: "pending", // el cliente pidió hablar con una persona
+  ASSIGNED: "assigned", // la tomó alguien del equipo
+  CLOSED: "closed",
+};
+
+export const MESSAGE_DIRECTION = {
+  IN: "in",
+  OUT: "out",
+};
+
+// Ventana de atención de Meta: fuera de ella sólo se pueden enviar plantillas aprobadas
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const PREVIEW_LENGTH = 120;
+
+let schemaReady = null;
+
+export function ensureWhatsAppLogSchema(db = pool) {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS whatsapp_conversation (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          phone VARCHAR(32) NOT NULL,
+          customer_id INT NULL,
+          contact_name VARCHAR(120) NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'bot',
+          assigned_user_id INT NULL,
+          unread_count INT NOT NULL DEFAULT 0,
+          last_message_at DATETIME NULL,
+          last_inbound_at DATETIME NULL,
+          last_message_preview VARCHAR(255) NULL,
+          handoff_at DATETIME NULL,
+          closed_at DATETIME NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NULL,
+          UNIQUE KEY uq_wa_conversation_phone (tenant_id, phone),
+          KEY idx_wa_conversation_status (tenant_id, status, last_message_at)
+        )`
+      );
+      await db.query(
+        `CREATE TABLE IF NOT EXISTS whatsapp_message (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          tenant_id INT NOT NULL,
+          conversation_id INT NOT NULL,
+          direction VARCHAR(3) NOT NULL,
+          wa_message_id VARCHAR(128) NULL,
+          message_type VARCHAR(20) NOT NULL DEFAULT 'text',
+          body TEXT NULL,
+          template_name VARCHAR(120) NULL,
+          sender_user_id INT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'sent',
+          error_message VARCHAR(255) NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          KEY idx_wa_message_conversation (conversation_id, id),
+          KEY idx_wa_message_wamid (wa_message_id)
+        )`
+      );
+    })().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Número canónico de la conversación: sólo dígitos y, para Argentina, con el 9 móvil
+ * (Meta informa los entrantes como 549… pero los envíos se hacen sin el 9)
+ */
+export function toConversationPhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (/^54\d{10}$/.test(digits) && !digits.startsWith("549")) {
+    return `549${digits.slice(2)}`;
+  }
+  return digits;
+}
+
+/**
+ * ¿Se puede responder con texto libre? (último mensaje del cliente hace menos de 24 h)
+ */
+export function isWithinServiceWindow(lastInboundAt, now = new Date()) {
+  if (!lastInboundAt) return false;
+  const last = new Date(lastInboundAt).getTime();
+  if (Number.isNaN(last)) return false;
+  return now.getTime() - last < SERVICE_WINDOW_MS;
+}
+
+/**
+ * Tipo y texto legible de un mensaje entrante del webhook
+ */
+export function describeInboundMessage(msg = {}) {
+  const type = String(msg.type || "text");
+  switch (type) {
+    case "text":
+      return { type, body: msg.text?.body || "" };
+    case "interactive": {
+      const reply = msg.interactive?.button_reply || msg.interactive?.list_reply || {};
+      return { type, body: reply.title || reply.id || "" };
+    }
+    case "button":
+      return { type, body: msg.button?.text || msg.button?.payload || "" };
+    case "image":
+    case "video":
+    case "document":
+      return { type, body: msg[type]?.caption || msg[type]?.filename || `[${type}]` };
+    case "location": {
+      const { latitude, longitude, name } = msg.location || {};
+      return { type, body: name || `[ubicación] ${latitude ?? ""},${longitude ?? ""}` };
+    }
+    default:
+      return { type, body: `[${type}]` };
+  }
+}
+
+/**
+ * Tipo, texto legible y plantilla de un payload saliente de la API de Meta
+ */
+export function describeOutboundPayload(payload = {}) {
+  const type = String(payload.type || "text");
+  switch (type) {
+    case "text":
+      return { type, body: payload.text?.body || "", templateName: null };
+    case "template": {
+      const name = payload.template?.name || null;
+      const params = (payload.template?.components || [])
+        .flatMap((component) => component?.parameters || [])
+        .map((param) => param?.text)
+        .filter(Boolean);
+      const body = params.length ? `[Plantilla ${name}] ${params.join(" · ")}` : `[Plantilla ${name}]`;
+      return { type, body, templateName: name };
+    }
+    case "interactive": {
+      const header = payload.interactive?.header?.text;
+      const text = payload.interactive?.body?.text || "";
+      return { type, body: header ? `${header}\n${text}` : text, templateName: null };
+    }
+    case "image":
+      return { type, body: payload.image?.caption || "[imagen]", templateName: null };
+    case "document":
+      return {
+        type,
+        body: payload.document?.caption || payload.document?.filename || "[documento]",
+        templateName: null,
+      };
+    default:
+      return { type, body: `[${type}]`, templateName: null };
+  }
+}
+
+function preview(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  return clean.length > PREVIEW_LENGTH ? `${clean.slice(0, PREVIEW_LENGTH - 1)}…` : clean;
+}
+
+async function findCustomerByPhone(db, tenantId, phone) {
+  // El cliente puede estar guardado con o sin el 9 móvil
+  const variants = [phone];
+  if (phone.startsWith("549")) variants.push(`54${phone.slice(3)}`);
+  const [[customer]] = await db.query(
+    `SELECT id, name FROM customer
+      WHERE tenant_id = ? AND REPLACE(REPLACE(phone_e164, '+', ''), ' ', '') IN (?)
+      ORDER BY id
+      LIMIT 1`,
+    [tenantId, variants]
+  );
+  return customer || null;
+}
+
+/**
+ * Devuelve (creando si hace falta) la conversación del número
+ */
+export async function getOrCreateConversation(db, tenantId, rawPhone, { contactName = null } = {}) {
+  await ensureWhatsAppLogSchema();
+  const phone = toConversationPhone(rawPhone);
+  if (!phone) throw new Error("Número de WhatsApp inválido");
+
+  const [[existing]] = await db.query(
+    `SELECT * FROM whatsapp_conversation WHERE tenant_id = ? AND phone = ? LIMIT 1`,
+    [tenantId, phone]
+  );
+  if (existing) {
+    if (!existing.customer_id) {
+      const customer = await findCustomerByPhone(db, tenantId, phone);
+      if (customer) {
+        await db.query(`UPDATE whatsapp_conversation SET customer_id = ? WHERE id = ?`, [customer.id, existing.id]);
+        existing.customer_id = customer.id;
+      }
+    }
+    return existing;
+  }
+
+  const customer = await findCustomerByPhone(db, tenantId, phone);
+  await db.query(
+    `INSERT INTO whatsapp_conversation (tenant_id, phone, customer_id, contact_name, status)
+     VALUES (?, ?, ?, ?, 'bot')
+     ON DUPLICATE KEY UPDATE id = id`,
+    [tenantId, phone, customer?.id || null, contactName ? String(contactName).slice(0, 120) : null]
+  );
+  const [[created]] = await db.query(
+    `SELECT * FROM whatsapp_conversation WHERE tenant_id = ? AND phone = ? LIMIT 1`,
+    [tenantId, phone]
+  );
+  return created;
+}
+
+/**
+ * Guarda un mensaje recibido del cliente. Una conversación cerrada vuelve al bot.
+ */
+export async function recordInboundMessage(tenantId, { phone, contactName = null, message }) {
+  const conversation = await getOrCreateConversation(pool, tenantId, phone, { contactName });
+  const { type, body } = describeInboundMessage(message);
+
+  await pool.query(
+    `INSERT INTO whatsapp_message
+       (tenant_id, conversation_id, direction, wa_message_id, message_type, body, status)
+     VALUES (?, ?, 'in', ?, ?, ?, 'received')`,
+    [tenantId, conversation.id, message?.id || null, type, body]
+  );
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET last_message_at = NOW(),
+            last_inbound_at = NOW(),
+            last_message_preview = ?,
+            unread_count = unread_count + 1,
+            contact_name = COALESCE(?, contact_name),
+            status = IF(status = 'closed', 'bot', status),
+            closed_at = IF(status = 'closed', NULL, closed_at),
+            updated_at = NOW()
+      WHERE id = ?`,
+    [preview(body), contactName ? String(contactName).slice(0, 120) : null, conversation.id]
+  );
+  return conversation.id;
+}
+
+/**
+ * Guarda un mensaje enviado (por el bot, un recordatorio o alguien del equipo).
+ * Devuelve la conversación (con el cliente vinculado, si lo hay).
+ */
+export async function recordOutboundMessage(
+  tenantId,
+  { phone, payload, response = null, error = null, userId = null }
+) {
+  const conversation = await getOrCreateConversation(pool, tenantId, phone);
+  const { type, body, templateName } = describeOutboundPayload(payload);
+  const status = error ? "failed" : response?.skipped ? "skipped" : "sent";
+
+  await pool.query(
+    `INSERT INTO whatsapp_message
+       (tenant_id, conversation_id, direction, wa_message_id, message_type, body, template_name,
+        sender_user_id, status, error_message)
+     VALUES (?, ?, 'out', ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      conversation.id,
+      response?.messages?.[0]?.id || null,
+      type,
+      body,
+      templateName,
+      userId,
+      status,
+      error ? String(error.message || error).slice(0, 255) : null,
+    ]
+  );
+  if (!error) {
+    await pool.query(
+      `UPDATE whatsapp_conversation
+          SET last_message_at = NOW(), last_message_preview = ?, updated_at = NOW()
+        WHERE id = ?`,
+      [preview(body), conversation.id]
+    );
+  }
+  return conversation;
+}
+
+/**
+ * Estado de entrega informado por Meta (sent → delivered → read, o failed).
+ * Nunca retrocede: los webhooks pueden llegar desordenados.
+ */
+export async function updateWhatsAppMessageStatus(waMessageId, status, errorMessage = null) {
+  await ensureWhatsAppLogSchema();
+  await pool.query(
+    `UPDATE whatsapp_message
+        SET status = ?, error_message = COALESCE(?, error_message)
+      WHERE wa_message_id = ? AND direction = 'out'
+        AND FIELD(status, 'skipped', 'sent', 'failed', 'delivered', 'read')
+          < FIELD(?, 'skipped', 'sent', 'failed', 'delivered', 'read')`,
+    [status, errorMessage, waMessageId, status]
+  );
+}
+
+/**
+ * Marca la conversación como esperando a una persona (el cliente pidió un asesor)
+ */
+export async function markConversationPendingAgent(tenantId, phone) {
+  const conversation = await getOrCreateConversation(pool, tenantId, phone);
+  if (conversation.status === CONVERSATION_STATUS.ASSIGNED) return conversation.id;
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET status = 'pending', handoff_at = NOW(), closed_at = NULL, updated_at = NOW()
+      WHERE id = ?`,
+    [conversation.id]
+  );
+  return conversation.id;
+}
+
+/**
+ * El cliente terminó la conversación con el asesor desde WhatsApp ("terminar")
+ */
+export async function releaseConversationToBot(tenantId, phone) {
+  await ensureWhatsAppLogSchema();
+  await pool.query(
+    `UPDATE whatsapp_conversation
+        SET status = 'bot', assigned_user_id = NULL, updated_at = NOW()
+      WHERE tenant_id = ? AND phone = ? AND status IN ('pending', 'assigned')`,
+    [tenantId, toConversationPhone(phone)]
+  );
+}
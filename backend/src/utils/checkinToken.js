@@ -0,0 +1,66 @@
+import crypto from "crypto";
+
+// Token de check-in para el QR del cliente: firmado con HMAC y de vida corta.
+// La app lo renueva periódicamente, así una captura del QR deja de servir en segundos.
+const TOKEN_PREFIX = "ck1";
+const DEFAULT_TTL_MS = Number(process.env.QR_CHECKIN_TTL_SEC || 60) * 1000;
+// Tolerancia por diferencia de reloj entre la app y el servidor
+const CLOCK_SKEW_MS = 30 * 1000;
+
+function getSecret() {
+  const secret = process.env.QR_CHECKIN_SECRET || process.env.JWT_ACCESS_SECRET;
+  if (!secret) {
+    // Sin secreto cualquiera podría firmar QR válidos: no se emiten ni se aceptan tokens
+    throw new Error("Falta QR_CHECKIN_SECRET (o JWT_ACCESS_SECRET) para firmar los QR de check-in");
+  }
+  return secret;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+export function createCheckinToken(
+  { tenantId, customerId },
+  { now = Date.now(), ttlMs = DEFAULT_TTL_MS, secret = getSecret() } = {}
+) {
+  const nonce = crypto.randomBytes(9).toString("base64url");
+  const expiresAt = now + ttlMs;
+  const payload = `${TOKEN_PREFIX}:${Number(tenantId)}:${Number(customerId)}:${expiresAt}:${nonce}`;
+  const token = Buffer.from(`${payload}:${sign(payload, secret)}`).toString("base64url");
+  return { token, expiresAt, nonce };
+}
+
+/**
+ * @returns {{ ok: true, tenantId: number, customerId: number, expiresAt: number, nonce: string }
+ *          | { ok: false, error: "malformed" | "bad_signature" | "expired" }}
+ */
+export function verifyCheckinToken(token, { now = Date.now(), secret = getSecret() } = {}) {
+  if (!token || typeof token !== "string") return { ok: false, error: "malformed" };
+
+  let decoded;
+  try {
+    decoded = Buffer.from(token.trim(), "base64url").toString("utf8");
+  } catch {
+    return { ok: false, error: "malformed" };
+  }
+
+  const parts = decoded.split(":");
+  if (parts.length !== 6 || parts[0] !== TOKEN_PREFIX) return { ok: false, error: "malformed" };
+
+  const [, tenantIdStr, customerIdStr, expiresAtStr, nonce, signature] = parts;
+  const payload = parts.slice(0, 5).join(":");
+  const expected = Buffer.from(sign(payload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, error: "bad_signature" };
+  }
+
+  const tenantId = Number(tenantIdStr);
+  const customerId = Number(customerIdStr);
+  const expiresAt = Number(expiresAtStr);
+  if (!tenantId || !customerId || !Number.isFinite(expiresAt)) return { ok: false, error: "malformed" };
+  if (now > expiresAt + CLOCK_SKEW_MS) return { ok: false, error: "expired" };
+
+  return { ok: true, tenantId, customerId, expiresAt, nonce };
+}
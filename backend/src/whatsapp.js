@@ -2,6 +2,8 @@
 import { toSandboxAllowed } from "./helpers/numbers.js";
 import { getTenantWhatsAppHub } from "./services/whatsappHub.js";
 import { pool } from "./db.js";
+import { recordOutboundMessage, describeOutboundPayload } from "./services/whatsappMessageLog.js";
+import { recordMessage } from "./services/messageLog.js";
 
 const WA_API_VERSION = process.env.WHATSAPP_API_VERSION || "v24.0";
 const DEBUG = String(process.env.WHATSAPP_DEBUG || "false").toLowerCase() === "true";
@@ -354,6 +356,46 @@ function normalizeForWhatsAppApi(num) {
   return digits;
 }
 
+/**
+ * ✅ Envía y deja registro en la bandeja (whatsapp_message) y en el historial de
+ * envíos (message_log). Un error al registrar nunca corta el envío.
+ * @param {object} options
+ * @param {number} [options.userId] - Usuario del panel que envía
+ * @param {object} [options.log] - { kind, customerId, appointmentId, campaignId } para el historial
+ */
+async function withMessageLog(tenantId, payload, { userId = null, log = null } = {}, send) {
+  let response = null;
+  let error = null;
+  try {
+    response = await send();
+    return response;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    try {
+      const conversation = await recordOutboundMessage(tenantId, { phone: payload.to, payload, response, error, userId });
+      const { body, templateName } = describeOutboundPayload(payload);
+      await recordMessage(tenantId, {
+        channel: "whatsapp",
+        recipient: payload.to,
+        kind: log?.kind || null,
+        customerId: log?.customerId || conversation?.customer_id || null,
+        appointmentId: log?.appointmentId || null,
+        campaignId: log?.campaignId || null,
+        templateName,
+        body,
+        providerMessageId: response?.messages?.[0]?.id || null,
+        status: error ? "failed" : response?.skipped ? "skipped" : "sent",
+        error,
+        userId,
+      });
+    } catch (logError) {
+      console.warn("[WA] No se pudo registrar el mensaje saliente:", logError.message);
+    }
+  }
+}
+
 /**
  * ✅ Enviar texto simple CON TENANT
  * @param {string} toE164 - Número de destino en formato E.164
@@ -362,8 +404,11 @@ function normalizeForWhatsAppApi(num) {
  * @param {object} context - Contexto opcional para mantener conversaciones separadas
  * @param {string} context.message_id - ID del mensaje anterior para mantener el hilo
  * @param {string} context.from - Número del remitente del mensaje anterior
+ * @param {object} options
+ * @param {number} options.userId - Usuario del panel que envía (bandeja de entrada)
+ * @param {object} options.log - Contexto para el historial de envíos ({ kind, customerId, appointmentId, campaignId })
  */
-export async function sendWhatsAppText(toE164, text, tenantId = null, context = null) {
+export async function sendWhatsAppText(toE164, text, tenantId = null, context = null, { userId = null, log = null } = {}) {
   // Si no hay tenantId, intentar obtenerlo desde variables de entorno (backward compatibility)
   if (!tenantId && process.env.BOT_TENANT_ID) {
     tenantId = Number(process.env.BOT_TENANT_ID);
@@ -403,46 +448,55 @@ export async function sendWhatsAppText(toE164, text, tenantId = null, context =
     };
   }
 
-  try {
-    return await request(config.phone_number_id, config.whatsapp_token, "/messages", payload);
-  } catch (error) {
-    // Si el error es que el phone_number_id no existe o no tiene permisos, limpiarlo y obtenerlo nuevamente
-    if (error.code === 100 && error.error_subcode === 33 && error.invalidPhoneNumberId) {
-      console.warn(`[WA] ⚠️ Phone_number_id inválido detectado: ${error.invalidPhoneNumberId}. Limpiando y obteniendo uno nuevo...`);
+  return withMessageLog(tenantId, payload, { userId, log }, async () => {
+    try {
+      return await request(config.phone_number_id, config.whatsapp_token, "/messages", payload);
+    } catch (error) {
+      // Si el error es que el phone_number_id no existe o no tiene permisos, limpiarlo y obtenerlo nuevamente
+      if (error.code === 100 && error.error_subcode === 33 && error.invalidPhoneNumberId) {
+        console.warn(`[WA] ⚠️ Phone_number_id inválido detectado: ${error.invalidPhoneNumberId}. Limpiando y obteniendo uno nuevo...`);
       
-      // Limpiar el phone_number_id inválido
-      const { upsertTenantWhatsAppCredentials } = await import("./services/whatsappHub.js");
-      await upsertTenantWhatsAppCredentials(tenantId, {
-        phoneNumberId: null, // Limpiar el phone_number_id inválido
-        accessToken: config.whatsapp_token,
-        phoneDisplay: config.phone_display,
-        isActive: true,
-        managedBy: "user_oauth",
-        managedNotes: "Phone_number_id inválido detectado, limpiado para obtener uno nuevo",
-      });
+        // Limpiar el phone_number_id inválido
+        const { upsertTenantWhatsAppCredentials } = await import("./services/whatsappHub.js");
+        await upsertTenantWhatsAppCredentials(tenantId, {
+          phoneNumberId: null, // Limpiar el phone_number_id inválido
+          accessToken: config.whatsapp_token,
+          phoneDisplay: config.phone_display,
+          isActive: true,
+          managedBy: "user_oauth",
+          managedNotes: "Phone_number_id inválido detectado, limpiado para obtener uno nuevo",
+        });
       
-      // Intentar obtener un nuevo phone_number_id desde Meta
-      try {
-        const newConfig = await getWhatsAppConfigForTenant(tenantId);
-        console.log(`[WA] ✅ Nuevo phone_number_id obtenido: ${newConfig.phone_number_id}`);
+        // Intentar obtener un nuevo phone_number_id desde Meta
+        try {
+          const newConfig = await getWhatsAppConfigForTenant(tenantId);
+          console.log(`[WA] ✅ Nuevo phone_number_id obtenido: ${newConfig.phone_number_id}`);
         
-        // Reintentar el envío con el nuevo phone_number_id
-        return await request(newConfig.phone_number_id, newConfig.whatsapp_token, "/messages", payload);
-      } catch (retryError) {
-        console.error(`[WA] ❌ Error obteniendo nuevo phone_number_id:`, retryError.message);
-        throw new Error(`El phone_number_id anterior era inválido (pertenece a otra cuenta). La cuenta autorizada en OAuth no tiene un número de WhatsApp Business configurado. Por favor, configurá un número de WhatsApp Business en Meta Business Manager con la misma cuenta que autorizaste, o autorizá OAuth con la cuenta que sí tiene el número configurado.`);
+          // Reintentar el envío con el nuevo phone_number_id
+          return await request(newConfig.phone_number_id, newConfig.whatsapp_token, "/messages", payload);
+        } catch (retryError) {
+          console.error(`[WA] ❌ Error obteniendo nuevo phone_number_id:`, retryError.message);
+          throw new Error(`El phone_number_id anterior era inválido (pertenece a otra cuenta). La cuenta autorizada en OAuth no tiene un número de WhatsApp Business configurado. Por favor, configurá un número de WhatsApp Business en Meta Business Manager con la misma cuenta que autorizaste, o autorizá OAuth con la cuenta que sí tiene el número configurado.`);
+        }
       }
-    }
     
-    // Si no es el error de phone_number_id inválido, relanzar el error original
-    throw error;
-  }
+      // Si no es el error de phone_number_id inválido, relanzar el error original
+      throw error;
+    }
+  });
 }
 
 /**
  * ✅ Enviar template CON TENANT
  */
-export async function sendWhatsAppTemplate(toE164, templateName, lang = "es", components = [], tenantId = null) {
+export async function sendWhatsAppTemplate(
+  toE164,
+  templateName,
+  lang = "es",
+  components = [],
+  tenantId = null,
+  { userId = null, log = null } = {}
+) {
   if (!tenantId && process.env.BOT_TENANT_ID) {
     tenantId = Number(process.env.BOT_TENANT_ID);
   }
@@ -470,7 +524,9 @@ export async function sendWhatsAppTemplate(toE164, templateName, lang = "es", co
     },
   };
 
-  return request(config.phone_number_id, config.whatsapp_token, "/messages", payload);
+  return withMessageLog(tenantId, payload, { userId, log }, () =>
+    request(config.phone_number_id, config.whatsapp_token, "/messages", payload)
+  );
 }
 
 /**
@@ -507,7 +563,9 @@ export async function sendWhatsAppList(to, { header, body, buttonText, sections
     },
   };
 
-  return request(config.phone_number_id, config.whatsapp_token, "/messages", payload);
+  return withMessageLog(tenantId, payload, {}, () =>
+    request(config.phone_number_id, config.whatsapp_token, "/messages", payload)
+  );
 }
 
 /**
@@ -537,7 +595,64 @@ export async function sendWhatsAppImageUrl(to, imageUrl, caption = "", tenantId
     image: { link: String(imageUrl), caption: String(caption || "") },
   };
 
-  return request(config.phone_number_id, config.whatsapp_token, "/messages", payload);
+  return withMessageLog(tenantId, payload, {}, () =>
+    request(config.phone_number_id, config.whatsapp_token, "/messages", payload)
+  );
+}
+
+/**
+ * ✅ Enviar documento (ej: PDF de factura) CON TENANT
+ * El archivo se sube primero a /media y luego se envía por id
+ */
+export async function sendWhatsAppDocument(to, { buffer, filename, mimeType = "application/pdf", caption = "" }, tenantId = null, { log = null } = {}) {
+  if (!tenantId && process.env.BOT_TENANT_ID) {
+    tenantId = Number(process.env.BOT_TENANT_ID);
+  }
+
+  if (!tenantId) {
+    throw new Error("tenantId requerido para enviar documento");
+  }
+
+  const config = await getWhatsAppConfigForTenant(tenantId);
+
+  const normalizedTo = normalizeForWhatsAppApi(to);
+  if (!normalizedTo) {
+    throw new Error("Número de teléfono inválido");
+  }
+
+  if (!config.phone_number_id || !config.whatsapp_token) {
+    if (DEBUG) console.warn("[WA] Saltando envío de documento (sin credenciales)");
+    return { skipped: true };
+  }
+
+  const form = new FormData();
+  form.append("messaging_product", "whatsapp");
+  form.append("type", mimeType);
+  form.append("file", new Blob([buffer], { type: mimeType }), filename);
+
+  const uploadRes = await fetch(
+    `https://graph.facebook.com/${WA_API_VERSION}/${config.phone_number_id}/media`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${config.whatsapp_token}` },
+      body: form,
+    }
+  );
+  const uploadData = await uploadRes.json().catch(() => ({}));
+  if (!uploadRes.ok || !uploadData.id) {
+    throw new Error(`[WA] media ${uploadRes.status}: ${uploadData?.error?.message || "no se pudo subir el archivo"}`);
+  }
+
+  const payload = {
+    messaging_product: "whatsapp",
+    to: normalizedTo,
+    type: "document",
+    document: { id: uploadData.id, filename: String(filename), caption: String(caption || "") },
+  };
+
+  return withMessageLog(tenantId, payload, { log }, () =>
+    request(config.phone_number_id, config.whatsapp_token, "/messages", payload)
+  );
 }
 
 /**
@@ -698,6 +698,354 @@ apiClient.adminDeleteService = async function (id) {
   return data;
 };
 
+/* =========================
+   RECURSOS (salas / equipos)
+========================= */
+
+apiClient.listResources = async function ({ branchId, includeInactive } = {}) {
+  const params = {};
+  if (branchId) params.branchId = branchId;
+  if (includeInactive) params.includeInactive = 1;
+  const { data } = await apiClient.get("/api/resources", { params });
+  return data?.data || [];
+};
+
+apiClient.createResource = async function (payload) {
+  const { data } = await apiClient.post("/api/resources", payload);
+  return data;
+};
+
+apiClient.updateResource = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/resources/${id}`, payload);
+  return data;
+};
+
+apiClient.deleteResource = async function (id) {
+  const { data } = await apiClient.delete(`/api/resources/${id}`);
+  return data;
+};
+
+apiClient.setServiceResources = async function (serviceId, resources) {
+  const { data } = await apiClient.put(`/api/resources/services/${serviceId}`, { resources });
+  return data;
+};
+
+/* =========================
+   BONOS (paquetes de servicios prepagos)
+========================= */
+
+apiClient.listPackages = async function ({ includeInactive } = {}) {
+  const params = includeInactive ? { includeInactive: 1 } : {};
+  const { data } = await apiClient.get("/api/packages", { params });
+  return data?.data || [];
+};
+
+apiClient.createPackage = async function (payload) {
+  const { data } = await apiClient.post("/api/packages", payload);
+  return data;
+};
+
+apiClient.updatePackage = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/packages/${id}`, payload);
+  return data;
+};
+
+apiClient.deactivatePackage = async function (id) {
+  const { data } = await apiClient.delete(`/api/packages/${id}`);
+  return data;
+};
+
+apiClient.listCustomerPackages = async function (customerId) {
+  const { data } = await apiClient.get(`/api/packages/customers/${customerId}`);
+  return data?.data || [];
+};
+
+apiClient.assignCustomerPackage = async function (customerId, payload) {
+  const { data } = await apiClient.post(`/api/packages/customers/${customerId}`, payload);
+  return data;
+};
+
+apiClient.createPackagePaymentLink = async function (customerId, { packageId, sendWhatsApp = false }) {
+  const { data } = await apiClient.post(`/api/packages/customers/${customerId}/payment-link`, {
+    packageId,
+    sendWhatsApp,
+  });
+  return data;
+};
+
+apiClient.transferCustomerPackage = async function (customerPackageId, toCustomerId) {
+  const { data } = await apiClient.post(`/api/packages/customer-packages/${customerPackageId}/transfer`, {
+    toCustomerId,
+  });
+  return data;
+};
+
+/* =========================
+   GIFT CARDS API
+========================= */
+
+apiClient.listGiftCards = async function ({ status, search } = {}) {
+  const params = {};
+  if (status) params.status = status;
+  if (search) params.search = search;
+  const { data } = await apiClient.get("/api/gift-cards", { params });
+  return data;
+};
+
+apiClient.getGiftCard = async function (id) {
+  const { data } = await apiClient.get(`/api/gift-cards/${id}`);
+  return data?.data || null;
+};
+
+// Consulta de saldo por código antes de cobrar
+apiClient.getGiftCardByCode = async function (code) {
+  const { data } = await apiClient.get(`/api/gift-cards/code/${encodeURIComponent(code)}`);
+  return data?.data || null;
+};
+
+apiClient.issueGiftCard = async function (payload) {
+  const { data } = await apiClient.post("/api/gift-cards", payload);
+  return data;
+};
+
+apiClient.cancelGiftCard = async function (id, reason) {
+  const { data } = await apiClient.post(`/api/gift-cards/${id}/cancel`, { reason });
+  return data;
+};
+
+// PDF imprimible de la gift card (Blob)
+apiClient.getGiftCardPdf = async function (id) {
+  const { data } = await apiClient.get(`/api/gift-cards/${id}/pdf`, { responseType: "blob" });
+  return data;
+};
+
+// { channel: "email" | "whatsapp", to? } — sin "to" usa el email del destinatario o el teléfono del comprador
+apiClient.sendGiftCard = async function (id, payload) {
+  const { data } = await apiClient.post(`/api/gift-cards/${id}/send`, payload);
+  return data;
+};
+
+apiClient.getGiftCardLiability = async function ({ from, to } = {}) {
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+  const { data } = await apiClient.get("/api/gift-cards/liability", { params });
+  return data?.data || null;
+};
+
+/* =========================
+   PROMO CODES API
+========================= */
+
+apiClient.listPromoCodes = async function ({ activeOnly = false } = {}) {
+  const { data } = await apiClient.get("/api/promo-codes", { params: activeOnly ? { active: 1 } : {} });
+  return data?.data || [];
+};
+
+apiClient.getPromoCode = async function (id) {
+  const { data } = await apiClient.get(`/api/promo-codes/${id}`);
+  return data?.data || null;
+};
+
+apiClient.createPromoCode = async function (payload) {
+  const { data } = await apiClient.post("/api/promo-codes", payload);
+  return data;
+};
+
+apiClient.updatePromoCode = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/promo-codes/${id}`, payload);
+  return data;
+};
+
+apiClient.deactivatePromoCode = async function (id) {
+  const { data } = await apiClient.delete(`/api/promo-codes/${id}`);
+  return data;
+};
+
+// Calcula el descuento sin registrar el uso: { code, customerId?, serviceId? | membershipPlanId? | classSessionId? }
+apiClient.quotePromoCode = async function (payload) {
+  const { data } = await apiClient.post("/api/promo-codes/quote", payload);
+  return data?.data || null;
+};
+
+/* =========================
+   LOYALTY API
+========================= */
+
+apiClient.listLoyaltyRewards = async function ({ includeInactive = false } = {}) {
+  const { data } = await apiClient.get("/api/loyalty/rewards", { params: includeInactive ? { all: 1 } : {} });
+  return data?.data || [];
+};
+
+apiClient.createLoyaltyReward = async function (payload) {
+  const { data } = await apiClient.post("/api/loyalty/rewards", payload);
+  return data;
+};
+
+apiClient.updateLoyaltyReward = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/loyalty/rewards/${id}`, payload);
+  return data;
+};
+
+apiClient.deactivateLoyaltyReward = async function (id) {
+  const { data } = await apiClient.delete(`/api/loyalty/rewards/${id}`);
+  return data;
+};
+
+apiClient.getCustomerLoyalty = async function (customerId) {
+  const { data } = await apiClient.get(`/api/loyalty/customers/${customerId}`);
+  return data?.data || null;
+};
+
+apiClient.adjustCustomerLoyalty = async function (customerId, payload) {
+  const { data } = await apiClient.post(`/api/loyalty/customers/${customerId}/adjust`, payload);
+  return data?.data || null;
+};
+
+// Devuelve { code, expiresAt, pointsSpent, balance }: el código personal se usa al reservar
+apiClient.redeemLoyaltyReward = async function (customerId, rewardId) {
+  const { data } = await apiClient.post(`/api/loyalty/customers/${customerId}/redeem`, { rewardId });
+  return data?.data || null;
+};
+
+/* =========================
+   CUSTOMER PRIVACY API
+========================= */
+
+// Exportación completa de los datos del cliente (Blob JSON o ZIP)
+apiClient.exportCustomerData = async function (customerId, format = "json") {
+  const { data } = await apiClient.get(`/api/customer-privacy/customers/${customerId}/export`, {
+    params: { format },
+    responseType: "blob",
+  });
+  return data;
+};
+
+// Anonimiza al cliente conservando las facturas; devuelve { requestId, affected }
+apiClient.eraseCustomerData = async function (customerId, reason) {
+  const { data } = await apiClient.post(`/api/customer-privacy/customers/${customerId}/erase`, {
+    reason,
+    confirm: true,
+  });
+  return data?.data || null;
+};
+
+apiClient.listCustomerPrivacyRequests = async function (customerId) {
+  const { data } = await apiClient.get(`/api/customer-privacy/customers/${customerId}/requests`);
+  return data?.data || [];
+};
+
+/* =========================
+   WHATSAPP INBOX API
+========================= */
+
+// status: open | pending | assigned | bot | closed
+apiClient.listWhatsAppConversations = async function ({ status, mine, q } = {}) {
+  const { data } = await apiClient.get("/api/whatsapp-inbox/conversations", {
+    params: { status: status || undefined, mine: mine ? 1 : undefined, q: q || undefined },
+  });
+  return data?.data || [];
+};
+
+apiClient.getWhatsAppPendingCount = async function () {
+  const { data } = await apiClient.get("/api/whatsapp-inbox/pending-count");
+  return Number(data?.data?.total || 0);
+};
+
+// Devuelve { conversation, messages }
+apiClient.getWhatsAppConversation = async function (conversationId, { beforeId } = {}) {
+  const { data } = await apiClient.get(`/api/whatsapp-inbox/conversations/${conversationId}`, {
+    params: { beforeId: beforeId || undefined },
+  });
+  return data?.data || null;
+};
+
+apiClient.takeWhatsAppConversation = async function (conversationId) {
+  const { data } = await apiClient.post(`/api/whatsapp-inbox/conversations/${conversationId}/take`);
+  return data?.data || null;
+};
+
+apiClient.assignWhatsAppConversation = async function (conversationId, userId) {
+  const { data } = await apiClient.post(`/api/whatsapp-inbox/conversations/${conversationId}/assign`, { userId });
+  return data?.data || null;
+};
+
+apiClient.closeWhatsAppConversation = async function (conversationId) {
+  const { data } = await apiClient.post(`/api/whatsapp-inbox/conversations/${conversationId}/close`);
+  return data?.data || null;
+};
+
+apiClient.returnWhatsAppConversationToBot = async function (conversationId) {
+  const { data } = await apiClient.post(`/api/whatsapp-inbox/conversations/${conversationId}/return-to-bot`);
+  return data?.data || null;
+};
+
+// Texto libre (dentro de las 24 h) o plantilla aprobada: { text } | { templateName, language, params }
+apiClient.sendWhatsAppConversationMessage = async function (conversationId, payload) {
+  const { data } = await apiClient.post(`/api/whatsapp-inbox/conversations/${conversationId}/messages`, payload);
+  return data?.data || null;
+};
+
+apiClient.listWhatsAppTemplates = async function () {
+  const { data } = await apiClient.get("/api/whatsapp-inbox/templates");
+  return data?.data || [];
+};
+
+apiClient.listWhatsAppInboxAgents = async function () {
+  const { data } = await apiClient.get("/api/whatsapp-inbox/agents");
+  return data?.data || [];
+};
+
+/* =========================
+   MESSAGE LOG API
+========================= */
+
+// Historial de envíos (WhatsApp, email, push). Devuelve { items, total, summary }
+apiClient.listMessageLog = async function ({ customerId, campaignId, channel, status, q, from, to, limit, offset } = {}) {
+  const { data } = await apiClient.get("/api/message-log", {
+    params: {
+      customerId: customerId || undefined,
+      campaignId: campaignId || undefined,
+      channel: channel || undefined,
+      status: status || undefined,
+      q: q || undefined,
+      from: from || undefined,
+      to: to || undefined,
+      limit,
+      offset,
+    },
+  });
+  return data?.data || { items: [], total: 0, summary: {} };
+};
+
+/* =========================
+   AUDIT LOG API
+========================= */
+
+// Registro de auditoría del negocio (sólo admin). Devuelve { items, total }
+apiClient.listAuditLog = async function ({ entity, entityId, userId, action, branchId, q, from, to, limit, offset } = {}) {
+  const { data } = await apiClient.get("/api/audit-log", {
+    params: {
+      entity: entity || undefined,
+      entityId: entityId || undefined,
+      userId: userId || undefined,
+      action: action || undefined,
+      branchId: branchId || undefined,
+      q: q || undefined,
+      from: from || undefined,
+      to: to || undefined,
+      limit,
+      offset,
+    },
+  });
+  return data?.data || { items: [], total: 0 };
+};
+
+apiClient.getAuditLogMeta = async function () {
+  const { data } = await apiClient.get("/api/audit-log/meta");
+  return data?.data || { entities: [], actions: [], actors: [] };
+};
+
 /* =========================
    AVAILABILITY API
 ========================= */
@@ -736,6 +1084,18 @@ apiClient.cancelAppointmentSeries = async function (seriesId, { includePast = fa
   return data;
 };
 
+apiClient.updateAppointmentSeriesFollowing = async function (seriesId, payload) {
+  const { data } = await apiClient.put(`/api/appointments/series/${seriesId}/following`, payload);
+  return data;
+};
+
+apiClient.addAppointmentSeriesExceptions = async function (seriesId, dates) {
+  const { data } = await apiClient.post(`/api/appointments/series/${seriesId}/exceptions`, {
+    dates: Array.isArray(dates) ? dates : [dates],
+  });
+  return data;
+};
+
 apiClient.updateAppointment = async function (id, updates) {
   const { data } = await apiClient.patch(`/api/appointments/${id}`, updates);
   return data;
@@ -879,15 +1239,52 @@ apiClient.crmDeleteCustomSegment = async function (code) {
   return data;
 };
 
-apiClient.crmGetSegment = async function (code) {
+apiClient.crmGetSegment = async function (code, { channels } = {}) {
   if (!code) throw new Error("code es requerido");
-  const { data } = await apiClient.get(`/api/crm/segments/${encodeURIComponent(code)}`, { params: { limit: 200 } });
+  const params = { limit: 200 };
+  if (channels?.length) params.channels = channels.join(",");
+  const { data } = await apiClient.get(`/api/crm/segments/${encodeURIComponent(code)}`, { params });
+  return data;
+};
+
+apiClient.crmSendCampaign = async function ({
+  segmentCode,
+  message,
+  variants,
+  channels,
+  attributionDays,
+  preview = false,
+  max = 50,
+}) {
+  const { data } = await apiClient.post("/api/crm/campaigns/send", {
+    segmentCode,
+    message,
+    variants,
+    channels,
+    attributionDays,
+    preview,
+    max,
+  });
   return data;
 };
 
-apiClient.crmSendCampaign = async function ({ segmentCode, message, preview = false, max = 50 }) {
-  const { data } = await apiClient.post("/api/crm/campaigns/send", { segmentCode, message, preview, max });
-  return data;
+apiClient.crmGetCampaignReport = async function (id, { days } = {}) {
+  const { data } = await apiClient.get(`/api/crm/campaigns/${encodeURIComponent(id)}/report`, {
+    params: days ? { days } : {},
+  });
+  return data?.data ?? data ?? null;
+};
+
+apiClient.crmGetCustomerMarketing = async function (customerId) {
+  if (!customerId) throw new Error("customerId es requerido");
+  const { data } = await apiClient.get(`/api/crm/customers/${customerId}/marketing`);
+  return data?.data ?? data ?? null;
+};
+
+apiClient.crmUpdateCustomerMarketing = async function (customerId, payload) {
+  if (!customerId) throw new Error("customerId es requerido");
+  const { data } = await apiClient.put(`/api/crm/customers/${customerId}/marketing`, payload);
+  return data?.data ?? data ?? null;
 };
 
 apiClient.crmListSchedules = async function () {
@@ -1030,6 +1427,37 @@ apiClient.getCalendarRange = async function ({ from, to, instructorId } = {}) {
   const { data } = await apiClient.get("/api/calendar/range", { params });
   return data;
 };
+
+apiClient.listCalendarFeeds = async function () {
+  const { data } = await apiClient.get("/api/calendar/feeds");
+  return data;
+};
+
+apiClient.createCalendarFeed = async function ({ scope, instructorId, branchId, label } = {}) {
+  const { data } = await apiClient.post("/api/calendar/feeds", { scope, instructorId, branchId, label });
+  return data;
+};
+
+apiClient.revokeCalendarFeed = async function (id) {
+  const { data } = await apiClient.delete(`/api/calendar/feeds/${id}`);
+  return data;
+};
+
+apiClient.importCalendarIcs = async function ({ instructorId, file, from, to }) {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('instructorId', instructorId);
+  if (from) formData.append('from', from);
+  if (to) formData.append('to', to);
+  const { data } = await apiClient.post("/api/calendar/import-ics", formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    // Axios necesita que no establezcamos Content-Type manualmente para FormData
+    transformRequest: [(data) => data],
+  });
+  return data;
+};
 apiClient.getUnreadCount = async function () {
   try {
     const response = await apiClient.get("/api/notifications/count");
@@ -1152,6 +1580,56 @@ apiClient.createRecurringDaysOff = async function (payload) {
   const { data } = await apiClient.post("/api/days-off/recurring", payload);
   return data;
 };
+apiClient.listTimeOffReschedules = async function ({ instructorId, status } = {}) {
+  const params = {};
+  if (instructorId) params.instructorId = instructorId;
+  if (status) params.status = status;
+  const { data } = await apiClient.get("/api/days-off/reschedules", { params });
+  return data;
+};
+apiClient.resendTimeOffReschedule = async function (id) {
+  const { data } = await apiClient.post(`/api/days-off/reschedules/${id}/resend`);
+  return data;
+};
+
+/* =========================
+   FERIADOS / CIERRES
+========================= */
+
+apiClient.listClosures = async function ({ year, branchId } = {}) {
+  const params = {};
+  if (year) params.year = year;
+  if (branchId) params.branchId = branchId;
+  const { data } = await apiClient.get("/api/closures", { params });
+  return data;
+};
+
+apiClient.createClosure = async function (payload) {
+  const { data } = await apiClient.post("/api/closures", payload);
+  return data;
+};
+
+apiClient.deleteClosure = async function (id) {
+  const { data } = await apiClient.delete(`/api/closures/${id}`);
+  return data;
+};
+
+apiClient.getHolidaySuggestions = async function (year) {
+  const { data } = await apiClient.get("/api/closures/holidays", { params: { year } });
+  return data;
+};
+
+apiClient.decideHolidays = async function ({ year, accept = [], skip = [] }) {
+  const { data } = await apiClient.post("/api/closures/holidays", { year, accept, skip });
+  return data;
+};
+
+apiClient.listAppointmentsToReschedule = async function ({ branchId } = {}) {
+  const params = {};
+  if (branchId) params.branchId = branchId;
+  const { data } = await apiClient.get("/api/closures/affected-appointments", { params });
+  return data;
+};
 /* =========================
    CONFIG API (match backend)
 ========================= */
@@ -1405,6 +1883,57 @@ apiClient.sendPaymentLinkWhatsApp = async function ({ customerId, link, message
   return data;
 };
 
+/* =========================
+   CHECK-IN / ASISTENCIA API
+========================= */
+apiClient.checkinWithQr = async function ({ token, branchId, deviceId }) {
+  const { data } = await apiClient.post("/api/checkin/qr", { token, branchId, deviceId });
+  return data;
+};
+
+apiClient.checkinManual = async function ({ customerId, branchId, deviceId }) {
+  const { data } = await apiClient.post("/api/checkin/manual", { customerId, branchId, deviceId });
+  return data;
+};
+
+apiClient.getAttendance = async function (params = {}) {
+  const { data } = await apiClient.get("/api/checkin/attendance", { params });
+  return data?.data || [];
+};
+
+/* =========================
+   PUNTO DE VENTA API
+========================= */
+apiClient.getPosCatalog = async function (params = {}) {
+  const { data } = await apiClient.get("/api/pos/catalog", { params });
+  return data?.data || { products: [], services: [], plans: [] };
+};
+
+apiClient.getPosAppointments = async function (params = {}) {
+  const { data } = await apiClient.get("/api/pos/appointments", { params });
+  return data?.data || [];
+};
+
+apiClient.listPosSales = async function (params = {}) {
+  const { data } = await apiClient.get("/api/pos/sales", { params });
+  return data?.data || [];
+};
+
+apiClient.getPosSale = async function (id) {
+  const { data } = await apiClient.get(`/api/pos/sales/${id}`);
+  return data?.data || null;
+};
+
+apiClient.createPosSale = async function (payload) {
+  const { data } = await apiClient.post("/api/pos/sales", payload);
+  return data;
+};
+
+apiClient.invoicePosSale = async function (id, payload = {}) {
+  const { data } = await apiClient.post(`/api/pos/sales/${id}/invoice`, payload);
+  return data;
+};
+
 /* =========================
    SUPER ADMIN API
 ========================= */
@@ -1492,6 +2021,32 @@ apiClient.superAdmin = {
     const { data } = await apiClient.get("/api/super-admin/business-types");
     return data?.data || [];
   },
+
+  async listJobs(params = {}) {
+    const { data } = await apiClient.get("/api/super-admin/jobs", { params });
+    return data?.data || { jobs: [], types: [] };
+  },
+
+  async listJobRuns(params = {}) {
+    const { data } = await apiClient.get("/api/super-admin/jobs/runs", { params });
+    return data?.data || { items: [], total: 0 };
+  },
+
+  async jobAction(id, action) {
+    if (!id) throw new Error("jobId es requerido");
+    const { data } = await apiClient.post(`/api/super-admin/jobs/${id}/${action}`);
+    return data?.data;
+  },
+
+  async listAuditLog(params = {}) {
+    const { data } = await apiClient.get("/api/super-admin/audit-log", { params });
+    return data?.data || { items: [], total: 0 };
+  },
+
+  async getAuditLogMeta(params = {}) {
+    const { data } = await apiClient.get("/api/super-admin/audit-log/meta", { params });
+    return data?.data || { entities: [], actions: [], actors: [], tenants: [] };
+  },
 };
 
 /* =========================
@@ -1582,6 +2137,21 @@ apiClient.testArcaInvoice = async function () {
   return data;
 };
 
+// PDF del comprobante con QR de ARCA (Blob)
+apiClient.getInvoicePdf = async function (id) {
+  const { data } = await apiClient.get(`/api/invoicing/invoice/${id}`, {
+    params: { format: "pdf" },
+    responseType: "blob",
+  });
+  return data;
+};
+
+// { channel: "email" | "whatsapp", to? } — sin "to" usa el contacto del cliente
+apiClient.sendInvoice = async function (id, payload) {
+  const { data } = await apiClient.post(`/api/invoicing/invoice/${id}/send`, payload);
+  return data;
+};
+
 /* =========================
    DASHBOARD API
 ========================= */
@@ -1708,6 +2278,80 @@ apiClient.dismissStockAlert = async function (id) {
   return data;
 };
 
+/* =========================
+   SUPPLIERS & PURCHASE ORDERS API
+========================= */
+
+apiClient.listSuppliers = async function (params = {}) {
+  const { data } = await apiClient.get("/api/stock/suppliers", { params });
+  return data?.data || [];
+};
+
+apiClient.createSupplier = async function (payload) {
+  const { data } = await apiClient.post("/api/stock/suppliers", payload);
+  return data;
+};
+
+apiClient.updateSupplier = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/stock/suppliers/${id}`, payload);
+  return data;
+};
+
+apiClient.deactivateSupplier = async function (id) {
+  const { data } = await apiClient.delete(`/api/stock/suppliers/${id}`);
+  return data;
+};
+
+apiClient.listSupplierProducts = async function (id) {
+  const { data } = await apiClient.get(`/api/stock/suppliers/${id}/products`);
+  return data?.data || [];
+};
+
+apiClient.setSupplierProducts = async function (id, productIds) {
+  const { data } = await apiClient.put(`/api/stock/suppliers/${id}/products`, { product_ids: productIds });
+  return data;
+};
+
+apiClient.listPurchaseOrders = async function (params = {}) {
+  const { data } = await apiClient.get("/api/stock/purchase-orders", { params });
+  return data?.data || [];
+};
+
+apiClient.getPurchaseOrder = async function (id) {
+  const { data } = await apiClient.get(`/api/stock/purchase-orders/${id}`);
+  return data?.data || null;
+};
+
+apiClient.createPurchaseOrder = async function (payload) {
+  const { data } = await apiClient.post("/api/stock/purchase-orders", payload);
+  return data;
+};
+
+apiClient.updatePurchaseOrder = async function (id, payload) {
+  const { data } = await apiClient.put(`/api/stock/purchase-orders/${id}`, payload);
+  return data;
+};
+
+apiClient.issuePurchaseOrder = async function (id, payload = {}) {
+  const { data } = await apiClient.put(`/api/stock/purchase-orders/${id}/order`, payload);
+  return data;
+};
+
+apiClient.receivePurchaseOrder = async function (id, payload) {
+  const { data } = await apiClient.post(`/api/stock/purchase-orders/${id}/receive`, payload);
+  return data;
+};
+
+apiClient.cancelPurchaseOrder = async function (id) {
+  const { data } = await apiClient.put(`/api/stock/purchase-orders/${id}/cancel`);
+  return data;
+};
+
+apiClient.createPurchaseOrdersFromAlerts = async function (payload = {}) {
+  const { data } = await apiClient.post("/api/stock/purchase-orders/from-alerts", payload);
+  return data;
+};
+
 /* =========================
    STOCK VALUATION API
 ========================= */
@@ -1722,6 +2366,26 @@ apiClient.getInventoryValuationDetail = async function (params = {}) {
   return data?.data || [];
 };
 
+apiClient.getInventoryLots = async function (params = {}) {
+  const { data } = await apiClient.get("/api/stock/valuation/lots", { params });
+  return data?.data || [];
+};
+
+apiClient.getInventoryValuationReport = async function (params = {}) {
+  const { data } = await apiClient.get("/api/stock/valuation/report", { params });
+  return data?.data || null;
+};
+
+apiClient.getCostOfGoodsSold = async function (params = {}) {
+  const { data } = await apiClient.get("/api/stock/valuation/cogs", { params });
+  return data?.data || [];
+};
+
+apiClient.getProductCostHistory = async function (productId, params = {}) {
+  const { data } = await apiClient.get(`/api/stock/valuation/cost-history/${productId}`, { params });
+  return data?.data || [];
+};
+
 /* =========================
    EXPORT
 ========================= */
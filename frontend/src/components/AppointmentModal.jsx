@@ -86,6 +86,7 @@ export default function AppointmentModal({ open, onClose, event }) {
     updateAppointment,
     deleteAppointment,
     cancelAppointmentSeries,
+    loadEvents,
   } = useApp();
   const a = event?.extendedProps || {};
   const eventType = a.eventType || "appointment";
@@ -144,7 +145,7 @@ export default function AppointmentModal({ open, onClose, event }) {
 
   const seriesId = a.series_id || a.seriesId || null;
   const isSeries = Boolean(seriesId);
-  const [applySeries, setApplySeries] = useState(isSeries ? "future" : "none");
+  const [applySeries, setApplySeries] = useState("none");
 
   const fetchClassDetail = useCallback(async () => {
     if (!classSessionId) return;
@@ -221,7 +222,7 @@ export default function AppointmentModal({ open, onClose, event }) {
       branchId: _a.branch_id || _a.branchId ? String(_a.branch_id || _a.branchId) : "",
     });
 
-    setApplySeries(seriesId ? "future" : "none");
+    setApplySeries("none");
 
     const name = _a.customer_name ? ` ${_a.customer_name}` : "";
     setReprogUI({
@@ -309,6 +310,35 @@ export default function AppointmentModal({ open, onClose, event }) {
         endsAt = `${formatDateToLocalInput(d)}:00`;
       }
 
+      if (seriesId && applySeries === "future") {
+        const res = await apiClient.updateAppointmentSeriesFollowing(seriesId, {
+          fromAppointmentId: a.id,
+          startsAt,
+          serviceId: Number(form.serviceId) || null,
+          instructorId: Number(form.instructorId) || null,
+          branchId: form.branchId ? Number(form.branchId) : null,
+          status: form.status,
+        });
+        if (!res?.ok) {
+          throw new Error(res?.error || "No se pudo actualizar la serie");
+        }
+        await loadEvents?.();
+        const conflicts = res.data?.conflicts || [];
+        toast.success("Serie actualizada desde este turno", {
+          description: `${res.data?.occurrences?.length || 0} turno(s) reprogramados`,
+        });
+        if (conflicts.length) {
+          toast.warning(`${conflicts.length} fecha(s) no se pudieron reprogramar`, {
+            description: conflicts
+              .slice(0, 5)
+              .map((c) => `${c.date} ${c.time || ""}: ${c.reason}`)
+              .join("\n"),
+          });
+        }
+        setMsg("Serie actualizada correctamente.");
+        return;
+      }
+
       const result = await updateAppointment(a.id, {
         customerName: form.customerName || null,
         customerPhone: form.customerPhone || null,
@@ -871,7 +901,16 @@ export default function AppointmentModal({ open, onClose, event }) {
           {isSeries && (
             <span className="px-2 py-1 rounded-full text-xs bg-primary-light text-primary border border-primary/20 flex items-center gap-1">
               <Repeat className="w-3 h-3" />
-              Serie semanal
+              Serie recurrente
+            </span>
+          )}
+          {Number(a.needs_reschedule) === 1 && (
+            <span
+              className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-700 border border-red-200 flex items-center gap-1"
+              title={a.reschedule_reason || undefined}
+            >
+              <AlertTriangle className="w-3 h-3" />
+              Reprogramar{a.reschedule_reason ? `: ${a.reschedule_reason}` : ""}
             </span>
           )}
         </div>
@@ -1005,7 +1044,7 @@ export default function AppointmentModal({ open, onClose, event }) {
                 <option value="all">Todos los turnos de la serie</option>
               </select>
               <p className={`mt-2 text-xs ${subtextColor}`}>
-                Elegí si querés modificar únicamente este turno o toda la serie recurrente.
+                "Este y los siguientes" reprograma el resto de la serie desde este turno con los nuevos datos.
               </p>
             </div>
           )}
@@ -0,0 +1,248 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Search, ChevronDown, ChevronRight } from "lucide-react";
+import { apiClient } from "../api/client.js";
+import { formatDateTime } from "../shared/ui.jsx";
+import { logger } from "../utils/logger.js";
+
+const PAGE_SIZE = 30;
+
+const ACTIONS = {
+  create: { label: "Alta", className: "bg-emerald-500/15 text-emerald-600" },
+  update: { label: "Modificación", className: "bg-sky-500/15 text-sky-600" },
+  delete: { label: "Baja", className: "bg-red-500/15 text-red-600" },
+  cancel: { label: "Cancelación", className: "bg-amber-500/15 text-amber-600" },
+  void: { label: "Anulación", className: "bg-red-500/15 text-red-600" },
+  permissions: { label: "Permisos", className: "bg-violet-500/15 text-violet-600" },
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function ChangesTable({ changes }) {
+  // Entradas del middleware: no hay estado anterior, sólo lo que se envió
+  if (changes?.payload !== undefined && Object.keys(changes).length === 1) {
+    return (
+      <pre className="text-xs bg-background rounded-lg border border-border p-2 overflow-x-auto whitespace-pre-wrap break-all">
+        {JSON.stringify(changes.payload, null, 2)}
+      </pre>
+    );
+  }
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-foreground-muted">
+          <th className="py-1 pr-3 font-medium">Campo</th>
+          <th className="py-1 pr-3 font-medium">Antes</th>
+          <th className="py-1 font-medium">Después</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(changes).map(([field, change]) => (
+          <tr key={field} className="border-t border-border/60 align-top">
+            <td className="py-1 pr-3 font-mono text-foreground-secondary">{field}</td>
+            <td className="py-1 pr-3 text-red-600 break-all">{formatValue(change?.from)}</td>
+            <td className="py-1 text-emerald-600 break-all">{formatValue(change?.to)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Registro de auditoría filtrable. Con `superAdmin` lista todos los negocios
+ * y agrega el filtro por negocio.
+ */
+export default function AuditLogList({ superAdmin = false }) {
+  const [filters, setFilters] = useState({ tenantId: "", entity: "", userId: "", action: "", from: "", to: "" });
+  const [search, setSearch] = useState("");
+  const [meta, setMeta] = useState({ entities: [], actions: [], actors: [], tenants: [] });
+  const [data, setData] = useState({ items: [], total: 0 });
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    const request = superAdmin
+      ? apiClient.superAdmin.getAuditLogMeta({ tenantId: filters.tenantId || undefined })
+      : apiClient.getAuditLogMeta();
+    request
+      .then((result) => setMeta((prev) => ({ ...prev, ...result })))
+      .catch((error) => logger.error("[AuditLogList] meta error:", error));
+  }, [superAdmin, filters.tenantId]);
+
+  const fetchPage = useCallback(
+    (offset) => {
+      const params = { ...filters, q: search.trim(), limit: PAGE_SIZE, offset };
+      if (!superAdmin) return apiClient.listAuditLog(params);
+      const cleanParams = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== ""));
+      return apiClient.superAdmin.listAuditLog(cleanParams);
+    },
+    [superAdmin, filters, search]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await fetchPage(0);
+        if (!cancelled) setData(result);
+      } catch (error) {
+        logger.error("[AuditLogList] load error:", error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [fetchPage]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const result = await fetchPage(data.items.length);
+      setData((prev) => ({ ...result, items: [...prev.items, ...result.items] }));
+    } catch (error) {
+      logger.error("[AuditLogList] loadMore error:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value, ...(key === "tenantId" ? { userId: "" } : {}) }));
+  };
+
+  const toggle = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const entityLabels = Object.fromEntries(meta.entities.map((entity) => [entity.value, entity.label]));
+  const selectClass = "rounded-lg border border-border px-3 py-2 text-sm bg-background";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[180px]">
+          <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-foreground-muted" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Buscar por resumen, usuario, ruta o IP"
+            className="w-full rounded-lg border border-border pl-9 pr-3 py-2 text-sm bg-background"
+          />
+        </div>
+        {superAdmin && (
+          <select value={filters.tenantId} onChange={(e) => updateFilter("tenantId", e.target.value)} className={selectClass}>
+            <option value="">Todos los negocios</option>
+            {(meta.tenants || []).map((tenant) => (
+              <option key={tenant.tenantId} value={tenant.tenantId}>
+                {tenant.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <select value={filters.entity} onChange={(e) => updateFilter("entity", e.target.value)} className={selectClass}>
+          <option value="">Todas las áreas</option>
+          {meta.entities.map((entity) => (
+            <option key={entity.value} value={entity.value}>
+              {entity.label}
+            </option>
+          ))}
+        </select>
+        <select value={filters.action} onChange={(e) => updateFilter("action", e.target.value)} className={selectClass}>
+          <option value="">Todas las acciones</option>
+          {Object.entries(ACTIONS).map(([value, actionMeta]) => (
+            <option key={value} value={value}>
+              {actionMeta.label}
+            </option>
+          ))}
+        </select>
+        <select value={filters.userId} onChange={(e) => updateFilter("userId", e.target.value)} className={selectClass}>
+          <option value="">Todos los usuarios</option>
+          {meta.actors.map((actor) => (
+            <option key={actor.userId} value={actor.userId}>
+              {actor.email || `#${actor.userId}`}
+            </option>
+          ))}
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => updateFilter("from", e.target.value)} className={selectClass} />
+        <input type="date" value={filters.to} onChange={(e) => updateFilter("to", e.target.value)} className={selectClass} />
+      </div>
+
+      {loading ? (
+        <div className="py-6 flex items-center justify-center gap-2 text-sm text-foreground-muted">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Cargando registro...
+        </div>
+      ) : data.items.length === 0 ? (
+        <div className="py-4 text-sm text-foreground-muted">No hay acciones registradas con estos filtros.</div>
+      ) : (
+        <div className="divide-y divide-border/60">
+          {data.items.map((item) => {
+            const actionMeta = ACTIONS[item.action] || ACTIONS.update;
+            const hasChanges = item.changes && Object.keys(item.changes).length > 0;
+            const isOpen = expanded.has(item.id);
+            const Chevron = isOpen ? ChevronDown : ChevronRight;
+            return (
+              <div key={item.id} className="py-3 text-sm">
+                <button
+                  type="button"
+                  onClick={() => hasChanges && toggle(item.id)}
+                  className={`w-full flex items-start gap-2 text-left ${hasChanges ? "cursor-pointer" : "cursor-default"}`}
+                >
+                  <Chevron className={`w-4 h-4 mt-0.5 shrink-0 ${hasChanges ? "text-foreground-muted" : "invisible"}`} />
+                  <div className="min-w-0 flex-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${actionMeta.className}`}>{actionMeta.label}</span>
+                      <span className="font-medium text-foreground">
+                        {entityLabels[item.entity] || item.entity}
+                        {item.entityId ? ` #${item.entityId}` : ""}
+                      </span>
+                      {item.summary && <span className="text-foreground-secondary">{item.summary}</span>}
+                    </div>
+                    <div className="text-xs text-foreground-muted mt-1">
+                      {formatDateTime(item.createdAt)}
+                      {` · ${item.userEmail || "Sistema"}`}
+                      {item.isSuperAdmin ? " (super admin)" : ""}
+                      {superAdmin && item.tenantName ? ` · ${item.tenantName}` : ""}
+                      {item.branchName ? ` · ${item.branchName}` : ""}
+                      {item.ip ? ` · IP ${item.ip}` : ""}
+                      {item.method && item.path ? ` · ${item.method} ${item.path}` : ""}
+                    </div>
+                  </div>
+                </button>
+                {isOpen && hasChanges && (
+                  <div className="mt-2 ml-6">
+                    <ChangesTable changes={item.changes} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!loading && data.items.length < data.total && (
+        <button
+          onClick={loadMore}
+          disabled={loadingMore}
+          className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+        >
+          {loadingMore ? "Cargando..." : `Ver más (${data.total - data.items.length})`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -46,6 +46,32 @@ function Section({ title, children, right, icon: Icon }) {
   );
 }
 
+const REPEAT_WEEKDAYS = [
+  { value: 1, label: "Lu" },
+  { value: 2, label: "Ma" },
+  { value: 3, label: "Mi" },
+  { value: 4, label: "Ju" },
+  { value: 5, label: "Vi" },
+  { value: 6, label: "Sá" },
+  { value: 0, label: "Do" },
+];
+
+function describeRepeat(booking) {
+  const interval = Number(booking.repeatInterval) || 1;
+  if (booking.repeatFrequency === "monthly") {
+    const base = interval > 1 ? `Cada ${interval} meses` : "Mensual";
+    return booking.repeatMonthlyBy === "weekday" ? `${base} (mismo día de la semana)` : `${base} (mismo día del mes)`;
+  }
+  if (booking.repeatFrequency === "daily") {
+    return interval > 1 ? `Cada ${interval} días` : "Diario";
+  }
+  const days = REPEAT_WEEKDAYS.filter((d) => (booking.repeatWeekdays || []).includes(d.value))
+    .map((d) => d.label)
+    .join(", ");
+  const base = interval > 1 ? `Cada ${interval} semanas` : "Semanal";
+  return days ? `${base} (${days})` : base;
+}
+
 export default function BookingWidget() {
   const {
     services = [],
@@ -72,6 +98,9 @@ export default function BookingWidget() {
   const [customerQuery, setCustomerQuery] = useState("");
   const [customerResults, setCustomerResults] = useState([]);
   const [customerSearching, setCustomerSearching] = useState(false);
+  const [promoInput, setPromoInput] = useState("");
+  const [promoQuote, setPromoQuote] = useState(null);
+  const [promoChecking, setPromoChecking] = useState(false);
   
   // Determinar el tab inicial basado en qué está habilitado
   const initialTab = appointmentsEnabled ? "appointments" : classesEnabled ? "classes" : "appointments";
@@ -91,11 +120,17 @@ export default function BookingWidget() {
     [services, booking.serviceId]
   );
 
+  // El descuento depende del servicio y del cliente: si cambian hay que volver a validarlo
+  useEffect(() => {
+    setPromoQuote(null);
+  }, [booking.serviceId, booking.customerId]);
+
   const selectedInstructor = useMemo(
     () => (Array.isArray(instructors) ? instructors : []).find((s) => String(s.id) === String(booking.instructorId)),
     [instructors, booking.instructorId]
   );
 
+  const [exdateDraft, setExdateDraft] = useState("");
   const lastSuccessRef = useRef(false);
   const lastErrorRef = useRef("");
 
@@ -111,11 +146,20 @@ export default function BookingWidget() {
     if (bookingSave.ok && !lastSuccessRef.current) {
       lastSuccessRef.current = true;
       const wasRecurring = booking.repeatEnabled;
+      const conflicts = bookingSave.conflicts || [];
       toast.success(wasRecurring ? "¡Serie de turnos reservada! 🎉" : "¡Turno confirmado! 🎉", {
         description: wasRecurring
-          ? "Registramos tus turnos semanales y te enviamos el detalle por WhatsApp."
+          ? "Registramos los turnos de la serie y te enviamos el detalle por WhatsApp."
           : "Te va a llegar la confirmación por WhatsApp.",
       });
+      if (wasRecurring && conflicts.length) {
+        toast.warning(`${conflicts.length} fecha(s) de la serie no se reservaron`, {
+          description: conflicts
+            .slice(0, 5)
+            .map((c) => `${c.date} ${c.time || ""}: ${c.reason}`)
+            .join("\n"),
+        });
+      }
       reset({ customerName: "", customerPhone: "" });
       updateBooking({
         selectedSlot: "",
@@ -123,14 +167,19 @@ export default function BookingWidget() {
         customerName: "",
         customerPhone: "",
         repeatEnabled: false,
+        repeatFrequency: "weekly",
+        repeatInterval: 1,
+        repeatWeekdays: [],
+        repeatMonthlyBy: "monthday",
         repeatCount: 4,
         repeatUntil: "",
+        repeatExdates: [],
       });
     }
     if (!bookingSave.ok && lastSuccessRef.current) {
       lastSuccessRef.current = false;
     }
-  }, [bookingSave.ok, booking.repeatEnabled, reset, updateBooking]);
+  }, [bookingSave.ok, bookingSave.conflicts, booking.repeatEnabled, reset, updateBooking]);
 
   useEffect(() => {
     if (bookingSave.error && bookingSave.error !== lastErrorRef.current) {
@@ -184,8 +233,14 @@ export default function BookingWidget() {
       customerPhone: phone || "",
       customerId: booking.customerId || undefined,
       repeatEnabled: booking.repeatEnabled,
+      repeatFrequency: booking.repeatFrequency,
+      repeatInterval: booking.repeatInterval,
+      repeatWeekdays: booking.repeatWeekdays,
+      repeatMonthlyBy: booking.repeatMonthlyBy,
       repeatCount: booking.repeatCount,
       repeatUntil: booking.repeatUntil || undefined,
+      repeatExdates: booking.repeatExdates,
+      promoCode: promoQuote && !booking.repeatEnabled ? promoQuote.code : undefined,
     });
     setShowWhatsAppModal(true);
   };
@@ -202,6 +257,7 @@ export default function BookingWidget() {
       setPaymentLink(null);
       setShowWhatsAppModal(false);
       setPendingBookingData(null);
+      setPromoInput("");
     } catch (error) {
       logger.error("❌ Error:", error);
       setShowWhatsAppModal(false);
@@ -209,13 +265,39 @@ export default function BookingWidget() {
     }
   };
 
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+    if (!booking.serviceId) {
+      toast.error("Seleccioná un servicio primero");
+      return;
+    }
+    setPromoChecking(true);
+    try {
+      const quote = await apiClient.quotePromoCode({
+        code,
+        serviceId: Number(booking.serviceId),
+        customerId: booking.customerId ? Number(booking.customerId) : undefined,
+      });
+      setPromoQuote(quote);
+      toast.success(`Código ${quote.code} aplicado`);
+    } catch (error) {
+      setPromoQuote(null);
+      toast.error(error?.response?.data?.error || "El código no es válido");
+    } finally {
+      setPromoChecking(false);
+    }
+  };
+
   const handleCreatePaymentLink = async () => {
     if (!selectedService) {
       toast.error("Seleccioná un servicio primero");
       return;
     }
 
-    const servicePrice = selectedService.price_decimal || selectedService.price || selectedService.amount;
+    const servicePrice = promoQuote
+      ? promoQuote.finalAmount
+      : selectedService.price_decimal || selectedService.price || selectedService.amount;
     if (!servicePrice || servicePrice <= 0) {
       toast.error("El servicio no tiene un precio configurado");
       return;
@@ -589,11 +671,43 @@ export default function BookingWidget() {
               </div>
             </Field>
 
+            <Field
+              label="Código promocional (opcional)"
+              hint={
+                booking.repeatEnabled
+                  ? "Los códigos se aplican a turnos individuales, no a series."
+                  : promoQuote
+                    ? `${promoQuote.description || `Descuento de $${Number(promoQuote.discount).toLocaleString("es-AR")}`} · Total: $${Number(promoQuote.finalAmount).toLocaleString("es-AR")}`
+                    : "Se valida contra el servicio y el cliente elegidos."
+              }
+            >
+              <div className="flex gap-2">
+                <input
+                  value={promoInput}
+                  onChange={(e) => {
+                    setPromoInput(e.target.value.toUpperCase());
+                    setPromoQuote(null);
+                  }}
+                  placeholder="Ej: VERANO25"
+                  disabled={booking.repeatEnabled}
+                  className="input px-4 py-3 w-full font-mono"
+                />
+                <Button
+                  type="button"
+                  variant="secondary"
+                  onClick={handleApplyPromo}
+                  disabled={!promoInput.trim() || promoChecking || booking.repeatEnabled}
+                >
+                  {promoQuote ? <CheckCircle2 className="w-4 h-4" /> : "Aplicar"}
+                </Button>
+              </div>
+            </Field>
+
             <div className="rounded-xl border border-border bg-background-secondary px-6 py-5">
               <label className="flex items-center justify-between text-sm font-medium text-foreground">
                 <span className="flex items-center gap-2">
                   <Repeat className="w-4 h-4 text-indigo-400" />
-                  Repetir este turno todas las semanas
+                  Repetir este turno
                 </span>
                 <input
                   type="checkbox"
@@ -610,6 +724,99 @@ export default function BookingWidget() {
 
               {booking.repeatEnabled && (
                 <div className="mt-6 space-y-4 text-sm text-foreground">
+                  <div className="grid md:grid-cols-2 gap-6">
+                    <div>
+                      <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-1">
+                        Frecuencia
+                      </label>
+                      <select
+                        value={booking.repeatFrequency || "weekly"}
+                        onChange={(e) => updateBooking({ repeatFrequency: e.target.value })}
+                        className="w-full rounded-lg border border-border bg-background-secondary px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-primary/40 focus:border-primary"
+                      >
+                        <option value="weekly">Semanal</option>
+                        <option value="monthly">Mensual</option>
+                        <option value="daily">Diaria</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-1">
+                        Repetir cada
+                      </label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={12}
+                        value={booking.repeatInterval ?? 1}
+                        onChange={(e) =>
+                          updateBooking({
+                            repeatInterval: e.target.value ? Number(e.target.value) : "",
+                          })
+                        }
+                        className="w-full rounded-lg border border-border bg-background-secondary px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-primary/40 focus:border-primary"
+                      />
+                      <p className="mt-1 text-xs text-foreground-muted">
+                        {booking.repeatFrequency === "monthly"
+                          ? "Meses entre cada turno."
+                          : booking.repeatFrequency === "daily"
+                          ? "Días entre cada turno."
+                          : "Semanas entre cada turno (2 = quincenal)."}
+                      </p>
+                    </div>
+                  </div>
+
+                  {(booking.repeatFrequency || "weekly") === "weekly" && (
+                    <div>
+                      <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-2">
+                        Días de la semana
+                      </label>
+                      <div className="flex flex-wrap gap-2">
+                        {REPEAT_WEEKDAYS.map((d) => {
+                          const active = (booking.repeatWeekdays || []).includes(d.value);
+                          return (
+                            <button
+                              key={d.value}
+                              type="button"
+                              onClick={() =>
+                                updateBooking({
+                                  repeatWeekdays: active
+                                    ? (booking.repeatWeekdays || []).filter((v) => v !== d.value)
+                                    : [...(booking.repeatWeekdays || []), d.value],
+                                })
+                              }
+                              className={`px-3 py-1.5 rounded-lg border text-xs font-medium transition-colors ${
+                                active
+                                  ? "bg-primary text-white border-primary"
+                                  : "bg-background-secondary text-foreground border-border hover:border-primary"
+                              }`}
+                            >
+                              {d.label}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <p className="mt-1 text-xs text-foreground-muted">
+                        Si no elegís ninguno, se repite el mismo día del turno elegido.
+                      </p>
+                    </div>
+                  )}
+
+                  {booking.repeatFrequency === "monthly" && (
+                    <div>
+                      <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-1">
+                        Repetir por
+                      </label>
+                      <select
+                        value={booking.repeatMonthlyBy || "monthday"}
+                        onChange={(e) => updateBooking({ repeatMonthlyBy: e.target.value })}
+                        className="w-full rounded-lg border border-border bg-background-secondary px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-primary/40 focus:border-primary"
+                      >
+                        <option value="monthday">Mismo día del mes (ej: día 15)</option>
+                        <option value="weekday">Mismo día de la semana (ej: 2° martes)</option>
+                      </select>
+                    </div>
+                  )}
+
                   <div className="grid md:grid-cols-2 gap-6">
                     <div>
                       <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-1">
@@ -650,9 +857,60 @@ export default function BookingWidget() {
                       </p>
                     </div>
                   </div>
+                  <div>
+                    <label className="block text-xs uppercase tracking-wide text-foreground-muted mb-1">
+                      Fechas a excluir (opcional)
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type="date"
+                        value={exdateDraft}
+                        onChange={(e) => setExdateDraft(e.target.value)}
+                        className="flex-1 rounded-lg border border-border bg-background-secondary px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-primary/40 focus:border-primary"
+                      />
+                      <Button
+                        type="button"
+                        variant="secondary"
+                        disabled={!exdateDraft}
+                        onClick={() => {
+                          const current = booking.repeatExdates || [];
+                          if (!current.includes(exdateDraft)) {
+                            updateBooking({ repeatExdates: [...current, exdateDraft].sort() });
+                          }
+                          setExdateDraft("");
+                        }}
+                      >
+                        Agregar
+                      </Button>
+                    </div>
+                    {(booking.repeatExdates || []).length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {booking.repeatExdates.map((date) => (
+                          <span
+                            key={date}
+                            className="inline-flex items-center gap-1 rounded-lg border border-border bg-background-secondary px-2 py-1 text-xs"
+                          >
+                            {date}
+                            <button
+                              type="button"
+                              onClick={() =>
+                                updateBooking({
+                                  repeatExdates: booking.repeatExdates.filter((d) => d !== date),
+                                })
+                              }
+                              className="text-foreground-muted hover:text-red-500"
+                              aria-label={`Quitar ${date}`}
+                            >
+                              <X className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
                   <div className="rounded-lg bg-background-secondary border border-border px-3 py-2 text-xs text-foreground leading-relaxed">
-                    Crearemos turnos semanales con el mismo servicio, profesional y horario. Vas a recibir
-                    un resumen por WhatsApp.
+                    Crearemos los turnos con el mismo servicio, profesional y horario. Si alguna fecha no está
+                    disponible, se reservan las demás y te avisamos cuáles quedaron afuera.
                   </div>
                 </div>
               )}
@@ -686,6 +944,9 @@ export default function BookingWidget() {
                     <h3 className="text-sm font-semibold text-foreground">Pago completo del servicio</h3>
                     <p className="text-xs text-foreground-muted mt-1">
                       Precio: ${(selectedService.price_decimal || selectedService.price || selectedService.amount || 0).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      {promoQuote && (
+                        <> · Con {promoQuote.code}: ${Number(promoQuote.finalAmount).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</>
+                      )}
                     </p>
                   </div>
                 </div>
@@ -785,7 +1046,7 @@ export default function BookingWidget() {
                 <div className="flex items-center gap-2 text-primary">
                   <Repeat className="w-4 h-4" />
                   <span>
-                    Turno semanal •{" "}
+                    {describeRepeat(booking)} •{" "}
                     {booking.repeatUntil
                       ? `Hasta ${booking.repeatUntil}`
                       : `${booking.repeatCount ?? 4} repeticiones`}
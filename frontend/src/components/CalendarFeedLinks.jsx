@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { CalendarPlus, Copy, Link2, Loader2, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { apiClient } from "../api/client";
+import { logger } from "../utils/logger.js";
+
+/**
+ * URLs privadas de suscripción iCalendar (.ics) de un profesional o una sucursal.
+ * El listado de feeds lo carga el padre (una sola llamada para toda la página).
+ */
+export default function CalendarFeedLinks({ scope, targetId, feeds = [], onChange, compact = false }) {
+  const [busy, setBusy] = useState(false);
+
+  const ownFeeds = feeds.filter((feed) =>
+    scope === "branch"
+      ? String(feed.branchId) === String(targetId)
+      : String(feed.instructorId) === String(targetId)
+  );
+
+  const copy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success("URL copiada", {
+        description: "Pegala en Google Calendar, Outlook o Apple Calendar como calendario por URL.",
+      });
+    } catch {
+      toast.error("No se pudo copiar la URL");
+    }
+  };
+
+  const create = async () => {
+    setBusy(true);
+    try {
+      const res = await apiClient.createCalendarFeed({
+        scope,
+        instructorId: scope === "instructor" ? targetId : undefined,
+        branchId: scope === "branch" ? targetId : undefined,
+      });
+      if (!res?.ok) throw new Error(res?.error || "No se pudo generar la URL");
+      await copy(res.data.url);
+      onChange?.();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || e.message || "No se pudo generar la URL");
+      logger.error(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revoke = async (feed) => {
+    if (!window.confirm("¿Revocar esta URL? Los calendarios suscriptos dejarán de actualizarse.")) return;
+    setBusy(true);
+    try {
+      await apiClient.revokeCalendarFeed(feed.id);
+      toast.success("URL revocada");
+      onChange?.();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || "No se pudo revocar la URL");
+      logger.error(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={compact ? "space-y-2" : "space-y-3"}>
+      {ownFeeds.map((feed) => (
+        <div
+          key={feed.id}
+          className="flex items-center gap-2 p-2 rounded-lg bg-background-secondary border border-border text-xs"
+        >
+          <Link2 className="w-4 h-4 text-primary shrink-0" />
+          <code className="flex-1 truncate text-foreground-secondary" title={feed.url}>
+            {feed.url}
+          </code>
+          <button
+            type="button"
+            onClick={() => copy(feed.url)}
+            className="p-1.5 rounded-lg hover:bg-border text-foreground-secondary"
+            title="Copiar URL"
+          >
+            <Copy className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => revoke(feed)}
+            className="p-1.5 rounded-lg hover:bg-red-500/10 text-foreground-secondary hover:text-red-400"
+            title="Revocar URL"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        disabled={busy}
+        onClick={create}
+        className="inline-flex items-center gap-2 rounded-lg border border-border bg-background-secondary px-3 py-1.5 text-xs font-medium text-foreground hover:bg-border disabled:opacity-50"
+      >
+        {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <CalendarPlus className="w-4 h-4" />}
+        {ownFeeds.length ? "Generar otra URL" : "Generar URL de calendario (.ics)"}
+      </button>
+    </div>
+  );
+}
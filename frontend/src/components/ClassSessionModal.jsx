@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { apiClient } from "../api/client";
 import { logger } from "../utils/logger.js";
-import { X, RefreshCw, Users, CalendarClock, DollarSign, AlertTriangle } from "lucide-react";
+import { X, RefreshCw, Users, CalendarClock, DollarSign, AlertTriangle, Hourglass } from "lucide-react";
 
 function formatDateTime(value) {
   if (!value) return "—";
@@ -29,6 +29,7 @@ const STATUS_BADGE = {
   attended: { label: "Asistió", className: "bg-emerald-500/15 text-emerald-200 border-emerald-500/30" },
   cancelled: { label: "Cancelado", className: "bg-red-500/15 text-red-200 border-red-500/30" },
   noshow: { label: "No asistió", className: "bg-amber-500/15 text-amber-200 border-amber-500/30" },
+  waitlisted: { label: "En espera", className: "bg-slate-500/15 text-slate-200 border-slate-500/30" },
 };
 
 export default function ClassSessionModal({ open, sessionId, onClose }) {
@@ -71,6 +72,15 @@ export default function ClassSessionModal({ open, sessionId, onClose }) {
     };
   }, [session]);
 
+  const enrolledList = useMemo(
+    () => (session?.enrollments || []).filter((e) => e.status !== "waitlisted"),
+    [session]
+  );
+  const waitlist = useMemo(
+    () => (session?.enrollments || []).filter((e) => e.status === "waitlisted"),
+    [session]
+  );
+
   if (!open) return null;
 
   return (
@@ -204,9 +214,9 @@ export default function ClassSessionModal({ open, sessionId, onClose }) {
                 </span>
               </div>
 
-              {session.enrollments?.length ? (
+              {enrolledList.length ? (
                 <ul className="space-y-3">
-                  {session.enrollments.map((enrollment) => {
+                  {enrolledList.map((enrollment) => {
                     const badge = STATUS_BADGE[enrollment.status] || STATUS_BADGE.reserved;
                     return (
                       <li
@@ -226,6 +236,12 @@ export default function ClassSessionModal({ open, sessionId, onClose }) {
                             {badge.label}
                           </span>
                         </div>
+                        {enrollment.status === "reserved" && enrollment.confirm_deadline && (
+                          <p className="mt-2 inline-flex items-center gap-1 text-xs text-amber-200">
+                            <Hourglass className="h-3.5 w-3.5" />
+                            Desde lista de espera · confirma hasta {formatDateTime(enrollment.confirm_deadline)}
+                          </p>
+                        )}
                         {enrollment.notes && (
                           <p className="mt-2 text-xs text-slate-400 leading-relaxed">
                             {enrollment.notes}
@@ -240,6 +256,47 @@ export default function ClassSessionModal({ open, sessionId, onClose }) {
                   No hay alumnos inscriptos todavía.
                 </div>
               )}
+
+              {waitlist.length > 0 && (
+                <div className="space-y-3 pt-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-indigo-200">
+                      Lista de espera
+                    </h3>
+                    <span className="rounded-full border border-slate-500/30 bg-slate-500/10 px-3 py-1 text-xs text-slate-200">
+                      {waitlist.length} en espera
+                    </span>
+                  </div>
+                  <ol className="space-y-2">
+                    {waitlist.map((enrollment, idx) => (
+                      <li
+                        key={enrollment.id}
+                        className="flex items-center justify-between gap-3 rounded-2xl border border-slate-700/40 bg-slate-900/60 px-4 py-3 text-sm text-slate-200"
+                      >
+                        <div className="flex items-center gap-3">
+                          <span className="inline-flex h-7 w-7 items-center justify-center rounded-full border border-slate-600/60 bg-slate-800 text-xs font-semibold text-slate-100">
+                            {enrollment.waitlist_position || idx + 1}
+                          </span>
+                          <div>
+                            <p className="font-semibold text-slate-100">
+                              {enrollment.customer_name || "Cliente sin nombre"}
+                            </p>
+                            <p className="text-xs text-slate-400">
+                              {enrollment.customer_phone || "Sin teléfono"}
+                            </p>
+                          </div>
+                        </div>
+                        <span className="text-xs text-slate-400">
+                          Desde {formatDateTime(enrollment.created_at)}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                  <p className="text-xs text-slate-500">
+                    Cuando se libera un lugar se le avisa al primero de la lista para que confirme.
+                  </p>
+                </div>
+              )}
             </section>
           </div>
         )}
@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, MessageCircle, Mail, Smartphone, Search } from "lucide-react";
+import { apiClient } from "../api/client.js";
+import { formatDateTime } from "../shared/ui.jsx";
+import { logger } from "../utils/logger.js";
+
+const PAGE_SIZE = 20;
+
+const CHANNELS = {
+  whatsapp: { label: "WhatsApp", icon: MessageCircle },
+  email: { label: "Email", icon: Mail },
+  push: { label: "Push", icon: Smartphone },
+};
+
+const STATUSES = {
+  sent: { label: "Enviado", className: "bg-background text-foreground-secondary" },
+  delivered: { label: "Entregado", className: "bg-sky-500/15 text-sky-600" },
+  read: { label: "Leído", className: "bg-emerald-500/15 text-emerald-600" },
+  failed: { label: "Falló", className: "bg-red-500/15 text-red-600" },
+  skipped: { label: "No enviado", className: "bg-amber-500/15 text-amber-600" },
+};
+
+const KIND_LABELS = {
+  reminder: "Recordatorio",
+  confirmation: "Confirmación",
+  appointment_update: "Cambio de turno",
+  deposit_link: "Link de seña",
+  payment: "Pago",
+  campaign: "Campaña",
+  membership: "Membresía",
+  invoice: "Factura",
+  gift_card: "Gift card",
+  staff_alert: "Aviso al equipo",
+  notification: "Notificación",
+};
+
+/**
+ * Historial de mensajes enviados con su estado de entrega, filtrado por cliente
+ * (ficha del cliente) o por campaña (historial del CRM).
+ */
+export default function MessageLogList({ customerId = null, campaignId = null, showCustomer = false }) {
+  const [channel, setChannel] = useState("");
+  const [status, setStatus] = useState("");
+  const [search, setSearch] = useState("");
+  const [data, setData] = useState({ items: [], total: 0, summary: {} });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const fetchPage = useCallback(
+    (offset) =>
+      apiClient.listMessageLog({ customerId, campaignId, channel, status, q: search.trim(), limit: PAGE_SIZE, offset }),
+    [customerId, campaignId, channel, status, search]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await fetchPage(0);
+        if (!cancelled) setData(result);
+      } catch (error) {
+        logger.error("[MessageLogList] load error:", error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [fetchPage]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const result = await fetchPage(data.items.length);
+      setData((prev) => ({ ...result, items: [...prev.items, ...result.items] }));
+    } catch (error) {
+      logger.error("[MessageLogList] loadMore error:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[180px]">
+          <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-foreground-muted" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Buscar en los mensajes"
+            className="w-full rounded-lg border border-border pl-9 pr-3 py-2 text-sm bg-background"
+          />
+        </div>
+        <select
+          value={channel}
+          onChange={(e) => setChannel(e.target.value)}
+          className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+        >
+          <option value="">Todos los canales</option>
+          {Object.entries(CHANNELS).map(([value, meta]) => (
+            <option key={value} value={value}>
+              {meta.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+        >
+          <option value="">Todos los estados</option>
+          {Object.entries(STATUSES).map(([value, meta]) => (
+            <option key={value} value={value}>
+              {meta.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {data.total > 0 && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          {Object.entries(STATUSES)
+            .filter(([value]) => data.summary?.[value] > 0)
+            .map(([value, meta]) => (
+              <span key={value} className={`px-2 py-0.5 rounded-full ${meta.className}`}>
+                {meta.label}: {data.summary[value]}
+              </span>
+            ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-6 flex items-center justify-center gap-2 text-sm text-foreground-muted">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Cargando mensajes...
+        </div>
+      ) : data.items.length === 0 ? (
+        <div className="py-4 text-sm text-foreground-muted">No hay mensajes registrados.</div>
+      ) : (
+        <div className="divide-y divide-border/60">
+          {data.items.map((item) => {
+            const channelMeta = CHANNELS[item.channel] || CHANNELS.whatsapp;
+            const statusMeta = STATUSES[item.status] || STATUSES.sent;
+            const Icon = channelMeta.icon;
+            return (
+              <div key={item.id} className="py-3 flex items-start gap-3 text-sm">
+                <Icon className="w-4 h-4 mt-0.5 text-foreground-muted shrink-0" />
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium text-foreground">
+                      {KIND_LABELS[item.kind] || channelMeta.label}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${statusMeta.className}`}>{statusMeta.label}</span>
+                    {item.templateName && (
+                      <span className="text-xs text-foreground-muted">Plantilla {item.templateName}</span>
+                    )}
+                  </div>
+                  {item.subject && <div className="text-foreground-secondary">{item.subject}</div>}
+                  <div className="text-foreground-secondary line-clamp-2 break-words">{item.body}</div>
+                  <div className="text-xs text-foreground-muted mt-1">
+                    {formatDateTime(item.createdAt)}
+                    {showCustomer && item.customerName ? ` · ${item.customerName}` : ""}
+                    {item.channel !== "push" ? ` · ${item.recipient}` : ""}
+                    {item.readAt
+                      ? ` · Leído ${formatDateTime(item.readAt)}`
+                      : item.deliveredAt
+                        ? ` · Entregado ${formatDateTime(item.deliveredAt)}`
+                        : ""}
+                    {item.sentByEmail ? ` · ${item.sentByEmail}` : ""}
+                  </div>
+                  {item.error && <div className="text-xs text-red-500 mt-0.5">{item.error}</div>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!loading && data.items.length < data.total && (
+        <button
+          onClick={loadMore}
+          disabled={loadingMore}
+          className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+        >
+          {loadingMore ? "Cargando..." : `Ver más (${data.total - data.items.length})`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useState } from "react";
+import { AlertTriangle, Loader2, RotateCw, Send } from "lucide-react";
+import { toast } from "sonner";
+import { apiClient } from "../api/client";
+import { logger } from "../utils/logger.js";
+
+const STATUS_LABELS = {
+  offered: "Esperando respuesta",
+  waiting: "Espera otra fecha",
+  no_contact: "Sin WhatsApp",
+  rescheduled: "Reprogramado",
+  cancelled: "Cancelado por el cliente",
+  resolved: "Resuelto desde la agenda",
+  withdrawn: "Bloqueo eliminado",
+};
+const STATUS_CLASSES = {
+  offered: "bg-amber-500/10 text-amber-400 border-amber-500/30",
+  waiting: "bg-sky-500/10 text-sky-400 border-sky-500/30",
+  no_contact: "bg-red-500/10 text-red-400 border-red-500/30",
+  rescheduled: "bg-emerald-500/10 text-emerald-400 border-emerald-500/30",
+  cancelled: "bg-border text-foreground-secondary border-border",
+  resolved: "bg-emerald-500/10 text-emerald-400 border-emerald-500/30",
+  withdrawn: "bg-border text-foreground-secondary border-border",
+};
+const OPEN = ["offered", "waiting", "no_contact"];
+
+function formatDateTime(value) {
+  if (!value) return "";
+  return new Date(String(value).replace(" ", "T")).toLocaleString("es-AR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Tablero de turnos pisados por bloqueos del profesional y el estado de la
+ * reprogramación ofrecida al cliente por WhatsApp.
+ */
+export default function RescheduleBoard({ instructorId, refreshKey }) {
+  const [rows, setRows] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [sendingId, setSendingId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await apiClient.listTimeOffReschedules({ instructorId, status: showAll ? "all" : "open" });
+      setRows(res?.data || []);
+    } catch (e) {
+      logger.error(e);
+    } finally {
+      setLoading(false);
+    }
+  }, [instructorId, showAll]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const resend = async (row) => {
+    setSendingId(row.id);
+    try {
+      const res = await apiClient.resendTimeOffReschedule(row.id);
+      if (!res?.ok) throw new Error(res?.error || "No se pudo reenviar");
+      toast.success("Opciones reenviadas por WhatsApp", {
+        description: `${res.data?.options?.length || 0} horario(s) ofrecidos`,
+      });
+      await load();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || e.message || "No se pudo reenviar");
+      logger.error(e);
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  if (!showAll && !loading && rows.length === 0) {
+    return (
+      <div className="text-right">
+        <button
+          type="button"
+          onClick={() => setShowAll(true)}
+          className="text-xs text-foreground-muted hover:text-foreground underline"
+        >
+          Ver historial de reprogramaciones
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card card--space-lg">
+      <div className="mb-4 flex items-center justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-amber-400" />
+            Turnos a reprogramar
+          </h3>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Turnos que quedaron dentro de un bloqueo. El cliente elige un nuevo horario desde WhatsApp; también
+            podés moverlos desde la agenda.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="inline-flex items-center gap-2 text-xs text-foreground-secondary">
+            <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+            Historial
+          </label>
+          <button
+            type="button"
+            onClick={load}
+            className="p-2 rounded-lg hover:bg-border text-foreground-secondary"
+            title="Actualizar"
+          >
+            {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCw className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-foreground-muted">No hay reprogramaciones.</p>
+      ) : (
+        <div className="divide-y divide-border rounded-lg border border-border">
+          {rows.map((row) => (
+            <div key={row.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+              <div className="flex-1 min-w-[12rem]">
+                <div className="text-foreground">
+                  {row.customer_name || "Cliente"} · {row.service_name || "Servicio"}
+                </div>
+                <div className="text-xs text-foreground-muted">
+                  <span className="capitalize">{formatDateTime(row.original_starts_at)}</span>
+                  {row.time_off_reason ? ` · ${row.time_off_reason}` : ""}
+                  {row.status === "rescheduled" && row.chosen_starts_at && (
+                    <>
+                      {" → "}
+                      <span className="capitalize">{formatDateTime(row.chosen_starts_at)}</span>
+                      {row.chosen_instructor_name ? ` con ${row.chosen_instructor_name}` : ""}
+                    </>
+                  )}
+                </div>
+                {row.last_error && OPEN.includes(row.status) && (
+                  <div className="text-xs text-red-400">{row.last_error}</div>
+                )}
+              </div>
+              <span className={`rounded-full border px-2 py-0.5 text-xs ${STATUS_CLASSES[row.status] || ""}`}>
+                {STATUS_LABELS[row.status] || row.status}
+              </span>
+              {OPEN.includes(row.status) && (
+                <button
+                  type="button"
+                  disabled={sendingId === row.id}
+                  onClick={() => resend(row)}
+                  className="inline-flex items-center gap-1 rounded-lg border border-border bg-background-secondary px-2 py-1 text-xs text-foreground hover:bg-border disabled:opacity-50"
+                  title="Recalcular horarios y reenviar por WhatsApp"
+                >
+                  {sendingId === row.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <Send className="w-3 h-3" />}
+                  Reenviar opciones
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
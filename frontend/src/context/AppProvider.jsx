@@ -47,8 +47,13 @@ export function AppProvider({ children, pollMs = 30000 }) { // Aumentado a 30 se
     customerName: "",
     customerPhone: "",
     repeatEnabled: false,
+    repeatFrequency: "weekly",
+    repeatInterval: 1,
+    repeatWeekdays: [],
+    repeatMonthlyBy: "monthday",
     repeatCount: 4,
     repeatUntil: "",
+    repeatExdates: [],
     branchId: "",
   });
   const updateBooking = (patch) => setBooking((b) => ({ ...b, ...patch }));
@@ -447,6 +452,7 @@ export function AppProvider({ children, pollMs = 30000 }) { // Aumentado a 30 se
         overrideData.repeatCount !== undefined ? overrideData.repeatCount : booking.repeatCount;
       const repeatUntil =
         overrideData.repeatUntil !== undefined ? overrideData.repeatUntil : booking.repeatUntil;
+      const repeatOptions = { ...booking, ...overrideData };
 
       const { selectedSlot, serviceId, instructorId } = booking;
       const branchId =
@@ -508,8 +514,19 @@ export function AppProvider({ children, pollMs = 30000 }) { // Aumentado a 30 se
           sendWhatsApp: overrideData.sendWhatsApp || 'none', // 'with_payment', 'reminder_only', o 'none'
         };
 
+        let conflicts = [];
         if (repeatEnabled) {
-          const repeat = { frequency: "weekly", interval: 1 };
+          const repeat = {
+            frequency: repeatOptions.repeatFrequency || "weekly",
+            interval: Number(repeatOptions.repeatInterval) || 1,
+            exdates: repeatOptions.repeatExdates || [],
+          };
+          if (repeat.frequency === "weekly" && repeatOptions.repeatWeekdays?.length) {
+            repeat.weekdays = repeatOptions.repeatWeekdays;
+          }
+          if (repeat.frequency === "monthly") {
+            repeat.monthlyBy = repeatOptions.repeatMonthlyBy || "monthday";
+          }
           if (repeatUntil) {
             repeat.until = repeatUntil;
           } else {
@@ -523,12 +540,16 @@ export function AppProvider({ children, pollMs = 30000 }) { // Aumentado a 30 se
           });
 
           if (!res?.ok) throw new Error(res?.error || "No se pudo crear la serie de turnos");
+          conflicts = res.data?.conflicts || [];
         } else {
-          const res = await apiClient.createAppointment(basePayload);
+          const res = await apiClient.createAppointment({
+            ...basePayload,
+            promoCode: overrideData.promoCode || undefined,
+          });
           if (!res?.ok && !res?.id) throw new Error(res?.error || "No se pudo crear el turno");
         }
 
-        setBookingSave({ saving: false, ok: true, error: "" });
+        setBookingSave({ saving: false, ok: true, error: "", conflicts });
         await loadEvents();
         setTimeout(() => setBookingSave({ saving: false, ok: false, error: "" }), 3000);
       } catch (e) {
@@ -41,12 +41,15 @@ const StockReservationsPage = React.lazy(() => import("./routes/Stock/StockReser
 const StockTransfersPage = React.lazy(() => import("./routes/Stock/StockTransfersPage.jsx"));
 const StockAlertsPage = React.lazy(() => import("./routes/Stock/StockAlertsPage.jsx"));
 const StockValuationPage = React.lazy(() => import("./routes/Stock/StockValuationPage.jsx"));
+const PurchaseOrdersPage = React.lazy(() => import("./routes/Stock/PurchaseOrdersPage.jsx"));
 const InvoicingPage = React.lazy(() => import("./routes/Invoicing/InvoicingPage.jsx"));
 const EcommerceSalesPage = React.lazy(() => import("./routes/Invoicing/EcommerceSalesPage.jsx"));
 const UsersPage = React.lazy(() => import("./routes/Users/UsersPage.jsx"));
 const SuperAdminLayout = React.lazy(() => import("./routes/SuperAdmin/SuperAdminLayout.jsx"));
 const SuperAdminTenantsPage = React.lazy(() => import("./routes/SuperAdmin/SuperAdminTenantsPage.jsx"));
 const SuperAdminTenantDetail = React.lazy(() => import("./routes/SuperAdmin/SuperAdminTenantDetail.jsx"));
+const SuperAdminJobsPage = React.lazy(() => import("./routes/SuperAdmin/SuperAdminJobsPage.jsx"));
+const SuperAdminAuditPage = React.lazy(() => import("./routes/SuperAdmin/SuperAdminAuditPage.jsx"));
 import SuperAdminRoute from "./components/SuperAdminRoute.jsx";
 const OnboardingPage = React.lazy(() => import("./routes/Onboarding/OnboardingPage.jsx"));
 const PaymentSetupPage = React.lazy(() => import("./routes/Onboarding/PaymentSetupPage.jsx"));
@@ -54,7 +57,13 @@ const PaymentCompletePage = React.lazy(() => import("./routes/Onboarding/Payment
 const ActivationPendingPage = React.lazy(() => import("./routes/Onboarding/ActivationPendingPage.jsx"));
 const InstructorsPage = React.lazy(() => import("./routes/Admin/InstructorsPage.jsx"));
 const MembershipPlansPage = React.lazy(() => import("./routes/Admin/MembershipPlansPage.jsx"));
+const PackagesPage = React.lazy(() => import("./routes/Admin/PackagesPage.jsx"));
+const GiftCardsPage = React.lazy(() => import("./routes/Admin/GiftCardsPage.jsx"));
+const PromoCodesPage = React.lazy(() => import("./routes/Admin/PromoCodesPage.jsx"));
+const LoyaltyPage = React.lazy(() => import("./routes/Admin/LoyaltyPage.jsx"));
+const WhatsAppInboxPage = React.lazy(() => import("./routes/WhatsAppInbox/WhatsAppInboxPage.jsx"));
 const BranchesPage = React.lazy(() => import("./routes/Admin/BranchesPage.jsx"));
+const AuditLogPage = React.lazy(() => import("./routes/Admin/AuditLogPage.jsx"));
 import FeatureGate from "./components/FeatureGate.jsx";
 import { AppProvider } from "./context/AppProvider.jsx";
 const EnterpriseRequest = React.lazy(() => import("./routes/EnterpriseRequest.jsx"));
@@ -73,6 +82,8 @@ const PlansPage = React.lazy(() => import("./routes/PlansPage.jsx"));
 const SubscriptionSuccess = React.lazy(() => import("./routes/SubscriptionSuccess.jsx"));
 const SubscriptionFailure = React.lazy(() => import("./routes/SubscriptionFailure.jsx"));
 const CashRegisterPage = React.lazy(() => import("./routes/CashRegister/CashRegisterPage.jsx"));
+const PosPage = React.lazy(() => import("./routes/POS/PosPage.jsx"));
+const CheckinPage = React.lazy(() => import("./routes/Checkin/CheckinPage.jsx"));
 const AccountingPage = React.lazy(() => import("./routes/Accounting/AccountingPage.jsx"));
 import ErrorBoundary from "./components/ErrorBoundary.jsx";
 import { logDiagnosis, startMonitoring } from "./utils/performanceMonitor.js";
@@ -284,6 +295,16 @@ const router = createBrowserRouter([
           </PrivateRoute>
         ),
       },
+      {
+        path: "stock/purchases",
+        element: (
+          <PrivateRoute>
+            <FeatureGate featureKey="stock">
+              <PurchaseOrdersPage />
+            </FeatureGate>
+          </PrivateRoute>
+        ),
+      },
       {
         path: "invoicing",
         element: (
@@ -304,6 +325,22 @@ const router = createBrowserRouter([
           </PrivateRoute>
         ),
       },
+      {
+        path: "checkin",
+        element: (
+          <PrivateRoute roles={["admin", "staff", "user"]}>
+            <CheckinPage />
+          </PrivateRoute>
+        ),
+      },
+      {
+        path: "pos",
+        element: (
+          <PrivateRoute roles={["admin", "staff"]}>
+            <PosPage />
+          </PrivateRoute>
+        ),
+      },
       {
         path: "cash-register",
         element: (
@@ -320,6 +357,14 @@ const router = createBrowserRouter([
           </PrivateRoute>
         ),
       },
+      {
+        path: "whatsapp-inbox",
+        element: (
+          <PrivateRoute roles={["admin", "staff", "user"]}>
+            <WhatsAppInboxPage />
+          </PrivateRoute>
+        ),
+      },
       {
         path: "crm",
         element: (
@@ -386,6 +431,46 @@ const router = createBrowserRouter([
           </PrivateRoute>
         ),
       },
+      {
+        path: "admin/bonos",
+        element: (
+          <PrivateRoute roles={["admin"]}>
+            <PackagesPage />
+          </PrivateRoute>
+        ),
+      },
+      {
+        path: "admin/gift-cards",
+        element: (
+          <PrivateRoute roles={["admin"]}>
+            <GiftCardsPage />
+          </PrivateRoute>
+        ),
+      },
+      {
+        path: "admin/promo-codes",
+        element: (
+          <PrivateRoute roles={["admin"]}>
+            <PromoCodesPage />
+          </PrivateRoute>
+        ),
+      },
+      {
+        path: "admin/loyalty",
+        element: (
+          <PrivateRoute roles={["admin"]}>
+            <LoyaltyPage />
+          </PrivateRoute>
+        ),
+      },
+      {
+        path: "admin/audit",
+        element: (
+          <PrivateRoute roles={["admin"]}>
+            <AuditLogPage />
+          </PrivateRoute>
+        ),
+      },
       {
         path: "feature-request",
         element: (
@@ -419,6 +504,14 @@ const router = createBrowserRouter([
         path: "tenants/:tenantId",
         element: <SuperAdminTenantDetail />,
       },
+      {
+        path: "jobs",
+        element: <SuperAdminJobsPage />,
+      },
+      {
+        path: "audit",
+        element: <SuperAdminAuditPage />,
+      },
     ],
   },
 
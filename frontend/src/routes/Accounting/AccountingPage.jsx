@@ -19,6 +19,7 @@ import {
   TrendingDown,
   ChevronLeft,
   ChevronRight,
+  Gift,
 } from "lucide-react";
 import { toast } from "sonner";
 import { format } from "date-fns";
@@ -96,6 +97,12 @@ export default function AccountingPage() {
     [dateFrom, dateTo]
   );
 
+  // Pasivo por gift cards: saldo vendido pendiente de canje
+  const { data: giftCardLiability, refetch: refetchGiftCards } = useQuery(
+    () => apiClient.getGiftCardLiability({ from: dateFrom, to: dateTo }),
+    [dateFrom, dateTo]
+  );
+
   const deposits = depositsData?.data || [];
   const closures = closuresData?.data || [];
   const invoices = invoicesData?.data || [];
@@ -274,6 +281,7 @@ export default function AccountingPage() {
     refetchClosures();
     refetchInvoices();
     refetchPayments();
+    refetchGiftCards();
   };
 
   return (
@@ -344,6 +352,33 @@ export default function AccountingPage() {
         </div>
       </div>
 
+      {giftCardLiability && (
+        <div className="card p-4 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <Gift className="w-8 h-8 text-pink-500" />
+            <div>
+              <p className="text-sm text-foreground-muted">Gift cards pendientes de canje (pasivo)</p>
+              <p className="text-2xl font-bold text-foreground">
+                ${giftCardLiability.outstanding.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+              </p>
+            </div>
+          </div>
+          <div className="text-sm text-foreground-secondary space-y-0.5 text-right">
+            <p>
+              Emitido en el período: ${giftCardLiability.period.issued.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+            </p>
+            <p>
+              Canjeado en el período: ${giftCardLiability.period.redeemed.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+            </p>
+            {giftCardLiability.expiredBalance > 0 && (
+              <p className="text-amber-500">
+                Vencido sin canjear: ${giftCardLiability.expiredBalance.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Filtros */}
       <div className="card p-4">
         <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
@@ -0,0 +1,21 @@
+import AuditLogList from "../../components/AuditLogList.jsx";
+
+/**
+ * Registro de auditoría del negocio: quién canceló un turno, cambió un precio,
+ * anuló un cierre de caja o modificó permisos, con el detalle antes → después.
+ */
+export default function AuditLogPage() {
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold text-foreground">Auditoría</h1>
+        <p className="text-sm text-foreground-secondary mt-1">
+          Acciones administrativas sobre turnos, clientes, cobros, caja, stock, facturación, usuarios y configuración.
+        </p>
+      </div>
+      <div className="rounded-2xl border border-border bg-background-secondary p-4 sm:p-6">
+        <AuditLogList />
+      </div>
+    </div>
+  );
+}
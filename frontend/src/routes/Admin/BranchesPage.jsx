@@ -4,6 +4,7 @@ import { toast } from "sonner";
 import { apiClient } from "../../api/client";
 import { useAuth } from "../../context/AuthContext";
 import Button from "../../components/ui/Button";
+import CalendarFeedLinks from "../../components/CalendarFeedLinks";
 import { logger } from "../../utils/logger.js";
 
 const EMPTY_FORM = {
@@ -36,7 +37,7 @@ function BranchBadge({ label, variant = "default" }) {
   );
 }
 
-function BranchCard({ branch, onEdit, onSetPrimary, onToggleActive, onDelete, disableActions }) {
+function BranchCard({ branch, onEdit, onSetPrimary, onToggleActive, onDelete, disableActions, calendarFeeds, onCalendarFeedsChange }) {
   return (
     <div className="p-5 rounded-2xl border border-border bg-background-secondary/60 shadow-sm flex flex-col gap-4">
       <div className="flex items-start justify-between gap-4">
@@ -105,6 +106,16 @@ function BranchCard({ branch, onEdit, onSetPrimary, onToggleActive, onDelete, di
         <div className="text-xs text-foreground-muted">
           Slug interno: <code>{branch.slug}</code>
         </div>
+        <div>
+          <div className="text-xs font-medium text-foreground mb-2">Agenda de la sucursal (iCalendar)</div>
+          <CalendarFeedLinks
+            compact
+            scope="branch"
+            targetId={branch.id}
+            feeds={calendarFeeds}
+            onChange={onCalendarFeedsChange}
+          />
+        </div>
       </div>
 
       <div className="flex flex-wrap gap-2">
@@ -354,6 +365,20 @@ export default function BranchesPage() {
   const [deletingId, setDeletingId] = useState(null);
   const [users, setUsers] = useState([]);
   const [loadingUsers, setLoadingUsers] = useState(false);
+  const [calendarFeeds, setCalendarFeeds] = useState([]);
+
+  const loadCalendarFeeds = useCallback(async () => {
+    try {
+      const res = await apiClient.listCalendarFeeds();
+      setCalendarFeeds(res?.data || []);
+    } catch (err) {
+      logger.error("[BranchesPage] calendar feeds error:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.role === "admin") loadCalendarFeeds();
+  }, [user?.role, loadCalendarFeeds]);
 
   // Verificar permisos: solo administradores pueden ver esta página
   if (user?.role !== "admin") {
@@ -632,6 +657,8 @@ export default function BranchesPage() {
               onSetPrimary={handleSetPrimary}
               onToggleActive={handleToggleActive}
               onDelete={handleDelete}
+              calendarFeeds={calendarFeeds}
+              onCalendarFeedsChange={loadCalendarFeeds}
             />
           ))}
         </div>
@@ -0,0 +1,362 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "sonner";
+import { AlertTriangle, CalendarX, Check, Loader2, Plus, Trash2, X } from "lucide-react";
+import { apiClient } from "../../api/client.js";
+import { useApp } from "../../context/UseApp";
+import { useAuth } from "../../context/AuthContext";
+import { logger } from "../../utils/logger.js";
+
+const STATUS_LABELS = {
+  pending: "Pendiente",
+  accepted: "Cerrado",
+  skipped: "Se trabaja",
+};
+const STATUS_CLASSES = {
+  pending: "bg-amber-500/10 text-amber-400 border-amber-500/30",
+  accepted: "bg-red-500/10 text-red-400 border-red-500/30",
+  skipped: "bg-emerald-500/10 text-emerald-400 border-emerald-500/30",
+};
+
+function formatDay(dateKey) {
+  if (!dateKey) return "";
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString("es-AR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+}
+
+function formatDateTime(value) {
+  if (!value) return "";
+  const date = new Date(String(value).replace(" ", "T"));
+  return date.toLocaleString("es-AR", {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+const emptyForm = { from: "", to: "", name: "", branchId: "" };
+
+/**
+ * Feriados nacionales (aceptar / omitir), cierres manuales del negocio o de una
+ * sucursal y turnos ya reservados que quedaron en un día cerrado.
+ */
+export default function ClosuresConfig() {
+  const { branches = [] } = useApp();
+  const { user } = useAuth();
+  const isAdmin = user?.role === "admin";
+  const currentYear = new Date().getFullYear();
+
+  const [year, setYear] = useState(currentYear);
+  const [holidays, setHolidays] = useState([]);
+  const [closures, setClosures] = useState([]);
+  const [affected, setAffected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [holidaysRes, closuresRes, affectedRes] = await Promise.all([
+        apiClient.getHolidaySuggestions(year),
+        apiClient.listClosures({ year }),
+        apiClient.listAppointmentsToReschedule(),
+      ]);
+      setHolidays(holidaysRes?.data || []);
+      setClosures(closuresRes?.data || []);
+      setAffected(affectedRes?.data || []);
+    } catch (e) {
+      toast.error(e?.response?.data?.error || "No se pudieron cargar los feriados");
+      logger.error(e);
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const notifyFlagged = (count) => {
+    if (count > 0) {
+      toast.warning(`${count} turno(s) quedaron marcados para reprogramar`);
+    }
+  };
+
+  const decide = async ({ accept = [], skip = [] }) => {
+    setBusy(true);
+    try {
+      const res = await apiClient.decideHolidays({ year, accept, skip });
+      if (!res?.ok) throw new Error(res?.error || "No se pudieron guardar los feriados");
+      notifyFlagged(res.data?.flaggedAppointments);
+      await load();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || e.message || "No se pudieron guardar los feriados");
+      logger.error(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pendingKeys = holidays.filter((h) => h.status === "pending").map((h) => h.key);
+
+  const createClosure = async (e) => {
+    e.preventDefault();
+    if (!form.from || !form.name.trim()) {
+      toast.error("Indicá la fecha y el motivo del cierre");
+      return;
+    }
+    setBusy(true);
+    try {
+      const res = await apiClient.createClosure({
+        from: form.from,
+        to: form.to || form.from,
+        name: form.name.trim(),
+        branchId: form.branchId || null,
+      });
+      if (!res?.ok) throw new Error(res?.error || "No se pudo crear el cierre");
+      toast.success("Cierre guardado");
+      notifyFlagged(res.data?.flaggedAppointments);
+      setForm(emptyForm);
+      await load();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || e.message || "No se pudo crear el cierre");
+      logger.error(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeClosure = async (closure) => {
+    if (!window.confirm(`¿Quitar el cierre del ${formatDay(closure.date)}? Se podrán volver a tomar turnos ese día.`)) return;
+    setBusy(true);
+    try {
+      await apiClient.deleteClosure(closure.id);
+      toast.success("Cierre eliminado");
+      await load();
+    } catch (e) {
+      toast.error(e?.response?.data?.error || "No se pudo eliminar el cierre");
+      logger.error(e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const manualClosures = closures.filter((c) => c.source !== "holiday");
+
+  return (
+    <div className="space-y-8">
+      {/* Feriados nacionales */}
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h4 className="text-sm font-semibold text-foreground">Feriados nacionales</h4>
+            <p className="text-xs text-foreground-muted">
+              Elegí qué feriados cerrás. Los que quedan pendientes no bloquean turnos.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="input py-1.5 text-sm"
+            >
+              {[currentYear, currentYear + 1].map((y) => (
+                <option key={y} value={y}>
+                  {y}
+                </option>
+              ))}
+            </select>
+            {isAdmin && pendingKeys.length > 0 && (
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => decide({ accept: pendingKeys })}
+                className="inline-flex items-center gap-2 rounded-lg border border-border bg-background-secondary px-3 py-1.5 text-xs font-medium text-foreground hover:bg-border disabled:opacity-50"
+              >
+                <CalendarX className="w-4 h-4" />
+                Cerrar todos los pendientes
+              </button>
+            )}
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-foreground-muted">
+            <Loader2 className="w-4 h-4 animate-spin" /> Cargando feriados...
+          </div>
+        ) : (
+          <div className="divide-y divide-border rounded-lg border border-border">
+            {holidays.map((holiday) => (
+              <div key={holiday.key} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                <span className="w-32 shrink-0 text-foreground-secondary capitalize">{formatDay(holiday.date)}</span>
+                <span className="flex-1 min-w-[10rem] text-foreground">{holiday.name}</span>
+                <span className={`rounded-full border px-2 py-0.5 text-xs ${STATUS_CLASSES[holiday.status]}`}>
+                  {STATUS_LABELS[holiday.status]}
+                </span>
+                {isAdmin && (
+                  <div className="flex items-center gap-1">
+                    {holiday.status !== "accepted" && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => decide({ accept: [holiday.key] })}
+                        className="p-1.5 rounded-lg hover:bg-red-500/10 text-foreground-secondary hover:text-red-400"
+                        title="Cerrar ese día"
+                      >
+                        <Check className="w-4 h-4" />
+                      </button>
+                    )}
+                    {holiday.status !== "skipped" && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => decide({ skip: [holiday.key] })}
+                        className="p-1.5 rounded-lg hover:bg-emerald-500/10 text-foreground-secondary hover:text-emerald-400"
+                        title="Se trabaja normalmente"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Cierres manuales */}
+      <div className="space-y-3">
+        <div>
+          <h4 className="text-sm font-semibold text-foreground">Cierres del negocio</h4>
+          <p className="text-xs text-foreground-muted">
+            Vacaciones, refacciones o días no laborables. Podés cerrar todo el negocio o una sola sucursal.
+          </p>
+        </div>
+
+        {isAdmin && (
+          <form onSubmit={createClosure} className="grid gap-3 sm:grid-cols-2 lg:grid-cols-5 items-end">
+            <label className="text-xs text-foreground-secondary space-y-1">
+              <span>Desde</span>
+              <input
+                type="date"
+                value={form.from}
+                onChange={(e) => setForm({ ...form, from: e.target.value })}
+                className="input w-full"
+              />
+            </label>
+            <label className="text-xs text-foreground-secondary space-y-1">
+              <span>Hasta (opcional)</span>
+              <input
+                type="date"
+                value={form.to}
+                min={form.from || undefined}
+                onChange={(e) => setForm({ ...form, to: e.target.value })}
+                className="input w-full"
+              />
+            </label>
+            <label className="text-xs text-foreground-secondary space-y-1">
+              <span>Motivo</span>
+              <input
+                type="text"
+                value={form.name}
+                maxLength={120}
+                placeholder="Ej: Vacaciones"
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="input w-full"
+              />
+            </label>
+            <label className="text-xs text-foreground-secondary space-y-1">
+              <span>Sucursal</span>
+              <select
+                value={form.branchId}
+                onChange={(e) => setForm({ ...form, branchId: e.target.value })}
+                className="input w-full"
+              >
+                <option value="">Todo el negocio</option>
+                {branches.map((branch) => (
+                  <option key={branch.id} value={branch.id}>
+                    {branch.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="submit"
+              disabled={busy}
+              className="inline-flex items-center justify-center gap-2 rounded-lg bg-primary px-3 py-2 text-sm font-medium text-white hover:opacity-90 disabled:opacity-50"
+            >
+              {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+              Agregar cierre
+            </button>
+          </form>
+        )}
+
+        {manualClosures.length === 0 ? (
+          <p className="text-sm text-foreground-muted">No hay cierres cargados para {year}.</p>
+        ) : (
+          <div className="divide-y divide-border rounded-lg border border-border">
+            {manualClosures.map((closure) => (
+              <div key={closure.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                <span className="w-32 shrink-0 text-foreground-secondary capitalize">{formatDay(closure.date)}</span>
+                <span className="flex-1 min-w-[10rem] text-foreground">{closure.name}</span>
+                <span className="text-xs text-foreground-muted">{closure.branchName || "Todo el negocio"}</span>
+                {closure.affectedAppointments > 0 && (
+                  <span className="text-xs text-amber-400">{closure.affectedAppointments} turno(s) a reprogramar</span>
+                )}
+                {isAdmin && (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => removeClosure(closure)}
+                    className="p-1.5 rounded-lg hover:bg-red-500/10 text-foreground-secondary hover:text-red-400"
+                    title="Quitar cierre"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Turnos afectados */}
+      {affected.length > 0 && (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 text-amber-400" />
+            <h4 className="text-sm font-semibold text-foreground">Turnos a reprogramar ({affected.length})</h4>
+          </div>
+          <p className="text-xs text-foreground-muted">
+            Ya estaban reservados en un día que ahora está cerrado. Movelos desde la agenda; la marca se quita al
+            reprogramarlos o cancelarlos.
+          </p>
+          <div className="divide-y divide-border rounded-lg border border-amber-500/30">
+            {affected.map((appt) => (
+              <div key={appt.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                <span className="w-40 shrink-0 text-foreground-secondary capitalize">
+                  {formatDateTime(appt.starts_at)}
+                </span>
+                <span className="flex-1 min-w-[10rem] text-foreground">
+                  {appt.customer_name || "Cliente"} · {appt.service_name || "Servicio"}
+                </span>
+                <span className="text-xs text-foreground-muted">{appt.instructor_name}</span>
+                {appt.customer_phone && (
+                  <span className="text-xs text-foreground-muted">{appt.customer_phone}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -30,10 +30,12 @@ import {
   ChevronDown,
   ChevronUp,
   ChevronsDownUp,
+  CalendarX,
 } from "lucide-react";
 import { apiClient } from "../../api/client.js";
 import { toast } from "sonner";
 import BusinessTypeConfig from "./BusinessTypeConfig.jsx";
+import ClosuresConfig from "./ClosuresConfig.jsx";
 import { useAuth } from "../../context/AuthContext";
 import { useApp } from "../../context/UseApp";
 import Button from "../../components/ui/Button";
@@ -140,6 +142,7 @@ export default function ConfigPage() {
     { id: "business-type", label: t("config.businessType"), Icon: Building2, adminOnly: true },
     { id: "working-hours", label: t("config.workingHours"), Icon: Clock },
     { id: "calendar", label: t("config.calendarHours"), Icon: Clock },
+    { id: "closures", label: t("config.closures"), Icon: CalendarX },
     { id: "whatsapp", label: "WhatsApp", Icon: MessageCircle },
     { id: "contact", label: t("config.arca"), Icon: Receipt },
     { id: "mercadopago", label: t("config.mercadopago"), Icon: CreditCard },
@@ -205,6 +208,9 @@ export default function ConfigPage() {
     arca_api_key: "",
     arca_cuit: "",
     arca_punto_venta: "1",
+    arca_razon_social: "",
+    arca_domicilio: "",
+    arca_inicio_actividades: "",
     arca_api_url: "https://api.arca.com.ar/v1",
     arca_cert_content: "",
     arca_key_content: "",
@@ -431,6 +437,9 @@ export default function ConfigPage() {
           arca_api_key: contactData.arca_api_key ?? "",
           arca_cuit: contactData.arca_cuit ?? "",
           arca_punto_venta: contactData.arca_punto_venta ?? "1",
+          arca_razon_social: contactData.arca_razon_social ?? "",
+          arca_domicilio: contactData.arca_domicilio ?? "",
+          arca_inicio_actividades: contactData.arca_inicio_actividades ?? "",
           arca_api_url: contactData.arca_api_url ?? "https://api.arca.com.ar/v1",
           arca_cert_content: "",
           arca_key_content: "",
@@ -1204,6 +1213,9 @@ export default function ConfigPage() {
           arca_api_key: contactData.arca_api_key ?? "",
           arca_cuit: contactData.arca_cuit ?? "",
           arca_punto_venta: contactData.arca_punto_venta ?? "1",
+          arca_razon_social: contactData.arca_razon_social ?? "",
+          arca_domicilio: contactData.arca_domicilio ?? "",
+          arca_inicio_actividades: contactData.arca_inicio_actividades ?? "",
           arca_api_url: contactData.arca_api_url ?? "https://api.arca.com.ar/v1",
           arca_cert_content: "",
           arca_key_content: "",
@@ -2141,6 +2153,17 @@ export default function ConfigPage() {
         </ConfigSection>
       </div>
 
+      {/* FERIADOS Y CIERRES */}
+      <div id="closures">
+        <ConfigSection
+          title={t("config.closuresTitle")}
+          description={t("config.closuresDescription")}
+          icon={CalendarX}
+        >
+          <ClosuresConfig />
+        </ConfigSection>
+      </div>
+
       {/* WHATSAPP */}
       <div id="whatsapp">
         <ConfigSection
@@ -2599,6 +2622,39 @@ export default function ConfigPage() {
                 </FieldGroup>
               </div>
 
+              {/* Datos del emisor impresos en el PDF de las facturas */}
+              <div className="grid md:grid-cols-2 gap-4 mb-4">
+                <FieldGroup
+                  label={t("arca.razonSocialLabel")}
+                  hint={t("arca.razonSocialHint")}
+                >
+                  <input
+                    type="text"
+                    value={contact.arca_razon_social}
+                    onChange={(e) => setContact({ ...contact, arca_razon_social: e.target.value })}
+                    className="input w-full"
+                  />
+                </FieldGroup>
+
+                <FieldGroup label={t("arca.domicilioLabel")}>
+                  <input
+                    type="text"
+                    value={contact.arca_domicilio}
+                    onChange={(e) => setContact({ ...contact, arca_domicilio: e.target.value })}
+                    className="input w-full"
+                  />
+                </FieldGroup>
+
+                <FieldGroup label={t("arca.inicioActividadesLabel")}>
+                  <input
+                    type="date"
+                    value={contact.arca_inicio_actividades}
+                    onChange={(e) => setContact({ ...contact, arca_inicio_actividades: e.target.value })}
+                    className="input w-full"
+                  />
+                </FieldGroup>
+              </div>
+
               {/* Estado de conexión y test */}
               <div className="space-y-4 mt-6">
                 {/* Estado de conexión */}
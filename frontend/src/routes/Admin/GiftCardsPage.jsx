@@ -0,0 +1,483 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, RefreshCw, Gift, Download, Mail, MessageCircle, Ban, Search } from "lucide-react";
+import { toast } from "sonner";
+import Button from "../../components/ui/Button";
+import { apiClient } from "../../api/client.js";
+import { logger } from "../../utils/logger.js";
+
+const DEFAULT_FORM = {
+  amount: "",
+  validityDays: 365,
+  design: "classic",
+  recipientName: "",
+  recipientEmail: "",
+  message: "",
+  notes: "",
+};
+
+const STATUS_META = {
+  active: { label: "Vigente", tone: "bg-emerald-500/15 text-emerald-300" },
+  redeemed: { label: "Canjeada", tone: "bg-slate-500/15 text-slate-300" },
+  expired: { label: "Vencida", tone: "bg-rose-500/15 text-rose-300" },
+  cancelled: { label: "Anulada", tone: "bg-slate-500/15 text-slate-300" },
+};
+
+const MOVEMENT_LABELS = {
+  issue: "Emisión",
+  redeem: "Canje",
+  cancel: "Anulación",
+};
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("es-AR", {
+    style: "currency",
+    currency: "ARS",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(Number(value ?? 0));
+
+const formatDate = (value) => {
+  if (!value) return "—";
+  const [year, month, day] = String(value).slice(0, 10).split("-");
+  return `${day}/${month}/${year}`;
+};
+
+function FieldGroup({ label, hint, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-foreground mb-2">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-foreground-muted mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * Gift cards: emisión manual, consulta de saldo y movimientos, PDF para imprimir o
+ * enviar y el saldo pendiente de canje. La venta cobrada se hace desde el punto de venta.
+ */
+export default function GiftCardsPage() {
+  const [cards, setCards] = useState([]);
+  const [designs, setDesigns] = useState({});
+  const [liability, setLiability] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [saving, setSaving] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [list, summary] = await Promise.all([
+        apiClient.listGiftCards({ status: statusFilter, search }),
+        apiClient.getGiftCardLiability(),
+      ]);
+      setCards(list?.data || []);
+      setDesigns(list?.designs || {});
+      setLiability(summary);
+    } catch (error) {
+      logger.error("[GiftCardsPage] load error:", error);
+      toast.error("No pudimos obtener las gift cards.");
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, search]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openDetail = async (card) => {
+    try {
+      setSelected(await apiClient.getGiftCard(card.id));
+    } catch (error) {
+      logger.error("[GiftCardsPage] openDetail error:", error);
+      toast.error("No pudimos obtener los movimientos.");
+    }
+  };
+
+  const downloadPdf = async (card) => {
+    try {
+      const blob = await apiClient.getGiftCardPdf(card.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `gift-card-${card.code}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      logger.error("[GiftCardsPage] downloadPdf error:", error);
+      toast.error("No se pudo generar el PDF.");
+    }
+  };
+
+  const sendCard = async (card, channel) => {
+    const to =
+      channel === "email"
+        ? window.prompt("Email del destinatario", card.recipientEmail || "")
+        : window.prompt("WhatsApp (con código de país)", "");
+    if (to === null) return;
+    try {
+      await apiClient.sendGiftCard(card.id, { channel, to: to.trim() || undefined });
+      toast.success(channel === "email" ? "Gift card enviada por email" : "Gift card enviada por WhatsApp");
+    } catch (error) {
+      logger.error("[GiftCardsPage] sendCard error:", error);
+      toast.error(error.response?.data?.error || "No se pudo enviar la gift card.");
+    }
+  };
+
+  const cancelCard = async (card) => {
+    const reason = window.prompt(`¿Anular la gift card ${card.code}? El saldo deja de ser canjeable. Motivo:`, "");
+    if (reason === null) return;
+    try {
+      await apiClient.cancelGiftCard(card.id, reason.trim() || undefined);
+      toast.success("Gift card anulada");
+      setSelected(null);
+      await load();
+    } catch (error) {
+      logger.error("[GiftCardsPage] cancelCard error:", error);
+      toast.error(error.response?.data?.error || "No se pudo anular la gift card.");
+    }
+  };
+
+  const handleSubmit = async () => {
+    const amount = Number(form.amount);
+    if (!(amount > 0)) {
+      toast.error("Ingresá el monto de la gift card.");
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await apiClient.issueGiftCard({
+        amount,
+        validityDays: form.validityDays === "" ? null : parseInt(form.validityDays, 10),
+        design: form.design,
+        recipientName: form.recipientName.trim() || null,
+        recipientEmail: form.recipientEmail.trim() || null,
+        message: form.message.trim() || null,
+        notes: form.notes.trim() || null,
+      });
+      toast.success(`Gift card ${response?.data?.code} emitida`);
+      setForm(DEFAULT_FORM);
+      await load();
+    } catch (error) {
+      logger.error("[GiftCardsPage] handleSubmit error:", error);
+      toast.error(error.response?.data?.error || "No pudimos emitir la gift card.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground">Gift cards</h1>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Para venderlas y cobrarlas usá el punto de venta; acá podés emitir cortesías y seguir los saldos.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={load} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          Actualizar
+        </Button>
+      </div>
+
+      {liability && (
+        <div className="grid gap-4 sm:grid-cols-3">
+          <div className="card p-4">
+            <p className="text-sm text-foreground-muted">Saldo pendiente de canje</p>
+            <p className="text-2xl font-bold text-foreground mt-1">{formatCurrency(liability.outstanding)}</p>
+            <p className="text-xs text-foreground-muted">{liability.outstandingCount} gift cards vigentes</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-foreground-muted">Vencido sin canjear</p>
+            <p className="text-2xl font-bold text-foreground mt-1">{formatCurrency(liability.expiredBalance)}</p>
+            <p className="text-xs text-foreground-muted">{liability.expiredCount} gift cards</p>
+          </div>
+          <div className="card p-4">
+            <p className="text-sm text-foreground-muted">Emitido / canjeado (histórico)</p>
+            <p className="text-2xl font-bold text-foreground mt-1">
+              {formatCurrency(liability.period.issued)} / {formatCurrency(liability.period.redeemed)}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="grid gap-6 xl:grid-cols-[minmax(0,1.2fr)_minmax(360px,420px)]">
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-3">
+            <div className="relative flex-1 min-w-[200px]">
+              <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-foreground-muted" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Buscar por código, destinatario o comprador"
+                className="input w-full pl-9"
+              />
+            </div>
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input">
+              <option value="">Todos los estados</option>
+              {Object.entries(STATUS_META).map(([value, meta]) => (
+                <option key={value} value={value}>
+                  {meta.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm overflow-hidden">
+            {loading ? (
+              <div className="p-10 flex flex-col items-center gap-2 text-foreground-muted">
+                <Loader2 className="w-5 h-5 animate-spin" />
+                Cargando gift cards...
+              </div>
+            ) : cards.length === 0 ? (
+              <div className="p-8 text-center text-sm text-foreground-muted">No hay gift cards para mostrar.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[720px] text-sm">
+                  <thead className="text-left bg-background/60 text-foreground-muted uppercase text-xs tracking-wide">
+                    <tr>
+                      <th className="px-4 py-3">Código</th>
+                      <th className="px-4 py-3">Para</th>
+                      <th className="px-4 py-3">Saldo</th>
+                      <th className="px-4 py-3">Vence</th>
+                      <th className="px-4 py-3">Estado</th>
+                      <th className="px-4 py-3 text-right">Acciones</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cards.map((card) => {
+                      const meta = STATUS_META[card.status] || STATUS_META.cancelled;
+                      return (
+                        <tr key={card.id} className={`border-t border-border/60 ${selected?.id === card.id ? "bg-primary/5" : ""}`}>
+                          <td className="px-4 py-3 align-top">
+                            <button
+                              type="button"
+                              onClick={() => openDetail(card)}
+                              className="font-mono font-medium text-foreground hover:text-primary"
+                            >
+                              {card.code}
+                            </button>
+                            <p className="text-xs text-foreground-muted">
+                              {card.source === "pos" ? `Venta #${card.posSaleId}` : "Emisión manual"}
+                            </p>
+                          </td>
+                          <td className="px-4 py-3 align-top text-foreground-secondary">
+                            {card.recipientName || "—"}
+                            {card.purchaserName && <p className="text-xs text-foreground-muted">Compró: {card.purchaserName}</p>}
+                          </td>
+                          <td className="px-4 py-3 align-top">
+                            {formatCurrency(card.balance)}
+                            <p className="text-xs text-foreground-muted">de {formatCurrency(card.initialAmount)}</p>
+                          </td>
+                          <td className="px-4 py-3 align-top text-foreground-secondary">
+                            {card.expiresAt ? formatDate(card.expiresAt) : "Sin vencimiento"}
+                          </td>
+                          <td className="px-4 py-3 align-top">
+                            <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold ${meta.tone}`}>
+                              {meta.label}
+                            </span>
+                          </td>
+                          <td className="px-4 py-3 align-top">
+                            <div className="flex items-center justify-end gap-1">
+                              <button
+                                type="button"
+                                onClick={() => downloadPdf(card)}
+                                className="p-1.5 rounded-lg text-foreground-secondary hover:text-primary hover:bg-primary/10"
+                                title="Descargar PDF"
+                              >
+                                <Download className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => sendCard(card, "email")}
+                                className="p-1.5 rounded-lg text-foreground-secondary hover:text-primary hover:bg-primary/10"
+                                title="Enviar por email"
+                              >
+                                <Mail className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => sendCard(card, "whatsapp")}
+                                className="p-1.5 rounded-lg text-foreground-secondary hover:text-primary hover:bg-primary/10"
+                                title="Enviar por WhatsApp"
+                              >
+                                <MessageCircle className="w-4 h-4" />
+                              </button>
+                              {card.status === "active" && (
+                                <button
+                                  type="button"
+                                  onClick={() => cancelCard(card)}
+                                  className="p-1.5 rounded-lg text-foreground-secondary hover:text-red-400 hover:bg-red-500/10"
+                                  title="Anular"
+                                >
+                                  <Ban className="w-4 h-4" />
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {selected && (
+            <div className="card p-5 space-y-3">
+              <div className="flex items-center justify-between">
+                <h2 className="text-base font-semibold text-foreground">
+                  Movimientos de <span className="font-mono">{selected.code}</span>
+                </h2>
+                <button type="button" onClick={() => setSelected(null)} className="text-foreground-muted hover:text-foreground">
+                  ✕
+                </button>
+              </div>
+              {selected.message && <p className="text-sm text-foreground-secondary italic">&quot;{selected.message}&quot;</p>}
+              <div className="divide-y divide-border/60 text-sm">
+                {selected.movements.map((movement) => (
+                  <div key={movement.id} className="flex items-center justify-between py-2 gap-3">
+                    <div className="min-w-0">
+                      <p className="text-foreground">{MOVEMENT_LABELS[movement.type] || movement.type}</p>
+                      <p className="text-xs text-foreground-muted truncate">
+                        {formatDate(movement.createdAt)}
+                        {movement.description ? ` · ${movement.description}` : ""}
+                      </p>
+                    </div>
+                    <div className="text-right shrink-0">
+                      <p className={movement.amount < 0 ? "text-rose-300" : "text-emerald-300"}>
+                        {movement.amount > 0 ? "+" : ""}
+                        {formatCurrency(movement.amount)}
+                      </p>
+                      <p className="text-xs text-foreground-muted">Saldo {formatCurrency(movement.balanceAfter)}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm p-6 space-y-5 h-fit">
+          <div>
+            <p className="text-xs uppercase tracking-wide text-foreground-muted">Emisión manual</p>
+            <h2 className="text-lg font-semibold text-foreground flex items-center gap-2">
+              <Gift className="w-5 h-5 text-primary" />
+              Nueva gift card
+            </h2>
+            <p className="text-xs text-foreground-muted mt-1">
+              Usala para cortesías o ventas cobradas por fuera de la caja.
+            </p>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Monto">
+              <input
+                type="number"
+                min="1"
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => setForm((prev) => ({ ...prev, amount: e.target.value }))}
+                className="input w-full"
+                placeholder="Ej: 20000"
+              />
+            </FieldGroup>
+            <FieldGroup label="Validez (días)" hint="Vacío: no vence.">
+              <input
+                type="number"
+                min="1"
+                value={form.validityDays}
+                onChange={(e) => setForm((prev) => ({ ...prev, validityDays: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          </div>
+
+          <FieldGroup label="Diseño">
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(designs).map(([key, design]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setForm((prev) => ({ ...prev, design: key }))}
+                  className={`flex items-center gap-2 rounded-lg border px-3 py-2 text-sm ${
+                    form.design === key ? "border-primary ring-1 ring-primary" : "border-border"
+                  }`}
+                >
+                  <span
+                    className="w-5 h-5 rounded-full border border-border"
+                    style={{ background: `linear-gradient(135deg, ${design.background} 60%, ${design.accent} 60%)` }}
+                  />
+                  {design.label}
+                </button>
+              ))}
+            </div>
+          </FieldGroup>
+
+          <FieldGroup label="Para (opcional)">
+            <input
+              type="text"
+              value={form.recipientName}
+              onChange={(e) => setForm((prev) => ({ ...prev, recipientName: e.target.value }))}
+              className="input w-full"
+              placeholder="Nombre de quien la recibe"
+            />
+          </FieldGroup>
+
+          <FieldGroup label="Email del destinatario (opcional)">
+            <input
+              type="email"
+              value={form.recipientEmail}
+              onChange={(e) => setForm((prev) => ({ ...prev, recipientEmail: e.target.value }))}
+              className="input w-full"
+            />
+          </FieldGroup>
+
+          <FieldGroup label="Mensaje impreso (opcional)">
+            <textarea
+              value={form.message}
+              onChange={(e) => setForm((prev) => ({ ...prev, message: e.target.value }))}
+              className="input w-full min-h-[70px]"
+              maxLength={300}
+            />
+          </FieldGroup>
+
+          <FieldGroup label="Nota interna (opcional)">
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm((prev) => ({ ...prev, notes: e.target.value }))}
+              className="input w-full"
+              placeholder="Ej: cortesía por reclamo"
+            />
+          </FieldGroup>
+
+          <div className="flex justify-end pt-2">
+            <Button onClick={handleSubmit} disabled={saving}>
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Emitiendo...
+                </>
+              ) : (
+                <>
+                  <Gift className="w-4 h-4" />
+                  Emitir gift card
+                </>
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   TrendingUp, CalendarCheck, Coins, PiggyBank, Download,
-  Calendar, Loader2, AlertTriangle, Save, RotateCw, Clock, X, Trash2
+  Calendar, Loader2, AlertTriangle, Save, RotateCw, Clock, X, Trash2, Upload
 } from "lucide-react";
 import { apiClient } from "../../api/client";
+import CalendarFeedLinks from "../../components/CalendarFeedLinks";
+import RescheduleBoard from "../../components/RescheduleBoard";
 import { toast } from "sonner";
 import { logger } from "../../utils/logger.js";
 // Chart.js
@@ -65,6 +67,15 @@ const Btn = ({ children, className = "", ...props }) => (
 );
 
 /* ===== Editor horarios / francos ===== */
+// Propone un bloque de 4 h, 3 h después del fin del bloque anterior (sin pasar de las 23:59)
+function nextBlockAfter(endTime) {
+  const [h, m] = String(endTime).split(":").map(Number);
+  const startMin = Math.min((h * 60 + (m || 0)) + 180, 23 * 60);
+  const endMin = Math.min(startMin + 240, 23 * 60 + 59);
+  const fmt = (min) => `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}:00`;
+  return { start_time: fmt(startMin), end_time: fmt(endMin) };
+}
+
 function WorkingHoursEditor({ instructorId }) {
   // Cambiar estructura: cada día tiene un array de horarios (uno por sucursal)
   const [rows, setRows] = useState(() => 
@@ -130,7 +141,7 @@ function WorkingHoursEditor({ instructorId }) {
       
       const full = Array.from({ length: 7 }, (_, d) => ({
         weekday: d,
-        schedules: byWeekday.get(d) || [],
+        schedules: (byWeekday.get(d) || []).sort((a, b) => String(a.start_time).localeCompare(String(b.start_time))),
       }));
       
       logger.log(`[loadWorkingHours] Horarios agrupados por día:`, full);
@@ -184,9 +195,14 @@ function WorkingHoursEditor({ instructorId }) {
   const addSchedule = (dayIdx) => {
     setRows(rs => rs.map((r, i) => {
       if (i === dayIdx) {
+        // Turno partido: el nuevo bloque arranca donde termina el último (ej. 09-13 → 16-20)
+        const last = r.schedules[r.schedules.length - 1];
+        const next = last?.end_time
+          ? nextBlockAfter(last.end_time)
+          : { start_time: "10:00:00", end_time: "19:00:00" };
         return {
           ...r,
-          schedules: [...r.schedules, { branch_id: singleBranchId ?? null, start_time: "10:00:00", end_time: "19:00:00" }]
+          schedules: [...r.schedules, { branch_id: last?.branch_id ?? singleBranchId ?? null, ...next }]
         };
       }
       return r;
@@ -375,11 +391,7 @@ function WorkingHoursEditor({ instructorId }) {
         });
         setErr(details.join('\n'));
       } else if (errorData.code === 'ER_DUP_ENTRY') {
-        if (errorMessage.includes('uq_wh')) {
-          errorMessage = "Ya existe un horario para este día. Si querés agregar múltiples sucursales, ejecutá la migración 054 en la base de datos para actualizar las restricciones.";
-        } else {
-          errorMessage = "Ya existe un horario para esta combinación de día y sucursal. Verificá que no estés duplicando horarios.";
-        }
+        errorMessage = "La base de datos todavía no admite varios bloques por día. Verificá que la restricción única de working_hours se haya eliminado.";
         setErr(errorMessage);
         toast.error(errorMessage, {
           description: errorData.code ? `Código de error: ${errorData.code}` : undefined,
@@ -422,8 +434,9 @@ function WorkingHoursEditor({ instructorId }) {
   const deleteBlock = async (blockId) => {
     if (!confirm("¿Eliminar este bloqueo?")) return;
     try {
-      await apiClient.deleteDayOff(blockId);
+      const res = await apiClient.deleteDayOff(blockId);
       toast.success("Bloqueo eliminado");
+      if (res?.rescheduleError) toast.error(res.rescheduleError);
       loadBlocks();
     } catch (e) {
       toast.error("Error al eliminar bloqueo");
@@ -451,6 +464,9 @@ function WorkingHoursEditor({ instructorId }) {
             </button>
           </div>
         </div>
+        <p className="mb-3 text-xs text-foreground-muted">
+          Podés cargar varios bloques por día (ej. 09:00–13:00 y 16:00–20:00). Los turnos solo se ofrecen dentro de cada bloque.
+        </p>
         {err && (
           <div className="mb-3 text-sm rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-2 text-red-400 flex items-center gap-2">
             <AlertTriangle className="w-4 h-4" /> {err}
@@ -468,9 +484,9 @@ function WorkingHoursEditor({ instructorId }) {
                       <button
                         onClick={() => addSchedule(dayIdx)}
                         className="text-xs rounded-lg px-2 py-1 border border-primary/30 bg-primary/10 text-primary font-medium hover:bg-primary/20"
-                        title={singleBranchId != null ? "Agregar horario" : "Agregar otra sucursal"}
+                        title="Agregar otro bloque (turno partido u otra sucursal)"
                       >
-                        {singleBranchId != null ? "+ Horario" : "+ Sucursal"}
+                        + Bloque
                       </button>
                     )}
                     {hasSchedules && (
@@ -499,7 +515,7 @@ function WorkingHoursEditor({ instructorId }) {
                       <div key={scheduleIdx} className="p-3 rounded-lg border border-border/60 bg-background/50 space-y-2">
                         <div className="flex items-center justify-between mb-2">
                           <span className="text-xs font-medium text-foreground-secondary">
-                            Horario {scheduleIdx + 1}
+                            Bloque {scheduleIdx + 1}
                           </span>
                           {day.schedules.length > 1 && (
                             <button
@@ -564,7 +580,7 @@ function WorkingHoursEditor({ instructorId }) {
                       onClick={() => addSchedule(dayIdx)}
                       className="w-full text-xs text-center py-2 rounded-lg border border-dashed border-border text-foreground-secondary hover:text-foreground hover:border-primary/50 transition-colors"
                     >
-                      {singleBranchId != null ? "+ Agregar horario" : "+ Agregar otra sucursal"}
+                      + Agregar bloque (turno partido u otra sucursal)
                     </button>
                   </div>
                 ) : (
@@ -585,6 +601,91 @@ function WorkingHoursEditor({ instructorId }) {
         onRefresh={loadBlocks}
         onDelete={deleteBlock}
       />
+
+      {/* Turnos afectados por bloqueos */}
+      <RescheduleBoard instructorId={instructorId} refreshKey={blocks} />
+
+      {/* Sincronización con calendarios externos */}
+      <CalendarSyncSection instructorId={instructorId} onImported={loadBlocks} />
+    </div>
+  );
+}
+
+/* ===== Sincronización iCalendar (feed + importación) ===== */
+function CalendarSyncSection({ instructorId, onImported }) {
+  const [feeds, setFeeds] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [lastImport, setLastImport] = useState(null);
+  const fileRef = useRef(null);
+
+  const loadFeeds = useCallback(async () => {
+    try {
+      const res = await apiClient.listCalendarFeeds();
+      setFeeds(res?.data || []);
+    } catch (e) {
+      logger.error(e);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFeeds();
+  }, [loadFeeds]);
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setImporting(true);
+    try {
+      const res = await apiClient.importCalendarIcs({ instructorId, file });
+      if (!res?.ok) throw new Error(res?.error || "No se pudo importar el calendario");
+      setLastImport(res.data);
+      toast.success(`Se importaron ${res.data.created} bloqueo(s)`, {
+        description: res.data.skipped?.length
+          ? `${res.data.skipped.length} evento(s) con repetición no soportada quedaron afuera`
+          : undefined,
+      });
+      onImported();
+    } catch (err) {
+      toast.error(err?.response?.data?.error || err.message || "No se pudo importar el calendario");
+      logger.error(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="card card--space-lg">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-foreground">Calendario personal</h3>
+        <p className="text-sm text-foreground-secondary mt-1">
+          Suscribite a la agenda desde Google Calendar u Outlook, e importá tu calendario personal (.ics)
+          para que esos horarios queden bloqueados.
+        </p>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div>
+          <div className="text-sm font-medium text-foreground mb-2">URL de suscripción</div>
+          <CalendarFeedLinks scope="instructor" targetId={instructorId} feeds={feeds} onChange={loadFeeds} />
+        </div>
+        <div>
+          <div className="text-sm font-medium text-foreground mb-2">Importar ocupados</div>
+          <input ref={fileRef} type="file" accept=".ics,text/calendar" className="hidden" onChange={handleImport} />
+          <Btn onClick={() => fileRef.current?.click()} disabled={importing}>
+            {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            Subir archivo .ics
+          </Btn>
+          <p className="mt-2 text-xs text-foreground-muted">
+            Se toman los próximos 180 días. Volver a importar reemplaza los bloqueos importados antes.
+          </p>
+          {lastImport && (
+            <p className="mt-1 text-xs text-foreground-secondary">
+              Última importación: {lastImport.created} bloqueo(s) creados, {lastImport.removed} reemplazados.
+            </p>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -599,6 +700,7 @@ function TimeBlocksSection({ instructorId, blocks, onRefresh, onDelete }) {
     reason: "",
     repeatDaily: false,
     repeatUntil: "",
+    notifyCustomers: true,
   });
   const [saving, setSaving] = useState(false);
 
@@ -617,26 +719,48 @@ function TimeBlocksSection({ instructorId, blocks, onRefresh, onDelete }) {
 
     setSaving(true);
     try {
+      let res;
       if (formData.repeatDaily) {
-        await apiClient.createRecurringDaysOff({
+        res = await apiClient.createRecurringDaysOff({
           instructorId,
           startTime: formData.startTime,
           endTime: formData.endTime,
           reason: formData.reason || "Bloqueo de tiempo",
+          notifyCustomers: formData.notifyCustomers,
         });
       } else {
         const starts_at = `${formData.date}T${formData.startTime}:00`;
         const ends_at = `${formData.date}T${formData.endTime}:00`;
-        await apiClient.createDayOff({
+        res = await apiClient.createDayOff({
           instructorId,
           starts_at,
           ends_at,
           reason: formData.reason || "Bloqueo de tiempo",
+          notifyCustomers: formData.notifyCustomers,
         });
       }
 
       toast.success("Bloqueo creado correctamente");
-      setFormData({ date: "", startTime: "", endTime: "", reason: "", repeatDaily: false, repeatUntil: "" });
+      if (res?.rescheduleError) {
+        toast.error(res.rescheduleError);
+      }
+      const affected = res?.reschedule?.affected || 0;
+      if (affected > 0) {
+        toast.warning(`${affected} turno(s) quedaron dentro del bloqueo`, {
+          description: formData.notifyCustomers
+            ? "Les ofrecimos reprogramar por WhatsApp. Seguí el estado abajo."
+            : "Quedaron marcados para reprogramar.",
+        });
+      }
+      setFormData({
+        date: "",
+        startTime: "",
+        endTime: "",
+        reason: "",
+        repeatDaily: false,
+        repeatUntil: "",
+        notifyCustomers: true,
+      });
       setShowForm(false);
       onRefresh();
     } catch (e) {
@@ -741,6 +865,16 @@ function TimeBlocksSection({ instructorId, blocks, onRefresh, onDelete }) {
                 </label>
               </div>
             </div>
+            <div className="md:col-span-2">
+              <label className="inline-flex items-center gap-2 text-sm text-foreground">
+                <input
+                  type="checkbox"
+                  checked={formData.notifyCustomers}
+                  onChange={(e) => setFormData({ ...formData, notifyCustomers: e.target.checked })}
+                />
+                Ofrecer por WhatsApp reprogramar los turnos que caigan en el bloqueo
+              </label>
+            </div>
           </div>
           <div className="flex gap-2 mt-4">
             <button
@@ -15,6 +15,7 @@ import { apiClient } from "../../api";
 import Button from "../../components/ui/Button";
 import { useAuth } from "../../context/AuthContext";
 import { logger } from "../../utils/logger.js";
+import ResourcesPanel from "./ResourcesPanel.jsx";
 
 const DEFAULT_INSTRUCTOR_FORM = {
   name: "",
@@ -32,6 +33,7 @@ const DEFAULT_SERVICE_FORM = {
   priceDecimal: 0,
   isActive: true,
   instructorIds: [],
+  resourceIds: [],
 };
 
 function sortByName(list) {
@@ -49,8 +51,13 @@ function MultiSelect({ label, value = [], options = [], onChange, helper, disabl
     }
   };
 
-  const itemLabel = label.toLowerCase().includes("sucursal") ? "sucursal" : "servicio";
-  const itemLabelPlural = label.toLowerCase().includes("sucursal") ? "sucursales" : "servicios";
+  const lowerLabel = label.toLowerCase();
+  const itemLabel = lowerLabel.includes("sucursal") ? "sucursal" : lowerLabel.includes("equipo") ? "recurso" : "servicio";
+  const itemLabelPlural = lowerLabel.includes("sucursal")
+    ? "sucursales"
+    : lowerLabel.includes("equipo")
+    ? "recursos"
+    : "servicios";
 
   return (
     <div className="flex flex-col gap-2">
@@ -151,6 +158,7 @@ export default function InstructorsPage() {
 
   const [instructors, setInstructors] = useState([]);
   const [services, setServices] = useState([]);
+  const [resources, setResources] = useState([]);
   const [branches, setBranches] = useState([]);
   const [branchesLoading, setBranchesLoading] = useState(true);
 
@@ -178,12 +186,14 @@ export default function InstructorsPage() {
   const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      const [instructorsData, servicesData] = await Promise.all([
+      const [instructorsData, servicesData, resourcesData] = await Promise.all([
         apiClient.adminListInstructors(),
         apiClient.adminListServices(),
+        apiClient.listResources({ includeInactive: true }),
       ]);
       setInstructors(sortByName(instructorsData));
       setServices(sortByName(servicesData));
+      setResources(sortByName(resourcesData));
     } catch (error) {
       logger.error("Error cargando instructores o servicios", error);
       toast.error("No se pudieron cargar los datos", {
@@ -209,6 +219,16 @@ export default function InstructorsPage() {
 
   const availableServices = useMemo(() => sortByName(services), [services]);
   const availableInstructors = useMemo(() => sortByName(instructors), [instructors]);
+  const availableResources = useMemo(
+    () =>
+      resources
+        .filter((resource) => resource.isActive || serviceForm.resourceIds.includes(resource.id))
+        .map((resource) => ({
+          id: resource.id,
+          name: resource.branchName ? `${resource.name} · ${resource.branchName}` : resource.name,
+        })),
+    [resources, serviceForm.resourceIds]
+  );
 
   const resetInstructorForm = () => {
     setEditingInstructorId(null);
@@ -288,13 +308,20 @@ export default function InstructorsPage() {
         instructorIds: serviceForm.instructorIds,
       };
 
+      let serviceId = editingServiceId;
       if (editingServiceId) {
         await apiClient.adminUpdateService(editingServiceId, payload);
-        toast.success("Servicio actualizado");
       } else {
-        await apiClient.adminCreateService(payload);
-        toast.success("Servicio creado");
+        const created = await apiClient.adminCreateService(payload);
+        serviceId = created?.id;
+      }
+      if (serviceId) {
+        await apiClient.setServiceResources(
+          serviceId,
+          serviceForm.resourceIds.map((resourceId) => ({ resourceId, quantity: 1 }))
+        );
       }
+      toast.success(editingServiceId ? "Servicio actualizado" : "Servicio creado");
       resetServiceForm();
       await loadData();
     } catch (error) {
@@ -369,6 +396,12 @@ export default function InstructorsPage() {
           >
             Servicios
           </Button>
+          <Button
+            variant={tab === "resources" ? "primary" : "secondary"}
+            onClick={() => setTab("resources")}
+          >
+            Salas y equipos
+          </Button>
           <Button
             variant="secondary"
             onClick={() => navigate(`/${tenantSlug}/admin/instructores/estadisticas`)}
@@ -661,6 +694,8 @@ export default function InstructorsPage() {
             </form>
           </div>
         </section>
+      ) : tab === "resources" ? (
+        <ResourcesPanel resources={resources} branches={branches} onChange={loadData} />
       ) : (
         <section className="grid grid-cols-1 xl:grid-cols-[1.2fr_minmax(0,0.8fr)] gap-6">
           <div className="space-y-4">
@@ -761,6 +796,11 @@ export default function InstructorsPage() {
                                   priceDecimal: service.priceDecimal || 0,
                                   isActive: service.isActive,
                                   instructorIds: service.instructorIds || [],
+                                  resourceIds: resources
+                                    .filter((resource) =>
+                                      resource.services?.some((item) => item.serviceId === service.id)
+                                    )
+                                    .map((resource) => resource.id),
                                 });
                               }}
                               aria-label="Editar servicio"
@@ -845,6 +885,15 @@ export default function InstructorsPage() {
                 helper="Estos instructores pueden dictar el servicio."
               />
 
+              <MultiSelect
+                label="Salas y equipos requeridos"
+                value={serviceForm.resourceIds}
+                options={availableResources}
+                onChange={(resourceIds) => setServiceForm((prev) => ({ ...prev, resourceIds }))}
+                helper="El turno solo se ofrece si además del instructor están libres estos recursos."
+                emptyMessage="No hay salas ni equipos cargados"
+              />
+
               <Toggle
                 label="Servicio activo"
                 checked={serviceForm.isActive}
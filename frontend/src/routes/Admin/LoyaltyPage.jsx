@@ -0,0 +1,397 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Edit3, RefreshCw, Save, Plus } from "lucide-react";
+import { toast } from "sonner";
+import Button from "../../components/ui/Button";
+import { apiClient } from "../../api/client.js";
+import { logger } from "../../utils/logger.js";
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  appointment_points: 10,
+  class_points: 5,
+  product_points_per_100: 1,
+  expiry_days: 365,
+  voucher_days: 30,
+};
+
+const DEFAULT_REWARD_FORM = {
+  id: null,
+  name: "",
+  description: "",
+  rewardType: "service",
+  serviceId: "",
+  discountAmount: "",
+  pointsCost: 100,
+  isActive: true,
+};
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("es-AR", {
+    style: "currency",
+    currency: "ARS",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(Number(value ?? 0));
+
+function FieldGroup({ label, hint, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-foreground mb-2">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-foreground-muted mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * Programa de puntos: cuánto suma cada turno, clase o compra, vencimiento y catálogo
+ * de premios. Los canjes entregan un código personal que se usa al reservar.
+ */
+export default function LoyaltyPage() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [rewards, setRewards] = useState([]);
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [form, setForm] = useState(DEFAULT_REWARD_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [settingsData, rewardsData, servicesData] = await Promise.all([
+        apiClient.getConfigSection("loyalty"),
+        apiClient.listLoyaltyRewards({ includeInactive: true }),
+        apiClient.adminListServices(),
+      ]);
+      setSettings({ ...DEFAULT_SETTINGS, ...settingsData });
+      setRewards(rewardsData);
+      setServices((servicesData || []).filter((service) => service.isActive));
+    } catch (error) {
+      logger.error("[LoyaltyPage] load error:", error);
+      toast.error("No pudimos obtener el programa de puntos.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSaveSettings = async () => {
+    setSavingSettings(true);
+    try {
+      const saved = await apiClient.saveConfigSection("loyalty", {
+        enabled: settings.enabled,
+        appointment_points: Number(settings.appointment_points) || 0,
+        class_points: Number(settings.class_points) || 0,
+        product_points_per_100: Number(settings.product_points_per_100) || 0,
+        expiry_days: Number(settings.expiry_days) || 0,
+        voucher_days: Number(settings.voucher_days) || 0,
+      });
+      setSettings({ ...DEFAULT_SETTINGS, ...saved });
+      toast.success("Programa de puntos guardado");
+    } catch (error) {
+      logger.error("[LoyaltyPage] handleSaveSettings error:", error);
+      toast.error("No pudimos guardar la configuración.");
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const editReward = (reward) => {
+    setForm({
+      id: reward.id,
+      name: reward.name,
+      description: reward.description || "",
+      rewardType: reward.rewardType,
+      serviceId: reward.serviceId ? String(reward.serviceId) : "",
+      discountAmount: reward.discountAmount ?? "",
+      pointsCost: reward.pointsCost,
+      isActive: reward.isActive,
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (!form.name.trim()) {
+      toast.error("Ingresá el nombre del premio.");
+      return;
+    }
+    if (form.rewardType === "service" && !form.serviceId) {
+      toast.error("Elegí el servicio que se regala.");
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      rewardType: form.rewardType,
+      serviceId: form.rewardType === "service" ? Number(form.serviceId) : null,
+      discountAmount: form.rewardType === "discount" ? Number(form.discountAmount) : null,
+      pointsCost: parseInt(form.pointsCost, 10),
+      isActive: form.isActive,
+    };
+
+    setSaving(true);
+    try {
+      if (form.id) {
+        await apiClient.updateLoyaltyReward(form.id, payload);
+        toast.success("Premio actualizado");
+      } else {
+        await apiClient.createLoyaltyReward(payload);
+        toast.success("Premio creado");
+      }
+      setForm(DEFAULT_REWARD_FORM);
+      await load();
+    } catch (error) {
+      logger.error("[LoyaltyPage] handleSubmit error:", error);
+      toast.error(error.response?.data?.error || "No pudimos guardar el premio.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (reward) => {
+    if (!window.confirm(`¿Desactivar el premio ${reward.name}? Los códigos ya canjeados siguen siendo válidos.`)) return;
+    try {
+      await apiClient.deactivateLoyaltyReward(reward.id);
+      toast.success("Premio desactivado");
+      await load();
+    } catch (error) {
+      logger.error("[LoyaltyPage] handleDeactivate error:", error);
+      toast.error("No pudimos desactivar el premio.");
+    }
+  };
+
+  const settingsField = (key, label, hint, step = "1") => (
+    <FieldGroup label={label} hint={hint}>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={settings[key]}
+        onChange={(e) => setSettings((prev) => ({ ...prev, [key]: e.target.value }))}
+        className="input w-full"
+      />
+    </FieldGroup>
+  );
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground">Programa de puntos</h1>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Premiá a tus clientes frecuentes: suman puntos por turnos, clases y compras y los canjean por premios.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={load} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+          Actualizar
+        </Button>
+      </div>
+
+      <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm p-6 space-y-5">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-foreground">Cómo se suman los puntos</h2>
+          <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => setSettings((prev) => ({ ...prev, enabled: e.target.checked }))}
+              className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+            />
+            Programa activo
+          </label>
+        </div>
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {settingsField("appointment_points", "Puntos por turno completado")}
+          {settingsField("class_points", "Puntos por clase asistida")}
+          {settingsField("product_points_per_100", "Puntos cada $100 en productos", "Compras en caja.", "0.1")}
+          {settingsField("expiry_days", "Vencimiento de los puntos (días)", "0: no vencen.")}
+          {settingsField("voucher_days", "Validez del premio canjeado (días)", "Plazo para usar el código.")}
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={handleSaveSettings} disabled={savingSettings || loading}>
+            {savingSettings ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Guardar configuración
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-[minmax(0,1.2fr)_minmax(360px,420px)]">
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm overflow-hidden min-w-0">
+          {loading ? (
+            <div className="p-10 flex flex-col items-center gap-2 text-foreground-muted">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Cargando premios...
+            </div>
+          ) : rewards.length === 0 ? (
+            <div className="p-8 text-center text-sm text-foreground-muted">
+              Todavía no hay premios. Ej: &quot;Corte gratis&quot; por 200 puntos.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[560px] text-sm">
+                <thead className="text-left bg-background/60 text-foreground-muted uppercase text-xs tracking-wide">
+                  <tr>
+                    <th className="px-4 py-3">Premio</th>
+                    <th className="px-4 py-3">Qué recibe</th>
+                    <th className="px-4 py-3">Puntos</th>
+                    <th className="px-4 py-3 text-right">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rewards.map((reward) => (
+                    <tr
+                      key={reward.id}
+                      className={`border-t border-border/60 ${form.id === reward.id ? "bg-primary/5" : ""} ${
+                        reward.isActive ? "" : "opacity-60"
+                      }`}
+                    >
+                      <td className="px-4 py-3 align-top">
+                        <p className="font-medium text-foreground">{reward.name}</p>
+                        {reward.description && <p className="text-xs text-foreground-muted">{reward.description}</p>}
+                        {!reward.isActive && <p className="text-xs text-foreground-muted">Inactivo</p>}
+                      </td>
+                      <td className="px-4 py-3 align-top text-foreground-secondary">
+                        {reward.rewardType === "service"
+                          ? `${reward.serviceName || "Servicio"} gratis`
+                          : `${formatCurrency(reward.discountAmount)} de descuento`}
+                      </td>
+                      <td className="px-4 py-3 align-top font-medium">{reward.pointsCost}</td>
+                      <td className="px-4 py-3 align-top">
+                        <div className="flex items-center justify-end gap-2">
+                          <button
+                            type="button"
+                            onClick={() => editReward(reward)}
+                            className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-primary hover:bg-primary/10 transition-colors"
+                          >
+                            <Edit3 className="w-3.5 h-3.5" />
+                            Editar
+                          </button>
+                          {reward.isActive && (
+                            <button
+                              type="button"
+                              onClick={() => handleDeactivate(reward)}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-foreground hover:bg-border transition-colors"
+                            >
+                              Desactivar
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm p-6 space-y-5">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <p className="text-xs uppercase tracking-wide text-foreground-muted">
+                {form.id ? "Editar premio" : "Nuevo premio"}
+              </p>
+              <h2 className="text-lg font-semibold text-foreground">{form.name || "Sin nombre"}</h2>
+            </div>
+            {form.id && (
+              <Button variant="secondary" onClick={() => setForm(DEFAULT_REWARD_FORM)}>
+                <Plus className="w-4 h-4" />
+                Nuevo
+              </Button>
+            )}
+          </div>
+
+          <FieldGroup label="Nombre">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              className="input w-full"
+              placeholder="Ej: Corte gratis"
+            />
+          </FieldGroup>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Tipo">
+              <select
+                value={form.rewardType}
+                onChange={(e) => setForm((prev) => ({ ...prev, rewardType: e.target.value }))}
+                className="input w-full"
+              >
+                <option value="service">Servicio gratis</option>
+                <option value="discount">Descuento en pesos</option>
+              </select>
+            </FieldGroup>
+            <FieldGroup label="Puntos necesarios">
+              <input
+                type="number"
+                min="1"
+                value={form.pointsCost}
+                onChange={(e) => setForm((prev) => ({ ...prev, pointsCost: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          </div>
+
+          {form.rewardType === "service" ? (
+            <FieldGroup label="Servicio">
+              <select
+                value={form.serviceId}
+                onChange={(e) => setForm((prev) => ({ ...prev, serviceId: e.target.value }))}
+                className="input w-full"
+              >
+                <option value="">Elegí un servicio</option>
+                {services.map((service) => (
+                  <option key={service.id} value={service.id}>
+                    {service.name}
+                  </option>
+                ))}
+              </select>
+            </FieldGroup>
+          ) : (
+            <FieldGroup label="Monto del descuento" hint="Aplica a cualquier servicio, clase o membresía.">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.discountAmount}
+                onChange={(e) => setForm((prev) => ({ ...prev, discountAmount: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          )}
+
+          <FieldGroup label="Descripción (opcional)">
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              className="input w-full min-h-[70px]"
+            />
+          </FieldGroup>
+
+          <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => setForm((prev) => ({ ...prev, isActive: e.target.checked }))}
+              className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+            />
+            Disponible para canjear
+          </label>
+
+          <div className="flex justify-end">
+            <Button onClick={handleSubmit} disabled={saving}>
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Guardar premio
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,389 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Edit3, RefreshCw, Save, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import Button from "../../components/ui/Button";
+import { apiClient } from "../../api/client.js";
+import { logger } from "../../utils/logger.js";
+
+const DEFAULT_PACKAGE_FORM = {
+  id: null,
+  name: "",
+  description: "",
+  priceDecimal: 0,
+  validityDays: "",
+  isTransferable: false,
+  isActive: true,
+  items: [{ serviceId: "", uses: 10 }],
+};
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("es-AR", {
+    style: "currency",
+    currency: "ARS",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(Number(value ?? 0));
+
+function FieldGroup({ label, hint, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-foreground mb-2">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-foreground-muted mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * Paquetes de servicios prepagos ("10 sesiones de masajes") que se venden en caja,
+ * por link de Mercado Pago o desde la ficha del cliente.
+ */
+export default function PackagesPage() {
+  const [packages, setPackages] = useState([]);
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(DEFAULT_PACKAGE_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [packagesData, servicesData] = await Promise.all([
+        apiClient.listPackages({ includeInactive: true }),
+        apiClient.adminListServices(),
+      ]);
+      setPackages(packagesData);
+      setServices((servicesData || []).filter((service) => service.isActive));
+    } catch (error) {
+      logger.error("[PackagesPage] load error:", error);
+      toast.error("No pudimos obtener los bonos.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const editPackage = (pkg) => {
+    setForm({
+      id: pkg.id,
+      name: pkg.name,
+      description: pkg.description || "",
+      priceDecimal: pkg.priceDecimal,
+      validityDays: pkg.validityDays ?? "",
+      isTransferable: pkg.isTransferable,
+      isActive: pkg.isActive,
+      items: pkg.items.map((item) => ({ serviceId: item.serviceId, uses: item.uses })),
+    });
+  };
+
+  const updateItem = (index, patch) => {
+    setForm((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...patch } : item)),
+    }));
+  };
+
+  const handleSubmit = async () => {
+    if (!form.name.trim()) {
+      toast.error("Ingresá un nombre para el bono.");
+      return;
+    }
+    const items = form.items
+      .filter((item) => item.serviceId)
+      .map((item) => ({ serviceId: Number(item.serviceId), uses: parseInt(item.uses, 10) || 0 }));
+    if (!items.length) {
+      toast.error("Elegí al menos un servicio incluido.");
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      priceDecimal: Number(form.priceDecimal) >= 0 ? Number(form.priceDecimal) : 0,
+      validityDays: form.validityDays === "" ? null : parseInt(form.validityDays, 10),
+      isTransferable: form.isTransferable,
+      isActive: form.isActive,
+      items,
+    };
+
+    setSaving(true);
+    try {
+      if (form.id) {
+        await apiClient.updatePackage(form.id, payload);
+        toast.success("Bono actualizado");
+      } else {
+        await apiClient.createPackage(payload);
+        toast.success("Bono creado");
+      }
+      setForm(DEFAULT_PACKAGE_FORM);
+      await load();
+    } catch (error) {
+      logger.error("[PackagesPage] handleSubmit error:", error);
+      toast.error(error.response?.data?.error || "No pudimos guardar el bono.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (pkg) => {
+    if (!window.confirm(`¿Dejar de vender ${pkg.name}? Los bonos ya vendidos siguen vigentes.`)) return;
+    try {
+      await apiClient.deactivatePackage(pkg.id);
+      toast.success("Bono desactivado");
+      await load();
+    } catch (error) {
+      logger.error("[PackagesPage] handleDeactivate error:", error);
+      toast.error("No pudimos desactivar el bono.");
+    }
+  };
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground">Bonos y paquetes</h1>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Sesiones prepagas que se descuentan solas cuando el turno se completa.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <Button variant="secondary" onClick={load} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Actualizar
+          </Button>
+          <Button onClick={() => setForm(DEFAULT_PACKAGE_FORM)} variant="primary">
+            <Plus className="w-4 h-4" />
+            Nuevo bono
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-[minmax(0,1.2fr)_minmax(360px,420px)]">
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm overflow-hidden">
+          {loading ? (
+            <div className="p-10 flex flex-col items-center gap-2 text-foreground-muted">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Cargando bonos...
+            </div>
+          ) : packages.length === 0 ? (
+            <div className="p-8 text-center text-sm text-foreground-muted">
+              Todavía no creaste bonos. Ej: &quot;10 sesiones de masajes&quot; con 90 días de validez.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[640px] text-sm">
+                <thead className="text-left bg-background/60 text-foreground-muted uppercase text-xs tracking-wide">
+                  <tr>
+                    <th className="px-4 py-3">Bono</th>
+                    <th className="px-4 py-3">Incluye</th>
+                    <th className="px-4 py-3">Validez</th>
+                    <th className="px-4 py-3">Precio</th>
+                    <th className="px-4 py-3 text-right">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {packages.map((pkg) => (
+                    <tr
+                      key={pkg.id}
+                      className={`border-t border-border/60 ${form.id === pkg.id ? "bg-primary/5" : ""} ${
+                        pkg.isActive ? "" : "opacity-60"
+                      }`}
+                    >
+                      <td className="px-4 py-3 align-top">
+                        <p className="font-medium text-foreground">{pkg.name}</p>
+                        {pkg.description && <p className="text-xs text-foreground-muted">{pkg.description}</p>}
+                        <p className="text-xs text-foreground-muted mt-1 space-x-2">
+                          {!pkg.isActive && <span>Inactivo</span>}
+                          {pkg.isTransferable && <span>Transferible</span>}
+                        </p>
+                      </td>
+                      <td className="px-4 py-3 align-top text-foreground-secondary">
+                        {pkg.items.map((item) => (
+                          <div key={item.serviceId}>
+                            {item.uses} × {item.serviceName}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-3 align-top text-foreground-secondary">
+                        {pkg.validityDays ? `${pkg.validityDays} días` : "Sin vencimiento"}
+                      </td>
+                      <td className="px-4 py-3 align-top">{formatCurrency(pkg.priceDecimal)}</td>
+                      <td className="px-4 py-3 align-top">
+                        <div className="flex items-center justify-end gap-2">
+                          <button
+                            type="button"
+                            onClick={() => editPackage(pkg)}
+                            className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-primary hover:bg-primary/10 transition-colors"
+                          >
+                            <Edit3 className="w-3.5 h-3.5" />
+                            Editar
+                          </button>
+                          {pkg.isActive && (
+                            <button
+                              type="button"
+                              onClick={() => handleDeactivate(pkg)}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-foreground hover:bg-border transition-colors"
+                            >
+                              Desactivar
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm p-6 space-y-5">
+          <div>
+            <p className="text-xs uppercase tracking-wide text-foreground-muted">
+              {form.id ? "Editar bono" : "Nuevo bono"}
+            </p>
+            <h2 className="text-lg font-semibold text-foreground">{form.name || "Nuevo bono"}</h2>
+            {form.id && (
+              <p className="text-xs text-foreground-muted mt-1">
+                Los cambios aplican a las próximas ventas; los bonos vendidos conservan sus usos.
+              </p>
+            )}
+          </div>
+
+          <FieldGroup label="Nombre">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              className="input w-full"
+              placeholder="Ej: 10 sesiones de masajes"
+            />
+          </FieldGroup>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Precio">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.priceDecimal}
+                onChange={(e) => setForm((prev) => ({ ...prev, priceDecimal: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+            <FieldGroup label="Validez (días)" hint="Vacío: no vence.">
+              <input
+                type="number"
+                min="1"
+                value={form.validityDays}
+                onChange={(e) => setForm((prev) => ({ ...prev, validityDays: e.target.value }))}
+                className="input w-full"
+                placeholder="Ej: 90"
+              />
+            </FieldGroup>
+          </div>
+
+          <FieldGroup label="Servicios incluidos" hint="Cada turno completado de estos servicios descuenta un uso.">
+            <div className="space-y-2">
+              {form.items.map((item, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    value={item.uses}
+                    onChange={(e) => updateItem(index, { uses: e.target.value })}
+                    className="input w-20"
+                    aria-label="Usos"
+                  />
+                  <span className="text-foreground-muted text-sm">×</span>
+                  <select
+                    value={item.serviceId}
+                    onChange={(e) => updateItem(index, { serviceId: e.target.value })}
+                    className="input flex-1 min-w-0"
+                  >
+                    <option value="">Elegí un servicio</option>
+                    {services.map((service) => (
+                      <option key={service.id} value={service.id}>
+                        {service.name}
+                      </option>
+                    ))}
+                  </select>
+                  {form.items.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setForm((prev) => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))
+                      }
+                      className="p-2 rounded-lg hover:bg-red-500/10 text-red-400"
+                      aria-label="Quitar servicio"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setForm((prev) => ({ ...prev, items: [...prev.items, { serviceId: "", uses: 1 }] }))}
+                className="text-xs font-medium text-primary hover:text-primary-hover"
+              >
+                + Agregar servicio
+              </button>
+            </div>
+          </FieldGroup>
+
+          <div className="border border-border rounded-xl p-3 space-y-3">
+            <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.isTransferable}
+                onChange={(e) => setForm((prev) => ({ ...prev, isTransferable: e.target.checked }))}
+                className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+              />
+              Transferible a otro cliente
+            </label>
+            <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm((prev) => ({ ...prev, isActive: e.target.checked }))}
+                className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+              />
+              A la venta
+            </label>
+          </div>
+
+          <FieldGroup label="Descripción (opcional)">
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              className="input w-full min-h-[70px]"
+            />
+          </FieldGroup>
+
+          <div className="flex flex-col sm:flex-row justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setForm(DEFAULT_PACKAGE_FORM)} disabled={saving}>
+              Resetear
+            </Button>
+            <Button onClick={handleSubmit} disabled={saving}>
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Guardando...
+                </>
+              ) : (
+                <>
+                  <Save className="w-4 h-4" />
+                  Guardar bono
+                </>
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
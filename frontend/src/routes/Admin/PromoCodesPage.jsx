@@ -0,0 +1,601 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Edit3, RefreshCw, Save, Plus, Users, X } from "lucide-react";
+import { toast } from "sonner";
+import Button from "../../components/ui/Button";
+import { apiClient } from "../../api/client.js";
+import { logger } from "../../utils/logger.js";
+
+const TARGET_SECTIONS = [
+  { type: "service", label: "Servicios", allLabel: "Todos los servicios" },
+  { type: "membership_plan", label: "Planes de membresía", allLabel: "Todos los planes" },
+  { type: "class", label: "Clases", allLabel: "Todas las clases" },
+];
+
+const DEFAULT_SCOPE = {
+  service: { mode: "all", ids: [] },
+  membership_plan: { mode: "all", ids: [] },
+  class: { mode: "all", ids: [] },
+};
+
+const DEFAULT_PROMO_FORM = {
+  id: null,
+  code: "",
+  description: "",
+  discountType: "percent",
+  discountValue: 10,
+  startsAt: "",
+  endsAt: "",
+  maxUsesTotal: "",
+  maxUsesPerCustomer: "",
+  firstVisitOnly: false,
+  campaign: "",
+  isActive: true,
+  scope: DEFAULT_SCOPE,
+};
+
+const CHANNEL_LABELS = {
+  admin: "Panel",
+  widget: "Widget",
+  app: "App",
+  whatsapp: "WhatsApp",
+};
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("es-AR", {
+    style: "currency",
+    currency: "ARS",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(Number(value ?? 0));
+
+const formatDate = (value) => {
+  if (!value) return "";
+  const [y, m, d] = String(value).slice(0, 10).split("-");
+  return `${d}/${m}/${y}`;
+};
+
+const formatDiscount = (promo) =>
+  promo.discountType === "percent" ? `${promo.discountValue}%` : formatCurrency(promo.discountValue);
+
+// Sin destinos el código aplica a todo; "id 0" es "todos los de ese tipo"
+function scopeFromTargets(targets = []) {
+  if (!targets.length) return DEFAULT_SCOPE;
+  const scope = {};
+  for (const { type } of TARGET_SECTIONS) {
+    const own = targets.filter((t) => t.type === type);
+    if (!own.length) scope[type] = { mode: "none", ids: [] };
+    else if (own.some((t) => t.id === 0)) scope[type] = { mode: "all", ids: [] };
+    else scope[type] = { mode: "some", ids: own.map((t) => t.id) };
+  }
+  return scope;
+}
+
+function targetsFromScope(scope) {
+  const targets = [];
+  for (const { type } of TARGET_SECTIONS) {
+    const { mode, ids } = scope[type];
+    if (mode === "all") targets.push({ type, id: 0 });
+    if (mode === "some") ids.forEach((id) => targets.push({ type, id }));
+  }
+  return targets;
+}
+
+function FieldGroup({ label, hint, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-foreground mb-2">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-foreground-muted mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * Códigos promocionales para turnos, clases y membresías. Se aplican desde el panel,
+ * la app, el widget de reservas y el bot de WhatsApp; cada uso queda registrado.
+ */
+export default function PromoCodesPage() {
+  const [promos, setPromos] = useState([]);
+  const [options, setOptions] = useState({ service: [], membership_plan: [], class: [] });
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(DEFAULT_PROMO_FORM);
+  const [saving, setSaving] = useState(false);
+  const [detail, setDetail] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [promoData, servicesData, plansData, templatesData] = await Promise.all([
+        apiClient.listPromoCodes(),
+        apiClient.adminListServices(),
+        apiClient.listMembershipPlans().catch(() => []),
+        apiClient.listClassTemplates().catch(() => []),
+      ]);
+      setPromos(promoData);
+      setOptions({
+        service: (servicesData || []).filter((service) => service.isActive),
+        membership_plan: Array.isArray(plansData) ? plansData : [],
+        class: Array.isArray(templatesData) ? templatesData : [],
+      });
+    } catch (error) {
+      logger.error("[PromoCodesPage] load error:", error);
+      toast.error("No pudimos obtener los códigos promocionales.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const editPromo = (promo) => {
+    setForm({
+      id: promo.id,
+      code: promo.code,
+      description: promo.description || "",
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      startsAt: promo.startsAt || "",
+      endsAt: promo.endsAt || "",
+      maxUsesTotal: promo.maxUsesTotal ?? "",
+      maxUsesPerCustomer: promo.maxUsesPerCustomer ?? "",
+      firstVisitOnly: promo.firstVisitOnly,
+      campaign: promo.campaign || "",
+      isActive: promo.isActive,
+      scope: scopeFromTargets(promo.targets),
+    });
+  };
+
+  const updateScope = (type, patch) => {
+    setForm((prev) => ({ ...prev, scope: { ...prev.scope, [type]: { ...prev.scope[type], ...patch } } }));
+  };
+
+  const toggleScopeId = (type, id) => {
+    const ids = form.scope[type].ids;
+    updateScope(type, { ids: ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id] });
+  };
+
+  const describeTargets = (promo) => {
+    if (!promo.targets.length) return "Todo";
+    return TARGET_SECTIONS.map(({ type, label, allLabel }) => {
+      const own = promo.targets.filter((t) => t.type === type);
+      if (!own.length) return null;
+      if (own.some((t) => t.id === 0)) return allLabel;
+      const names = own.map((t) => options[type].find((o) => o.id === t.id)?.name || `#${t.id}`);
+      return `${label}: ${names.join(", ")}`;
+    })
+      .filter(Boolean)
+      .join(" · ");
+  };
+
+  const handleSubmit = async () => {
+    if (form.code.trim().length < 3) {
+      toast.error("El código debe tener al menos 3 caracteres.");
+      return;
+    }
+    const targets = targetsFromScope(form.scope);
+    if (!targets.length) {
+      toast.error("Elegí a qué servicios, planes o clases aplica.");
+      return;
+    }
+
+    const payload = {
+      code: form.code.trim(),
+      description: form.description.trim() || null,
+      discountType: form.discountType,
+      discountValue: Number(form.discountValue),
+      startsAt: form.startsAt || null,
+      endsAt: form.endsAt || null,
+      maxUsesTotal: form.maxUsesTotal === "" ? null : parseInt(form.maxUsesTotal, 10),
+      maxUsesPerCustomer: form.maxUsesPerCustomer === "" ? null : parseInt(form.maxUsesPerCustomer, 10),
+      firstVisitOnly: form.firstVisitOnly,
+      campaign: form.campaign.trim() || null,
+      isActive: form.isActive,
+      targets,
+    };
+
+    setSaving(true);
+    try {
+      if (form.id) {
+        await apiClient.updatePromoCode(form.id, payload);
+        toast.success("Código actualizado");
+      } else {
+        await apiClient.createPromoCode(payload);
+        toast.success("Código creado");
+      }
+      setForm(DEFAULT_PROMO_FORM);
+      await load();
+    } catch (error) {
+      logger.error("[PromoCodesPage] handleSubmit error:", error);
+      toast.error(error.response?.data?.error || "No pudimos guardar el código.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (promo) => {
+    if (!window.confirm(`¿Desactivar el código ${promo.code}? Los descuentos ya aplicados se mantienen.`)) return;
+    try {
+      await apiClient.deactivatePromoCode(promo.id);
+      toast.success("Código desactivado");
+      await load();
+    } catch (error) {
+      logger.error("[PromoCodesPage] handleDeactivate error:", error);
+      toast.error("No pudimos desactivar el código.");
+    }
+  };
+
+  const openDetail = async (promo) => {
+    try {
+      setDetail(await apiClient.getPromoCode(promo.id));
+    } catch (error) {
+      logger.error("[PromoCodesPage] openDetail error:", error);
+      toast.error("No pudimos obtener los usos del código.");
+    }
+  };
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground">Códigos promocionales</h1>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Descuentos para turnos, clases y membresías desde el panel, la app, el widget y WhatsApp.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <Button variant="secondary" onClick={load} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Actualizar
+          </Button>
+          <Button onClick={() => setForm(DEFAULT_PROMO_FORM)} variant="primary">
+            <Plus className="w-4 h-4" />
+            Nuevo código
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-[minmax(0,1.2fr)_minmax(360px,420px)]">
+        <div className="space-y-6 min-w-0">
+          <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm overflow-hidden">
+            {loading ? (
+              <div className="p-10 flex flex-col items-center gap-2 text-foreground-muted">
+                <Loader2 className="w-5 h-5 animate-spin" />
+                Cargando códigos...
+              </div>
+            ) : promos.length === 0 ? (
+              <div className="p-8 text-center text-sm text-foreground-muted">
+                Todavía no creaste códigos. Ej: &quot;BIENVENIDA&quot; con 15% sólo para la primera visita.
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[720px] text-sm">
+                  <thead className="text-left bg-background/60 text-foreground-muted uppercase text-xs tracking-wide">
+                    <tr>
+                      <th className="px-4 py-3">Código</th>
+                      <th className="px-4 py-3">Descuento</th>
+                      <th className="px-4 py-3">Aplica a</th>
+                      <th className="px-4 py-3">Vigencia</th>
+                      <th className="px-4 py-3">Usos</th>
+                      <th className="px-4 py-3 text-right">Acciones</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {promos.map((promo) => (
+                      <tr
+                        key={promo.id}
+                        className={`border-t border-border/60 ${form.id === promo.id ? "bg-primary/5" : ""} ${
+                          promo.isActive ? "" : "opacity-60"
+                        }`}
+                      >
+                        <td className="px-4 py-3 align-top">
+                          <p className="font-mono font-semibold text-foreground">{promo.code}</p>
+                          {promo.description && <p className="text-xs text-foreground-muted">{promo.description}</p>}
+                          <p className="text-xs text-foreground-muted mt-1 space-x-2">
+                            {!promo.isActive && <span>Inactivo</span>}
+                            {promo.firstVisitOnly && <span>Primera visita</span>}
+                            {promo.campaign && <span>Campaña: {promo.campaign}</span>}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 align-top font-medium">{formatDiscount(promo)}</td>
+                        <td className="px-4 py-3 align-top text-foreground-secondary">{describeTargets(promo)}</td>
+                        <td className="px-4 py-3 align-top text-foreground-secondary">
+                          {promo.startsAt || promo.endsAt
+                            ? `${promo.startsAt ? formatDate(promo.startsAt) : "…"} – ${
+                                promo.endsAt ? formatDate(promo.endsAt) : "…"
+                              }`
+                            : "Sin límite"}
+                        </td>
+                        <td className="px-4 py-3 align-top">
+                          <p>
+                            {promo.usesCount}
+                            {promo.maxUsesTotal ? ` / ${promo.maxUsesTotal}` : ""}
+                          </p>
+                          <p className="text-xs text-foreground-muted">{formatCurrency(promo.discountTotal)} descontado</p>
+                        </td>
+                        <td className="px-4 py-3 align-top">
+                          <div className="flex items-center justify-end gap-2">
+                            <button
+                              type="button"
+                              onClick={() => openDetail(promo)}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-primary hover:bg-primary/10 transition-colors"
+                            >
+                              <Users className="w-3.5 h-3.5" />
+                              Usos
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => editPromo(promo)}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-primary hover:bg-primary/10 transition-colors"
+                            >
+                              <Edit3 className="w-3.5 h-3.5" />
+                              Editar
+                            </button>
+                            {promo.isActive && (
+                              <button
+                                type="button"
+                                onClick={() => handleDeactivate(promo)}
+                                className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-foreground-secondary hover:text-foreground hover:bg-border transition-colors"
+                              >
+                                Desactivar
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {detail && (
+            <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm p-5 space-y-4">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <h2 className="text-lg font-semibold text-foreground">
+                    Usos de <span className="font-mono">{detail.code}</span>
+                  </h2>
+                  <p className="text-xs text-foreground-muted">
+                    {detail.usesCount} usos · {formatCurrency(detail.discountTotal)} descontado
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setDetail(null)}
+                  className="p-1 rounded-lg text-foreground-muted hover:text-foreground hover:bg-border"
+                  aria-label="Cerrar"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              {detail.redemptions.length === 0 ? (
+                <p className="text-sm text-foreground-muted">Todavía nadie usó este código.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full min-w-[520px] text-sm">
+                    <thead className="text-left text-foreground-muted uppercase text-xs tracking-wide">
+                      <tr>
+                        <th className="py-2 pr-3">Fecha</th>
+                        <th className="py-2 pr-3">Cliente</th>
+                        <th className="py-2 pr-3">Canal</th>
+                        <th className="py-2 pr-3">Aplicado a</th>
+                        <th className="py-2 text-right">Descuento</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {detail.redemptions.map((r) => (
+                        <tr key={r.id} className={`border-t border-border/60 ${r.status === "void" ? "opacity-50" : ""}`}>
+                          <td className="py-2 pr-3">{formatDate(r.createdAt)}</td>
+                          <td className="py-2 pr-3">{r.customerName || "—"}</td>
+                          <td className="py-2 pr-3">{CHANNEL_LABELS[r.channel] || r.channel}</td>
+                          <td className="py-2 pr-3 text-foreground-secondary">
+                            {r.appointmentId
+                              ? `Turno #${r.appointmentId}`
+                              : r.subscriptionId
+                                ? `Membresía #${r.subscriptionId}`
+                                : `Clase #${r.classEnrollmentId}`}
+                            {r.status === "void" && " (anulado)"}
+                          </td>
+                          <td className="py-2 text-right">{formatCurrency(r.discountAmount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm p-6 space-y-5">
+          <div>
+            <p className="text-xs uppercase tracking-wide text-foreground-muted">
+              {form.id ? "Editar código" : "Nuevo código"}
+            </p>
+            <h2 className="text-lg font-semibold text-foreground font-mono">{form.code || "NUEVO"}</h2>
+            {form.id && (
+              <p className="text-xs text-foreground-muted mt-1">
+                Los cambios no modifican los descuentos ya aplicados.
+              </p>
+            )}
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Código">
+              <input
+                type="text"
+                value={form.code}
+                onChange={(e) => setForm((prev) => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                className="input w-full font-mono"
+                placeholder="Ej: VERANO25"
+              />
+            </FieldGroup>
+            <FieldGroup label="Campaña" hint="Para agrupar usos en el CRM.">
+              <input
+                type="text"
+                value={form.campaign}
+                onChange={(e) => setForm((prev) => ({ ...prev, campaign: e.target.value }))}
+                className="input w-full"
+                placeholder="Ej: verano-2026"
+              />
+            </FieldGroup>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Tipo de descuento">
+              <select
+                value={form.discountType}
+                onChange={(e) => setForm((prev) => ({ ...prev, discountType: e.target.value }))}
+                className="input w-full"
+              >
+                <option value="percent">Porcentaje</option>
+                <option value="fixed">Monto fijo</option>
+              </select>
+            </FieldGroup>
+            <FieldGroup label={form.discountType === "percent" ? "Porcentaje" : "Monto"}>
+              <input
+                type="number"
+                min="0"
+                max={form.discountType === "percent" ? 100 : undefined}
+                step="0.01"
+                value={form.discountValue}
+                onChange={(e) => setForm((prev) => ({ ...prev, discountValue: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Desde">
+              <input
+                type="date"
+                value={form.startsAt}
+                onChange={(e) => setForm((prev) => ({ ...prev, startsAt: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+            <FieldGroup label="Hasta">
+              <input
+                type="date"
+                value={form.endsAt}
+                onChange={(e) => setForm((prev) => ({ ...prev, endsAt: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <FieldGroup label="Usos totales" hint="Vacío: sin tope.">
+              <input
+                type="number"
+                min="1"
+                value={form.maxUsesTotal}
+                onChange={(e) => setForm((prev) => ({ ...prev, maxUsesTotal: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+            <FieldGroup label="Usos por cliente" hint="Vacío: sin tope.">
+              <input
+                type="number"
+                min="1"
+                value={form.maxUsesPerCustomer}
+                onChange={(e) => setForm((prev) => ({ ...prev, maxUsesPerCustomer: e.target.value }))}
+                className="input w-full"
+              />
+            </FieldGroup>
+          </div>
+
+          <FieldGroup label="Aplica a">
+            <div className="space-y-3">
+              {TARGET_SECTIONS.map(({ type, label, allLabel }) => (
+                <div key={type} className="border border-border rounded-xl p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-foreground">{label}</span>
+                    <select
+                      value={form.scope[type].mode}
+                      onChange={(e) => updateScope(type, { mode: e.target.value })}
+                      className="input w-auto text-sm"
+                    >
+                      <option value="all">{allLabel}</option>
+                      <option value="some">Sólo algunos</option>
+                      <option value="none">No aplica</option>
+                    </select>
+                  </div>
+                  {form.scope[type].mode === "some" && (
+                    <div className="max-h-40 overflow-y-auto space-y-1">
+                      {options[type].length === 0 && (
+                        <p className="text-xs text-foreground-muted">No hay opciones cargadas.</p>
+                      )}
+                      {options[type].map((option) => (
+                        <label key={option.id} className="flex items-center gap-2 text-sm text-foreground cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={form.scope[type].ids.includes(option.id)}
+                            onChange={() => toggleScopeId(type, option.id)}
+                            className="w-4 h-4 rounded border-border text-primary focus:ring-primary"
+                          />
+                          {option.name}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </FieldGroup>
+
+          <div className="border border-border rounded-xl p-3 space-y-3">
+            <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.firstVisitOnly}
+                onChange={(e) => setForm((prev) => ({ ...prev, firstVisitOnly: e.target.checked }))}
+                className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+              />
+              Sólo para la primera visita
+            </label>
+            <label className="flex items-center gap-3 text-sm text-foreground cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm((prev) => ({ ...prev, isActive: e.target.checked }))}
+                className="w-5 h-5 rounded border-border text-primary focus:ring-primary"
+              />
+              Activo
+            </label>
+          </div>
+
+          <FieldGroup label="Descripción (opcional)">
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              className="input w-full min-h-[70px]"
+            />
+          </FieldGroup>
+
+          <div className="flex flex-col sm:flex-row justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setForm(DEFAULT_PROMO_FORM)} disabled={saving}>
+              Resetear
+            </Button>
+            <Button onClick={handleSubmit} disabled={saving}>
+              {saving ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Guardando...
+                </>
+              ) : (
+                <>
+                  <Save className="w-4 h-4" />
+                  Guardar código
+                </>
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
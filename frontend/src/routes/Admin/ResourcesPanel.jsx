@@ -0,0 +1,294 @@
+import { useState } from "react";
+import { toast } from "sonner";
+import { Box, Check, DoorOpen, Edit3, Loader2, Plus, Trash2 } from "lucide-react";
+import { apiClient } from "../../api";
+import Button from "../../components/ui/Button";
+import { logger } from "../../utils/logger.js";
+
+const KIND_LABELS = {
+  room: "Sala / cabina",
+  equipment: "Equipo",
+};
+
+const DEFAULT_RESOURCE_FORM = {
+  name: "",
+  kind: "room",
+  capacity: 1,
+  branchId: "",
+  isActive: true,
+};
+
+/**
+ * Salas, cabinas y equipos compartidos entre profesionales.
+ * Los servicios que los requieren se eligen desde la pestaña Servicios.
+ */
+export default function ResourcesPanel({ resources = [], branches = [], onChange }) {
+  const [form, setForm] = useState(DEFAULT_RESOURCE_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(DEFAULT_RESOURCE_FORM);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Ingresá el nombre del recurso.");
+      return;
+    }
+    const capacity = Number(form.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      toast.error("La capacidad debe ser un número entero mayor a 0.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payload = {
+        name: form.name.trim(),
+        kind: form.kind,
+        capacity,
+        branchId: form.branchId || null,
+        isActive: form.isActive,
+      };
+      if (editingId) {
+        await apiClient.updateResource(editingId, payload);
+        toast.success("Recurso actualizado");
+      } else {
+        await apiClient.createResource(payload);
+        toast.success("Recurso creado");
+      }
+      resetForm();
+      await onChange?.();
+    } catch (error) {
+      logger.error("Error guardando recurso", error);
+      toast.error("No se pudo guardar el recurso", {
+        description: error?.response?.data?.error || error?.message,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (resource) => {
+    if (!window.confirm(`¿Eliminar ${resource.name}? Los servicios dejarán de requerirlo.`)) return;
+    try {
+      await apiClient.deleteResource(resource.id);
+      toast.success("Recurso eliminado");
+      if (editingId === resource.id) resetForm();
+      await onChange?.();
+    } catch (error) {
+      logger.error("Error eliminando recurso", error);
+      toast.error("No se pudo eliminar el recurso", {
+        description: error?.response?.data?.error || error?.message,
+      });
+    }
+  };
+
+  return (
+    <section className="grid grid-cols-1 xl:grid-cols-[1.2fr_minmax(0,0.8fr)] gap-6">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Salas y equipos</h2>
+            <p className="text-sm text-foreground-secondary">
+              Solo se ofrecen horarios en los que el profesional y los recursos del servicio están libres.
+            </p>
+          </div>
+          <Button onClick={resetForm}>
+            <Plus className="w-4 h-4 mr-2" />
+            Nuevo recurso
+          </Button>
+        </div>
+
+        {resources.length === 0 ? (
+          <div className="border border-dashed border-border rounded-2xl p-10 text-center text-sm text-foreground-muted">
+            No hay recursos cargados. Agregá cabinas, salas o equipos que se compartan entre profesionales.
+          </div>
+        ) : (
+          <div className="border border-border/80 rounded-2xl overflow-hidden shadow-sm">
+            <table className="w-full text-sm">
+              <thead className="bg-background-secondary/60 border-b border-border/60 text-xs uppercase tracking-wide text-foreground-muted">
+                <tr>
+                  <th className="text-left py-3 px-4">Recurso</th>
+                  <th className="text-left py-3 px-4">Sucursal</th>
+                  <th className="text-left py-3 px-4">Capacidad</th>
+                  <th className="text-left py-3 px-4">Servicios</th>
+                  <th className="text-right py-3 px-4">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resources.map((resource) => (
+                  <tr key={resource.id} className="border-b border-border/50 last:border-b-0">
+                    <td className="py-3 px-4">
+                      <div className="flex items-center gap-2">
+                        {resource.kind === "equipment" ? (
+                          <Box className="w-4 h-4 text-foreground-muted" />
+                        ) : (
+                          <DoorOpen className="w-4 h-4 text-foreground-muted" />
+                        )}
+                        <div>
+                          <p className={`font-medium ${resource.isActive ? "text-foreground" : "text-foreground-muted line-through"}`}>
+                            {resource.name}
+                          </p>
+                          <p className="text-xs text-foreground-muted">{KIND_LABELS[resource.kind] || resource.kind}</p>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-foreground-secondary">{resource.branchName || "Todas"}</td>
+                    <td className="py-3 px-4 text-foreground-secondary">{resource.capacity} a la vez</td>
+                    <td className="py-3 px-4 text-foreground-secondary">
+                      {resource.services?.length ? (
+                        <div className="flex flex-wrap gap-1">
+                          {resource.services.map((service) => (
+                            <span
+                              key={`${resource.id}-service-${service.serviceId}`}
+                              className="px-2 py-1 rounded-full border border-border/70 bg-background-secondary text-xs"
+                            >
+                              {service.name}
+                              {service.quantity > 1 ? ` ×${service.quantity}` : ""}
+                            </span>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-foreground-muted italic">Ningún servicio lo usa</span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      <div className="inline-flex items-center gap-2">
+                        <button
+                          className="p-2 rounded-lg hover:bg-background-secondary transition"
+                          onClick={() => {
+                            setEditingId(resource.id);
+                            setForm({
+                              name: resource.name,
+                              kind: resource.kind,
+                              capacity: resource.capacity,
+                              branchId: resource.branchId || "",
+                              isActive: resource.isActive,
+                            });
+                          }}
+                          aria-label="Editar recurso"
+                        >
+                          <Edit3 className="w-4 h-4" />
+                        </button>
+                        <button
+                          className="p-2 rounded-lg hover:bg-red-500/10 text-red-400 transition"
+                          onClick={() => handleDelete(resource)}
+                          aria-label="Eliminar recurso"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="border border-border/80 rounded-2xl bg-background-secondary/40 p-6 space-y-5">
+        <div className="flex items-center gap-2">
+          <DoorOpen className="w-5 h-5 text-primary" />
+          <h3 className="text-lg font-semibold text-foreground">{editingId ? "Editar recurso" : "Nuevo recurso"}</h3>
+        </div>
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <label className="flex flex-col gap-2 text-sm text-foreground-secondary">
+            <span className="font-medium text-foreground">Nombre</span>
+            <input
+              className="input"
+              placeholder="Ej: Cabina 1, Equipo láser"
+              value={form.name}
+              onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+              required
+            />
+          </label>
+
+          <label className="flex flex-col gap-2 text-sm text-foreground-secondary">
+            <span className="font-medium text-foreground">Tipo</span>
+            <select
+              className="input"
+              value={form.kind}
+              onChange={(event) => setForm((prev) => ({ ...prev, kind: event.target.value }))}
+            >
+              {Object.entries(KIND_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-2 text-sm text-foreground-secondary">
+            <span className="font-medium text-foreground">Capacidad</span>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              className="input"
+              value={form.capacity}
+              onChange={(event) => setForm((prev) => ({ ...prev, capacity: event.target.value }))}
+              required
+            />
+            <span className="text-xs text-foreground-muted">
+              Cuántos turnos pueden usarlo al mismo tiempo (ej: 2 si tenés dos cabinas iguales).
+            </span>
+          </label>
+
+          <label className="flex flex-col gap-2 text-sm text-foreground-secondary">
+            <span className="font-medium text-foreground">Sucursal</span>
+            <select
+              className="input"
+              value={form.branchId}
+              onChange={(event) => setForm((prev) => ({ ...prev, branchId: event.target.value }))}
+            >
+              <option value="">Todas las sucursales</option>
+              {branches.map((branch) => (
+                <option key={branch.id} value={branch.id}>
+                  {branch.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="inline-flex items-center gap-2 text-sm text-foreground">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(event) => setForm((prev) => ({ ...prev, isActive: event.target.checked }))}
+            />
+            Recurso activo
+          </label>
+
+          <div className="flex items-center gap-2 pt-2">
+            <Button type="submit" disabled={saving}>
+              {saving ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : editingId ? (
+                <>
+                  <Check className="w-4 h-4 mr-2" />
+                  Guardar cambios
+                </>
+              ) : (
+                <>
+                  <Plus className="w-4 h-4 mr-2" />
+                  Crear recurso
+                </>
+              )}
+            </Button>
+            {editingId ? (
+              <Button type="button" variant="ghost" onClick={resetForm} className="text-foreground-secondary">
+                Cancelar
+              </Button>
+            ) : null}
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+}
@@ -37,6 +37,14 @@ import {
   Smartphone,
   Activity,
   Megaphone,
+  QrCode,
+  Ticket,
+  Gift,
+  BadgePercent,
+  Star,
+  ShoppingBag,
+  MessageCircle,
+  History,
 } from "lucide-react";
 
 const DEFAULT_FEATURES_BY_BUSINESS = {
@@ -134,6 +142,7 @@ export default function AppLayout() {
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [pendingChats, setPendingChats] = useState(0);
   const { features } = useApp();
 
   // Bloquear scroll del body cuando el sidebar está abierto en móviles
@@ -219,6 +228,23 @@ export default function AppLayout() {
     return () => clearInterval(interval);
   }, [authLoaded, authContext]);
 
+  // Conversaciones de WhatsApp esperando a alguien del equipo
+  useEffect(() => {
+    if (!authLoaded || !authContext) return;
+
+    const loadPendingChats = async () => {
+      try {
+        setPendingChats(await apiClient.getWhatsAppPendingCount());
+      } catch (error) {
+        logger.error("Error loading pending WhatsApp conversations:", error);
+        setPendingChats(0);
+      }
+    };
+    loadPendingChats();
+    const interval = setInterval(loadPendingChats, 60000);
+    return () => clearInterval(interval);
+  }, [authLoaded, authContext]);
+
   const featureFlags = useMemo(() => {
     const merged = {
       ...(DEFAULT_FEATURES_BY_BUSINESS[businessTypeCode] || {}),
@@ -248,9 +274,12 @@ export default function AppLayout() {
     { to: `${base}/dashboard`, label: t("navigation.dashboard"), icon: LayoutDashboard, active: pathname === `${base}/dashboard` },
     { to: `${base}/appointments`, label: navLabels.appointments || t("navigation.appointments"), icon: Calendar, active: pathname.startsWith(`${base}/appointments`) },
     { to: `${base}/classes`, label: navLabels.classes || t("navigation.classes"), icon: GraduationCap, active: pathname.startsWith(`${base}/classes`), featureKey: "classes" },
+    { to: `${base}/checkin`, label: t("navigation.checkin"), icon: QrCode, active: pathname.startsWith(`${base}/checkin`) },
+    { to: `${base}/pos`, label: t("navigation.pos"), icon: ShoppingBag, active: pathname.startsWith(`${base}/pos`), roles: ["admin", "staff"] },
     { to: `${base}/workout-routines`, label: t("navigation.routines"), icon: Activity, active: pathname.startsWith(`${base}/workout-routines`), featureKey: "routines" },
     { to: `${base}/customers`, label: navLabels.customers || t("navigation.customers"), icon: Users, active: pathname.startsWith(`${base}/customers`) },
     { to: `${base}/deposits`, label: navLabels.deposits || t("navigation.deposits"), icon: DollarSign, active: pathname.startsWith(`${base}/deposits`) },
+    { to: `${base}/whatsapp-inbox`, label: t("navigation.whatsappInbox"), icon: MessageCircle, active: pathname.startsWith(`${base}/whatsapp-inbox`), badge: pendingChats > 0 ? pendingChats : null },
   ];
 
   const managementNavItems = [
@@ -295,6 +324,34 @@ export default function AppLayout() {
       active: pathname.startsWith(`${base}/crm`),
       adminOnly: true,
     },
+    {
+      to: `${base}/admin/bonos`,
+      label: t("navigation.packages"),
+      icon: Ticket,
+      active: pathname.startsWith(`${base}/admin/bonos`),
+      adminOnly: true,
+    },
+    {
+      to: `${base}/admin/gift-cards`,
+      label: t("navigation.giftCards"),
+      icon: Gift,
+      active: pathname.startsWith(`${base}/admin/gift-cards`),
+      adminOnly: true,
+    },
+    {
+      to: `${base}/admin/promo-codes`,
+      label: t("navigation.promoCodes"),
+      icon: BadgePercent,
+      active: pathname.startsWith(`${base}/admin/promo-codes`),
+      adminOnly: true,
+    },
+    {
+      to: `${base}/admin/loyalty`,
+      label: t("navigation.loyalty"),
+      icon: Star,
+      active: pathname.startsWith(`${base}/admin/loyalty`),
+      adminOnly: true,
+    },
     {
       to: `${base}/accounting`,
       label: t("navigation.accounting"),
@@ -326,12 +383,14 @@ export default function AppLayout() {
     { to: `${base}/admin/instructores`, label: navLabels.professionals || t("navigation.professionals"), icon: UserRound, active: pathname.startsWith(`${base}/admin/instructores`), adminOnly: true },
     { to: `${base}/admin/branches`, label: t("navigation.branches"), icon: Building2, active: pathname.startsWith(`${base}/admin/branches`), adminOnly: true },
     { to: `${base}/admin/config`, label: t("navigation.config"), icon: Settings, active: pathname.startsWith(`${base}/admin/config`), adminOnly: true },
+    { to: `${base}/admin/audit`, label: t("navigation.audit"), icon: History, active: pathname.startsWith(`${base}/admin/audit`), adminOnly: true },
   ];
 
   // Función para filtrar items
   const filterNavItems = (items) => {
     return items.filter(item => {
       if (item.adminOnly && user?.role !== "admin") return false;
+      if (item.roles && !item.roles.includes(user?.role)) return false;
       
       if (item.featureKey && featureFlags?.[item.featureKey] === false) {
         return false;
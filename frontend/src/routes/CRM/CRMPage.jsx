@@ -2,7 +2,22 @@ import React, { useEffect, useMemo, useState } from "react";
 import { useParams } from "react-router-dom";
 import { apiClient } from "../../api/client";
 import { toast } from "sonner";
-import { Megaphone, Target, Send, Eye, Wrench, Trash2, Filter, Sparkles } from "lucide-react";
+import { Megaphone, Target, Send, Eye, Wrench, Trash2, Filter, Sparkles, Plus, BarChart3 } from "lucide-react";
+import MessageLogList from "../../components/MessageLogList.jsx";
+import CampaignReport from "./CampaignReport.jsx";
+
+const CHANNEL_OPTIONS = [
+  { value: "whatsapp", label: "WhatsApp" },
+  { value: "email", label: "Email" },
+  { value: "push", label: "Push (app)" },
+];
+
+const CHANNEL_LABELS = Object.fromEntries(CHANNEL_OPTIONS.map((c) => [c.value, c.label]));
+
+const MAX_VARIANTS = 4;
+const VARIANT_KEYS = ["A", "B", "C", "D"];
+
+const DEFAULT_MESSAGE = "Hola {nombre}, te esperamos esta semana. ¿Querés reservar un turno?";
 
 export default function CRMPage() {
   const { tenantSlug } = useParams();
@@ -12,7 +27,11 @@ export default function CRMPage() {
   const [recipients, setRecipients] = useState([]);
   const [loadingSegs, setLoadingSegs] = useState(false);
   const [loadingList, setLoadingList] = useState(false);
-  const [message, setMessage] = useState("Hola {nombre}, te esperamos esta semana. ¿Querés reservar un turno?");
+  const [variants, setVariants] = useState([{ message: DEFAULT_MESSAGE, subject: "" }]);
+  const [activeVariant, setActiveVariant] = useState(0);
+  const [channels, setChannels] = useState(["whatsapp"]);
+  const [attributionDays, setAttributionDays] = useState(7);
+  const [segmentStats, setSegmentStats] = useState({ optedOut: 0, unreachable: 0 });
   const [preview, setPreview] = useState([]);
   const [sending, setSending] = useState(false);
   const [creating, setCreating] = useState(false);
@@ -22,10 +41,14 @@ export default function CRMPage() {
     description: "",
     type: "inactive_x_days",
     days: 60,
+    promoCode: "",
+    campaign: "",
   });
   const [scheduleAt, setScheduleAt] = useState("");
   const [schedules, setSchedules] = useState([]);
   const [history, setHistory] = useState([]);
+  const [openCampaignId, setOpenCampaignId] = useState(null);
+  const [openReportId, setOpenReportId] = useState(null);
   const [segmentQuery, setSegmentQuery] = useState("");
   const [activeTab, setActiveTab] = useState("segments");
   const [recipientsCount, setRecipientsCount] = useState(0);
@@ -56,13 +79,64 @@ export default function CRMPage() {
     load();
   }, []);
 
+  // Orden de prioridad fijo; el canal preferido de cada cliente tiene precedencia
+  const orderedChannels = CHANNEL_OPTIONS.map((c) => c.value).filter((c) => channels.includes(c));
+  const message = variants[activeVariant]?.message ?? "";
+  const usesSubject = channels.includes("email") || channels.includes("push");
+
+  function updateVariant(index, patch) {
+    setVariants((list) => list.map((v, i) => (i === index ? { ...v, ...patch } : v)));
+  }
+
+  function setMessage(updater) {
+    updateVariant(activeVariant, {
+      message: typeof updater === "function" ? updater(variants[activeVariant]?.message ?? "") : updater,
+    });
+  }
+
+  function addVariant() {
+    if (variants.length >= MAX_VARIANTS) return;
+    setVariants((list) => [...list, { message: list[list.length - 1]?.message || "", subject: "" }]);
+    setActiveVariant(variants.length);
+    setPreview([]);
+  }
+
+  function removeVariant(index) {
+    setVariants((list) => list.filter((_, i) => i !== index));
+    setActiveVariant(0);
+    setPreview([]);
+  }
+
+  function toggleChannel(value) {
+    setChannels((list) => {
+      const next = list.includes(value) ? list.filter((c) => c !== value) : [...list, value];
+      return next.length ? next : list;
+    });
+    setPreview([]);
+  }
+
+  function campaignPayload() {
+    return {
+      segmentCode: selected.code,
+      variants: variants.map((v) => ({ message: v.message, subject: v.subject || undefined })),
+      channels: orderedChannels,
+      attributionDays: Number(attributionDays) || 7,
+    };
+  }
+
+  useEffect(() => {
+    if (selected) loadRecipients(selected.code);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [channels]);
+
   async function loadRecipients(code) {
     setLoadingList(true);
     setSegmentLoadError(null);
     try {
-      const result = await apiClient.crmGetSegment(code);
+      const result = await apiClient.crmGetSegment(code, { channels: orderedChannels });
       setRecipients(result?.data || []);
       setRecipientsCount(Number(result?.count || (result?.data?.length ?? 0)));
+      setSegmentStats({ optedOut: Number(result?.optedOut || 0), unreachable: Number(result?.unreachable || 0) });
       setActiveTab("send");
     } catch (e) {
       const status = e?.response?.status;
@@ -80,16 +154,15 @@ export default function CRMPage() {
       toast.error("Seleccioná un segmento");
       return;
     }
-    if (!String(message || "").trim()) {
-      toast.error("Escribí un mensaje para la campaña");
+    if (variants.some((v) => !String(v.message || "").trim())) {
+      toast.error("Escribí un mensaje para cada variante");
       return;
     }
     try {
       const resp = await apiClient.crmSendCampaign({
-        segmentCode: selected.code,
-        message,
+        ...campaignPayload(),
         preview: true,
-        max: 5,
+        max: 50,
       });
       setPreview(resp?.preview || []);
       toast.success(`Vista previa generada (${resp?.totalCandidates || 0} candidatos)`);
@@ -109,12 +182,13 @@ export default function CRMPage() {
     setSending(true);
     try {
       const resp = await apiClient.crmSendCampaign({
-        segmentCode: selected.code,
-        message,
+        ...campaignPayload(),
         preview: false,
         max: 50,
       });
       toast.success(`Campaña enviada: ${resp?.sent || 0} de ${resp?.total || 0}`);
+      const hist = await apiClient.crmListHistory();
+      setHistory(Array.isArray(hist) ? hist : []);
     } catch (e) {
       const msg = e?.response?.data?.error || "Error enviando campaña";
       toast.error(msg);
@@ -139,7 +213,13 @@ export default function CRMPage() {
         label: segmentForm.label.trim(),
         description: segmentForm.description.trim(),
         type: segmentForm.type,
-        params: { days: Number(segmentForm.days || 0) || 14 },
+        params: {
+          days: Number(segmentForm.days || 0) || 14,
+          ...(segmentForm.type === "promo_code_used" && {
+            promoCode: segmentForm.promoCode.trim() || undefined,
+            campaign: segmentForm.campaign.trim() || undefined,
+          }),
+        },
       };
       const resp = await apiClient.crmCreateCustomSegment(payload);
       const list = resp?.data ?? resp ?? [];
@@ -151,6 +231,8 @@ export default function CRMPage() {
         description: "",
         type: "inactive_x_days",
         days: 60,
+        promoCode: "",
+        campaign: "",
       });
     } catch (e) {
       toast.error(e?.response?.data?.error || "Error creando segmento");
@@ -187,8 +269,7 @@ export default function CRMPage() {
     }
     try {
       const payload = {
-        segmentCode: selected.code,
-        message,
+        ...campaignPayload(),
         sendAt: scheduleAt,
         max: 50,
       };
@@ -314,6 +395,7 @@ export default function CRMPage() {
                      <option value="renewal_in_days">Renovación en X días</option>
                      <option value="deposit_pending_recent_days">Seña pendiente últimos X días</option>
                      <option value="deposit_expired_recent_days">Seña vencida últimos X días</option>
+                     <option value="promo_code_used">Usaron un código promocional en X días</option>
                   </select>
                 </div>
                 <div>
@@ -335,6 +417,28 @@ export default function CRMPage() {
                   />
                 </div>
               </div>
+              {segmentForm.type === "promo_code_used" && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-foreground-secondary">Código</label>
+                    <input
+                      className="input"
+                      value={segmentForm.promoCode}
+                      onChange={(e) => setSegmentForm((s) => ({ ...s, promoCode: e.target.value.toUpperCase() }))}
+                      placeholder="Vacío: cualquier código"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs text-foreground-secondary">Campaña</label>
+                    <input
+                      className="input"
+                      value={segmentForm.campaign}
+                      onChange={(e) => setSegmentForm((s) => ({ ...s, campaign: e.target.value }))}
+                      placeholder="Opcional"
+                    />
+                  </div>
+                </div>
+              )}
               <div>
                 <button onClick={createCustomSegment} disabled={creating} className="btn-primary">
                   Crear segmento
@@ -352,6 +456,8 @@ export default function CRMPage() {
                         <div className="text-xs text-foreground-muted">{seg.description}</div>
                         <div className="text-xs text-foreground-muted">
                           {seg.type} · días={seg?.params?.days ?? seg?.days ?? 0}
+                          {seg?.params?.promoCode && ` · código=${seg.params.promoCode}`}
+                          {seg?.params?.campaign && ` · campaña=${seg.params.campaign}`}
                         </div>
                       </div>
                       <button
@@ -384,13 +490,16 @@ export default function CRMPage() {
               <div className="divide-y divide-border">
                 <div className="p-2 text-xs text-foreground-muted">
                   Mostrando {Math.min(50, recipients.length)} de {recipientsCount || recipients.length} destinatarios
+                  {segmentStats.optedOut > 0 && ` · ${segmentStats.optedOut} dados de baja`}
+                  {segmentStats.unreachable > 0 && ` · ${segmentStats.unreachable} sin contacto por estos canales`}
                 </div>
                 {recipients.slice(0, 50).map((r) => (
                   <div key={r.id} className="py-2 flex items-center justify-between">
                     <div>
                       <div className="font-medium">{r.name || "Sin nombre"}</div>
-                      <div className="text-xs text-foreground-muted">{r.phone}</div>
+                      <div className="text-xs text-foreground-muted">{r.channel === "email" ? r.email : r.phone}</div>
                     </div>
+                    <div className="badge">{CHANNEL_LABELS[r.channel] || r.channel}</div>
                   </div>
                 ))}
               </div>
@@ -413,14 +522,77 @@ export default function CRMPage() {
                   <div className="badge">{recipients.length} destinatarios</div>
                 </div>
               )}
+              <div>
+                <label className="text-sm text-foreground-secondary">Canales</label>
+                <div className="flex flex-wrap gap-3 mt-1">
+                  {CHANNEL_OPTIONS.map((c) => (
+                    <label key={c.value} className="flex items-center gap-2 text-sm">
+                      <input type="checkbox" checked={channels.includes(c.value)} onChange={() => toggleChannel(c.value)} />
+                      {c.label}
+                    </label>
+                  ))}
+                </div>
+                <div className="text-xs text-foreground-muted mt-1">
+                  Cada cliente recibe un solo mensaje: por su canal preferido o, si no, por el primero disponible en
+                  este orden. Los clientes dados de baja no reciben campañas.
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                {variants.map((v, index) => (
+                  <button
+                    key={VARIANT_KEYS[index]}
+                    onClick={() => setActiveVariant(index)}
+                    className={`px-3 py-1 rounded-lg border text-sm ${activeVariant === index ? "border-primary-500 bg-primary-500/5 font-semibold" : "border-border"}`}
+                  >
+                    Variante {VARIANT_KEYS[index]}
+                  </button>
+                ))}
+                {variants.length < MAX_VARIANTS && (
+                  <button className="btn-ghost text-sm" onClick={addVariant}>
+                    <Plus className="w-4 h-4" /> Agregar variante
+                  </button>
+                )}
+                {variants.length > 1 && (
+                  <button className="btn-ghost text-danger text-sm" onClick={() => removeVariant(activeVariant)}>
+                    <Trash2 className="w-4 h-4" /> Quitar {VARIANT_KEYS[activeVariant]}
+                  </button>
+                )}
+              </div>
+              {variants.length > 1 && (
+                <div className="text-xs text-foreground-muted">
+                  Los destinatarios se reparten en partes iguales entre las variantes.
+                </div>
+              )}
+              {usesSubject && (
+                <>
+                  <label className="text-sm text-foreground-secondary">Asunto (email) / título (push)</label>
+                  <input
+                    className="input"
+                    value={variants[activeVariant]?.subject || ""}
+                    onChange={(e) => updateVariant(activeVariant, { subject: e.target.value })}
+                    placeholder="Por defecto, el nombre del negocio"
+                  />
+                </>
+              )}
               <label className="text-sm text-foreground-secondary">Mensaje</label>
               <textarea
                 className="input"
                 rows={5}
                 value={message}
                 onChange={(e) => setMessage(e.target.value)}
-                placeholder="Usa {nombre} para personalizar el mensaje"
+                placeholder="Usá {nombre}, {primer_nombre} o {negocio} para personalizar el mensaje"
               />
+              <div>
+                <label className="text-sm text-foreground-secondary">Medir conversiones durante (días)</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={90}
+                  className="input"
+                  value={attributionDays}
+                  onChange={(e) => setAttributionDays(Number(e.target.value || 0))}
+                />
+              </div>
               <div className="flex flex-wrap items-center gap-2">
                 <button
                   className="btn-ghost"
@@ -454,8 +626,11 @@ export default function CRMPage() {
               <div className="space-y-2">
                 {preview.map((p, idx) => (
                   <div key={idx} className="p-3 rounded-lg border border-border">
-                    <div className="text-xs text-foreground-muted">{p.to}</div>
-                    <div className="font-medium">{p.text}</div>
+                    <div className="text-xs text-foreground-muted">
+                      {p.to} · {CHANNEL_LABELS[p.channel] || p.channel} · Variante {p.variant}
+                    </div>
+                    {p.subject && <div className="text-sm text-foreground-secondary">{p.subject}</div>}
+                    <div className="font-medium whitespace-pre-line">{p.text}</div>
                   </div>
                 ))}
               </div>
@@ -490,7 +665,14 @@ export default function CRMPage() {
                   <div key={s.id} className="p-3 rounded-lg border border-border flex items-center justify-between">
                     <div>
                       <div className="font-semibold">{s.segmentCode}</div>
-                      <div className="text-xs text-foreground-muted">{s.sendAt}</div>
+                      <div className="text-xs text-foreground-muted">
+                        {s.sendAt}
+                        {s.status === "running" ? " · Enviando..." : ""}
+                        {s.status === "paused" ? " · Pausada" : ""}
+                      </div>
+                      {s.status === "failed" && (
+                        <div className="text-xs text-danger">No se pudo enviar{s.lastError ? `: ${s.lastError}` : ""}</div>
+                      )}
                     </div>
                     <button onClick={() => deleteSchedule(s.id)} className="btn-ghost text-danger flex items-center gap-1">
                       <Trash2 className="w-4 h-4" />
@@ -510,9 +692,43 @@ export default function CRMPage() {
               <div className="space-y-2">
                 {history.slice(0, 50).map((h) => (
                   <div key={h.id} className="p-3 rounded-lg border border-border">
-                    <div className="font-semibold">{h.segmentCode}</div>
-                    <div className="text-xs text-foreground-muted">Enviados {h.sent} de {h.total}</div>
-                    <div className="text-xs text-foreground-muted">{h.finishedAt}</div>
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <div className="font-semibold">{h.segmentCode}</div>
+                        <div className="text-xs text-foreground-muted">
+                          Enviados {h.sent} de {h.total}
+                          {h.channels?.length > 0 && ` · ${h.channels.map((c) => CHANNEL_LABELS[c] || c).join(", ")}`}
+                          {h.variants?.length > 1 && ` · ${h.variants.length} variantes`}
+                        </div>
+                        <div className="text-xs text-foreground-muted">{h.finishedAt}</div>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => setOpenReportId(openReportId === h.id ? null : h.id)}
+                          className="btn-ghost text-xs flex items-center gap-1"
+                        >
+                          <BarChart3 className="w-4 h-4" />
+                          {openReportId === h.id ? "Ocultar" : "Resultados"}
+                        </button>
+                        <button
+                          onClick={() => setOpenCampaignId(openCampaignId === h.id ? null : h.id)}
+                          className="btn-ghost text-xs flex items-center gap-1"
+                        >
+                          <Eye className="w-4 h-4" />
+                          {openCampaignId === h.id ? "Ocultar" : "Ver envíos"}
+                        </button>
+                      </div>
+                    </div>
+                    {openReportId === h.id && (
+                      <div className="mt-3 pt-3 border-t border-border">
+                        <CampaignReport campaignId={h.id} defaultDays={h.attributionDays || 7} />
+                      </div>
+                    )}
+                    {openCampaignId === h.id && (
+                      <div className="mt-3 pt-3 border-t border-border">
+                        <MessageLogList campaignId={h.id} showCustomer />
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
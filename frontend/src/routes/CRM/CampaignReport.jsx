@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { apiClient } from "../../api/client";
+import { logger } from "../../utils/logger.js";
+
+const METRICS = [
+  { key: "sent", label: "Enviados" },
+  { key: "booked", label: "Reservaron" },
+  { key: "enrolled", label: "Clases" },
+  { key: "paid", label: "Pagaron" },
+  { key: "converted", label: "Convirtieron" },
+];
+
+/**
+ * Resultados de una campaña: conversiones por variante dentro de la ventana de atribución.
+ */
+export default function CampaignReport({ campaignId, defaultDays = 7 }) {
+  const [days, setDays] = useState(defaultDays);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await apiClient.crmGetCampaignReport(campaignId, { days });
+        if (!cancelled) setReport(data);
+      } catch (e) {
+        logger.error("[CampaignReport] load error:", e);
+        if (!cancelled) setError(e?.response?.data?.error || "Error cargando resultados");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [campaignId, days]);
+
+  const rows = report?.variants || [];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-foreground-secondary">Conversiones dentro de</span>
+        <input
+          type="number"
+          min={1}
+          max={90}
+          className="input w-20"
+          value={days}
+          onChange={(e) => setDays(Math.max(1, Number(e.target.value) || 1))}
+        />
+        <span className="text-foreground-secondary">días del envío</span>
+      </div>
+
+      {loading ? (
+        <div className="py-4 flex items-center gap-2 text-sm text-foreground-muted">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Calculando resultados...
+        </div>
+      ) : error ? (
+        <div className="text-sm text-danger">{error}</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-foreground-muted">
+                <th className="py-1 pr-2">Variante</th>
+                {METRICS.map((metric) => (
+                  <th key={metric.key} className="py-1 px-2 text-right">
+                    {metric.label}
+                  </th>
+                ))}
+                <th className="py-1 pl-2 text-right">Conversión</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border/60">
+              {rows.map((variant) => (
+                <tr key={variant.key}>
+                  <td className="py-2 pr-2">
+                    <div className="font-medium">{variant.key}</div>
+                    {variant.message && (
+                      <div className="text-xs text-foreground-muted line-clamp-1 max-w-[220px]">{variant.message}</div>
+                    )}
+                  </td>
+                  {METRICS.map((metric) => (
+                    <td key={metric.key} className="py-2 px-2 text-right">
+                      {variant[metric.key]}
+                    </td>
+                  ))}
+                  <td className="py-2 pl-2 text-right font-semibold">{variant.conversionRate}%</td>
+                </tr>
+              ))}
+              {rows.length > 1 && (
+                <tr className="font-semibold">
+                  <td className="py-2 pr-2">Total</td>
+                  {METRICS.map((metric) => (
+                    <td key={metric.key} className="py-2 px-2 text-right">
+                      {report.totals[metric.key]}
+                    </td>
+                  ))}
+                  <td className="py-2 pl-2 text-right">{report.totals.conversionRate}%</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
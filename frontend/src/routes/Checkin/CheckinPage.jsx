@@ -0,0 +1,302 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { apiClient } from "../../api";
+import { QrCode, Search, RefreshCw, CheckCircle2, XCircle, UserCheck, GraduationCap, Calendar, DoorOpen } from "lucide-react";
+import { toast } from "sonner";
+import { logger } from "../../utils/logger.js";
+
+const KIND_LABELS = {
+  class: { label: "Clase", icon: GraduationCap },
+  appointment: { label: "Turno", icon: Calendar },
+  walk_in: { label: "Ingreso libre", icon: DoorOpen },
+};
+
+const METHOD_LABELS = {
+  qr: "QR",
+  manual: "Manual",
+};
+
+// Identificador estable de esta PC/tablet de recepción para el registro de asistencia
+function getDeviceId() {
+  const KEY = "checkin_device_id";
+  try {
+    let id = localStorage.getItem(KEY);
+    if (!id) {
+      id = `desk-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(KEY, id);
+    }
+    return id;
+  } catch {
+    return null;
+  }
+}
+
+function formatTime(value) {
+  if (!value) return "—";
+  const date = new Date(typeof value === "string" ? value.replace(" ", "T") : value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+}
+
+function describeMatch(result) {
+  if (result.class) {
+    return `${result.class.name || "Clase"} · ${formatTime(result.class.startsAt)}${result.class.instructorName ? ` con ${result.class.instructorName}` : ""}`;
+  }
+  if (result.appointment) {
+    return `${result.appointment.serviceName || "Turno"} · ${formatTime(result.appointment.startsAt)}${result.appointment.instructorName ? ` con ${result.appointment.instructorName}` : ""}`;
+  }
+  return "Sin clase ni turno en este horario";
+}
+
+export default function CheckinPage() {
+  const [scanValue, setScanValue] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [attendance, setAttendance] = useState([]);
+  const [loadingAttendance, setLoadingAttendance] = useState(false);
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [customerResults, setCustomerResults] = useState([]);
+  const scanInputRef = useRef(null);
+  const deviceId = useRef(getDeviceId()).current;
+
+  const loadAttendance = useCallback(async () => {
+    try {
+      setLoadingAttendance(true);
+      const rows = await apiClient.getAttendance();
+      setAttendance(Array.isArray(rows) ? rows : []);
+    } catch (error) {
+      logger.error("❌ [CheckinPage] Error cargando asistencia:", error);
+    } finally {
+      setLoadingAttendance(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAttendance();
+    const interval = setInterval(loadAttendance, 60000);
+    return () => clearInterval(interval);
+  }, [loadAttendance]);
+
+  const focusScanner = () => {
+    setTimeout(() => scanInputRef.current?.focus(), 0);
+  };
+
+  useEffect(() => {
+    focusScanner();
+  }, []);
+
+  const handleResult = (response) => {
+    const data = response?.data;
+    setLastResult({ ok: true, data });
+    if (data?.alreadyCheckedIn) {
+      toast.info(`${data.customer?.name || "Cliente"} ya tenía el ingreso registrado`);
+    } else {
+      toast.success(`Ingreso registrado: ${data?.customer?.name || "Cliente"}`);
+    }
+    loadAttendance();
+  };
+
+  const handleError = (error, fallback) => {
+    const message = error?.response?.data?.error || error?.message || fallback;
+    setLastResult({ ok: false, error: message });
+    toast.error(message);
+  };
+
+  // Los lectores de QR USB/Bluetooth escriben el contenido y envían Enter
+  const handleScanSubmit = async (event) => {
+    event.preventDefault();
+    const token = scanValue.trim();
+    if (!token || submitting) return;
+    try {
+      setSubmitting(true);
+      const response = await apiClient.checkinWithQr({ token, deviceId });
+      handleResult(response);
+    } catch (error) {
+      handleError(error, "No se pudo validar el QR");
+    } finally {
+      setSubmitting(false);
+      setScanValue("");
+      focusScanner();
+    }
+  };
+
+  const handleSearchCustomers = async (event) => {
+    event.preventDefault();
+    if (!customerQuery.trim()) return;
+    try {
+      const result = await apiClient.listCustomers(customerQuery.trim(), undefined, { limit: 8 });
+      const list = Array.isArray(result) ? result : result?.data || [];
+      setCustomerResults(list.slice(0, 8));
+    } catch (error) {
+      logger.error("❌ [CheckinPage] Error buscando clientes:", error);
+      toast.error("No se pudieron buscar clientes");
+    }
+  };
+
+  const handleManualCheckin = async (customer) => {
+    if (submitting) return;
+    try {
+      setSubmitting(true);
+      const response = await apiClient.checkinManual({ customerId: customer.id, deviceId });
+      handleResult(response);
+      setCustomerResults([]);
+      setCustomerQuery("");
+    } catch (error) {
+      handleError(error, "No se pudo registrar el ingreso");
+    } finally {
+      setSubmitting(false);
+      focusScanner();
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in overflow-x-hidden max-w-full">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-foreground mb-1 sm:mb-2">Recepción</h1>
+        <p className="text-sm sm:text-base text-foreground-secondary">
+          Escaneá el QR de la app del cliente para registrar su ingreso
+        </p>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <div className="space-y-4">
+          <form onSubmit={handleScanSubmit} className="card p-5 space-y-3">
+            <label className="flex items-center gap-2 text-sm font-medium text-foreground">
+              <QrCode className="w-4 h-4" />
+              Código QR
+            </label>
+            <input
+              ref={scanInputRef}
+              type="text"
+              autoComplete="off"
+              value={scanValue}
+              onChange={(e) => setScanValue(e.target.value)}
+              placeholder="Escaneá el QR con el lector..."
+              disabled={submitting}
+              className="w-full px-4 py-3 rounded-lg bg-background-secondary border border-border text-foreground placeholder:text-foreground-muted focus:outline-none focus:ring-2 focus:ring-primary/50 min-w-0"
+            />
+            <p className="text-xs text-foreground-muted">
+              El QR se renueva cada minuto en la app: si vence, pedile al cliente que lo actualice.
+            </p>
+          </form>
+
+          {lastResult && (
+            <div
+              className={`card p-5 border ${
+                lastResult.ok ? "border-emerald-500/40" : "border-red-500/40"
+              }`}
+            >
+              {lastResult.ok ? (
+                <div className="flex items-start gap-3">
+                  <CheckCircle2 className="w-8 h-8 text-emerald-500 shrink-0" />
+                  <div className="space-y-1 min-w-0">
+                    <p className="text-lg font-semibold text-foreground">
+                      {lastResult.data?.customer?.name || "Cliente"}
+                    </p>
+                    <p className="text-sm text-foreground-secondary">{describeMatch(lastResult.data || {})}</p>
+                    {lastResult.data?.alreadyCheckedIn && (
+                      <p className="text-xs text-amber-500">El ingreso ya estaba registrado.</p>
+                    )}
+                    {lastResult.data?.membership && (
+                      <p className={`text-xs ${lastResult.data.membership.isOverdue ? "text-amber-500" : "text-foreground-muted"}`}>
+                        {lastResult.data.membership.planName}
+                        {lastResult.data.membership.isOverdue ? " · cuota vencida (en período de gracia)" : " · al día"}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-start gap-3">
+                  <XCircle className="w-8 h-8 text-red-500 shrink-0" />
+                  <div>
+                    <p className="text-lg font-semibold text-foreground">Ingreso rechazado</p>
+                    <p className="text-sm text-foreground-secondary">{lastResult.error}</p>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="card p-5 space-y-3">
+            <form onSubmit={handleSearchCustomers} className="space-y-2">
+              <label className="flex items-center gap-2 text-sm font-medium text-foreground">
+                <UserCheck className="w-4 h-4" />
+                Ingreso manual
+              </label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-foreground-muted" />
+                <input
+                  type="text"
+                  value={customerQuery}
+                  onChange={(e) => setCustomerQuery(e.target.value)}
+                  placeholder="Buscar por nombre, teléfono o DNI y presioná Enter"
+                  className="w-full pl-10 pr-4 py-2 rounded-lg bg-background-secondary border border-border text-foreground placeholder:text-foreground-muted focus:outline-none focus:ring-2 focus:ring-primary/50 min-w-0"
+                />
+              </div>
+            </form>
+            {customerResults.length > 0 && (
+              <ul className="divide-y divide-border">
+                {customerResults.map((customer) => (
+                  <li key={customer.id} className="flex items-center justify-between gap-3 py-2">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-foreground truncate">{customer.name || "Sin nombre"}</p>
+                      <p className="text-xs text-foreground-muted">{customer.phone_e164 || customer.phone || ""}</p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleManualCheckin(customer)}
+                      disabled={submitting}
+                      className="btn-primary text-xs px-3 py-1.5"
+                    >
+                      Registrar ingreso
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="card p-5 space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-foreground">Ingresos de hoy</h2>
+            <button
+              type="button"
+              onClick={loadAttendance}
+              disabled={loadingAttendance}
+              className="inline-flex items-center gap-2 rounded-lg border border-border bg-background-secondary px-3 py-1.5 text-xs text-foreground hover:border-primary/40 transition disabled:opacity-40"
+            >
+              <RefreshCw className={`h-4 w-4 ${loadingAttendance ? "animate-spin" : ""}`} />
+              Actualizar
+            </button>
+          </div>
+          {attendance.length === 0 ? (
+            <p className="text-sm text-foreground-muted py-6 text-center">Todavía no hay ingresos registrados hoy.</p>
+          ) : (
+            <ul className="divide-y divide-border">
+              {attendance.map((row) => {
+                const kind = KIND_LABELS[row.kind] || KIND_LABELS.walk_in;
+                const Icon = kind.icon;
+                return (
+                  <li key={row.id} className="flex items-center justify-between gap-3 py-2">
+                    <div className="flex items-center gap-3 min-w-0">
+                      <Icon className="w-4 h-4 text-foreground-muted shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-foreground truncate">{row.customer_name || "Cliente"}</p>
+                        <p className="text-xs text-foreground-muted">
+                          {kind.label} · {METHOD_LABELS[row.method] || row.method}
+                          {row.branch_name ? ` · ${row.branch_name}` : ""}
+                          {row.staff_email ? ` · ${row.staff_email}` : ""}
+                        </p>
+                      </div>
+                    </div>
+                    <span className="text-sm text-foreground-secondary">{formatTime(row.checked_in_at)}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
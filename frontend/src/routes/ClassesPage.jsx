@@ -47,6 +47,7 @@ const ENROLLMENT_STATUS_OPTIONS = [
   { value: "attended", label: "Asistió" },
   { value: "cancelled", label: "Cancelado" },
   { value: "noshow", label: "No asistió" },
+  { value: "waitlisted", label: "En espera" },
 ];
 
 const WEEKDAY_OPTIONS = [
@@ -182,6 +183,14 @@ const StatusBadge = ({ status, className = "" }) => {
       text: "text-amber-200",
       iconColor: "text-amber-400",
     },
+    waitlisted: {
+      label: "En espera",
+      icon: Clock,
+      bg: "bg-slate-500/15",
+      border: "border-slate-500/30",
+      text: "text-slate-200",
+      iconColor: "text-slate-400",
+    },
   };
 
   const config = statusConfig[status] || {
@@ -972,17 +981,30 @@ const { data: tenantBusinessInfo, loading: businessInfoLoading } = useQuery(
       setActionMessage({ type: "error", title: "Ingresá el teléfono del alumno." });
       return;
     }
+    const payload = {
+      customerId: enrollForm.customerId ? Number(enrollForm.customerId) : undefined,
+      customerName: enrollForm.customerName?.trim() || undefined,
+      customerPhone: enrollForm.customerPhone.trim(),
+      notes: enrollForm.notes?.trim() || undefined,
+    };
     try {
       setSavingEnrollment(true);
-      await apiClient.createClassEnrollment(selectedSessionId, {
-        customerId: enrollForm.customerId ? Number(enrollForm.customerId) : undefined,
-        customerName: enrollForm.customerName?.trim() || undefined,
-        customerPhone: enrollForm.customerPhone.trim(),
-        notes: enrollForm.notes?.trim() || undefined,
-      });
+      let response;
+      try {
+        response = await apiClient.createClassEnrollment(selectedSessionId, payload);
+      } catch (error) {
+        const full = error?.response?.status === 409 && error?.response?.data?.code === "CLASS_FULL";
+        if (!full || !window.confirm("La clase está completa. ¿Anotar al alumno en la lista de espera?")) {
+          throw error;
+        }
+        response = await apiClient.createClassEnrollment(selectedSessionId, { ...payload, waitlist: true });
+      }
+      const waitlisted = Boolean(response?.meta?.waitlisted);
       setActionMessage({
         type: "success",
-        title: "Alumno inscripto.",
+        title: waitlisted
+          ? `Alumno anotado en lista de espera (posición ${response?.data?.[0]?.position ?? "—"}).`
+          : "Alumno inscripto.",
       });
       setEnrollForm({
         customerId: "",
@@ -1,11 +1,13 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import { apiClient } from "../api";
 import { Link, useParams } from "react-router-dom";
 import { useQuery } from "../shared/useQuery.js";
 import { formatPhone, initials, formatDateTime, StatusPill } from "../shared/ui.jsx";
 import { useApp } from "../context/UseApp.js";
+import { useAuth } from "../context/AuthContext";
 import { toast } from "sonner";
 import { XCircle } from "lucide-react";
+import MessageLogList from "../components/MessageLogList.jsx";
 
 const DOCUMENT_TYPE_OPTIONS = [
   { value: "", label: "Sin especificar" },
@@ -67,6 +69,7 @@ export default function CustomerDetailPage() {
   const [saveError, setSaveError] = useState("");
   const [cancellingSubscriptionId, setCancellingSubscriptionId] = useState(null);
   const { classesEnabled } = useApp();
+  const { user } = useAuth();
   const [showNotifyModal, setShowNotifyModal] = useState(false);
   const [notifyTitle, setNotifyTitle] = useState("");
   const [notifyMessage, setNotifyMessage] = useState("");
@@ -642,6 +645,22 @@ export default function CustomerDetailPage() {
         </section>
       ) : null}
 
+      {/* Sección de Bonos */}
+      <section className="space-y-3">
+        <div className="text-sm font-medium flex items-center justify-between">
+          <span>Bonos y paquetes</span>
+        </div>
+        <CustomerPackagesSection customerId={id} />
+      </section>
+
+      {/* Sección de Puntos */}
+      <section className="space-y-3">
+        <div className="text-sm font-medium flex items-center justify-between">
+          <span>Programa de puntos</span>
+        </div>
+        <CustomerLoyaltySection customerId={id} />
+      </section>
+
       {/* Sección de Rutinas */}
       <section className="space-y-3">
         <div className="text-sm font-medium flex items-center justify-between">
@@ -650,6 +669,33 @@ export default function CustomerDetailPage() {
         <CustomerRoutinesSection customerId={id} />
       </section>
 
+      {/* Campañas del CRM: baja y canal preferido */}
+      <section className="space-y-3">
+        <div className="text-sm font-medium flex items-center justify-between">
+          <span>Campañas y promociones</span>
+        </div>
+        <CustomerMarketingSection customerId={id} />
+      </section>
+
+      {/* Mensajes enviados (WhatsApp, email y push) con su estado de entrega */}
+      <section className="space-y-3">
+        <div className="text-sm font-medium flex items-center justify-between">
+          <span>Mensajes enviados</span>
+        </div>
+        <div className="card p-5">
+          <MessageLogList customerId={id} />
+        </div>
+      </section>
+
+      {user?.role === "admin" && (
+        <section className="space-y-3">
+          <div className="text-sm font-medium flex items-center justify-between">
+            <span>Datos personales</span>
+          </div>
+          <CustomerPrivacySection customerId={id} onErased={refetch} />
+        </section>
+      )}
+
       {showNotifyModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={() => setShowNotifyModal(false)}>
           <div className="bg-background rounded-lg border border-border p-6 w-full max-w-md mx-4" onClick={(e) => e.stopPropagation()}>
@@ -731,7 +777,751 @@ export default function CustomerDetailPage() {
   );
 }
 
+const PACKAGE_STATUS_META = {
+  active: { label: "Vigente", tone: "bg-emerald-500/15 text-emerald-300" },
+  pending_payment: { label: "Pago pendiente", tone: "bg-amber-500/15 text-amber-300" },
+  used: { label: "Sin usos", tone: "bg-slate-500/15 text-slate-300" },
+  expired: { label: "Vencido", tone: "bg-rose-500/15 text-rose-300" },
+  cancelled: { label: "Cancelado", tone: "bg-slate-500/15 text-slate-300" },
+};
+
+function formatPackageDate(value) {
+  if (!value) return null;
+  const [year, month, day] = String(value).slice(0, 10).split("-");
+  return `${day}/${month}/${year}`;
+}
+
+// Componente para la sección de bonos: saldo por servicio, alta manual, link de pago y transferencia
+function CustomerPackagesSection({ customerId }) {
+  const [customerPackages, setCustomerPackages] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [showSellModal, setShowSellModal] = useState(false);
+  const [selectedPackageId, setSelectedPackageId] = useState("");
+  const [paymentLink, setPaymentLink] = useState("");
+  const [transferTarget, setTransferTarget] = useState(null);
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [customerResults, setCustomerResults] = useState([]);
+
+  const loadPackages = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [owned, available] = await Promise.all([
+        apiClient.listCustomerPackages(customerId),
+        apiClient.listPackages(),
+      ]);
+      setCustomerPackages(Array.isArray(owned) ? owned : []);
+      setCatalog(Array.isArray(available) ? available : []);
+    } catch (error) {
+      console.error("Error cargando bonos:", error);
+      toast.error("Error al cargar los bonos");
+    } finally {
+      setLoading(false);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    loadPackages();
+  }, [loadPackages]);
+
+  const closeSellModal = () => {
+    setShowSellModal(false);
+    setSelectedPackageId("");
+    setPaymentLink("");
+  };
+
+  const handleAssign = async () => {
+    if (!selectedPackageId) return;
+    try {
+      setWorking(true);
+      await apiClient.assignCustomerPackage(customerId, { packageId: Number(selectedPackageId) });
+      toast.success("Bono asignado");
+      closeSellModal();
+      await loadPackages();
+    } catch (error) {
+      console.error("Error asignando bono:", error);
+      toast.error(error?.response?.data?.error || "Error al asignar el bono");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePaymentLink = async (sendWhatsApp) => {
+    if (!selectedPackageId) return;
+    try {
+      setWorking(true);
+      const response = await apiClient.createPackagePaymentLink(customerId, {
+        packageId: Number(selectedPackageId),
+        sendWhatsApp,
+      });
+      setPaymentLink(response?.data?.link || "");
+      if (sendWhatsApp) {
+        if (response?.data?.whatsappSent) toast.success("Link enviado por WhatsApp");
+        else toast.error("Se generó el link pero no se pudo enviar por WhatsApp");
+      } else {
+        toast.success("Link de pago generado");
+      }
+      await loadPackages();
+    } catch (error) {
+      console.error("Error generando link de bono:", error);
+      toast.error(error?.response?.data?.error || "Error al generar el link de pago");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSearchCustomers = async (event) => {
+    event.preventDefault();
+    if (!customerQuery.trim()) return;
+    try {
+      const result = await apiClient.listCustomers(customerQuery.trim(), undefined, { limit: 8 });
+      const list = Array.isArray(result) ? result : result?.data || [];
+      setCustomerResults(list.filter((c) => String(c.id) !== String(customerId)).slice(0, 8));
+    } catch (error) {
+      console.error("Error buscando clientes:", error);
+      toast.error("No se pudieron buscar clientes");
+    }
+  };
+
+  const handleTransfer = async (toCustomer) => {
+    if (!transferTarget) return;
+    if (!window.confirm(`¿Transferir ${transferTarget.name} a ${toCustomer.name || "este cliente"}?`)) return;
+    try {
+      setWorking(true);
+      await apiClient.transferCustomerPackage(transferTarget.id, toCustomer.id);
+      toast.success("Bono transferido");
+      setTransferTarget(null);
+      setCustomerQuery("");
+      setCustomerResults([]);
+      await loadPackages();
+    } catch (error) {
+      console.error("Error transfiriendo bono:", error);
+      toast.error(error?.response?.data?.error || "Error al transferir el bono");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card p-5">
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card p-5 space-y-4">
+      {customerPackages.length > 0 ? (
+        <div className="space-y-2">
+          {customerPackages.map((cp) => {
+            const meta = PACKAGE_STATUS_META[cp.status] || PACKAGE_STATUS_META.cancelled;
+            return (
+              <div key={cp.id} className="p-3 rounded-lg border border-border bg-background-secondary/40 space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <div className="text-sm font-semibold text-foreground">{cp.name}</div>
+                    <div className="text-xs text-foreground-muted">
+                      {cp.purchasedAt ? `Comprado el ${formatPackageDate(cp.purchasedAt)}` : "Sin acreditar"}
+                      {cp.expiresAt ? ` · vence el ${formatPackageDate(cp.expiresAt)}` : " · sin vencimiento"}
+                      {cp.transferredFromName ? ` · transferido por ${cp.transferredFromName}` : ""}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`inline-flex px-3 py-1 rounded-full text-xs font-semibold ${meta.tone}`}>
+                      {meta.label}
+                    </span>
+                    {cp.isTransferable && cp.status === "active" && (
+                      <button
+                        type="button"
+                        onClick={() => setTransferTarget(cp)}
+                        className="text-xs font-medium text-primary hover:text-primary-hover"
+                      >
+                        Transferir
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2 text-xs text-foreground-secondary">
+                  {cp.items.map((item) => (
+                    <span key={item.serviceId} className="rounded-full border border-border px-2 py-0.5">
+                      {item.serviceName}: {item.usesLeft}/{item.usesTotal}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-sm text-foreground-muted py-4 text-center">Este cliente no tiene bonos</div>
+      )}
+
+      <div className="flex items-center justify-between pt-3 border-t border-border">
+        <div className="text-xs text-foreground-muted">
+          Los usos se descuentan al completar el turno del servicio incluido.
+        </div>
+        {catalog.length > 0 && (
+          <button
+            onClick={() => setShowSellModal(true)}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary rounded-lg hover:bg-primary-hover transition-colors"
+          >
+            Vender bono
+          </button>
+        )}
+      </div>
+
+      {showSellModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={closeSellModal}>
+          <div className="bg-background rounded-lg border border-border p-6 max-w-md w-full mx-4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-foreground">Vender bono</h3>
+              <button onClick={closeSellModal} className="text-foreground-muted hover:text-foreground">
+                ✕
+              </button>
+            </div>
+            <div className="space-y-3">
+              <select
+                value={selectedPackageId}
+                onChange={(e) => {
+                  setSelectedPackageId(e.target.value);
+                  setPaymentLink("");
+                }}
+                className="w-full rounded-lg border border-border px-3 py-2 text-sm bg-background"
+              >
+                <option value="">Elegí un bono</option>
+                {catalog.map((pkg) => (
+                  <option key={pkg.id} value={pkg.id}>
+                    {pkg.name} · ${Number(pkg.priceDecimal || 0).toLocaleString("es-AR")}
+                  </option>
+                ))}
+              </select>
+              {paymentLink && (
+                <div className="flex items-center gap-2">
+                  <input readOnly value={paymentLink} className="flex-1 min-w-0 rounded-lg border border-border px-3 py-2 text-xs bg-background-secondary" />
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard?.writeText(paymentLink).then(() => toast.success("Link copiado"))}
+                    className="text-xs font-medium text-primary hover:text-primary-hover"
+                  >
+                    Copiar
+                  </button>
+                </div>
+              )}
+              <p className="text-xs text-foreground-muted">
+                &quot;Ya lo cobré&quot; lo acredita al instante. Con Mercado Pago el bono se activa cuando se aprueba el pago.
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center justify-end gap-2 mt-5">
+              <button
+                type="button"
+                disabled={!selectedPackageId || working}
+                onClick={() => handlePaymentLink(false)}
+                className="rounded-lg border border-border px-3 py-2 text-sm font-medium text-foreground-secondary hover:text-foreground hover:bg-background-secondary disabled:opacity-50"
+              >
+                Generar link
+              </button>
+              <button
+                type="button"
+                disabled={!selectedPackageId || working}
+                onClick={() => handlePaymentLink(true)}
+                className="rounded-lg border border-border px-3 py-2 text-sm font-medium text-foreground-secondary hover:text-foreground hover:bg-background-secondary disabled:opacity-50"
+              >
+                Enviar por WhatsApp
+              </button>
+              <button
+                type="button"
+                disabled={!selectedPackageId || working}
+                onClick={handleAssign}
+                className="rounded-lg bg-primary text-white px-4 py-2 text-sm font-semibold hover:bg-primary-hover disabled:opacity-50"
+              >
+                Ya lo cobré
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {transferTarget && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={() => setTransferTarget(null)}>
+          <div className="bg-background rounded-lg border border-border p-6 max-w-md w-full mx-4 max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-foreground">Transferir {transferTarget.name}</h3>
+              <button onClick={() => setTransferTarget(null)} className="text-foreground-muted hover:text-foreground">
+                ✕
+              </button>
+            </div>
+            <form onSubmit={handleSearchCustomers} className="flex gap-2">
+              <input
+                type="text"
+                value={customerQuery}
+                onChange={(e) => setCustomerQuery(e.target.value)}
+                placeholder="Buscar cliente por nombre o teléfono"
+                className="flex-1 min-w-0 rounded-lg border border-border px-3 py-2 text-sm bg-background"
+              />
+              <button type="submit" className="rounded-lg border border-border px-3 py-2 text-sm font-medium text-foreground-secondary hover:text-foreground">
+                Buscar
+              </button>
+            </form>
+            <div className="space-y-2 mt-3">
+              {customerResults.map((c) => (
+                <button
+                  key={c.id}
+                  type="button"
+                  disabled={working}
+                  onClick={() => handleTransfer(c)}
+                  className="w-full text-left p-3 rounded-lg border border-border bg-background-secondary/40 hover:bg-background-secondary transition-colors disabled:opacity-50"
+                >
+                  <div className="text-sm font-semibold text-foreground">{c.name || "Sin nombre"}</div>
+                  <div className="text-xs text-foreground-muted">{formatPhone(c.phone_e164 || c.phone)}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Componente para la sección de rutinas
+const LOYALTY_MOVEMENT_LABELS = {
+  earn: "Suma",
+  redeem: "Canje",
+  expire: "Vencimiento",
+  adjust: "Ajuste",
+  revert: "Anulación",
+};
+
+const MARKETING_CHANNELS = [
+  { value: "", label: "Automático (según la campaña)" },
+  { value: "whatsapp", label: "WhatsApp" },
+  { value: "email", label: "Email" },
+  { value: "push", label: "Push (app)" },
+];
+
+function CustomerMarketingSection({ customerId }) {
+  const [prefs, setPrefs] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        setLoading(true);
+        const data = await apiClient.crmGetCustomerMarketing(customerId);
+        if (!cancelled) setPrefs(data);
+      } catch (error) {
+        console.error("Error cargando preferencias de marketing:", error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [customerId]);
+
+  const save = async (patch) => {
+    try {
+      setWorking(true);
+      const data = await apiClient.crmUpdateCustomerMarketing(customerId, patch);
+      setPrefs(data);
+      toast.success("Preferencias actualizadas");
+    } catch (error) {
+      console.error("Error guardando preferencias de marketing:", error);
+      toast.error(error?.response?.data?.error || "Error al guardar las preferencias");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading || !prefs) {
+    return (
+      <div className="card p-5 text-sm text-foreground-muted">
+        {loading ? "Cargando preferencias..." : "No se pudieron cargar las preferencias."}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card p-5 space-y-4">
+      <label className="flex items-start gap-3 text-sm">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={prefs.optOut}
+          disabled={working}
+          onChange={(e) => save({ optOut: e.target.checked })}
+        />
+        <span>
+          <span className="font-medium text-foreground">No enviar campañas</span>
+          <span className="block text-foreground-muted">
+            {prefs.optOut && prefs.optOutAt
+              ? `Dado de baja el ${formatDateTime(prefs.optOutAt)}. Sigue recibiendo recordatorios y avisos de sus turnos.`
+              : "Los recordatorios y avisos de turnos se envían igual."}
+          </span>
+        </span>
+      </label>
+      <div className="space-y-1">
+        <label className="text-sm text-foreground-secondary">Canal preferido para campañas</label>
+        <select
+          className="input"
+          value={prefs.preferredChannel || ""}
+          disabled={working || prefs.optOut}
+          onChange={(e) => save({ preferredChannel: e.target.value || null })}
+        >
+          {MARKETING_CHANNELS.map((c) => (
+            <option key={c.value} value={c.value}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+function CustomerLoyaltySection({ customerId }) {
+  const [loyalty, setLoyalty] = useState(null);
+  const [rewards, setRewards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [adjustPoints, setAdjustPoints] = useState("");
+  const [adjustReason, setAdjustReason] = useState("");
+  const [rewardId, setRewardId] = useState("");
+  const [issuedCode, setIssuedCode] = useState(null);
+
+  const loadLoyalty = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [data, rewardList] = await Promise.all([
+        apiClient.getCustomerLoyalty(customerId),
+        apiClient.listLoyaltyRewards(),
+      ]);
+      setLoyalty(data);
+      setRewards(Array.isArray(rewardList) ? rewardList : []);
+    } catch (error) {
+      console.error("Error cargando puntos:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    loadLoyalty();
+  }, [loadLoyalty]);
+
+  const handleAdjust = async (event) => {
+    event.preventDefault();
+    const points = parseInt(adjustPoints, 10);
+    if (!points || !adjustReason.trim()) {
+      toast.error("Indicá los puntos (+/-) y el motivo");
+      return;
+    }
+    try {
+      setWorking(true);
+      const data = await apiClient.adjustCustomerLoyalty(customerId, { points, description: adjustReason.trim() });
+      setLoyalty(data);
+      setAdjustPoints("");
+      setAdjustReason("");
+      toast.success("Puntos ajustados");
+    } catch (error) {
+      console.error("Error ajustando puntos:", error);
+      toast.error(error?.response?.data?.error || "Error al ajustar los puntos");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRedeem = async () => {
+    const reward = rewards.find((r) => String(r.id) === String(rewardId));
+    if (!reward) return;
+    if (!window.confirm(`¿Canjear ${reward.pointsCost} puntos por ${reward.name}?`)) return;
+    try {
+      setWorking(true);
+      const result = await apiClient.redeemLoyaltyReward(customerId, reward.id);
+      setIssuedCode(result);
+      setRewardId("");
+      toast.success(`Premio canjeado: código ${result.code}`);
+      await loadLoyalty();
+    } catch (error) {
+      console.error("Error canjeando puntos:", error);
+      toast.error(error?.response?.data?.error || "Error al canjear los puntos");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card p-5">
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500" />
+        </div>
+      </div>
+    );
+  }
+
+  if (!loyalty?.enabled) {
+    return (
+      <div className="card p-5 text-sm text-foreground-muted text-center">
+        El programa de puntos no está activo. Se configura en Administración → Programa de puntos.
+      </div>
+    );
+  }
+
+  const affordable = rewards.filter((r) => r.pointsCost <= loyalty.balance);
+
+  return (
+    <div className="card p-5 space-y-4">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <div className="text-3xl font-semibold text-foreground">{loyalty.balance}</div>
+          <div className="text-xs text-foreground-muted">
+            puntos disponibles
+            {loyalty.expiringSoon?.points > 0 &&
+              ` · ${loyalty.expiringSoon.points} vencen desde el ${formatPackageDate(loyalty.expiringSoon.nextExpiry)}`}
+          </div>
+        </div>
+        {affordable.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select
+              value={rewardId}
+              onChange={(e) => setRewardId(e.target.value)}
+              className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+            >
+              <option value="">Canjear premio…</option>
+              {affordable.map((reward) => (
+                <option key={reward.id} value={reward.id}>
+                  {reward.name} · {reward.pointsCost} pts
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleRedeem}
+              disabled={!rewardId || working}
+              className="px-4 py-2 text-sm font-medium text-white bg-primary rounded-lg hover:bg-primary-hover transition-colors disabled:opacity-50"
+            >
+              Canjear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {issuedCode && (
+        <div className="p-3 rounded-lg border border-emerald-500/40 bg-emerald-500/10 text-sm text-foreground">
+          Código <span className="font-mono font-semibold">{issuedCode.code}</span> válido hasta el{" "}
+          {formatPackageDate(issuedCode.expiresAt)}. Se aplica al reservar (panel, app, widget o WhatsApp).
+        </div>
+      )}
+
+      {loyalty.movements.length > 0 ? (
+        <div className="divide-y divide-border/60 text-sm">
+          {loyalty.movements.slice(0, 10).map((m) => (
+            <div key={m.id} className="flex items-center justify-between gap-3 py-2">
+              <div>
+                <div className="text-foreground">{m.description || LOYALTY_MOVEMENT_LABELS[m.type] || m.type}</div>
+                <div className="text-xs text-foreground-muted">
+                  {LOYALTY_MOVEMENT_LABELS[m.type] || m.type} · {formatDateTime(m.createdAt)}
+                  {m.expiresAt ? ` · vence el ${formatPackageDate(m.expiresAt)}` : ""}
+                </div>
+              </div>
+              <span className={`font-semibold ${m.points >= 0 ? "text-emerald-500" : "text-red-500"}`}>
+                {m.points > 0 ? `+${m.points}` : m.points}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-foreground-muted py-2 text-center">Todavía no sumó puntos</div>
+      )}
+
+      <form onSubmit={handleAdjust} className="flex flex-wrap items-center gap-2 pt-3 border-t border-border">
+        <input
+          type="number"
+          value={adjustPoints}
+          onChange={(e) => setAdjustPoints(e.target.value)}
+          placeholder="+/- puntos"
+          className="w-28 rounded-lg border border-border px-3 py-2 text-sm bg-background"
+        />
+        <input
+          type="text"
+          value={adjustReason}
+          onChange={(e) => setAdjustReason(e.target.value)}
+          placeholder="Motivo del ajuste"
+          className="flex-1 min-w-[160px] rounded-lg border border-border px-3 py-2 text-sm bg-background"
+        />
+        <button
+          type="submit"
+          disabled={working}
+          className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+        >
+          Ajustar
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const PRIVACY_REQUEST_LABELS = {
+  export: "Exportación de datos",
+  erasure: "Anonimización",
+};
+
+// Con responseType "blob" el error del backend también llega como Blob
+async function readBlobError(error, fallback) {
+  const payload = error?.response?.data;
+  if (payload instanceof Blob) {
+    try {
+      return JSON.parse(await payload.text())?.error || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return payload?.error || fallback;
+}
+
+function CustomerPrivacySection({ customerId, onErased }) {
+  const [requests, setRequests] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [reason, setReason] = useState("");
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const list = await apiClient.listCustomerPrivacyRequests(customerId);
+      setRequests(Array.isArray(list) ? list : []);
+    } catch (error) {
+      console.error("Error cargando solicitudes de datos:", error);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const erased = requests.some((r) => r.type === "erasure");
+
+  const handleExport = async (format) => {
+    try {
+      setWorking(true);
+      const blob = await apiClient.exportCustomerData(customerId, format);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `cliente-${customerId}-datos.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+      await loadRequests();
+    } catch (error) {
+      console.error("Error exportando datos del cliente:", error);
+      toast.error(await readBlobError(error, "Error al exportar los datos"));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleErase = async (event) => {
+    event.preventDefault();
+    if (!reason.trim()) {
+      toast.error("Indicá el motivo de la solicitud");
+      return;
+    }
+    if (
+      !window.confirm(
+        "Se borrarán nombre, teléfono, email, documento, foto, rutinas y datos de la app del cliente. " +
+          "Las facturas y el historial de turnos y pagos se conservan. Esta acción no se puede deshacer. ¿Continuar?"
+      )
+    ) {
+      return;
+    }
+    try {
+      setWorking(true);
+      await apiClient.eraseCustomerData(customerId, reason.trim());
+      setReason("");
+      toast.success("Cliente anonimizado");
+      await loadRequests();
+      onErased?.();
+    } catch (error) {
+      console.error("Error anonimizando cliente:", error);
+      toast.error(error?.response?.data?.error || "Error al anonimizar el cliente");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="card p-5 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="text-sm text-foreground-secondary">
+          Descargá todo lo que el sistema guarda del cliente (turnos, pagos, clases, rutinas, facturas, chat).
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleExport("json")}
+            disabled={working}
+            className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+          >
+            Exportar JSON
+          </button>
+          <button
+            onClick={() => handleExport("zip")}
+            disabled={working}
+            className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+          >
+            Exportar ZIP
+          </button>
+        </div>
+      </div>
+
+      {erased ? (
+        <div className="p-3 rounded-lg border border-border bg-background-secondary text-sm text-foreground-secondary">
+          Los datos personales de este cliente fueron anonimizados.
+        </div>
+      ) : (
+        <form onSubmit={handleErase} className="flex flex-wrap items-center gap-2 pt-3 border-t border-border">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Motivo (p. ej. pedido de supresión del cliente)"
+            className="flex-1 min-w-[200px] rounded-lg border border-border px-3 py-2 text-sm bg-background"
+          />
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            Anonimizar cliente
+          </button>
+        </form>
+      )}
+
+      {requests.length > 0 && (
+        <div className="divide-y divide-border/60 text-sm">
+          {requests.map((r) => (
+            <div key={r.id} className="flex items-center justify-between gap-3 py-2">
+              <div>
+                <div className="text-foreground">{PRIVACY_REQUEST_LABELS[r.type] || r.type}</div>
+                <div className="text-xs text-foreground-muted">
+                  {formatDateTime(r.createdAt)}
+                  {r.requestedByEmail ? ` · ${r.requestedByEmail}` : ""}
+                  {r.reason ? ` · ${r.reason}` : ""}
+                  {r.details?.format ? ` · ${String(r.details.format).toUpperCase()}` : ""}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function CustomerRoutinesSection({ customerId }) {
   const [assignedRoutines, setAssignedRoutines] = useState([]);
   const [availableRoutines, setAvailableRoutines] = useState([]);
@@ -4,6 +4,7 @@ import { apiClient } from "../../api";
 import { toast } from "sonner";
 import { useAuth } from "../../context/AuthContext";
 import { logger } from "../../utils/logger.js";
+import { IVA_RATES, summarizeIva } from "../../utils/iva.js";
 
 export function InvoiceProductsModal({ onClose, customers, constants, onInvoice }) {
   const { user: currentUser } = useAuth();
@@ -11,7 +12,7 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState("");
-  const [selectedProducts, setSelectedProducts] = useState({}); // { productId: { quantity, price } }
+  const [selectedProducts, setSelectedProducts] = useState({}); // { productId: { quantity, price, alicuota } }
   const [selectedCustomerId, setSelectedCustomerId] = useState("");
   const [selectedSellerId, setSelectedSellerId] = useState("");
   const [groupByCustomer, setGroupByCustomer] = useState(false);
@@ -57,7 +58,7 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
 
   const handleProductSelect = (productId, product) => {
     setSelectedProducts(prev => {
-      const current = prev[productId] || { quantity: 1, price: parseFloat(product.sale_price || product.price || 0) };
+      const current = prev[productId] || { quantity: 1, price: parseFloat(product.sale_price || product.price || 0), alicuota: 21 };
       return {
         ...prev,
         [productId]: current
@@ -88,6 +89,17 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
     });
   };
 
+  const updateProductAlicuota = (productId, alicuota) => {
+    setSelectedProducts(prev => {
+      const current = prev[productId];
+      if (!current) return prev;
+      return {
+        ...prev,
+        [productId]: { ...current, alicuota: Number(alicuota) }
+      };
+    });
+  };
+
   const removeProduct = (productId) => {
     setSelectedProducts(prev => {
       const newState = { ...prev };
@@ -96,13 +108,13 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
     });
   };
 
-  const calculateTotal = () => {
-    return Object.entries(selectedProducts).reduce((sum, [productId, data]) => {
-      const product = products.find(p => p.id === parseInt(productId));
-      if (!product) return sum;
-      return sum + (data.price * data.quantity);
-    }, 0);
-  };
+  // Totales por alícuota: los precios cargados son netos
+  const ivaSummary = summarizeIva(
+    Object.entries(selectedProducts)
+      .filter(([productId]) => products.some(p => p.id === parseInt(productId)))
+      .map(([, data]) => ({ cantidad: data.quantity, precio_unitario: data.price, alicuota_iva: data.alicuota ?? 21 }))
+  );
+  const calculateTotal = () => ivaSummary.total;
 
   const handleInvoice = async () => {
     if (Object.keys(selectedProducts).length === 0) {
@@ -125,15 +137,13 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
           descripcion: product.name || `Producto ${productId}`,
           cantidad: data.quantity,
           precio_unitario: data.price,
-          alicuota_iva: 21, // IVA por defecto
+          alicuota_iva: data.alicuota ?? 21,
           codigo: product.code || null,
           product_id: productId, // Para descontar del stock después
         };
       });
 
-      const importe_neto = items.reduce((sum, item) => sum + (item.precio_unitario * item.cantidad), 0);
-      const importe_iva = importe_neto * 0.21;
-      const importe_total = importe_neto + importe_iva;
+      const { neto: importe_neto, iva: importe_iva, total: importe_total } = summarizeIva(items);
 
       const customer = customers.find(c => c.id === parseInt(selectedCustomerId));
 
@@ -353,6 +363,21 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
                             className="input flex-1"
                           />
                         </div>
+                        <div className="flex items-center gap-2">
+                          <label className="text-sm text-foreground-muted w-20">IVA:</label>
+                          <select
+                            value={selectedProducts[product.id].alicuota ?? 21}
+                            onChange={(e) => updateProductAlicuota(product.id, e.target.value)}
+                            onClick={(e) => e.stopPropagation()}
+                            className="input flex-1"
+                          >
+                            {IVA_RATES.map((rate) => (
+                              <option key={rate} value={rate}>
+                                {rate}%
+                              </option>
+                            ))}
+                          </select>
+                        </div>
                         <div className="text-right text-sm font-medium text-foreground">
                           Subtotal: ${(selectedProducts[product.id].price * selectedProducts[product.id].quantity).toLocaleString("es-AR", { minimumFractionDigits: 2 })}
                         </div>
@@ -384,6 +409,22 @@ export function InvoiceProductsModal({ onClose, customers, constants, onInvoice
                   );
                 })}
               </div>
+              <div className="mt-3 pt-3 border-t border-border space-y-1 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="text-foreground-secondary">Neto:</span>
+                  <span className="text-foreground">
+                    ${ivaSummary.neto.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+                  </span>
+                </div>
+                {ivaSummary.rates.map((rate) => (
+                  <div key={rate.alicuota} className="flex items-center justify-between">
+                    <span className="text-foreground-secondary">IVA {rate.alicuota}%:</span>
+                    <span className="text-foreground">
+                      ${rate.iva.toLocaleString("es-AR", { minimumFractionDigits: 2 })}
+                    </span>
+                  </div>
+                ))}
+              </div>
               <div className="mt-3 pt-3 border-t border-border flex items-center justify-between">
                 <span className="font-semibold text-foreground">Total:</span>
                 <span className="text-xl font-bold text-primary">
@@ -20,10 +20,13 @@ import {
   Users,
   User,
   CreditCard,
-  Package
+  Package,
+  Mail,
+  MessageCircle
 } from "lucide-react";
 import { toast } from "sonner";
 import { logger } from "../../utils/logger.js";
+import { IVA_RATES, summarizeIva } from "../../utils/iva.js";
 import "./invoicingModal.css";
 import { InvoiceMembershipsModal } from "./InvoiceMembershipsModal.jsx";
 import { InvoiceProductsModal } from "./InvoiceProductsModal.jsx";
@@ -114,6 +117,30 @@ const mapInvoiceItemForPayload = (item = {}) => ({
   codigo: item.codigo || null,
 });
 
+// Comprobantes con CAE se generan en el servidor; pdf_url queda para PDFs externos
+const canDownloadPdf = (invoice = {}) => Boolean(invoice.pdf_url || invoice.cae);
+
+const downloadInvoicePdf = async (invoice) => {
+  if (invoice.pdf_url) {
+    window.open(invoice.pdf_url, "_blank", "noopener,noreferrer");
+    return;
+  }
+  try {
+    const blob = await apiClient.getInvoicePdf(invoice.id);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `comprobante-${invoice.id}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    logger.error("Error descargando PDF:", error);
+    toast.error("No se pudo generar el PDF del comprobante");
+  }
+};
+
 const parseInvoiceItems = (invoice = {}) => {
   const raw = invoice.items;
   if (!raw) return [];
@@ -698,16 +725,14 @@ export default function InvoicingPage() {
                     >
                       <Eye className="w-4 h-4" />
                     </button>
-                    {invoice.pdf_url && (
-                      <a
-                        href={invoice.pdf_url}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                    {canDownloadPdf(invoice) && (
+                      <button
+                        onClick={() => downloadInvoicePdf(invoice)}
                         className="p-2 rounded-lg text-foreground-secondary hover:text-emerald-500 hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors"
                         title="Descargar PDF"
                       >
                         <Download className="w-4 h-4" />
-                      </a>
+                      </button>
                     )}
                   </div>
                 </div>
@@ -919,16 +944,14 @@ export default function InvoicingPage() {
                           >
                             <Eye className="w-4 h-4" />
                           </button>
-                          {invoice.pdf_url && (
-                            <a
-                              href={invoice.pdf_url}
-                              target="_blank"
-                              rel="noopener noreferrer"
+                          {canDownloadPdf(invoice) && (
+                            <button
+                              onClick={() => downloadInvoicePdf(invoice)}
                               className="p-2 rounded-lg text-foreground-secondary hover:text-emerald-500 hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors"
                               title="Descargar PDF"
                             >
                               <Download className="w-4 h-4" />
-                            </a>
+                            </button>
                           )}
                         </div>
                       </td>
@@ -1187,25 +1210,7 @@ function InvoiceModal({ customers, constants, services, onClose, onSave, initial
     return matches.slice(0, 6);
   };
 
-  const calculateTotals = () => {
-    let neto = 0;
-    let iva = 0;
-
-    (formData.items || []).forEach(item => {
-      const itemNeto = Number(item.precio_unitario || 0) * Number(item.cantidad || 1);
-      const itemIva = itemNeto * (Number(item.alicuota_iva || 21) / 100);
-      neto += itemNeto;
-      iva += itemIva;
-    });
-
-    return {
-      neto: Math.round(neto * 100) / 100,
-      iva: Math.round(iva * 100) / 100,
-      total: Math.round((neto + iva) * 100) / 100,
-    };
-  };
-
-  const totals = calculateTotals();
+  const totals = summarizeIva(formData.items || []);
   const hasValidItems = (formData.items || []).length > 0 && !(formData.items || []).some(item => !item.descripcion || Number(item.precio_unitario || 0) <= 0);
   const isFormValid = Boolean(formData.customer_id) && hasValidItems;
 
@@ -1439,21 +1444,23 @@ function InvoiceModal({ customers, constants, services, onClose, onSave, initial
 
                     <div className="invoice-field">
                       <span className="invoice-label">IVA %</span>
-                      <input
-                        type="number"
-                        placeholder="IVA %"
+                      <select
                         value={item.alicuota_iva}
-                        onChange={(e) => updateItem(index, "alicuota_iva", Number(e.target.value) || 21)}
-                        className="invoice-input"
-                        min="0"
-                        max="100"
-                      />
+                        onChange={(e) => updateItem(index, "alicuota_iva", Number(e.target.value))}
+                        className="invoice-select"
+                      >
+                        {IVA_RATES.map((rate) => (
+                          <option key={rate} value={rate}>
+                            {rate}%
+                          </option>
+                        ))}
+                      </select>
                     </div>
                   </div>
 
                   <div className="invoice-item-meta">
                     Subtotal: ${((item.precio_unitario || 0) * (item.cantidad || 1)).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
-                    {' '}• IVA: ${(((item.precio_unitario || 0) * (item.cantidad || 1)) * (item.alicuota_iva || 21) / 100).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                    {' '}• IVA: ${(((item.precio_unitario || 0) * (item.cantidad || 1)) * Number(item.alicuota_iva ?? 21) / 100).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
                   </div>
                 </div>
               );
@@ -1465,10 +1472,12 @@ function InvoiceModal({ customers, constants, services, onClose, onSave, initial
               <span>Subtotal</span>
               <span>${totals.neto.toLocaleString('es-AR', { minimumFractionDigits: 2 })}</span>
             </div>
-            <div className="invoice-total-row">
-              <span>IVA</span>
-              <span>${totals.iva.toLocaleString('es-AR', { minimumFractionDigits: 2 })}</span>
-            </div>
+            {totals.rates.map((rate) => (
+              <div key={rate.alicuota} className="invoice-total-row">
+                <span>IVA {rate.alicuota}%</span>
+                <span>${rate.iva.toLocaleString('es-AR', { minimumFractionDigits: 2 })}</span>
+              </div>
+            ))}
             <div className="invoice-total-row invoice-total-highlight">
               <span>Total</span>
               <span>${totals.total.toLocaleString('es-AR', { minimumFractionDigits: 2 })}</span>
@@ -1678,6 +1687,25 @@ function InvoiceDetailModal({ invoice, onClose }) {
         ? JSON.parse(invoice.items) 
         : invoice.items)
     : [];
+  // Factura C no discrimina IVA
+  const showIva = ![11, 13].includes(Number(invoice.tipo_comprobante));
+  const ivaRates = showIva ? summarizeIva(items).rates.filter((rate) => rate.alicuota > 0) : [];
+  const itemNeto = (item) => Number(item.importe_neto ?? (item.precio_unitario || 0) * (item.cantidad || 1));
+  const [sendTo, setSendTo] = useState("");
+  const [sendingChannel, setSendingChannel] = useState(null);
+
+  const handleSend = async (channel) => {
+    setSendingChannel(channel);
+    try {
+      const response = await apiClient.sendInvoice(invoice.id, { channel, to: sendTo.trim() || undefined });
+      toast.success(`Comprobante enviado a ${response.data?.to || "el cliente"}`);
+    } catch (error) {
+      logger.error("Error enviando comprobante:", error);
+      toast.error(error.response?.data?.error || "No se pudo enviar el comprobante");
+    } finally {
+      setSendingChannel(null);
+    }
+  };
 
   return (
     <div 
@@ -1751,9 +1779,10 @@ function InvoiceDetailModal({ invoice, onClose }) {
                   <div className="flex justify-between text-xs text-foreground-secondary">
                     <span>Cant: {item.cantidad}</span>
                     <span>Precio: ${Number(item.precio_unitario).toLocaleString('es-AR', { minimumFractionDigits: 2 })}</span>
+                    {showIva && <span>IVA: {Number(item.alicuota_iva ?? 21)}%</span>}
                   </div>
                   <div className="text-right mt-1 font-semibold text-foreground text-sm">
-                    Total: ${((item.precio_unitario || 0) * (item.cantidad || 1)).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                    Total: ${itemNeto(item).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
                   </div>
                 </div>
               ))}
@@ -1767,6 +1796,7 @@ function InvoiceDetailModal({ invoice, onClose }) {
                       <th className="text-left py-2 px-4 text-sm font-semibold text-foreground">Descripción</th>
                       <th className="text-center py-2 px-4 text-sm font-semibold text-foreground">Cantidad</th>
                       <th className="text-right py-2 px-4 text-sm font-semibold text-foreground">Precio Unit.</th>
+                      {showIva && <th className="text-right py-2 px-4 text-sm font-semibold text-foreground">IVA</th>}
                       <th className="text-right py-2 px-4 text-sm font-semibold text-foreground">Total</th>
                     </tr>
                   </thead>
@@ -1778,8 +1808,11 @@ function InvoiceDetailModal({ invoice, onClose }) {
                         <td className="py-2 px-4 text-right text-foreground-secondary">
                           ${Number(item.precio_unitario).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
                         </td>
+                        {showIva && (
+                          <td className="py-2 px-4 text-right text-foreground-secondary">{Number(item.alicuota_iva ?? 21)}%</td>
+                        )}
                         <td className="py-2 px-4 text-right font-medium text-foreground">
-                          ${((item.precio_unitario || 0) * (item.cantidad || 1)).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                          ${itemNeto(item).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
                         </td>
                       </tr>
                     ))}
@@ -1797,12 +1830,27 @@ function InvoiceDetailModal({ invoice, onClose }) {
                 ${Number(invoice.importe_neto).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
               </span>
             </div>
-            <div className="flex justify-between items-center mb-2 text-sm sm:text-base">
-              <span className="text-foreground-secondary">IVA:</span>
-              <span className="font-medium text-foreground">
-                ${Number(invoice.importe_iva).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
-              </span>
-            </div>
+            {ivaRates.length > 1 ? (
+              ivaRates.map((rate) => (
+                <div key={rate.alicuota} className="flex justify-between items-center mb-2 text-sm sm:text-base">
+                  <span className="text-foreground-secondary">
+                    IVA {rate.alicuota}% (s/ ${rate.base.toLocaleString('es-AR', { minimumFractionDigits: 2 })}):
+                  </span>
+                  <span className="font-medium text-foreground">
+                    ${rate.iva.toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                  </span>
+                </div>
+              ))
+            ) : (
+              <div className="flex justify-between items-center mb-2 text-sm sm:text-base">
+                <span className="text-foreground-secondary">
+                  IVA{ivaRates.length === 1 ? ` ${ivaRates[0].alicuota}%` : ''}:
+                </span>
+                <span className="font-medium text-foreground">
+                  ${Number(invoice.importe_iva).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                </span>
+              </div>
+            )}
             <div className="flex justify-between items-center pt-2 border-t border-border">
               <span className="text-base sm:text-lg font-semibold text-foreground">Total:</span>
               <span className="text-base sm:text-lg font-bold text-foreground">
@@ -1912,18 +1960,51 @@ function InvoiceDetailModal({ invoice, onClose }) {
             </div>
           )}
 
+          {/* Envío al cliente */}
+          {invoice.cae && (
+            <div className="card p-3 sm:p-4 bg-background-secondary">
+              <h3 className="font-semibold text-foreground mb-2 text-sm sm:text-base">Enviar al cliente</h3>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <input
+                  type="text"
+                  value={sendTo}
+                  onChange={(e) => setSendTo(e.target.value)}
+                  placeholder="Email o teléfono (vacío = datos del cliente)"
+                  className="input flex-1 text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleSend("email")}
+                  disabled={sendingChannel !== null}
+                  className="btn-secondary flex items-center justify-center gap-2 text-sm"
+                >
+                  <Mail className="w-4 h-4" />
+                  {sendingChannel === "email" ? "Enviando..." : "Email"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleSend("whatsapp")}
+                  disabled={sendingChannel !== null}
+                  className="btn-secondary flex items-center justify-center gap-2 text-sm"
+                >
+                  <MessageCircle className="w-4 h-4" />
+                  {sendingChannel === "whatsapp" ? "Enviando..." : "WhatsApp"}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Links */}
           <div className="flex flex-col sm:flex-row gap-2 sm:gap-3">
-            {invoice.pdf_url && (
-              <a
-                href={invoice.pdf_url}
-                target="_blank"
-                rel="noopener noreferrer"
+            {canDownloadPdf(invoice) && (
+              <button
+                type="button"
+                onClick={() => downloadInvoicePdf(invoice)}
                 className="btn-secondary flex items-center justify-center gap-2 w-full sm:w-auto text-sm sm:text-base"
               >
                 <Download className="w-4 h-4" />
                 Descargar PDF
-              </a>
+              </button>
             )}
             {invoice.xml_url && (
               <a
@@ -0,0 +1,708 @@
+import { useMemo, useState } from "react";
+import { useQuery } from "../../shared/useQuery.js";
+import { apiClient } from "../../api";
+import {
+  ShoppingBag,
+  Search,
+  Plus,
+  Minus,
+  Trash2,
+  Package,
+  Scissors,
+  Calendar,
+  CreditCard,
+  FileText,
+  UserRound,
+  Ticket,
+  Gift,
+  X,
+} from "lucide-react";
+import { toast } from "sonner";
+import { logger } from "../../utils/logger.js";
+import { IVA_RATES } from "../../utils/iva.js";
+
+const PAYMENT_METHODS = {
+  cash: "Efectivo",
+  card: "Tarjeta",
+  transfer: "Transferencia",
+  mp: "Mercado Pago",
+  gift_card: "Gift card",
+};
+
+const INVOICE_TYPES = [
+  { value: 6, label: "Factura B" },
+  { value: 1, label: "Factura A" },
+  { value: 11, label: "Factura C" },
+];
+
+const TABS = [
+  { key: "products", label: "Productos", icon: Package },
+  { key: "services", label: "Servicios", icon: Scissors },
+  { key: "appointments", label: "Turnos de hoy", icon: Calendar },
+  { key: "plans", label: "Membresías", icon: CreditCard },
+  { key: "packages", label: "Bonos", icon: Ticket },
+  { key: "giftcards", label: "Gift cards", icon: Gift },
+];
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-background-secondary border border-border text-foreground placeholder:text-foreground-muted focus:outline-none focus:ring-2 focus:ring-primary/50 min-w-0";
+
+function formatMoney(value) {
+  return `$${Number(value || 0).toLocaleString("es-AR", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatTime(value) {
+  if (!value) return "—";
+  const date = new Date(typeof value === "string" ? value.replace(" ", "T") : value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" });
+}
+
+function lineKey(line) {
+  return `${line.item_type}-${line.product_id || line.appointment_id || line.service_id || line.membership_plan_id || line.package_id || line.gift_key}`;
+}
+
+function lineTotal(line) {
+  const gross = Number(line.unit_price || 0) * Number(line.quantity || 0);
+  return Math.max(0, gross - Math.max(0, Number(line.discount) || 0));
+}
+
+export default function PosPage() {
+  const [tab, setTab] = useState("products");
+  const [search, setSearch] = useState("");
+  const [lines, setLines] = useState([]);
+  const [payments, setPayments] = useState([{ method: "cash", amount: "" }]);
+  const [customer, setCustomer] = useState(null);
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [customerResults, setCustomerResults] = useState([]);
+  const [withInvoice, setWithInvoice] = useState(false);
+  const [invoiceType, setInvoiceType] = useState(6);
+  const [notes, setNotes] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [invoicingId, setInvoicingId] = useState(null);
+  const [giftCardDraft, setGiftCardDraft] = useState({ amount: "", recipient_name: "" });
+
+  const { data: catalog, loading: loadingCatalog, refetch: refetchCatalog } = useQuery(
+    () => apiClient.getPosCatalog(search.trim() ? { search: search.trim() } : {}),
+    [search]
+  );
+  const { data: appointments, refetch: refetchAppointments } = useQuery(() => apiClient.getPosAppointments(), []);
+  const today = new Date().toLocaleDateString("en-CA");
+  const { data: sales, refetch: refetchSales } = useQuery(
+    () => apiClient.listPosSales({ from: today, to: today, limit: 20 }),
+    [today]
+  );
+
+  const totals = useMemo(() => {
+    const total = lines.reduce((acc, line) => acc + lineTotal(line), 0);
+    const paid = payments.reduce((acc, p) => acc + (Number(p.amount) || 0), 0);
+    return { total, paid, pending: Math.max(0, total - paid), change: Math.max(0, paid - total) };
+  }, [lines, payments]);
+
+  const addLine = (line) => {
+    setLines((prev) => {
+      const key = lineKey(line);
+      const existing = prev.find((l) => lineKey(l) === key);
+      if (existing) {
+        if (line.item_type !== "product") {
+          toast.info("Ya está en el ticket");
+          return prev;
+        }
+        return prev.map((l) => (lineKey(l) === key ? { ...l, quantity: Number(l.quantity) + 1 } : l));
+      }
+      return [...prev, { quantity: 1, discount: 0, alicuota_iva: 21, ...line }];
+    });
+  };
+
+  const addAppointment = (appointment) => {
+    // Con saldo de bono el turno se descuenta del bono al cobrarse y no se factura
+    const withPackage = Number(appointment.package_uses_left) > 0;
+    addLine({
+      item_type: "service",
+      appointment_id: appointment.id,
+      description: `${appointment.service_name} · ${appointment.customer_name || "Cliente"}${withPackage ? " · bono" : ""}`,
+      unit_price: withPackage ? 0 : Number(appointment.balance || 0),
+    });
+    if (!customer && appointment.customer_id) {
+      setCustomer({ id: appointment.customer_id, name: appointment.customer_name });
+    }
+  };
+
+  // Cada gift card vendida es una línea propia; el código se genera al registrar la venta
+  const addGiftCard = (event) => {
+    event.preventDefault();
+    const amount = Number(giftCardDraft.amount);
+    if (!(amount > 0)) {
+      toast.error("Ingresá el monto de la gift card");
+      return;
+    }
+    const recipient = giftCardDraft.recipient_name.trim();
+    addLine({
+      item_type: "gift_card",
+      gift_key: `gc-${Date.now()}`,
+      description: recipient ? `Gift card para ${recipient}` : "Gift card",
+      unit_price: amount,
+      recipient_name: recipient || null,
+      // El IVA se factura cuando se canjea por servicios o productos
+      alicuota_iva: 0,
+    });
+    setGiftCardDraft({ amount: "", recipient_name: "" });
+  };
+
+  // Consulta el saldo de la gift card y lo propone como monto del pago
+  const checkGiftCard = async (index) => {
+    const payment = payments[index];
+    if (!payment.reference?.trim()) {
+      toast.error("Ingresá el código de la gift card");
+      return;
+    }
+    try {
+      const card = await apiClient.getGiftCardByCode(payment.reference.trim());
+      if (!card || card.status !== "active") {
+        toast.error(card ? `La gift card no está vigente (${card.status})` : "Gift card no encontrada");
+        return;
+      }
+      const others = payments.reduce((acc, p, i) => (i === index ? acc : acc + (Number(p.amount) || 0)), 0);
+      const pending = Math.max(0, totals.total - others);
+      updatePayment(index, { reference: card.code, amount: Math.min(card.balance, pending).toFixed(2) });
+      toast.success(`Saldo disponible: ${formatMoney(card.balance)}`);
+    } catch (error) {
+      logger.error("❌ [PosPage] Error consultando gift card:", error);
+      toast.error(error?.response?.data?.error || "Gift card no encontrada");
+    }
+  };
+
+  const updateLine = (key, patch) => {
+    setLines((prev) => prev.map((l) => (lineKey(l) === key ? { ...l, ...patch } : l)));
+  };
+
+  const removeLine = (key) => {
+    setLines((prev) => prev.filter((l) => lineKey(l) !== key));
+  };
+
+  const updatePayment = (index, patch) => {
+    setPayments((prev) => prev.map((p, i) => (i === index ? { ...p, ...patch } : p)));
+  };
+
+  // Completa el medio de pago con el saldo pendiente del ticket
+  const fillPending = (index) => {
+    const others = payments.reduce((acc, p, i) => (i === index ? acc : acc + (Number(p.amount) || 0)), 0);
+    updatePayment(index, { amount: Math.max(0, totals.total - others).toFixed(2) });
+  };
+
+  const handleSearchCustomers = async (event) => {
+    event.preventDefault();
+    if (!customerQuery.trim()) return;
+    try {
+      const result = await apiClient.listCustomers(customerQuery.trim(), undefined, { limit: 8 });
+      const list = Array.isArray(result) ? result : result?.data || [];
+      setCustomerResults(list.slice(0, 8));
+    } catch (error) {
+      logger.error("❌ [PosPage] Error buscando clientes:", error);
+      toast.error("No se pudieron buscar clientes");
+    }
+  };
+
+  const resetTicket = () => {
+    setLines([]);
+    setPayments([{ method: "cash", amount: "" }]);
+    setCustomer(null);
+    setCustomerQuery("");
+    setCustomerResults([]);
+    setNotes("");
+  };
+
+  const handleCheckout = async () => {
+    if (!lines.length || submitting) return;
+    if (!customer && lines.some((line) => line.item_type === "package")) {
+      toast.error("Elegí el cliente al que se le vende el bono");
+      return;
+    }
+    if (totals.pending > 0) {
+      toast.error(`Falta cobrar ${formatMoney(totals.pending)}`);
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const response = await apiClient.createPosSale({
+        customer_id: customer?.id || null,
+        notes: notes.trim() || null,
+        lines: lines.map((line) => ({
+          item_type: line.item_type,
+          product_id: line.product_id,
+          service_id: line.service_id,
+          appointment_id: line.appointment_id,
+          membership_plan_id: line.membership_plan_id,
+          package_id: line.package_id,
+          recipient_name: line.recipient_name,
+          quantity: Number(line.quantity),
+          unit_price: Number(line.unit_price),
+          discount: Number(line.discount) || 0,
+          alicuota_iva: Number(line.alicuota_iva),
+        })),
+        payments: payments.map((p) => ({
+          method: p.method,
+          amount: Number(p.amount) || 0,
+          reference: p.method === "gift_card" ? p.reference : undefined,
+        })),
+        invoice: withInvoice ? { tipo_comprobante: invoiceType } : null,
+      });
+
+      const sale = response?.data;
+      toast.success(
+        sale?.change_amount > 0
+          ? `Venta #${sale.id} registrada · vuelto ${formatMoney(sale.change_amount)}`
+          : `Venta #${sale?.id} registrada`
+      );
+      if (response?.invoice_error) {
+        toast.error(`La venta se registró pero no se pudo facturar: ${response.invoice_error}`);
+      } else if (response?.invoice) {
+        toast.success(`Factura emitida · CAE ${response.invoice.cae}`);
+      }
+
+      resetTicket();
+      refetchSales();
+      refetchCatalog();
+      refetchAppointments();
+    } catch (error) {
+      logger.error("❌ [PosPage] Error registrando venta:", error);
+      toast.error(error?.response?.data?.error || "No se pudo registrar la venta");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleInvoice = async (sale) => {
+    try {
+      setInvoicingId(sale.id);
+      const response = await apiClient.invoicePosSale(sale.id, { tipo_comprobante: invoiceType });
+      toast.success(`Factura emitida · CAE ${response?.data?.cae}`);
+      refetchSales();
+    } catch (error) {
+      logger.error("❌ [PosPage] Error facturando venta:", error);
+      toast.error(error?.response?.data?.error || "No se pudo emitir la factura");
+    } finally {
+      setInvoicingId(null);
+    }
+  };
+
+  const renderCatalogItems = () => {
+    if (tab === "giftcards") {
+      return (
+        <li className="py-3">
+          <form onSubmit={addGiftCard} className="space-y-2">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={giftCardDraft.amount}
+              onChange={(e) => setGiftCardDraft((prev) => ({ ...prev, amount: e.target.value }))}
+              placeholder="Monto"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={giftCardDraft.recipient_name}
+              onChange={(e) => setGiftCardDraft((prev) => ({ ...prev, recipient_name: e.target.value }))}
+              placeholder="Para (opcional)"
+              className={inputClass}
+            />
+            <button type="submit" className="btn-primary text-xs px-3 py-1.5">
+              Agregar gift card
+            </button>
+            <p className="text-xs text-foreground-muted">
+              El código se genera al cobrar; el PDF para imprimir o enviar queda en Gift cards.
+            </p>
+          </form>
+        </li>
+      );
+    }
+
+    if (tab === "appointments") {
+      const list = appointments || [];
+      if (!list.length) return <p className="text-sm text-foreground-muted py-6 text-center">No hay turnos pendientes de cobro hoy</p>;
+      return list.map((appointment) => (
+        <li key={appointment.id} className="flex items-center justify-between gap-3 py-2">
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-foreground truncate">
+              {formatTime(appointment.starts_at)} · {appointment.service_name}
+            </p>
+            <p className="text-xs text-foreground-muted truncate">
+              {appointment.customer_name || "Cliente"}
+              {Number(appointment.deposit_paid) > 0 ? ` · seña ${formatMoney(appointment.deposit_paid)}` : ""}
+              {Number(appointment.package_uses_left) > 0 ? ` · bono (${Number(appointment.package_uses_left)} usos)` : ""}
+            </p>
+          </div>
+          <button type="button" onClick={() => addAppointment(appointment)} className="btn-primary text-xs px-3 py-1.5 shrink-0">
+            {Number(appointment.package_uses_left) > 0 ? "Bono" : formatMoney(appointment.balance)}
+          </button>
+        </li>
+      ));
+    }
+
+    const list = catalog?.[tab] || [];
+    if (loadingCatalog) return <p className="text-sm text-foreground-muted py-6 text-center">Cargando...</p>;
+    if (!list.length) return <p className="text-sm text-foreground-muted py-6 text-center">Sin resultados</p>;
+
+    return list.map((item) => {
+      const isProduct = tab === "products";
+      const price = isProduct ? item.price : tab === "packages" ? item.priceDecimal : item.price_decimal;
+      const outOfStock = isProduct && Number(item.stock) <= 0;
+      const line = isProduct
+        ? { item_type: "product", product_id: item.id }
+        : tab === "services"
+          ? { item_type: "service", service_id: item.id }
+          : tab === "packages"
+            ? { item_type: "package", package_id: item.id }
+            : { item_type: "membership", membership_plan_id: item.id };
+      return (
+        <li key={item.id} className="flex items-center justify-between gap-3 py-2">
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-foreground truncate">{item.name}</p>
+            <p className="text-xs text-foreground-muted">
+              {isProduct && `Stock: ${Number(item.stock)}`}
+              {tab === "plans" && `${item.duration_months || 1} mes(es)`}
+              {tab === "packages" &&
+                `${item.totalUses} usos${item.validityDays ? ` · vence a los ${item.validityDays} días` : ""}`}
+            </p>
+          </div>
+          <button
+            type="button"
+            disabled={outOfStock}
+            onClick={() => addLine({ ...line, description: item.name, unit_price: Number(price || 0) })}
+            className="btn-primary text-xs px-3 py-1.5 shrink-0 disabled:opacity-50"
+          >
+            {formatMoney(price)}
+          </button>
+        </li>
+      );
+    });
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in overflow-x-hidden max-w-full">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold text-foreground mb-1 sm:mb-2">Punto de venta</h1>
+        <p className="text-sm sm:text-base text-foreground-secondary">
+          Cobrá servicios, productos y membresías en un mismo ticket
+        </p>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <div className="card p-5 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {TABS.map((item) => {
+              const Icon = item.icon;
+              return (
+                <button
+                  key={item.key}
+                  type="button"
+                  onClick={() => setTab(item.key)}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm ${
+                    tab === item.key ? "bg-primary text-white" : "bg-background-secondary text-foreground-secondary"
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {item.label}
+                </button>
+              );
+            })}
+          </div>
+          {tab !== "appointments" && tab !== "giftcards" && (
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-foreground-muted" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Buscar por nombre, código o código de barras"
+                className={`${inputClass} pl-10`}
+              />
+            </div>
+          )}
+          <ul className="divide-y divide-border max-h-[28rem] overflow-y-auto">{renderCatalogItems()}</ul>
+        </div>
+
+        <div className="card p-5 space-y-4">
+          <div className="flex items-center gap-2 text-sm font-medium text-foreground">
+            <ShoppingBag className="w-4 h-4" />
+            Ticket
+          </div>
+
+          {customer ? (
+            <div className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-background-secondary">
+              <span className="flex items-center gap-2 text-sm text-foreground truncate">
+                <UserRound className="w-4 h-4" />
+                {customer.name || `Cliente #${customer.id}`}
+              </span>
+              <button type="button" onClick={() => setCustomer(null)} className="text-foreground-muted hover:text-foreground">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <form onSubmit={handleSearchCustomers}>
+                <input
+                  type="text"
+                  value={customerQuery}
+                  onChange={(e) => setCustomerQuery(e.target.value)}
+                  placeholder="Cliente (opcional): buscar y presionar Enter"
+                  className={inputClass}
+                />
+              </form>
+              {customerResults.length > 0 && (
+                <ul className="divide-y divide-border border border-border rounded-lg">
+                  {customerResults.map((c) => (
+                    <li key={c.id}>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setCustomer(c);
+                          setCustomerResults([]);
+                          setCustomerQuery("");
+                        }}
+                        className="w-full text-left px-3 py-2 text-sm text-foreground hover:bg-background-secondary"
+                      >
+                        {c.name || "Sin nombre"}
+                        <span className="text-xs text-foreground-muted"> {c.phone_e164 || c.phone || ""}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {lines.length === 0 ? (
+            <p className="text-sm text-foreground-muted py-6 text-center">Agregá ítems desde el catálogo</p>
+          ) : (
+            <ul className="divide-y divide-border">
+              {lines.map((line) => {
+                const key = lineKey(line);
+                return (
+                  <li key={key} className="py-2 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-sm font-medium text-foreground truncate">{line.description}</p>
+                      <button type="button" onClick={() => removeLine(key)} className="text-red-500 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-foreground-muted">
+                      {line.item_type === "product" && (
+                        <div className="flex items-center gap-1">
+                          <button
+                            type="button"
+                            onClick={() => updateLine(key, { quantity: Math.max(1, Number(line.quantity) - 1) })}
+                            className="p-1 rounded bg-background-secondary"
+                          >
+                            <Minus className="w-3 h-3" />
+                          </button>
+                          <span className="w-6 text-center text-foreground">{line.quantity}</span>
+                          <button
+                            type="button"
+                            onClick={() => updateLine(key, { quantity: Number(line.quantity) + 1 })}
+                            className="p-1 rounded bg-background-secondary"
+                          >
+                            <Plus className="w-3 h-3" />
+                          </button>
+                        </div>
+                      )}
+                      <label className="flex items-center gap-1">
+                        Precio
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.unit_price}
+                          onChange={(e) => updateLine(key, { unit_price: e.target.value })}
+                          className="w-24 px-2 py-1 rounded bg-background-secondary border border-border text-foreground"
+                        />
+                      </label>
+                      <label className="flex items-center gap-1">
+                        Desc.
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.discount}
+                          onChange={(e) => updateLine(key, { discount: e.target.value })}
+                          className="w-20 px-2 py-1 rounded bg-background-secondary border border-border text-foreground"
+                        />
+                      </label>
+                      <label className="flex items-center gap-1">
+                        IVA
+                        <select
+                          value={line.alicuota_iva}
+                          onChange={(e) => updateLine(key, { alicuota_iva: Number(e.target.value) })}
+                          className="px-2 py-1 rounded bg-background-secondary border border-border text-foreground"
+                        >
+                          {IVA_RATES.map((rate) => (
+                            <option key={rate} value={rate}>
+                              {rate}%
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <span className="ml-auto text-sm font-medium text-foreground">{formatMoney(lineTotal(line))}</span>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <div className="flex items-center justify-between border-t border-border pt-3">
+            <span className="text-sm text-foreground-secondary">Total</span>
+            <span className="text-2xl font-bold text-foreground">{formatMoney(totals.total)}</span>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-foreground">Pagos</p>
+            {payments.map((payment, index) => (
+              <div key={index} className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <select
+                    value={payment.method}
+                    onChange={(e) => updatePayment(index, { method: e.target.value })}
+                    className={`${inputClass} w-40`}
+                  >
+                    {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={payment.amount}
+                    onChange={(e) => updatePayment(index, { amount: e.target.value })}
+                    placeholder="0,00"
+                    className={inputClass}
+                  />
+                  <button type="button" onClick={() => fillPending(index)} className="btn-secondary text-xs px-2 py-2 shrink-0">
+                    Saldo
+                  </button>
+                  {payments.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setPayments((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-red-500 hover:text-red-600 shrink-0"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                {payment.method === "gift_card" && (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={payment.reference || ""}
+                      onChange={(e) => updatePayment(index, { reference: e.target.value })}
+                      placeholder="Código de la gift card"
+                      className={`${inputClass} font-mono uppercase`}
+                    />
+                    <button type="button" onClick={() => checkGiftCard(index)} className="btn-secondary text-xs px-2 py-2 shrink-0">
+                      Ver saldo
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setPayments((prev) => [...prev, { method: "card", amount: "" }])}
+              className="flex items-center gap-1 text-xs text-primary hover:underline"
+            >
+              <Plus className="w-3 h-3" />
+              Dividir pago
+            </button>
+            <div className="flex justify-between text-xs text-foreground-muted">
+              <span>Pendiente: {formatMoney(totals.pending)}</span>
+              <span>Vuelto: {formatMoney(totals.change)}</span>
+            </div>
+          </div>
+
+          <input
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notas (opcional)"
+            className={inputClass}
+          />
+
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-foreground">
+              <input type="checkbox" checked={withInvoice} onChange={(e) => setWithInvoice(e.target.checked)} />
+              Emitir factura ARCA
+            </label>
+            {withInvoice && (
+              <select value={invoiceType} onChange={(e) => setInvoiceType(Number(e.target.value))} className={`${inputClass} w-36`}>
+                {INVOICE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <button
+            type="button"
+            onClick={handleCheckout}
+            disabled={!lines.length || submitting}
+            className="btn-primary w-full py-3 text-base disabled:opacity-50"
+          >
+            {submitting ? "Registrando..." : `Cobrar ${formatMoney(totals.total)}`}
+          </button>
+        </div>
+      </div>
+
+      <div className="card p-5 space-y-3">
+        <p className="text-sm font-medium text-foreground">Ventas de hoy</p>
+        {(sales || []).length === 0 ? (
+          <p className="text-sm text-foreground-muted">Todavía no hay ventas</p>
+        ) : (
+          <ul className="divide-y divide-border">
+            {sales.map((sale) => (
+              <li key={sale.id} className="flex items-center justify-between gap-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-foreground truncate">
+                    #{sale.id} · {formatTime(sale.created_at)} · {sale.customer_name || "Consumidor final"}
+                  </p>
+                  <p className="text-xs text-foreground-muted">
+                    {sale.item_count} ítem(s) ·{" "}
+                    {String(sale.payment_methods || "")
+                      .split(",")
+                      .filter(Boolean)
+                      .map((m) => PAYMENT_METHODS[m] || m)
+                      .join(" + ")}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <span className="text-sm font-semibold text-foreground">{formatMoney(sale.total)}</span>
+                  {sale.invoice_id ? (
+                    <span className="flex items-center gap-1 text-xs text-emerald-500">
+                      <FileText className="w-3 h-3" />
+                      Facturada
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handleInvoice(sale)}
+                      disabled={invoicingId === sale.id}
+                      className="btn-secondary text-xs px-3 py-1.5 disabled:opacity-50"
+                    >
+                      {invoicingId === sale.id ? "Facturando..." : "Facturar"}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -20,7 +20,8 @@ import {
   Bell,
   DollarSign,
   Navigation,
-  Lock
+  Lock,
+  Truck
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import { toast } from "sonner";
@@ -260,7 +261,7 @@ export default function ProductsPage() {
       </div>
 
       {/* Navegación rápida a otras secciones de stock */}
-      <div className="grid grid-cols-1 xs:grid-cols-2 sm:grid-cols-4 gap-3 xs:gap-4">
+      <div className="grid grid-cols-1 xs:grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3 xs:gap-4">
         <Link
           to={`/${tenantSlug}/stock/reservations`}
           className="card p-3 xs:p-4 hover:shadow-lg transition-all cursor-pointer group border border-transparent hover:border-primary/30"
@@ -317,6 +318,20 @@ export default function ProductsPage() {
             </div>
           </div>
         </Link>
+        <Link
+          to={`/${tenantSlug}/stock/purchases`}
+          className="card p-3 xs:p-4 hover:shadow-lg transition-all cursor-pointer group border border-transparent hover:border-primary/30"
+        >
+          <div className="flex items-center gap-2 xs:gap-3">
+            <div className="p-1.5 xs:p-2 rounded-lg bg-sky-100 dark:bg-sky-900/30 group-hover:bg-sky-200 dark:group-hover:bg-sky-900/50 transition-colors flex-shrink-0">
+              <Truck className="w-4 h-4 xs:w-5 xs:h-5 text-sky-600 dark:text-sky-400" />
+            </div>
+            <div className="min-w-0 flex-1">
+              <p className="text-xs xs:text-sm font-semibold text-foreground truncate">Compras</p>
+              <p className="text-[10px] xs:text-xs text-foreground-muted truncate">Proveedores y órdenes</p>
+            </div>
+          </div>
+        </Link>
       </div>
 
 
@@ -0,0 +1,1045 @@
+import { useEffect, useMemo, useState } from "react";
+import { useQuery } from "../../shared/useQuery.js";
+import { apiClient } from "../../api";
+import {
+  ShoppingCart,
+  Truck,
+  Plus,
+  X,
+  Send,
+  PackageCheck,
+  XCircle,
+  FileText,
+  Clock,
+  CheckCircle,
+  Pencil,
+  Trash2,
+  Search,
+} from "lucide-react";
+import { toast } from "sonner";
+import { logger } from "../../utils/logger.js";
+
+const STATUS_BADGES = {
+  draft: { bg: "bg-gray-100 dark:bg-gray-800/60", text: "text-gray-700 dark:text-gray-200", icon: FileText, label: "Borrador" },
+  ordered: { bg: "bg-blue-100 dark:bg-blue-900/30", text: "text-blue-800 dark:text-blue-200", icon: Send, label: "Emitida" },
+  partial: { bg: "bg-yellow-100 dark:bg-yellow-900/30", text: "text-yellow-800 dark:text-yellow-200", icon: Clock, label: "Recepción parcial" },
+  received: { bg: "bg-green-100 dark:bg-green-900/30", text: "text-green-800 dark:text-green-200", icon: CheckCircle, label: "Recibida" },
+  cancelled: { bg: "bg-red-100 dark:bg-red-900/30", text: "text-red-800 dark:text-red-200", icon: XCircle, label: "Cancelada" },
+};
+
+function StatusBadge({ status }) {
+  const badge = STATUS_BADGES[status] || STATUS_BADGES.draft;
+  const Icon = badge.icon;
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${badge.bg} ${badge.text}`}>
+      <Icon className="w-3 h-3" />
+      {badge.label}
+    </span>
+  );
+}
+
+function formatCurrency(value) {
+  return new Intl.NumberFormat("es-AR", { style: "currency", currency: "ARS" }).format(Number(value || 0));
+}
+
+function formatDate(value) {
+  if (!value) return "-";
+  const date = new Date(typeof value === "string" && value.length === 10 ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) return "-";
+  return date.toLocaleDateString("es-AR");
+}
+
+function formatQty(value) {
+  return Number(value || 0).toLocaleString("es-AR", { maximumFractionDigits: 3 });
+}
+
+function ModalShell({ title, onClose, children, maxWidth = "max-w-2xl" }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className={`bg-background rounded-2xl shadow-2xl ${maxWidth} w-full max-h-[90vh] overflow-y-auto`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <h2 className="text-xl font-bold text-foreground">{title}</h2>
+          <button onClick={onClose} className="p-1.5 rounded-lg hover:bg-background-secondary">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default function PurchaseOrdersPage() {
+  const [tab, setTab] = useState("orders");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [supplierFilter, setSupplierFilter] = useState("");
+  const [showOrderModal, setShowOrderModal] = useState(false);
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [generating, setGenerating] = useState(false);
+
+  const { data: ordersData, loading, refetch } = useQuery(
+    async () => {
+      try {
+        const params = {};
+        if (statusFilter) params.status = statusFilter;
+        if (supplierFilter) params.supplier_id = supplierFilter;
+        const result = await apiClient.listPurchaseOrders(params);
+        return Array.isArray(result) ? result : [];
+      } catch (error) {
+        logger.error("Error al cargar órdenes de compra:", error);
+        return [];
+      }
+    },
+    [statusFilter, supplierFilter]
+  );
+  const orders = Array.isArray(ordersData) ? ordersData : [];
+
+  const { data: suppliersData, loading: loadingSuppliers, refetch: refetchSuppliers } = useQuery(
+    async () => {
+      try {
+        const result = await apiClient.listSuppliers({ include_inactive: "true" });
+        return Array.isArray(result) ? result : [];
+      } catch (error) {
+        logger.error("Error al cargar proveedores:", error);
+        return [];
+      }
+    },
+    []
+  );
+  const suppliers = Array.isArray(suppliersData) ? suppliersData : [];
+  const activeSuppliers = suppliers.filter((s) => s.is_active);
+
+  const { data: productsData } = useQuery(
+    async () => {
+      try {
+        const response = await apiClient.get("/api/stock/products");
+        return Array.isArray(response?.data?.data) ? response.data.data : [];
+      } catch (error) {
+        logger.error("Error al cargar productos:", error);
+        return [];
+      }
+    },
+    []
+  );
+  const products = Array.isArray(productsData) ? productsData : [];
+
+  const { data: branchesData } = useQuery(
+    async () => {
+      try {
+        const response = await apiClient.listActiveBranches();
+        return Array.isArray(response?.data) ? response.data : [];
+      } catch (error) {
+        logger.error("Error al cargar sucursales:", error);
+        return [];
+      }
+    },
+    []
+  );
+  const branches = Array.isArray(branchesData) ? branchesData : [];
+
+  const handleGenerateFromAlerts = async () => {
+    setGenerating(true);
+    try {
+      const result = await apiClient.createPurchaseOrdersFromAlerts();
+      const data = result?.data || {};
+      toast.success(result?.message || "Órdenes generadas");
+      if (data.withoutSupplier?.length) {
+        toast.warning(
+          `${data.withoutSupplier.length} producto(s) con stock bajo no tienen proveedor asignado`
+        );
+      }
+      refetch();
+      refetchSuppliers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Error al generar órdenes desde alertas");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-foreground mb-1 sm:mb-2">Compras</h1>
+          <p className="text-sm sm:text-base text-foreground-secondary">
+            Proveedores, órdenes de compra y recepción de mercadería
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {tab === "orders" ? (
+            <>
+              <button
+                onClick={handleGenerateFromAlerts}
+                disabled={generating}
+                className="btn-secondary flex items-center justify-center gap-2"
+              >
+                <ShoppingCart className="w-4 h-4" />
+                <span className="text-sm">{generating ? "Generando..." : "Desde alertas"}</span>
+              </button>
+              <button
+                onClick={() => setShowOrderModal(true)}
+                className="btn-primary flex items-center justify-center gap-2"
+              >
+                <Plus className="w-4 h-4 sm:w-5 sm:h-5" />
+                <span className="text-sm sm:text-base">Nueva Orden</span>
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => setEditingSupplier({})}
+              className="btn-primary flex items-center justify-center gap-2"
+            >
+              <Plus className="w-4 h-4 sm:w-5 sm:h-5" />
+              <span className="text-sm sm:text-base">Nuevo Proveedor</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-2 border-b border-border">
+        {[
+          { key: "orders", label: "Órdenes de compra", icon: ShoppingCart },
+          { key: "suppliers", label: "Proveedores", icon: Truck },
+        ].map((item) => {
+          const Icon = item.icon;
+          return (
+            <button
+              key={item.key}
+              onClick={() => setTab(item.key)}
+              className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                tab === item.key
+                  ? "border-primary text-foreground"
+                  : "border-transparent text-foreground-muted hover:text-foreground"
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {item.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {tab === "orders" ? (
+        <>
+          {/* Filtros */}
+          <div className="card p-4">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <div>
+                <label className="block text-xs font-semibold uppercase tracking-wider text-foreground-muted mb-2">
+                  Estado
+                </label>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="input w-full sm:w-48">
+                  <option value="">Todos</option>
+                  {Object.entries(STATUS_BADGES).map(([key, badge]) => (
+                    <option key={key} value={key}>{badge.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold uppercase tracking-wider text-foreground-muted mb-2">
+                  Proveedor
+                </label>
+                <select value={supplierFilter} onChange={(e) => setSupplierFilter(e.target.value)} className="input w-full sm:w-60">
+                  <option value="">Todos los proveedores</option>
+                  {suppliers.map((s) => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="card p-12 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto"></div>
+              <p className="text-foreground-secondary mt-4">Cargando órdenes...</p>
+            </div>
+          ) : orders.length === 0 ? (
+            <div className="card p-12 text-center">
+              <ShoppingCart className="w-12 h-12 mx-auto mb-4 text-foreground-muted" />
+              <p className="text-foreground-secondary">No hay órdenes de compra</p>
+            </div>
+          ) : (
+            <div className="card overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[860px]">
+                  <thead>
+                    <tr className="border-b border-border bg-background-secondary">
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">#</th>
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Proveedor</th>
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Sucursal</th>
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Estado</th>
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-foreground">Recibido</th>
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-foreground">Total</th>
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Entrega estimada</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {orders.map((order) => (
+                      <tr
+                        key={order.id}
+                        onClick={() => setSelectedOrderId(order.id)}
+                        className="border-b border-border hover:bg-background-secondary transition-colors cursor-pointer"
+                      >
+                        <td className="py-3 px-4 font-medium text-foreground">
+                          {order.id}
+                          {order.source === "alerts" && (
+                            <div className="text-xs text-foreground-muted">Desde alertas</div>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-foreground">{order.supplier_name}</td>
+                        <td className="py-3 px-4 text-sm text-foreground-secondary">{order.branch_name || "-"}</td>
+                        <td className="py-3 px-4"><StatusBadge status={order.status} /></td>
+                        <td className="py-3 px-4 text-right text-sm text-foreground-secondary">
+                          {formatQty(order.quantity_received)} / {formatQty(order.quantity_ordered)}
+                        </td>
+                        <td className="py-3 px-4 text-right font-medium text-foreground">{formatCurrency(order.total_amount)}</td>
+                        <td className="py-3 px-4 text-sm text-foreground-secondary">{formatDate(order.expected_date)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      ) : loadingSuppliers ? (
+        <div className="card p-12 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto"></div>
+          <p className="text-foreground-secondary mt-4">Cargando proveedores...</p>
+        </div>
+      ) : suppliers.length === 0 ? (
+        <div className="card p-12 text-center">
+          <Truck className="w-12 h-12 mx-auto mb-4 text-foreground-muted" />
+          <p className="text-foreground-secondary">Todavía no cargaste proveedores</p>
+        </div>
+      ) : (
+        <div className="card overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[760px]">
+              <thead>
+                <tr className="border-b border-border bg-background-secondary">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Proveedor</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-foreground">Contacto</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-foreground">Productos</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-foreground">Órdenes abiertas</th>
+                  <th className="text-center py-3 px-4 text-sm font-semibold text-foreground">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id} className="border-b border-border hover:bg-background-secondary transition-colors">
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-foreground">
+                        {supplier.name}
+                        {!supplier.is_active && <span className="ml-2 text-xs text-foreground-muted">(inactivo)</span>}
+                      </div>
+                      <div className="text-xs text-foreground-muted">{supplier.tax_id || ""}</div>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-foreground-secondary">
+                      {supplier.contact_name || "-"}
+                      <div className="text-xs text-foreground-muted">
+                        {[supplier.phone, supplier.email].filter(Boolean).join(" · ")}
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-right text-sm text-foreground">{supplier.product_count}</td>
+                    <td className="py-3 px-4 text-right text-sm text-foreground">{supplier.open_orders}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex items-center justify-center gap-2">
+                        <button
+                          onClick={() => setEditingSupplier(supplier)}
+                          className="p-2 rounded-lg text-foreground-secondary hover:text-primary hover:bg-background-secondary transition-colors"
+                          title="Editar"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        {supplier.is_active ? (
+                          <button
+                            onClick={async () => {
+                              try {
+                                await apiClient.deactivateSupplier(supplier.id);
+                                toast.success("Proveedor desactivado");
+                                refetchSuppliers();
+                              } catch (error) {
+                                toast.error(error.response?.data?.error || "Error al desactivar el proveedor");
+                              }
+                            }}
+                            className="p-2 rounded-lg text-foreground-secondary hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                            title="Desactivar"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        ) : null}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showOrderModal && (
+        <NewOrderModal
+          suppliers={activeSuppliers}
+          products={products}
+          branches={branches}
+          onClose={() => setShowOrderModal(false)}
+          onSave={(id) => {
+            setShowOrderModal(false);
+            refetch();
+            setSelectedOrderId(id);
+          }}
+        />
+      )}
+
+      {selectedOrderId && (
+        <OrderDetailModal
+          orderId={selectedOrderId}
+          onClose={() => setSelectedOrderId(null)}
+          onChange={refetch}
+        />
+      )}
+
+      {editingSupplier && (
+        <SupplierModal
+          supplier={editingSupplier}
+          products={products}
+          onClose={() => setEditingSupplier(null)}
+          onSave={() => {
+            setEditingSupplier(null);
+            refetchSuppliers();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function NewOrderModal({ suppliers, products, branches, onClose, onSave }) {
+  const [formData, setFormData] = useState({
+    supplier_id: "",
+    branch_id: branches.length === 1 ? String(branches[0].id) : "",
+    expected_date: "",
+    notes: "",
+  });
+  const [items, setItems] = useState([{ product_id: "", quantity: "", unit_cost: "" }]);
+  const [loading, setLoading] = useState(false);
+
+  const updateItem = (index, patch) => {
+    setItems((prev) => prev.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+  };
+
+  const handleProductChange = (index, productId) => {
+    const product = products.find((p) => String(p.id) === String(productId));
+    updateItem(index, {
+      product_id: productId,
+      unit_cost: product?.cost != null ? String(product.cost) : "",
+    });
+  };
+
+  const total = items.reduce((acc, item) => acc + Number(item.quantity || 0) * Number(item.unit_cost || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const lines = items.filter((item) => item.product_id && Number(item.quantity) > 0);
+    if (!formData.supplier_id || !lines.length) {
+      toast.error("Elegí un proveedor y al menos un producto con cantidad");
+      return;
+    }
+    setLoading(true);
+    try {
+      const result = await apiClient.createPurchaseOrder({
+        supplier_id: Number(formData.supplier_id),
+        branch_id: formData.branch_id ? Number(formData.branch_id) : undefined,
+        expected_date: formData.expected_date || null,
+        notes: formData.notes || null,
+        items: lines.map((item) => ({
+          product_id: Number(item.product_id),
+          quantity: Number(item.quantity),
+          unit_cost: item.unit_cost === "" ? null : Number(item.unit_cost),
+        })),
+      });
+      toast.success("Orden de compra creada en borrador");
+      onSave(result?.data?.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Error al crear la orden de compra");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ModalShell title="Nueva Orden de Compra" onClose={onClose} maxWidth="max-w-3xl">
+      <form onSubmit={handleSubmit} className="p-6 space-y-4">
+        <div className="grid gap-4 sm:grid-cols-3">
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-2">
+              Proveedor <span className="text-red-500">*</span>
+            </label>
+            <select
+              value={formData.supplier_id}
+              onChange={(e) => setFormData({ ...formData, supplier_id: e.target.value })}
+              className="input w-full"
+              required
+            >
+              <option value="">Seleccionar proveedor</option>
+              {suppliers.map((s) => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-2">Sucursal de entrega</label>
+            <select
+              value={formData.branch_id}
+              onChange={(e) => setFormData({ ...formData, branch_id: e.target.value })}
+              className="input w-full"
+            >
+              <option value="">Sucursal actual</option>
+              {branches.map((b) => (
+                <option key={b.id} value={b.id}>{b.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-foreground mb-2">Entrega estimada</label>
+            <input
+              type="date"
+              value={formData.expected_date}
+              onChange={(e) => setFormData({ ...formData, expected_date: e.target.value })}
+              className="input w-full"
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-semibold text-foreground">
+            Productos <span className="text-red-500">*</span>
+          </label>
+          {items.map((item, index) => (
+            <div key={index} className="grid grid-cols-[minmax(0,1fr)_6rem_7rem_auto] gap-2 items-center">
+              <select
+                value={item.product_id}
+                onChange={(e) => handleProductChange(index, e.target.value)}
+                className="input w-full"
+              >
+                <option value="">Seleccionar producto</option>
+                {products.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name} {p.code ? `(${p.code})` : ""}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0.001"
+                step="0.001"
+                placeholder="Cant."
+                value={item.quantity}
+                onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                className="input w-full"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Costo u."
+                value={item.unit_cost}
+                onChange={(e) => updateItem(index, { unit_cost: e.target.value })}
+                className="input w-full"
+              />
+              <button
+                type="button"
+                onClick={() => setItems((prev) => prev.filter((_, i) => i !== index))}
+                disabled={items.length === 1}
+                className="p-2 rounded-lg text-foreground-secondary hover:text-red-500 disabled:opacity-40"
+                title="Quitar"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setItems((prev) => [...prev, { product_id: "", quantity: "", unit_cost: "" }])}
+              className="text-sm text-primary hover:underline"
+            >
+              + Agregar producto
+            </button>
+            <span className="text-sm text-foreground-secondary">
+              Total estimado: <strong className="text-foreground">{formatCurrency(total)}</strong>
+            </span>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-semibold text-foreground mb-2">Notas</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            className="input w-full"
+            rows={2}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button type="button" onClick={onClose} className="btn-secondary" disabled={loading}>
+            Cancelar
+          </button>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? "Creando..." : "Crear Borrador"}
+          </button>
+        </div>
+      </form>
+    </ModalShell>
+  );
+}
+
+function OrderDetailModal({ orderId, onClose, onChange }) {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [draftLines, setDraftLines] = useState({});
+  const [receiveLines, setReceiveLines] = useState({});
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      const detail = await apiClient.getPurchaseOrder(orderId);
+      setOrder(detail);
+      const draft = {};
+      const receive = {};
+      for (const item of detail?.items || []) {
+        draft[item.id] = {
+          quantity: String(Number(item.quantity_ordered)),
+          unit_cost: item.unit_cost != null ? String(Number(item.unit_cost)) : "",
+        };
+        const pending = Math.max(0, Number(item.quantity_ordered) - Number(item.quantity_received || 0));
+        receive[item.id] = {
+          quantity: pending ? String(pending) : "",
+          unit_cost: item.unit_cost != null ? String(Number(item.unit_cost)) : "",
+          lot_number: "",
+          expiry_date: "",
+        };
+      }
+      setDraftLines(draft);
+      setReceiveLines(receive);
+    } catch (error) {
+      logger.error("Error al cargar la orden de compra:", error);
+      toast.error("No se pudo cargar la orden de compra");
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [orderId]);
+
+  const run = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      const result = await action();
+      toast.success(result?.message || successMessage);
+      onChange?.();
+      await load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || "No se pudo completar la acción");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSaveDraft = () =>
+    run(
+      () =>
+        apiClient.updatePurchaseOrder(orderId, {
+          items: order.items.map((item) => ({
+            product_id: item.product_id,
+            quantity: Number(draftLines[item.id]?.quantity || 0),
+            unit_cost: draftLines[item.id]?.unit_cost === "" ? null : Number(draftLines[item.id]?.unit_cost),
+            notes: item.notes,
+          })).filter((item) => item.quantity > 0),
+        }),
+      "Borrador actualizado"
+    );
+
+  const handleReceive = () => {
+    const lines = Object.entries(receiveLines)
+      .filter(([, line]) => Number(line.quantity) > 0)
+      .map(([itemId, line]) => ({
+        item_id: Number(itemId),
+        quantity: Number(line.quantity),
+        unit_cost: line.unit_cost === "" ? null : Number(line.unit_cost),
+        lot_number: line.lot_number?.trim() || null,
+        expiry_date: line.expiry_date || null,
+      }));
+    if (!lines.length) {
+      toast.error("Indicá las cantidades recibidas");
+      return;
+    }
+    run(() => apiClient.receivePurchaseOrder(orderId, { lines }), "Recepción registrada");
+  };
+
+  const isDraft = order?.status === "draft";
+  const canReceive = order?.status === "ordered" || order?.status === "partial";
+
+  return (
+    <ModalShell title={order ? `Orden de compra #${order.id}` : "Orden de compra"} onClose={onClose} maxWidth="max-w-4xl">
+      {loading || !order ? (
+        <div className="p-12 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto"></div>
+        </div>
+      ) : (
+        <div className="p-6 space-y-5">
+          <div className="grid gap-4 sm:grid-cols-4 text-sm">
+            <div>
+              <p className="text-xs uppercase tracking-wider text-foreground-muted">Proveedor</p>
+              <p className="font-medium text-foreground">{order.supplier_name}</p>
+              <p className="text-xs text-foreground-muted">
+                {[order.supplier_phone, order.supplier_email].filter(Boolean).join(" · ")}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs uppercase tracking-wider text-foreground-muted">Sucursal</p>
+              <p className="font-medium text-foreground">{order.branch_name || "-"}</p>
+            </div>
+            <div>
+              <p className="text-xs uppercase tracking-wider text-foreground-muted">Entrega estimada</p>
+              <p className="font-medium text-foreground">{formatDate(order.expected_date)}</p>
+            </div>
+            <div>
+              <p className="text-xs uppercase tracking-wider text-foreground-muted">Estado</p>
+              <StatusBadge status={order.status} />
+            </div>
+          </div>
+
+          {order.notes && (
+            <p className="text-sm text-foreground-secondary bg-background-secondary rounded-lg p-3">{order.notes}</p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[640px]">
+              <thead>
+                <tr className="border-b border-border bg-background-secondary">
+                  <th className="text-left py-2 px-3 text-sm font-semibold text-foreground">Producto</th>
+                  <th className="text-right py-2 px-3 text-sm font-semibold text-foreground">Pedido</th>
+                  <th className="text-right py-2 px-3 text-sm font-semibold text-foreground">Recibido</th>
+                  <th className="text-right py-2 px-3 text-sm font-semibold text-foreground">Costo u.</th>
+                  {canReceive && (
+                    <>
+                      <th className="text-right py-2 px-3 text-sm font-semibold text-foreground">Recibir ahora</th>
+                      <th className="text-left py-2 px-3 text-sm font-semibold text-foreground">Lote / Vencimiento</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {order.items.map((item) => (
+                  <tr key={item.id} className="border-b border-border">
+                    <td className="py-2 px-3">
+                      <div className="font-medium text-foreground">{item.product_name}</div>
+                      <div className="text-xs text-foreground-muted">{item.product_code}</div>
+                    </td>
+                    <td className="py-2 px-3 text-right">
+                      {isDraft ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          value={draftLines[item.id]?.quantity ?? ""}
+                          onChange={(e) =>
+                            setDraftLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], quantity: e.target.value } }))
+                          }
+                          className="input w-24 text-right"
+                        />
+                      ) : (
+                        <span className="text-foreground">{formatQty(item.quantity_ordered)}</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 text-right text-foreground-secondary">{formatQty(item.quantity_received)}</td>
+                    <td className="py-2 px-3 text-right">
+                      {isDraft ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={draftLines[item.id]?.unit_cost ?? ""}
+                          onChange={(e) =>
+                            setDraftLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], unit_cost: e.target.value } }))
+                          }
+                          className="input w-28 text-right"
+                        />
+                      ) : canReceive ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={receiveLines[item.id]?.unit_cost ?? ""}
+                          onChange={(e) =>
+                            setReceiveLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], unit_cost: e.target.value } }))
+                          }
+                          className="input w-28 text-right"
+                        />
+                      ) : (
+                        <span className="text-foreground">{item.unit_cost != null ? formatCurrency(item.unit_cost) : "-"}</span>
+                      )}
+                    </td>
+                    {canReceive && (
+                      <td className="py-2 px-3 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          value={receiveLines[item.id]?.quantity ?? ""}
+                          onChange={(e) =>
+                            setReceiveLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], quantity: e.target.value } }))
+                          }
+                          className="input w-24 text-right"
+                        />
+                      </td>
+                    )}
+                    {canReceive && (
+                      <td className="py-2 px-3">
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            placeholder="Lote"
+                            value={receiveLines[item.id]?.lot_number ?? ""}
+                            onChange={(e) =>
+                              setReceiveLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], lot_number: e.target.value } }))
+                            }
+                            className="input w-24"
+                          />
+                          <input
+                            type="date"
+                            value={receiveLines[item.id]?.expiry_date ?? ""}
+                            onChange={(e) =>
+                              setReceiveLines((prev) => ({ ...prev, [item.id]: { ...prev[item.id], expiry_date: e.target.value } }))
+                            }
+                            className="input w-36"
+                          />
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3 pt-2">
+            <span className="text-sm text-foreground-secondary">
+              Total: <strong className="text-foreground">{formatCurrency(order.total_amount)}</strong>
+            </span>
+            <div className="flex flex-wrap gap-2">
+              {(isDraft || order.status === "ordered") && (
+                <button
+                  onClick={() => run(() => apiClient.cancelPurchaseOrder(orderId), "Orden cancelada")}
+                  disabled={working}
+                  className="px-4 py-2 rounded-lg font-medium text-red-600 bg-background-secondary hover:bg-border transition-all"
+                >
+                  Cancelar orden
+                </button>
+              )}
+              {isDraft && (
+                <>
+                  <button onClick={handleSaveDraft} disabled={working} className="btn-secondary">
+                    Guardar cambios
+                  </button>
+                  <button
+                    onClick={() => run(() => apiClient.issuePurchaseOrder(orderId), "Orden emitida")}
+                    disabled={working}
+                    className="btn-primary flex items-center gap-2"
+                  >
+                    <Send className="w-4 h-4" />
+                    Emitir al proveedor
+                  </button>
+                </>
+              )}
+              {canReceive && (
+                <button onClick={handleReceive} disabled={working} className="btn-primary flex items-center gap-2">
+                  <PackageCheck className="w-4 h-4" />
+                  Registrar recepción
+                </button>
+              )}
+            </div>
+          </div>
+          {canReceive && (
+            <p className="text-xs text-foreground-muted">
+              Podés recibir parcialmente: cada recepción genera un ingreso de stock en la sucursal y actualiza el costo del producto.
+            </p>
+          )}
+        </div>
+      )}
+    </ModalShell>
+  );
+}
+
+function SupplierModal({ supplier, products, onClose, onSave }) {
+  const isEdit = Boolean(supplier?.id);
+  const [formData, setFormData] = useState({
+    name: supplier?.name || "",
+    tax_id: supplier?.tax_id || "",
+    contact_name: supplier?.contact_name || "",
+    email: supplier?.email || "",
+    phone: supplier?.phone || "",
+    address: supplier?.address || "",
+    payment_terms: supplier?.payment_terms || "",
+    lead_time_days: supplier?.lead_time_days ?? "",
+    notes: supplier?.notes || "",
+    is_active: supplier?.is_active ?? 1,
+  });
+  const [assigned, setAssigned] = useState(() => new Set());
+  const [productSearch, setProductSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isEdit) return;
+    apiClient
+      .listSupplierProducts(supplier.id)
+      .then((rows) => setAssigned(new Set(rows.map((p) => p.id))))
+      .catch((error) => logger.error("Error al cargar productos del proveedor:", error));
+  }, [isEdit, supplier?.id]);
+
+  const filteredProducts = useMemo(() => {
+    const term = productSearch.trim().toLowerCase();
+    if (!term) return products;
+    return products.filter(
+      (p) => p.name?.toLowerCase().includes(term) || p.code?.toLowerCase().includes(term)
+    );
+  }, [products, productSearch]);
+
+  const toggleProduct = (id) => {
+    setAssigned((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      toast.error("El nombre es requerido");
+      return;
+    }
+    setLoading(true);
+    try {
+      let supplierId = supplier?.id;
+      if (isEdit) {
+        await apiClient.updateSupplier(supplierId, formData);
+      } else {
+        const result = await apiClient.createSupplier(formData);
+        supplierId = result?.data?.id;
+      }
+      if (supplierId) {
+        await apiClient.setSupplierProducts(supplierId, [...assigned]);
+      }
+      toast.success(isEdit ? "Proveedor actualizado" : "Proveedor creado");
+      onSave();
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Error al guardar el proveedor");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const field = (key, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-semibold text-foreground mb-2">{label}</label>
+      <input
+        value={formData[key]}
+        onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+        className="input w-full"
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <ModalShell title={isEdit ? "Editar Proveedor" : "Nuevo Proveedor"} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="p-6 space-y-4">
+        <div className="grid gap-4 sm:grid-cols-2">
+          {field("name", "Nombre / Razón social *", { required: true })}
+          {field("tax_id", "CUIT")}
+          {field("contact_name", "Contacto")}
+          {field("phone", "Teléfono")}
+          {field("email", "Email", { type: "email" })}
+          {field("lead_time_days", "Demora de entrega (días)", { type: "number", min: 0 })}
+          {field("payment_terms", "Condiciones de pago")}
+          {field("address", "Dirección")}
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-foreground mb-2">Notas</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            className="input w-full"
+            rows={2}
+          />
+        </div>
+        {isEdit && (
+          <label className="flex items-center gap-2 text-sm text-foreground">
+            <input
+              type="checkbox"
+              checked={Boolean(formData.is_active)}
+              onChange={(e) => setFormData({ ...formData, is_active: e.target.checked ? 1 : 0 })}
+            />
+            Proveedor activo
+          </label>
+        )}
+
+        <div className="space-y-2">
+          <label className="block text-sm font-semibold text-foreground">
+            Productos que provee ({assigned.size})
+          </label>
+          <p className="text-xs text-foreground-muted">
+            Las alertas de stock bajo de estos productos se convierten en órdenes de compra para este proveedor.
+          </p>
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-foreground-muted" />
+            <input
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+              placeholder="Buscar producto..."
+              className="input w-full pl-9"
+            />
+          </div>
+          <div className="max-h-48 overflow-y-auto rounded-lg border border-border divide-y divide-border">
+            {filteredProducts.map((product) => (
+              <label key={product.id} className="flex items-center gap-2 px-3 py-2 text-sm text-foreground cursor-pointer hover:bg-background-secondary">
+                <input type="checkbox" checked={assigned.has(product.id)} onChange={() => toggleProduct(product.id)} />
+                <span className="truncate">{product.name}</span>
+                {product.code && <span className="text-xs text-foreground-muted">({product.code})</span>}
+              </label>
+            ))}
+            {filteredProducts.length === 0 && (
+              <p className="px-3 py-4 text-sm text-center text-foreground-muted">Sin productos</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button type="button" onClick={onClose} className="btn-secondary" disabled={loading}>
+            Cancelar
+          </button>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? "Guardando..." : "Guardar"}
+          </button>
+        </div>
+      </form>
+    </ModalShell>
+  );
+}
@@ -1,7 +1,8 @@
 import { useState } from "react";
 import { useQuery } from "../../shared/useQuery.js";
 import { apiClient } from "../../api";
-import { AlertTriangle, TrendingDown, TrendingUp, Package, RefreshCw, CheckCircle, X } from "lucide-react";
+import { AlertTriangle, TrendingDown, TrendingUp, Package, RefreshCw, CheckCircle, X, ShoppingCart } from "lucide-react";
+import { Link, useParams } from "react-router-dom";
 import { toast } from "sonner";
 import { logger } from "../../utils/logger.js";
 
@@ -11,6 +12,9 @@ export default function StockAlertsPage() {
   const [alertTypeFilter, setAlertTypeFilter] = useState("");
   const [showDismissModal, setShowDismissModal] = useState(false);
   const [alertToDismiss, setAlertToDismiss] = useState(null);
+  const [creatingOrders, setCreatingOrders] = useState(false);
+  const [orderSummary, setOrderSummary] = useState(null);
+  const { tenantSlug } = useParams();
 
   // Cargar alertas
   const { data: alertsData, loading, refetch } = useQuery(
@@ -57,6 +61,21 @@ export default function StockAlertsPage() {
     }
   };
 
+  const handleCreateOrders = async () => {
+    setCreatingOrders(true);
+    try {
+      const result = await apiClient.createPurchaseOrdersFromAlerts(
+        branchFilter ? { branch_id: Number(branchFilter) } : {}
+      );
+      setOrderSummary(result?.data || null);
+      toast.success(result?.message || "Órdenes de compra generadas");
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Error al generar órdenes de compra");
+    } finally {
+      setCreatingOrders(false);
+    }
+  };
+
   const handleAcknowledge = async (id) => {
     try {
       await apiClient.acknowledgeStockAlert(id);
@@ -129,15 +148,44 @@ export default function StockAlertsPage() {
             Monitorea el estado de tu inventario automáticamente
           </p>
         </div>
-        <button
-          onClick={handleGenerate}
-          className="btn-primary flex items-center justify-center gap-2"
-        >
-          <RefreshCw className="w-4 h-4" />
-          <span>Generar Alertas</span>
-        </button>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleCreateOrders}
+            disabled={creatingOrders}
+            className="btn-secondary flex items-center justify-center gap-2"
+          >
+            <ShoppingCart className="w-4 h-4" />
+            <span>{creatingOrders ? "Generando..." : "Crear Órdenes de Compra"}</span>
+          </button>
+          <button
+            onClick={handleGenerate}
+            className="btn-primary flex items-center justify-center gap-2"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Generar Alertas</span>
+          </button>
+        </div>
       </div>
 
+      {orderSummary && (
+        <div className="card p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <div className="text-sm text-foreground-secondary space-y-1">
+            <p>
+              <strong className="text-foreground">{orderSummary.orders?.length || 0}</strong> órdenes en borrador generadas
+              {orderSummary.skipped?.length ? ` · ${orderSummary.skipped.length} producto(s) ya estaban pedidos` : ""}
+            </p>
+            {orderSummary.withoutSupplier?.length > 0 && (
+              <p className="text-amber-500">
+                Sin proveedor asignado: {orderSummary.withoutSupplier.map((p) => p.productName).join(", ")}
+              </p>
+            )}
+          </div>
+          <Link to={`/${tenantSlug}/stock/purchases`} className="btn-primary text-sm whitespace-nowrap">
+            Ver compras
+          </Link>
+        </div>
+      )}
+
       {/* Resumen */}
       <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
         <div className="card p-4">
@@ -260,10 +308,20 @@ export default function StockAlertsPage() {
                         {alert.branch_name && (
                           <p>Sucursal: {alert.branch_name}</p>
                         )}
-                        <p>
-                          Stock actual: <span className="font-medium">{alert.current_quantity}</span> | 
-                          Umbral: <span className="font-medium">{alert.threshold_quantity}</span>
-                        </p>
+                        {alert.alert_type === 'expiring_soon' && alert.lot_number ? (
+                          <p>
+                            Lote <span className="font-medium">{alert.lot_number}</span> · vence{" "}
+                            <span className="font-medium">
+                              {alert.lot_expiry_date ? String(alert.lot_expiry_date).slice(0, 10).split("-").reverse().join("/") : "-"}
+                            </span>{" "}
+                            | Cantidad: <span className="font-medium">{alert.current_quantity}</span>
+                          </p>
+                        ) : (
+                          <p>
+                            Stock actual: <span className="font-medium">{alert.current_quantity}</span> | 
+                            Umbral: <span className="font-medium">{alert.threshold_quantity}</span>
+                          </p>
+                        )}
                         <p className="text-xs text-foreground-muted">
                           Creada: {new Date(alert.created_at).toLocaleString('es-AR')}
                         </p>
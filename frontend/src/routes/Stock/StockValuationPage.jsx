@@ -1,14 +1,55 @@
-import { useState } from "react";
+import { Fragment, useMemo, useState } from "react";
 import { useQuery } from "../../shared/useQuery.js";
 import { apiClient } from "../../api";
-import { DollarSign, Package, TrendingUp } from "lucide-react";
+import { useAuth } from "../../context/AuthContext";
+import { toast } from "sonner";
+import { ChevronDown, ChevronRight, DollarSign, Package, TrendingUp } from "lucide-react";
 import { logger } from "../../utils/logger.js";
 
+const EXPIRY_WARNING_DAYS = 30;
+
+const VALUATION_METHOD_LABELS = {
+  weighted_average: "Promedio ponderado",
+  fifo: "FIFO (primero entrado, primero salido)",
+};
+
+function formatMoney(value) {
+  return `$${Number(value || 0).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function monthStart() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-01`;
+}
+
+function todayDate() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+}
+
+function formatExpiry(value) {
+  if (!value) return "Sin vencimiento";
+  const [year, month, day] = String(value).slice(0, 10).split("-");
+  return `${day}/${month}/${year}`;
+}
+
+function expiryClass(daysToExpiry) {
+  if (daysToExpiry === null || daysToExpiry === undefined) return "text-foreground-secondary";
+  if (Number(daysToExpiry) < 0) return "text-red-600 dark:text-red-400 font-semibold";
+  if (Number(daysToExpiry) <= EXPIRY_WARNING_DAYS) return "text-amber-600 dark:text-amber-400 font-semibold";
+  return "text-foreground-secondary";
+}
+
 export default function StockValuationPage() {
   const [branchFilter, setBranchFilter] = useState("");
+  const [expandedRows, setExpandedRows] = useState({});
+  const [period, setPeriod] = useState({ from: monthStart(), to: todayDate() });
+  const [savingMethod, setSavingMethod] = useState(false);
+  const { user } = useAuth();
+  const isAdmin = user?.role === "admin";
 
   // Cargar valuación
-  const { data: valuationData, loading: loadingValuation } = useQuery(
+  const { data: valuationData, loading: loadingValuation, refetch: refetchValuation } = useQuery(
     async () => {
       try {
         const params = {};
@@ -26,7 +67,7 @@ export default function StockValuationPage() {
   const valuation = valuationData && typeof valuationData === 'object' ? valuationData : {};
 
   // Cargar detalle
-  const { data: detailData, loading: loadingDetail } = useQuery(
+  const { data: detailData, loading: loadingDetail, refetch: refetchDetail } = useQuery(
     async () => {
       try {
         const params = {};
@@ -43,6 +84,69 @@ export default function StockValuationPage() {
   );
   const detail = Array.isArray(detailData) ? detailData : [];
 
+  // Cargar lotes
+  const { data: lotsData } = useQuery(
+    async () => {
+      try {
+        const params = {};
+        if (branchFilter) params.branch_id = branchFilter;
+        const result = await apiClient.getInventoryLots(params);
+        return Array.isArray(result) ? result : [];
+      } catch (error) {
+        logger.error("Error al cargar lotes:", error);
+        return [];
+      }
+    },
+    [branchFilter]
+  );
+  const lotsByRow = useMemo(() => {
+    const grouped = {};
+    (Array.isArray(lotsData) ? lotsData : []).forEach((lot) => {
+      const key = `${lot.product_id}-${lot.branch_id}`;
+      if (!grouped[key]) grouped[key] = [];
+      grouped[key].push(lot);
+    });
+    return grouped;
+  }, [lotsData]);
+
+  // Reporte del período: apertura, compras, CMV y cierre
+  const { data: reportData, loading: loadingReport, refetch: refetchReport } = useQuery(
+    async () => {
+      try {
+        const params = { from: period.from, to: period.to };
+        if (branchFilter) params.branch_id = branchFilter;
+        return await apiClient.getInventoryValuationReport(params);
+      } catch (error) {
+        logger.error("Error al cargar reporte de valuación:", error);
+        toast.error(error?.response?.data?.error || "No se pudo generar el reporte");
+        return null;
+      }
+    },
+    [branchFilter, period.from, period.to]
+  );
+  const report = reportData && typeof reportData === 'object' ? reportData : null;
+  const valuationMethod = valuation.valuation_method || report?.valuation_method || "weighted_average";
+
+  const handleMethodChange = async (method) => {
+    try {
+      setSavingMethod(true);
+      await apiClient.saveConfigSection("stock", { valuation_method: method });
+      toast.success("Método de valuación actualizado");
+      refetchValuation();
+      refetchDetail();
+      refetchReport();
+    } catch (error) {
+      logger.error("Error al guardar método de valuación:", error);
+      toast.error(error?.response?.data?.error || "No se pudo guardar el método de valuación");
+    } finally {
+      setSavingMethod(false);
+    }
+  };
+
+  const toggleRow = (key) => {
+    setExpandedRows((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
   // Cargar sucursales
   const { data: branchesData } = useQuery(
     async () => {
@@ -68,6 +172,25 @@ export default function StockValuationPage() {
             Visualiza el valor total de tu inventario
           </p>
         </div>
+        <div className="flex items-center gap-2">
+          <span className="text-xs font-semibold uppercase tracking-wider text-foreground-muted">Método</span>
+          {isAdmin ? (
+            <select
+              value={valuationMethod}
+              onChange={(e) => handleMethodChange(e.target.value)}
+              disabled={savingMethod || loadingValuation}
+              className="input w-60"
+            >
+              {Object.entries(VALUATION_METHOD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-sm px-3 py-1 rounded-full bg-primary/10 text-primary">
+              {VALUATION_METHOD_LABELS[valuationMethod] || valuationMethod}
+            </span>
+          )}
+        </div>
       </div>
 
       {/* Filtros */}
@@ -126,6 +249,112 @@ export default function StockValuationPage() {
         </div>
       </div>
 
+      {/* Reporte del período */}
+      <div className="card p-4 sm:p-6 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-3">
+          <div>
+            <h2 className="text-lg font-semibold text-foreground">Reporte del período</h2>
+            <p className="text-sm text-foreground-secondary">Valor de apertura, compras, costo de ventas y cierre</p>
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-wider text-foreground-muted mb-2">Desde</label>
+              <input
+                type="date"
+                value={period.from}
+                max={period.to}
+                onChange={(e) => e.target.value && setPeriod((prev) => ({ ...prev, from: e.target.value }))}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold uppercase tracking-wider text-foreground-muted mb-2">Hasta</label>
+              <input
+                type="date"
+                value={period.to}
+                min={period.from}
+                onChange={(e) => e.target.value && setPeriod((prev) => ({ ...prev, to: e.target.value }))}
+                className="input"
+              />
+            </div>
+          </div>
+        </div>
+
+        {loadingReport ? (
+          <div className="py-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto"></div>
+          </div>
+        ) : !report ? (
+          <p className="text-sm text-foreground-secondary">No hay datos para el período seleccionado</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+              {[
+                { label: "Apertura", value: report.totals?.opening_value },
+                { label: "Compras", value: report.totals?.purchases_value },
+                { label: "Costo de ventas", value: report.totals?.cogs_value },
+                {
+                  label: "Otros movimientos",
+                  value: Number(report.totals?.other_in_value || 0) - Number(report.totals?.other_out_value || 0),
+                },
+                { label: "Cierre", value: report.totals?.closing_value },
+              ].map((card) => (
+                <div key={card.label} className="rounded-xl border border-border p-3">
+                  <p className="text-xs text-foreground-muted">{card.label}</p>
+                  <p className="text-lg font-semibold text-foreground">{formatMoney(card.value)}</p>
+                </div>
+              ))}
+            </div>
+
+            {report.products?.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[800px] text-sm">
+                  <thead>
+                    <tr className="border-b border-border bg-background-secondary">
+                      <th className="text-left py-2 px-3 font-semibold text-foreground">Producto</th>
+                      <th className="text-right py-2 px-3 font-semibold text-foreground">Apertura</th>
+                      <th className="text-right py-2 px-3 font-semibold text-foreground">Compras</th>
+                      <th className="text-right py-2 px-3 font-semibold text-foreground">Costo de ventas</th>
+                      <th className="text-right py-2 px-3 font-semibold text-foreground">Otros</th>
+                      <th className="text-right py-2 px-3 font-semibold text-foreground">Cierre</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.products.map((row) => (
+                      <tr key={row.product_id} className="border-b border-border">
+                        <td className="py-2 px-3">
+                          <div className="font-medium text-foreground">{row.product_name}</div>
+                          <div className="text-xs text-foreground-muted">{row.product_code}</div>
+                        </td>
+                        <td className="py-2 px-3 text-right text-foreground-secondary">
+                          {formatMoney(row.opening_value)}
+                          <div className="text-xs text-foreground-muted">{Number(row.opening_quantity).toLocaleString('es-AR')} u.</div>
+                        </td>
+                        <td className="py-2 px-3 text-right text-foreground">
+                          {formatMoney(row.purchases_value)}
+                          <div className="text-xs text-foreground-muted">{Number(row.purchases_quantity).toLocaleString('es-AR')} u.</div>
+                        </td>
+                        <td className="py-2 px-3 text-right text-foreground">
+                          {formatMoney(row.cogs_value)}
+                          <div className="text-xs text-foreground-muted">{Number(row.cogs_quantity).toLocaleString('es-AR')} u.</div>
+                        </td>
+                        <td className="py-2 px-3 text-right text-foreground-secondary">
+                          {formatMoney(Number(row.other_in_value) - Number(row.other_out_value))}
+                        </td>
+                        <td className="py-2 px-3 text-right font-semibold text-foreground">
+                          {formatMoney(row.closing_value)}
+                          <div className="text-xs text-foreground-muted">{Number(row.closing_quantity).toLocaleString('es-AR')} u.</div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
       {/* Detalle */}
       {loadingDetail ? (
         <div className="card p-12 text-center">
@@ -153,11 +382,33 @@ export default function StockValuationPage() {
                 </tr>
               </thead>
               <tbody>
-                {detail.map((item) => (
-                  <tr key={`${item.product_id}-${item.branch_id}`} className="border-b border-border hover:bg-background-secondary transition-colors">
+                {detail.map((item) => {
+                  const rowKey = `${item.product_id}-${item.branch_id}`;
+                  const rowLots = lotsByRow[rowKey] || [];
+                  const expanded = Boolean(expandedRows[rowKey]);
+                  return (
+                  <Fragment key={rowKey}>
+                  <tr className="border-b border-border hover:bg-background-secondary transition-colors">
                     <td className="py-3 px-4">
-                      <div className="font-medium text-foreground">{item.product_name}</div>
-                      <div className="text-xs text-foreground-muted">{item.product_code}</div>
+                      <div className="flex items-start gap-2">
+                        {rowLots.length > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => toggleRow(rowKey)}
+                            className="mt-0.5 text-foreground-muted hover:text-foreground"
+                            title={expanded ? "Ocultar lotes" : "Ver lotes"}
+                          >
+                            {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                          </button>
+                        )}
+                        <div>
+                          <div className="font-medium text-foreground">{item.product_name}</div>
+                          <div className="text-xs text-foreground-muted">
+                            {item.product_code}
+                            {rowLots.length > 0 && ` · ${rowLots.length} lote${rowLots.length === 1 ? "" : "s"}`}
+                          </div>
+                        </div>
+                      </div>
                     </td>
                     <td className="py-3 px-4 text-sm text-foreground-secondary">
                       {item.branch_name || "Sin asignar"}
@@ -178,7 +429,29 @@ export default function StockValuationPage() {
                       ${Number(item.available_value).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
                     </td>
                   </tr>
-                ))}
+                  {expanded && rowLots.map((lot) => (
+                    <tr key={`lot-${lot.id}`} className="border-b border-border bg-background-secondary/50 text-sm">
+                      <td className="py-2 px-4 pl-12 text-foreground">Lote {lot.lot_number}</td>
+                      <td className={`py-2 px-4 ${expiryClass(lot.days_to_expiry)}`}>
+                        {formatExpiry(lot.expiry_date)}
+                        {lot.days_to_expiry !== null && lot.days_to_expiry !== undefined && Number(lot.days_to_expiry) < 0 && " (vencido)"}
+                      </td>
+                      <td className="py-2 px-4 text-right text-foreground">
+                        {Number(lot.quantity).toLocaleString('es-AR')}
+                      </td>
+                      <td className="py-2 px-4"></td>
+                      <td className="py-2 px-4 text-right text-foreground">
+                        ${Number(lot.unit_cost || 0).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                      </td>
+                      <td className="py-2 px-4 text-right text-foreground">
+                        ${Number(lot.total_value || 0).toLocaleString('es-AR', { minimumFractionDigits: 2 })}
+                      </td>
+                      <td className="py-2 px-4"></td>
+                    </tr>
+                  ))}
+                  </Fragment>
+                  );
+                })}
               </tbody>
             </table>
           </div>
@@ -0,0 +1,15 @@
+import AuditLogList from "../../components/AuditLogList.jsx";
+
+export default function SuperAdminAuditPage() {
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold">Auditoría</h1>
+        <p className="text-sm text-foreground-secondary">
+          Acciones administrativas de todos los negocios, incluidas las del panel global.
+        </p>
+      </div>
+      <AuditLogList superAdmin />
+    </div>
+  );
+}
@@ -0,0 +1,360 @@
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+import { RefreshCw, Play, Pause, RotateCcw, XCircle, Loader2 } from "lucide-react";
+import { apiClient } from "../../api/client.js";
+import { formatDateTime } from "../../shared/ui.jsx";
+import { logger } from "../../utils/logger.js";
+
+const RUNS_PAGE_SIZE = 30;
+
+const JOB_STATUSES = {
+  scheduled: { label: "Programada", className: "bg-sky-500/15 text-sky-600" },
+  running: { label: "Ejecutando", className: "bg-amber-500/15 text-amber-600" },
+  paused: { label: "Pausada", className: "bg-background text-foreground-secondary" },
+  completed: { label: "Completada", className: "bg-emerald-500/15 text-emerald-600" },
+  failed: { label: "Fallida", className: "bg-red-500/15 text-red-600" },
+  cancelled: { label: "Cancelada", className: "bg-background text-foreground-muted" },
+};
+
+const RUN_STATUSES = {
+  running: { label: "En curso", className: "bg-amber-500/15 text-amber-600" },
+  succeeded: { label: "OK", className: "bg-emerald-500/15 text-emerald-600" },
+  failed: { label: "Error", className: "bg-red-500/15 text-red-600" },
+};
+
+function formatInterval(seconds) {
+  if (!seconds) return "Única";
+  if (seconds % 3600 === 0) return `Cada ${seconds / 3600} h`;
+  if (seconds % 60 === 0) return `Cada ${seconds / 60} min`;
+  return `Cada ${seconds} s`;
+}
+
+function formatResult(result) {
+  if (!result || typeof result !== "object") return "";
+  return Object.entries(result)
+    .filter(([, value]) => typeof value === "number")
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(" · ");
+}
+
+function StatusBadge({ meta }) {
+  return <span className={`px-2 py-0.5 rounded-full text-xs ${meta.className}`}>{meta.label}</span>;
+}
+
+export default function SuperAdminJobsPage() {
+  const [jobStatus, setJobStatus] = useState("");
+  const [jobsData, setJobsData] = useState({ jobs: [], types: [] });
+  const [loadingJobs, setLoadingJobs] = useState(true);
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  const [runFilters, setRunFilters] = useState({ jobId: null, type: "", status: "" });
+  const [runs, setRuns] = useState({ items: [], total: 0 });
+  const [loadingRuns, setLoadingRuns] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    setLoadingJobs(true);
+    try {
+      setJobsData(await apiClient.superAdmin.listJobs({ status: jobStatus || undefined, limit: 200 }));
+    } catch (error) {
+      logger.error("[SuperAdminJobsPage] jobs error:", error);
+      toast.error("No se pudieron cargar las tareas");
+    } finally {
+      setLoadingJobs(false);
+    }
+  }, [jobStatus]);
+
+  const fetchRuns = useCallback(
+    (offset) =>
+      apiClient.superAdmin.listJobRuns({
+        jobId: runFilters.jobId || undefined,
+        type: runFilters.type || undefined,
+        status: runFilters.status || undefined,
+        limit: RUNS_PAGE_SIZE,
+        offset,
+      }),
+    [runFilters]
+  );
+
+  const loadRuns = useCallback(async () => {
+    setLoadingRuns(true);
+    try {
+      setRuns(await fetchRuns(0));
+    } catch (error) {
+      logger.error("[SuperAdminJobsPage] runs error:", error);
+    } finally {
+      setLoadingRuns(false);
+    }
+  }, [fetchRuns]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const loadMoreRuns = async () => {
+    setLoadingMore(true);
+    try {
+      const result = await fetchRuns(runs.items.length);
+      setRuns((prev) => ({ ...result, items: [...prev.items, ...result.items] }));
+    } catch (error) {
+      logger.error("[SuperAdminJobsPage] loadMore error:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const runAction = async (job, action, successMessage) => {
+    setBusyJobId(job.id);
+    try {
+      await apiClient.superAdmin.jobAction(job.id, action);
+      toast.success(successMessage);
+      await Promise.all([loadJobs(), loadRuns()]);
+    } catch (error) {
+      toast.error(error?.response?.data?.error || "No se pudo completar la acción");
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const refresh = () => {
+    loadJobs();
+    loadRuns();
+  };
+
+  const selectedJob = runFilters.jobId ? jobsData.jobs.find((job) => job.id === runFilters.jobId) : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold">Tareas programadas</h1>
+          <p className="text-sm text-foreground-secondary">
+            Recordatorios, renovaciones, señas, alertas de stock y campañas que corre el planificador.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={jobStatus}
+            onChange={(e) => setJobStatus(e.target.value)}
+            className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+          >
+            <option value="">Todos los estados</option>
+            {Object.entries(JOB_STATUSES).map(([value, meta]) => (
+              <option key={value} value={value}>
+                {meta.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={refresh}
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-lg border border-border text-sm font-medium hover:bg-background-secondary"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Actualizar
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-xl border border-border bg-background-secondary/40 overflow-x-auto">
+        {loadingJobs ? (
+          <div className="py-8 flex items-center justify-center gap-2 text-sm text-foreground-muted">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Cargando tareas...
+          </div>
+        ) : jobsData.jobs.length === 0 ? (
+          <div className="py-6 px-4 text-sm text-foreground-muted">No hay tareas.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-foreground-muted border-b border-border">
+                <th className="py-2 px-3">Tarea</th>
+                <th className="py-2 px-3">Estado</th>
+                <th className="py-2 px-3">Próxima</th>
+                <th className="py-2 px-3">Última</th>
+                <th className="py-2 px-3">Intentos</th>
+                <th className="py-2 px-3 text-right">Acciones</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border/60">
+              {jobsData.jobs.map((job) => {
+                const busy = busyJobId === job.id;
+                return (
+                  <tr key={job.id} className={runFilters.jobId === job.id ? "bg-primary/5" : undefined}>
+                    <td className="py-2 px-3">
+                      <button
+                        onClick={() =>
+                          setRunFilters((prev) => ({ ...prev, jobId: prev.jobId === job.id ? null : job.id }))
+                        }
+                        className="font-medium text-left hover:underline"
+                      >
+                        {job.label}
+                      </button>
+                      <div className="text-xs text-foreground-muted">
+                        {formatInterval(job.intervalSeconds)}
+                        {job.tenantId ? ` · Tenant ${job.tenantId}` : ""}
+                      </div>
+                    </td>
+                    <td className="py-2 px-3">
+                      <StatusBadge meta={JOB_STATUSES[job.status] || JOB_STATUSES.scheduled} />
+                      {job.lastError && (
+                        <div className="text-xs text-red-500 mt-1 max-w-[260px] line-clamp-2">{job.lastError}</div>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 text-foreground-secondary">
+                      {["scheduled", "paused"].includes(job.status) ? formatDateTime(job.nextRunAt) : "—"}
+                    </td>
+                    <td className="py-2 px-3 text-foreground-secondary">
+                      {job.lastFinishedAt ? formatDateTime(job.lastFinishedAt) : "—"}
+                      {job.status === "running" && job.lockedBy && (
+                        <div className="text-xs text-foreground-muted">{job.lockedBy}</div>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 text-foreground-secondary">
+                      {job.attempts}/{job.maxAttempts}
+                    </td>
+                    <td className="py-2 px-3">
+                      <div className="flex justify-end gap-1">
+                        {["scheduled", "paused", "failed"].includes(job.status) && (
+                          <button
+                            disabled={busy}
+                            onClick={() =>
+                              runAction(job, "run", job.status === "failed" ? "Tarea reintentada" : "Tarea en cola")
+                            }
+                            title={job.status === "failed" ? "Reintentar" : "Ejecutar ahora"}
+                            className="p-2 rounded-lg hover:bg-background disabled:opacity-50"
+                          >
+                            {job.status === "failed" ? <RotateCcw className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                          </button>
+                        )}
+                        {["scheduled", "running"].includes(job.status) && (
+                          <button
+                            disabled={busy}
+                            onClick={() => runAction(job, "pause", "Tarea pausada")}
+                            title="Pausar"
+                            className="p-2 rounded-lg hover:bg-background disabled:opacity-50"
+                          >
+                            <Pause className="w-4 h-4" />
+                          </button>
+                        )}
+                        {job.status === "paused" && (
+                          <button
+                            disabled={busy}
+                            onClick={() => runAction(job, "resume", "Tarea reanudada")}
+                            title="Reanudar"
+                            className="p-2 rounded-lg hover:bg-background disabled:opacity-50"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                          </button>
+                        )}
+                        {!job.intervalSeconds && ["scheduled", "paused", "failed"].includes(job.status) && (
+                          <button
+                            disabled={busy}
+                            onClick={() => runAction(job, "cancel", "Tarea cancelada")}
+                            title="Cancelar"
+                            className="p-2 rounded-lg text-red-600 hover:bg-background disabled:opacity-50"
+                          >
+                            <XCircle className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">
+            Historial de ejecuciones
+            {selectedJob ? <span className="text-foreground-secondary font-normal"> · {selectedJob.label}</span> : null}
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            {runFilters.jobId && (
+              <button
+                onClick={() => setRunFilters((prev) => ({ ...prev, jobId: null }))}
+                className="px-3 py-2 rounded-lg border border-border text-sm hover:bg-background-secondary"
+              >
+                Ver todas
+              </button>
+            )}
+            <select
+              value={runFilters.type}
+              onChange={(e) => setRunFilters((prev) => ({ ...prev, type: e.target.value }))}
+              className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+            >
+              <option value="">Todos los tipos</option>
+              {jobsData.types.map((type) => (
+                <option key={type.type} value={type.type}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={runFilters.status}
+              onChange={(e) => setRunFilters((prev) => ({ ...prev, status: e.target.value }))}
+              className="rounded-lg border border-border px-3 py-2 text-sm bg-background"
+            >
+              <option value="">Todos los resultados</option>
+              {Object.entries(RUN_STATUSES).map(([value, meta]) => (
+                <option key={value} value={value}>
+                  {meta.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {loadingRuns ? (
+          <div className="py-6 flex items-center justify-center gap-2 text-sm text-foreground-muted">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Cargando ejecuciones...
+          </div>
+        ) : runs.items.length === 0 ? (
+          <div className="py-4 text-sm text-foreground-muted">No hay ejecuciones registradas.</div>
+        ) : (
+          <div className="rounded-xl border border-border divide-y divide-border/60">
+            {runs.items.map((run) => (
+              <div key={run.id} className="px-4 py-3 text-sm flex flex-wrap items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium">{run.label}</span>
+                    <StatusBadge meta={RUN_STATUSES[run.status] || RUN_STATUSES.running} />
+                    {run.attempt > 1 && <span className="text-xs text-foreground-muted">Intento {run.attempt}</span>}
+                  </div>
+                  <div className="text-xs text-foreground-muted mt-1">
+                    {formatDateTime(run.startedAt)}
+                    {run.durationMs != null ? ` · ${(run.durationMs / 1000).toFixed(1)} s` : ""}
+                    {run.tenantName ? ` · ${run.tenantName}` : ""}
+                    {run.worker ? ` · ${run.worker}` : ""}
+                  </div>
+                  {run.error && <div className="text-xs text-red-500 mt-0.5 break-words">{run.error}</div>}
+                </div>
+                {formatResult(run.result) && (
+                  <div className="text-xs text-foreground-secondary">{formatResult(run.result)}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!loadingRuns && runs.items.length < runs.total && (
+          <button
+            onClick={loadMoreRuns}
+            disabled={loadingMore}
+            className="px-4 py-2 text-sm font-medium text-foreground border border-border rounded-lg hover:bg-background-secondary transition-colors disabled:opacity-50"
+          >
+            {loadingMore ? "Cargando..." : `Ver más (${runs.total - runs.items.length})`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,7 +2,7 @@ import { NavLink, Outlet, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext.jsx";
 import ThemeToggle from "../../components/ThemeToggle.jsx";
 import Logo from "../../components/Logo.jsx";
-import { LogOut, Building2, LayoutDashboard } from "lucide-react";
+import { LogOut, Building2, LayoutDashboard, Clock, History } from "lucide-react";
 
 export default function SuperAdminLayout() {
   const { pathname } = useLocation();
@@ -15,6 +15,18 @@ export default function SuperAdminLayout() {
       icon: Building2,
       active: pathname.startsWith("/super-admin/tenants"),
     },
+    {
+      to: "/super-admin/jobs",
+      label: "Tareas",
+      icon: Clock,
+      active: pathname.startsWith("/super-admin/jobs"),
+    },
+    {
+      to: "/super-admin/audit",
+      label: "Auditoría",
+      icon: History,
+      active: pathname.startsWith("/super-admin/audit"),
+    },
   ];
 
   const tenantSlug = tenant?.is_system ? null : tenant?.slug || tenant?.subdomain;
@@ -0,0 +1,479 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Loader2, RefreshCw, Send, Bot, UserCheck, CheckCircle2, Search, FileText } from "lucide-react";
+import { toast } from "sonner";
+import Button from "../../components/ui/Button";
+import { apiClient } from "../../api/client.js";
+import { useAuth } from "../../context/AuthContext";
+import { logger } from "../../utils/logger.js";
+
+const POLL_INTERVAL_MS = 10000;
+
+const STATUS_FILTERS = [
+  { value: "open", label: "Abiertas" },
+  { value: "pending", label: "Sin asignar" },
+  { value: "mine", label: "Mías" },
+  { value: "bot", label: "Bot" },
+  { value: "closed", label: "Cerradas" },
+];
+
+const STATUS_LABELS = {
+  bot: { label: "Bot", className: "bg-background text-foreground-muted" },
+  pending: { label: "Esperando", className: "bg-amber-500/15 text-amber-600" },
+  assigned: { label: "Asignada", className: "bg-primary/10 text-primary" },
+  closed: { label: "Cerrada", className: "bg-background text-foreground-muted" },
+};
+
+const MESSAGE_STATUS_LABELS = {
+  failed: "No enviado",
+  skipped: "No enviado (WhatsApp deshabilitado)",
+};
+
+const formatTime = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString("es-AR", { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleString("es-AR", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+};
+
+const conversationTitle = (conversation) =>
+  conversation.customerName || conversation.contactName || `+${conversation.phone}`;
+
+function StatusBadge({ status }) {
+  const meta = STATUS_LABELS[status] || STATUS_LABELS.bot;
+  return <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${meta.className}`}>{meta.label}</span>;
+}
+
+/**
+ * Responde con una plantilla aprobada: obligatorio cuando pasaron más de 24 h desde
+ * el último mensaje del cliente. Si no se pudieron leer las plantillas de Meta se
+ * escribe el nombre a mano.
+ */
+function TemplateComposer({ templates, sending, onSend }) {
+  const [templateName, setTemplateName] = useState("");
+  const [manualName, setManualName] = useState("");
+  const [params, setParams] = useState([]);
+
+  const selected = templates.find((template) => template.name === templateName) || null;
+
+  useEffect(() => {
+    setParams(Array.from({ length: selected?.variables || 0 }, () => ""));
+  }, [selected]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = selected ? selected.name : manualName.trim();
+    if (!name) {
+      toast.error("Elegí una plantilla");
+      return;
+    }
+    const sent = await onSend({ templateName: name, language: selected?.language || "es", params });
+    if (sent) {
+      setTemplateName("");
+      setManualName("");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-xs text-foreground-muted">
+        Pasaron más de 24 horas desde el último mensaje del cliente: WhatsApp sólo permite responder con una
+        plantilla aprobada.
+      </p>
+      {templates.length > 0 ? (
+        <select value={templateName} onChange={(e) => setTemplateName(e.target.value)} className="input w-full">
+          <option value="">Elegí una plantilla…</option>
+          {templates.map((template) => (
+            <option key={`${template.name}-${template.language}`} value={template.name}>
+              {template.name} ({template.language})
+            </option>
+          ))}
+        </select>
+      ) : (
+        <input
+          value={manualName}
+          onChange={(e) => setManualName(e.target.value)}
+          placeholder="Nombre de la plantilla aprobada"
+          className="input w-full"
+        />
+      )}
+      {selected?.body && (
+        <p className="text-xs text-foreground-secondary whitespace-pre-wrap rounded-lg bg-background/60 p-3">
+          {selected.body}
+        </p>
+      )}
+      {params.map((value, index) => (
+        <input
+          key={index}
+          value={value}
+          onChange={(e) =>
+            setParams((prev) => prev.map((item, itemIndex) => (itemIndex === index ? e.target.value : item)))
+          }
+          placeholder={`Variable {{${index + 1}}}`}
+          className="input w-full"
+        />
+      ))}
+      <div className="flex justify-end">
+        <Button type="submit" disabled={sending}>
+          {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+          Enviar plantilla
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Bandeja compartida de WhatsApp: el equipo ve las conversaciones del bot, toma las
+ * que piden un asesor, responde desde la web y las devuelve al bot al terminar.
+ */
+export default function WhatsAppInboxPage() {
+  const { user } = useAuth();
+  const { tenantSlug } = useParams();
+  const [filter, setFilter] = useState("open");
+  const [search, setSearch] = useState("");
+  const [conversations, setConversations] = useState([]);
+  const [loadingList, setLoadingList] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [thread, setThread] = useState(null);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const [agents, setAgents] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [text, setText] = useState("");
+  const [sending, setSending] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const messagesEndRef = useRef(null);
+
+  const loadConversations = useCallback(
+    async ({ silent = false } = {}) => {
+      if (!silent) setLoadingList(true);
+      try {
+        const data = await apiClient.listWhatsAppConversations({
+          status: filter === "mine" ? "open" : filter,
+          mine: filter === "mine",
+          q: search.trim(),
+        });
+        setConversations(data);
+      } catch (error) {
+        logger.error("[WhatsAppInboxPage] loadConversations error:", error);
+        if (!silent) toast.error("No pudimos obtener las conversaciones.");
+      } finally {
+        if (!silent) setLoadingList(false);
+      }
+    },
+    [filter, search]
+  );
+
+  const loadThread = useCallback(async (conversationId, { silent = false } = {}) => {
+    if (!conversationId) return;
+    if (!silent) setLoadingThread(true);
+    try {
+      setThread(await apiClient.getWhatsAppConversation(conversationId));
+    } catch (error) {
+      logger.error("[WhatsAppInboxPage] loadThread error:", error);
+      if (!silent) toast.error("No pudimos abrir la conversación.");
+    } finally {
+      if (!silent) setLoadingThread(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => loadConversations(), 300);
+    return () => clearTimeout(timeout);
+  }, [loadConversations]);
+
+  useEffect(() => {
+    loadThread(selectedId);
+  }, [selectedId, loadThread]);
+
+  // Actualización periódica de la lista y de la conversación abierta
+  useEffect(() => {
+    const interval = setInterval(() => {
+      loadConversations({ silent: true });
+      if (selectedId) loadThread(selectedId, { silent: true });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadConversations, loadThread, selectedId]);
+
+  useEffect(() => {
+    Promise.all([apiClient.listWhatsAppInboxAgents(), apiClient.listWhatsAppTemplates()])
+      .then(([agentsData, templatesData]) => {
+        setAgents(agentsData);
+        setTemplates(templatesData);
+      })
+      .catch((error) => logger.error("[WhatsAppInboxPage] load options error:", error));
+  }, []);
+
+  const lastMessageId = thread?.messages?.[thread.messages.length - 1]?.id;
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: "end" });
+  }, [lastMessageId]);
+
+  const conversation = thread?.conversation || null;
+
+  const runAction = async (action, successMessage) => {
+    if (!conversation) return;
+    setBusy(true);
+    try {
+      await action(conversation.id);
+      if (successMessage) toast.success(successMessage);
+      await Promise.all([loadThread(conversation.id, { silent: true }), loadConversations({ silent: true })]);
+    } catch (error) {
+      logger.error("[WhatsAppInboxPage] action error:", error);
+      toast.error(error.response?.data?.error || "No pudimos actualizar la conversación.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const send = async (payload) => {
+    if (!conversation) return false;
+    setSending(true);
+    try {
+      const data = await apiClient.sendWhatsAppConversationMessage(conversation.id, payload);
+      if (data) setThread(data);
+      loadConversations({ silent: true });
+      return true;
+    } catch (error) {
+      logger.error("[WhatsAppInboxPage] send error:", error);
+      toast.error(error.response?.data?.error || "No pudimos enviar el mensaje.");
+      return false;
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSendText = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    if (await send({ text })) setText("");
+  };
+
+  const isMine = conversation?.assignedUserId && conversation.assignedUserId === user?.id;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-10 py-8 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-foreground">Bandeja de WhatsApp</h1>
+          <p className="text-sm text-foreground-secondary mt-1">
+            Atendé desde acá a los clientes que piden hablar con una persona. Mientras la conversación está
+            tomada, el bot no responde.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={() => loadConversations()} disabled={loadingList}>
+          <RefreshCw className={`w-4 h-4 ${loadingList ? "animate-spin" : ""}`} />
+          Actualizar
+        </Button>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(280px,360px)_minmax(0,1fr)]">
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/50 shadow-sm overflow-hidden min-w-0">
+          <div className="p-4 space-y-3 border-b border-border/60">
+            <div className="flex flex-wrap gap-2">
+              {STATUS_FILTERS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setFilter(option.value)}
+                  className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                    filter === option.value
+                      ? "bg-primary text-white border-primary"
+                      : "border-border text-foreground-secondary hover:bg-background"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="relative">
+              <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-foreground-muted" />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Buscar por nombre o teléfono"
+                className="input w-full pl-9"
+              />
+            </div>
+          </div>
+          {loadingList ? (
+            <div className="p-10 flex flex-col items-center gap-2 text-foreground-muted">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Cargando conversaciones...
+            </div>
+          ) : conversations.length === 0 ? (
+            <div className="p-8 text-center text-sm text-foreground-muted">No hay conversaciones.</div>
+          ) : (
+            <ul className="max-h-[65vh] overflow-y-auto">
+              {conversations.map((item) => (
+                <li key={item.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(item.id)}
+                    className={`w-full text-left px-4 py-3 border-t border-border/60 hover:bg-background/60 ${
+                      selectedId === item.id ? "bg-primary/5" : ""
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-medium text-foreground truncate">{conversationTitle(item)}</p>
+                      <span className="text-xs text-foreground-muted shrink-0">{formatTime(item.lastMessageAt)}</span>
+                    </div>
+                    <p className="text-xs text-foreground-muted truncate mt-0.5">{item.lastMessagePreview}</p>
+                    <div className="flex items-center gap-2 mt-1.5">
+                      <StatusBadge status={item.status} />
+                      {item.assignedUserEmail && (
+                        <span className="text-xs text-foreground-muted truncate">{item.assignedUserEmail}</span>
+                      )}
+                      {item.unreadCount > 0 && (
+                        <span className="ml-auto px-2 py-0.5 rounded-full text-xs font-semibold bg-primary text-white">
+                          {item.unreadCount}
+                        </span>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-border/80 bg-background-secondary/60 shadow-sm flex flex-col min-w-0 min-h-[60vh]">
+          {!selectedId ? (
+            <div className="flex-1 flex items-center justify-center p-8 text-sm text-foreground-muted">
+              Elegí una conversación para ver los mensajes.
+            </div>
+          ) : loadingThread || !conversation ? (
+            <div className="flex-1 flex items-center justify-center gap-2 text-foreground-muted">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Cargando conversación...
+            </div>
+          ) : (
+            <>
+              <div className="p-4 border-b border-border/60 flex flex-wrap items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <h2 className="text-lg font-semibold text-foreground truncate">{conversationTitle(conversation)}</h2>
+                    <StatusBadge status={conversation.status} />
+                  </div>
+                  <p className="text-xs text-foreground-muted">
+                    +{conversation.phone}
+                    {conversation.customerId && ["admin", "staff"].includes(user?.role) && (
+                      <>
+                        {" · "}
+                        <Link to={`/${tenantSlug}/customers/${conversation.customerId}`} className="text-primary hover:underline">
+                          Ver ficha
+                        </Link>
+                      </>
+                    )}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {!isMine && conversation.status !== "closed" && (
+                    <Button
+                      variant="secondary"
+                      disabled={busy}
+                      onClick={() => runAction(apiClient.takeWhatsAppConversation, "Conversación tomada")}
+                    >
+                      <UserCheck className="w-4 h-4" />
+                      Tomar
+                    </Button>
+                  )}
+                  <select
+                    value={conversation.assignedUserId || ""}
+                    disabled={busy}
+                    onChange={(e) =>
+                      e.target.value &&
+                      runAction((id) => apiClient.assignWhatsAppConversation(id, Number(e.target.value)), "Conversación asignada")
+                    }
+                    className="input"
+                  >
+                    <option value="">Asignar a…</option>
+                    {agents.map((agent) => (
+                      <option key={agent.id} value={agent.id}>
+                        {agent.email}
+                      </option>
+                    ))}
+                  </select>
+                  {conversation.status !== "bot" && (
+                    <Button
+                      variant="secondary"
+                      disabled={busy}
+                      onClick={() => runAction(apiClient.returnWhatsAppConversationToBot, "El bot vuelve a atender")}
+                    >
+                      <Bot className="w-4 h-4" />
+                      Devolver al bot
+                    </Button>
+                  )}
+                  {conversation.status !== "closed" && (
+                    <Button
+                      variant="ghost"
+                      disabled={busy}
+                      onClick={() => runAction(apiClient.closeWhatsAppConversation, "Conversación cerrada")}
+                    >
+                      <CheckCircle2 className="w-4 h-4" />
+                      Cerrar
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-4 space-y-3 max-h-[55vh]">
+                {thread.messages.length === 0 ? (
+                  <p className="text-center text-sm text-foreground-muted">Todavía no hay mensajes.</p>
+                ) : (
+                  thread.messages.map((message) => {
+                    const outbound = message.direction === "out";
+                    return (
+                      <div key={message.id} className={`flex ${outbound ? "justify-end" : "justify-start"}`}>
+                        <div
+                          className={`max-w-[75%] rounded-2xl px-4 py-2 text-sm ${
+                            outbound ? "bg-primary/10 text-foreground" : "bg-background text-foreground"
+                          } ${message.status === "failed" ? "border border-red-500/40" : ""}`}
+                        >
+                          <p className="whitespace-pre-wrap break-words">{message.body}</p>
+                          <p className="text-[11px] text-foreground-muted mt-1">
+                            {formatTime(message.createdAt)}
+                            {outbound && ` · ${message.senderEmail || "Bot"}`}
+                            {MESSAGE_STATUS_LABELS[message.status] && ` · ${MESSAGE_STATUS_LABELS[message.status]}`}
+                          </p>
+                          {message.error && <p className="text-[11px] text-red-500 mt-0.5">{message.error}</p>}
+                        </div>
+                      </div>
+                    );
+                  })
+                )}
+                <div ref={messagesEndRef} />
+              </div>
+
+              <div className="p-4 border-t border-border/60">
+                {conversation.canReply ? (
+                  <form onSubmit={handleSendText} className="flex items-end gap-2">
+                    <textarea
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter" && !e.shiftKey) handleSendText(e);
+                      }}
+                      rows={2}
+                      maxLength={4096}
+                      placeholder="Escribí una respuesta…"
+                      className="input w-full resize-none"
+                    />
+                    <Button type="submit" disabled={sending || !text.trim()}>
+                      {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                      Enviar
+                    </Button>
+                  </form>
+                ) : (
+                  <TemplateComposer templates={templates} sending={sending} onSend={send} />
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
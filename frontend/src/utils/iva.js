@@ -0,0 +1,30 @@
+/**
+ * Alícuotas de IVA admitidas por ARCA (WSFE)
+ * Debe coincidir con ALICUOTAS_IVA del backend (services/arca.js)
+ */
+export const IVA_RATES = [0, 2.5, 5, 10.5, 21, 27];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Neto, IVA y total agrupados por alícuota a partir de items con precio unitario neto.
+ * El IVA se calcula sobre la base de cada alícuota, igual que al informar a ARCA.
+ * @param {Array<{cantidad: number, precio_unitario: number, alicuota_iva: number}>} items
+ * @returns {{ rates: Array<{ alicuota: number, base: number, iva: number }>, neto: number, iva: number, total: number }}
+ */
+export function summarizeIva(items = []) {
+  const byRate = new Map();
+  items.forEach((item) => {
+    const alicuota = Number(item.alicuota_iva ?? 21);
+    const neto = round2(Number(item.cantidad || 1) * Number(item.precio_unitario || 0));
+    byRate.set(alicuota, round2((byRate.get(alicuota) || 0) + neto));
+  });
+
+  const rates = [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([alicuota, base]) => ({ alicuota, base, iva: round2((base * alicuota) / 100) }));
+
+  const neto = round2(rates.reduce((sum, r) => sum + r.base, 0));
+  const iva = round2(rates.reduce((sum, r) => sum + r.iva, 0));
+  return { rates, neto, iva, total: round2(neto + iva) };
+}